@@ -1,13 +1,13 @@
 #!/usr/bin/env node
 import fs from "fs";
-import https from "https";
 import { promisify } from "util";
 import { exec } from "child_process";
+import { inboundConfig } from "../services/core/engine/config.js";
+import { createElevenLabsTtsProvider, TTS_SAMPLE_RATE } from "../services/core/engine/tts/tts-providers.js";
 
 const execAsync = promisify(exec);
 
 const VOICEBOT_PATH = "/var/lib/asterisk/sounds/voicebot/corralele_03";
-const SAMPLE_RATE_INPUT = 22050; // ElevenLabs default
 const SAMPLE_RATE_ASTERISK = 8000;
 
 const MESSAGES = {
@@ -39,55 +39,15 @@ function loadEnv() {
 }
 
 // ===================== ELEVENLABS TTS =====================
-async function elevenTTS(text) {
-    return new Promise((resolve, reject) => {
-        const voiceId = process.env.ELEVENLABS_VOICE_ID;
-        const apiKey = process.env.ELEVENLABS_API_KEY;
-
-        const postData = JSON.stringify({
-            text,
-            model_id: "eleven_multilingual_v2",
-            voice_settings: {
-                stability: 0.55,
-                similarity_boost: 0.75,
-                style: 0.15,
-                use_speaker_boost: true
-            }
-        });
-
-        const options = {
-            hostname: "api.elevenlabs.io",
-            port: 443,
-            path: `/v1/text-to-speech/${voiceId}`,
-            method: "POST",
-            headers: {
-                "xi-api-key": apiKey,
-                "Content-Type": "application/json",
-                "Content-Length": Buffer.byteLength(postData),
-                "Accept": "audio/wav"
-            },
-            timeout: 15000
-        };
-
-        const req = https.request(options, res => {
-            const chunks = [];
-            res.on("data", c => chunks.push(c));
-            res.on("end", () => {
-                const body = Buffer.concat(chunks);
-                if (res.statusCode !== 200) {
-                    const errorBody = body.toString();
-                    reject(new Error(`ElevenLabs API ${res.statusCode}: ${errorBody}`));
-                    return;
-                }
-                resolve(body);
-            });
-        });
-
-        req.on("error", reject);
-        req.write(postData);
-        req.end();
-    });
-}
+// Mismo proveedor que usa el engine (PCM s16le 24k); solo cambian modelo y estilo de voz
+const eleven = createElevenLabsTtsProvider({
+    ...inboundConfig.tts.elevenlabs,
+    model: "eleven_multilingual_v2",
+    stability: 0.55,
+    similarityBoost: 0.75,
+    style: 0.15,
+    useSpeakerBoost: true
+});
 
 // ===================== MAIN =====================
 async function generateAllAudios() {
@@ -105,16 +65,16 @@ async function generateAllAudios() {
 
     for (const [name, text] of Object.entries(MESSAGES)) {
         const wavFile = `${VOICEBOT_PATH}/${name}.wav`;
-        const tmpFile = `/tmp/${name}_${Date.now()}.wav`;
+        const tmpFile = `/tmp/${name}_${Date.now()}.pcm`;
 
         try {
             console.log(`⏳ Generando ${name}`);
-            const buffer = await elevenTTS(text);
+            const buffer = await eleven.synthesize(text, { voice: process.env.ELEVENLABS_VOICE_ID });
             fs.writeFileSync(tmpFile, buffer);
 
             // Convertir a formato Asterisk telephony-grade
             const cmd = `
-        ffmpeg -y -i "${tmpFile}" \
+        ffmpeg -y -f s16le -ar ${TTS_SAMPLE_RATE} -ac 1 -i "${tmpFile}" \
         -ar ${SAMPLE_RATE_ASTERISK} -ac 1 -c:a pcm_s16le \
         "${wavFile}"
       `;
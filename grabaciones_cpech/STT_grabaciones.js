@@ -4,18 +4,18 @@
  * STT BATCH PROCESSOR - CPECH
  * Procesamiento masivo de grabaciones para ADMISION y ATENCION_GENERAL
  */
-import { File } from "node:buffer";
-if (!globalThis.File) {
-  globalThis.File = File;
-}
-
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
 
-// Cargar .env desde la raíz del proyecto
+// Cargar .env desde la raíz del proyecto (antes de cargar la config del core)
 dotenv.config({ path: "/opt/telephony-core/.env" });
-import OpenAI from "openai";
+const { getSttService } = await import("../services/core/engine/stt/stt-service.js");
+const { inboundConfig: config } = await import("../services/core/engine/config.js");
+const stt = getSttService();
+const STT_MODEL = "gpt-4o-transcribe";
+// Grabaciones completas: timeout propio y sin reintentos (config.stt.wholeCallTimeoutMs)
+const STT_OPTIONS = { model: STT_MODEL, timeoutMs: config.stt.wholeCallTimeoutMs, retries: 0 };
 
 // CONFIGURACIÓN
 const BASE_PATH = "/opt/telephony-core/grabaciones_cpech";
@@ -30,10 +30,6 @@ if (!process.env.OPENAI_API_KEY) {
   process.exit(1);
 }
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Asegurar directorio destino
 if (!fs.existsSync(TARGET_DIR)) {
   console.log(`📂 Creando directorio destino: ${TARGET_DIR}`);
@@ -74,14 +70,10 @@ async function transcribeFile(filePath) {
 
 async function attemptTranscription(filePath) {
   try {
-    return await openai.audio.transcriptions.create({
-      file: fs.createReadStream(filePath),
-      model: "gpt-4o-transcribe",
-      language: "es"
-    });
+    return await stt.transcribe(filePath, STT_OPTIONS);
   } catch (error) {
     // Detectar error de duración
-    if (error.status === 400 && error.message.includes("longer than 1400 seconds")) {
+    if (error.cause?.code === "STT_AUDIO_TOO_LONG") {
       console.warn(`⚠️ Archivo excede límite de duración. Intentando recortar a 20min...`);
       return await transcribeTrimmed(filePath);
     }
@@ -102,13 +94,7 @@ async function transcribeTrimmed(originalPath) {
     console.log(`✂️ Recortando ${originalPath} -> ${trimmedPath}`);
     execSync(`ffmpeg -y -i "${originalPath}" -t 1200 -c copy "${trimmedPath}"`, { stdio: "ignore" });
 
-    const result = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(trimmedPath),
-      model: "gpt-4o-transcribe",
-      language: "es"
-    });
-
-    return result;
+    return await stt.transcribe(trimmedPath, STT_OPTIONS);
 
   } finally {
     // Limpieza
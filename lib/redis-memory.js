@@ -0,0 +1,282 @@
+import { EventEmitter } from "events";
+
+/**
+ * 🧪 Redis en memoria (subset de @redis/client usado por telephony-core)
+ * Se activa con REDIS_DRIVER=memory (simulador ARI / node --test).
+ * Comparte keyspace y bus pub/sub entre el cliente principal y sus duplicate().
+ */
+export function createMemoryRedis(shared = null) {
+    const store = shared?.store || new Map();   // key -> { value, expiresAt }
+    const bus = shared?.bus || new EventEmitter();
+    bus.setMaxListeners(0);
+
+    const emitter = new EventEmitter();
+    const subscriptions = new Map(); // channel -> [listener]
+
+    const alive = (key) => {
+        const entry = store.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            store.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    const ttlMs = (opts = {}) => {
+        if (opts.EX) return Number(opts.EX) * 1000;
+        if (opts.PX) return Number(opts.PX);
+        return null;
+    };
+
+    const getList = (key) => {
+        const entry = alive(key);
+        if (!entry) return null;
+        if (!Array.isArray(entry.value)) throw new Error("WRONGTYPE Operation against a key holding the wrong kind of value");
+        return entry.value;
+    };
+
+    const ensureList = (key) => {
+        const list = getList(key);
+        if (list) return list;
+        const fresh = [];
+        store.set(key, { value: fresh, expiresAt: null });
+        return fresh;
+    };
+
+    // 🔍 MONITOR: notifica cada comando de escritura (equivalente a MONITOR de Redis)
+    const notify = (command, args) => bus.emit("__monitor__", { command, args, at: Date.now() });
+
+    const globToRegex = (pattern) =>
+        new RegExp("^" + pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".") + "$");
+
+    const client = {
+        isOpen: true,
+        isReady: true,
+
+        on: (...args) => { emitter.on(...args); return client; },
+        once: (...args) => { emitter.once(...args); return client; },
+
+        async connect() { emitter.emit("ready"); return client; },
+        async quit() { client.isOpen = false; return "OK"; },
+        async disconnect() { client.isOpen = false; },
+
+        duplicate() {
+            return createMemoryRedis({ store, bus });
+        },
+
+        async get(key) {
+            const entry = alive(key);
+            if (!entry) return null;
+            return Array.isArray(entry.value) || typeof entry.value === "object" ? null : entry.value;
+        },
+
+        async set(key, value, opts = {}) {
+            if (opts.NX && alive(key)) return null;
+            if (opts.XX && !alive(key)) return null;
+            const ms = ttlMs(opts);
+            const previous = alive(key);
+            const expiresAt = ms ? Date.now() + ms : (opts.KEEPTTL && previous ? previous.expiresAt : null);
+            store.set(key, { value: String(value), expiresAt });
+            notify("set", [key, String(value)]);
+            return "OK";
+        },
+
+        async setEx(key, seconds, value) {
+            return client.set(key, value, { EX: seconds });
+        },
+
+        async append(key, value) {
+            const current = (await client.get(key)) || "";
+            const entry = alive(key);
+            store.set(key, { value: current + String(value), expiresAt: entry?.expiresAt || null });
+            return current.length + String(value).length;
+        },
+
+        async incr(key) {
+            const current = parseInt((await client.get(key)) || "0", 10);
+            const entry = alive(key);
+            store.set(key, { value: String(current + 1), expiresAt: entry?.expiresAt || null });
+            return current + 1;
+        },
+
+        async del(keys) {
+            const list = Array.isArray(keys) ? keys : [keys];
+            let removed = 0;
+            for (const key of list) {
+                if (alive(key)) removed++;
+                store.delete(key);
+            }
+            notify("del", list);
+            return removed;
+        },
+
+        async exists(keys) {
+            const list = Array.isArray(keys) ? keys : [keys];
+            return list.filter((key) => alive(key)).length;
+        },
+
+        async expire(key, seconds) {
+            const entry = alive(key);
+            if (!entry) return 0;
+            entry.expiresAt = Date.now() + Number(seconds) * 1000;
+            return 1;
+        },
+
+        async ttl(key) {
+            const entry = alive(key);
+            if (!entry) return -2;
+            if (!entry.expiresAt) return -1;
+            return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+        },
+
+        async keys(pattern = "*") {
+            const rx = globToRegex(pattern);
+            return [...store.keys()].filter((key) => alive(key) && rx.test(key));
+        },
+
+        async lPush(key, values) {
+            const list = ensureList(key);
+            for (const v of (Array.isArray(values) ? values : [values])) list.unshift(String(v));
+            return list.length;
+        },
+
+        async rPush(key, values) {
+            const list = ensureList(key);
+            for (const v of (Array.isArray(values) ? values : [values])) list.push(String(v));
+            return list.length;
+        },
+
+        async rPop(key) {
+            const list = getList(key);
+            return list && list.length ? list.pop() : null;
+        },
+
+        async lPop(key) {
+            const list = getList(key);
+            return list && list.length ? list.shift() : null;
+        },
+
+        async lLen(key) {
+            return getList(key)?.length || 0;
+        },
+
+        async lRange(key, start, stop) {
+            const list = getList(key) || [];
+            const len = list.length;
+            const from = start < 0 ? Math.max(len + start, 0) : start;
+            const to = stop < 0 ? len + stop : Math.min(stop, len - 1);
+            return list.slice(from, to + 1);
+        },
+
+        async lSet(key, index, value) {
+            const list = getList(key);
+            if (!list || index >= list.length) throw new Error("ERR index out of range");
+            list[index < 0 ? list.length + index : index] = String(value);
+            return "OK";
+        },
+
+        async lTrim(key, start, stop) {
+            const kept = await client.lRange(key, start, stop);
+            const entry = alive(key);
+            if (entry) entry.value = kept;
+            return "OK";
+        },
+
+        async hSet(key, field, value) {
+            let entry = alive(key);
+            if (!entry || typeof entry.value !== "object" || Array.isArray(entry.value)) {
+                entry = { value: {}, expiresAt: entry?.expiresAt || null };
+                store.set(key, entry);
+            }
+            const fields = typeof field === "object" ? field : { [field]: value };
+            let added = 0;
+            for (const [f, v] of Object.entries(fields)) {
+                if (!(f in entry.value)) added++;
+                entry.value[f] = String(v);
+            }
+            return added;
+        },
+
+        async hGet(key, field) {
+            const entry = alive(key);
+            return entry && typeof entry.value === "object" ? (entry.value[field] ?? null) : null;
+        },
+
+        async hGetAll(key) {
+            const entry = alive(key);
+            return entry && typeof entry.value === "object" && !Array.isArray(entry.value) ? { ...entry.value } : {};
+        },
+
+        async hDel(key, fields) {
+            const entry = alive(key);
+            if (!entry || typeof entry.value !== "object" || Array.isArray(entry.value)) return 0;
+            let removed = 0;
+            for (const f of (Array.isArray(fields) ? fields : [fields])) {
+                if (f in entry.value) {
+                    delete entry.value[f];
+                    removed++;
+                }
+            }
+            if (Object.keys(entry.value).length === 0) store.delete(key);
+            return removed;
+        },
+
+        async hIncrBy(key, field, increment) {
+            const current = parseInt((await client.hGet(key, field)) || "0", 10);
+            await client.hSet(key, field, current + Number(increment));
+            return current + Number(increment);
+        },
+
+        async publish(channel, message) {
+            notify("publish", [channel, String(message)]);
+            const receivers = bus.listenerCount(channel);
+            bus.emit(channel, String(message), channel);
+            return receivers;
+        },
+
+        async subscribe(channels, listener) {
+            for (const channel of (Array.isArray(channels) ? channels : [channels])) {
+                bus.on(channel, listener);
+                const list = subscriptions.get(channel) || [];
+                list.push(listener);
+                subscriptions.set(channel, list);
+            }
+        },
+
+        async unsubscribe(channels) {
+            const list = channels ? (Array.isArray(channels) ? channels : [channels]) : [...subscriptions.keys()];
+            for (const channel of list) {
+                for (const listener of subscriptions.get(channel) || []) bus.removeListener(channel, listener);
+                subscriptions.delete(channel);
+            }
+        },
+
+        /**
+         * Solo soporta el script compare-and-delete de releaseLock() (ari-listener).
+         */
+        async eval(script, { keys = [], arguments: args = [] } = {}) {
+            if (/redis\.call\("get", KEYS\[1\]\) == ARGV\[1\]/.test(script)) {
+                if ((await client.get(keys[0])) === args[0]) return client.del(keys[0]);
+                return 0;
+            }
+            throw new Error("EVAL no soportado por el driver en memoria");
+        },
+
+        /**
+         * Observa comandos de escritura (set/del/publish) de todos los clientes del keyspace
+         * @returns {Function} Cancela la suscripción
+         */
+        async monitor(listener) {
+            bus.on("__monitor__", listener);
+            return () => bus.removeListener("__monitor__", listener);
+        },
+
+        async flushAll() {
+            store.clear();
+            return "OK";
+        }
+    };
+
+    return client;
+}
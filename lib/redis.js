@@ -1,17 +1,22 @@
 import { createClient } from "redis";
 import { log } from "./logger.js";
+import { createMemoryRedis } from "./redis-memory.js";
 import dotenv from "dotenv";
 import path from "path";
 
 // 🔧 Forzar carga absoluta del .env
 dotenv.config({ path: path.resolve('/opt/telephony-core/.env') });
 
+// 🧪 REDIS_DRIVER=memory → keyspace en proceso (simulador ARI / node --test)
+const useMemoryDriver = process.env.REDIS_DRIVER === "memory";
+
 console.log("🌍 Config Redis:", {
+    driver: useMemoryDriver ? "memory" : "redis",
     host: process.env.REDIS_HOST,
     port: process.env.REDIS_PORT,
 });
 
-const redis = createClient({
+const redis = useMemoryDriver ? createMemoryRedis() : createClient({
     socket: {
         host: process.env.REDIS_HOST || "10.100.112.114",
         port: parseInt(process.env.REDIS_PORT || "6379", 10),
@@ -0,0 +1,53 @@
+// 🔥 Pre-warm de la caché TTS en disco con los catálogos de mensajes de las cápsulas
+// Cada cápsula se precalienta con su ttsProfile (mismo proveedor/voz que usará en llamada)
+// Uso: npm run tts:prewarm -- [--capsule quintero] [--voice marin]
+import { log } from "../lib/logger.js";
+import { getCapsuleRegistry } from "../services/router/capsule-registry.js";
+import { resolveClientCapsule } from "../services/router/client-entry-router.js";
+import { validateAndNormalizeCapsule } from "../services/core/engine/capsule-contract.js";
+import { OpenAIRealtimeClientV3 } from "../services/core/engine/openai-client.js";
+import { getTtsCache } from "../services/core/engine/tts/tts-cache.js";
+import { prewarmCapsuleCatalogs } from "../services/core/engine/tts/tts-prewarm.js";
+
+function argValues(name) {
+    const values = [];
+    process.argv.forEach((arg, i) => {
+        if (arg === `--${name}` && process.argv[i + 1]) values.push(process.argv[i + 1]);
+    });
+    return values;
+}
+
+const cache = getTtsCache();
+if (!cache) {
+    log("error", "❌ [TTS PREWARM] Caché TTS deshabilitada (TTS_CACHE_ENABLED=false)");
+    process.exit(1);
+}
+
+const [voice] = argValues("voice");
+const { capsules } = await getCapsuleRegistry();
+
+// capsule.id -> cliente con el perfil TTS de la cápsula
+const clients = new Map();
+async function clientFor(capsule) {
+    if (!clients.has(capsule.id)) {
+        let ttsProfile;
+        try {
+            const mode = capsule.modes[0] || null;
+            ttsProfile = validateAndNormalizeCapsule(await resolveClientCapsule(mode, capsule.dnis[0] || null), mode)?.ttsProfile;
+        } catch (err) {
+            log("warn", `⚠️ [TTS PREWARM] ${capsule.id}: no se pudo leer ttsProfile (${err.message}), usando voz por defecto`);
+        }
+        clients.set(capsule.id, new OpenAIRealtimeClientV3({ ...(voice ? { voice } : {}), tts: ttsProfile }));
+    }
+    return clients.get(capsule.id);
+}
+
+const started = Date.now();
+const summary = await prewarmCapsuleCatalogs({
+    capsules,
+    only: argValues("capsule"),
+    synthesize: async (text, capsule) => (await clientFor(capsule)).synthesizeSpeech(text)
+});
+
+log("info", `✅ [TTS PREWARM] ${summary.synthesized}/${summary.prompts} prompts en caché (${summary.failed} fallidos, ${Math.round((Date.now() - started) / 1000)}s)`, cache.stats());
+process.exit(summary.failed ? 1 : 0);
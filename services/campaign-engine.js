@@ -2,6 +2,10 @@ import { sql, poolPromise } from "../lib/db.js";
 import redis from "../lib/redis.js";
 import { log } from "../lib/logger.js";
 import dotenv from "dotenv";
+import { CampaignDialer, parseTrunkLimits } from "./core/campaign/campaign-dialer.js";
+import * as campaignStore from "./core/campaign/campaign-store.js";
+import { makeCall } from "./core/telephony/telephony-controller.js";
+import { isCallingWindowOpen } from "./core/ari/business-rules.js";
 dotenv.config();
 
 log("info", "🚀 Campaign Engine iniciado");
@@ -17,10 +21,15 @@ setInterval(async () => {
     }
 }, 15000);
 
-// eventos de Redis
-redis.subscribe("call.hangup", async (msg) => {
-    const data = JSON.parse(msg);
-    log("info", `☎️ Llamada finalizada detectada por Campaign Engine`, data);
-}).catch(err => {
-    log("error", "Error subscribing to Redis events", err.message);
+// 📣 Dialer de campañas salientes (resultados vía call.state / call.hangup)
+const dialer = new CampaignDialer({
+    store: campaignStore,
+    makeCall,
+    isCallingWindowOpen,
+    redis,
+    trunkLimits: parseTrunkLimits(process.env.CAMPAIGN_TRUNK_LIMITS || "")
+});
+
+dialer.start().catch(err => {
+    log("error", "Error iniciando Campaign Dialer", err.message);
 });
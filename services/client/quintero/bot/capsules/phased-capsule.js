@@ -15,6 +15,7 @@
  * - Phase 1: BVDA (Audio Only) -> Greeting
  * - Phase 2: LISTEN_RUT (Input) -> Redis Buffer -> 2s Silence -> Webhook
  * - Phase 3+: Decision (Valid -> Next/Invalid -> Retry Audio)
+ * - Phase 4: Paciente validado -> agenda (ASK_SPECIALTY / MANAGE_APPOINTMENT en la state machine)
  */
 import { log } from '../../../../../lib/logger.js';
 import { createRedisRutMemory } from '../memory/redisRutMemory.js';
@@ -22,7 +23,11 @@ import { createFormatRutWebhook } from '../webhooks/formatRutWebhook.js';
 import { domainTrace } from '../utils/domainTrace.js';
 import { getPartialRut, getNormalizedPartialRut, isValidPartialRut, clearPartialRut, consolidateRut, getRutState, getConsolidatedRutText } from '../../../../core/engine/incremental-rut-processor.js';
 import { IdentityState } from '../../../../core/engine/identity-capture.js';
+import { rankIdentityHypotheses, runnerUpHypothesis } from '../../../../core/engine/identity/identity-hypotheses.js';
+import { isValidRut, formatRut } from '../../../../core/engine/utils.js';
 import redis from '../../../../../lib/redis.js';
+import { findUpcomingAppointment } from '../handlers/manage-appointment.js';
+import * as tts from '../tts/messages.js';
 
 // Configuration
 // Configuration
@@ -35,6 +40,7 @@ if (!WEBHOOK_URL) {
 const formatRutWebhook = createFormatRutWebhook({ url: WEBHOOK_URL });
 
 const NO_INPUT_GRACE_MS = 800;
+const DTMF_RUT_MAX_DIGITS = 9; // 8 dígitos de cuerpo + DV ('*' = K)
 const NO_INPUT_PROMPT_MS = 10000;
 const TRACE_FILE = 'services/client/quintero/bot/capsules/phased-capsule.js';
 
@@ -52,6 +58,7 @@ class QuinteroPhasedCapsule {
         this.retryCount = 0;
         this.maxRetries = 2;
         this.rutAttemptCount = 0; // 🎯 NUEVO: Contador de intentos de captura de RUT
+        this.dtmfAttemptCount = 0; // 🔢 Intentos de RUT por teclado
         this.farewellPlayed = false;
         this.log = log;
 
@@ -105,15 +112,22 @@ class QuinteroPhasedCapsule {
 
         this.retryCount = ctx.state?.phasedRetryCount || 0;
         this.rutAttemptCount = ctx.state?.phasedRutAttemptCount || 0; // 🎯 NUEVO: Restaurar contador de intentos RUT
+        this.dtmfAttemptCount = ctx.state?.phasedDtmfAttemptCount || 0;
         this.farewellPlayed = ctx.state?.phasedFarewellPlayed || false;
+        this.patientRut = ctx.state?.phasedPatientRut || null;
 
         log('info', `💊 [QUINTERO PHASED] Processing Event: ${event} in State: ${this.currentState} (Phase ${this.phase})`);
 
         let result;
 
         // 🪝 HANDLE WEBHOOK RESPONSE (Legacy/Adapter path)
-        if (event === 'WEBHOOK_RESPONSE') {
+        if (event === 'WEBHOOK_RESPONSE' && this.agendaEnabled && this.currentState === 'VALIDATE_PATIENT') {
+            result = await this.handleValidatePatient(ctx);
+        } else if (event === 'WEBHOOK_RESPONSE') {
             result = this.handleWebhookResponse(webhookData);
+        } else if (event === 'DTMF' && (this.currentState === 'LISTEN_RUT' || this.currentState === 'PROCESS_RUT')) {
+            // 🔢 RUT tecleado (pedido por fallback o tecleado espontáneamente)
+            result = await this.handleDtmfRut(ctx);
         } else {
             // STATE MACHINE
             switch (this.currentState) {
@@ -185,7 +199,9 @@ class QuinteroPhasedCapsule {
             phasedCurrentState: persistedState,
             phasedRetryCount: this.retryCount,
             phasedRutAttemptCount: this.rutAttemptCount, // 🎯 NUEVO: Persistir contador de intentos RUT
+            phasedDtmfAttemptCount: this.dtmfAttemptCount,
             phasedFarewellPlayed: this.farewellPlayed,
+            phasedPatientRut: this.patientRut,
             phasedGreetingPlayed: Boolean(ctx.state?.phasedGreetingPlayed)
                 || Boolean(result?.audio === 'quintero/greeting_sofia_2'),
             rutPhase: result.nextPhase,
@@ -722,6 +738,7 @@ class QuinteroPhasedCapsule {
             // Avanzar inmediato (no esperar webhook)
             const rutFormatted = rutState.normalized;
             await redis.set(`rut:formatted:${callKey}`, rutFormatted, { EX: 300 });
+            await this.rememberRutAlternative(callKey, rutFormatted, rutState, snap);
             
             this.currentState = 'CONFIRM_RUT';
             const res = {
@@ -793,6 +810,7 @@ class QuinteroPhasedCapsule {
             
             // Guardar RUT en Redis para que CONFIRM_RUT lo use
             await redis.set(`rut:formatted:${callKey}`, rutFormatted, { EX: 300 });
+            await this.rememberRutAlternative(callKey, rutFormatted, rutState, snap);
             
             this.currentState = 'CONFIRM_RUT';
             const res = {
@@ -852,13 +870,6 @@ class QuinteroPhasedCapsule {
         const retryMessage = getRetryMessage(errorType, attempts);
         log('debug', `💊 [QUINTERO PHASED] Mensaje de retry sugerido: "${retryMessage}"`);
 
-        // 🎯 MIGRACIÓN A DTMF: Después de 2 intentos inválidos, sugerir DTMF
-        if (attempts >= 2) {
-            log('info', `💊 [QUINTERO PHASED] ⚠️ ${attempts} intentos inválidos - Considerando migración a DTMF`);
-            // TODO: Implementar migración a DTMF cuando esté disponible
-            // Por ahora, continuar con re-prompt de voz pero con mensaje más claro
-        }
-
         const nextAudio = (attempts <= 1) ? 'quintero/ask_rut' : 'quintero/ask_rut_retry';
 
         if (attempts > this.maxRetries) {
@@ -868,6 +879,18 @@ class QuinteroPhasedCapsule {
             });
         }
 
+        // 🔢 MIGRACIÓN A DTMF: Después de 2 intentos inválidos por voz, pedir el RUT por teclado
+        // (adultos mayores: el STT falla más con dictado lento o entrecortado)
+        if (attempts >= 2) {
+            log('info', `💊 [QUINTERO PHASED] ⚠️ ${attempts} intentos inválidos por voz - Migrando captura de RUT a DTMF`);
+            this.currentState = 'LISTEN_RUT';
+            return this.emit(ctx, {
+                fn: 'handleProcessRut:dtmfFallback',
+                phaseOut: 'PROMPT_RUT_DTMF',
+                res: this.dtmfRutPrompt(false)
+            });
+        }
+
         const res = {
             audio: nextAudio,
             nextPhase: 'LISTEN_RUT',
@@ -885,6 +908,70 @@ class QuinteroPhasedCapsule {
         });
     }
 
+    // 🔢 RUT POR TECLADO: validar localmente (módulo 11) y pasar a CONFIRM_RUT
+    async handleDtmfRut(ctx) {
+        const callKey = ctx.linkedId || ctx.sessionId;
+        if (!callKey) {
+            return this.emit(ctx, {
+                fn: 'handleDtmfRut:noCallKey',
+                res: this.endCall()
+            });
+        }
+
+        // '*' hace de K (el teclado no tiene letra para el DV)
+        const keyed = String(ctx.dtmf ?? '').toUpperCase().replace(/\*/g, 'K').replace(/[^0-9K]/g, '');
+        log('info', `🔢 [QUINTERO PHASED] RUT por DTMF: "${keyed}" (reason=${ctx.dtmfReason || 'N/A'}, intento ${this.dtmfAttemptCount + 1})`);
+
+        if (/^\d{7,8}[0-9K]$/.test(keyed) && isValidRut(keyed)) {
+            const rutFormatted = formatRut(keyed);
+            await redis.set(`rut:formatted:${callKey}`, rutFormatted, { EX: 300 });
+            await clearPartialRut(callKey);
+
+            this.currentState = 'CONFIRM_RUT';
+            const res = {
+                action: 'SET_STATE',
+                nextPhase: 'CONFIRM_RUT',
+                silent: false,
+                skipUserInput: false,
+                enableIncremental: false
+            };
+            return this.emit(ctx, {
+                fn: 'handleDtmfRut:validated->confirm',
+                res
+            });
+        }
+
+        this.dtmfAttemptCount++;
+        if (this.dtmfAttemptCount > this.maxRetries) {
+            return this.emit(ctx, {
+                fn: 'handleDtmfRut:maxRetries',
+                res: this.transferOrHangup()
+            });
+        }
+
+        this.currentState = 'LISTEN_RUT';
+        return this.emit(ctx, {
+            fn: 'handleDtmfRut:retryPrompt',
+            phaseOut: 'PROMPT_RUT_DTMF',
+            res: this.dtmfRutPrompt(true)
+        });
+    }
+
+    // 🔢 Prompt + pedido de recolección DTMF al engine
+    dtmfRutPrompt(isRetry) {
+        return {
+            action: 'SAY_TEXT',
+            ttsText: isRetry
+                ? 'No pude validar ese RUT. Ingréselo nuevamente con el teclado, incluyendo el dígito verificador, y termine con la tecla gato.'
+                : 'Para ayudarle mejor, ingrese su RUT con el teclado, incluyendo el dígito verificador, y termine con la tecla gato. Si su dígito verificador es K, presione asterisco.',
+            nextPhase: 'LISTEN_RUT',
+            silent: true,
+            skipInput: true,
+            allowBargeIn: false,
+            collectDigits: { maxDigits: DTMF_RUT_MAX_DIGITS, terminator: '#' }
+        };
+    }
+
     // 🟦 FASE 4: CONFIRM_RUT (Confirmación Legacy)
     // Reproduce audio legacy con últimos 4 dígitos + DV y escucha confirmación
     async handleConfirmRut(ctx) {
@@ -943,8 +1030,8 @@ class QuinteroPhasedCapsule {
         }
 
         // Si hay transcript, clasificar respuesta
-        const { classifyConfirm } = await import('../openai/confirm-classifier.js');
-        const confirmIntent = classifyConfirm(transcript);
+        const { classifyConfirm } = await import('../../openai/confirm-classifier.js');
+        const confirmIntent = classifyConfirm(transcript, ctx.language);
         
         log('info', `💊 [QUINTERO PHASED] Confirmación: intent="${confirmIntent}", transcript="${transcript}"`);
 
@@ -954,7 +1041,9 @@ class QuinteroPhasedCapsule {
             
             // Limpiar RUT de Redis (ya no se necesita)
             await redis.del(`rut:formatted:${callKey}`);
+            await redis.del(`rut:alternative:${callKey}`);
             
+            this.patientRut = rutFormatted;
             this.currentState = 'VALIDATE_PATIENT';
             return this.emit(ctx, {
                 fn: 'handleConfirmRut:confirmed',
@@ -971,6 +1060,28 @@ class QuinteroPhasedCapsule {
                 }
             });
         } else if (confirmIntent === 'NO') {
+            // 🔀 Hay otra lectura de lo que dijo (autocorrección, reinicio): ofrecerla una vez
+            const alternative = await redis.get(`rut:alternative:${callKey}`);
+            if (alternative) {
+                await redis.del(`rut:alternative:${callKey}`);
+                await redis.set(`rut:formatted:${callKey}`, alternative, { EX: 300 });
+                const { getConfirmationReading } = await import('../rut/rut-normalizer.js');
+                log('info', `🔀 [QUINTERO PHASED] RUT rechazado → Ofreciendo segunda hipótesis: ${alternative}`);
+
+                this.currentState = 'CONFIRM_RUT';
+                return this.emit(ctx, {
+                    fn: 'handleConfirmRut:runnerUp',
+                    res: {
+                        action: 'SAY_TEXT',
+                        ttsText: `Disculpe. Entonces ${getConfirmationReading(alternative)}`,
+                        nextPhase: 'CONFIRM_RUT',
+                        silent: false,
+                        skipUserInput: false,
+                        enableIncremental: false
+                    }
+                });
+            }
+
             // ❌ RUT rechazado → Volver a LISTEN_RUT
             log('info', `❌ [QUINTERO PHASED] RUT rechazado por usuario → Volviendo a LISTEN_RUT`);
             
@@ -1011,6 +1122,24 @@ class QuinteroPhasedCapsule {
         }
     }
 
+    /**
+     * 🔀 Segunda lectura del RUT para CONFIRM_RUT: si el llamante dice "no", se ofrece antes de volver a pedirlo
+     * Hipótesis guardadas por la captura incremental o, si el buffer ya se limpió, ranking de lo acumulado en memoria
+     */
+    async rememberRutAlternative(callKey, rutFormatted, rutState, snap) {
+        const hypotheses = rutState.hypotheses?.length
+            ? rutState.hypotheses
+            : rankIdentityHypotheses(snap.buffer || rutState.partial || '', 'RUT');
+        const alternative = runnerUpHypothesis(hypotheses, rutFormatted);
+        if (!alternative) {
+            await redis.del(`rut:alternative:${callKey}`);
+            return;
+        }
+        const value = alternative.value;
+        await redis.set(`rut:alternative:${callKey}`, `${value.slice(0, -1)}-${value.slice(-1)}`, { EX: 300 });
+        log('info', `🔀 [QUINTERO PHASED] Segunda hipótesis de RUT guardada: ${alternative.display} (${alternative.source}, confidence=${alternative.confidence})`);
+    }
+
     // 🟦 FASE 5: VALIDATE_PATIENT (Validar paciente en backend)
     // Maneja la respuesta del webhook VALIDATE_PATIENT
     async handleValidatePatient(ctx) {
@@ -1072,6 +1201,14 @@ class QuinteroPhasedCapsule {
                 edad: data.edad
             }), { EX: 600 });
 
+            // Fase 4: la agenda sigue en la state machine
+            if (this.agendaEnabled) {
+                return this.emit(ctx, {
+                    fn: 'handleValidatePatient:agenda',
+                    res: await this.handOffToAgenda(ctx, data)
+                });
+            }
+
             this.currentState = 'ASK_SPECIALTY';
             const nombrePrimero = data.nombre ? data.nombre.split(' ')[0] : '';
             const ttsText = nombrePrimero
@@ -1106,6 +1243,44 @@ class QuinteroPhasedCapsule {
         });
     }
 
+    /**
+     * Fase 4: paciente validado → primer turno de la agenda (state-machine.js)
+     * Deja en el estado lo que leen los handlers (dni, nombre_paciente, existingAppointment) y marca
+     * phasedAgenda para que bot/index.js despache los turnos siguientes a la state machine.
+     */
+    async handOffToAgenda(ctx, patient) {
+        const rut = this.patientRut;
+        const appointment = await findUpcomingAppointment(rut, ctx.sessionId);
+        const nextPhase = appointment ? 'MANAGE_APPOINTMENT' : 'ASK_SPECIALTY';
+        log('info', `📅 [QUINTERO PHASED] Paciente validado → ${nextPhase} (state machine)`);
+
+        Object.assign(ctx.state, {
+            phasedAgenda: true,
+            dni: rut,
+            rutFormatted: rut,
+            nombre_paciente: patient.nombre || null,
+            edad_paciente: patient.edad ?? null,
+            existingAppointment: appointment
+        });
+        this.currentState = nextPhase;
+
+        const nombrePrimero = patient.nombre ? patient.nombre.split(' ')[0] : '';
+        return {
+            action: 'SAY_TEXT',
+            ttsText: appointment
+                ? tts.askManageAppointment(patient.nombre, appointment)
+                : `Gracias${nombrePrimero ? `, señor ${nombrePrimero}` : ''}. ¿Para qué especialidad médica necesita agendar su hora? Por ejemplo, medicina general, control o alguna especialidad en particular.`,
+            nextPhase,
+            silent: false,
+            skipUserInput: false,
+            enableIncremental: false
+        };
+    }
+
+    get agendaEnabled() {
+        return (this.deferredPhase ?? this.phase) >= 4;
+    }
+
     handleWebhookResponse(data) {
         return this.emit(null, {
             fn: 'handleWebhookResponse',
@@ -1,41 +1,13 @@
 /**
  * 🎯 Handler para fase ASK_DATE
- * Consulta la fecha deseada para la cita
+ * Consulta la fecha deseada para la cita: "el martes en la tarde", "después del quince",
+ * "mañana a las diez" o "lo antes posible" (parser core de fechas, hora de Santiago)
  */
 
 import { log } from '../../../../../lib/logger.js';
+import { parseDateTimeExpression } from '../../../../core/engine/datetime/date-time-expressions.js';
 import * as tts from '../tts/messages.js';
 
-/**
- * Clasifica la intención de fecha
- */
-function classifyDateIntent(transcript) {
-  const text = (transcript || '').toLowerCase().trim();
-  
-  if (text.includes('hoy') || text.includes('ahora') || text.includes('mismo')) {
-    return { type: 'TODAY', date: new Date().toISOString().split('T')[0] };
-  }
-  
-  if (text.includes('mañana') || text.includes('manana')) {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    return { type: 'TOMORROW', date: tomorrow.toISOString().split('T')[0] };
-  }
-  
-  if (text.includes('lo antes posible') || text.includes('pronto') || text.includes('primer')) {
-    return { type: 'ASAP', date: null }; // Se buscará la primera disponible
-  }
-  
-  // Intentar extraer fecha específica (formato simple)
-  const dateMatch = text.match(/(\d{1,2})\s*(de|\/)\s*(\w+)/);
-  if (dateMatch) {
-    // Parseo básico de fecha (se puede mejorar)
-    return { type: 'SPECIFIC', date: null }; // Por ahora, delegar al webhook
-  }
-  
-  return { type: 'UNKNOWN', date: null };
-}
-
 /**
  * Maneja la fase ASK_DATE
  * @param {object} ctx - Contexto de la sesión (transcript, sessionId)
@@ -65,15 +37,16 @@ export default async function askDate(ctx, state) {
   const cleanTranscript = (transcript || '').toLowerCase().trim();
   log("info", `[ASK_DATE] Interpretando: "${cleanTranscript}"`);
   
-  const dateIntent = classifyDateIntent(cleanTranscript);
+  const expression = parseDateTimeExpression(cleanTranscript);
   
-  if (dateIntent.type !== 'UNKNOWN') {
-    // ✅ Fecha identificada → avanzar a CHECK_AVAILABILITY
-    state.fecha_solicitada = dateIntent.date || 'ASAP';
+  if (expression.matched) {
+    // ✅ Fecha identificada → avanzar a CHECK_AVAILABILITY (menú de horas si pidió fecha u horario)
+    state.dateRequest = expression.asap ? null : expression;
+    state.fecha_solicitada = state.dateRequest?.dateFrom || 'ASAP';
     state.dateAttempts = 0;
     state.rutPhase = 'CHECK_AVAILABILITY';
     
-    log("info", `✅ [ASK_DATE] Fecha identificada: ${dateIntent.type} (${state.fecha_solicitada || 'ASAP'})`);
+    log("info", `✅ [ASK_DATE] Fecha identificada: ${JSON.stringify(expression)}`);
     
     return {
       ttsText: "Perfecto, estoy buscando disponibilidad.",
@@ -84,6 +57,7 @@ export default async function askDate(ctx, state) {
         payload: {
           updates: {
             fecha_solicitada: state.fecha_solicitada,
+            dateRequest: state.dateRequest,
             rutPhase: 'CHECK_AVAILABILITY'
           }
         }
@@ -98,6 +72,7 @@ export default async function askDate(ctx, state) {
   if (state.dateAttempts >= 3) {
     // Máximo de intentos → usar ASAP
     state.fecha_solicitada = 'ASAP';
+    state.dateRequest = null;
     state.rutPhase = 'CHECK_AVAILABILITY';
     
     return {
@@ -109,6 +84,7 @@ export default async function askDate(ctx, state) {
         payload: {
           updates: {
             fecha_solicitada: 'ASAP',
+            dateRequest: null,
             rutPhase: 'CHECK_AVAILABILITY'
           }
         }
@@ -118,7 +94,7 @@ export default async function askDate(ctx, state) {
   
   // Repetir pregunta
   return {
-    ttsText: "¿Desea agendar para hoy, mañana o lo antes posible?",
+    ttsText: tts.askDateRetry(),
     nextPhase: 'ASK_DATE',
     shouldHangup: false,
     action: {
@@ -1,12 +1,27 @@
 /**
  * 🎯 Handler para fase CHECK_AVAILABILITY
- * Consulta horas disponibles vía webhook
+ * Consulta horas disponibles vía el backend de agenda (ports/agenda-port.js).
+ * Si el paciente pidió fecha u horario (state.dateRequest), findBestSlots ofrece un menú
+ * de hasta tres horas → SELECT_SLOT; sin coincidencias se sigue con la primera disponible.
+ * Backends sin menú (capabilities.slotMenu, p.ej. webhook) van directo a la primera disponible.
  */
 
 import { log } from '../../../../../lib/logger.js';
-import { getNextAvailability } from '../../n8n/webhook-client.js';
+import { getAgendaPort, hasAgendaCapability } from '../../ports/agenda-port.js';
 import * as tts from '../tts/messages.js';
 
+/**
+ * Menú de horas de la agenda para la fecha pedida (null si la agenda no responde)
+ */
+async function findSlotMenu(rut, especialidad, dateRequest, sessionId) {
+  const { ok, slots, relaxed, menuText, reason } = await getAgendaPort().findBestSlots(rut, especialidad, dateRequest, sessionId);
+  if (!ok) {
+    log("warn", `⚠️ [CHECK_AVAILABILITY] No se pudo consultar la agenda: ${reason}`);
+    return null;
+  }
+  return { slots, relaxed, menuText };
+}
+
 /**
  * Maneja la fase CHECK_AVAILABILITY
  * @param {object} ctx - Contexto de la sesión (transcript, sessionId)
@@ -15,7 +30,7 @@ import * as tts from '../tts/messages.js';
  */
 export default async function checkAvailability(ctx, state) {
   const { sessionId } = ctx;
-  const { rutFormatted, especialidad, fecha_solicitada } = state;
+  const { rutFormatted, especialidad, fecha_solicitada, dateRequest } = state;
 
   if (!rutFormatted || !especialidad) {
     log("error", `❌ [CHECK_AVAILABILITY] Faltan datos: rutFormatted=${rutFormatted}, especialidad=${especialidad}`);
@@ -33,6 +48,37 @@ export default async function checkAvailability(ctx, state) {
     };
   }
 
+  // 📅 Fecha / horario pedido → menú de horas
+  let ttsPrefix = '';
+  if (dateRequest && hasAgendaCapability(getAgendaPort(), 'slotMenu')) {
+    const menu = await findSlotMenu(rutFormatted, especialidad, dateRequest, sessionId);
+    if (menu && menu.slots.length > 0) {
+      log("info", `✅ [CHECK_AVAILABILITY] Menú de ${menu.slots.length} horas (relaxed=${menu.relaxed}): ${menu.menuText}`);
+      state.slotMenu = menu;
+      state.slotMenuAttempts = 0;
+      state.rutPhase = 'SELECT_SLOT';
+      return {
+        ttsText: tts.offerSlotMenu(menu),
+        nextPhase: 'SELECT_SLOT',
+        shouldHangup: false,
+        action: {
+          type: "SET_STATE",
+          payload: {
+            updates: {
+              slotMenu: menu,
+              slotMenuAttempts: 0,
+              rutPhase: 'SELECT_SLOT'
+            }
+          }
+        }
+      };
+    }
+    log("info", `[CHECK_AVAILABILITY] Sin horas para ${JSON.stringify(dateRequest)}, buscando la primera disponible`);
+    state.dateRequest = null;
+    state.fecha_solicitada = 'ASAP';
+    ttsPrefix = `${tts.noSlotsForRequest()} `;
+  }
+
   // 🛡️ Forzar fecha HOY si no está definida (seguridad)
   if (!fecha_solicitada || fecha_solicitada === 'ASAP') {
     const today = new Date();
@@ -43,12 +89,13 @@ export default async function checkAvailability(ctx, state) {
 
   log("info", `[CHECK_AVAILABILITY] Buscando disponibilidad: RUT=${rutFormatted}, Especialidad=${especialidad}, Fecha=${state.fecha_solicitada}`);
 
-  // 🎯 PASO 2: DELEGAR GET_NEXT_AVAILABILITY AL WEBHOOK
-  const availabilityResult = await getNextAvailability(rutFormatted, especialidad, sessionId);
+  // 🎯 PASO 2: DELEGAR GET_NEXT_AVAILABILITY AL BACKEND DE AGENDA
+  const agendaPort = getAgendaPort();
+  const availabilityResult = await agendaPort.getNextAvailability(rutFormatted, especialidad, sessionId);
 
-  // 📋 LOGGING DETALLADO DE WEBHOOK
-  log("info", `[CHECK_AVAILABILITY] Webhook respuesta: ok=${availabilityResult.ok}, horaFound=${availabilityResult.horaFound}, reason=${availabilityResult.reason || 'none'}`);
-  log("info", `📋 [WEBHOOK][RAW] ${JSON.stringify(availabilityResult)}`);
+  // 📋 LOGGING DETALLADO DEL BACKEND
+  log("info", `[CHECK_AVAILABILITY] ${agendaPort.name} respuesta: ok=${availabilityResult.ok}, horaFound=${availabilityResult.horaFound}, reason=${availabilityResult.reason || 'none'}`);
+  log("info", `📋 [AGENDA][RAW] ${JSON.stringify(availabilityResult)}`);
 
 
   if (!availabilityResult.ok) {
@@ -93,7 +140,7 @@ export default async function checkAvailability(ctx, state) {
     }
 
     // Errores técnicos (TIMEOUT, ERROR, INVALID_PARAMS)
-    log("error", `[CHECK_AVAILABILITY] Error técnico en Webhook: ${reason}`);
+    log("error", `[CHECK_AVAILABILITY] Error técnico en ${agendaPort.name}: ${reason}`);
     return {
       ttsText: "Ha ocurrido un error al consultar la disponibilidad. Por favor intente más tarde.",
       nextPhase: 'FAILED',
@@ -137,7 +184,7 @@ export default async function checkAvailability(ctx, state) {
   const doctorTexto = state.doctor_box ? ` con ${state.doctor_box}` : '';
 
   // Mensaje coincidente con inform-availability.js
-  const ttsMessage = `Tengo disponible una hora ${fechaTexto} a las ${horaTexto}${doctorTexto}. ¿Le acomoda esta hora?`;
+  const ttsMessage = `${ttsPrefix}Tengo disponible una hora ${fechaTexto} a las ${horaTexto}${doctorTexto}. ¿Le acomoda esta hora?`;
 
   return {
     ttsText: ttsMessage, // ✅ FIX: Enviar TTS explícito
@@ -151,6 +198,7 @@ export default async function checkAvailability(ctx, state) {
           fecha_hora: availabilityResult.fecha,
           hora_seleccionada: availabilityResult.hora,
           doctor_box: availabilityResult.doctor_box,
+          dateRequest: state.dateRequest,
           rutPhase: 'INFORM_AVAILABILITY'
         }
       }
@@ -4,12 +4,12 @@
  */
 
 import { log } from '../../../../../lib/logger.js';
-import { classifyConfirm } from '../../openai/confirm-classifier.js';
+import { getIntentService, INTENTS } from '../../../../core/engine/intent/intent-service.js';
 import * as tts from '../tts/messages.js';
 
 /**
  * Maneja la fase CONFIRM_APPOINTMENT
- * @param {object} ctx - Contexto de la sesión (transcript, sessionId)
+ * @param {object} ctx - Contexto de la sesión (transcript, sessionId, language)
  * @param {object} state - Estado del dominio
  * @returns {Promise<object>} - Contrato dominio → engine
  */
@@ -25,9 +25,13 @@ export default async function confirmAppointment(ctx, state) {
   }
   state.appointmentAttempts++;
   
-  // Clasificar intención de confirmación
-  const confirmIntent = classifyConfirm(cleanTranscript);
-  log("info", `[CONFIRM_APPOINTMENT] Intent="${confirmIntent}", Intento #${state.appointmentAttempts}`);
+  // Clasificar intención: "sí pero otro día" = CHANGE, "repítame" = REPEAT
+  const { intent: confirmIntent, confidence, unsure } = await getIntentService().classify(cleanTranscript, {
+    language: ctx.language,
+    allowed: [INTENTS.YES, INTENTS.NO, INTENTS.CHANGE, INTENTS.REPEAT],
+    question: '¿Confirma su hora?'
+  });
+  log("info", `[CONFIRM_APPOINTMENT] Intent="${confirmIntent}" (${confidence}${unsure ? ', duda' : ''}), Intento #${state.appointmentAttempts}`);
   
   if (confirmIntent === 'YES') {
     // ✅ Confirmación → avanzar a FINALIZE
@@ -40,6 +44,7 @@ export default async function confirmAppointment(ctx, state) {
       ttsText: "Perfecto, confirmando su hora.",
       nextPhase: 'FINALIZE',
       shouldHangup: false,
+      skipUserInput: true, // 🔇 FINALIZE reserva y despide sin abrir escucha
       action: {
         type: "SET_STATE",
         payload: {
@@ -52,13 +57,13 @@ export default async function confirmAppointment(ctx, state) {
     };
   }
   
-  if (confirmIntent === 'NO') {
-    // ❌ Rechazo → volver a buscar disponibilidad
+  if (confirmIntent === 'NO' || confirmIntent === 'CHANGE' || unsure) {
+    // ❌ Rechazo, otra fecha o "no sé" → volver a buscar disponibilidad (la duda no se acepta implícitamente)
     log("info", `🔄 [CONFIRM_APPOINTMENT] Usuario rechazó la hora, volviendo a buscar`);
     
     // Liberar hold si existe
-    const { releaseAvailability } = await import('../../n8n/webhook-client.js');
-    await releaseAvailability(ctx.sessionId);
+    const { getAgendaPort } = await import('../../ports/agenda-port.js');
+    await getAgendaPort().releaseAvailability(ctx.sessionId);
     
     state.rutPhase = 'ASK_DATE';
     state.fecha_hora = null;
@@ -83,6 +88,11 @@ export default async function confirmAppointment(ctx, state) {
     };
   }
   
+  // 🔁 REPEAT no cuenta como intento fallido
+  if (confirmIntent === 'REPEAT') {
+    state.appointmentAttempts--;
+  }
+
   // UNKNOWN → Aceptación implícita después de 2 intentos
   if (state.appointmentAttempts >= 2) {
     log("info", `✅ [CONFIRM_APPOINTMENT] Aceptación implícita después de ${state.appointmentAttempts} intentos`);
@@ -94,6 +104,7 @@ export default async function confirmAppointment(ctx, state) {
       ttsText: "Perfecto, confirmando su hora.",
       nextPhase: 'FINALIZE',
       shouldHangup: false,
+      skipUserInput: true, // 🔇 FINALIZE reserva y despide sin abrir escucha
       action: {
         type: "SET_STATE",
         payload: {
@@ -0,0 +1,89 @@
+/**
+ * 🎯 Handler para fase CONFIRM_CANCEL
+ * Confirma la anulación de la hora reservada y la ejecuta en el backend de agenda
+ * (ports/agenda-port.js; en SQL: transacción + auditoría en usp_Agenda_CancelAppointment)
+ */
+
+import { log } from '../../../../../lib/logger.js';
+import { getIntentService, INTENTS } from '../../../../core/engine/intent/intent-service.js';
+import { getAgendaPort } from '../../ports/agenda-port.js';
+import * as tts from '../tts/messages.js';
+
+/**
+ * Maneja la fase CONFIRM_CANCEL
+ * @param {object} ctx - Contexto de la sesión (transcript, sessionId, language)
+ * @param {object} state - Estado del dominio (dni, existingAppointment)
+ * @returns {Promise<object>} - Contrato dominio → engine
+ */
+export default async function confirmCancel(ctx, state) {
+  const { sessionId } = ctx;
+  const cleanTranscript = (ctx.transcript || '').toLowerCase();
+  const appointment = state.existingAppointment;
+
+  state.cancelAttempts = (state.cancelAttempts || 0) + 1;
+
+  const { intent, confidence } = await getIntentService().classify(cleanTranscript, {
+    language: ctx.language,
+    allowed: [INTENTS.YES, INTENTS.NO, INTENTS.REPEAT],
+    question: '¿Confirma que desea anular su hora?'
+  });
+  log("info", `[CONFIRM_CANCEL] Intent="${intent}" (${confidence}), Intento #${state.cancelAttempts}`);
+
+  if (intent === INTENTS.YES) {
+    const cancelResult = await getAgendaPort().cancel(state.dni, appointment, sessionId, 'Anulada por el paciente (voicebot)');
+    log("info", `[CONFIRM_CANCEL] Agenda respuesta: cancelled=${cancelResult.cancelled}, reason=${cancelResult.reason || 'none'}`);
+
+    const ttsText = cancelResult.cancelled ? tts.appointmentCancelled() : tts.appointmentChangeFailed();
+    state.rutPhase = cancelResult.cancelled ? 'COMPLETE' : 'FAILED';
+    return {
+      ttsText,
+      nextPhase: state.rutPhase,
+      shouldHangup: true,
+      skipUserInput: true,
+      action: {
+        type: "END_CALL",
+        payload: {
+          reason: cancelResult.cancelled ? "COMPLETE" : "FAILED",
+          ttsText
+        }
+      }
+    };
+  }
+
+  // ❌ Desiste, o no se entiende tras 2 intentos: la hora se mantiene
+  if (intent === INTENTS.NO || (intent !== INTENTS.REPEAT && state.cancelAttempts >= 2)) {
+    state.rutPhase = 'COMPLETE';
+    return {
+      ttsText: tts.appointmentKept(),
+      nextPhase: 'COMPLETE',
+      shouldHangup: true,
+      skipUserInput: true,
+      action: {
+        type: "END_CALL",
+        payload: {
+          reason: "COMPLETE",
+          ttsText: tts.appointmentKept()
+        }
+      }
+    };
+  }
+
+  // 🔁 REPEAT no cuenta como intento fallido
+  if (intent === INTENTS.REPEAT) {
+    state.cancelAttempts--;
+  }
+
+  return {
+    ttsText: tts.confirmCancel(appointment),
+    nextPhase: 'CONFIRM_CANCEL',
+    shouldHangup: false,
+    action: {
+      type: "SET_STATE",
+      payload: {
+        updates: {
+          cancelAttempts: state.cancelAttempts
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * 🎯 Handler para fase CONFIRM_RESCHEDULE
+ * Confirma el cambio de la hora reservada al cupo en HOLD y lo ejecuta en el backend de agenda
+ * (ports/agenda-port.js; en SQL: transacción + auditoría en usp_Agenda_RescheduleAppointment)
+ */
+
+import { log } from '../../../../../lib/logger.js';
+import { getIntentService, INTENTS } from '../../../../core/engine/intent/intent-service.js';
+import { getAgendaPort } from '../../ports/agenda-port.js';
+import * as tts from '../tts/messages.js';
+
+/**
+ * Maneja la fase CONFIRM_RESCHEDULE
+ * @param {object} ctx - Contexto de la sesión (transcript, sessionId, language)
+ * @param {object} state - Estado del dominio (dni, existingAppointment, rescheduleSlot)
+ * @returns {Promise<object>} - Contrato dominio → engine
+ */
+export default async function confirmReschedule(ctx, state) {
+  const { sessionId } = ctx;
+  const cleanTranscript = (ctx.transcript || '').toLowerCase();
+  const { existingAppointment: appointment, rescheduleSlot: slot } = state;
+
+  state.rescheduleAttempts = (state.rescheduleAttempts || 0) + 1;
+
+  const { intent, confidence } = await getIntentService().classify(cleanTranscript, {
+    language: ctx.language,
+    allowed: [INTENTS.YES, INTENTS.NO, INTENTS.REPEAT],
+    question: '¿Desea cambiar su hora a ese horario?'
+  });
+  log("info", `[CONFIRM_RESCHEDULE] Intent="${intent}" (${confidence}), Intento #${state.rescheduleAttempts}`);
+
+  const agendaPort = getAgendaPort();
+
+  if (intent === INTENTS.YES) {
+    const changeResult = await agendaPort.reschedule(state.dni, appointment, slot, sessionId, 'Cambiada por el paciente (voicebot)');
+    log("info", `[CONFIRM_RESCHEDULE] Agenda respuesta: rescheduled=${changeResult.rescheduled}, reason=${changeResult.reason || 'none'}`);
+
+    // El cupo se tomó mientras el paciente decidía: volver a ofrecer el siguiente
+    if (changeResult.reason === 'SLOT_UNAVAILABLE') {
+      state.rutPhase = 'MANAGE_APPOINTMENT';
+      state.rescheduleSlot = null;
+      return {
+        ttsText: `${tts.holdExpired()} ¿Desea cambiar o anular su hora?`,
+        nextPhase: 'MANAGE_APPOINTMENT',
+        shouldHangup: false,
+        action: {
+          type: "SET_STATE",
+          payload: {
+            updates: {
+              rutPhase: 'MANAGE_APPOINTMENT',
+              rescheduleSlot: null
+            }
+          }
+        }
+      };
+    }
+
+    const ttsText = changeResult.rescheduled ? tts.appointmentRescheduled(slot) : tts.appointmentChangeFailed();
+    state.rutPhase = changeResult.rescheduled ? 'COMPLETE' : 'FAILED';
+    return {
+      ttsText,
+      nextPhase: state.rutPhase,
+      shouldHangup: true,
+      skipUserInput: true,
+      action: {
+        type: "END_CALL",
+        payload: {
+          reason: changeResult.rescheduled ? "COMPLETE" : "FAILED",
+          ttsText
+        }
+      }
+    };
+  }
+
+  // ❌ Desiste, o no se entiende tras 2 intentos: liberar el HOLD y mantener la hora
+  if (intent === INTENTS.NO || (intent !== INTENTS.REPEAT && state.rescheduleAttempts >= 2)) {
+    await agendaPort.releaseAvailability(sessionId);
+    state.rutPhase = 'COMPLETE';
+    return {
+      ttsText: tts.appointmentKept(),
+      nextPhase: 'COMPLETE',
+      shouldHangup: true,
+      skipUserInput: true,
+      action: {
+        type: "END_CALL",
+        payload: {
+          reason: "COMPLETE",
+          ttsText: tts.appointmentKept()
+        }
+      }
+    };
+  }
+
+  // 🔁 REPEAT no cuenta como intento fallido
+  if (intent === INTENTS.REPEAT) {
+    state.rescheduleAttempts--;
+  }
+
+  return {
+    ttsText: tts.offerReschedule(slot),
+    nextPhase: 'CONFIRM_RESCHEDULE',
+    shouldHangup: false,
+    action: {
+      type: "SET_STATE",
+      payload: {
+        updates: {
+          rescheduleAttempts: state.rescheduleAttempts
+        }
+      }
+    }
+  };
+}
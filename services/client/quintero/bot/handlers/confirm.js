@@ -1,18 +1,19 @@
 /**
  * 🎯 Handler para fase CONFIRM
  * Confirma el RUT detectado con el usuario
- * DELEGA al webhook VALIDATE_PATIENT
+ * DELEGA VALIDATE_PATIENT al backend de agenda (ports/agenda-port.js)
  */
 
 import { log } from '../../../../../lib/logger.js';
-import { classifyConfirm } from '../../openai/confirm-classifier.js';
-import { validatePatient as webhookValidatePatient } from '../../n8n/webhook-client.js';
+import { getIntentService, INTENTS } from '../../../../core/engine/intent/intent-service.js';
+import { getAgendaPort } from '../../ports/agenda-port.js';
 import { getMaskedReading } from '../rut/rut-normalizer.js';
 import * as tts from '../tts/messages.js';
+import { findUpcomingAppointment } from './manage-appointment.js';
 
 /**
  * Maneja la fase CONFIRM
- * @param {object} ctx - Contexto de la sesión (transcript, sessionId)
+ * @param {object} ctx - Contexto de la sesión (transcript, sessionId, language)
  * @param {object} state - Estado del dominio
  * @returns {Promise<object>} - { ttsText: string|null, nextPhase: string|null, shouldHangup: boolean }
  */
@@ -34,23 +35,28 @@ export default async function confirm(ctx, state) {
 
   log("debug", `⚙️ [CONFIRM] Intento #${state.confirmAttempts} Input="${cleanTranscript}"`);
 
-  // Clasificar intención de confirmación
-  const confirmIntent = classifyConfirm(cleanTranscript);
-  log("info", `🔍 [CONFIRM] Intent="${confirmIntent}", Transcript="${cleanTranscript}"`);
+  // Clasificar intención de confirmación (sí / no / repítame)
+  const { intent: confirmIntent, confidence, unsure } = await getIntentService().classify(cleanTranscript, {
+    language: ctx.language,
+    allowed: [INTENTS.YES, INTENTS.NO, INTENTS.REPEAT],
+    question: '¿El RUT es correcto?'
+  });
+  log("info", `🔍 [CONFIRM] Intent="${confirmIntent}" (${confidence}${unsure ? ', duda' : ''}), Transcript="${cleanTranscript}"`);
 
   if (confirmIntent === 'YES') {
     // ✅ RUT confirmado → EVENTO 2: VALIDATE_PATIENT
     const rutFormatted = state.rutFormatted || `${state.rutBody}-${state.rutDv}`;
 
-    log("info", `✅ [STATE] CONFIRM(YES) → Validando paciente con webhook: ${rutFormatted}`);
+    log("info", `✅ [STATE] CONFIRM(YES) → Validando paciente: ${rutFormatted}`);
 
-    // 🎯 EVENTO 2: DELEGAR VALIDATE_PATIENT AL WEBHOOK
-    log("info", `[DOMAIN] Webhook VALIDATE_PATIENT invocado para RUT: ${rutFormatted}`);
-    const validateResult = await webhookValidatePatient(rutFormatted, sessionId);
-    log("info", `[DOMAIN] Webhook VALIDATE_PATIENT respuesta: ok=${validateResult.ok}, patientFound=${validateResult.patientFound}, nombre=${validateResult.nombre || 'null'}`);
+    // 🎯 EVENTO 2: DELEGAR VALIDATE_PATIENT AL BACKEND DE AGENDA
+    const agendaPort = getAgendaPort();
+    log("info", `[DOMAIN] VALIDATE_PATIENT (${agendaPort.name}) invocado para RUT: ${rutFormatted}`);
+    const validateResult = await agendaPort.validatePatient(rutFormatted, sessionId);
+    log("info", `[DOMAIN] VALIDATE_PATIENT respuesta: ok=${validateResult.ok}, patientFound=${validateResult.patientFound}, nombre=${validateResult.nombre || 'null'}`);
 
     if (!validateResult.ok) {
-      // Error en webhook → mensaje estándar y cierre
+      // Error en el backend → mensaje estándar y cierre
       return {
         ttsText: "No fue posible validar sus datos. Por favor, comuníquese con el consultorio.",
         nextPhase: 'FAILED',
@@ -81,6 +87,36 @@ export default async function confirm(ctx, state) {
       };
     }
 
+    // 📅 Ya tiene una hora reservada → ofrecer cambiarla o anularla antes de agendar otra
+    const appointment = await findUpcomingAppointment(rutFormatted, sessionId);
+    if (appointment) {
+      log("info", `📅 [CONFIRM] Paciente con hora reservada (${appointment.appointmentId}) → MANAGE_APPOINTMENT`);
+      state.dni = rutFormatted;
+      state.rutPhase = 'MANAGE_APPOINTMENT';
+      state.confirmAttempts = 0;
+      state.nombre_paciente = validateResult.nombre;
+      state.edad_paciente = validateResult.edad;
+      state.existingAppointment = appointment;
+      state.manageAttempts = 0;
+
+      return {
+        ttsText: tts.askManageAppointment(validateResult.nombre, appointment),
+        nextPhase: 'MANAGE_APPOINTMENT',
+        shouldHangup: false,
+        action: {
+          type: "SET_STATE",
+          payload: {
+            updates: {
+              nombre_paciente: validateResult.nombre,
+              edad_paciente: validateResult.edad,
+              existingAppointment: appointment,
+              rutPhase: 'MANAGE_APPOINTMENT'
+            }
+          }
+        }
+      };
+    }
+
     // ✅ Paciente encontrado → avanzar a ASK_SPECIALTY
     state.dni = rutFormatted;
     state.rutPhase = 'ASK_SPECIALTY';
@@ -108,9 +144,9 @@ export default async function confirm(ctx, state) {
     };
   }
 
-  if (confirmIntent === 'NO') {
-    // ❌ RECHAZO → RESET a WAIT_BODY
-    log("info", `🔄 [CONFIRM] NO → WAIT_BODY`);
+  if (confirmIntent === 'NO' || unsure) {
+    // ❌ RECHAZO → RESET a WAIT_BODY ("no sé" cuenta como NO: nunca alimenta la aceptación implícita)
+    log("info", `🔄 [CONFIRM] ${unsure ? 'DUDA' : 'NO'} → WAIT_BODY`);
     state.rutPhase = 'WAIT_BODY';
     state.rutBody = null;
     state.rutDv = null;
@@ -139,6 +175,26 @@ export default async function confirm(ctx, state) {
     };
   }
 
+  const maskedReading = getMaskedReading(state.rutBody, state.rutDv);
+
+  if (confirmIntent === 'REPEAT') {
+    // 🔁 Pidió que se repita: no cuenta como intento fallido
+    state.confirmAttempts--;
+    return {
+      ttsText: tts.confirmRut(maskedReading),
+      nextPhase: 'CONFIRM',
+      shouldHangup: false,
+      action: {
+        type: "SET_STATE",
+        payload: {
+          updates: {
+            confirmAttempts: state.confirmAttempts
+          }
+        }
+      }
+    };
+  }
+
   // UNKNOWN → Aceptación implícita después de 2 intentos
   if (state.confirmAttempts >= 2) {
     // 🔥 ACEPTACIÓN IMPLÍCITA: Si no dice NO después de 2 intentos, asumimos SÍ
@@ -147,9 +203,9 @@ export default async function confirm(ctx, state) {
     const rutFormatted = state.rutFormatted || `${state.rutBody}-${state.rutDv}`;
 
     // 🎯 EVENTO 2: VALIDATE_PATIENT (aceptación implícita)
-    log("info", `[DOMAIN] Webhook VALIDATE_PATIENT invocado (implícito) para RUT: ${rutFormatted}`);
-    const validateResult = await webhookValidatePatient(rutFormatted, sessionId);
-    log("info", `[DOMAIN] Webhook VALIDATE_PATIENT respuesta (implícito): ok=${validateResult.ok}, patientFound=${validateResult.patientFound}`);
+    log("info", `[DOMAIN] VALIDATE_PATIENT invocado (implícito) para RUT: ${rutFormatted}`);
+    const validateResult = await getAgendaPort().validatePatient(rutFormatted, sessionId);
+    log("info", `[DOMAIN] VALIDATE_PATIENT respuesta (implícito): ok=${validateResult.ok}, patientFound=${validateResult.patientFound}`);
 
     if (!validateResult.ok || !validateResult.patientFound) {
       // 🎯 CONTRATO: Acción de cierre por fallo
@@ -196,8 +252,6 @@ export default async function confirm(ctx, state) {
   }
 
   // Primer intento UNKNOWN: repetir confirmación
-  const maskedReading = getMaskedReading(state.rutBody, state.rutDv);
-
   // 🎯 CONTRATO: Siempre devolver acción explícita
   return {
     ttsText: state.confirmAttempts === 1
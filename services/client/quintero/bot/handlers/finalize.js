@@ -1,10 +1,10 @@
 /**
  * 🎯 Handler para fase FINALIZE
- * Confirma la hora vía webhook y finaliza la llamada
+ * Confirma la hora vía el backend de agenda (ports/agenda-port.js) y finaliza la llamada
  */
 
 import { log } from '../../../../../lib/logger.js';
-import { confirmAvailability } from '../../n8n/webhook-client.js';
+import { getAgendaPort } from '../../ports/agenda-port.js';
 import * as tts from '../tts/messages.js';
 
 /**
@@ -15,13 +15,14 @@ import * as tts from '../tts/messages.js';
  */
 export default async function finalize(ctx, state) {
   const { sessionId } = ctx;
-  const { especialidad, fecha_hora, hora_seleccionada } = state;
+  const { especialidad, fecha_hora, hora_seleccionada, rutFormatted } = state;
 
   log("info", `[FINALIZE] Confirmando hora: Especialidad=${especialidad}, Fecha=${fecha_hora}, Hora=${hora_seleccionada}`);
 
-  // 🎯 EVENTO 4: DELEGAR CONFIRM_AVAILABILITY AL WEBHOOK
-  const confirmResult = await confirmAvailability(sessionId);
-  log("info", `[FINALIZE] Webhook CONFIRM_AVAILABILITY respuesta: ok=${confirmResult.ok}, confirmed=${confirmResult.confirmed}, reason=${confirmResult.reason || 'none'}`);
+  // 🎯 EVENTO 4: DELEGAR CONFIRM_AVAILABILITY AL BACKEND DE AGENDA
+  const agendaPort = getAgendaPort();
+  const confirmResult = await agendaPort.confirmAvailability(sessionId, { rut: rutFormatted });
+  log("info", `[FINALIZE] ${agendaPort.name} CONFIRM_AVAILABILITY respuesta: ok=${confirmResult.ok}, confirmed=${confirmResult.confirmed}, reason=${confirmResult.reason || 'none'}`);
 
   if (!confirmResult.ok || !confirmResult.confirmed) {
     // Error o hold expirado
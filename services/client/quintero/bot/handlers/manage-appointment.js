@@ -0,0 +1,160 @@
+/**
+ * 🎯 Handler para fase MANAGE_APPOINTMENT
+ * El paciente ya tiene una hora reservada: "¿desea cambiar o anular su hora?"
+ * CAMBIAR → CONFIRM_RESCHEDULE (con cupo en HOLD), ANULAR → CONFIRM_CANCEL,
+ * AGENDAR / NO → ASK_SPECIALTY (flujo normal)
+ */
+
+import { log } from '../../../../../lib/logger.js';
+import { getIntentService, INTENTS } from '../../../../core/engine/intent/intent-service.js';
+import { getAgendaPort, hasAgendaCapability } from '../../ports/agenda-port.js';
+import { toPortSlot } from '../../ports/agenda-slots.js';
+import * as tts from '../tts/messages.js';
+
+const CANCEL_PATTERN = /\b(anular|anularla|an[uú]lela|cancelar|cancelarla|canc[eé]lela|eliminarla|no voy a (poder )?ir)\b/i;
+const CHANGE_PATTERN = /\b(cambiar|cambiarla|c[aá]mbiela|cambio)\b/i;
+const NEW_PATTERN = /\b(agendar|nueva|otra hora|pedir)\b/i;
+
+/**
+ * Próxima hora reservada del paciente (null si no tiene, la agenda no responde
+ * o el backend no maneja horas reservadas: capabilities.appointments)
+ * @param {string} rut - RUT formateado (14348258-8)
+ * @param {string} sessionId
+ */
+export async function findUpcomingAppointment(rut, sessionId) {
+  const agendaPort = getAgendaPort();
+  if (!hasAgendaCapability(agendaPort, 'appointments')) return null;
+
+  const { ok, appointments, reason } = await agendaPort.findAppointments(rut, sessionId);
+  if (!ok) {
+    log("warn", `⚠️ [MANAGE_APPOINTMENT] No se pudo consultar la agenda: ${reason}`);
+    return null;
+  }
+  return appointments[0] || null;
+}
+
+/**
+ * Maneja la fase MANAGE_APPOINTMENT
+ * @param {object} ctx - Contexto de la sesión (transcript, sessionId, language)
+ * @param {object} state - Estado del dominio (existingAppointment)
+ * @returns {Promise<object>} - Contrato dominio → engine
+ */
+export default async function manageAppointment(ctx, state) {
+  const { sessionId } = ctx;
+  const cleanTranscript = (ctx.transcript || '').toLowerCase().trim();
+  const appointment = state.existingAppointment;
+
+  state.manageAttempts = (state.manageAttempts || 0) + 1;
+  log("info", `[MANAGE_APPOINTMENT] Intento #${state.manageAttempts} Transcript: "${cleanTranscript}"`);
+
+  // 1. ANULAR → confirmar antes de tocar la agenda
+  if (CANCEL_PATTERN.test(cleanTranscript)) {
+    state.rutPhase = 'CONFIRM_CANCEL';
+    return {
+      ttsText: tts.confirmCancel(appointment),
+      nextPhase: 'CONFIRM_CANCEL',
+      shouldHangup: false,
+      action: {
+        type: "SET_STATE",
+        payload: {
+          updates: {
+            rutPhase: 'CONFIRM_CANCEL',
+            cancelAttempts: 0
+          }
+        }
+      }
+    };
+  }
+
+  const { intent, confidence } = await getIntentService().classify(cleanTranscript, {
+    language: ctx.language,
+    allowed: [INTENTS.CHANGE, INTENTS.NO, INTENTS.REPEAT],
+    question: '¿Desea cambiar o anular su hora, o agendar una nueva?'
+  });
+  log("info", `[MANAGE_APPOINTMENT] Intent="${intent}" (${confidence})`);
+
+  // 2. CAMBIAR → reservar temporalmente el próximo cupo de la misma especialidad
+  if (intent === INTENTS.CHANGE || CHANGE_PATTERN.test(cleanTranscript)) {
+    const next = await getAgendaPort().getNextAvailability(state.dni, appointment.especialidad, sessionId);
+
+    if (!next.horaFound) {
+      log("info", `[MANAGE_APPOINTMENT] Sin cupos para cambiar ${appointment.especialidad} (${next.reason})`);
+      state.rutPhase = 'COMPLETE';
+      return {
+        ttsText: tts.noRescheduleSlot(appointment.especialidad),
+        nextPhase: 'COMPLETE',
+        shouldHangup: true,
+        skipUserInput: true,
+        action: {
+          type: "END_CALL",
+          payload: {
+            reason: "COMPLETE",
+            ttsText: tts.noRescheduleSlot(appointment.especialidad)
+          }
+        }
+      };
+    }
+
+    const slot = toPortSlot({ ...next, especialidad: next.especialidad || appointment.especialidad });
+    state.rutPhase = 'CONFIRM_RESCHEDULE';
+    state.rescheduleSlot = slot;
+    return {
+      ttsText: tts.offerReschedule(slot),
+      nextPhase: 'CONFIRM_RESCHEDULE',
+      shouldHangup: false,
+      action: {
+        type: "SET_STATE",
+        payload: {
+          updates: {
+            rutPhase: 'CONFIRM_RESCHEDULE',
+            rescheduleSlot: slot,
+            rescheduleAttempts: 0
+          }
+        }
+      }
+    };
+  }
+
+  // 3. AGENDAR OTRA / NO → flujo normal de especialidad
+  if (intent === INTENTS.NO || NEW_PATTERN.test(cleanTranscript) || state.manageAttempts >= 3) {
+    state.rutPhase = 'ASK_SPECIALTY';
+    return {
+      ttsText: "De acuerdo. ¿Para qué especialidad médica necesita agendar su hora?",
+      nextPhase: 'ASK_SPECIALTY',
+      shouldHangup: false,
+      action: {
+        type: "SET_STATE",
+        payload: {
+          updates: {
+            rutPhase: 'ASK_SPECIALTY',
+            manageAttempts: 0
+          }
+        }
+      }
+    };
+  }
+
+  // 🔁 REPEAT no cuenta como intento fallido
+  if (intent === INTENTS.REPEAT) {
+    state.manageAttempts--;
+    return {
+      ttsText: tts.askManageAppointment(state.nombre_paciente, appointment),
+      nextPhase: 'MANAGE_APPOINTMENT',
+      shouldHangup: false
+    };
+  }
+
+  return {
+    ttsText: tts.manageAppointmentRetry(),
+    nextPhase: 'MANAGE_APPOINTMENT',
+    shouldHangup: false,
+    action: {
+      type: "SET_STATE",
+      payload: {
+        updates: {
+          manageAttempts: state.manageAttempts
+        }
+      }
+    }
+  };
+}
@@ -6,7 +6,7 @@
 
 import { log } from '../../../../../lib/logger.js';
 import { getSpecialtyFromMap } from '../../sql/db-queries.js';
-import { getNextAvailability, prefetchNextAvailability } from '../../n8n/webhook-client.js';
+import { getAgendaPort } from '../../ports/agenda-port.js';
 import * as tts from '../tts/messages.js';
 
 /**
@@ -103,7 +103,7 @@ export default async function parseSpecialty(ctx, state) {
     // 🎯 REGLA: El TTS debe estar en la fase ANTERIOR que transiciona a la fase silenciosa
     // 🚀 OPTIMIZACIÓN DE LATENCIA (Prefetch)
     // Disparamos la búsqueda ahora mismo para que esté lista o avanzando en la sgte fase
-    prefetchNextAvailability(state.rutFormatted, classification.specialty, sessionId);
+    getAgendaPort().prefetchNextAvailability(state.rutFormatted, classification.specialty, sessionId);
 
     log("info", `🚀 [PARSE_SPECIALTY] Prefetch disparado. Transicionando INMEDIATAMENTE.`);
 
@@ -111,6 +111,7 @@ export default async function parseSpecialty(ctx, state) {
       ttsText: null, // ⚡ Sin TTS para transición instantánea (ahorra ~2s)
       nextPhase: 'CHECK_AVAILABILITY',
       shouldHangup: false,
+      skipUserInput: true, // 🔇 Fase silenciosa: buscar la hora sin abrir escucha
       action: {
         type: "SET_STATE",
         payload: {
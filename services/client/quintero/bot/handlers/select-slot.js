@@ -0,0 +1,164 @@
+/**
+ * 🎯 Handler para fase SELECT_SLOT
+ * El paciente elige una de las horas del menú ("la segunda", "la del martes",
+ * "la de las diez y media"): se reserva en HOLD → CONFIRM_APPOINTMENT.
+ * Otra fecha u horario → nueva búsqueda; NO / otra opción → ASK_DATE.
+ */
+
+import { log } from '../../../../../lib/logger.js';
+import { getIntentService, INTENTS } from '../../../../core/engine/intent/intent-service.js';
+import { parseDateTimeExpression } from '../../../../core/engine/datetime/date-time-expressions.js';
+import { selectSlotFromMenu } from '../../../../domains/agenda/agenda.menu.js';
+import { getAgendaPort } from '../../ports/agenda-port.js';
+import * as tts from '../tts/messages.js';
+
+/**
+ * Nueva búsqueda en CHECK_AVAILABILITY con la fecha pedida (null = primera disponible)
+ */
+function searchAgain(state, dateRequest, ttsText) {
+  state.dateRequest = dateRequest;
+  state.fecha_solicitada = dateRequest?.dateFrom || 'ASAP';
+  state.slotMenu = null;
+  state.rutPhase = 'CHECK_AVAILABILITY';
+  return {
+    ttsText,
+    nextPhase: 'CHECK_AVAILABILITY',
+    shouldHangup: false,
+    action: {
+      type: "SET_STATE",
+      payload: {
+        updates: {
+          dateRequest,
+          fecha_solicitada: state.fecha_solicitada,
+          slotMenu: null,
+          rutPhase: 'CHECK_AVAILABILITY'
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Maneja la fase SELECT_SLOT
+ * @param {object} ctx - Contexto de la sesión (transcript, sessionId, language)
+ * @param {object} state - Estado del dominio (slotMenu, dateRequest, especialidad)
+ * @returns {Promise<object>} - Contrato dominio → engine
+ */
+export default async function selectSlot(ctx, state) {
+  const { sessionId } = ctx;
+  const cleanTranscript = (ctx.transcript || '').toLowerCase().trim();
+  const menu = state.slotMenu;
+
+  if (!menu?.slots?.length) {
+    log("warn", `⚠️ [SELECT_SLOT] Sin menú en el estado, volviendo a ASK_DATE`);
+    state.rutPhase = 'ASK_DATE';
+    return {
+      ttsText: tts.askDateRetry(),
+      nextPhase: 'ASK_DATE',
+      shouldHangup: false,
+      action: { type: "SET_STATE", payload: { updates: { rutPhase: 'ASK_DATE' } } }
+    };
+  }
+
+  state.slotMenuAttempts = (state.slotMenuAttempts || 0) + 1;
+  log("info", `[SELECT_SLOT] Intento #${state.slotMenuAttempts} Transcript: "${cleanTranscript}"`);
+
+  let index = selectSlotFromMenu(cleanTranscript, menu.slots);
+
+  const { intent, confidence } = index === null
+    ? await getIntentService().classify(cleanTranscript, {
+      language: ctx.language,
+      allowed: [INTENTS.YES, INTENTS.NO, INTENTS.CHANGE, INTENTS.REPEAT],
+      question: menu.slots.length === 1 ? '¿Le acomoda esta hora?' : '¿Cuál de las horas prefiere?'
+    })
+    : { intent: null, confidence: 1 };
+  if (intent) log("info", `[SELECT_SLOT] Intent="${intent}" (${confidence})`);
+
+  // "sí" con una sola opción = esa opción
+  if (index === null && intent === INTENTS.YES && menu.slots.length === 1) index = 0;
+
+  // ✅ Opción elegida → HOLD del cupo
+  if (index !== null) {
+    const chosen = menu.slots[index];
+    const held = await getAgendaPort().holdSlot(chosen, sessionId);
+
+    if (!held.held) {
+      log("info", `[SELECT_SLOT] Cupo ${chosen.slotId} sin HOLD (${held.reason}), nueva búsqueda`);
+      return searchAgain(state, state.dateRequest || null, `${tts.slotTaken()} Estoy buscando otra.`);
+    }
+
+    log("info", `✅ [SELECT_SLOT] Opción ${index + 1} en HOLD: ${chosen.date} ${chosen.time} (${chosen.slotId})`);
+    state.fecha_hora = chosen.date;
+    state.hora_seleccionada = chosen.time;
+    state.doctor_box = held.doctor_box || chosen.doctor_box || null;
+    state.slotMenu = null;
+    state.appointmentAttempts = 0;
+    state.rutPhase = 'CONFIRM_APPOINTMENT';
+    return {
+      ttsText: tts.confirmSelectedSlot(chosen, state.especialidad),
+      nextPhase: 'CONFIRM_APPOINTMENT',
+      shouldHangup: false,
+      action: {
+        type: "SET_STATE",
+        payload: {
+          updates: {
+            fecha_hora: state.fecha_hora,
+            hora_seleccionada: state.hora_seleccionada,
+            doctor_box: state.doctor_box,
+            slotMenu: null,
+            appointmentAttempts: 0,
+            rutPhase: 'CONFIRM_APPOINTMENT'
+          }
+        }
+      }
+    };
+  }
+
+  // 📅 Pide otra fecha u horario ("mejor el jueves en la mañana")
+  const expression = parseDateTimeExpression(cleanTranscript);
+  if (expression.matched) {
+    log("info", `[SELECT_SLOT] Nueva fecha pedida: ${JSON.stringify(expression)}`);
+    return searchAgain(state, expression.asap ? null : expression, "Perfecto, estoy buscando disponibilidad.");
+  }
+
+  // ❌ Ninguna le acomoda → preguntar otra fecha
+  if (intent === INTENTS.NO || intent === INTENTS.CHANGE || state.slotMenuAttempts >= 3) {
+    state.rutPhase = 'ASK_DATE';
+    state.slotMenu = null;
+    state.dateAttempts = 0;
+    return {
+      ttsText: `De acuerdo, busquemos otra opción. ${tts.askDateRetry()}`,
+      nextPhase: 'ASK_DATE',
+      shouldHangup: false,
+      action: {
+        type: "SET_STATE",
+        payload: {
+          updates: {
+            rutPhase: 'ASK_DATE',
+            slotMenu: null,
+            dateAttempts: 0
+          }
+        }
+      }
+    };
+  }
+
+  // 🔁 REPEAT no cuenta como intento fallido
+  if (intent === INTENTS.REPEAT) {
+    state.slotMenuAttempts--;
+  }
+
+  return {
+    ttsText: tts.slotMenuRetry(menu),
+    nextPhase: 'SELECT_SLOT',
+    shouldHangup: false,
+    action: {
+      type: "SET_STATE",
+      payload: {
+        updates: {
+          slotMenuAttempts: state.slotMenuAttempts
+        }
+      }
+    }
+  };
+}
@@ -1,11 +1,11 @@
 /**
  * 🎯 Handler para fase WAIT_BODY
  * Espera captura del RUT completo (body + DV)
- * DELEGA al webhook FORMAT_RUT
+ * DELEGA FORMAT_RUT al backend de agenda (ports/agenda-port.js)
  */
 
 import { log } from '../../../../../lib/logger.js';
-import { formatRut as webhookFormatRut } from '../../n8n/webhook-client.js';
+import { getAgendaPort } from '../../ports/agenda-port.js';
 import { getMaskedReading } from '../rut/rut-normalizer.js';
 import * as tts from '../tts/messages.js';
 
@@ -64,13 +64,14 @@ export default async function waitBody(ctx, state) {
     };
   }
 
-  // 🎯 EVENTO 1: DELEGAR FORMAT_RUT AL WEBHOOK
-  log("info", `[DOMAIN] Webhook FORMAT_RUT invocado para transcript: "${cleanTranscript}"`);
-  const formatResult = await webhookFormatRut(cleanTranscript, sessionId, ani, dnis);
-  log("info", `[DOMAIN] Webhook FORMAT_RUT respuesta: ok=${formatResult.ok}, rut=${formatResult.rut || 'null'}, reason=${formatResult.reason || 'none'}`);
+  // 🎯 EVENTO 1: DELEGAR FORMAT_RUT AL BACKEND DE AGENDA
+  const agendaPort = getAgendaPort();
+  log("info", `[DOMAIN] FORMAT_RUT (${agendaPort.name}) invocado para transcript: "${cleanTranscript}"`);
+  const formatResult = await agendaPort.formatRut(cleanTranscript, sessionId, ani, dnis);
+  log("info", `[DOMAIN] FORMAT_RUT respuesta: ok=${formatResult.ok}, rut=${formatResult.rut || 'null'}, reason=${formatResult.reason || 'none'}`);
 
   if (formatResult.ok && formatResult.rut) {
-    // ✅ Webhook formateó el RUT → guardar y pasar a CONFIRM con acción estructurada
+    // ✅ Backend formateó el RUT → guardar y pasar a CONFIRM con acción estructurada
     const rutFormatted = formatResult.rut; // Ej: "14348258-8"
     const parts = rutFormatted.split('-');
     state.rutBody = parts[0];
@@ -100,9 +101,9 @@ export default async function waitBody(ctx, state) {
     };
   }
 
-  // Si el webhook no pudo formatear → incrementar intentos
+  // Si el backend no pudo formatear → incrementar intentos
   state.rutAttempts++;
-  log("warn", `⚠️ [WEBHOOK] FORMAT_RUT falló. Intento #${state.rutAttempts}, reason=${formatResult.reason || 'unknown'}`);
+  log("warn", `⚠️ [WAIT_BODY] FORMAT_RUT falló. Intento #${state.rutAttempts}, reason=${formatResult.reason || 'unknown'}`);
 
   if (state.rutAttempts >= 3) {
     state.rutPhase = 'FAILED';
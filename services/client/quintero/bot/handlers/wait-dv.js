@@ -7,7 +7,7 @@ import { log } from '../../../../../lib/logger.js';
 import { extractRutCandidate } from '../rut/rut-parser.js';
 import { validateRut, normalizeRutFull } from '../rut/rut-validator.js';
 import { getMaskedReading } from '../rut/rut-normalizer.js';
-import { cleanAsrNoise } from '../utils.js';
+import { cleanAsrNoise } from '../../../../core/engine/identity/spoken-numbers.js';
 import * as tts from '../tts/messages.js';
 
 /**
@@ -11,6 +11,7 @@ import { domainTrace } from './utils/domainTrace.js';
 
 // 🆕 PHASED STRATEGY IMPORTS
 import phraseConfig from '../config/phases.json' with { type: "json" };
+import { config } from '../config.js';
 import QuinteroPhasedCapsule from './capsules/phased-capsule.js';
 
 /**
@@ -21,11 +22,13 @@ import QuinteroPhasedCapsule from './capsules/phased-capsule.js';
 export default async function quinteroBot(ctx) {
   // 🆕 PHASED STRATEGY CHECK
   // Check if we are in a forced phase (1, 2, 3)
-  const currentPhase = phraseConfig.current_phase;
+  const currentPhase = config.phase ?? phraseConfig.current_phase;
+  // Fase 4: la cápsula identifica al paciente y los turnos de agenda siguen en la state machine
+  const agendaTurn = currentPhase === 4 && ctx?.state?.phasedAgenda === true;
 
-  // Only intercept if phase is 1, 2 or 3 AND we are starting or in a phased state
-  // We assume normal operation is phase > 3 or similar, but for now we intercept ALL if configured.
-  if ([1, 2, 3].includes(currentPhase)) {
+  // Only intercept if phase is 1, 2, 3 or 4 AND we are starting or in a phased state
+  // We assume normal operation is phase > 4 or similar, but for now we intercept ALL if configured.
+  if ([1, 2, 3, 4].includes(currentPhase) && !agendaTurn) {
     const phaseNote = (currentPhase >= 3 && (ctx?.event === 'INIT' || ctx?.eventType === 'INIT'))
       ? ' (deferred on INIT)'
       : '';
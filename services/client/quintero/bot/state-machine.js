@@ -10,12 +10,17 @@ import WAIT_RUT from '../phases/WAIT_RUT.js';
 import confirm from './handlers/confirm.js';
 import askSpecialty from './handlers/ask-specialty.js';
 import parseSpecialty from './handlers/parse-specialty.js';
+import askDate from './handlers/ask-date.js';
 import offerAlternatives from './handlers/offer-alternatives.js';
 import offerAlternativesIntro from './handlers/offer-alternatives-intro.js';
 import offerAlternativesWait from './handlers/offer-alternatives-wait.js';
 import checkAvailability from './handlers/check-availability.js';
+import selectSlot from './handlers/select-slot.js';
 import informAvailability from './handlers/inform-availability.js';
 import confirmAppointment from './handlers/confirm-appointment.js';
+import manageAppointment from './handlers/manage-appointment.js';
+import confirmCancel from './handlers/confirm-cancel.js';
+import confirmReschedule from './handlers/confirm-reschedule.js';
 import finalize from './handlers/finalize.js';
 import startGreeting from './handlers/start-greeting.js';
 import goodbye from './handlers/goodbye.js';
@@ -39,6 +44,9 @@ export function initialState() {
     fecha_hora: null, // Fecha y hora desde webhook GET_NEXT_AVAILABILITY
     doctor_box: null, // Doctor desde webhook GET_NEXT_AVAILABILITY
     fecha_solicitada: null, // Fecha solicitada por el usuario
+    dateRequest: null, // Fecha / horario pedido (parseDateTimeExpression), null = primera disponible
+    slotMenu: null, // Menú de horas ofrecido (SELECT_SLOT)
+    slotMenuAttempts: 0,
     horas_disponibles: null, // Array de horas disponibles
     hora_seleccionada: null, // Hora seleccionada por el usuario
     rutAttempts: 0,
@@ -47,6 +55,11 @@ export function initialState() {
     dateAttempts: 0,
     appointmentAttempts: 0,
     alternativesAttempts: 0,
+    existingAppointment: null, // Hora ya reservada (MANAGE_APPOINTMENT: cambiar / anular)
+    rescheduleSlot: null, // Cupo en HOLD para el cambio de hora
+    manageAttempts: 0,
+    cancelAttempts: 0,
+    rescheduleAttempts: 0,
     confirmed: false,
     lastTtsPhase: null, // 🛡️ Anti-replay: Última fase hablada
     lastTtsText: null,   // 🛡️ Anti-replay: Último texto hablado
@@ -139,6 +152,11 @@ export async function runState(ctx, state) {
       result = await checkAvailability(ctx, state);
       break;
 
+    // 📅 Menú de horas para la fecha pedida: "la primera", "la del martes"
+    case 'SELECT_SLOT':
+      result = await selectSlot(ctx, state);
+      break;
+
     case 'OFFER_ALTERNATIVES':
       result = await offerAlternatives(ctx, state);
       break;
@@ -151,6 +169,19 @@ export async function runState(ctx, state) {
       result = await confirmAppointment(ctx, state);
       break;
 
+    // 📅 Hora ya reservada: cambiar o anular
+    case 'MANAGE_APPOINTMENT':
+      result = await manageAppointment(ctx, state);
+      break;
+
+    case 'CONFIRM_CANCEL':
+      result = await confirmCancel(ctx, state);
+      break;
+
+    case 'CONFIRM_RESCHEDULE':
+      result = await confirmReschedule(ctx, state);
+      break;
+
     case 'OFFER_ALTERNATIVES_INTRO':
       result = await offerAlternativesIntro(ctx, state);
       break;
@@ -0,0 +1,68 @@
+/**
+ * 📝 STT por fase del bot Quintero
+ * Prompt/vocabulario para sesgar la transcripción y gramática de la respuesta esperada
+ * (contrato: services/core/engine/stt/stt-grammar.js)
+ */
+
+const RUT_PROMPT = "El usuario está diciendo un RUT chileno. Puede incluir números, guiones, puntos, y la palabra 'mil'. Ejemplo: 'dieciséis mil doscientos cuarenta y siete cero sesenta y siete'.";
+
+const rutCapture = {
+  prompt: RUT_PROMPT,
+  language: 'es',
+  grammar: { type: 'regex', pattern: '\\d[\\d.\\s]{5,}[-\\s]*([\\dkK])?' }
+};
+
+const yesNoPhase = {
+  prompt: 'El paciente responde si confirma o no.',
+  vocabulary: ['sí', 'no', 'correcto', 'exacto', 'así es', 'incorrecto'],
+  language: 'es',
+  grammar: { type: 'yesno' }
+};
+
+export const sttPhases = {
+  WAIT_RUT: rutCapture,
+  WAIT_BODY: rutCapture,
+  WAIT_DV: {
+    prompt: 'El usuario dice el dígito verificador de su RUT: un número del cero al nueve o la letra K.',
+    language: 'es',
+    grammar: { type: 'regex', pattern: '\\b(\\d|k)\\b' }
+  },
+  LISTEN_RUT: rutCapture,
+  CONFIRM: yesNoPhase,
+  CONFIRM_APPOINTMENT: yesNoPhase,
+  CONFIRM_CANCEL: yesNoPhase,
+  CONFIRM_RESCHEDULE: yesNoPhase,
+  MANAGE_APPOINTMENT: {
+    prompt: 'El paciente dice si quiere cambiar su hora, anularla o agendar una nueva.',
+    vocabulary: ['cambiar', 'anular', 'cancelar', 'agendar', 'otra hora', 'otro día'],
+    language: 'es'
+  },
+  ASK_DATE: {
+    prompt: 'El paciente indica el día u horario que prefiere para su hora.',
+    vocabulary: ['hoy', 'mañana', 'pasado mañana', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'en la mañana', 'en la tarde', 'lo antes posible'],
+    language: 'es'
+  },
+  SELECT_SLOT: {
+    prompt: 'El paciente elige una de las horas ofrecidas: la primera, la segunda, la tercera o por su día u hora.',
+    vocabulary: ['la primera', 'la segunda', 'la tercera', 'la última', 'ninguna', 'otro día'],
+    language: 'es'
+  },
+  PARSE_SPECIALTY: {
+    prompt: 'El paciente indica la especialidad médica que necesita.',
+    vocabulary: ['Medicina General', 'Odontología', 'Pediatría', 'Ginecología', 'Cardiología', 'Traumatología', 'matrona', 'dental'],
+    language: 'es',
+    grammar: {
+      type: 'choice',
+      options: [
+        { value: 'Medicina General', synonyms: ['medicina', 'general', 'control', 'consulta'] },
+        { value: 'Odontología', synonyms: ['dental', 'dentista', 'diente', 'muela'] },
+        { value: 'Pediatría', synonyms: ['pediatra', 'niño', 'niña'] },
+        { value: 'Ginecología', synonyms: ['ginecólogo', 'ginecóloga', 'matrona'] },
+        { value: 'Cardiología', synonyms: ['cardiólogo', 'corazón'] },
+        { value: 'Traumatología', synonyms: ['traumatólogo', 'hueso', 'fractura'] }
+      ]
+    }
+  }
+};
+
+export default sttPhases;
@@ -175,6 +175,126 @@ export function farewell() {
   return 'sound:voicebot/quintero/farewell';
 }
 
+/**
+ * Mensaje cuando el paciente ya tiene una hora reservada
+ * @param {string|null} nombre - Nombre del paciente
+ * @param {object} appointment - Hora reservada (especialidad, formattedDate, formattedTime)
+ */
+export function askManageAppointment(nombre, appointment) {
+  const saludo = nombre ? `Gracias, ${nombre.split(' ')[0]}. ` : 'Gracias. ';
+  return `${saludo}Veo que tiene una hora de ${appointment.especialidad} el ${appointment.formattedDate} a las ${appointment.formattedTime}. ¿Desea cambiar o anular su hora, o prefiere agendar una nueva?`;
+}
+
+/**
+ * Mensaje cuando no se entiende si quiere cambiar, anular o agendar
+ */
+export function manageAppointmentRetry() {
+  return 'No le entendí bien. Dígame cambiar, anular, o agendar una hora nueva.';
+}
+
+/**
+ * Confirmación antes de anular
+ * @param {object} appointment - Hora reservada
+ */
+export function confirmCancel(appointment) {
+  return `¿Confirma que desea anular su hora de ${appointment.especialidad} del ${appointment.formattedDate} a las ${appointment.formattedTime}? Dígame sí o no.`;
+}
+
+/**
+ * Mensaje cuando la hora fue anulada
+ */
+export function appointmentCancelled() {
+  return 'Su hora ha sido anulada. Muchas gracias, hasta luego.';
+}
+
+/**
+ * Ofrece el cupo nuevo para cambiar la hora
+ * @param {object} slot - Cupo reservado temporalmente (especialidad, formattedDate, formattedTime)
+ */
+export function offerReschedule(slot) {
+  return `La próxima hora disponible de ${slot.especialidad} es el ${slot.formattedDate} a las ${slot.formattedTime}. ¿Desea cambiar su hora a ese horario?`;
+}
+
+/**
+ * Mensaje cuando la hora fue cambiada
+ * @param {object} slot - Cupo nuevo
+ */
+export function appointmentRescheduled(slot) {
+  return `Listo, su hora quedó cambiada para el ${slot.formattedDate} a las ${slot.formattedTime}. Muchas gracias, hasta luego.`;
+}
+
+/**
+ * Mensaje cuando no hay otro cupo para cambiar la hora
+ * @param {string} especialidad
+ */
+export function noRescheduleSlot(especialidad) {
+  return `No encontré otra hora disponible para ${especialidad}. Su hora actual se mantiene. Muchas gracias, hasta luego.`;
+}
+
+/**
+ * Mensaje cuando el paciente desiste del cambio o la anulación
+ */
+export function appointmentKept() {
+  return 'De acuerdo, su hora se mantiene sin cambios. Muchas gracias, hasta luego.';
+}
+
+/**
+ * Mensaje cuando la base rechaza el cambio o la anulación
+ */
+export function appointmentChangeFailed() {
+  return 'No fue posible modificar su hora. Le transferiré con un ejecutivo.';
+}
+
+/**
+ * Pregunta de fecha con ejemplos de lo que se entiende
+ */
+export function askDateRetry() {
+  return '¿Qué día y horario le acomoda? Por ejemplo: mañana en la tarde, el martes a las diez, o lo antes posible.';
+}
+
+/**
+ * Menú de horas para la fecha pedida (findBestSlots del port de agenda)
+ * @param {object} menu - { slots, menuText, relaxed }
+ */
+export function offerSlotMenu({ slots, menuText, relaxed }) {
+  const intro = relaxed ? 'En ese horario no me quedan horas, pero tengo' : 'Tengo';
+  if (slots.length === 1) return `${intro} una hora ${menuText}. ¿Le acomoda?`;
+  const count = slots.length === 2 ? 'dos' : 'tres';
+  return `${intro} ${count} horas: ${menuText}. ¿Cuál prefiere?`;
+}
+
+/**
+ * Mensaje cuando no se entiende qué opción del menú eligió
+ * @param {object} menu - { slots, menuText }
+ */
+export function slotMenuRetry({ slots, menuText }) {
+  if (slots.length === 1) return `La hora es ${menuText}. ¿Le acomoda? Dígame sí o no.`;
+  return `Las opciones son: ${menuText}. Dígame la primera, la segunda${slots.length > 2 ? ' o la tercera' : ''}.`;
+}
+
+/**
+ * Mensaje cuando no hay horas para la fecha pedida
+ */
+export function noSlotsForRequest() {
+  return 'No encontré horas para esa fecha. Le busco la primera hora disponible.';
+}
+
+/**
+ * Confirmación de la opción elegida del menú (cupo ya en HOLD)
+ * @param {object} slot - Opción del menú (description: "el martes 20 de octubre a las 10:30")
+ * @param {string} especialidad
+ */
+export function confirmSelectedSlot(slot, especialidad) {
+  return `Perfecto, la hora de ${especialidad} ${slot.description}. ¿Confirma esta hora?`;
+}
+
+/**
+ * Mensaje cuando la opción elegida fue tomada mientras se leía el menú
+ */
+export function slotTaken() {
+  return 'Lo siento, esa hora acaba de ser tomada.';
+}
+
 /**
  * Exportar objeto con todas las funciones para fácil acceso
  */
@@ -199,6 +319,21 @@ export const tts = {
   holdExpired,
   offerAnotherSpecialty,
   denyRutChange,
+  askManageAppointment,
+  manageAppointmentRetry,
+  confirmCancel,
+  appointmentCancelled,
+  offerReschedule,
+  appointmentRescheduled,
+  noRescheduleSlot,
+  appointmentKept,
+  appointmentChangeFailed,
+  askDateRetry,
+  offerSlotMenu,
+  slotMenuRetry,
+  noSlotsForRequest,
+  confirmSelectedSlot,
+  slotTaken,
   farewell
 };
 
@@ -0,0 +1,18 @@
+/**
+ * 📇 Quintero Capsule Manifest
+ * Declaración leída por services/router/capsule-registry.js.
+ * Cada mode/DNIS listado aquí pertenece EXCLUSIVAMENTE a esta cápsula.
+ */
+export default {
+    id: 'quintero',
+    version: '1.0.0',
+    modes: [
+        'voicebot_quintero',
+        'voicebot_identity_quintero',
+        'voicebot_quintero_query'
+    ],
+    dnis: [],
+    requiredFeatures: ['stt.realtime', 'stt.incremental', 'snoop', 'bvda-audio', 'tts', 'dtmf', 'webhooks'],
+    ttsCatalogs: ['./bot/tts/messages.js'],
+    entry: './inbound/engine-adapter.js'
+};
@@ -4,6 +4,8 @@
  */
 export const config = {
     domain: "quintero",
+    // Fase de despliegue (config/phases.json: 1-3 = cápsula por fases); QUINTERO_PHASE la reemplaza (4 = flujo completo)
+    phase: process.env.QUINTERO_PHASE ? Number(process.env.QUINTERO_PHASE) : null,
     features: {
         stt: {
             mode: "batch",
@@ -11,5 +13,27 @@ export const config = {
             retryOn: ["RUT"],
             maxRetries: 2
         }
+    },
+    // Llamadas a n8n (n8n/n8n-http.js) sobre el cliente HTTP del core
+    webhooks: {
+        // Eventos que se pueden reintentar sin efectos dobles (GET_NEXT_AVAILABILITY toma un HOLD, CONFIRM reserva)
+        idempotentEvents: ["FORMAT_RUT", "RUT_CAPTURE_COMMIT", "VALIDATE_PATIENT", "RELEASE_AVAILABILITY"],
+        http: {
+            timeoutMs: 5000,   // n8n consulta la BD: bajo esto se cortan respuestas sanas
+            deadlineMs: 8000
+        },
+        // Autenticación de cada request: none | bearer (QUINTERO_WEBHOOK_TOKEN) | hmac (QUINTERO_WEBHOOK_SECRET)
+        auth: {
+            type: process.env.QUINTERO_WEBHOOK_AUTH || "none",
+            token: process.env.QUINTERO_WEBHOOK_TOKEN || null,
+            secret: process.env.QUINTERO_WEBHOOK_SECRET || null
+        }
+    },
+    // Backend de pacientes / agenda (ports/agenda-port.js): webhook (n8n) | sql (MSSQL directo) | mock
+    agenda: {
+        backend: process.env.QUINTERO_AGENDA_BACKEND || "webhook",
+        mock: {
+            fixturesPath: process.env.QUINTERO_AGENDA_MOCK_FIXTURES || null
+        }
     }
 };
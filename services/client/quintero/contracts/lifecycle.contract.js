@@ -0,0 +1,133 @@
+/**
+ * 🔒 Quintero Lifecycle Contract
+ * Fases de negocio de Quintero. El core las fusiona con su contrato genérico
+ * (services/core/engine/lifecycle-contract.js) al cargar la cápsula.
+ */
+import redis from '../../../../lib/redis.js';
+import { log } from '../../../../lib/logger.js';
+
+// Rechazos de formato que justifican re-preguntar el RUT dentro de LISTEN_RUT
+const REPROMPT_REASONS = [
+    'INVALID_RUT_FORMAT',
+    'CARDINAL_NUMBER',
+    'CONFUSION_PHRASE',
+    'INSUFFICIENT_DIGITS',
+    'NO_DIGIT_SEQUENCE',
+    'TEXT_WITHOUT_DIGITS',
+    'INVALID_RUT_FORMAT_PATTERN'
+];
+
+/**
+ * 🎯 PLAYBACK condicional en LISTEN_RUT tras rechazo de webhook (una sola vez)
+ */
+async function allowRepromptAfterReject({ linkedId, callKey, channelId }) {
+    const key = linkedId || callKey || channelId;
+    if (!key) return false;
+
+    const webhookRejectKey = `rut:webhook:rejected:${key}`;
+    const webhookRejectRaw = await redis.get(webhookRejectKey);
+    if (!webhookRejectRaw) return false;
+
+    const webhookReject = JSON.parse(webhookRejectRaw);
+    if (webhookReject.ok === false && REPROMPT_REASONS.includes(webhookReject.reason)) {
+        log('info', `🔒 [QUINTERO LIFECYCLE] Re-prompt permitido en LISTEN_RUT (webhook rechazado, reason=${webhookReject.reason})`);
+        // Limpiar la key para que solo se permita una vez
+        await redis.del(webhookRejectKey);
+        return true;
+    }
+    return false;
+}
+
+export default {
+    LISTEN_RUT: {
+        allow: ['STT', 'CREATE_SNOOP'],
+        deny: ['PLAYBACK', 'DESTROY_SNOOP', 'DESTROY_BRIDGE', 'HANGUP'],
+        requires: ['BRIDGE', 'SNOOP'],
+        advanceTurnAfterPlayback: false,
+        incrementalCapture: true, // RUT parcial por callback incremental
+        guards: { PLAYBACK: allowRepromptAfterReject }
+    },
+
+    // Lectura del RUT (TTS) + escucha del sí/no
+    CONFIRM_RUT: {
+        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
+        requires: ['BRIDGE', 'SNOOP']
+    },
+
+    // Espera del webhook VALIDATE_PATIENT (solo audio)
+    VALIDATE_PATIENT: {
+        allow: ['PLAYBACK'],
+        deny: ['STT', 'DESTROY_BRIDGE', 'HANGUP']
+    },
+
+    ASK_SPECIALTY: {
+        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
+        requires: ['BRIDGE', 'SNOOP']
+    },
+
+    ASK_DATE: {
+        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
+        requires: ['BRIDGE', 'SNOOP']
+    },
+
+    // Menú de horas para la fecha pedida ("la primera", "la del martes")
+    SELECT_SLOT: {
+        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
+        deny: ['DESTROY_BRIDGE', 'HANGUP'],
+        requires: ['BRIDGE', 'SNOOP']
+    },
+
+    // Búsqueda y lectura de la hora ofrecida (sin escucha; CONFIRM_APPOINTMENT escucha el sí/no)
+    CHECK_AVAILABILITY: {
+        allow: ['PLAYBACK'],
+        deny: ['STT', 'DESTROY_BRIDGE', 'HANGUP']
+    },
+
+    INFORM_AVAILABILITY: {
+        allow: ['PLAYBACK'],
+        deny: ['STT', 'DESTROY_BRIDGE', 'HANGUP']
+    },
+
+    NO_AVAILABILITY: {
+        allow: ['PLAYBACK'],
+        deny: ['STT', 'DESTROY_BRIDGE', 'HANGUP']
+    },
+
+    CONFIRM_APPOINTMENT: {
+        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
+        deny: ['DESTROY_BRIDGE', 'HANGUP'],
+        requires: ['BRIDGE', 'SNOOP']
+    },
+
+    // Reserva del HOLD (confirmAvailability) y despedida
+    FINALIZE: {
+        allow: ['PLAYBACK'],
+        deny: ['STT', 'DESTROY_BRIDGE', 'HANGUP']
+    },
+
+    COMPLETE: {
+        allow: ['PLAYBACK', 'HANGUP', 'DESTROY_BRIDGE', 'DESTROY_SNOOP'],
+        deny: ['STT', 'CREATE_SNOOP'],
+        teardownAllowed: true,
+        advanceTurnAfterPlayback: true
+    },
+
+    // Hora ya reservada: "¿desea cambiar o anular su hora?" y sus confirmaciones
+    MANAGE_APPOINTMENT: {
+        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
+        deny: ['DESTROY_BRIDGE', 'HANGUP'],
+        requires: ['BRIDGE', 'SNOOP']
+    },
+
+    CONFIRM_CANCEL: {
+        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
+        deny: ['DESTROY_BRIDGE', 'HANGUP'],
+        requires: ['BRIDGE', 'SNOOP']
+    },
+
+    CONFIRM_RESCHEDULE: {
+        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
+        deny: ['DESTROY_BRIDGE', 'HANGUP'],
+        requires: ['BRIDGE', 'SNOOP']
+    }
+};
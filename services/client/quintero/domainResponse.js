@@ -18,6 +18,8 @@ export function normalizeDomainResponse(resp, fallbackPhase) {
         silent: typeof r.silent === 'boolean' ? r.silent : false,
         skipUserInput: typeof r.skipUserInput === 'boolean' ? r.skipUserInput : false,
         action: r.action ?? { type: 'SET_STATE' }, // Default action is safe state update or no-op
+        // 🛑 END_CALL de la cápsula = el engine corta tras reproducir la despedida
+        shouldHangup: r.shouldHangup === true || (r.action?.type ?? r.action) === 'END_CALL',
         statePatch: r.statePatch ?? null,
         // 🎯 CONTRATO INCREMENTAL: Preservar flags del dominio
         enableIncremental: r.enableIncremental,
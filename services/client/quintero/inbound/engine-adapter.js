@@ -1,9 +1,12 @@
 import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { normalizeDomainResponse, assertDomainResponse } from '../domainResponse.js';
 import quinteroBot from '../bot/index.js';
-import webhookClient from '../n8n/webhook-client.js';
+import { getAgendaPort } from '../ports/agenda-port.js';
 import { log } from '../../../../lib/logger.js';
 import { domainTrace } from '../bot/utils/domainTrace.js';
+import quinteroLifecycle from '../contracts/lifecycle.contract.js';
 
 /**
  * 🌉 Quintero Capsule Adapter
@@ -11,8 +14,12 @@ import { domainTrace } from '../bot/utils/domainTrace.js';
  * Enforces isolation boundaries.
  */
 
-// ✅ LOAD SYSTEM PROMPT
-const systemPrompt = fs.readFileSync('/opt/telephony-core/services/client/quintero/openai/prompts/rut-strict.txt', 'utf-8');
+// ✅ LOAD SYSTEM PROMPT (relativo a la cápsula, no a /opt/telephony-core)
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const systemPrompt = fs.readFileSync(path.join(__dirname, '../openai/prompts/rut-strict.txt'), 'utf-8');
+
+// 🔌 Backend de agenda (webhook | sql | mock): un backend mal configurado falla al cargar la cápsula
+const agendaPort = getAgendaPort();
 
 // ✅ GUARDRAIL: Validar estrictamente string prompt
 function safePrompt(prompt) {
@@ -43,16 +50,16 @@ async function quinteroAdapter(ctx) {
 
             try {
                 if (hookAction === 'FORMAT_RUT') {
-                    hookResult = await webhookClient.formatRut(payload.rut_raw, ctx.sessionId, ctx.ani, ctx.dnis);
+                    hookResult = await agendaPort.formatRut(payload.rut_raw, ctx.sessionId, ctx.ani, ctx.dnis);
                 } else if (hookAction === 'VALIDATE_PATIENT') {
-                    hookResult = await webhookClient.validatePatient(payload.rut, ctx.sessionId);
+                    hookResult = await agendaPort.validatePatient(payload.rut, ctx.sessionId);
                 } else if (hookAction === 'GET_NEXT_AVAILABILITY') {
                     // payload.rut, payload.especialidad
-                    hookResult = await webhookClient.getNextAvailability(payload.rut, payload.especialidad, ctx.sessionId);
+                    hookResult = await agendaPort.getNextAvailability(payload.rut, payload.especialidad, ctx.sessionId);
                 } else if (hookAction === 'CONFIRM_AVAILABILITY') {
-                    hookResult = await webhookClient.confirmAvailability(ctx.sessionId);
+                    hookResult = await agendaPort.confirmAvailability(ctx.sessionId, { rut: payload.rut });
                 } else if (hookAction === 'RELEASE_AVAILABILITY') {
-                    hookResult = await webhookClient.releaseAvailability(ctx.sessionId);
+                    hookResult = await agendaPort.releaseAvailability(ctx.sessionId);
                 } else {
                     log("warn", `⚠️ [ADAPTER] Unknown webhook action: ${hookAction}`);
                 }
@@ -237,7 +244,9 @@ async function quinteroAdapter(ctx) {
             state: result.state || ctx.state,
             // 🎯 CONTRATO INCREMENTAL: Preservar flags del dominio
             enableIncremental: result.enableIncremental,
-            disableIncremental: result.disableIncremental
+            disableIncremental: result.disableIncremental,
+            // 🔢 Pedido de recolección DTMF (fallback de RUT por teclado)
+            collectDigits: result.collectDigits
         };
 
     } catch (error) {
@@ -255,4 +264,10 @@ quinteroAdapter.sttMode = 'realtime';
 // ✅ IDENTITY
 quinteroAdapter.domainName = 'quintero';
 
+// 🔢 DTMF: RUT por teclado (fallback de LISTEN_RUT)
+quinteroAdapter.capabilities = { dtmf: true };
+
+// 🔒 LIFECYCLE: fases de negocio (LISTEN_RUT, CONFIRM_RUT, ...) que el core fusiona con su contrato
+quinteroAdapter.lifecycle = quinteroLifecycle;
+
 export default quinteroAdapter;
@@ -8,6 +8,9 @@ import * as tts from './bot/tts/messages.js';
 export const domain = quinteroBot;
 export const botName = 'quintero';
 
+// 📝 Prompt/vocabulario/gramática STT por fase
+export { sttPhases } from './bot/stt-phases.js';
+
 // Exported for testing/verification
 export const initialGreeting = tts.askRut();
 
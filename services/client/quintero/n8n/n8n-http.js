@@ -0,0 +1,39 @@
+/**
+ * 🔗 Cliente HTTP compartido para n8n (Quintero)
+ * Reintentos, circuit breaker, idempotency keys e histogramas de latencia vienen del core
+ * (integrations/http-integration-client.js); aquí va lo propio de la cápsula:
+ * qué eventos se reintentan, cómo se firma (config.webhooks), qué forma debe tener cada
+ * respuesta (n8n-schemas.js) y qué se responde si n8n no contesta.
+ *
+ * ⚡ Un solo circuit breaker para todo n8n: el core lo lleva por endpoint (origin + path) y los
+ * eventos (FORMAT_RUT, VALIDATE_PATIENT, ...) van todos a N8N_WEBHOOK_URL con la acción en el body.
+ * Es intencional: si n8n no responde a un evento tampoco responderá a los demás, y abrir el
+ * circuito con el primero evita esperar el timeout en cada fase de la llamada.
+ */
+
+import { HttpIntegrationClient, unwrapN8nOutput } from '../../../core/engine/integrations/http-integration-client.js';
+import { config } from '../config.js';
+import { formatRutLocally } from '../ports/rut-format.js';
+import { N8N_RESPONSE_SCHEMAS } from './n8n-schemas.js';
+
+export const N8N_FALLBACKS = Object.freeze({
+  // n8n caído, circuito abierto o respuesta fuera de esquema: el RUT se formatea localmente (módulo 11)
+  FORMAT_RUT: (payload) => formatRutLocally(payload?.rut_raw)
+});
+
+let sharedClient = null;
+
+export function getN8nHttpClient() {
+  if (!sharedClient) {
+    sharedClient = new HttpIntegrationClient({
+      name: 'quintero-n8n',
+      ...config.webhooks.http,
+      idempotentEvents: config.webhooks.idempotentEvents,
+      fallbacks: N8N_FALLBACKS,
+      parse: unwrapN8nOutput,
+      schemas: N8N_RESPONSE_SCHEMAS,
+      auth: config.webhooks.auth
+    });
+  }
+  return sharedClient;
+}
@@ -0,0 +1,58 @@
+/**
+ * 🧾 Esquemas de respuesta de n8n (Quintero)
+ * Lo que cada evento debe devolver (ya desenvuelto de { output }) para que sus campos
+ * lleguen a TTS / estado. Fuera de esquema → HTTP_INVALID_RESPONSE → reason INVALID_RESPONSE.
+ * Validador: services/core/engine/integrations/response-schema.js
+ */
+
+const RUT = /^\d{7,8}-[\dkK]$/;
+const DATE = /^\d{4}-\d{2}-\d{2}/;   // YYYY-MM-DD (acepta ISO completo)
+const TIME = /^\d{1,2}:\d{2}/;       // HH:MM (formatTimeForSpeech)
+
+const FORMAT_RUT = Object.freeze({
+  ok: { type: 'boolean', required: true },
+  rut: { type: 'string', pattern: RUT, requiredWhen: { ok: true } },
+  body: { type: ['string', 'number'], nullable: true },
+  dv: { type: 'string', pattern: /^[\dkK]$/, nullable: true },
+  reason: { type: 'string', nullable: true }
+});
+
+export const N8N_RESPONSE_SCHEMAS = Object.freeze({
+  FORMAT_RUT,
+  RUT_CAPTURE_COMMIT: FORMAT_RUT,
+
+  VALIDATE_PATIENT: Object.freeze({
+    ok: { type: 'boolean', required: true },
+    patientFound: { type: 'boolean' },
+    nombre: { type: 'string', nullable: true },
+    edad: { type: ['number', 'string'], nullable: true },
+    reason: { type: 'string', nullable: true }
+  }),
+
+  GET_NEXT_AVAILABILITY: Object.freeze({
+    horaFound: { type: 'boolean', required: true },
+    fecha: { type: 'string', pattern: DATE, requiredWhen: { horaFound: true } },
+    hora: { type: 'string', pattern: TIME, requiredWhen: { horaFound: true } },
+    doctor_box: { type: 'string', nullable: true },
+    especialidad: { type: 'string', nullable: true },
+    hold: { type: 'boolean' },
+    holdUntil: { type: 'string', nullable: true },
+    requisito: { type: 'string', nullable: true },
+    reason: { type: 'string', nullable: true }
+  }),
+
+  CONFIRM_AVAILABILITY: Object.freeze({
+    confirmed: { type: 'boolean', required: true },
+    especialidad: { type: 'string', nullable: true },
+    fecha: { type: 'string', pattern: DATE, nullable: true },
+    hora: { type: 'string', pattern: TIME, nullable: true },
+    reason: { type: 'string', nullable: true }
+  }),
+
+  RELEASE_AVAILABILITY: Object.freeze({
+    released: { type: 'boolean' },
+    especialidad: { type: 'string', nullable: true },
+    fecha: { type: 'string', nullable: true },
+    hora: { type: 'string', nullable: true }
+  })
+});
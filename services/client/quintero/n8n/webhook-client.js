@@ -5,55 +5,30 @@
  */
 
 import { log } from '../../../../lib/logger.js';
+import { getN8nHttpClient } from './n8n-http.js';
 
 const WEBHOOK_BASE_URL = process.env.N8N_WEBHOOK_URL || 'http://10.100.112.115/webhook/c35e936f-0b53-4bff-ab67-87c69da641ee';
 
 /**
- * Cliente HTTP simple (sin dependencias externas)
+ * POST de un evento a n8n vía el cliente compartido (firma, esquema, reintentos, circuit breaker, respaldo)
  * n8n retorna respuestas envueltas en { "output": "{...json string...}" }
+ * @returns {Promise<{ok: boolean, data?: object, error?: string}>}
  */
-async function httpRequest(url, method = 'POST', body = null) {
-  try {
-    const options = {
-      method,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      signal: AbortSignal.timeout(10000) // 10 segundos timeout
-    };
-
-    if (body) {
-      options.body = JSON.stringify(body);
-    }
-
-    const response = await fetch(url, options);
-
-    if (!response.ok) {
-      log('error', `❌ [WEBHOOK] HTTP ${response.status}: ${response.statusText}`);
-      return { ok: false, error: `HTTP ${response.status}` };
-    }
-
-    const rawData = await response.json();
-
-    // n8n envuelve la respuesta en { "output": "{...json string...}" }
-    let data;
-    if (rawData.output) {
-      try {
-        data = JSON.parse(rawData.output);
-      } catch (parseErr) {
-        log('error', `❌ [WEBHOOK] Error parseando output: ${parseErr.message}`);
-        return { ok: false, error: 'Invalid JSON in output' };
-      }
-    } else {
-      // Fallback: si no viene en output, usar directamente
-      data = rawData;
-    }
+async function httpRequest(url, payload) {
+  return getN8nHttpClient().request({
+    url,
+    event: payload.action,
+    payload,
+    sessionId: payload.sessionId || null
+  });
+}
 
-    return { ok: true, data };
-  } catch (error) {
-    log('error', `❌ [WEBHOOK] Error en request: ${error.message}`);
-    return { ok: false, error: error.message };
-  }
+/**
+ * Reason de dominio para una llamada fallida: respuesta fuera de esquema (n8n-schemas.js)
+ * → INVALID_RESPONSE; timeout / red / HTTP / circuito abierto → TECHNICAL_ERROR
+ */
+function failureReason(result) {
+  return result.code === 'HTTP_INVALID_RESPONSE' ? 'INVALID_RESPONSE' : 'TECHNICAL_ERROR';
 }
 
 /**
@@ -85,11 +60,15 @@ export async function formatRut(rutRaw, sessionId, ani = null, dnis = null) {
 
   log('info', `📤 [WEBHOOK] FORMAT_RUT: "${rutRaw}"`);
 
-  const result = await httpRequest(WEBHOOK_BASE_URL, 'POST', payload);
+  const result = await httpRequest(WEBHOOK_BASE_URL, payload);
 
   if (!result.ok) {
     log('error', `❌ [WEBHOOK] FORMAT_RUT falló: ${result.error}`);
-    return { ok: false, rut: null, body: null, dv: null, reason: 'TECHNICAL_ERROR' };
+    return { ok: false, rut: null, body: null, dv: null, reason: failureReason(result) };
+  }
+
+  if (result.fallback && result.code === 'HTTP_INVALID_RESPONSE') {
+    log('error', `🧾 [WEBHOOK] FORMAT_RUT violó el esquema de respuesta, formateo local: ${result.violations.join('; ')}`);
   }
 
   const { data } = result;
@@ -132,11 +111,11 @@ export async function validatePatient(rut, sessionId) {
 
   log('info', `📤 [WEBHOOK] VALIDATE_PATIENT: RUT=${rut}`);
 
-  const result = await httpRequest(WEBHOOK_BASE_URL, 'POST', payload);
+  const result = await httpRequest(WEBHOOK_BASE_URL, payload);
 
   if (!result.ok) {
     log('error', `❌ [WEBHOOK] VALIDATE_PATIENT falló: ${result.error}`);
-    return { ok: false, patientFound: false, nombre: null, edad: null, reason: 'TECHNICAL_ERROR' };
+    return { ok: false, patientFound: false, nombre: null, edad: null, reason: failureReason(result) };
   }
 
   const { data } = result;
@@ -248,7 +227,7 @@ async function fetchNextAvailabilityImpl(rut, especialidad, sessionId) {
 
   log('info', `📤 [WEBHOOK] GET_NEXT_AVAILABILITY (Impl): RUT=${rut}, Especialidad=${especialidad}`);
 
-  const result = await httpRequest(WEBHOOK_BASE_URL, 'POST', payload);
+  const result = await httpRequest(WEBHOOK_BASE_URL, payload);
 
   if (!result.ok) {
     log('error', `❌ [WEBHOOK] GET_NEXT_AVAILABILITY falló: ${result.error}`);
@@ -262,7 +241,7 @@ async function fetchNextAvailabilityImpl(rut, especialidad, sessionId) {
       hold: false,
       holdUntil: null,
       requisito: null,
-      reason: 'TECHNICAL_ERROR'
+      reason: failureReason(result)
     };
   }
 
@@ -332,7 +311,7 @@ export async function confirmAvailability(sessionId) {
 
   log('info', `📤 [WEBHOOK] CONFIRM_AVAILABILITY: sessionId=${sessionId}`);
 
-  const result = await httpRequest(WEBHOOK_BASE_URL, 'POST', payload);
+  const result = await httpRequest(WEBHOOK_BASE_URL, payload);
 
   if (!result.ok) {
     log('error', `❌ [WEBHOOK] CONFIRM_AVAILABILITY falló: ${result.error}`);
@@ -342,7 +321,7 @@ export async function confirmAvailability(sessionId) {
       especialidad: null,
       fecha: null,
       hora: null,
-      reason: 'TECHNICAL_ERROR'
+      reason: failureReason(result)
     };
   }
 
@@ -388,7 +367,7 @@ export async function releaseAvailability(sessionId) {
 
   log('info', `📤 [WEBHOOK] RELEASE_AVAILABILITY: sessionId=${sessionId}`);
 
-  const result = await httpRequest(WEBHOOK_BASE_URL, 'POST', payload);
+  const result = await httpRequest(WEBHOOK_BASE_URL, payload);
 
   if (!result.ok) {
     log('error', `❌ [WEBHOOK] RELEASE_AVAILABILITY falló: ${result.error}`);
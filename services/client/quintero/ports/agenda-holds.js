@@ -0,0 +1,93 @@
+/**
+ * 📌 HOLDs del port de agenda
+ * Registra en AgendaHoldTracker (domains/agenda/agenda.holds.js) cada HOLD que toma el backend
+ * (getNextAvailability / holdSlot) y lo olvida al confirmar, cambiar o liberar. Si el paciente
+ * cuelga a mitad de la oferta, call.hangup lo libera con releaseAvailability del mismo backend,
+ * aunque el HOLD viva en n8n o en memoria. El backend sql ya los registra en el dominio (tracksHolds).
+ */
+
+import { log } from '../../../../lib/logger.js';
+import { AgendaHoldTracker } from '../../../domains/agenda/agenda.holds.js';
+
+/**
+ * Tracker del proceso del bot: solo escucha call.hangup (el barrido SQL corre en telephony-watcher)
+ * @param {object} port - Port sin envolver (su releaseAvailability libera el HOLD)
+ */
+function lazyTracker(port) {
+    let tracker = null;
+    return async () => {
+        if (!tracker) {
+            const { default: redis } = await import('../../../../lib/redis.js');
+            tracker = new AgendaHoldTracker({
+                redis,
+                releasers: { [port.name]: async (sessionId) => (await port.releaseAvailability(sessionId)).ok }
+            });
+            await tracker.listen();
+        }
+        return tracker;
+    };
+}
+
+/**
+ * Port con registro de HOLDs
+ * @param {object} port
+ * @param {object} [options]
+ * @param {Function} [options.getTracker] - async () => AgendaHoldTracker (tests)
+ */
+export function withHoldTracking(port, { getTracker = lazyTracker(port) } = {}) {
+    if (port.tracksHolds) return port;
+
+    // El registro nunca corta la llamada: sin Redis el HOLD vence solo en el backend
+    const safely = async (sessionId, fn) => {
+        try {
+            await fn(await getTracker());
+        } catch (err) {
+            log('warn', `⚠️ [AGENDA PORT] Registro de HOLD falló (${sessionId}): ${err.message}`);
+        }
+    };
+    // Un HOLD por sesión: el nuevo reemplaza al anterior
+    const track = (sessionId, result) => safely(sessionId, async (tracker) => {
+        await tracker.forget(sessionId);
+        await tracker.track(sessionId, result, { backend: port.name });
+    });
+    const forget = (sessionId) => safely(sessionId, tracker => tracker.forget(sessionId));
+
+    const tracked = {
+        ...port,
+
+        async getNextAvailability(rut, especialidad, sessionId) {
+            const result = await port.getNextAvailability(rut, especialidad, sessionId);
+            if (result.horaFound) await track(sessionId, result);
+            return result;
+        },
+
+        async confirmAvailability(sessionId, options) {
+            const result = await port.confirmAvailability(sessionId, options);
+            if (result.confirmed) await forget(sessionId);
+            return result;
+        },
+
+        async releaseAvailability(sessionId) {
+            const result = await port.releaseAvailability(sessionId);
+            if (result.ok) await forget(sessionId);
+            return result;
+        }
+    };
+
+    // Solo si el backend declara la capacidad (slotMenu / appointments)
+    if (port.holdSlot) {
+        tracked.holdSlot = async (slot, sessionId) => {
+            const result = await port.holdSlot(slot, sessionId);
+            if (result.held) await track(sessionId, result);
+            return result;
+        };
+    }
+    if (port.reschedule) {
+        tracked.reschedule = async (rut, appointment, slot, sessionId, motivo) => {
+            const result = await port.reschedule(rut, appointment, slot, sessionId, motivo);
+            if (result.rescheduled) await forget(sessionId);
+            return result;
+        };
+    }
+    return tracked;
+}
@@ -0,0 +1,127 @@
+/**
+ * 🔌 Agenda / Patient Port - Quintero
+ * Un solo contrato para los eventos de negocio del bot, con el backend elegido por config
+ * (config.agenda.backend ← QUINTERO_AGENDA_BACKEND):
+ *
+ *   {
+ *     name: 'webhook' | 'sql' | 'mock',
+ *     capabilities: { slotMenu: boolean, appointments: boolean },
+ *     formatRut(rutRaw, sessionId, ani, dnis)            → { ok, rut, body, dv, reason }
+ *     validatePatient(rut, sessionId)                    → { ok, patientFound, nombre, edad, reason }
+ *     prefetchNextAvailability(rut, especialidad, sessionId)   // fire-and-forget
+ *     getNextAvailability(rut, especialidad, sessionId)  → { ok, horaFound, slotId, fecha, hora, doctor_box, especialidad, hold, holdUntil, requisito, reason }
+ *     confirmAvailability(sessionId, { rut })            → { ok, confirmed, especialidad, fecha, hora, reason }
+ *     releaseAvailability(sessionId)                     → { ok, released, especialidad, fecha, hora }
+ *     // capabilities.slotMenu
+ *     findBestSlots(rut, especialidad, dateRequest, sessionId) → { ok, slots, relaxed, menuText, reason }   // sin HOLD
+ *     holdSlot(slot, sessionId)                          → { ok, held, slotId, fecha, hora, doctor_box, especialidad, holdUntil, reason }
+ *     // capabilities.appointments
+ *     findAppointments(rut, sessionId)                   → { ok, appointments, reason }
+ *     cancel(rut, appointment, sessionId, motivo)        → { ok, cancelled, reason }
+ *     reschedule(rut, appointment, slot, sessionId, motivo) → { ok, rescheduled, reason }
+ *   }
+ *
+ * Menú de horas (SELECT_SLOT) y horas ya reservadas (MANAGE_APPOINTMENT) son capacidades: el backend
+ * las declara en capabilities y solo entonces implementa sus métodos; los handlers preguntan con
+ * hasAgendaCapability() y, si el backend no las tiene, siguen con la primera hora disponible / ASK_SPECIALTY.
+ *
+ * Cupos y horas reservadas van con la forma de ports/agenda-slots.js (slotId / appointmentId, fecha, hora, ...).
+ * Una sesión tiene a lo más un HOLD: getNextAvailability y holdSlot reemplazan el anterior, y
+ * confirmAvailability / reschedule usan ese HOLD en el mismo backend que lo tomó.
+ * getAgendaPort() registra los HOLD de cada backend (ports/agenda-holds.js): colgar los libera.
+ *
+ * Backends:
+ * - webhook  n8n (n8n/webhook-client.js) - comportamiento histórico, sin menú ni horas reservadas
+ *            (n8n solo atiende FORMAT_RUT ... RELEASE_AVAILABILITY)
+ * - sql      MSSQL directo (sql/db-queries.js + domains/agenda) - el bot sigue si n8n está caído
+ * - mock     en memoria / fixtures JSON - desarrollo local y tests
+ *
+ * Las formas de respuesta (y los reason: INVALID_RUT_FORMAT, PATIENT_NOT_FOUND, NO_AVAILABILITY,
+ * HOLD_NOT_FOUND_OR_EXPIRED, SLOT_UNAVAILABLE, APPOINTMENT_NOT_FOUND, TECHNICAL_ERROR) son las del webhook:
+ * los handlers no distinguen backend.
+ */
+
+import { readFileSync } from 'fs';
+import { log } from '../../../../lib/logger.js';
+import { config } from '../config.js';
+import { createWebhookAgendaBackend } from './webhook-agenda.js';
+import { createSqlAgendaBackend } from './sql-agenda.js';
+import { createMockAgendaBackend } from './mock-agenda.js';
+import { withHoldTracking } from './agenda-holds.js';
+
+export const AGENDA_PORT_METHODS = Object.freeze([
+    'formatRut',
+    'validatePatient',
+    'prefetchNextAvailability',
+    'getNextAvailability',
+    'confirmAvailability',
+    'releaseAvailability'
+]);
+
+// Capacidad → métodos que el backend debe implementar si la declara
+export const AGENDA_PORT_CAPABILITIES = Object.freeze({
+    slotMenu: Object.freeze(['findBestSlots', 'holdSlot']),
+    appointments: Object.freeze(['findAppointments', 'cancel', 'reschedule'])
+});
+
+export const AGENDA_BACKEND_FACTORIES = Object.freeze({
+    webhook: () => createWebhookAgendaBackend(),
+    sql: () => createSqlAgendaBackend(),
+    mock: (cfg = config.agenda.mock) => createMockAgendaBackend(cfg.fixturesPath ? JSON.parse(readFileSync(cfg.fixturesPath, 'utf8')) : {})
+});
+
+function portError(code, message) {
+    const err = new Error(`${code}: ${message}`);
+    err.code = code;
+    return err;
+}
+
+/**
+ * ¿El backend del port atiende esta capacidad? (slotMenu | appointments)
+ * @param {object} port
+ * @param {string} capability
+ */
+export function hasAgendaCapability(port, capability) {
+    return port?.capabilities?.[capability] === true;
+}
+
+/**
+ * Falla al arrancar (no a mitad de llamada) si un backend no cumple el contrato
+ * @param {object} port
+ * @returns {object} el mismo port
+ */
+export function assertAgendaPort(port) {
+    const declared = Object.entries(AGENDA_PORT_CAPABILITIES)
+        .filter(([capability]) => hasAgendaCapability(port, capability))
+        .flatMap(([, methods]) => methods);
+    const missing = [...AGENDA_PORT_METHODS, ...declared].filter(method => typeof port?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw portError('AGENDA_PORT_CONFIG', `backend '${port?.name || 'desconocido'}' no implementa: ${missing.join(', ')}`);
+    }
+    return port;
+}
+
+/**
+ * Construye el port para un backend
+ * @param {string} backend - webhook | sql | mock
+ */
+export function createAgendaPort(backend = config.agenda.backend) {
+    const factory = AGENDA_BACKEND_FACTORIES[backend];
+    if (!factory) {
+        throw portError('AGENDA_PORT_CONFIG', `backend '${backend}' desconocido (${Object.keys(AGENDA_BACKEND_FACTORIES).join(' | ')})`);
+    }
+    return assertAgendaPort(factory());
+}
+
+let sharedPort = null;
+
+/**
+ * Port de la cápsula construido desde config.agenda, con registro de HOLDs
+ */
+export function getAgendaPort() {
+    if (!sharedPort) {
+        sharedPort = withHoldTracking(createAgendaPort());
+        log('info', `🔌 [AGENDA PORT] Backend: ${sharedPort.name}`);
+    }
+    return sharedPort;
+}
@@ -0,0 +1,50 @@
+/**
+ * 🗓️ Cupos y horas en el contrato del port de agenda
+ * Los tres backends entregan cupos { slotId, fecha: 'YYYY-MM-DD', hora: 'HH:MM', especialidad, doctor_box, requisito }
+ * y horas reservadas con appointmentId en vez de slotId. Aquí se agregan los campos que leen los handlers:
+ * date / time (selección en el menú) y formattedDate / formattedTime / description (TTS).
+ */
+
+import { slotParts, rankSlots, describeSlot, formatSlotMenu } from '../../../domains/agenda/agenda.menu.js';
+
+/**
+ * "martes, 20 de octubre" (mismo formato que agendaDomain._formatDate)
+ */
+function formatDate(date) {
+    return new Date(`${date}T12:00:00Z`).toLocaleDateString('es-CL', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' });
+}
+
+/**
+ * Cupo u hora reservada con los campos del contrato
+ * @param {object} raw - { slotId | appointmentId, fecha, hora | hora_disponible, especialidad, doctor_box, requisito }
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ */
+export function toPortSlot(raw, { now = new Date() } = {}) {
+    const { date, time } = slotParts(raw);
+    const slot = {
+        ...(raw.appointmentId !== undefined ? { appointmentId: raw.appointmentId } : { slotId: raw.slotId ?? null }),
+        fecha: date,
+        hora: time,
+        especialidad: raw.especialidad || null,
+        doctor_box: raw.doctor_box || null,
+        requisito: raw.requisito || null,
+        date,
+        time,
+        formattedDate: formatDate(date),
+        formattedTime: time
+    };
+    return { ...slot, description: describeSlot(slot, { now }) };
+}
+
+/**
+ * Menú de hasta MENU_SIZE horas para lo pedido (rankSlots), listo para leer
+ * @param {Array<object>} candidates - Cupos libres de la especialidad
+ * @param {object} expression - parseDateTimeExpression() result
+ * @returns {{slots: Array<object>, relaxed: boolean, menuText: string}}
+ */
+export function buildSlotMenu(candidates, expression, { now = new Date(), limit } = {}) {
+    const { slots, relaxed } = rankSlots(candidates, expression, { limit, now });
+    const menu = slots.map(slot => toPortSlot(slot, { now }));
+    return { slots: menu, relaxed, menuText: formatSlotMenu(menu, { now }) };
+}
@@ -0,0 +1,177 @@
+/**
+ * 🧪 Agenda backend: en memoria
+ * Pacientes y cupos desde fixtures (QUINTERO_AGENDA_MOCK_FIXTURES):
+ *
+ *   {
+ *     "patients": { "14348258-8": { "nombre": "Juan Pérez", "edad": 54 } },
+ *     "slots": [{ "id_disponibilidad": 1, "especialidad": "MEDICINA GENERAL", "fecha": "2026-10-20", "hora": "10:30", "doctor_box": "Box 3" }]
+ *   }
+ *
+ * HOLD por sesión con la misma duración que la agenda SQL; confirmar lo convierte en reserva.
+ * Un cupo con "rutPaciente" parte reservado para ese RUT (horas existentes para anular / cambiar).
+ */
+
+import { AGENDA_CONSTANTS } from '../../../domains/agenda/agenda.types.js';
+import { formatRutLocally } from './rut-format.js';
+import { toPortSlot, buildSlotMenu } from './agenda-slots.js';
+import { zonedParts } from '../../../core/ari/rules-engine.js';
+import { timeToMinutes } from '../../../core/engine/datetime/date-time-expressions.js';
+
+const sameText = (a, b) => String(a || '').trim().toUpperCase() === String(b || '').trim().toUpperCase();
+
+/**
+ * @param {object} [fixtures] - { patients, slots }
+ * @param {object} [options]
+ * @param {Function} [options.now] - Reloj (tests)
+ */
+export function createMockAgendaBackend(fixtures = {}, { now = () => new Date() } = {}) {
+    const patients = fixtures.patients || {};
+    const slots = [...(fixtures.slots || [])]
+        .sort((a, b) => `${a.fecha} ${a.hora}`.localeCompare(`${b.fecha} ${b.hora}`));
+    const holds = new Map();    // sessionId → { slot, holdUntil }
+    const bookings = slots     // { rut, sessionId, slot }
+        .filter(slot => slot.rutPaciente)
+        .map(slot => ({ rut: slot.rutPaciente, sessionId: null, slot }));
+
+    const isBooked = (slot) => bookings.some(b => b.slot.id_disponibilidad === slot.id_disponibilidad);
+    const heldByOther = (slot, sessionId) => [...holds].some(([owner, hold]) =>
+        owner !== sessionId && hold.slot.id_disponibilidad === slot.id_disponibilidad && hold.holdUntil > now());
+    const activeHold = (sessionId) => {
+        const hold = holds.get(sessionId);
+        return hold && hold.holdUntil > now() ? hold : null;
+    };
+    const isFree = (slot, sessionId) => !isBooked(slot) && !heldByOther(slot, sessionId);
+    const findBooking = (rut, appointmentId) => bookings.find(b => b.rut === rut && b.slot.id_disponibilidad === appointmentId);
+    const isUpcoming = ({ fecha, hora }) => {
+        const today = zonedParts(now());
+        return fecha > today.date || (fecha === today.date && timeToMinutes(hora) > today.minutes);
+    };
+
+    return {
+        name: 'mock',
+        capabilities: { slotMenu: true, appointments: true },
+        holds,
+        bookings,
+
+        async formatRut(rutRaw) {
+            return formatRutLocally(rutRaw);
+        },
+
+        async validatePatient(rut) {
+            const patient = patients[rut];
+            if (!patient) return { ok: false, patientFound: false, nombre: null, edad: null, reason: 'PATIENT_NOT_FOUND' };
+            return { ok: true, patientFound: true, nombre: patient.nombre || null, edad: patient.edad ?? null, reason: null };
+        },
+
+        prefetchNextAvailability() {},
+
+        async getNextAvailability(rut, especialidad, sessionId) {
+            const slot = slots.find(s => sameText(s.especialidad, especialidad) && isFree(s, sessionId));
+            if (!slot) {
+                return {
+                    ok: true, horaFound: false, fecha: null, hora: null, doctor_box: null,
+                    especialidad: especialidad || null, hold: false, holdUntil: null, requisito: null, reason: 'NO_AVAILABILITY'
+                };
+            }
+
+            const holdUntil = new Date(now().getTime() + AGENDA_CONSTANTS.HOLD_DURATION_SECONDS * 1000);
+            holds.set(sessionId, { slot, holdUntil });
+            return {
+                ok: true,
+                horaFound: true,
+                slotId: slot.id_disponibilidad,
+                fecha: slot.fecha,
+                hora: slot.hora,
+                doctor_box: slot.doctor_box || null,
+                especialidad: slot.especialidad,
+                hold: true,
+                holdUntil: holdUntil.toISOString(),
+                requisito: slot.requisito || null,
+                reason: null
+            };
+        },
+
+        async confirmAvailability(sessionId, { rut = null } = {}) {
+            const hold = activeHold(sessionId);
+            if (!hold) return { ok: false, confirmed: false, especialidad: null, fecha: null, hora: null, reason: 'HOLD_NOT_FOUND_OR_EXPIRED' };
+
+            holds.delete(sessionId);
+            bookings.push({ rut, sessionId, slot: hold.slot });
+            return { ok: true, confirmed: true, especialidad: hold.slot.especialidad, fecha: hold.slot.fecha, hora: hold.slot.hora, reason: null };
+        },
+
+        async releaseAvailability(sessionId) {
+            const hold = activeHold(sessionId);
+            holds.delete(sessionId);
+            return {
+                ok: true,
+                released: Boolean(hold),
+                especialidad: hold?.slot.especialidad || null,
+                fecha: hold?.slot.fecha || null,
+                hora: hold?.slot.hora || null
+            };
+        },
+
+        async findBestSlots(rut, especialidad, dateRequest, sessionId) {
+            const candidates = slots
+                .filter(s => sameText(s.especialidad, especialidad) && isFree(s, sessionId))
+                .map(s => ({ ...s, slotId: s.id_disponibilidad }));
+            const menu = buildSlotMenu(candidates, dateRequest, { now: now() });
+            return { ok: true, ...menu, reason: menu.slots.length > 0 ? null : 'NO_AVAILABILITY' };
+        },
+
+        async holdSlot(slot, sessionId) {
+            const free = slots.find(s => s.id_disponibilidad === slot.slotId && isFree(s, sessionId));
+            if (!free) {
+                return { ok: true, held: false, slotId: slot.slotId, fecha: null, hora: null, doctor_box: null, especialidad: null, holdUntil: null, reason: 'SLOT_UNAVAILABLE' };
+            }
+
+            const holdUntil = new Date(now().getTime() + AGENDA_CONSTANTS.HOLD_DURATION_SECONDS * 1000);
+            holds.set(sessionId, { slot: free, holdUntil });
+            return {
+                ok: true,
+                held: true,
+                slotId: free.id_disponibilidad,
+                fecha: free.fecha,
+                hora: free.hora,
+                doctor_box: free.doctor_box || null,
+                especialidad: free.especialidad,
+                holdUntil: holdUntil.toISOString(),
+                reason: null
+            };
+        },
+
+        async findAppointments(rut) {
+            // Próximas primero, como usp_Agenda_FindAppointmentsByRut
+            const appointments = bookings
+                .filter(b => b.rut === rut)
+                .map(b => toPortSlot({ ...b.slot, appointmentId: b.slot.id_disponibilidad }, { now: now() }))
+                .filter(a => isUpcoming(a));
+            return { ok: true, appointments, reason: null };
+        },
+
+        async cancel(rut, appointment) {
+            const booking = findBooking(rut, appointment.appointmentId);
+            if (!booking) return { ok: false, cancelled: false, reason: 'APPOINTMENT_NOT_FOUND' };
+
+            bookings.splice(bookings.indexOf(booking), 1);
+            return { ok: true, cancelled: true, reason: null };
+        },
+
+        async reschedule(rut, appointment, slot, sessionId) {
+            const booking = findBooking(rut, appointment.appointmentId);
+            if (!booking) return { ok: false, rescheduled: false, reason: 'APPOINTMENT_NOT_FOUND' };
+
+            const hold = activeHold(sessionId);
+            if (!hold || hold.slot.id_disponibilidad !== slot.slotId) {
+                holds.delete(sessionId);
+                return { ok: false, rescheduled: false, reason: 'SLOT_UNAVAILABLE' };
+            }
+
+            holds.delete(sessionId);
+            booking.slot = hold.slot;
+            booking.sessionId = sessionId;
+            return { ok: true, rescheduled: true, reason: null };
+        }
+    };
+}
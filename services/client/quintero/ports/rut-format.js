@@ -0,0 +1,24 @@
+/**
+ * 🔢 FORMAT_RUT local (backends sql / mock)
+ * Mismo resultado que el evento FORMAT_RUT de n8n, sin red: parser determinístico + módulo 11.
+ */
+
+import { parseRutFromSpeech } from '../../../core/engine/identity/spoken-numbers.js';
+
+/**
+ * @param {string} rutRaw - Transcript dictado ("catorce millones ... guion ocho") o dígitos
+ * @returns {{ ok: boolean, rut: string|null, body: string|null, dv: string|null, reason: string|null }}
+ */
+export function formatRutLocally(rutRaw) {
+    if (!rutRaw || !String(rutRaw).trim()) {
+        return { ok: false, rut: null, body: null, dv: null, reason: 'EMPTY_INPUT' };
+    }
+
+    const parsed = parseRutFromSpeech(String(rutRaw));
+    if (!parsed.ok) {
+        return { ok: false, rut: null, body: null, dv: null, reason: 'INVALID_RUT_FORMAT' };
+    }
+
+    const body = String(parsed.body);
+    return { ok: true, rut: `${body}-${parsed.dv}`, body, dv: parsed.dv, reason: null };
+}
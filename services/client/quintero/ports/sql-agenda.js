@@ -0,0 +1,187 @@
+/**
+ * 🗄️ Agenda backend: MSSQL directo
+ * Pacientes vía sql/db-queries.js (sp_GetPatientByRut) y horas vía domains/agenda
+ * (HOLD en CLI_QUINTEROS_disponibilidad_horas, reserva con usp_Agenda_BookHeldSlot).
+ * Los módulos con base de datos se importan al primer uso: elegir otro backend no abre el pool.
+ */
+
+import { log } from '../../../../lib/logger.js';
+import { slotParts } from '../../../domains/agenda/agenda.menu.js';
+import { AGENDA_CONSTANTS } from '../../../domains/agenda/agenda.types.js';
+import { formatRutLocally } from './rut-format.js';
+import { toPortSlot } from './agenda-slots.js';
+
+const NO_SLOT = Object.freeze({
+    horaFound: false,
+    fecha: null,
+    hora: null,
+    doctor_box: null,
+    especialidad: null,
+    hold: false,
+    holdUntil: null,
+    requisito: null
+});
+
+// AppointmentChange.status (usp_Agenda_*) → reason del contrato
+const CHANGE_REASONS = Object.freeze({
+    [AGENDA_CONSTANTS.CHANGE_STATUS.NOT_FOUND]: 'APPOINTMENT_NOT_FOUND',
+    [AGENDA_CONSTANTS.CHANGE_STATUS.SLOT_UNAVAILABLE]: 'SLOT_UNAVAILABLE'
+});
+const changeReason = (result) => CHANGE_REASONS[result.status] || 'TECHNICAL_ERROR';
+const asDomainSlot = (id) => ({ id_disponibilidad: id });
+
+/**
+ * @param {object} [deps] - Inyección para tests
+ * @param {object} [deps.patients] - { getPatientByRut(rut) }
+ * @param {object} [deps.agenda] - agendaDomain (findAndHoldNextSlot, findBestSlots, holdSlot, bookHeldSlot,
+ *   findAppointmentsByRut, cancelAppointment, rescheduleAppointment, releaseHold)
+ * @param {Function} [deps.now] - Reloj para el menú (tests)
+ */
+export function createSqlAgendaBackend({ patients = null, agenda = null, now = () => new Date() } = {}) {
+    const loadPatients = async () => patients || (patients = await import('../sql/db-queries.js'));
+    const loadAgenda = async () => agenda || (agenda = (await import('../../../domains/agenda/agenda.domain.js')).agendaDomain);
+
+    return {
+        name: 'sql',
+        capabilities: { slotMenu: true, appointments: true },
+        tracksHolds: true, // agendaDomain registra sus HOLD en AgendaHoldTracker
+
+        async formatRut(rutRaw) {
+            return formatRutLocally(rutRaw);
+        },
+
+        async validatePatient(rut) {
+            try {
+                const patient = await (await loadPatients()).getPatientByRut(rut);
+                if (!patient) return { ok: false, patientFound: false, nombre: null, edad: null, reason: 'PATIENT_NOT_FOUND' };
+                return { ok: true, patientFound: true, nombre: patient.nombre_completo || null, edad: patient.edad ?? null, reason: null };
+            } catch (err) {
+                log('error', `❌ [AGENDA SQL] VALIDATE_PATIENT falló: ${err.message}`);
+                return { ok: false, patientFound: false, nombre: null, edad: null, reason: 'TECHNICAL_ERROR' };
+            }
+        },
+
+        // Buscar adelantado tomaría un HOLD antes de tiempo: la consulta directa ya es rápida
+        prefetchNextAvailability() {},
+
+        async getNextAvailability(rut, especialidad, sessionId) {
+            try {
+                const slot = await (await loadAgenda()).findAndHoldNextSlot(especialidad, sessionId);
+                if (!slot) return { ok: true, ...NO_SLOT, especialidad: especialidad || null, reason: 'NO_AVAILABILITY' };
+
+                const { date, time } = slotParts(slot);
+                return {
+                    ok: true,
+                    horaFound: true,
+                    slotId: slot.id_disponibilidad,
+                    fecha: date,
+                    hora: time,
+                    doctor_box: slot.doctor_box || null,
+                    especialidad: slot.especialidad || especialidad || null,
+                    hold: true,
+                    holdUntil: slot.HoldUntil ? new Date(slot.HoldUntil).toISOString() : null,
+                    requisito: slot.requisito || null,
+                    reason: null
+                };
+            } catch (err) {
+                log('error', `❌ [AGENDA SQL] GET_NEXT_AVAILABILITY falló: ${err.message}`);
+                return { ok: false, ...NO_SLOT, reason: 'TECHNICAL_ERROR' };
+            }
+        },
+
+        async confirmAvailability(sessionId, { rut = null } = {}) {
+            const nok = (reason) => ({ ok: false, confirmed: false, especialidad: null, fecha: null, hora: null, reason });
+            if (!rut) return nok('MISSING_REQUIRED_FIELDS');
+
+            try {
+                const result = await (await loadAgenda()).bookHeldSlot({ rut, sessionId });
+                if (!result.ok) return nok(result.status === AGENDA_CONSTANTS.CHANGE_STATUS.NOT_FOUND ? 'HOLD_NOT_FOUND_OR_EXPIRED' : 'TECHNICAL_ERROR');
+
+                const { date, time } = slotParts(result.slot);
+                return { ok: true, confirmed: true, especialidad: result.slot.especialidad || null, fecha: date, hora: time, reason: null };
+            } catch (err) {
+                log('error', `❌ [AGENDA SQL] CONFIRM_AVAILABILITY falló: ${err.message}`);
+                return nok('TECHNICAL_ERROR');
+            }
+        },
+
+        async releaseAvailability(sessionId) {
+            try {
+                const released = await (await loadAgenda()).releaseHold(sessionId);
+                return { ok: true, released: Boolean(released), especialidad: null, fecha: null, hora: null };
+            } catch (err) {
+                log('error', `❌ [AGENDA SQL] RELEASE_AVAILABILITY falló: ${err.message}`);
+                return { ok: false, released: false, especialidad: null, fecha: null, hora: null };
+            }
+        },
+
+        async findBestSlots(rut, especialidad, dateRequest, sessionId) {
+            try {
+                const menu = await (await loadAgenda()).findBestSlots(especialidad, dateRequest, { sessionId, now: now() });
+                const slots = menu.slots.map(slot => toPortSlot({ ...slot, slotId: slot.id_disponibilidad }, { now: now() }));
+                return { ok: true, slots, relaxed: menu.relaxed, menuText: menu.menuText, reason: slots.length > 0 ? null : 'NO_AVAILABILITY' };
+            } catch (err) {
+                log('error', `❌ [AGENDA SQL] FIND_SLOTS falló: ${err.message}`);
+                return { ok: false, slots: [], relaxed: false, menuText: '', reason: 'TECHNICAL_ERROR' };
+            }
+        },
+
+        async holdSlot(slot, sessionId) {
+            const notHeld = (ok, reason) => ({ ok, held: false, slotId: slot.slotId, fecha: null, hora: null, doctor_box: null, especialidad: null, holdUntil: null, reason });
+            try {
+                const held = await (await loadAgenda()).holdSlot(asDomainSlot(slot.slotId), sessionId);
+                if (!held) return notHeld(true, 'SLOT_UNAVAILABLE');
+                return {
+                    ok: true,
+                    held: true,
+                    slotId: slot.slotId,
+                    fecha: slot.fecha,
+                    hora: slot.hora,
+                    doctor_box: held.doctor_box || slot.doctor_box || null,
+                    especialidad: held.especialidad || slot.especialidad || null,
+                    holdUntil: held.HoldUntil ? new Date(held.HoldUntil).toISOString() : null,
+                    reason: null
+                };
+            } catch (err) {
+                log('error', `❌ [AGENDA SQL] HOLD_SLOT falló: ${err.message}`);
+                return notHeld(false, 'TECHNICAL_ERROR');
+            }
+        },
+
+        async findAppointments(rut, sessionId) {
+            try {
+                const appointments = await (await loadAgenda()).findAppointmentsByRut(rut, sessionId);
+                return { ok: true, appointments: appointments.map(a => toPortSlot({ ...a, appointmentId: a.id_disponibilidad }, { now: now() })), reason: null };
+            } catch (err) {
+                log('error', `❌ [AGENDA SQL] FIND_APPOINTMENTS falló: ${err.message}`);
+                return { ok: false, appointments: [], reason: 'TECHNICAL_ERROR' };
+            }
+        },
+
+        async cancel(rut, appointment, sessionId, motivo = null) {
+            try {
+                const result = await (await loadAgenda()).cancelAppointment({ rut, appointment: asDomainSlot(appointment.appointmentId), sessionId, reason: motivo });
+                return { ok: result.ok, cancelled: result.ok, reason: result.ok ? null : changeReason(result) };
+            } catch (err) {
+                log('error', `❌ [AGENDA SQL] CANCEL_APPOINTMENT falló: ${err.message}`);
+                return { ok: false, cancelled: false, reason: 'TECHNICAL_ERROR' };
+            }
+        },
+
+        async reschedule(rut, appointment, slot, sessionId, motivo = null) {
+            try {
+                const result = await (await loadAgenda()).rescheduleAppointment({
+                    rut,
+                    appointment: asDomainSlot(appointment.appointmentId),
+                    slot: asDomainSlot(slot.slotId),
+                    sessionId,
+                    reason: motivo
+                });
+                return { ok: result.ok, rescheduled: result.ok, reason: result.ok ? null : changeReason(result) };
+            } catch (err) {
+                log('error', `❌ [AGENDA SQL] RESCHEDULE_APPOINTMENT falló: ${err.message}`);
+                return { ok: false, rescheduled: false, reason: 'TECHNICAL_ERROR' };
+            }
+        }
+    };
+}
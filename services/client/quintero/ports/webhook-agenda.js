@@ -0,0 +1,24 @@
+/**
+ * 🪝 Agenda backend: n8n webhook
+ * Delegación directa a n8n/webhook-client.js (n8n guarda el HOLD por sessionId).
+ * n8n solo atiende los eventos históricos (FORMAT_RUT ... RELEASE_AVAILABILITY): sin menú de horas
+ * ni horas reservadas, los handlers ofrecen la primera hora disponible y no buscan citas previas.
+ */
+
+import * as webhookClient from '../n8n/webhook-client.js';
+import { getN8nHttpClient } from '../n8n/n8n-http.js';
+
+export function createWebhookAgendaBackend(client = webhookClient) {
+    getN8nHttpClient(); // Auth mal configurada (WEBHOOK_AUTH_CONFIG) falla al cargar, no en la primera llamada
+    return {
+        name: 'webhook',
+        capabilities: { slotMenu: false, appointments: false },
+        formatRut: (rutRaw, sessionId, ani = null, dnis = null) => client.formatRut(rutRaw, sessionId, ani, dnis),
+        validatePatient: (rut, sessionId) => client.validatePatient(rut, sessionId),
+        prefetchNextAvailability: (rut, especialidad, sessionId) => client.prefetchNextAvailability(rut, especialidad, sessionId),
+        getNextAvailability: (rut, especialidad, sessionId) => client.getNextAvailability(rut, especialidad, sessionId),
+        // n8n resuelve el RUT desde el HOLD de la sesión
+        confirmAvailability: (sessionId) => client.confirmAvailability(sessionId),
+        releaseAvailability: (sessionId) => client.releaseAvailability(sessionId)
+    };
+}
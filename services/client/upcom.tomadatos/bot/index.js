@@ -4,6 +4,10 @@
  */
 
 import { log } from '../../../../lib/logger.js';
+import { parseIdentity } from '../../../core/engine/identity/identity-types.js';
+
+// Intentos de teléfono antes de aceptar lo dicho sin validar
+const MAX_PHONE_ATTEMPTS = 2;
 
 // Estado inicial
 function initialState() {
@@ -12,7 +16,8 @@ function initialState() {
         data: {
             name: null,
             rut: null,
-            phone: null
+            phone: null,
+            phoneValidated: false
         },
         attempts: 0
     };
@@ -23,6 +28,7 @@ const MESSAGES = {
     askRut: "Gracias. Ahora, por favor indíqueme su RUT.",
     askPhone: "Bien. Por último, indíqueme su número de teléfono de contacto.",
     goodbye: "Perfecto, hemos registrado sus datos. Nos pondremos en contacto con usted a la brevedad. Adiós.",
+    phoneRetry: "No logré anotar un teléfono válido. Dígame los nueve dígitos, por ejemplo: nueve, uno dos tres cuatro, cinco seis siete ocho.",
     fallback: "No le he entendido bien. ¿Podría repetirlo?",
     error: "Ha ocurrido un error. Cortaremos la llamada. Gracias."
 };
@@ -91,8 +97,19 @@ export default async function upcomTomadatosBot(ctx) {
 
         case 'ASK_PHONE':
             if (cleanTranscript) {
-                state.data.phone = cleanTranscript;
-                log("info", `✅ [UPCOM] Teléfono capturado: ${cleanTranscript}`);
+                const phone = parseIdentity(cleanTranscript, 'PHONE_CL');
+                state.attempts++;
+
+                if (!phone.valid && state.attempts < MAX_PHONE_ATTEMPTS) {
+                    log("info", `⚠️ [UPCOM] Teléfono no válido (${phone.reason}), intento ${state.attempts}/${MAX_PHONE_ATTEMPTS}: "${cleanTranscript}"`);
+                    ttsText = MESSAGES.phoneRetry;
+                    break;
+                }
+
+                // +56XXXXXXXXX si es válido; si no, lo dicho tal cual (marcado para revisión)
+                state.data.phone = phone.valid ? phone.display.replace(/\s/g, '') : cleanTranscript;
+                state.data.phoneValidated = phone.valid;
+                log("info", `✅ [UPCOM] Teléfono capturado: ${state.data.phone} (validado=${phone.valid}, confianza=${phone.confidence})`);
 
                 // Enviar Webhook (Simulado)
                 await sendWebhook(state.data);
@@ -0,0 +1,17 @@
+/**
+ * 📇 Upcom Tomadatos Capsule Manifest
+ * Declaración leída por services/router/capsule-registry.js.
+ * Cada mode/DNIS listado aquí pertenece EXCLUSIVAMENTE a esta cápsula.
+ */
+export default {
+    id: 'upcom.tomadatos',
+    version: '1.0.0',
+    modes: [
+        'voicebot_upcom',
+        'voicebot_upcom_tomadatos',
+        'voicebot_tomadatos'
+    ],
+    dnis: [],
+    requiredFeatures: ['stt.realtime', 'tts'],
+    entry: './inbound/engine-adapter.js'
+};
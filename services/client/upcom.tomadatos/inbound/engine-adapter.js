@@ -1,8 +1,10 @@
 import { log } from '../../../../lib/logger.js';
-import upcomBot from '../bot/index.js';
+import upcomBot, { getGreeting } from '../bot/index.js';
 
 /**
- * 🌉 Upcom Capsule Adapter
+ * 🌉 Upcom Capsule Adapter (Contrato de Cápsula v2)
+ * Hooks por evento + capacidades/fases declaradas: el engine deriva
+ * barge-in y escucha desde aquí, no desde campos sueltos del resultado.
  */
 // ✅ GUARDRAIL: Validar estrictamente string prompt
 function safePrompt(prompt) {
@@ -12,17 +14,67 @@ function safePrompt(prompt) {
     return prompt;
 }
 
-export default async function upcomAdapter(ctx) {
+async function runBot(ctx) {
     log("info", "🌉 [CAPSULE] Entering Upcom Adapter");
     try {
-        const result = await upcomBot(ctx);
+        // El engine arranca con state = {} → el bot inicializa su propio estado
+        const result = await upcomBot({ ...ctx, state: ctx.state?.step ? ctx.state : null });
         // ✅ VALIDACIÓN DEFENSIVA
         if (result.prompt) {
             result.prompt = safePrompt(result.prompt);
         }
-        return result;
+        return {
+            nextPhase: result.nextPhase,
+            tts: result.ttsText,
+            hangup: result.shouldHangup === true,
+            state: result.state
+        };
     } catch (error) {
         log("error", "🌉 💥 [CAPSULE] Error inside Upcom Adapter", error);
         throw error;
     }
 }
+
+export default {
+    contractVersion: 2,
+    domainName: 'upcom',
+    botName: 'Upcom Tomadatos',
+
+    capabilities: {
+        needsSnoop: true,
+        sttMode: 'realtime',
+        bargeIn: true,
+        dtmf: false
+    },
+
+    initialPhase: 'ASK_NAME',
+    phases: {
+        ASK_NAME: { listen: true },
+        ASK_RUT: { listen: true },
+        ASK_PHONE: { listen: true },
+        END: { listen: false, bargeIn: false }
+    },
+
+    hooks: {
+        // Turno 0 explícito: saludo + pedir nombre
+        async onInit(ctx) {
+            const result = await runBot({ ...ctx, transcript: "" });
+            return { ...result, tts: getGreeting() };
+        },
+
+        onTurn: (ctx) => runBot(ctx),
+
+        onSilence: (ctx) => runBot({ ...ctx, transcript: "" }),
+
+        async onFinalize(ctx) {
+            const data = ctx.state?.data || {};
+            log("info", `🏁 [UPCOM] Cierre de sesión ${ctx.sessionId}`, {
+                step: ctx.state?.step || 'UNKNOWN',
+                name: !!data.name,
+                rut: !!data.rut,
+                phone: !!data.phone
+            });
+            return null;
+        }
+    }
+};
@@ -2,15 +2,19 @@ import AriClient from "ari-client";
 import { sql, poolPromise } from "../../../lib/db.js";
 import redis from "../../../lib/redis.js";
 import { log } from "../../../lib/logger.js";
-import { checkRule } from "./business-rules.js";
+import { checkRule, evaluateRouting, invalidateRulesCache, DEFAULT_TENANT_ID, RULES_INVALIDATE_CHANNEL, RoutingAction } from "./business-rules.js";
 import dotenv from "dotenv";
 // cleaned legacy imports
 import { startVoiceBotSessionV3 } from "../engine/voice-engine.js";
-import { resolveClientCapsule } from "../../router/client-entry-router.js";
+import { resolveClientCapsule, validateRegisteredCapsules } from "../../router/client-entry-router.js";
+import { findCapsule } from "../../router/capsule-registry.js";
 import { inboundConfig } from "../engine/config.js";
 import { startRecording, stopRecording } from "../telephony/telephony-recorder.js";
-import { isTeardownAllowed, isActionAllowed } from "../engine/lifecycle-contract.js";
+import { isTeardownAllowed, isActionAllowed, releaseLifecycleContract } from "../engine/lifecycle-contract.js";
 import { validateAndNormalizeCapsule } from "../engine/capsule-contract.js";
+import { integrationMetrics } from "../engine/integrations/http-integration-client.js";
+import { HANDOFF_AGENT_ROLE } from "../engine/domain/handoff.js";
+import { transferToQueue } from "../engine/domain/transfers.js";
 dotenv.config();
 
 
@@ -114,6 +118,92 @@ function detectDirection(channel) {
   return "UNKNOWN";
 }
 
+/**
+ * 🧭 Aplica la decisión del rules engine antes de iniciar la cápsula
+ * MODE → cambia la cápsula | QUEUE → cola (transferencia ciega) | ANNOUNCE → audio y colgar | REJECT → colgar
+ * @returns {Promise<{handled: boolean, mode: string}>} handled=true si la llamada ya no sigue al VoiceBot
+ */
+async function applyRoutingDecision(ari, channel, { mode, ani, dnis, linkedId }) {
+  let decision;
+  try {
+    const capsule = await findCapsule(mode, dnis);
+    decision = await evaluateRouting({ tenantId: capsule?.tenantId ?? DEFAULT_TENANT_ID, dnis, ani, callId: linkedId });
+  } catch (err) {
+    log("warn", `⚠️ [RULES] Error evaluando reglas, se continúa sin enrutamiento: ${err.message}`);
+    return { handled: false, mode };
+  }
+
+  if (decision.action === RoutingAction.CONTINUE) return { handled: false, mode };
+
+  await publish(channel, "rule.applied", {
+    type: decision.ruleType,
+    action: decision.action,
+    reason: decision.reason,
+    ruleId: decision.ruleId,
+    ani,
+    dnis,
+    linkedId,
+    timestamp: new Date().toISOString(),
+  });
+
+  if (decision.action === RoutingAction.MODE) {
+    log("info", `🧭 [RULES] Mode ${mode} → ${decision.mode} (regla ${decision.ruleId})`);
+    return { handled: false, mode: decision.mode || mode };
+  }
+
+  if (decision.action === RoutingAction.QUEUE) {
+    await channel.answer().catch(() => { });
+    await transferToQueue(ari, channel, decision.queue || inboundConfig.routing.queueName);
+    return { handled: true, mode };
+  }
+
+  if (decision.action === RoutingAction.ANNOUNCE && decision.announcement) {
+    await channel.answer().catch(() => { });
+    try {
+      const playback = ari.Playback();
+      const finished = new Promise((resolve) => {
+        playback.once("PlaybackFinished", resolve);
+        playback.once("PlaybackFailed", resolve);
+        setTimeout(resolve, 60000);
+      });
+      const media = decision.announcement.startsWith("sound:") ? decision.announcement : `sound:${decision.announcement}`;
+      await channel.play({ media }, playback);
+      await finished;
+    } catch (err) {
+      log("warn", `⚠️ [RULES] Error reproduciendo anuncio ${decision.announcement}: ${err.message}`);
+    }
+  }
+
+  // ANNOUNCE / REJECT terminan la llamada
+  await publish(channel, "call.rejected", {
+    channelId: channel.id,
+    linkedId,
+    ani,
+    dnis,
+    reason: decision.reason,
+    direction: detectDirection(channel),
+    endedAt: new Date().toISOString(),
+  });
+  await channel.hangup().catch((err) => log("warn", `Error al colgar llamada rechazada por regla: ${err.message}`));
+  return { handled: true, mode };
+}
+
+/**
+ * 🧹 Reglas editadas en SQL → PUBLISH business-rules.invalidate '{"tenantId":1}'
+ */
+async function subscribeRulesInvalidation() {
+  const subscriber = redis.duplicate();
+  await subscriber.connect();
+  await subscriber.subscribe(RULES_INVALIDATE_CHANNEL, (msg) => {
+    let tenantId = null;
+    try {
+      tenantId = JSON.parse(msg)?.tenantId ?? null;
+    } catch { }
+    invalidateRulesCache(tenantId);
+  });
+  log("info", `🧹 [RULES] Escuchando invalidaciones en ${RULES_INVALIDATE_CHANNEL}`);
+}
+
 // Crear bridge mixing si no existe
 async function ensureBridge(ari, bridgeId) {
   const bridge = ari.Bridge();
@@ -214,6 +304,7 @@ function parseArgs(event, args) {
   // raw[0] = mode
   // raw[1] = ANI
   // raw[2] = DNIS
+  // raw[3] = "outbound" (solo llamadas originadas por makeCall)
 
   const mode = raw[0] || "unknown";
 
@@ -225,6 +316,7 @@ function parseArgs(event, args) {
     mode,
     source: String(source).replace(/[^0-9+]/g, "") || "UNKNOWN",
     target: String(target).replace(/[^0-9+]/g, "") || "UNKNOWN",
+    outbound: String(raw[3] || "").trim() === "outbound",
     bridgeId: null,
     channelId: null,
     uniqueId: null
@@ -545,6 +637,9 @@ async function hangupOriginAndCleanup(ari, linkedId, culpritChannelId) {
       log("info", `🧹 Limpieza Redis: ${keysToDelete.length} keys eliminadas`);
     }
 
+    // 🔒 Contrato de lifecycle de la cápsula: se libera junto con las keys de la llamada
+    releaseLifecycleContract(linkedId);
+
   } catch (e) {
     log("error", "hangupOriginAndCleanup error", e.message);
   } finally {
@@ -560,18 +655,20 @@ async function hangupOriginAndCleanup(ari, linkedId, culpritChannelId) {
 }
 
 // ------------------------------------------------------
-// 🔗 Conexión ARI
+// 🎛️ Registro de handlers ARI
 // ------------------------------------------------------
-AriClient.connect(
-  process.env.ARI_URL,
-  process.env.ARI_USER,
-  process.env.ARI_PASS,
-  async (err, ari) => {
-    if (err) {
-      console.error("❌ Error al conectar con ARI:", err);
-      return;
-    }
-    log("info", "✅ Conectado a Asterisk ARI");
+/**
+ * Registra todos los handlers Stasis sobre un cliente ARI ya conectado
+ * (Asterisk real o simulador offline) e inicia las apps Main + Snoop.
+ *
+ * @param {object} ari - Cliente ARI (ari-client o FakeAri)
+ * @param {object} options - { realtimeClientFactory, onSessionEnd } opcionales
+ *   - realtimeClientFactory: se propaga al domainContext (cliente STT/TTS alternativo)
+ *   - onSessionEnd({ linkedId, channelId, mode, error }): fin de startVoiceBotSessionV3
+ * @returns {Function} dispose - Detiene los timers periódicos del listener
+ */
+export function registerAriHandlers(ari, options = {}) {
+    const timers = [];
 
     // ------------------------------------------------------
     // 🎬 STASIS START
@@ -589,6 +686,12 @@ AriClient.connect(
         (eventArgsStr.includes('role=externalMedia') || eventArgsStr.includes('kind=stt')) ||
         (!event.args || (Array.isArray(event.args) && event.args.length === 0) || event.args === '[]');
 
+      // 🧑‍💼 Tramo del agente en un HANDOFF: lo maneja el engine (domain/handoff.js)
+      if (eventArgsStr.includes(HANDOFF_AGENT_ROLE)) {
+        log("info", `🧑‍💼 [ARI] Agente de handoff en Stasis (${channel.id}) - no se rutea a VoiceBot`);
+        return;
+      }
+
       if (isExternalMedia) {
         log("info", `🔇 [ARI] ExternalMedia channel detected (${channel.id}) - ignored (no routing to VoiceBot)`, {
           channelId: channel.id,
@@ -610,7 +713,7 @@ AriClient.connect(
 
       // Parseo único, una sola vez
       const parsed = parseArgs(event, args);
-      const mode = parsed.mode;
+      let mode = parsed.mode; // 🧭 Una regla MODE puede reasignarlo
       const bridgeId = parsed.bridgeId || `bridge-${(channel.linkedid || channel.id)}`;
       const ani = parsed.source;
       const dnis = parsed.target;
@@ -669,6 +772,13 @@ AriClient.connect(
             event.channel?.variables?.ORIG_EXT ||
             "UNKNOWN");
 
+      // 🧭 REGLAS DE NEGOCIO: decisión de enrutamiento (tenant + DNIS) para entrantes de VoiceBot
+      if (!parsed.outbound && (inboundConfig.bots[mode] || await findCapsule(mode, safeDnis).catch(() => null))) {
+        const routing = await applyRoutingDecision(ari, channel, { mode, ani, dnis: safeDnis, linkedId });
+        if (routing.handled) return;
+        mode = routing.mode;
+      }
+
       try {
         // ==========================================================
         // 🧩 MODO INTERNO — llamadas entre extensiones
@@ -888,8 +998,9 @@ AriClient.connect(
         //   return;
         // }
 
-        else if (inboundConfig.bots[mode]) {
-          const botConfig = inboundConfig.bots[mode];
+        else if (inboundConfig.bots[mode] || await findCapsule(mode, safeDnis)) {
+          // 📇 Modes declarados por cápsulas no necesitan entrada en inboundConfig.bots
+          const botConfig = inboundConfig.bots[mode] || { description: "Capsule Registry" };
           log("info", `🤖 [ARI] VoiceBot Session Mode=${mode} (${botConfig.description}) ANI=${ani} DNIS=${safeDnis}`);
 
           // 🛡️ CRÍTICO: Asignar rol al canal INMEDIATAMENTE para evitar hangup temprano
@@ -992,7 +1103,7 @@ AriClient.connect(
           log("info", `🤖 Iniciando sesión de VoiceBot (${mode}) para canal ${channel.id} (${ani} → ${safeDnis})`);
 
           try {
-            const rawCapsule = await resolveClientCapsule(mode);
+            const rawCapsule = await resolveClientCapsule(mode, safeDnis);
 
             // 🛡️ VALIDACIÓN CRÍTICA: Verificar que capsule existe
             if (!rawCapsule) {
@@ -1019,7 +1130,9 @@ AriClient.connect(
               domainName: capsule.domainName || 'unknown',
               botName: capsule.botName || 'unknown',
               hasSystemPrompt: typeof capsule.systemPrompt === 'string',
-              sttMode: capsule.sttMode || 'none'
+              sttMode: capsule.sttMode || 'none',
+              contractVersion: capsule.contractVersion || 1,
+              capabilities: capsule.capabilities || 'undeclared'
             });
 
             // 🎯 CONTRATO ESTÁNDAR: Crear domainContext con estructura validada
@@ -1030,8 +1143,20 @@ AriClient.connect(
               botName: capsule.botName || 'Capsule',
               systemPrompt: capsule.systemPrompt, // ✅ Inject System Prompt
               sttMode: capsule.sttMode, // ✅ Inject STT Mode (Legacy/Realtime)
+              contractVersion: capsule.contractVersion || 1, // 🪝 v2 = hooks + capabilities declaradas
+              capabilities: capsule.capabilities,
+              phases: capsule.phases,
+              hooks: capsule.hooks,
+              lifecycle: capsule.lifecycle, // 🔒 Contrato de fases (core + cápsula)
+              voicemail: capsule.voicemail, // 📠 Mensaje para contestadoras (AMD)
+              handoff: capsule.handoff, // 🧑‍💼 Defaults del traspaso a agente
+              ttsProfile: capsule.ttsProfile, // 🔀 Proveedor/voz TTS de la cápsula
+              sttPhases: capsule.sttPhases, // 📝 Prompt/vocabulario/idioma/gramática STT por fase
+              languages: capsule.languages, // 🌐 Idioma por defecto / soportados / detección en primer turno
+              direction: parsed.outbound ? "OUTBOUND" : "INBOUND", // 📞 OUTBOUND = originada por makeCall → AMD
               state: {}, // ✅ State persistence for V3 Engine
-              audioChannelId: snoopChannel?.id // ✅ Pass Snoop Channel ID for STT
+              audioChannelId: snoopChannel?.id, // ✅ Pass Snoop Channel ID for STT
+              realtimeClientFactory: options.realtimeClientFactory // 🧪 null en producción (cliente OpenAI incremental)
             };
 
             log("info", `🚀 [ARI] Iniciando VoiceBot con domainContext validado:`, {
@@ -1046,6 +1171,7 @@ AriClient.connect(
             });
 
             await startVoiceBotSessionV3(ari, channel, ani, dnis, linkedId, mode, domainContext);
+            options.onSessionEnd?.({ linkedId, channelId: channel.id, mode });
           } catch (err) {
             log("error", `❌ Error iniciando VoiceBot V3: ${err.message}`, {
               errorType: err.constructor.name,
@@ -1056,6 +1182,7 @@ AriClient.connect(
               linkedId: linkedId
             });
             await channel.hangup().catch(() => { });
+            options.onSessionEnd?.({ linkedId, channelId: channel.id, mode, error: err });
           }
           return;
         }
@@ -1891,7 +2018,7 @@ AriClient.connect(
     // ------------------------------------------------------
     // 🏥 Redis Healthcheck
     // ------------------------------------------------------
-    setInterval(async () => {
+    timers.push(setInterval(async () => {
       try {
         const testKey = "healthcheck:ari-listener";
         await redis.set(testKey, Date.now(), { EX: 10 });
@@ -1901,12 +2028,12 @@ AriClient.connect(
       } catch (err) {
         log("error", "🏥 Healthcheck FAILED - Redis inaccesible", err.message);
       }
-    }, 30000); // cada 30s
+    }, 30000)); // cada 30s
 
     // ------------------------------------------------------
     // 🧹 Orphan Lock Cleanup
     // ------------------------------------------------------
-    setInterval(async () => {
+    timers.push(setInterval(async () => {
       try {
         const keys = await redis.keys("cleanup:*");
         const now = Date.now();
@@ -1925,12 +2052,12 @@ AriClient.connect(
       } catch (err) {
         log("error", "Error en orphan lock cleanup", err.message);
       }
-    }, 300000); // cada 5 minutos
+    }, 300000)); // cada 5 minutos
 
     // ------------------------------------------------------
     // 📊 Métricas de Sistema Multinivel
     // ------------------------------------------------------
-    setInterval(async () => {
+    timers.push(setInterval(async () => {
       try {
         // Contar relaciones A↔B activas
         const alegKeys = await redis.keys("aleg:*:bleg");
@@ -1956,7 +2083,51 @@ AriClient.connect(
       } catch (err) {
         log("error", "Error en métricas de sistema", err.message);
       }
-    }, 60000); // cada 1 minuto
-  }
-);
+    }, 60000)); // cada 1 minuto
+
+    // ------------------------------------------------------
+    // 🔗 Métricas de integraciones HTTP (latencia por evento + breakers)
+    // ------------------------------------------------------
+    timers.push(setInterval(async () => {
+      try {
+        const metrics = integrationMetrics();
+        for (const [name, { latency, breakers }] of Object.entries(metrics)) {
+          const summary = latency.map(h => `${h.event}/${h.outcome} n=${h.count} p50=${h.p50}ms p95=${h.p95}ms p99=${h.p99}ms`).join(", ");
+          const open = Object.entries(breakers).filter(([, b]) => b.state !== "closed").map(([endpoint, b]) => `${endpoint}=${b.state}`);
+          if (summary) log("info", `🔗 Integración ${name}: ${summary}${open.length ? ` | circuitos: ${open.join(", ")}` : ""}`);
+        }
+        // Snapshot completo (buckets incluidos) para dashboards
+        await redis.set("metrics:integrations", JSON.stringify({ at: new Date().toISOString(), clients: metrics }), { EX: 180 });
+      } catch (err) {
+        log("error", "Error en métricas de integraciones", err.message);
+      }
+    }, 60000)); // cada 1 minuto
+
+    return () => timers.forEach(clearInterval);
+}
+
+// ------------------------------------------------------
+// 🔗 Conexión ARI
+// ------------------------------------------------------
+// ARI_AUTOCONNECT=false → solo expone registerAriHandlers (simulador / tests)
+if (process.env.ARI_AUTOCONNECT !== "false") {
+  // 📇 Fail-fast: registro inconsistente (mode/DNIS duplicado) o cápsula fuera de contrato aborta el arranque
+  validateRegisteredCapsules().then(() => AriClient.connect(
+    process.env.ARI_URL,
+    process.env.ARI_USER,
+    process.env.ARI_PASS,
+    async (err, ari) => {
+      if (err) {
+        console.error("❌ Error al conectar con ARI:", err);
+        return;
+      }
+      log("info", "✅ Conectado a Asterisk ARI");
+      registerAriHandlers(ari);
+      subscribeRulesInvalidation().catch((subErr) => log("warn", `⚠️ [RULES] Sin invalidación por Redis: ${subErr.message}`));
+    }
+  )).catch((err) => {
+    log("error", `❌ [REGISTRY] Cápsulas inválidas, abortando arranque: ${err.message}`);
+    process.exit(1);
+  });
+}
 
@@ -1,11 +1,31 @@
 // /services/business-rules.js
 import { sql, poolPromise } from "../../../lib/db.js";
 import { log } from "../../../lib/logger.js";
+import {
+    evaluateRules,
+    normalizeRule,
+    ruleMatches,
+    RoutingAction,
+    RuleType,
+    TIME_RULE_TYPES,
+    DEFAULT_TIMEZONE
+} from "./rules-engine.js";
+
+export { RoutingAction, RuleType } from "./rules-engine.js";
+
+export const DEFAULT_TENANT_ID = parseInt(process.env.DEFAULT_TENANT_ID || "1", 10);
+export const RULES_CACHE_TTL_MS = parseInt(process.env.BUSINESS_RULES_CACHE_TTL_MS || "60000", 10);
+
+// Canal Redis para invalidar la caché tras editar reglas (payload: { tenantId } o vacío = todos)
+export const RULES_INVALIDATE_CHANNEL = "business-rules.invalidate";
+
+// tenantId -> { promise, loadedAt }
+const rulesCache = new Map();
 
 /**
  * Obtiene las reglas activas desde SQL Server
  */
-export async function getActiveRules(tenantId = 1) {
+export async function getActiveRules(tenantId = DEFAULT_TENANT_ID) {
     try {
         const pool = await poolPromise;
         const result = await pool
@@ -19,49 +39,139 @@ export async function getActiveRules(tenantId = 1) {
     }
 }
 
+/**
+ * Reglas normalizadas + calendarios de feriados del tenant (sin caché)
+ * @returns {Promise<{rules: object[], holidays: object}>}
+ */
+export async function loadTenantRules(tenantId = DEFAULT_TENANT_ID) {
+    const pool = await poolPromise;
+    const result = await pool
+        .request()
+        .input("TenantId", sql.Int, tenantId)
+        .execute("usp_BusinessRules_GetRouting");
+
+    const [ruleRows = [], holidayRows = []] = result.recordsets || [];
+    const holidays = {};
+    for (const row of holidayRows) {
+        (holidays[row.Calendar] ||= []).push(String(row.HolidayDate).slice(0, 10));
+    }
+
+    return {
+        rules: ruleRows.filter(r => r.IsActive !== false && r.IsActive !== 0).map(normalizeRule).filter(Boolean),
+        holidays
+    };
+}
+
+/**
+ * Reglas del tenant con caché (TTL + invalidación explícita)
+ * Un error de SQL no se cachea: se reintenta en la próxima llamada.
+ */
+export async function getTenantRules(tenantId = DEFAULT_TENANT_ID, { now = Date.now() } = {}) {
+    const cached = rulesCache.get(tenantId);
+    if (cached && now - cached.loadedAt < RULES_CACHE_TTL_MS) return cached.promise;
+
+    const promise = loadTenantRules(tenantId).catch((err) => {
+        log("error", `❌ [RULES] Error cargando reglas del tenant ${tenantId}: ${err.message}`);
+        rulesCache.delete(tenantId);
+        return { rules: [], holidays: {} };
+    });
+    rulesCache.set(tenantId, { promise, loadedAt: now });
+    return promise;
+}
+
+/**
+ * Invalida la caché de un tenant (o de todos si no se indica)
+ */
+export function invalidateRulesCache(tenantId = null) {
+    if (tenantId === null || tenantId === undefined) {
+        rulesCache.clear();
+    } else {
+        rulesCache.delete(Number(tenantId));
+    }
+    log("info", `🧹 [RULES] Caché de reglas invalidada (tenant=${tenantId ?? 'todos'})`);
+}
+
+/**
+ * Decisión de enrutamiento para una llamada entrante
+ *
+ * @param {object} call
+ * @param {number} [call.tenantId]
+ * @param {string} call.dnis
+ * @param {string} call.ani
+ * @param {string} [call.callId] - linkedId (reparto porcentual estable)
+ * @param {Date} [call.now]
+ * @returns {Promise<{action: string, mode?: string, queue?: string, announcement?: string, reason: string, ruleId: any, ruleType: string|null}>}
+ */
+export async function evaluateRouting({ tenantId = DEFAULT_TENANT_ID, dnis, ani, callId, now = new Date() } = {}) {
+    const { rules, holidays } = await getTenantRules(tenantId);
+    const decision = evaluateRules(rules, { dnis, ani, callId, now, holidays, timezone: DEFAULT_TIMEZONE });
+    if (decision.action !== RoutingAction.CONTINUE || decision.ruleId !== null) {
+        log("info", `🧭 [RULES] tenant=${tenantId} dnis=${dnis} ani=${ani} → ${decision.action} (${decision.reason}, regla ${decision.ruleId})`);
+    }
+    return decision;
+}
+
 /**
  * Evalúa una regla por tipo
  * @param {string} type - Tipo de regla ('schedule','vip','holiday')
  * @param {string} [value] - Valor a evaluar (ej. número del cliente)
+ * @param {object} [options] - { tenantId, now }
  */
-export async function checkRule(type, value = "") {
-    const rules = await getActiveRules(1);
-    const match = rules.find((r) => r.RuleType === type && r.IsActive);
+export async function checkRule(type, value = "", { tenantId = DEFAULT_TENANT_ID, now = new Date() } = {}) {
+    const { rules, holidays } = await getTenantRules(tenantId);
+    const match = rules.find((r) => r.type === type && !r.dnis);
 
     if (!match) return true; // si no existe regla, permitir flujo normal
 
+    const holds = ruleMatches({ ...match, negate: false }, { ani: value, now, holidays });
     switch (type) {
         case "schedule":
-            return isWithinSchedule(match.Param1, match.Param2);
+            return holds;
 
         case "vip":
-            return match.Param1?.split(",").includes(value);
+            return holds;
 
         case "holiday":
-            return !isHolidayToday(match.Param1);
+            return !holds;
 
         default:
             return true;
     }
 }
 
-/** Horario dentro del rango permitido */
-function isWithinSchedule(start = "09:00", end = "18:00") {
-    const now = new Date();
-    const [h1, m1] = start.split(":").map(Number);
-    const [h2, m2] = end.split(":").map(Number);
+/**
+ * Ventana de marcado para campañas salientes
+ * Usa las mismas reglas de fecha/hora que el inbound; la campaña puede acotar el horario.
+ *
+ * @param {object} options
+ * @param {number} [options.tenantId]
+ * @param {{start: string, end: string}|null} [options.window] - Horario propio de la campaña ('HH:MM', hora local)
+ * @param {Date} [options.now]
+ * @returns {Promise<boolean>} - true si se puede marcar ahora
+ */
+export async function isCallingWindowOpen({ tenantId = DEFAULT_TENANT_ID, window = null, now = new Date() } = {}) {
+    const { rules, holidays } = await getTenantRules(tenantId);
+    return evaluateCallingWindow(rules, { window, now, holidays });
+}
 
-    const startTime = new Date();
-    startTime.setHours(h1, m1, 0, 0);
+/**
+ * Evaluación pura de la ventana de marcado (reglas ya cargadas, filas SQL o normalizadas)
+ * - una regla de fecha/hora tenant-wide que rechaza (fuera de horario, feriado...) → cerrado
+ * - window de la campaña → debe cumplirse también
+ */
+export function evaluateCallingWindow(rules = [], { window = null, now = new Date(), holidays = {} } = {}) {
+    const closed = rules
+        .map(r => (r.RuleType ? normalizeRule(r) : r))
+        .filter(r => r && !r.dnis && TIME_RULE_TYPES.includes(r.type) && r.action === RoutingAction.REJECT)
+        .some(r => ruleMatches(r, { now, holidays }));
+    if (closed) return false;
 
-    const endTime = new Date();
-    endTime.setHours(h2, m2, 0, 0);
+    if (window && !isWithinSchedule(window.start, window.end, now)) return false;
 
-    return now >= startTime && now <= endTime;
+    return true;
 }
 
-/** Verifica si hoy es feriado (MM-DD) */
-function isHolidayToday(list = "") {
-    const today = new Date().toISOString().slice(5, 10); // 'MM-DD'
-    return list.split(",").includes(today);
+/** Horario dentro del rango permitido (hora local del negocio) */
+function isWithinSchedule(start = "09:00", end = "18:00", now = new Date()) {
+    return ruleMatches({ type: RuleType.SCHEDULE, params: { start, end }, negate: false }, { now });
 }
@@ -0,0 +1,267 @@
+/**
+ * RulesEngine - Ordered business rules per tenant / DNIS → routing decision
+ *
+ * Purpose: Decide what to do with an incoming call before the capsule starts.
+ * Rules are evaluated in order (priority, DNIS-specific before tenant-wide);
+ * the first one whose condition matches produces the decision.
+ *
+ * Conditions (RuleType + Params JSON, optional Negate):
+ * - schedule      { days: [1..7] | "1-5", start: "HH:MM", end: "HH:MM" }  (1 = lunes)
+ * - date_range    { from: "YYYY-MM-DD", to: "YYYY-MM-DD" }
+ * - holiday       { calendar?: "CL", dates?: ["MM-DD" | "YYYY-MM-DD"] }
+ * - ani_blacklist { numbers?: [], prefixes?: [] }   → ANI listed
+ * - ani_whitelist { numbers?: [], prefixes?: [] }   → ANI NOT listed
+ * - vip           { numbers?: [], prefixes?: [] }   → ANI listed
+ * - percentage    { percent: 0..100 }               → stable bucket per call
+ *
+ * Actions: CONTINUE | MODE (capsule mode) | QUEUE | ANNOUNCE (audio) | REJECT (reason)
+ *
+ * Dates and times are evaluated in the rule timezone (default America/Santiago),
+ * never in the server timezone.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { log } from '../../../lib/logger.js';
+
+export const DEFAULT_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'America/Santiago';
+
+export const RuleType = Object.freeze({
+    SCHEDULE: 'schedule',
+    DATE_RANGE: 'date_range',
+    HOLIDAY: 'holiday',
+    ANI_BLACKLIST: 'ani_blacklist',
+    ANI_WHITELIST: 'ani_whitelist',
+    VIP: 'vip',
+    PERCENTAGE: 'percentage'
+});
+
+export const RoutingAction = Object.freeze({
+    CONTINUE: 'CONTINUE',
+    MODE: 'MODE',
+    QUEUE: 'QUEUE',
+    ANNOUNCE: 'ANNOUNCE',
+    REJECT: 'REJECT'
+});
+
+// Reglas que solo dependen de la fecha/hora (ventana de marcado de campañas)
+export const TIME_RULE_TYPES = Object.freeze([RuleType.SCHEDULE, RuleType.DATE_RANGE, RuleType.HOLIDAY]);
+
+// Filas legacy (Param1/Param2 sin Action): misma semántica que el checkRule original.
+// Solo aplican a checkRule (rama internal) y a la ventana de campañas, nunca a evaluateRules.
+const LEGACY_ACTIONS = Object.freeze({
+    [RuleType.SCHEDULE]: { negate: true, action: RoutingAction.REJECT, param: 'after-hours' },
+    [RuleType.HOLIDAY]: { negate: false, action: RoutingAction.REJECT, param: 'holiday' },
+    [RuleType.VIP]: { negate: false, action: RoutingAction.CONTINUE, param: 'vip' }
+});
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+const formatters = new Map();
+
+/**
+ * Local calendar parts of `now` in a timezone
+ *
+ * @returns {{date: string, monthDay: string, weekday: number, minutes: number}}
+ */
+export function zonedParts(now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23'
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(now).map(p => [p.type, p.value]));
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        monthDay: `${parts.month}-${parts.day}`,
+        weekday: WEEKDAYS[parts.weekday],
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+function toMinutes(hhmm, fallback) {
+    const [h, m] = String(hhmm || fallback).split(':').map(Number);
+    return h * 60 + (m || 0);
+}
+
+/**
+ * [1,2,3] | "1-5,7" → Set de días ISO (1 = lunes)
+ */
+function parseDays(days) {
+    if (!days) return null;
+    if (Array.isArray(days)) return new Set(days.map(Number));
+    const set = new Set();
+    for (const chunk of String(days).split(',')) {
+        const [from, to] = chunk.split('-').map(s => Number(s.trim()));
+        if (!Number.isFinite(from)) continue;
+        for (let d = from; d <= (Number.isFinite(to) ? to : from); d++) set.add(d);
+    }
+    return set;
+}
+
+function listToArray(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value.map(String) : String(value).split(',');
+}
+
+function digits(value) {
+    return String(value || '').replace(/[^0-9]/g, '');
+}
+
+function aniListed(ani, { numbers, prefixes } = {}) {
+    const caller = digits(ani);
+    if (!caller) return false;
+    if (listToArray(numbers).some(n => digits(n) === caller)) return true;
+    return listToArray(prefixes).some(p => digits(p) && caller.startsWith(digits(p)));
+}
+
+/**
+ * Bucket estable 0..99 (FNV-1a) para que una llamada caiga siempre en el mismo reparto
+ */
+export function percentBucket(key) {
+    let hash = 0x811c9dc5;
+    for (const ch of String(key)) {
+        hash ^= ch.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash % 100;
+}
+
+const CONDITIONS = {
+    [RuleType.SCHEDULE]: (params, ctx, local) => {
+        const days = parseDays(params.days);
+        if (days && !days.has(local.weekday)) return false;
+        const start = toMinutes(params.start, '00:00');
+        const end = toMinutes(params.end, '23:59');
+        // Horario nocturno (22:00 - 06:00) cruza medianoche
+        return start <= end
+            ? local.minutes >= start && local.minutes <= end
+            : local.minutes >= start || local.minutes <= end;
+    },
+    [RuleType.DATE_RANGE]: (params, ctx, local) =>
+        (!params.from || local.date >= params.from) && (!params.to || local.date <= params.to),
+    [RuleType.HOLIDAY]: (params, ctx, local) => {
+        const dates = [...listToArray(params.dates), ...(ctx.holidays?.[params.calendar] || [])].map(d => d.trim());
+        return dates.includes(local.date) || dates.includes(local.monthDay);
+    },
+    [RuleType.ANI_BLACKLIST]: (params, ctx) => aniListed(ctx.ani, params),
+    [RuleType.ANI_WHITELIST]: (params, ctx) => !aniListed(ctx.ani, params),
+    [RuleType.VIP]: (params, ctx) => aniListed(ctx.ani, params),
+    [RuleType.PERCENTAGE]: (params, ctx) => percentBucket(ctx.callId || ctx.ani || '') < Number(params.percent || 0)
+};
+
+function parseJson(raw) {
+    if (!raw) return null;
+    if (typeof raw === 'object') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * SQL row (usp_BusinessRules_GetRouting / legacy usp_BusinessRules_GetActive) → rule
+ *
+ * @returns {object|null} - null if the row cannot be evaluated
+ */
+export function normalizeRule(row) {
+    const type = String(row.RuleType || '').trim().toLowerCase();
+    if (!CONDITIONS[type]) {
+        log('warn', `⚠️ [RULES] Tipo de regla desconocido '${row.RuleType}' (RuleId=${row.RuleId ?? '?'}) - ignorada`);
+        return null;
+    }
+
+    let params = parseJson(row.Params);
+    let negate = row.Negate === true || row.Negate === 1;
+    let action = row.Action ? String(row.Action).toUpperCase() : null;
+    let actionParam = row.ActionParam ?? null;
+    const legacy = !action;
+
+    if (legacy) {
+        const defaults = LEGACY_ACTIONS[type];
+        if (!defaults) {
+            log('warn', `⚠️ [RULES] Regla ${type} sin Action (RuleId=${row.RuleId ?? '?'}) - ignorada`);
+            return null;
+        }
+        ({ negate, action, param: actionParam } = defaults);
+        params = params || legacyParams(type, row);
+    }
+
+    if (!Object.values(RoutingAction).includes(action)) {
+        log('warn', `⚠️ [RULES] Acción desconocida '${action}' (RuleId=${row.RuleId ?? '?'}) - ignorada`);
+        return null;
+    }
+
+    return {
+        id: row.RuleId ?? null,
+        dnis: row.Dnis ? digits(row.Dnis) : null,
+        priority: Number.isFinite(row.Priority) ? row.Priority : 100,
+        type,
+        params: params || {},
+        negate,
+        action,
+        actionParam,
+        legacy
+    };
+}
+
+function legacyParams(type, row) {
+    if (type === RuleType.SCHEDULE) return { start: row.Param1 || '09:00', end: row.Param2 || '18:00' };
+    if (type === RuleType.HOLIDAY) return { dates: listToArray(row.Param1) };
+    return { numbers: listToArray(row.Param1) };
+}
+
+/**
+ * Does the rule condition hold for this call?
+ */
+export function ruleMatches(rule, ctx = {}) {
+    const local = zonedParts(ctx.now || new Date(), rule.params.timezone || ctx.timezone || DEFAULT_TIMEZONE);
+    const result = CONDITIONS[rule.type](rule.params, ctx, local) === true;
+    return rule.negate ? !result : result;
+}
+
+/**
+ * Evaluate ordered rules and return the routing decision
+ * Only rules with an explicit Action route calls; legacy rows are skipped.
+ *
+ * @param {object[]} rules - normalizeRule() output
+ * @param {object} ctx
+ * @param {string} [ctx.dnis]
+ * @param {string} [ctx.ani]
+ * @param {string} [ctx.callId] - Key for percentage routing (linkedId)
+ * @param {Date} [ctx.now]
+ * @param {object} [ctx.holidays] - { [calendar]: ['YYYY-MM-DD'] }
+ * @param {string} [ctx.timezone]
+ * @returns {{action: string, mode?: string, queue?: string, announcement?: string, reason: string, ruleId: any, ruleType: string|null}}
+ */
+export function evaluateRules(rules = [], ctx = {}) {
+    const dnis = ctx.dnis ? digits(ctx.dnis) : null;
+
+    const applicable = rules
+        .filter(rule => rule && !rule.legacy && (!rule.dnis || rule.dnis === dnis))
+        .sort((a, b) => (a.priority - b.priority) || ((b.dnis ? 1 : 0) - (a.dnis ? 1 : 0)) || ((a.id ?? 0) - (b.id ?? 0)));
+
+    for (const rule of applicable) {
+        if (!ruleMatches(rule, ctx)) continue;
+        return toDecision(rule);
+    }
+    return { action: RoutingAction.CONTINUE, reason: 'default', ruleId: null, ruleType: null };
+}
+
+function toDecision(rule) {
+    const decision = { action: rule.action, reason: rule.type, ruleId: rule.id, ruleType: rule.type };
+    switch (rule.action) {
+        case RoutingAction.MODE: return { ...decision, mode: rule.actionParam };
+        case RoutingAction.QUEUE: return { ...decision, queue: rule.actionParam };
+        case RoutingAction.ANNOUNCE: return { ...decision, announcement: rule.actionParam };
+        case RoutingAction.REJECT: return { ...decision, reason: rule.actionParam || rule.type };
+        default: return { ...decision, reason: rule.actionParam || rule.type };
+    }
+}
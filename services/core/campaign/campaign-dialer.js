@@ -0,0 +1,327 @@
+/**
+ * CampaignDialer - Outbound campaign dialer on top of telephony-controller.makeCall
+ *
+ * Purpose: Dial campaign contacts stored in SQL while respecting:
+ * - pacing: in-flight calls per campaign = floor(maxConcurrent * pacingRatio)
+ * - trunk limits: max simultaneous channels per trunk (shared by all campaigns)
+ * - calling hours: business-rules schedule/holiday + optional campaign window
+ * - retry rules per hangup reason (busy, congestion, no-route... from the ARI listener)
+ *
+ * Results are written back when call.hangup arrives (call.state Up marks the
+ * attempt as answered, call.amd tells whether a machine or nobody answered).
+ * Each attempt uses its own channelId so hangup events correlate with the
+ * contact without extra lookups.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { log } from '../../../lib/logger.js';
+
+const TICK_MS = parseInt(process.env.CAMPAIGN_TICK_MS || '5000', 10);
+const RING_TIMEOUT_SEC = parseInt(process.env.CAMPAIGN_RING_TIMEOUT_SEC || '30', 10);
+const MAX_CALL_MS = parseInt(process.env.CAMPAIGN_MAX_CALL_MS || String(30 * 60 * 1000), 10);
+const DEFAULT_TRUNK_LIMIT = parseInt(process.env.CAMPAIGN_TRUNK_DEFAULT_LIMIT || '10', 10);
+const DEFAULT_TRUNK = 'default';
+
+/**
+ * Retry rules per hangup reason. maxAttempts counts the first attempt.
+ * Campaigns override them per reason (Campaigns.RetryRules JSON).
+ */
+export const DEFAULT_RETRY_RULES = Object.freeze({
+    busy: { maxAttempts: 3, delayMinutes: 10 },
+    congestion: { maxAttempts: 3, delayMinutes: 5 },
+    'no-route': { maxAttempts: 1, delayMinutes: 0 },
+    'no-answer': { maxAttempts: 3, delayMinutes: 30 },
+    failed: { maxAttempts: 2, delayMinutes: 15 },
+    'originate-failed': { maxAttempts: 2, delayMinutes: 5 },
+    machine: { maxAttempts: 3, delayMinutes: 120 },
+    silence: { maxAttempts: 3, delayMinutes: 30 }
+});
+
+/**
+ * Final status of a contact after one attempt
+ */
+export const ContactStatus = Object.freeze({
+    PENDING: 'PENDING',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED'
+});
+
+// Razones que el listener publica antes de contestar (mapAsteriskStateToReason + originate)
+const PRE_ANSWER_REASONS = new Set(['busy', 'congestion', 'no-route', 'failed', 'originate-failed']);
+
+// Resultado AMD del engine (call.amd) → razón de reintento
+const AMD_RETRY_REASONS = Object.freeze({ MACHINE: 'machine', SILENCE: 'silence' });
+
+/**
+ * Parse "trunkA:10,trunkB:4" (CAMPAIGN_TRUNK_LIMITS)
+ */
+export function parseTrunkLimits(raw = '') {
+    const limits = {};
+    for (const entry of raw.split(',')) {
+        const [trunk, limit] = entry.split(':').map(s => s?.trim());
+        const value = parseInt(limit, 10);
+        if (trunk && Number.isFinite(value)) limits[trunk] = value;
+    }
+    return limits;
+}
+
+/**
+ * How many new calls a campaign may originate right now
+ *
+ * @param {object} params
+ * @param {object} params.campaign - { maxConcurrent, pacingRatio }
+ * @param {number} params.campaignActive - In-flight calls of this campaign
+ * @param {number} params.trunkActive - In-flight calls on the campaign trunk (all campaigns)
+ * @param {number} params.trunkLimit - Max channels on that trunk
+ * @returns {number}
+ */
+export function computeDialSlots({ campaign, campaignActive, trunkActive, trunkLimit }) {
+    const target = Math.floor((campaign.maxConcurrent || 0) * (campaign.pacingRatio || 1));
+    return Math.max(0, Math.min(target - campaignActive, trunkLimit - trunkActive));
+}
+
+/**
+ * Outcome of one attempt from its hangup
+ *
+ * @param {object} params
+ * @param {string} params.reason - Hangup reason (call.hangup payload)
+ * @param {boolean} params.answered - call.state Up was seen for the channel
+ * @param {object|null} params.amd - call.amd payload ({ result, action }) when the engine ran AMD
+ * @param {number} params.attempts - Attempts made, including this one
+ * @param {object|null} params.retryRules - Campaign overrides
+ * @param {Date} params.now
+ * @returns {{status: string, reason: string, nextAttemptAt: Date|null}}
+ */
+export function resolveOutcome({ reason, answered, amd = null, attempts, retryRules = null, now = new Date() }) {
+    // 📠 Buzón con mensaje dejado = contacto completado
+    if (amd?.action === 'VOICEMAIL') {
+        return { status: ContactStatus.COMPLETED, reason: 'voicemail', nextAttemptAt: null };
+    }
+
+    const amdReason = AMD_RETRY_REASONS[amd?.result];
+    if (answered && !amdReason) {
+        return { status: ContactStatus.COMPLETED, reason: reason || 'answered', nextAttemptAt: null };
+    }
+
+    // Sin contestar y sin razón de fallo explícita = nadie atendió
+    const retryReason = amdReason || (PRE_ANSWER_REASONS.has(reason) ? reason : 'no-answer');
+    const rule = { ...DEFAULT_RETRY_RULES, ...retryRules }[retryReason] || { maxAttempts: 1, delayMinutes: 0 };
+
+    if (attempts < rule.maxAttempts) {
+        return {
+            status: ContactStatus.PENDING,
+            reason: retryReason,
+            nextAttemptAt: new Date(now.getTime() + rule.delayMinutes * 60 * 1000)
+        };
+    }
+    return { status: ContactStatus.FAILED, reason: retryReason, nextAttemptAt: null };
+}
+
+export class CampaignDialer {
+    /**
+     * @param {object} deps
+     * @param {object} deps.store - getActiveCampaigns, getDueContacts, markDialing, saveResult
+     * @param {Function} deps.makeCall - telephony-controller.makeCall(ani, dnis, variables, options)
+     * @param {Function} deps.isCallingWindowOpen - business-rules.isCallingWindowOpen({ tenantId, window, now })
+     * @param {object} deps.redis - Client used to subscribe to call.* events
+     * @param {object} [deps.trunkLimits] - { [trunk]: maxChannels }
+     * @param {Function} [deps.now] - Clock (tests)
+     */
+    constructor({ store, makeCall, isCallingWindowOpen, redis, trunkLimits = {}, now = () => new Date() }) {
+        this.store = store;
+        this.makeCall = makeCall;
+        this.isCallingWindowOpen = isCallingWindowOpen;
+        this.redis = redis;
+        this.trunkLimits = trunkLimits;
+        this.now = now;
+        this.inFlight = new Map(); // channelId -> { campaign, contact, trunk, attempts, answered, amd, startedAt }
+        this.timer = null;
+        this.ticking = false;
+        this.subscriber = null;
+    }
+
+    /**
+     * Subscribe to call.* events and start the dialing loop
+     */
+    async start() {
+        this.subscriber = this.redis.duplicate();
+        await this.subscriber.connect();
+        await this.subscriber.subscribe('call.state', (msg) => this.onCallState(safeParse(msg)));
+        await this.subscriber.subscribe('call.amd', (msg) => this.onCallAmd(safeParse(msg)));
+        await this.subscriber.subscribe('call.hangup', (msg) => this.onCallHangup(safeParse(msg)));
+        await this.subscriber.subscribe('call.cancelled', (msg) => this.onCallHangup({ ...safeParse(msg), reason: 'no-answer' }));
+
+        this.timer = setInterval(() => this.tick(), TICK_MS);
+        log('info', `📣 [CAMPAIGN] Dialer iniciado (tick=${TICK_MS}ms, ring=${RING_TIMEOUT_SEC}s)`);
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.subscriber) {
+            await this.subscriber.unsubscribe().catch(() => { });
+            this.subscriber = null;
+        }
+    }
+
+    /**
+     * One dialing round over all active campaigns
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            await this.sweepStale();
+            const campaigns = await this.store.getActiveCampaigns();
+            for (const campaign of campaigns) {
+                await this.dialCampaign(campaign);
+            }
+        } catch (err) {
+            log('error', `❌ [CAMPAIGN] Error en ciclo de marcado: ${err.message}`);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async dialCampaign(campaign) {
+        const open = await this.isCallingWindowOpen({ tenantId: campaign.tenantId, window: campaign.window, now: this.now() });
+        if (!open) {
+            log('debug', `🕒 [CAMPAIGN] ${campaign.name} fuera de horario de marcado`);
+            return;
+        }
+
+        const slots = this.slotsFor(campaign);
+        if (slots <= 0) return;
+
+        const contacts = await this.store.getDueContacts(campaign.id, slots);
+        for (const contact of contacts) {
+            // La troncal es compartida: recalcular tras cada originate
+            if (this.slotsFor(campaign) <= 0) break;
+            await this.dialContact(campaign, contact);
+        }
+    }
+
+    async dialContact(campaign, contact) {
+        const attempts = (contact.attempts || 0) + 1;
+        const channelId = `campaign-${campaign.id}-${contact.id}-${attempts}`;
+
+        if (!await this.store.markDialing(contact.id, channelId)) {
+            log('debug', `📣 [CAMPAIGN] Contacto ${contact.id} ya tomado por otro dialer`);
+            return;
+        }
+
+        const trunk = campaign.trunk || DEFAULT_TRUNK;
+        this.inFlight.set(channelId, { campaign, contact, trunk, attempts, answered: false, amd: null, startedAt: this.now().getTime() });
+
+        log('info', `📣 [CAMPAIGN] ${campaign.name}: marcando ${contact.phone} (intento ${attempts}, trunk ${trunk})`);
+        const res = await this.makeCall(campaign.callerId, contact.phone, {
+            CAMPAIGN_ID: String(campaign.id),
+            CAMPAIGN_CONTACT_ID: String(contact.id),
+            CAMPAIGN_PAYLOAD: JSON.stringify(contact.payload || {})
+        }, {
+            trunk: campaign.trunk,
+            mode: campaign.mode,
+            channelId,
+            timeout: RING_TIMEOUT_SEC
+        });
+
+        // makeCall loguea y devuelve undefined si ARI rechaza el originate
+        if (!res) {
+            await this.settle(channelId, 'originate-failed');
+        }
+    }
+
+    onCallState(event) {
+        const call = this.inFlight.get(event?.channelId);
+        if (call && event.state === 'Up') {
+            call.answered = true;
+            log('info', `📣 [CAMPAIGN] ${event.channelId} contestada`);
+        }
+    }
+
+    onCallAmd(event) {
+        const call = this.inFlight.get(event?.channelId);
+        if (call) {
+            call.amd = { result: event.result, action: event.action };
+            log('info', `📣 [CAMPAIGN] ${event.channelId} AMD=${event.result} (${event.action})`);
+        }
+    }
+
+    async onCallHangup(event) {
+        if (!event?.channelId || !this.inFlight.has(event.channelId)) return;
+        await this.settle(event.channelId, event.reason);
+    }
+
+    /**
+     * Write back the attempt and free its slot
+     */
+    async settle(channelId, reason) {
+        const call = this.inFlight.get(channelId);
+        if (!call) return;
+        this.inFlight.delete(channelId);
+
+        const outcome = resolveOutcome({
+            reason,
+            answered: call.answered,
+            amd: call.amd,
+            attempts: call.attempts,
+            retryRules: call.campaign.retryRules,
+            now: this.now()
+        });
+
+        log('info', `📣 [CAMPAIGN] Resultado ${channelId}: ${outcome.status} (reason=${outcome.reason}${outcome.nextAttemptAt ? `, reintento ${outcome.nextAttemptAt.toISOString()}` : ''})`);
+        try {
+            await this.store.saveResult({
+                contactId: call.contact.id,
+                channelId,
+                status: outcome.status,
+                reason: outcome.reason,
+                nextAttemptAt: outcome.nextAttemptAt
+            });
+        } catch (err) {
+            log('error', `❌ [CAMPAIGN] No se pudo guardar resultado de ${channelId}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Calls whose hangup never arrived (no answer without ChannelHangupRequest, lost events)
+     */
+    async sweepStale() {
+        const now = this.now().getTime();
+        for (const [channelId, call] of this.inFlight) {
+            const age = now - call.startedAt;
+            if (!call.answered && age > (RING_TIMEOUT_SEC * 1000) * 2) {
+                log('warn', `⏱️ [CAMPAIGN] ${channelId} sin contestar ni hangup tras ${Math.round(age / 1000)}s`);
+                await this.settle(channelId, 'no-answer');
+            } else if (call.answered && age > MAX_CALL_MS) {
+                log('warn', `⏱️ [CAMPAIGN] ${channelId} sin hangup tras ${Math.round(age / 1000)}s - liberando slot`);
+                await this.settle(channelId, 'hangup-lost');
+            }
+        }
+    }
+
+    slotsFor(campaign) {
+        const trunk = campaign.trunk || DEFAULT_TRUNK;
+        let campaignActive = 0;
+        let trunkActive = 0;
+        for (const call of this.inFlight.values()) {
+            if (call.campaign.id === campaign.id) campaignActive++;
+            if (call.trunk === trunk) trunkActive++;
+        }
+        return computeDialSlots({
+            campaign,
+            campaignActive,
+            trunkActive,
+            trunkLimit: this.trunkLimits[trunk] ?? DEFAULT_TRUNK_LIMIT
+        });
+    }
+}
+
+function safeParse(msg) {
+    try {
+        return JSON.parse(msg);
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * CampaignStore - SQL persistence for outbound campaigns
+ *
+ * Purpose: Read active campaigns and due contacts, and write back each
+ * attempt (DIALING on originate, result on call.hangup).
+ * Schema and stored procedures: sql/campaign_procedures.sql
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { sql, poolPromise } from '../../../lib/db.js';
+
+async function execSP(procName, params = []) {
+    const pool = await poolPromise;
+    const request = pool.request();
+    for (const p of params) {
+        request.input(p.name, p.type, p.value);
+    }
+    return request.execute(procName);
+}
+
+/**
+ * Active campaigns (Status = 'ACTIVE')
+ *
+ * @returns {Promise<object[]>}
+ */
+export async function getActiveCampaigns() {
+    const result = await execSP('usp_Campaigns_GetActive');
+    return result.recordset.map(row => ({
+        id: row.CampaignId,
+        name: row.Name,
+        tenantId: row.TenantId,
+        mode: row.Mode,
+        callerId: row.CallerId,
+        trunk: row.Trunk || null,
+        maxConcurrent: row.MaxConcurrent,
+        pacingRatio: Number(row.PacingRatio),
+        window: row.WindowStart && row.WindowEnd ? { start: row.WindowStart, end: row.WindowEnd } : null,
+        retryRules: parseJson(row.RetryRules)
+    }));
+}
+
+/**
+ * PENDING contacts whose next attempt is due
+ *
+ * @param {number} campaignId
+ * @param {number} limit - Max rows (free dialing slots)
+ * @returns {Promise<object[]>}
+ */
+export async function getDueContacts(campaignId, limit) {
+    if (limit <= 0) return [];
+    const result = await execSP('usp_CampaignContacts_GetDue', [
+        { name: 'CampaignId', type: sql.Int, value: campaignId },
+        { name: 'Limit', type: sql.Int, value: limit }
+    ]);
+    return result.recordset.map(row => ({
+        id: row.ContactId,
+        campaignId: row.CampaignId,
+        phone: row.Phone,
+        payload: parseJson(row.Payload),
+        attempts: row.Attempts
+    }));
+}
+
+/**
+ * Claim a contact for dialing. False if another dialer already took it.
+ *
+ * @param {number} contactId
+ * @param {string} channelId - Channel id used for originate
+ * @returns {Promise<boolean>}
+ */
+export async function markDialing(contactId, channelId) {
+    const result = await execSP('usp_CampaignContacts_MarkDialing', [
+        { name: 'ContactId', type: sql.Int, value: contactId },
+        { name: 'ChannelId', type: sql.VarChar(64), value: channelId }
+    ]);
+    return result.recordset?.[0]?.Updated > 0;
+}
+
+/**
+ * Write back the outcome of one attempt
+ *
+ * @param {object} outcome
+ * @param {number} outcome.contactId
+ * @param {string} outcome.channelId
+ * @param {string} outcome.status - PENDING (retry) | COMPLETED | FAILED
+ * @param {string} outcome.reason - Hangup reason
+ * @param {Date|null} outcome.nextAttemptAt - Retry time when status is PENDING
+ */
+export async function saveResult({ contactId, channelId, status, reason, nextAttemptAt = null }) {
+    await execSP('usp_CampaignContacts_SaveResult', [
+        { name: 'ContactId', type: sql.Int, value: contactId },
+        { name: 'ChannelId', type: sql.VarChar(64), value: channelId },
+        { name: 'Status', type: sql.VarChar(20), value: status },
+        { name: 'Reason', type: sql.VarChar(40), value: reason },
+        { name: 'NextAttemptAt', type: sql.DateTime2, value: nextAttemptAt }
+    ]);
+}
+
+function parseJson(raw) {
+    if (!raw) return null;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return null;
+    }
+}
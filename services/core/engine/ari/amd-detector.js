@@ -0,0 +1,205 @@
+/**
+ * AmdDetector - Answering-machine detection for outbound calls
+ *
+ * Purpose: Classify who answered (human, machine or silence) before the
+ * capsule greeting plays, using TALK_DETECT events (ChannelTalkingStarted /
+ * ChannelTalkingFinished) on the caller channel and, when present, its snoop.
+ *
+ * Heuristics (same knobs as Asterisk AMD()):
+ * - nothing said within initialSilenceMs                      → SILENCE
+ * - first utterance longer than greetingMs                    → MACHINE ("Hola, se comunicó con...")
+ * - more than maxUtterances utterances                        → MACHINE
+ * - short greeting followed by afterGreetingSilenceMs silence  → HUMAN ("¿Aló?" and waits)
+ * - totalAnalysisMs elapsed without a verdict                 → NOTSURE (treated as human)
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { log } from '../../../../lib/logger.js';
+
+export const AMD_DEFAULTS = Object.freeze({
+    initialSilenceMs: 2500,
+    greetingMs: 1500,
+    afterGreetingSilenceMs: 800,
+    totalAnalysisMs: 5000,
+    maxUtterances: 3
+});
+
+/**
+ * Classification
+ */
+export const AmdResult = Object.freeze({
+    HUMAN: 'HUMAN',
+    MACHINE: 'MACHINE',
+    SILENCE: 'SILENCE',
+    NOTSURE: 'NOTSURE'
+});
+
+/**
+ * Pure classifier: feed talk start/finish timestamps, poll check(now)
+ */
+export class AmdClassifier {
+    /**
+     * @param {object} rules - Overrides for AMD_DEFAULTS
+     * @param {number} startedAt - Answer time (ms)
+     */
+    constructor(rules = {}, startedAt = Date.now()) {
+        this.rules = { ...AMD_DEFAULTS, ...rules };
+        this.startedAt = startedAt;
+        this.talkingSince = null;
+        this.lastSilenceAt = null;
+        this.greetingMs = 0;
+        this.utterances = 0;
+        this.verdict = null;
+    }
+
+    talkStarted(at = Date.now()) {
+        if (this.verdict || this.talkingSince !== null) return this.verdict;
+        this.talkingSince = at;
+        this.utterances++;
+        if (this.utterances > this.rules.maxUtterances) {
+            return this.decide(AmdResult.MACHINE, 'max_utterances', at);
+        }
+        return null;
+    }
+
+    talkFinished(at = Date.now()) {
+        if (this.verdict || this.talkingSince === null) return this.verdict;
+        const spokeMs = at - this.talkingSince;
+        this.talkingSince = null;
+        this.lastSilenceAt = at;
+        if (this.utterances === 1) this.greetingMs = spokeMs;
+        return this.check(at);
+    }
+
+    /**
+     * @returns {object|null} - Verdict once decided
+     */
+    check(at = Date.now()) {
+        if (this.verdict) return this.verdict;
+        const { initialSilenceMs, greetingMs, afterGreetingSilenceMs, totalAnalysisMs } = this.rules;
+        const elapsed = at - this.startedAt;
+
+        if (this.utterances === 0) {
+            if (elapsed >= initialSilenceMs) return this.decide(AmdResult.SILENCE, 'initial_silence', at);
+            return null;
+        }
+
+        // Primer enunciado (en curso o terminado) más largo que un saludo humano
+        const firstMs = this.utterances === 1 && this.talkingSince !== null ? at - this.talkingSince : this.greetingMs;
+        if (firstMs > greetingMs) return this.decide(AmdResult.MACHINE, 'long_greeting', at);
+
+        if (this.talkingSince === null && at - this.lastSilenceAt >= afterGreetingSilenceMs) {
+            return this.decide(AmdResult.HUMAN, 'after_greeting_silence', at);
+        }
+
+        if (elapsed >= totalAnalysisMs) return this.decide(AmdResult.NOTSURE, 'max_analysis_time', at);
+        return null;
+    }
+
+    decide(result, cause, at) {
+        this.verdict = {
+            result,
+            cause,
+            greetingMs: this.greetingMs || (this.talkingSince !== null ? at - this.talkingSince : 0),
+            utterances: this.utterances,
+            elapsedMs: at - this.startedAt,
+            talking: this.talkingSince !== null
+        };
+        return this.verdict;
+    }
+}
+
+/**
+ * Run AMD on a live channel
+ *
+ * @param {object} ari - ARI client (talk events are emitted client-wide)
+ * @param {string[]} channelIds - Caller channel and optional snoop
+ * @param {object} rules - Overrides for AMD_DEFAULTS
+ * @param {object} options
+ * @param {number} options.pollMs - Check interval for silence timers
+ * @returns {Promise<{result: string, cause: string, greetingMs: number, utterances: number, elapsedMs: number, talking: boolean}>}
+ */
+export function detectAnsweringMachine(ari, channelIds, rules = {}, { pollMs = 100 } = {}) {
+    const watched = new Set(channelIds.filter(Boolean));
+    const classifier = new AmdClassifier(rules);
+
+    log('info', `📠 [AMD] Analizando respuesta (channels=${[...watched].join(',')})`);
+
+    return new Promise((resolve) => {
+        let timer = null;
+
+        const done = (verdict) => {
+            if (!verdict) return;
+            clearInterval(timer);
+            ari.removeListener('ChannelTalkingStarted', onStart);
+            ari.removeListener('ChannelTalkingFinished', onFinish);
+            ari.removeListener('StasisEnd', onEnd);
+            log('info', `📠 [AMD] Resultado: ${verdict.result} (cause=${verdict.cause}, greeting=${verdict.greetingMs}ms, utterances=${verdict.utterances})`);
+            resolve(verdict);
+        };
+
+        // Caller + snoop reportan la misma voz: ignorar el duplicado mientras ya habla
+        const onStart = (event, channel) => {
+            if (watched.has(channel?.id || event?.channel?.id)) done(classifier.talkStarted());
+        };
+        const onFinish = (event, channel) => {
+            if (watched.has(channel?.id || event?.channel?.id)) done(classifier.talkFinished());
+        };
+        const onEnd = (event, channel) => {
+            if (watched.has(channel?.id || event?.channel?.id)) done(classifier.decide(AmdResult.SILENCE, 'hangup', Date.now()));
+        };
+
+        ari.on('ChannelTalkingStarted', onStart);
+        ari.on('ChannelTalkingFinished', onFinish);
+        ari.on('StasisEnd', onEnd);
+        timer = setInterval(() => done(classifier.check()), pollMs);
+    });
+}
+
+/**
+ * Wait for the voicemail greeting to end (the beep) before leaving a message
+ *
+ * @param {object} ari - ARI client
+ * @param {string[]} channelIds - Caller channel and optional snoop
+ * @param {object} options
+ * @param {boolean} options.talking - Greeting still playing when AMD decided
+ * @param {number} options.silenceMs - Silence that closes the greeting
+ * @param {number} options.maxWaitMs - Give up and speak anyway
+ * @param {number} options.pollMs
+ * @returns {Promise<boolean>} - true if silence was detected, false on timeout
+ */
+export function waitForGreetingEnd(ari, channelIds, { talking = false, silenceMs = AMD_DEFAULTS.afterGreetingSilenceMs, maxWaitMs = 20000, pollMs = 100 } = {}) {
+    const watched = new Set(channelIds.filter(Boolean));
+    const startedAt = Date.now();
+    let silentSince = talking ? null : startedAt;
+
+    return new Promise((resolve) => {
+        let timer = null;
+
+        const done = (silent) => {
+            clearInterval(timer);
+            ari.removeListener('ChannelTalkingStarted', onStart);
+            ari.removeListener('ChannelTalkingFinished', onFinish);
+            resolve(silent);
+        };
+
+        const onStart = (event, channel) => {
+            if (watched.has(channel?.id || event?.channel?.id)) silentSince = null;
+        };
+        const onFinish = (event, channel) => {
+            if (watched.has(channel?.id || event?.channel?.id)) silentSince = Date.now();
+        };
+
+        ari.on('ChannelTalkingStarted', onStart);
+        ari.on('ChannelTalkingFinished', onFinish);
+        timer = setInterval(() => {
+            const now = Date.now();
+            if (silentSince !== null && now - silentSince >= silenceMs) return done(true);
+            if (now - startedAt >= maxWaitMs) {
+                log('warn', `📠 [AMD] Saludo del buzón no terminó en ${maxWaitMs}ms - dejando mensaje igual`);
+                done(false);
+            }
+        }, pollMs);
+    });
+}
@@ -0,0 +1,177 @@
+/**
+ * DtmfCollector - Collects DTMF digits keyed by the caller
+ *
+ * Purpose: Turn ChannelDtmfReceived events into a single digit string using
+ * inter-digit timeout, terminator ('#') and max-digits rules, so the engine
+ * can hand the capsule one DTMF event instead of loose keypresses.
+ *
+ * Digits pressed while no collection is active are buffered and count toward
+ * the next collect() call (callers often start typing before the prompt ends).
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { log } from '../../../../lib/logger.js';
+
+export const DTMF_DEFAULTS = Object.freeze({
+    terminator: '#',
+    interDigitTimeoutMs: 3000,
+    firstDigitTimeoutMs: 8000,
+    maxDigits: 20
+});
+
+/**
+ * Why a collection ended
+ */
+export const DtmfEndReason = Object.freeze({
+    TERMINATOR: 'terminator',
+    MAX_DIGITS: 'max_digits',
+    INTER_DIGIT_TIMEOUT: 'inter_digit_timeout',
+    NO_INPUT: 'no_input',
+    CANCELLED: 'cancelled'
+});
+
+const VALID_DIGIT = /^[0-9A-D*#]$/;
+
+export class DtmfCollector {
+    /**
+     * @param {object} channel - ARI channel (caller)
+     * @param {object} defaults - Overrides for DTMF_DEFAULTS
+     */
+    constructor(channel, defaults = {}) {
+        this.channel = channel;
+        this.channelId = channel.id;
+        this.defaults = { ...DTMF_DEFAULTS, ...defaults };
+        this.buffer = [];
+        this.pending = null;
+        this.onDtmf = (event) => this.push(event?.digit);
+        this.listening = false;
+    }
+
+    /**
+     * Attach to the channel. Safe to call more than once.
+     */
+    start() {
+        if (this.listening) return;
+        this.channel.on('ChannelDtmfReceived', this.onDtmf);
+        this.listening = true;
+    }
+
+    /**
+     * Detach from the channel and cancel any active collection
+     */
+    stop() {
+        if (this.listening) {
+            this.channel.removeListener('ChannelDtmfReceived', this.onDtmf);
+            this.listening = false;
+        }
+        this.cancel();
+        this.buffer = [];
+    }
+
+    /**
+     * True if the caller pressed keys that no collection has consumed yet
+     */
+    hasPending() {
+        return this.buffer.length > 0;
+    }
+
+    /**
+     * Feed one digit (from ChannelDtmfReceived or tests)
+     *
+     * @param {string} digit
+     */
+    push(digit) {
+        const value = String(digit ?? '').toUpperCase();
+        if (!VALID_DIGIT.test(value)) {
+            log('warn', `⚠️ [DTMF] Dígito inválido ignorado: "${digit}" (channel: ${this.channelId})`);
+            return;
+        }
+        log('debug', `🔢 [DTMF] Dígito recibido: ${value} (channel: ${this.channelId})`);
+
+        if (!this.pending) {
+            this.buffer.push(value);
+            return;
+        }
+        this.consume(value);
+    }
+
+    /**
+     * Collect digits until terminator, maxDigits, inter-digit timeout or no input
+     *
+     * @param {object} options
+     * @param {number} options.maxDigits - Stop after N digits ("collect N digits")
+     * @param {string|null} options.terminator - Ends the collection (not included in the result)
+     * @param {number} options.interDigitTimeoutMs - Max gap between digits
+     * @param {number} options.firstDigitTimeoutMs - Max wait for the first digit
+     * @returns {Promise<{digits: string, reason: string}>}
+     */
+    collect(options = {}) {
+        if (this.pending) {
+            this.finish(DtmfEndReason.CANCELLED);
+        }
+
+        const rules = { ...this.defaults, ...stripUndefined(options) };
+
+        return new Promise((resolve) => {
+            this.pending = { rules, digits: '', timer: null, resolve };
+            log('info', `🔢 [DTMF] Recolectando dígitos (max=${rules.maxDigits}, terminador=${rules.terminator || 'none'}, buffer=${this.buffer.length})`);
+
+            const buffered = this.buffer.splice(0);
+            for (const digit of buffered) {
+                if (!this.pending) {
+                    // Lo que sobra después del fin de la recolección queda para la próxima
+                    this.buffer.push(digit);
+                    continue;
+                }
+                this.consume(digit);
+            }
+
+            if (this.pending && !this.pending.digits) {
+                this.arm(rules.firstDigitTimeoutMs, DtmfEndReason.NO_INPUT);
+            }
+        });
+    }
+
+    /**
+     * Cancel the active collection (resolves with the digits gathered so far)
+     */
+    cancel() {
+        if (this.pending) {
+            this.finish(DtmfEndReason.CANCELLED);
+        }
+    }
+
+    consume(digit) {
+        const { rules } = this.pending;
+
+        if (rules.terminator && digit === rules.terminator) {
+            this.finish(DtmfEndReason.TERMINATOR);
+            return;
+        }
+
+        this.pending.digits += digit;
+        if (this.pending.digits.length >= rules.maxDigits) {
+            this.finish(DtmfEndReason.MAX_DIGITS);
+            return;
+        }
+        this.arm(rules.interDigitTimeoutMs, DtmfEndReason.INTER_DIGIT_TIMEOUT);
+    }
+
+    arm(ms, reason) {
+        clearTimeout(this.pending.timer);
+        this.pending.timer = setTimeout(() => this.finish(reason), ms);
+    }
+
+    finish(reason) {
+        const { digits, timer, resolve } = this.pending;
+        clearTimeout(timer);
+        this.pending = null;
+        log('info', `🔢 [DTMF] Recolección terminada: "${digits}" (reason=${reason}, channel: ${this.channelId})`);
+        resolve({ digits, reason });
+    }
+}
+
+function stripUndefined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
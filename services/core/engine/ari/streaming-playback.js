@@ -0,0 +1,283 @@
+/**
+ * StreamingPlayback - TTS audio to the caller over an outbound external media channel
+ *
+ * Purpose: Start speaking while the TTS provider is still producing audio
+ * instead of waiting for the whole prompt, writing a WAV and playing it. The
+ * PCM chunks (s16le 24 kHz) are resampled to 8 kHz, mu-law encoded and sent as
+ * 20 ms RTP frames to an ExternalMedia channel joined to the caller's voice
+ * bridge. Barge-in stops the frames and aborts the provider download.
+ *
+ * Asterisk RTP address: UNICASTRTP_LOCAL_ADDRESS/PORT channel vars, or the
+ * source of the first RTP packet Asterisk sends us (symmetric RTP).
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import dgram from 'dgram';
+import os from 'os';
+import { log } from '../../../../lib/logger.js';
+
+const SOURCE_RATE = 24000;
+const TARGET_RATE = 8000;
+const DECIMATION = SOURCE_RATE / TARGET_RATE;
+const ULAW_SILENCE = 0xff;
+const PCMU_PAYLOAD_TYPE = 0;
+
+/**
+ * Why a streamed playback ended
+ */
+export const StreamEndReason = Object.freeze({
+    FINISHED: 'finished',
+    BARGE_IN: 'barge-in',
+    TIMEOUT: 'timeout',
+    FAILED: 'failed'
+});
+
+/**
+ * G.711 mu-law de una muestra lineal de 16 bits
+ */
+export function linearToUlaw(sample) {
+    const BIAS = 0x84;
+    const CLIP = 32635;
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * PCM s16le 24 kHz → mu-law 8 kHz, por chunks de cualquier tamaño
+ * (los bytes/muestras sobrantes se guardan para el chunk siguiente)
+ *
+ * @returns {{push: (chunk: Buffer) => Buffer}}
+ */
+export function createUlawResampler() {
+    let carry = Buffer.alloc(0);
+    const frameBytes = DECIMATION * 2;
+
+    return {
+        push(chunk) {
+            const input = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+            const frames = Math.floor(input.length / frameBytes);
+            const out = Buffer.alloc(frames);
+            for (let i = 0; i < frames; i++) {
+                // Promedio de 3 muestras: filtro pasa-bajo mínimo antes de diezmar
+                const base = i * frameBytes;
+                const avg = (input.readInt16LE(base) + input.readInt16LE(base + 2) + input.readInt16LE(base + 4)) / DECIMATION;
+                out[i] = linearToUlaw(Math.round(avg));
+            }
+            carry = Buffer.from(input.subarray(frames * frameBytes));
+            return out;
+        }
+    };
+}
+
+/**
+ * Paquete RTP (RFC 3550) con payload PCMU
+ */
+export function buildRtpPacket({ payload, sequence, timestamp, ssrc, marker = false }) {
+    const header = Buffer.alloc(12);
+    header[0] = 0x80; // V=2
+    header[1] = (marker ? 0x80 : 0) | PCMU_PAYLOAD_TYPE;
+    header.writeUInt16BE(sequence & 0xffff, 2);
+    header.writeUInt32BE(timestamp >>> 0, 4);
+    header.writeUInt32BE(ssrc >>> 0, 8);
+    return Buffer.concat([header, payload]);
+}
+
+function getLocalIp() {
+    for (const ifaces of Object.values(os.networkInterfaces())) {
+        for (const iface of ifaces) {
+            if (iface.family === 'IPv4' && !iface.internal) return iface.address;
+        }
+    }
+    return '127.0.0.1';
+}
+
+async function resolveAsteriskRtpAddress(externalChannel, socket, waitMs) {
+    try {
+        const [{ value: address }, { value: port }] = await Promise.all([
+            externalChannel.getChannelVar({ variable: 'UNICASTRTP_LOCAL_ADDRESS' }),
+            externalChannel.getChannelVar({ variable: 'UNICASTRTP_LOCAL_PORT' })
+        ]);
+        if (address && port) return { address, port: Number(port) };
+    } catch (err) {
+        log('debug', `🔎 [TTS STREAM] Sin UNICASTRTP_* (${err.message}), esperando RTP de Asterisk`);
+    }
+
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            socket.removeListener('message', onMessage);
+            resolve(null);
+        }, waitMs);
+        const onMessage = (msg, rinfo) => {
+            clearTimeout(timer);
+            resolve({ address: rinfo.address, port: rinfo.port });
+        };
+        socket.once('message', onMessage);
+    });
+}
+
+/**
+ * Stream TTS chunks to the caller through an ExternalMedia channel on the voice bridge
+ *
+ * @param {object} options
+ * @param {object} options.ari - ARI client
+ * @param {object} options.channel - Caller channel (ChannelTalkingStarted → barge-in)
+ * @param {object} options.bridge - Mixing bridge the caller is in
+ * @param {AsyncIterable<Buffer>} options.chunks - PCM s16le 24 kHz
+ * @param {AbortController} [options.abortController] - Aborted on barge-in (cancels the TTS download)
+ * @param {string} options.app - Stasis app for the ExternalMedia channel
+ * @param {string} [options.linkedId]
+ * @param {boolean} [options.bargeIn]
+ * @param {object} [options.openaiClient] - isPlaybackActive tracking
+ * @param {number} [options.talkingDebounceMs]
+ * @param {number} [options.timeoutMs] - Hard limit for the whole prompt
+ * @param {number} [options.frameMs]
+ * @param {string} [options.host] - Local address announced to Asterisk
+ * @returns {Promise<{reason: string, sentMs: number, firstFrameMs: number|null}>}
+ * @throws {Error} TTS_STREAM_SETUP when the external media leg cannot be set up (nothing was played)
+ */
+export async function playStreamOverExternalMedia({
+    ari,
+    channel,
+    bridge,
+    chunks,
+    abortController = new AbortController(),
+    app,
+    linkedId = channel.id,
+    bargeIn = true,
+    openaiClient = null,
+    talkingDebounceMs = 150,
+    timeoutMs = 30000,
+    frameMs = 20,
+    host = getLocalIp()
+}) {
+    const startedAt = Date.now();
+    const socket = dgram.createSocket('udp4');
+    socket.on('error', (err) => log('warn', `⚠️ [TTS STREAM] UDP: ${err.message}`));
+    await new Promise(resolve => socket.bind(0, resolve));
+
+    let externalChannel = null;
+    let target = null;
+    try {
+        externalChannel = await ari.channels.externalMedia({
+            app,
+            channelId: `tts-${linkedId}-${Date.now()}`,
+            external_host: `${host}:${socket.address().port}`,
+            format: 'ulaw',
+            direction: 'both',
+            appArgs: `linkedId=${linkedId},role=externalMedia,kind=tts`
+        });
+        await bridge.addChannel({ channel: externalChannel.id });
+        target = await resolveAsteriskRtpAddress(externalChannel, socket, 1000);
+        if (!target) throw new Error('sin dirección RTP de Asterisk');
+    } catch (err) {
+        socket.close();
+        if (externalChannel) await externalChannel.hangup().catch(() => { });
+        const setupErr = new Error(`TTS_STREAM_SETUP: ${err.message}`);
+        setupErr.code = 'TTS_STREAM_SETUP';
+        throw setupErr;
+    }
+
+    log('info', `🌊 [TTS STREAM] ${externalChannel.id} → ${target.address}:${target.port} (barge-in ${bargeIn ? 'sí' : 'no'})`);
+    if (openaiClient) openaiClient.isPlaybackActive = true;
+
+    const frameBytes = (TARGET_RATE * frameMs) / 1000;
+    const resampler = createUlawResampler();
+    let pending = Buffer.alloc(0);
+    let producerDone = false;
+    let producerError = null;
+    let endReason = null;
+    let talkingTimer = null;
+    let wake = null;
+    const notify = () => { if (wake) { wake(); wake = null; } };
+    const stop = (reason) => {
+        if (endReason) return;
+        endReason = reason;
+        abortController.abort();
+        notify();
+    };
+
+    const talkingHandler = (event, chan) => {
+        if (!bargeIn || endReason || (chan && chan.id !== channel.id)) return;
+        if (talkingTimer) clearTimeout(talkingTimer);
+        talkingTimer = setTimeout(() => {
+            log('info', `🗣️ [TTS STREAM] 🔥 BARGE-IN → cortando stream`);
+            stop(StreamEndReason.BARGE_IN);
+        }, talkingDebounceMs);
+    };
+    channel.on('ChannelTalkingStarted', talkingHandler);
+    const timeoutTimer = setTimeout(() => {
+        log('warn', `⏰ [TTS STREAM] Timeout (${timeoutMs}ms)`);
+        stop(StreamEndReason.TIMEOUT);
+    }, timeoutMs);
+
+    // Productor: chunks del proveedor → mu-law pendiente de enviar
+    const producer = (async () => {
+        try {
+            for await (const chunk of chunks) {
+                if (endReason) break;
+                pending = Buffer.concat([pending, resampler.push(chunk)]);
+                notify();
+            }
+        } catch (err) {
+            if (!endReason) producerError = err;
+        } finally {
+            producerDone = true;
+            notify();
+        }
+    })();
+
+    // Emisor: un frame cada frameMs a ritmo de reloj (sin deriva acumulada)
+    const ssrc = Math.floor(Math.random() * 0xffffffff);
+    let sequence = Math.floor(Math.random() * 0xffff);
+    let timestamp = Math.floor(Math.random() * 0xffffffff);
+    let sent = 0;
+    let firstFrameMs = null;
+    let clock = null;
+
+    while (!endReason) {
+        if (pending.length < frameBytes && !producerDone) {
+            await new Promise(resolve => { wake = resolve; });
+            clock = null; // stream detenido esperando audio: re-anclar el reloj
+            continue;
+        }
+        if (pending.length === 0) break;
+
+        let payload = pending.subarray(0, frameBytes);
+        pending = pending.subarray(payload.length);
+        if (payload.length < frameBytes) {
+            payload = Buffer.concat([payload, Buffer.alloc(frameBytes - payload.length, ULAW_SILENCE)]);
+        }
+
+        if (clock === null) clock = { at: Date.now(), frames: 0 };
+        const dueAt = clock.at + clock.frames * frameMs;
+        const delay = dueAt - Date.now();
+        if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+        if (endReason) break;
+
+        socket.send(buildRtpPacket({ payload, sequence: sequence++, timestamp, ssrc, marker: sent === 0 }), target.port, target.address);
+        timestamp += frameBytes;
+        clock.frames++;
+        if (sent++ === 0) firstFrameMs = Date.now() - startedAt;
+    }
+
+    // Dejar que el último frame se reproduzca antes de colgar el tramo
+    if (!endReason) await new Promise(resolve => setTimeout(resolve, frameMs * 2));
+    const reason = endReason || (producerError ? StreamEndReason.FAILED : StreamEndReason.FINISHED);
+
+    clearTimeout(timeoutTimer);
+    if (talkingTimer) clearTimeout(talkingTimer);
+    channel.removeListener('ChannelTalkingStarted', talkingHandler);
+    await producer;
+    socket.close();
+    await externalChannel.hangup().catch(err => log('debug', `🔇 [TTS STREAM] hangup ${externalChannel.id}: ${err.message}`));
+    if (openaiClient) openaiClient.isPlaybackActive = false;
+
+    if (producerError) log('error', `❌ [TTS STREAM] Proveedor cortó el stream: ${producerError.message}`);
+    log('info', `🌊 [TTS STREAM] Fin (${reason}): ${sent * frameMs}ms de audio, primer frame a ${firstFrameMs ?? '-'}ms`);
+    return { reason, sentMs: sent * frameMs, firstFrameMs };
+}
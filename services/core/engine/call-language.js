@@ -0,0 +1,213 @@
+/**
+ * CallLanguage - Language of a call and the per-language packs the engine needs
+ *
+ * Purpose: One capsule can serve Spanish, English and Haitian Creole callers.
+ * The call language is resolved once at session start and can be switched by
+ * detection on the first utterance; it then drives STT hints, TTS
+ * voice/instructions, goodbye detection and the confirmation classifier.
+ *
+ * Resolution order:
+ *   1. DNIS mapping   config.languages.byDnis (LANGUAGE_BY_DNIS=226001234=en,226001235=ht)
+ *   2. Capsule        capsule.languages.default
+ *   3. Engine         config.openai.language
+ * capsule.languages.detect = true re-evaluates on the first utterance, among
+ * capsule.languages.supported.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { log } from '../../../lib/logger.js';
+import { inboundConfig as config } from './config.js';
+import { normalizeSpeech } from './stt/stt-grammar.js';
+
+/**
+ * Packs por idioma (ISO-639-1). markers: palabras frecuentes sin tildes para detección.
+ * intents: frases de intent/intent-service.js (además de confirm.yes / confirm.no).
+ */
+export const LANGUAGE_PACKS = Object.freeze({
+    es: {
+        name: 'Español',
+        ttsInstructions: config.tts.openai.instructions,
+        goodbyePhrases: [
+            'que tenga un excelente día', 'que tenga un buen día', 'hasta luego', 'adiós', 'me despido',
+            'un gusto haberle ayudado', 'nos vemos', 'finalizar llamada', 'que esté bien', 'cuídese'
+        ],
+        confirm: {
+            yes: ['si', 'sí', 'sii', 'siii', 'es correcto', 'si es correcto', 'y es correcto', 'correcto', 'asi es', 'así es',
+                'exacto', 'claro', 'bueno', 'confirmo', 'confirmado', 'ok', 'okay', 'dale', 'bueno ya'],
+            no: ['no', 'no es', 'no es correcto', 'incorrecto', 'falso', 'equivocado', 'mal', 'error', 'corregir', 'cambiar', 'otro']
+        },
+        intents: {
+            repeat: ['repita', 'repítame', 'repítalo', 'puede repetir', 'otra vez', 'de nuevo', 'no escuché', 'no le escuché', 'no entendí', 'no le entendí', 'qué dijo', 'mande'],
+            human: ['ejecutivo', 'ejecutiva', 'operador', 'operadora', 'una persona', 'con alguien', 'secretaria', 'recepción', 'agente', 'humano'],
+            later: ['más tarde', 'después', 'ahora no puedo', 'no puedo hablar', 'estoy ocupado', 'estoy ocupada', 'en otro momento', 'llámeme'],
+            change: ['otro día', 'otra hora', 'otra fecha', 'otro horario', 'cambiar la hora', 'cambiar la fecha', 'reagendar', 'postergar', 'cambiarla', 'moverla'],
+            unsure: ['no sé', 'no estoy seguro', 'no estoy segura', 'tal vez', 'quizás', 'puede ser', 'no recuerdo', 'no me acuerdo']
+        },
+        markers: ['el', 'la', 'los', 'de', 'que', 'y', 'es', 'mi', 'por', 'favor', 'hola', 'gracias', 'quiero', 'un', 'una',
+            'con', 'para', 'hora', 'si', 'esta', 'bueno', 'senorita', 'espanol']
+    },
+    en: {
+        name: 'English',
+        ttsInstructions: 'Speak clearly and naturally in American English, at a calm pace.',
+        goodbyePhrases: ['have a great day', 'have a nice day', 'goodbye', 'bye bye', 'take care', 'thank you for calling', 'see you'],
+        confirm: {
+            yes: ['yes', 'yeah', 'yep', 'correct', 'is correct', 'it is correct', 'he is correct', 'that is correct', 'ok', 'okay', 'sure', 'right'],
+            no: ['no', 'not', 'is not', 'incorrect', 'wrong', 'change']
+        },
+        intents: {
+            repeat: ['repeat', 'say that again', 'come again', 'pardon', 'sorry what', 'i did not hear', 'i didnt hear', 'i did not understand', 'one more time'],
+            human: ['agent', 'operator', 'a person', 'someone', 'representative', 'receptionist', 'human'],
+            later: ['later', 'call me back', 'not now', 'busy', 'cant talk'],
+            change: ['another day', 'another time slot', 'different day', 'different time', 'reschedule', 'change the date', 'change the time', 'move it'],
+            unsure: ['i dont know', 'i do not know', 'not sure', 'maybe', 'i dont remember', 'i do not remember']
+        },
+        markers: ['the', 'i', 'im', 'you', 'yes', 'is', 'my', 'and', 'to', 'of', 'it', 'hello', 'hi', 'please', 'thank', 'thanks',
+            'what', 'want', 'need', 'appointment', 'speak', 'english']
+    },
+    ht: {
+        name: 'Kreyòl ayisyen',
+        ttsInstructions: 'Speak clearly and naturally in Haitian Creole, at a calm pace.',
+        goodbyePhrases: ['orevwa', 'bon jounen', 'pase yon bon jounen', 'n a wè', 'mèsi paske ou rele', 'pran swen ou'],
+        confirm: {
+            yes: ['wi', 'wi se sa', 'se sa', 'dakò', 'egzakteman', 'kòrèk', 'oke', 'ok'],
+            no: ['non', 'pa kòrèk', 'se pa sa', 'pa vre', 'chanje']
+        },
+        intents: {
+            repeat: ['repete', 'ankò', 'mwen pa tande', 'mwen pa konprann', 'kisa ou di'],
+            human: ['yon moun', 'operatè', 'ajan', 'resepsyon'],
+            later: ['pita', 'pa kounye a', 'mwen okipe', 'rele m pita'],
+            change: ['yon lòt jou', 'yon lòt lè randevou', 'chanje randevou', 'chanje dat', 'chanje lè'],
+            unsure: ['mwen pa konnen', 'petèt', 'mwen pa sonje']
+        },
+        markers: ['mwen', 'ou', 'li', 'nou', 'yo', 'pa', 'wi', 'se', 'ki', 'nan', 'bonjou', 'mesi', 'kijan', 'eske', 'kounye',
+            'pou', 'ak', 'vle', 'kreyol', 'tanpri']
+    }
+});
+
+export const SUPPORTED_LANGUAGES = Object.freeze(Object.keys(LANGUAGE_PACKS));
+
+/**
+ * Pack del idioma (o el del idioma por defecto del engine si no existe)
+ */
+export function languagePack(language) {
+    return LANGUAGE_PACKS[language] || LANGUAGE_PACKS[config.openai.language] || LANGUAGE_PACKS.es;
+}
+
+/**
+ * Idioma inicial de la llamada
+ *
+ * @param {object} options
+ * @param {string} [options.dnis]
+ * @param {object} [options.capsuleLanguages] - capsule.languages { default, supported, detect }
+ * @param {object} [options.byDnis] - { [dnis]: language }
+ * @param {string} [options.fallback]
+ * @returns {{language: string, source: 'dnis'|'capsule'|'engine', detect: boolean, supported: string[]}}
+ */
+export function resolveCallLanguage({ dnis = null, capsuleLanguages = null, byDnis = config.languages.byDnis, fallback = config.openai.language } = {}) {
+    const supported = capsuleLanguages?.supported?.length ? capsuleLanguages.supported : null;
+    const detect = capsuleLanguages?.detect === true && (supported?.length || 0) > 1;
+
+    const fromDnis = dnis ? byDnis?.[dnis] : null;
+    if (fromDnis && (!supported || supported.includes(fromDnis))) {
+        return { language: fromDnis, source: 'dnis', detect: false, supported: supported || [fromDnis] };
+    }
+    if (capsuleLanguages?.default) {
+        return { language: capsuleLanguages.default, source: 'capsule', detect, supported: supported || [capsuleLanguages.default] };
+    }
+    const language = supported && !supported.includes(fallback) ? supported[0] : fallback;
+    return { language, source: 'engine', detect, supported: supported || [language] };
+}
+
+/**
+ * Idioma más probable de un texto entre los candidatos (marcadores frecuentes)
+ *
+ * @param {string} text
+ * @param {string[]} [candidates]
+ * @param {number} [minWords] - Menos palabras = sin veredicto
+ * @returns {{language: string, score: number}|null} - null si es ambiguo o muy corto
+ */
+export function detectLanguage(text, candidates = SUPPORTED_LANGUAGES, minWords = config.languages.detectMinWords) {
+    const words = normalizeSpeech(text).split(' ').filter(Boolean);
+    if (words.length < minWords) return null;
+
+    const scores = candidates
+        .filter(code => LANGUAGE_PACKS[code])
+        .map(code => {
+            const markers = new Set(LANGUAGE_PACKS[code].markers);
+            return { language: code, score: words.filter(w => markers.has(w)).length };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    const [best, second] = scores;
+    if (!best || best.score === 0 || (second && second.score === best.score)) return null;
+    return best;
+}
+
+/**
+ * Perfil TTS para el idioma: capsule.ttsProfile.byLanguage[language] + instrucciones del pack
+ */
+export function ttsProfileForLanguage(profile = {}, language) {
+    const { byLanguage, ...base } = profile || {};
+    const override = byLanguage?.[language] || {};
+    return {
+        ...base,
+        ...override,
+        voices: { ...(base.voices || {}), ...(override.voices || {}) },
+        instructions: languagePack(language).ttsInstructions
+    };
+}
+
+/**
+ * Errores de capsule.languages (vacío = válido)
+ *
+ * @returns {string[]} - Mensajes sin prefijo de cápsula
+ */
+export function validateCapsuleLanguages(languages) {
+    if (!languages || typeof languages !== 'object' || Array.isArray(languages)) {
+        return [`languages inválido (type: ${typeof languages})`];
+    }
+    const errors = [];
+    const known = (code) => SUPPORTED_LANGUAGES.includes(code);
+    if (languages.default !== undefined && !known(languages.default)) {
+        errors.push(`languages.default no soportado (value: ${languages.default}; soportados: ${SUPPORTED_LANGUAGES.join(', ')})`);
+    }
+    if (languages.supported !== undefined && (!Array.isArray(languages.supported) || !languages.supported.every(known))) {
+        errors.push(`languages.supported debe listar idiomas soportados (${SUPPORTED_LANGUAGES.join(', ')})`);
+    } else if (languages.default && languages.supported && !languages.supported.includes(languages.default)) {
+        errors.push(`languages.default (${languages.default}) no está en languages.supported`);
+    }
+    if (languages.detect !== undefined && typeof languages.detect !== 'boolean') {
+        errors.push('languages.detect debe ser boolean');
+    }
+    return errors;
+}
+
+/**
+ * Detección en el primer turno: fija el idioma de la llamada (una sola vez)
+ *
+ * @param {string} transcript
+ * @param {object} domainContext - { language, languageDetect, languagesSupported }
+ * @param {object} [client] - Cliente realtime con setLanguage()
+ * @returns {string|null} - Nuevo idioma si cambió
+ */
+export function applyLanguageDetection(transcript, domainContext, client = null) {
+    if (!domainContext?.languageDetect || domainContext.languageLocked || !transcript) return null;
+
+    const words = normalizeSpeech(transcript).split(' ').filter(Boolean);
+    if (words.length < config.languages.detectMinWords) return null; // "sí", "ok": esperar un turno más claro
+
+    const verdict = detectLanguage(transcript, domainContext.languagesSupported);
+    domainContext.languageLocked = true;
+    const previous = domainContext.language;
+    const language = verdict?.language || previous;
+
+    client?.setLanguage?.(language);
+    if (language === previous) {
+        log('info', `🌐 [LANGUAGE] Idioma confirmado en primer turno: ${language}`);
+        return null;
+    }
+    domainContext.language = language;
+    log('info', `🌐 [LANGUAGE] Idioma detectado en primer turno: ${previous} → ${language} (score=${verdict.score})`);
+    return language;
+}
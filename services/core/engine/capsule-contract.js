@@ -9,6 +9,10 @@
 // =========================================================
 
 import { log } from '../../../lib/logger.js';
+import { validateLifecycleContract, buildLifecycleContract, DEFAULT_PHASE_CONTRACT } from './lifecycle-contract.js';
+import { TTS_PROVIDER_FACTORIES } from './tts/tts-providers.js';
+import { validateSttPhases } from './stt/stt-grammar.js';
+import { SUPPORTED_LANGUAGES, validateCapsuleLanguages as validateLanguages } from './call-language.js';
 
 /**
  * Contrato oficial de Cápsula v1
@@ -18,12 +22,416 @@ import { log } from '../../../lib/logger.js';
  * - domainName: string identificador (opcional pero recomendado)
  * - systemPrompt: string con el prompt del sistema (opcional)
  * - sttMode: 'realtime' | 'legacy-batch' (opcional)
+ * - lifecycle: { [fase]: { allow, deny, requires, ... } } fases de negocio (opcional)
+ * - voicemail: { audio? , tts? } mensaje para contestadoras en salientes con AMD (opcional)
+ * - handoff: { queue?, timeoutSeconds?, whisper?, fallback?: { audio?, tts? } } defaults del traspaso a agente (opcional)
+ * - ttsProfile: { provider?, voice?, voices?, fallback?, byLanguage? } proveedor/voz TTS de la cápsula con failover (opcional)
+ * - sttPhases: { [fase]: { prompt?, vocabulary?, language?, grammar? } } sesgo STT y respuesta esperada por fase (opcional)
+ * - languages: { default?, supported?, detect? } idioma de la llamada (opcional, call-language.js)
  */
 export const CAPSULE_CONTRACT = {
     REQUIRED: ['domain'],
-    OPTIONAL: ['domainName', 'systemPrompt', 'sttMode', 'botName', 'type']
+    OPTIONAL: ['domainName', 'systemPrompt', 'sttMode', 'botName', 'type', 'lifecycle', 'voicemail', 'handoff', 'ttsProfile', 'sttPhases', 'languages']
 };
 
+/**
+ * Contrato oficial de Cápsula v2
+ *
+ * La cápsula declara hooks por evento, capacidades y mapa de fases.
+ * El engine deriva silent/skipInput/action desde esas declaraciones
+ * en vez de adivinarlas desde campos ad-hoc del resultado.
+ *
+ * {
+ *   contractVersion: 2,
+ *   domainName, botName, systemPrompt,
+ *   capabilities: { needsSnoop, sttMode, bargeIn, dtmf },
+ *   initialPhase: 'START_GREETING',
+ *   phases: { [phase]: { listen: boolean, bargeIn?: boolean, dtmf?: boolean } },
+ *   lifecycle?: { [phase]: { allow?, deny?, requires?, guards? } },  // overrides sobre lo derivado de phases
+ *   voicemail?: { audio?, tts? },  // mensaje fijo para contestadoras (AMD = MACHINE)
+ *   handoff?: { queue?, timeoutSeconds?, whisper?, fallback? },  // defaults del traspaso a agente
+ *   ttsProfile?: { provider?, voice?, voices?, fallback?, byLanguage? },  // proveedor/voz TTS (tts-service.js)
+ *   sttPhases?: { [phase]: { prompt?, vocabulary?, language?, grammar? } },  // STT por fase (stt-grammar.js)
+ *   languages?: { default?, supported?, detect? },  // idioma por llamada (call-language.js)
+ *   hooks: { onInit, onTurn, onSilence?, onDtmf?, onVoicemail?, onWebhookResult?, onHangup?, onFinalize? }
+ * }
+ *
+ * Resultado de onInit/onTurn/onSilence/onDtmf:
+ * { nextPhase, audio?, tts?, state?, hangup?, handoff?, collectDigits?, enableIncremental?, disableIncremental?, config? }
+ *
+ * handoff: true | { queue?, rut?, patientName?, summary?, reason?, whisper?, fallback? } → traspaso a agente humano
+ *
+ * collectDigits (requiere capability dtmf): N | { maxDigits, terminator, interDigitTimeoutMs, firstDigitTimeoutMs }
+ * onDtmf recibe ctx.dtmf (string sin terminador) y ctx.dtmfReason.
+ *
+ * onVoicemail recibe ctx.amd y devuelve { audio? , tts? } (gana sobre voicemail fijo); sin mensaje se cuelga.
+ * onWebhookResult/onHangup/onFinalize no hablan: solo pueden devolver { state }.
+ */
+export const CAPSULE_CONTRACT_V2 = {
+    HOOKS: ['onInit', 'onTurn', 'onSilence', 'onDtmf', 'onVoicemail', 'onWebhookResult', 'onHangup', 'onFinalize'],
+    REQUIRED_HOOKS: ['onInit', 'onTurn'],
+    STT_MODES: ['realtime', 'legacy-batch', 'none'],
+    CAPABILITIES: {
+        needsSnoop: 'boolean',
+        sttMode: 'string',
+        bargeIn: 'boolean',
+        dtmf: 'boolean'
+    }
+};
+
+/**
+ * Evento del engine → hook de la cápsula v2
+ */
+export const HOOK_BY_EVENT = {
+    INIT: 'onInit',
+    TURN: 'onTurn',
+    NO_INPUT: 'onSilence',
+    DTMF: 'onDtmf',
+    VOICEMAIL: 'onVoicemail',
+    WEBHOOK_RESULT: 'onWebhookResult',
+    HANGUP: 'onHangup',
+    FINALIZE: 'onFinalize'
+};
+
+export function isCapsuleV2(capsule) {
+    return !!capsule && typeof capsule === 'object' && capsule.contractVersion === 2;
+}
+
+/**
+ * Valida una cápsula v2 (hooks, capacidades y mapa de fases)
+ *
+ * @param {object} capsule - Cápsula v2 sin normalizar
+ * @param {string} name - Nombre de la cápsula (para logs)
+ * @returns {object} - { valid: boolean, errors: string[] }
+ */
+export function validateCapsuleV2(capsule, name = 'unknown') {
+    const errors = [];
+    const { HOOKS, REQUIRED_HOOKS, STT_MODES, CAPABILITIES } = CAPSULE_CONTRACT_V2;
+
+    // 1. Hooks
+    const hooks = capsule.hooks;
+    if (!hooks || typeof hooks !== 'object') {
+        errors.push(`Capsule ${name} no declara hooks`);
+    } else {
+        for (const hook of REQUIRED_HOOKS) {
+            if (typeof hooks[hook] !== 'function') {
+                errors.push(`Capsule ${name} no expone hook requerido ${hook}()`);
+            }
+        }
+        for (const [hook, fn] of Object.entries(hooks)) {
+            if (!HOOKS.includes(hook)) {
+                errors.push(`Capsule ${name} declara hook desconocido: ${hook}`);
+            } else if (typeof fn !== 'function') {
+                errors.push(`Capsule ${name} tiene hook ${hook} inválido (type: ${typeof fn})`);
+            }
+        }
+    }
+
+    // 2. Capacidades
+    const capabilities = capsule.capabilities;
+    if (!capabilities || typeof capabilities !== 'object') {
+        errors.push(`Capsule ${name} no declara capabilities`);
+    } else {
+        for (const [key, type] of Object.entries(CAPABILITIES)) {
+            if (typeof capabilities[key] !== type) {
+                errors.push(`Capsule ${name} capability ${key} debe ser ${type} (value: ${capabilities[key]})`);
+            }
+        }
+        if (typeof capabilities.sttMode === 'string' && !STT_MODES.includes(capabilities.sttMode)) {
+            errors.push(`Capsule ${name} tiene sttMode inválido (value: ${capabilities.sttMode})`);
+        }
+        // El audio del llamante para STT sale del Snoop RX
+        if (capabilities.sttMode && capabilities.sttMode !== 'none' && capabilities.needsSnoop === false) {
+            errors.push(`Capsule ${name} usa sttMode=${capabilities.sttMode} sin needsSnoop`);
+        }
+        if (capabilities.dtmf === true && typeof hooks?.onDtmf !== 'function') {
+            errors.push(`Capsule ${name} declara dtmf sin hook onDtmf()`);
+        }
+    }
+
+    // 3. Mapa de fases
+    const phases = capsule.phases;
+    if (!phases || typeof phases !== 'object' || Object.keys(phases).length === 0) {
+        errors.push(`Capsule ${name} no declara phases`);
+    } else {
+        for (const [phase, spec] of Object.entries(phases)) {
+            if (!spec || typeof spec.listen !== 'boolean') {
+                errors.push(`Capsule ${name} fase ${phase} debe declarar listen (boolean)`);
+                continue;
+            }
+            if (spec.bargeIn !== undefined && typeof spec.bargeIn !== 'boolean') {
+                errors.push(`Capsule ${name} fase ${phase} tiene bargeIn inválido`);
+            }
+            if (spec.dtmf === true && capabilities?.dtmf !== true) {
+                errors.push(`Capsule ${name} fase ${phase} acepta DTMF pero la cápsula no declara capability dtmf`);
+            }
+            if (spec.listen && capabilities?.sttMode === 'none' && spec.dtmf !== true) {
+                errors.push(`Capsule ${name} fase ${phase} escucha pero sttMode=none y sin DTMF`);
+            }
+        }
+        if (!capsule.initialPhase || !(capsule.initialPhase in phases)) {
+            errors.push(`Capsule ${name} initialPhase no está en phases (value: ${capsule.initialPhase})`);
+        }
+    }
+
+    // 4. Lifecycle propio (opcional): solo para fases declaradas
+    errors.push(...validateLifecycleContract(capsule.lifecycle, name));
+    errors.push(...validateVoicemail(capsule.voicemail, name));
+    errors.push(...validateHandoff(capsule.handoff, name));
+    errors.push(...validateTtsProfile(capsule.ttsProfile, name));
+    errors.push(...validateCapsuleSttPhases(capsule.sttPhases, name));
+    errors.push(...validateCapsuleLanguages(capsule.languages, name));
+    for (const phase of Object.keys(capsule.lifecycle || {})) {
+        if (phases && !(phase in phases)) {
+            errors.push(`Capsule ${name} lifecycle ${phase} no está en phases`);
+        }
+    }
+    for (const [phase, spec] of Object.entries(capsule.sttPhases || {})) {
+        if (phases && !(phase in phases)) {
+            errors.push(`Capsule ${name} sttPhases ${phase} no está en phases`);
+        } else if (phases?.[phase]?.listen === false && spec) {
+            errors.push(`Capsule ${name} sttPhases ${phase} declara STT en una fase que no escucha`);
+        }
+    }
+
+    if (capsule.domainName !== undefined && typeof capsule.domainName !== 'string') {
+        errors.push(`Capsule ${name} tiene domainName inválido (type: ${typeof capsule.domainName})`);
+    }
+    if (capsule.systemPrompt !== undefined && typeof capsule.systemPrompt !== 'string') {
+        errors.push(`Capsule ${name} tiene systemPrompt inválido (type: ${typeof capsule.systemPrompt})`);
+    }
+
+    const valid = errors.length === 0;
+    if (valid) {
+        log("info", `✅ [CAPSULE CONTRACT] Cápsula v2 ${name} válida`, {
+            hooks: Object.keys(hooks),
+            capabilities,
+            phases: Object.keys(phases)
+        });
+    } else {
+        log("error", `❌ [CAPSULE CONTRACT] Cápsula v2 ${name} inválida:`, { errors });
+    }
+
+    return { valid, errors };
+}
+
+/**
+ * Traduce el resultado de un hook v2 al formato que consume el engine
+ * (action/silent/skipInput/interruptPolicy derivados de capacidades + fase)
+ *
+ * @param {object|null} result - Resultado del hook
+ * @param {object} capsule - Cápsula v2
+ * @param {object} ctx - Contexto del evento (state actual)
+ * @returns {object} - Resultado en formato engine
+ */
+export function toEngineResult(result, capsule, ctx = {}) {
+    const currentPhase = ctx.state?.rutPhase || capsule.initialPhase;
+    const hookResult = result || {};
+    const nextPhase = hookResult.nextPhase || currentPhase;
+    const phaseSpec = capsule.phases[nextPhase];
+
+    if (!phaseSpec) {
+        throw new Error(`CAPSULE_PHASE_UNDECLARED: ${capsule.domainName || 'capsule'} devolvió fase ${nextPhase} fuera de su mapa de fases`);
+    }
+
+    // 🔊 Barge-in: capacidad de la cápsula ∧ política de la fase que se reproduce
+    const playbackSpec = capsule.phases[currentPhase] || phaseSpec;
+    const allowBargeIn = capsule.capabilities.bargeIn === true && playbackSpec.bargeIn !== false;
+
+    const action = hookResult.hangup ? 'HANGUP' : (hookResult.handoff ? 'HANDOFF' : (hookResult.audio ? 'PLAY_AUDIO' : 'SET_STATE'));
+
+    return {
+        action,
+        nextPhase,
+        audio: hookResult.audio || null,
+        ttsText: hookResult.tts || null,
+        // silent = la fase siguiente no escucha (el engine salta STT); barge-in va aparte
+        silent: !phaseSpec.listen,
+        allowBargeIn,
+        skipInput: !phaseSpec.listen,
+        shouldHangup: hookResult.hangup === true,
+        handoff: hookResult.handoff || undefined,
+        state: { ...(hookResult.state || ctx.state || {}), rutPhase: nextPhase },
+        // 🔢 "Recolectar N dígitos" solo para cápsulas que declaran capability dtmf
+        collectDigits: capsule.capabilities.dtmf === true ? hookResult.collectDigits : undefined,
+        enableIncremental: hookResult.enableIncremental,
+        disableIncremental: hookResult.disableIncremental,
+        config: hookResult.config
+    };
+}
+
+/**
+ * Fases de lifecycle de una cápsula v2
+ * Cada fase declarada obtiene el contrato genérico (listen) o uno de solo playback;
+ * capsule.lifecycle sobrescribe fase por fase.
+ */
+export function deriveLifecyclePhases(capsule) {
+    const derived = {};
+    for (const [phase, spec] of Object.entries(capsule.phases || {})) {
+        derived[phase] = spec.listen
+            ? {}
+            : { allow: ['PLAYBACK', 'CREATE_BRIDGE'], deny: [...DEFAULT_PHASE_CONTRACT.deny, 'STT'] };
+    }
+    for (const [phase, spec] of Object.entries(capsule.lifecycle || {})) {
+        derived[phase] = { ...derived[phase], ...spec };
+    }
+    return derived;
+}
+
+/**
+ * Normaliza una cápsula v2 a la forma estándar (domain() + metadatos)
+ * domain() despacha cada evento del engine al hook correspondiente
+ */
+export function normalizeCapsuleV2(capsule, name = 'unknown') {
+    const hooks = { ...capsule.hooks };
+
+    const domain = async (ctx = {}) => {
+        const hookName = HOOK_BY_EVENT[ctx.event] || 'onTurn';
+        const hook = hooks[hookName];
+
+        if (!hook) {
+            // Evento sin hook: mantener fase actual
+            log("debug", `🪝 [CAPSULE v2] ${name} sin hook ${hookName} para evento ${ctx.event} - manteniendo fase`);
+            return toEngineResult(null, capsule, ctx);
+        }
+
+        return toEngineResult(await hook(ctx), capsule, ctx);
+    };
+
+    return {
+        contractVersion: 2,
+        domain,
+        domainName: capsule.domainName || name,
+        botName: capsule.botName || 'Capsule',
+        systemPrompt: capsule.systemPrompt,
+        sttMode: capsule.capabilities.sttMode === 'none' ? undefined : capsule.capabilities.sttMode,
+        type: capsule.type || 'PHASED',
+        capabilities: { ...capsule.capabilities },
+        phases: capsule.phases,
+        initialPhase: capsule.initialPhase,
+        lifecycle: buildLifecycleContract(deriveLifecyclePhases(capsule), name),
+        voicemail: capsule.voicemail,
+        handoff: capsule.handoff,
+        ttsProfile: capsule.ttsProfile,
+        sttPhases: capsule.sttPhases,
+        languages: capsule.languages,
+        hooks
+    };
+}
+
+/**
+ * Mensaje de buzón (opcional): { audio } y/o { tts } como strings
+ */
+function validateVoicemail(voicemail, name) {
+    if (voicemail === undefined) return [];
+    if (!voicemail || typeof voicemail !== 'object') {
+        return [`Capsule ${name} tiene voicemail inválido (type: ${typeof voicemail})`];
+    }
+    const { audio, tts } = voicemail;
+    if ((audio !== undefined && typeof audio !== 'string') || (tts !== undefined && typeof tts !== 'string') || (!audio && !tts)) {
+        return [`Capsule ${name} voicemail requiere audio o tts (string)`];
+    }
+    return [];
+}
+
+/**
+ * Defaults de handoff (opcional): queue string, timeoutSeconds > 0, fallback como voicemail
+ */
+function validateHandoff(handoff, name) {
+    if (handoff === undefined) return [];
+    if (!handoff || typeof handoff !== 'object') {
+        return [`Capsule ${name} tiene handoff inválido (type: ${typeof handoff})`];
+    }
+    const errors = [];
+    if (handoff.queue !== undefined && typeof handoff.queue !== 'string') {
+        errors.push(`Capsule ${name} handoff.queue debe ser string`);
+    }
+    if (handoff.timeoutSeconds !== undefined && !(Number.isFinite(handoff.timeoutSeconds) && handoff.timeoutSeconds > 0)) {
+        errors.push(`Capsule ${name} handoff.timeoutSeconds inválido (value: ${handoff.timeoutSeconds})`);
+    }
+    if (handoff.fallback !== undefined) {
+        errors.push(...validateVoicemail(handoff.fallback, name).map(e => e.replace('voicemail', 'handoff.fallback')));
+    }
+    return errors;
+}
+
+/**
+ * Perfil TTS (opcional): provider y fallback deben ser proveedores conocidos del core
+ */
+function validateTtsProfile(profile, name) {
+    if (profile === undefined) return [];
+    if (!profile || typeof profile !== 'object') {
+        return [`Capsule ${name} tiene ttsProfile inválido (type: ${typeof profile})`];
+    }
+    const errors = [];
+    const known = Object.keys(TTS_PROVIDER_FACTORIES);
+    if (profile.provider !== undefined && !known.includes(profile.provider)) {
+        errors.push(`Capsule ${name} ttsProfile.provider desconocido (value: ${profile.provider})`);
+    }
+    if (profile.voice !== undefined && typeof profile.voice !== 'string') {
+        errors.push(`Capsule ${name} ttsProfile.voice debe ser string`);
+    }
+    if (profile.voices !== undefined && (!profile.voices || typeof profile.voices !== 'object' || Object.values(profile.voices).some(v => typeof v !== 'string'))) {
+        errors.push(`Capsule ${name} ttsProfile.voices debe ser { proveedor: voz }`);
+    }
+    if (profile.fallback !== undefined && (!Array.isArray(profile.fallback) || profile.fallback.some(p => !known.includes(p)))) {
+        errors.push(`Capsule ${name} ttsProfile.fallback debe listar proveedores conocidos (${known.join(', ')})`);
+    }
+    if (profile.byLanguage !== undefined) {
+        if (!profile.byLanguage || typeof profile.byLanguage !== 'object') {
+            errors.push(`Capsule ${name} ttsProfile.byLanguage debe ser { idioma: perfil }`);
+        } else {
+            for (const [language, override] of Object.entries(profile.byLanguage)) {
+                if (!SUPPORTED_LANGUAGES.includes(language)) {
+                    errors.push(`Capsule ${name} ttsProfile.byLanguage.${language} no es un idioma soportado (${SUPPORTED_LANGUAGES.join(', ')})`);
+                }
+                errors.push(...validateTtsProfile(override, name).map(e => e.replace('ttsProfile', `ttsProfile.byLanguage.${language}`)));
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * STT por fase (opcional): ver stt/stt-grammar.js
+ */
+function validateCapsuleSttPhases(sttPhases, name) {
+    if (sttPhases === undefined) return [];
+    return validateSttPhases(sttPhases).map(e => `Capsule ${name} ${e}`);
+}
+
+/**
+ * Idiomas de la llamada (opcional): ver call-language.js
+ */
+function validateCapsuleLanguages(languages, name) {
+    if (languages === undefined) return [];
+    return validateLanguages(languages).map(e => `Capsule ${name} ${e}`);
+}
+
+/**
+ * Invoca un hook v2 fuera del flujo de turnos (VOICEMAIL, WEBHOOK_RESULT, HANGUP, FINALIZE)
+ * Cápsulas v1 o sin el hook → null. Errores del hook se loguean y no rompen el engine.
+ *
+ * @param {object} domainContext - domainContext de la sesión
+ * @param {string} hookName - onVoicemail | onWebhookResult | onHangup | onFinalize
+ * @param {object} ctx - Contexto del evento
+ * @returns {Promise<object|null>} - Resultado crudo del hook
+ */
+export async function invokeCapsuleHook(domainContext, hookName, ctx = {}) {
+    const hook = domainContext?.contractVersion === 2 ? domainContext.hooks?.[hookName] : null;
+    if (typeof hook !== 'function') return null;
+
+    try {
+        return (await hook(ctx)) || null;
+    } catch (err) {
+        log("error", `❌ [CAPSULE v2] Hook ${hookName} falló: ${err.message}`, {
+            domainName: domainContext.domainName,
+            event: ctx.event
+        });
+        return null;
+    }
+}
+
 /**
  * Valida que una cápsula cumple el contrato esperado
  * 
@@ -57,6 +465,13 @@ export function validateCapsule(capsule, name = 'unknown') {
     if (capsule.sttMode !== undefined && !['realtime', 'legacy-batch'].includes(capsule.sttMode)) {
         errors.push(`Capsule ${name} tiene sttMode inválido (value: ${capsule.sttMode})`);
     }
+
+    errors.push(...validateLifecycleContract(capsule.lifecycle, name));
+    errors.push(...validateVoicemail(capsule.voicemail, name));
+    errors.push(...validateHandoff(capsule.handoff, name));
+    errors.push(...validateTtsProfile(capsule.ttsProfile, name));
+    errors.push(...validateCapsuleSttPhases(capsule.sttPhases, name));
+    errors.push(...validateCapsuleLanguages(capsule.languages, name));
     
     const valid = errors.length === 0;
     
@@ -98,7 +513,14 @@ export function normalizeCapsule(capsule, name = 'unknown') {
             systemPrompt: capsule.systemPrompt,
             sttMode: capsule.sttMode,
             botName: capsule.botName || 'Capsule',
-            type: capsule.type || 'PHASED'
+            type: capsule.type || 'PHASED',
+            capabilities: capsule.capabilities, // 🔢 v1 puede declarar { dtmf: true } en la función
+            lifecycle: capsule.lifecycle,
+            voicemail: capsule.voicemail,
+            handoff: capsule.handoff,
+            ttsProfile: capsule.ttsProfile,
+            sttPhases: capsule.sttPhases,
+            languages: capsule.languages
         };
     }
     
@@ -120,6 +542,12 @@ export function normalizeCapsule(capsule, name = 'unknown') {
  * @returns {object|null} - Cápsula normalizada y validada, o null si es inválida
  */
 export function validateAndNormalizeCapsule(capsule, name = 'unknown') {
+    // v2: validar declaraciones antes de envolver los hooks
+    if (isCapsuleV2(capsule)) {
+        const validation = validateCapsuleV2(capsule, name);
+        return validation.valid ? normalizeCapsuleV2(capsule, name) : null;
+    }
+
     // Normalizar primero
     const normalized = normalizeCapsule(capsule, name);
     
@@ -134,5 +562,9 @@ export function validateAndNormalizeCapsule(capsule, name = 'unknown') {
         return null;
     }
     
-    return normalized;
+    // 🔒 Fases de negocio de la cápsula + contrato core
+    return {
+        ...normalized,
+        lifecycle: buildLifecycleContract(normalized.lifecycle || {}, name)
+    };
 }
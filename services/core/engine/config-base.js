@@ -17,12 +17,91 @@ export const voicebotConfigBase = {
         }
     },
     tts: {
-        provider: "openai",    // ← ⬅️ Nuevo
+        // 🔀 Cadena de proveedores (el primero es el preferido; una cápsula puede cambiarlo con capsule.tts)
+        providers: (process.env.TTS_PROVIDERS || "openai,elevenlabs,local").split(",").map(p => p.trim()).filter(Boolean),
+        failoverCooldownMs: parseInt(process.env.TTS_FAILOVER_COOLDOWN_MS || "60000", 10), // Proveedor caído se salta este tiempo
+        streaming: {           // 🌊 TTS por ExternalMedia: suena desde el primer chunk y se corta en barge-in
+            enabled: process.env.TTS_STREAMING === "true",
+            frameMs: 20
+        },
+        openai: {
+            model: "gpt-4o-mini-tts",
+            instructions: "Speak seamlessly and naturally in Chilean Spanish.",
+            timeoutMs: 15000
+        },
+        cache: {               // 💾 Caché en disco (content-addressed: texto + voz + modelo + instrucciones)
+            enabled: process.env.TTS_CACHE_ENABLED !== "false",
+            dir: process.env.TTS_CACHE_DIR || "/opt/telephony-core/cache/tts",
+            maxBytes: parseInt(process.env.TTS_CACHE_MAX_MB || "512", 10) * 1024 * 1024,
+            maxEntries: parseInt(process.env.TTS_CACHE_MAX_ENTRIES || "20000", 10),
+            memoryEntries: parseInt(process.env.TTS_CACHE_MEMORY_ENTRIES || "200", 10)
+        },
         elevenlabs: {
-            voiceId: "",
-            model: "eleven_turbo_v2",
+            voiceId: process.env.ELEVENLABS_VOICE_ID || "",
+            model: process.env.ELEVENLABS_MODEL || "eleven_turbo_v2",
             stability: 0.5,
-            similarityBoost: 0.75
+            similarityBoost: 0.75,
+            style: 0.15,
+            useSpeakerBoost: true,
+            timeoutMs: 15000
+        },
+        local: {               // 🖥️ Motor offline: lee el texto por stdin y escribe un WAV ({voice} {output})
+            command: process.env.TTS_LOCAL_COMMAND || "espeak-ng",
+            args: (process.env.TTS_LOCAL_ARGS || "-v {voice} -w {output}").split(" ").filter(Boolean),
+            voice: process.env.TTS_LOCAL_VOICE || "es-419",
+            timeoutMs: 15000
+        }
+    },
+    stt: {                     // 📝 Transcripción batch (segmentos, fallback Whisper, post-call)
+        providers: (process.env.STT_PROVIDERS || "openai").split(",").map(p => p.trim()).filter(Boolean),
+        language: process.env.STT_LANGUAGE || "es",
+        timeoutMs: parseInt(process.env.STT_TIMEOUT_MS || "30000", 10),
+        retries: parseInt(process.env.STT_RETRIES || "2", 10),
+        retryDelayMs: parseInt(process.env.STT_RETRY_DELAY_MS || "500", 10),
+        wholeCallTimeoutMs: parseInt(process.env.STT_WHOLE_CALL_TIMEOUT_MS || "600000", 10), // 🎙️ Grabación completa (post-call, lotes): un intento, sin reintentos
+        openai: {
+            model: process.env.OPENAI_STT_MODEL || "whisper-1"
+        },
+        local: {               // 🖥️ whisper.cpp: escribe <output>.txt ({model} {language} {prompt} {input} {output})
+            command: process.env.STT_LOCAL_COMMAND || "whisper-cli",
+            model: process.env.STT_LOCAL_MODEL || "/opt/whisper.cpp/models/ggml-base.bin",
+            args: ["-m", "{model}", "-l", "{language}", "--prompt", "{prompt}", "-nt", "-otxt", "-of", "{output}", "-f", "{input}"]
+        },
+        fake: {                // 🧪 Fixtures deterministas (STT_PROVIDERS=fake)
+            fixturesPath: process.env.STT_FAKE_FIXTURES || null
+        }
+    },
+    languages: {               // 🌐 Idioma por llamada (call-language.js): DNIS > capsule.languages.default > openai.language
+        // LANGUAGE_BY_DNIS="226001234=en,226001235=ht"
+        byDnis: Object.fromEntries((process.env.LANGUAGE_BY_DNIS || "").split(",")
+            .map(pair => pair.split("=").map(s => s.trim()))
+            .filter(([dnis, language]) => dnis && language)),
+        detectMinWords: parseInt(process.env.LANGUAGE_DETECT_MIN_WORDS || "2", 10) // Primer turno más corto no decide
+    },
+    intent: {                  // 🧭 Intención en confirmaciones (intent/intent-service.js): patrones y, si fallan, LLM
+        llmMinConfidence: parseFloat(process.env.INTENT_LLM_MIN_CONFIDENCE || "0.7"), // Bajo esto se consulta al LLM
+        llm: {
+            enabled: process.env.INTENT_LLM_ENABLED === "true",
+            model: process.env.INTENT_LLM_MODEL || "gpt-4o-mini",
+            timeoutMs: parseInt(process.env.INTENT_LLM_TIMEOUT_MS || "2500", 10)
+        }
+    },
+    integrations: {            // 🔗 Cliente HTTP de integraciones (integrations/http-integration-client.js); una cápsula puede sobreescribirlo
+        http: {
+            timeoutMs: parseInt(process.env.HTTP_INTEGRATION_TIMEOUT_MS || "3000", 10),     // Por intento
+            deadlineMs: parseInt(process.env.HTTP_INTEGRATION_DEADLINE_MS || "6000", 10),   // Total con reintentos: tope de espera del llamante
+            retries: parseInt(process.env.HTTP_INTEGRATION_RETRIES || "2", 10),             // Solo eventos idempotentes
+            retryBaseDelayMs: parseInt(process.env.HTTP_INTEGRATION_RETRY_DELAY_MS || "200", 10),
+            breaker: {
+                failureThreshold: parseInt(process.env.HTTP_INTEGRATION_BREAKER_FAILURES || "5", 10), // Fallos seguidos que abren el circuito
+                openMs: parseInt(process.env.HTTP_INTEGRATION_BREAKER_OPEN_MS || "30000", 10)        // Tiempo abierto antes de probar de nuevo
+            }
+        }
+    },
+    identity: {                // 🪪 Tipos de identidad por voz (identity/identity-types.js)
+        account: {             // Nº de cuenta / cliente (tipo ACCOUNT)
+            minLen: parseInt(process.env.IDENTITY_ACCOUNT_MIN_LEN || "6", 10),
+            maxLen: parseInt(process.env.IDENTITY_ACCOUNT_MAX_LEN || "12", 10)
         }
     },
     logging: {
@@ -17,6 +17,22 @@ export const inboundConfig = {
         ALLOW_DTMF_FALLBACK: process.env.ENGINE_MODE !== "debug_strict"
     },
 
+    dtmf: {                                         // 🔢 Recolección DTMF (ChannelDtmfReceived)
+        terminator: "#",
+        interDigitTimeoutMs: parseInt(process.env.DTMF_INTER_DIGIT_TIMEOUT_MS || "3000", 10),
+        firstDigitTimeoutMs: parseInt(process.env.DTMF_FIRST_DIGIT_TIMEOUT_MS || "8000", 10)
+    },
+
+    amd: {                                          // 📠 Detección de contestador (solo salientes)
+        enabled: process.env.AMD_ENABLED !== "false",
+        initialSilenceMs: parseInt(process.env.AMD_INITIAL_SILENCE_MS || "2500", 10),
+        greetingMs: parseInt(process.env.AMD_GREETING_MS || "1500", 10),
+        afterGreetingSilenceMs: parseInt(process.env.AMD_AFTER_GREETING_SILENCE_MS || "800", 10),
+        totalAnalysisMs: parseInt(process.env.AMD_TOTAL_ANALYSIS_MS || "5000", 10),
+        maxUtterances: parseInt(process.env.AMD_MAX_UTTERANCES || "3", 10),
+        beepWaitMs: parseInt(process.env.AMD_BEEP_WAIT_MS || "20000", 10)  // Máx. espera al fin del saludo del buzón
+    },
+
     bargeIn: {
         enabled: true,
         minUserAudioMs: 1500,
@@ -28,11 +44,14 @@ export const inboundConfig = {
         enableQueueTransfer: true,
         queueName: "cola_ventas",
         fallbackToHuman: true,
-        queueTimeoutSeconds: 20
+        queueTimeoutSeconds: 20,
+        queueContext: process.env.HANDOFF_QUEUE_CONTEXT || "queues",   // Contexto dialplan de las colas (Local/<cola>@<contexto>)
+        whisperAgent: process.env.HANDOFF_WHISPER !== "false"          // 🤫 Resumen TTS al agente antes de unirlo
     },
     paths: {                                        // Rutas del sistema de archivos
         voicebot: "/var/lib/asterisk/sounds/voicebot", // Directorio de archivos del voicebot (DEBE estar en sounds de Asterisk)
-        recordings: "/var/spool/asterisk/recording"    // Directorio de grabaciones de Asterisk
+        recordings: "/var/spool/asterisk/recording",   // Directorio de grabaciones de Asterisk
+        finalRecordings: process.env.RECORDINGS_ROOT || "/opt/telephony-core/recordings" // Destino final (CallFinalizer)
     },
 
     queues: {                                       // Configuración de colas
@@ -0,0 +1,329 @@
+/**
+ * DateTimeExpressions - Spanish date / time preferences spoken by the caller
+ *
+ * Turns "el martes en la tarde", "después del quince", "entre el lunes y el
+ * miércoles a las diez y media" or "lo antes posible" into a search window:
+ *
+ *   { matched, asap, dates, dateFrom, dateTo, timeFrom, timeTo, exactTime, partOfDay }
+ *
+ * - dates: explicit days (["2026-10-20"]), dateFrom / dateTo: inclusive range
+ *   (null = open), all as YYYY-MM-DD
+ * - timeFrom / timeTo: [from, to) as HH:MM, exactTime: preferred time ("a las diez")
+ * - partOfDay: MANANA | TARDE | NOCHE ("en la tarde" → 12:00-19:00)
+ *
+ * Relative days (hoy, mañana, el martes, la próxima semana, el quince) resolve
+ * against `now` in the business timezone (America/Santiago), never the server
+ * one. Numbers go through spoken-numbers ("a las cuatro" → 4). Bare hours
+ * from 1 to 7 are read as afternoon (clinic hours): "a las tres" → 15:00.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { normalizeSpeech } from '../stt/stt-grammar.js';
+import { textToDigits } from '../identity/spoken-numbers.js';
+import { zonedParts, DEFAULT_TIMEZONE } from '../../ari/rules-engine.js';
+
+export const PART_OF_DAY = Object.freeze({
+    MANANA: Object.freeze({ from: '00:00', to: '12:00' }),
+    TARDE: Object.freeze({ from: '12:00', to: '19:00' }),
+    NOCHE: Object.freeze({ from: '19:00', to: '24:00' })
+});
+
+export const WEEKDAY_WORDS = Object.freeze({
+    lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6, domingo: 7
+});
+
+export const MONTH_WORDS = Object.freeze({
+    enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8,
+    septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12
+});
+
+const MONTH_NAMES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+    'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+const WEEKDAYS_SRC = Object.keys(WEEKDAY_WORDS).join('|');
+const MONTHS_SRC = Object.keys(MONTH_WORDS).join('|');
+
+// "pasado mañana", "el próximo martes", "martes que viene", "15", "15 de noviembre (de 2026)"
+const TERM_SRC = `(?:(?:el|la|este|proximo|el proximo) )?(?:pasado manana|manana|hoy|${WEEKDAYS_SRC}|\\d{1,2}(?: de (?:${MONTHS_SRC}))?(?: de \\d{4})?)(?: (?:que viene|proximo|siguiente))?`;
+
+// "10", "10 y media", "10 30", "4 menos cuarto" (textToDigits deja "menos" como "-")
+const TIME_SRC = '(\\d{1,2})(?:(?: y | )(media|cuarto|\\d{1,2})| (?:menos|-) (cuarto|\\d{1,2}))?(?: (?:hrs|horas|hs))?';
+
+const ASAP_PATTERN = /\b(lo (mas )?antes posible|lo mas pronto( posible)?|cuanto antes|pronto|lo primero que (haya|tenga)|la primera (hora )?(disponible|que (haya|tenga))|cualquier (dia|fecha|hora)|lo que (haya|tenga))\b/;
+const PART_OF_DAY_PATTERN = /\b(?:en|por|de|a|durante) la (manana|mananita|tarde|tardecita|noche)\b|\b(temprano)\b/g;
+
+const TIME_RULES = [
+    { kind: 'between', pattern: new RegExp(`\\bentre (?:las? )?${TIME_SRC} y (?:las? )?${TIME_SRC}`, 'g') },
+    { kind: 'from', pattern: new RegExp(`\\b(?:despues de|desde|a partir de|pasadas) (?:las? )?${TIME_SRC}`, 'g') },
+    { kind: 'to', pattern: new RegExp(`\\b(?:antes de|hasta) (?:las? )${TIME_SRC}`, 'g') },
+    { kind: 'exact', pattern: new RegExp(`\\b(?:a|de|como a|cerca de|alrededor de|tipo) (?:las? )${TIME_SRC}|\\btipo ${TIME_SRC}`, 'g') }
+];
+
+const DATE_RULES = [
+    { kind: 'between', pattern: new RegExp(`\\bentre (${TERM_SRC}) y (${TERM_SRC})`, 'g') },
+    { kind: 'after', pattern: new RegExp(`\\bdespues (?:del?|de el) (${TERM_SRC})`, 'g') },
+    { kind: 'from', pattern: new RegExp(`\\b(?:desde|a partir)(?: del?| de el)? (${TERM_SRC})`, 'g') },
+    { kind: 'before', pattern: new RegExp(`\\bantes (?:del?|de el) (${TERM_SRC})`, 'g') },
+    { kind: 'to', pattern: new RegExp(`\\bhasta (?:el |del )?(${TERM_SRC})`, 'g') },
+    // Día suelto: un número solo cuenta como fecha con contexto ("el 15", "día 15", "15 de noviembre")
+    { kind: 'day', pattern: new RegExp(`(?:\\b(el|del|al|dia|para el) )?(${TERM_SRC})`, 'g') }
+];
+
+const NEXT_WEEK_PATTERN = /\b((la )?(proxima|siguiente|otra) semana|semana (que viene|siguiente))\b/;
+const THIS_WEEK_PATTERN = /\besta semana\b/;
+const WEEKEND_PATTERN = /\b(fin de semana|finde)\b/;
+const MONTH_PATTERN = new RegExp(`\\b(?:en|para|de|durante) (${MONTHS_SRC})\\b`);
+
+// ─── Fechas (YYYY-MM-DD, aritmética en UTC para no depender del huso del servidor) ───
+
+function isoDate(year, month, day) {
+    const d = new Date(Date.UTC(year, month - 1, day));
+    if (d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null; // 31 de noviembre
+    return d.toISOString().slice(0, 10);
+}
+
+export function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Día de la semana de una fecha YYYY-MM-DD (1 = lunes … 7 = domingo)
+ */
+export function weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+}
+
+function formatMinutes(minutes) {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve one date term ("mañana", "el próximo martes", "15 de noviembre") to YYYY-MM-DD
+ * @returns {{date: string, numberOnly: boolean}|null}
+ */
+function resolveTerm(term, today) {
+    const words = term.trim().split(' ');
+    const strict = /\b(proximo|que viene|siguiente)\b/.test(term);
+
+    if (term.includes('pasado manana')) return { date: addDays(today.date, 2), numberOnly: false };
+    if (words.includes('manana')) return { date: addDays(today.date, 1), numberOnly: false };
+    if (words.includes('hoy')) return { date: today.date, numberOnly: false };
+
+    const weekday = words.find(word => WEEKDAY_WORDS[word]);
+    if (weekday) {
+        let diff = (WEEKDAY_WORDS[weekday] - today.weekday + 7) % 7;
+        if (diff === 0 && strict) diff = 7;
+        return { date: addDays(today.date, diff), numberOnly: false };
+    }
+
+    const match = term.match(new RegExp(`(\\d{1,2})(?: de (${MONTHS_SRC}))?(?: de (\\d{4}))?`));
+    if (!match) return null;
+    const day = Number(match[1]);
+    const [year, month] = today.date.split('-').map(Number);
+
+    if (match[2]) {
+        const targetMonth = MONTH_WORDS[match[2]];
+        let targetYear = match[3] ? Number(match[3]) : year;
+        let date = isoDate(targetYear, targetMonth, day);
+        // "15 de marzo" ya pasado → el próximo año
+        if (date && !match[3] && date < today.date) date = isoDate(++targetYear, targetMonth, day);
+        return date ? { date, numberOnly: false } : null;
+    }
+
+    // "el 15": este mes si aún no pasa, si no el próximo
+    let date = isoDate(year, month, day);
+    if (!date || date < today.date) {
+        date = month === 12 ? isoDate(year + 1, 1, day) : isoDate(year, month + 1, day);
+    }
+    return date ? { date, numberOnly: true } : null;
+}
+
+/**
+ * "10 y media" → minutos desde medianoche, en 24 h
+ */
+function resolveTime(hourRaw, plus, minus, partOfDay) {
+    let hour = Number(hourRaw);
+    let minutes = 0;
+    if (plus === 'media') minutes = 30;
+    else if (plus === 'cuarto') minutes = 15;
+    else if (plus) minutes = Number(plus);
+    if (hour > 23 || minutes > 59) return null;
+
+    // La tarde se decide por la hora dicha: "las 8 menos cuarto" son las 7:45 de la mañana
+    if (hour < 12 && (partOfDay === 'TARDE' || partOfDay === 'NOCHE')) hour += 12;
+    else if (!partOfDay && hour >= 1 && hour <= 7) hour += 12;
+
+    const total = hour * 60 + minutes - (minus ? (minus === 'cuarto' ? 15 : Number(minus)) : 0);
+    return total >= 0 ? total : null;
+}
+
+function blank(text, match) {
+    return text.replace(match, ' '.repeat(match.length));
+}
+
+/**
+ * Parse a spoken date / time preference
+ *
+ * @param {string} text - Transcript ("el martes en la tarde", "después del quince")
+ * @param {object} [options]
+ * @param {Date} [options.now] - Reference instant
+ * @param {string} [options.timeZone] - Business timezone (default America/Santiago)
+ * @returns {{matched: boolean, asap: boolean, dates: string[]|null, dateFrom: string|null, dateTo: string|null,
+ *            timeFrom: string|null, timeTo: string|null, exactTime: string|null, partOfDay: string|null}}
+ */
+export function parseDateTimeExpression(text, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) {
+    const today = zonedParts(now, timeZone);
+    const result = {
+        matched: false,
+        asap: false,
+        dates: null,
+        dateFrom: null,
+        dateTo: null,
+        timeFrom: null,
+        timeTo: null,
+        exactTime: null,
+        partOfDay: null
+    };
+
+    // "15/11" → "15 de noviembre" antes de normalizar (normalizeSpeech quita la barra)
+    const slashed = String(text || '').replace(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/g, (all, d, m, y) => {
+        const month = MONTH_NAMES[Number(m) - 1];
+        if (!month) return all;
+        return `${d} de ${month}${y && y.length === 4 ? ` de ${y}` : ''}`;
+    });
+    let rest = ` ${textToDigits(normalizeSpeech(slashed))} `;
+
+    if (ASAP_PATTERN.test(rest)) result.asap = true;
+
+    // 1. Parte del día ("en la mañana" no es "mañana" = día siguiente)
+    for (const match of rest.matchAll(PART_OF_DAY_PATTERN)) {
+        const word = match[1] || match[2];
+        result.partOfDay = word.startsWith('tarde') ? 'TARDE' : word === 'noche' ? 'NOCHE' : 'MANANA';
+        rest = blank(rest, match[0]);
+    }
+    if (/\b(al )?mediodia\b/.test(rest)) {
+        result.exactTime = '12:00';
+        rest = rest.replace(/\b(al )?mediodia\b/, ' ');
+    }
+
+    // 2. Horas ("a las diez y media", "después de las cuatro", "entre las 3 y las 5")
+    let timeFrom = null;
+    let timeTo = null;
+    for (const { kind, pattern } of TIME_RULES) {
+        for (const match of rest.matchAll(pattern)) {
+            const groups = match.slice(1);
+            const first = resolveTime(groups[0] ?? groups[3], groups[1] ?? groups[4], groups[2] ?? groups[5], result.partOfDay);
+            if (first === null) continue;
+            if (kind === 'between') {
+                const second = resolveTime(groups[3], groups[4], groups[5], result.partOfDay);
+                if (second === null) continue;
+                timeFrom = Math.min(first, second);
+                timeTo = Math.max(first, second);
+            } else if (kind === 'from') timeFrom = first;
+            else if (kind === 'to') timeTo = first;
+            else result.exactTime = formatMinutes(first);
+            rest = blank(rest, match[0]);
+        }
+    }
+    if (result.partOfDay) {
+        const range = PART_OF_DAY[result.partOfDay];
+        result.timeFrom = range.from;
+        result.timeTo = range.to;
+    }
+    if (timeFrom !== null) result.timeFrom = formatMinutes(timeFrom);
+    if (timeTo !== null) result.timeTo = formatMinutes(timeTo);
+
+    // 3. Fechas y rangos ("después del quince", "antes del viernes", "el martes")
+    const dates = [];
+    rest = rest.replace(/\bahora( mismo)?\b/g, ' hoy ');
+    for (const { kind, pattern } of DATE_RULES) {
+        for (const match of rest.matchAll(pattern)) {
+            if (kind === 'day') {
+                const resolved = resolveTerm(match[2], today);
+                // Número sin "el / día / de mes": ruido, no fecha
+                if (!resolved || (resolved.numberOnly && !match[1] && !/^(el|la) /.test(match[2]))) continue;
+                dates.push(resolved.date);
+                rest = blank(rest, match[0]);
+                continue;
+            }
+            const first = resolveTerm(match[1], today);
+            if (!first) continue;
+            if (kind === 'between') {
+                const second = resolveTerm(match[2], today);
+                if (!second) continue;
+                result.dateFrom = first.date < second.date ? first.date : second.date;
+                result.dateTo = first.date < second.date ? second.date : first.date;
+            } else if (kind === 'after') result.dateFrom = addDays(first.date, 1);
+            else if (kind === 'from') result.dateFrom = first.date;
+            else if (kind === 'before') result.dateTo = addDays(first.date, -1);
+            else result.dateTo = first.date;
+            rest = blank(rest, match[0]);
+        }
+    }
+
+    // 4. Semanas y meses
+    if (NEXT_WEEK_PATTERN.test(rest)) {
+        result.dateFrom = addDays(today.date, 8 - today.weekday);
+        result.dateTo = addDays(result.dateFrom, 6);
+    } else if (WEEKEND_PATTERN.test(rest)) {
+        result.dateFrom = today.weekday === 7 ? today.date : addDays(today.date, 6 - today.weekday);
+        result.dateTo = addDays(today.date, 7 - today.weekday);
+        if (result.dateFrom > result.dateTo) result.dateFrom = today.date;
+    } else if (THIS_WEEK_PATTERN.test(rest)) {
+        result.dateFrom = today.date;
+        result.dateTo = addDays(today.date, 7 - today.weekday);
+    } else {
+        const monthMatch = rest.match(MONTH_PATTERN);
+        if (monthMatch && dates.length === 0) {
+            const month = MONTH_WORDS[monthMatch[1]];
+            const [year, currentMonth] = today.date.split('-').map(Number);
+            const targetYear = month < currentMonth ? year + 1 : year;
+            const first = isoDate(targetYear, month, 1);
+            result.dateFrom = first < today.date ? today.date : first;
+            result.dateTo = addDays(isoDate(month === 12 ? targetYear + 1 : targetYear, month === 12 ? 1 : month + 1, 1), -1);
+        }
+    }
+
+    if (dates.length > 0) {
+        result.dates = [...new Set(dates)].sort();
+        result.dateFrom = result.dateFrom || result.dates[0];
+        result.dateTo = result.dateTo || result.dates[result.dates.length - 1];
+    }
+
+    result.matched = result.asap || Boolean(result.dates || result.dateFrom || result.dateTo ||
+        result.timeFrom || result.timeTo || result.exactTime);
+    return result;
+}
+
+/**
+ * Whether a local date / time falls inside a parsed expression (exactTime is a preference, not a filter)
+ *
+ * @param {object} expression - parseDateTimeExpression() result
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreTime] - Only the date constraints
+ */
+export function matchesDateTime(expression, date, time, { ignoreTime = false } = {}) {
+    if (!expression) return true;
+    if (expression.dates && !expression.dates.includes(date)) return false;
+    if (expression.dateFrom && date < expression.dateFrom) return false;
+    if (expression.dateTo && date > expression.dateTo) return false;
+    if (ignoreTime) return true;
+    if (expression.timeFrom && time < expression.timeFrom) return false;
+    if (expression.timeTo && time >= expression.timeTo) return false;
+    return true;
+}
+
+/**
+ * Minutes since midnight of "HH:MM"
+ */
+export function timeToMinutes(time) {
+    const [h, m] = String(time || '0:0').split(':').map(Number);
+    return h * 60 + (m || 0);
+}
@@ -0,0 +1,203 @@
+/**
+ * Human handoff - Transfer the caller to a queue agent keeping what the bot learned
+ *
+ * Unlike transferToQueue (blind continueInDialplan), the caller stays in Stasis:
+ * the agent leg is originated as Local/<queue>@<context>, optionally whispered a
+ * short summary, and then bridged with the caller. If no agent answers within
+ * queueTimeoutSeconds the agent leg is dropped and the engine plays the capsule
+ * fallback message.
+ *
+ * Dialplan: the queues context must run Queue() without a prior Answer() so the
+ * Local leg only enters Stasis when an agent picks up.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { log } from "../../../../lib/logger.js";
+
+export const HandoffOutcome = Object.freeze({
+    CONNECTED: 'CONNECTED',
+    TIMEOUT: 'TIMEOUT',
+    FAILED: 'FAILED',
+    CALLER_HANGUP: 'CALLER_HANGUP'
+});
+
+// appArgs del tramo del agente: el listener no lo rutea como sesión VoiceBot
+export const HANDOFF_AGENT_ROLE = 'role=handoffAgent';
+
+/**
+ * Short transcript summary for screen-pop / whisper
+ *
+ * @param {Array<{role: string, content: string}>} history - conversationState.history
+ * @param {object} options
+ * @param {number} options.maxTurns - Last N entries
+ * @param {number} options.maxChars - Hard cap (keeps the most recent text)
+ * @returns {string}
+ */
+export function summarizeTranscript(history = [], { maxTurns = 6, maxChars = 400 } = {}) {
+    const text = history
+        .filter(entry => entry?.content)
+        .slice(-maxTurns)
+        .map(entry => `${entry.role === 'user' ? 'Cliente' : 'Bot'}: ${String(entry.content).trim()}`)
+        .join(' | ');
+    return text.length > maxChars ? `…${text.slice(text.length - maxChars + 1)}` : text;
+}
+
+/**
+ * call.handoff payload (CRM screen-pop)
+ * The capsule may pass rut / patientName / summary / data explicitly in its handoff result;
+ * otherwise the core falls back to state.dni (validated identifier) and the transcript.
+ *
+ * @returns {object}
+ */
+export function buildHandoffPayload({ linkedId, channelId, ani, dnis, queue, state = {}, history = [], handoff = {} }) {
+    return {
+        linkedId,
+        channelId,
+        ani,
+        dnis,
+        queue,
+        reason: handoff.reason || 'bot-handoff',
+        rut: handoff.rut ?? state.dni ?? null,
+        patientName: handoff.patientName ?? null,
+        lastPhase: state.rutPhase || null,
+        summary: handoff.summary || summarizeTranscript(history),
+        data: handoff.data || {},
+        requestedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Default whisper for the agent leg ("Paciente Juan Pérez, RUT 12345678-9. Motivo: ...")
+ */
+export function buildWhisperText(payload) {
+    const who = [payload.patientName || 'Cliente', payload.rut ? `RUT ${payload.rut}` : null].filter(Boolean).join(', ');
+    return payload.reason && payload.reason !== 'bot-handoff'
+        ? `${who}. Motivo: ${payload.reason}.`
+        : `${who}. Transferido desde el asistente virtual.`;
+}
+
+/**
+ * Originate the agent leg, whisper and bridge it with the caller
+ *
+ * @param {object} ari - ARI client
+ * @param {object} channel - Caller channel (in Stasis)
+ * @param {object} options
+ * @param {string} options.linkedId
+ * @param {string} options.queue - Extension in the queues context
+ * @param {string} [options.context] - Dialplan context of the queues (default: queues)
+ * @param {string} options.appName - Stasis app for the agent leg
+ * @param {string} [options.callerId] - Caller id shown to the agent
+ * @param {number} options.timeoutSeconds - Max wait for an agent
+ * @param {string|null} [options.whisperText] - Played to the agent only, before bridging
+ * @param {Function} [options.speak] - async (channel, text) → plays TTS on a channel
+ * @returns {Promise<{outcome: string, agentChannelId: string, bridgeId?: string}>}
+ */
+export async function handoffToAgent(ari, channel, { linkedId, queue, context = 'queues', appName, callerId, timeoutSeconds, whisperText = null, speak = null }) {
+    const agentChannelId = `handoff-${linkedId}-${Date.now()}`;
+    log("info", `🧑‍💼 [HANDOFF] Llamando a cola ${queue} (agente=${agentChannelId}, timeout=${timeoutSeconds}s)`);
+
+    const waiting = waitForAgent(ari, channel.id, agentChannelId, timeoutSeconds * 1000);
+
+    try {
+        await ari.channels.originate({
+            endpoint: `Local/${queue}@${context}`,
+            app: appName,
+            appArgs: HANDOFF_AGENT_ROLE,
+            callerId,
+            channelId: agentChannelId,
+            timeout: timeoutSeconds,
+            variables: { HANDOFF_LINKEDID: linkedId }
+        });
+    } catch (err) {
+        log("error", `❌ [HANDOFF] Originate a cola ${queue} falló: ${err.message}`);
+        waiting.cancel();
+        return { outcome: HandoffOutcome.FAILED, agentChannelId };
+    }
+
+    const answer = await waiting.promise;
+    if (answer !== 'ANSWERED') {
+        await ari.channels.hangup({ channelId: agentChannelId }).catch(() => { });
+        const outcome = answer === 'CALLER_HANGUP' ? HandoffOutcome.CALLER_HANGUP : HandoffOutcome.TIMEOUT;
+        log("warn", `⏱️ [HANDOFF] Sin agente en cola ${queue}: ${outcome}`);
+        return { outcome, agentChannelId };
+    }
+
+    const agent = ari.Channel(agentChannelId);
+
+    // 🤫 Whisper: solo el agente lo escucha (aún no está en el bridge)
+    if (whisperText && typeof speak === 'function') {
+        try {
+            await speak(agent, whisperText);
+        } catch (err) {
+            log("warn", `⚠️ [HANDOFF] Whisper falló: ${err.message}`);
+        }
+    }
+
+    const bridge = ari.Bridge();
+    try {
+        await bridge.create({ type: 'mixing', name: `handoff-${linkedId}` });
+        await bridge.addChannel({ channel: channel.id });
+        await bridge.addChannel({ channel: agentChannelId });
+    } catch (err) {
+        log("warn", `⚠️ [HANDOFF] No se pudo unir llamante y agente: ${err.message}`);
+        await agent.hangup().catch(() => { });
+        await bridge.destroy().catch(() => { });
+        return { outcome: HandoffOutcome.CALLER_HANGUP, agentChannelId };
+    }
+
+    watchHandoffBridge(ari, bridge, channel.id, agentChannelId);
+    log("info", `✅ [HANDOFF] Llamante ${channel.id} conectado con agente ${agentChannelId} (bridge ${bridge.id})`);
+    return { outcome: HandoffOutcome.CONNECTED, agentChannelId, bridgeId: bridge.id };
+}
+
+/**
+ * ANSWERED (agent leg in Stasis) | TIMEOUT | AGENT_GONE | CALLER_HANGUP
+ */
+function waitForAgent(ari, callerId, agentChannelId, timeoutMs) {
+    let settle = null;
+    const promise = new Promise((resolve) => {
+        let timer = null;
+
+        settle = (answer) => {
+            clearTimeout(timer);
+            ari.removeListener('StasisStart', onStart);
+            ari.removeListener('ChannelDestroyed', onDestroyed);
+            ari.removeListener('StasisEnd', onEnd);
+            resolve(answer);
+        };
+
+        const onStart = (event) => {
+            if (event?.channel?.id === agentChannelId) settle('ANSWERED');
+        };
+        const onDestroyed = (event) => {
+            if (event?.channel?.id === agentChannelId) settle('AGENT_GONE');
+        };
+        const onEnd = (event) => {
+            if (event?.channel?.id === callerId) settle('CALLER_HANGUP');
+        };
+
+        ari.on('StasisStart', onStart);
+        ari.on('ChannelDestroyed', onDestroyed);
+        ari.on('StasisEnd', onEnd);
+        timer = setTimeout(() => settle('TIMEOUT'), timeoutMs);
+    });
+    return { promise, cancel: () => settle('CANCELLED') };
+}
+
+/**
+ * Quien cuelgue primero termina la llamada del otro y destruye el bridge
+ */
+function watchHandoffBridge(ari, bridge, callerId, agentChannelId) {
+    const onEnd = async (event) => {
+        const gone = event?.channel?.id;
+        if (gone !== callerId && gone !== agentChannelId) return;
+        ari.removeListener('StasisEnd', onEnd);
+
+        const other = gone === callerId ? agentChannelId : callerId;
+        log("info", `🧑‍💼 [HANDOFF] ${gone === callerId ? 'Llamante' : 'Agente'} colgó - cerrando ${other}`);
+        await ari.channels.hangup({ channelId: other }).catch(() => { });
+        await bridge.destroy().catch(() => { });
+    };
+    ari.on('StasisEnd', onEnd);
+}
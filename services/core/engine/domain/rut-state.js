@@ -1,5 +1,6 @@
 import { log } from "../../../../lib/logger.js";
-import { normalizeRut, isValidRut, maskRut, parseRutFromSpeech, cleanAsrNoise, extractRutHard } from "../utils.js";
+import { normalizeRut, isValidRut, maskRut } from "../utils.js";
+import { parseRutFromSpeech, cleanAsrNoise, extractRutHard } from "../identity/spoken-numbers.js";
 import { classifyConfirmSimple } from "../legacy-compat/confirm-classifier.js";
 import { getPatientByRut } from "../legacy-compat/db-queries.js";
 import { sendBvdaText } from "../legacy/legacy-helpers.js";
@@ -1,7 +1,8 @@
 import { log } from "../../../../lib/logger.js";
 
 /**
- * Executes a transfer to a specific queue via Asterisk Dialplan.
+ * Executes a blind transfer to a specific queue via Asterisk Dialplan.
+ * The bot context is lost; capsules should return a HANDOFF (see handoff.js) instead.
  * @param {Object} ari - ARI client instance
  * @param {Object} channel - ARI channel instance
  * @param {string} queueName - Name of the queue (extension in 'queues' context)
@@ -14,10 +14,25 @@
  * - Nº deuda
  * - Nº contrato
  * - Cualquier identificador numérico por voz
+ *
+ * 🪪 Tipos enchufables (identity/identity-types.js): PHONE_CL, DOB, EMAIL,
+ * ACCOUNT y los que registre una cápsula usan el mismo buffer Redis
+ * (id:<tipo>:*) con su propio filtro de tokens, normalizador, validador y
+ * modelo de confianza. RUT conserva su evaluador (DV, estabilidad).
+ *
+ * 🔀 Autocorrecciones y reinicios (identity/identity-hypotheses.js): "no",
+ * "perdón", "mejor dicho" pasan el filtro de tokens y cada evaluación deja en
+ * id:<tipo>:hypotheses las lecturas alternativas ordenadas por confianza
+ * ("catorce millones... no, quince millones trescientos" → 15.000.300-8),
+ * para que la cápsula confirme la mejor en vez de fallar el intento.
  */
 
 import { log } from "../../../lib/logger.js";
 import redis from "../../../lib/redis.js";
+import { getIdentityType, parseIdentity } from "./identity/identity-types.js";
+import { rankIdentityHypotheses } from "./identity/identity-hypotheses.js";
+import { isCorrectionWord } from "./identity/spoken-numbers.js";
+import { normalizeSpeech } from "./stt/stt-grammar.js";
 
 /**
  * Estados canónicos de identidad (NO negociables)
@@ -416,6 +431,66 @@ function isPotentialIdentityToken(token, type = 'RUT') {
   return false;
 }
 
+/**
+ * ¿El delta es un marcador de corrección? ("no", "perdón", "mejor dicho")
+ * Se acumula para que las hipótesis sepan dónde el llamante se corrigió
+ */
+function isCorrectionDelta(text) {
+  const words = normalizeSpeech(text).split(' ').filter(Boolean);
+  return words.length > 0 && words.every(isCorrectionWord);
+}
+
+/**
+ * Filtro de tokens para tipos registrados: conserva las palabras del delta que el tipo acepta
+ * y los marcadores de corrección (se guardan tal cual llegan: "juan.perez@gmail.com" no pierde sus símbolos)
+ */
+function filterTypedDelta(rawText, identityType) {
+  return rawText.trim().split(/\s+/)
+    .filter(word => normalizeSpeech(word).split(' ').some(piece => piece && (identityType.isToken(piece) || isCorrectionWord(piece))))
+    .join(' ');
+}
+
+/**
+ * Evaluador para tipos registrados (PHONE_CL, DOB, EMAIL, ACCOUNT...)
+ * El tipo decide validez y confianza; aquí solo se suma la estabilidad entre evaluaciones
+ */
+async function evaluateTypedBuffer(sessionId, type) {
+  const tokensKey = `id:${type}:tokens:${sessionId}`;
+  const normalizedKey = `id:${type}:normalized:${sessionId}`;
+  const stateKey = `id:${type}:state:${sessionId}`;
+  const confidenceKey = `id:${type}:confidence:${sessionId}`;
+  const lastValueKey = `id:${type}:lastValue:${sessionId}`;
+
+  const tokens = await redis.lRange(tokensKey, 0, -1) || [];
+  if (tokens.length === 0) {
+    return { isComplete: false, reason: 'no_tokens', normalized: null, confidence: 0, state: IdentityState.INCOMPLETO };
+  }
+
+  const result = parseIdentity(tokens.join(' '), type);
+  const lastValue = await redis.get(lastValueKey);
+  const isStable = Boolean(result.value) && lastValue === result.value;
+  const confidence = result.valid && isStable ? Math.min(100, result.confidence + 10) : result.confidence;
+
+  if (result.value) {
+    await redis.set(lastValueKey, result.value, { EX: 60 });
+    await redis.set(normalizedKey, result.value, { EX: 60 });
+  }
+  await redis.set(stateKey, result.state, { EX: 60 });
+  await redis.set(confidenceKey, String(confidence), { EX: 60 });
+
+  log("info", `🔍 [IDENTITY EVALUATOR] sessionId=${sessionId}, type=${type}, normalized="${result.value ?? ''}", state=${result.state}, stable=${isStable}, reason=${result.reason}, confidence=${confidence}`);
+
+  return {
+    isComplete: result.valid,
+    reason: result.reason,
+    normalized: result.value,
+    display: result.display,
+    confidence,
+    state: result.state,
+    hasStability: isStable
+  };
+}
+
 /**
  * Calcula score de confianza (0-100)
  */
@@ -528,7 +603,7 @@ function validateRutDv(rut, dvExplicit = null) {
  * 
  * @param {string} sessionId - ID de sesión
  * @param {string} type - Tipo de identidad
- * @returns {Promise<Object>} { isComplete: boolean, reason: string, normalized: string, confidence: number }
+ * @returns {Promise<Object>} { isComplete: boolean, reason: string, normalized: string, confidence: number, hypotheses: Array }
  */
 export async function evaluateIdentityBuffer(sessionId, type = 'RUT') {
   if (!sessionId) {
@@ -536,10 +611,23 @@ export async function evaluateIdentityBuffer(sessionId, type = 'RUT') {
   }
   
   const config = IDENTITY_CONFIG[type];
-  if (!config) {
+  if (!config && !getIdentityType(type)) {
     return { isComplete: false, reason: 'invalid_type', normalized: null, confidence: 0 };
   }
-  
+
+  const evaluation = config
+    ? await evaluateConfiguredBuffer(sessionId, type, config)
+    : await evaluateTypedBuffer(sessionId, type);
+
+  // 🔀 Lecturas alternativas (autocorrecciones, reinicios): la cápsula puede confirmar la mejor
+  const hypotheses = await getIdentityHypotheses(sessionId, type);
+  return { ...evaluation, hypotheses };
+}
+
+/**
+ * Evaluador de los tipos de IDENTITY_CONFIG (RUT, DNI, DEBT, CONTRACT)
+ */
+async function evaluateConfiguredBuffer(sessionId, type, config) {
   const tokensKey = `id:${type}:tokens:${sessionId}`;
   const normalizedKey = `id:${type}:normalized:${sessionId}`;
   const stateKey = `id:${type}:state:${sessionId}`;
@@ -841,7 +929,8 @@ export async function processIdentityDelta(sessionId, rawText, type = 'RUT', sho
   }
   
   const config = IDENTITY_CONFIG[type];
-  if (!config) {
+  const identityType = config ? null : getIdentityType(type);
+  if (!config && !identityType) {
     log("error", `❌ [IDENTITY CAPTURE] Tipo de identidad no soportado: ${type}`);
     return {
       state: IdentityState.INVALIDO,
@@ -858,10 +947,10 @@ export async function processIdentityDelta(sessionId, rawText, type = 'RUT', sho
   const confidenceKey = `id:${type}:confidence:${sessionId}`;
   const partialKey = `id:${type}:partial:${sessionId}`;
   
-  // 🎯 FILTRO PREVIO: Ignorar tokens inválidos
-  const trimmedDelta = rawText.trim();
-  if (!isPotentialIdentityToken(trimmedDelta, type)) {
-    log("debug", `🚫 [IDENTITY CAPTURE] Token ignorado (ruido): "${trimmedDelta}"`);
+  // 🎯 FILTRO PREVIO: Ignorar tokens inválidos (tipos registrados: filtro propio por palabra)
+  const trimmedDelta = identityType ? filterTypedDelta(rawText, identityType) : rawText.trim();
+  if (identityType ? !trimmedDelta : !isPotentialIdentityToken(trimmedDelta, type) && !isCorrectionDelta(trimmedDelta)) {
+    log("debug", `🚫 [IDENTITY CAPTURE] Token ignorado (ruido): "${rawText.trim()}"`);
     // Retornar estado actual sin cambios
     const currentTokens = await redis.lRange(tokensKey, 0, -1) || [];
     const currentNormalized = await redis.get(normalizedKey) || '';
@@ -982,6 +1071,32 @@ export async function commitIdentityFinal(sessionId, normalized, type, confidenc
   }
 }
 
+/**
+ * 🔀 Hipótesis del identificador (top-N por confianza) sobre todo lo dicho en el buffer
+ * Se guardan en id:<tipo>:hypotheses para getIdentityState
+ *
+ * @param {string} sessionId - ID de sesión
+ * @param {string} type - 'RUT' o un tipo registrado (PHONE_CL, DOB...)
+ * @param {number} limit - Cuántas hipótesis devolver
+ * @returns {Promise<Array>} [{ value, display, confidence, source, valid, reason }]
+ */
+export async function getIdentityHypotheses(sessionId, type = 'RUT', limit = 3) {
+  if (!sessionId || (type !== 'RUT' && !getIdentityType(type))) return [];
+
+  const tokensKey = `id:${type}:tokens:${sessionId}`;
+  const partialKey = `id:${type}:partial:${sessionId}`;
+  const hypothesesKey = `id:${type}:hypotheses:${sessionId}`;
+
+  const text = await redis.get(partialKey) || (await redis.lRange(tokensKey, 0, -1) || []).join(' ');
+  const hypotheses = rankIdentityHypotheses(text, type, { limit });
+  await redis.set(hypothesesKey, JSON.stringify(hypotheses), { EX: 60 });
+
+  if (hypotheses.length > 0) {
+    log("debug", `🔀 [IDENTITY CAPTURE] Hipótesis ${type}: ${hypotheses.map(h => `${h.display || h.value}(${h.source},${h.confidence})`).join(' | ')}`);
+  }
+  return hypotheses;
+}
+
 /**
  * Obtiene el estado actual de identidad desde Redis
  */
@@ -1006,13 +1121,15 @@ export async function getIdentityState(sessionId, type = 'RUT') {
   const state = await redis.get(stateKey) || IdentityState.INCOMPLETO;
   const confidence = parseInt(await redis.get(confidenceKey) || '0', 10);
   const partial = await redis.get(partialKey) || null;
+  const hypotheses = JSON.parse(await redis.get(`id:${type}:hypotheses:${sessionId}`) || '[]');
   
   return {
     state,
     normalized,
     confidence,
     tokens,
-    partial: partial || null
+    partial: partial || null,
+    hypotheses
   };
 }
 
@@ -1042,6 +1159,7 @@ export async function clearIdentityBuffer(sessionId, type = 'RUT') {
   await redis.del(stateKey);
   await redis.del(confidenceKey);
   await redis.del(partialKey);
+  await redis.del(`id:${type}:hypotheses:${sessionId}`);
   
   log("debug", `🧹 [IDENTITY CAPTURE] Cleared identity buffer for ${sessionId} (type=${type})`);
 }
@@ -1074,7 +1192,10 @@ export function isValidIdentity(normalized, type = 'RUT') {
   if (!normalized || typeof normalized !== 'string') return false;
   
   const config = IDENTITY_CONFIG[type];
-  if (!config) return false;
+  if (!config) {
+    const identityType = getIdentityType(type);
+    return Boolean(identityType?.validate(normalized, {}).valid);
+  }
   
   const clean = normalized.replace(/[^0-9kK]/g, '');
   
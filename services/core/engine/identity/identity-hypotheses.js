@@ -0,0 +1,139 @@
+/**
+ * IdentityHypotheses - Ranked candidates for a spoken identifier
+ *
+ * Purpose: the incremental buffer (identity-capture.js) concatenates STT
+ * deltas, so "catorce millones... no, quince millones trescientos" or a
+ * caller who starts over ("uno cuatro tres cuatro... uno cuatro tres cuatro
+ * ocho dos...") used to end up as a single string of garbage digits. This
+ * module reads the whole utterance and proposes several readings, ranked by
+ * confidence, so the capsule can confirm the best one instead of failing
+ * the attempt:
+ *
+ *   rankIdentityHypotheses("catorce millones, no, quince millones trescientos", 'RUT')
+ *   // [{ value: '150003008', display: '15.000.300-8', confidence: 45, source: 'corrected',
+ *   //    valid: false, reason: 'dv_inferred' }, ...]
+ *
+ * Sources (base confidence, highest first):
+ *   direct     the utterance as said (no corrections)
+ *   corrected  self-corrections applied ("no, perdón", "mejor dicho", "digo"...)
+ *   restart    only what was said after the last correction marker
+ *   repeat     the caller restarted the number without a marker (prefix repeated)
+ *   tail       RUT only: last 8/9 digits of an over-long buffer
+ *
+ * RUT without a spoken DV gets the computed one (reason 'dv_inferred'): it
+ * is a guess to confirm with the caller, never a validated value.
+ *
+ * Pure module (no Redis): identity-capture.js stores the ranking per session.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { parseIdentity } from './identity-types.js';
+import { parseRutFromSpeech, parseSpokenDigits, rutCheckDigit, splitSelfCorrections } from './spoken-numbers.js';
+import { formatRut } from '../utils.js';
+
+// Confianza base por origen de la hipótesis (escala 0-100 de identity-capture)
+const SOURCE_CONFIDENCE = Object.freeze({
+    direct: 90,
+    corrected: 85,
+    restart: 80,
+    repeat: 75,
+    tail: 50
+});
+
+const MIN_REPEAT_PREFIX = 2;      // Dígitos repetidos para considerar que el llamante volvió a empezar
+const RUT_MIN_DIGITS = 7;         // Cuerpo + DV más corto que puede ser RUT
+
+/**
+ * Lecturas alternativas del texto: { text, source }
+ */
+function candidateTexts(text, type) {
+    const segments = splitSelfCorrections(text);
+    const corrected = segments.length > 1;
+    const candidates = [{ text, source: corrected ? 'corrected' : 'direct' }];
+    if (corrected) candidates.push({ text: segments[segments.length - 1], source: 'restart' });
+
+    // Reinicio sin marcador: el prefijo dicho al principio vuelve a aparecer más adelante
+    const { digits } = parseSpokenDigits(corrected ? segments[segments.length - 1] : text);
+    const minLength = type === 'RUT' ? RUT_MIN_DIGITS : MIN_REPEAT_PREFIX + 1;
+    const prefix = digits.slice(0, MIN_REPEAT_PREFIX);
+    for (let p = 1; digits.length > MIN_REPEAT_PREFIX && p <= digits.length - minLength; p++) {
+        if (digits.startsWith(prefix, p)) candidates.push({ text: digits.slice(p), source: 'repeat' });
+    }
+
+    // RUT: un buffer más largo que un RUT completo deja al menos los últimos dígitos
+    if (type === 'RUT' && digits.length > 9) {
+        candidates.push({ text: digits.slice(-9), source: 'tail' }, { text: digits.slice(-8), source: 'tail' });
+    }
+    return candidates;
+}
+
+function rutHypothesis({ text, source }) {
+    const base = SOURCE_CONFIDENCE[source];
+    const parsed = parseRutFromSpeech(text);
+    if (parsed.ok) {
+        return { value: parsed.rut, confidence: base + 10, source, valid: true, reason: 'ok' };
+    }
+    if (parsed.reason === 'missing_dv') {
+        return { value: `${parsed.body}${rutCheckDigit(parsed.body)}`, confidence: base - 40, source, valid: false, reason: 'dv_inferred' };
+    }
+    if (parsed.reason === 'dv_mismatch') {
+        return { value: `${parsed.body}${parsed.dv}`, confidence: base - 60, source, valid: false, reason: 'dv_mismatch' };
+    }
+    return null;
+}
+
+function typedHypothesis({ text, source }, type, options) {
+    const parsed = parseIdentity(text, type, options);
+    if (!parsed.value) return null;
+    return {
+        value: parsed.value,
+        display: parsed.display,
+        confidence: Math.round(parsed.confidence * SOURCE_CONFIDENCE[source] / SOURCE_CONFIDENCE.direct),
+        source,
+        valid: parsed.valid,
+        reason: parsed.reason
+    };
+}
+
+/**
+ * Hipótesis del identificador ordenadas por confianza (una por valor, la mejor lectura)
+ *
+ * @param {string} text - Utterance completa (buffer de deltas unido o transcript final)
+ * @param {string} [type='RUT'] - 'RUT' o un tipo registrado en identity-types.js
+ * @param {{limit?: number}} [options] - limit: top-N (3 por defecto); el resto pasa a parseIdentity
+ * @returns {Array<{value: string, display: string|null, confidence: number, source: string, valid: boolean, reason: string}>}
+ */
+export function rankIdentityHypotheses(text, type = 'RUT', options = {}) {
+    const { limit = 3, ...parseOptions } = options;
+    if (!String(text || '').trim()) return [];
+
+    const best = new Map();
+    for (const candidate of candidateTexts(String(text), type)) {
+        const hypothesis = type === 'RUT' ? rutHypothesis(candidate) : typedHypothesis(candidate, type, parseOptions);
+        if (!hypothesis || hypothesis.confidence <= 0) continue;
+        if (type === 'RUT') hypothesis.display = formatRut(hypothesis.value);
+        hypothesis.confidence = Math.max(0, Math.min(100, hypothesis.confidence));
+
+        const current = best.get(hypothesis.value);
+        if (!current || hypothesis.confidence > current.confidence) best.set(hypothesis.value, hypothesis);
+    }
+
+    return [...best.values()]
+        .sort((a, b) => (b.valid - a.valid) || (b.confidence - a.confidence))
+        .slice(0, limit)
+        .map(({ value, display, confidence, source, valid, reason }) => ({ value, display, confidence, source, valid, reason }));
+}
+
+/**
+ * Runner-up: the best valid hypothesis whose value differs from the one already offered
+ * (RUT "14.348.258-8" and "143482588" are the same value)
+ *
+ * @param {Array} hypotheses - rankIdentityHypotheses() / getIdentityState().hypotheses
+ * @param {string} offeredValue - Value the caller is confirming (any formatting)
+ * @returns {object|null}
+ */
+export function runnerUpHypothesis(hypotheses = [], offeredValue = '') {
+    const offered = String(offeredValue).replace(/[^0-9kK]/g, '').toUpperCase();
+    return hypotheses.find(h => h.valid && String(h.value).replace(/[^0-9kK]/g, '').toUpperCase() !== offered) || null;
+}
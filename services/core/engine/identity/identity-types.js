@@ -0,0 +1,369 @@
+/**
+ * IdentityTypes - Pluggable identity types captured by voice
+ *
+ * Purpose: identity-capture.js was RUT-centric (normalizeRutText,
+ * validateRutDv). Every other identifier a capsule asks for is a type here,
+ * with its own spoken normaliser, validator and confidence model:
+ *
+ *   PHONE_CL   Chilean mobile (9 XXXX XXXX) or landline (2 / area code), "+56" optional
+ *   DOB        Date of birth ("quince de marzo del sesenta" → 1960-03-15)
+ *   EMAIL      Spelled e-mail ("juan punto perez arroba gmail punto com")
+ *   ACCOUNT    Numeric account ID, length from config.identity.account
+ *
+ *   const result = parseIdentity(transcript, 'PHONE_CL');
+ *   // { type, value: '912345678', display: '+56 9 1234 5678', state: 'VALIDADO', valid, reason, confidence }
+ *
+ * A type definition:
+ *   {
+ *     name,                                    // 'PHONE_CL' (también prefijo de claves Redis id:<name>:*)
+ *     normalize(text, options) → { value, skipped: string[], hints? },
+ *     validate(value, options) → { valid, complete, reason, display? },
+ *     confidence({ value, validation, skipped, hints }) → 0-100,
+ *     isToken(word) → boolean                  // filtro de deltas STT (palabra normalizada)
+ *   }
+ * More types (other countries, account formats) come from
+ * registerIdentityType() or createAccountIdType(). RUT keeps its own
+ * evaluator in identity-capture.js.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { inboundConfig as config } from '../config.js';
+import { normalizeSpeech } from '../stt/stt-grammar.js';
+import { parseSpokenDigits, parseSpokenNumber, isNumberWord } from './spoken-numbers.js';
+
+// Mismos valores que IdentityState de identity-capture.js (sin importar Redis)
+export const IdentityTypeState = Object.freeze({
+    INCOMPLETO: 'INCOMPLETO',
+    VALIDADO: 'VALIDADO',
+    INVALIDO: 'INVALIDO'
+});
+
+function identityError(code, message) {
+    const err = new Error(`${code}: ${message}`);
+    err.code = code;
+    return err;
+}
+
+const registry = new Map();
+
+/**
+ * Registra (o reemplaza) un tipo de identidad
+ *
+ * @param {object} definition - Ver contrato en la cabecera
+ * @returns {object} Definición congelada
+ */
+export function registerIdentityType(definition) {
+    const name = definition?.name;
+    if (!name || !/^[A-Z][A-Z0-9_]*$/.test(name)) {
+        throw identityError('IDENTITY_TYPE_INVALID', `nombre de tipo inválido: ${name} (MAYÚSCULAS, ej. PHONE_CL)`);
+    }
+    for (const fn of ['normalize', 'validate']) {
+        if (typeof definition[fn] !== 'function') {
+            throw identityError('IDENTITY_TYPE_INVALID', `${name}.${fn} debe ser una función`);
+        }
+    }
+    const type = Object.freeze({
+        isToken: () => true,
+        confidence: ({ validation }) => (validation.valid ? 80 : 0),
+        ...definition
+    });
+    registry.set(name, type);
+    return type;
+}
+
+export function getIdentityType(name) {
+    return registry.get(name) || null;
+}
+
+export function listIdentityTypes() {
+    return [...registry.keys()];
+}
+
+/**
+ * Interpreta una transcripción completa según el tipo
+ *
+ * @param {string} text - Transcripción (o tokens acumulados unidos por espacio)
+ * @param {string} typeName - Tipo registrado
+ * @param {object} [options] - Se pasan a normalize/validate (ej. { now } para DOB)
+ * @returns {{type: string, value: string|null, display: string|null, state: string, valid: boolean, reason: string, confidence: number}}
+ */
+export function parseIdentity(text, typeName, options = {}) {
+    const type = registry.get(typeName);
+    if (!type) {
+        throw identityError('IDENTITY_TYPE_UNKNOWN', `tipo no registrado: ${typeName} (registrados: ${listIdentityTypes().join(', ')})`);
+    }
+
+    const { value = '', skipped = [], hints = {} } = type.normalize(String(text || ''), options) || {};
+    const validation = value
+        ? type.validate(value, options)
+        : { valid: false, complete: false, reason: 'empty' };
+    const state = validation.valid
+        ? IdentityTypeState.VALIDADO
+        : (validation.complete ? IdentityTypeState.INVALIDO : IdentityTypeState.INCOMPLETO);
+    const confidence = validation.valid || value
+        ? Math.max(0, Math.min(100, Math.round(type.confidence({ value, validation, skipped, hints }))))
+        : 0;
+
+    return {
+        type: typeName,
+        value: value || null,
+        display: validation.display || null,
+        state,
+        valid: Boolean(validation.valid),
+        reason: validation.valid ? 'complete' : validation.reason,
+        confidence
+    };
+}
+
+// ────────────────────────────────────────────────────────────
+// 📞 PHONE_CL
+// ────────────────────────────────────────────────────────────
+
+// Códigos de área de red fija fuera de Santiago (2)
+const CL_AREA_CODES = ['32', '33', '34', '35', '41', '42', '43', '45', '51', '52', '53', '55', '57', '58',
+    '61', '63', '64', '65', '67', '71', '72', '73', '75'];
+
+// Palabras que acompañan al número sin ser ruido
+const PHONE_FILLERS = new Set(['mi', 'el', 'es', 'numero', 'telefono', 'fono', 'celular', 'movil', 'codigo',
+    'area', 'de', 'mas', 'y', 'seria', 'son', 'ya', 'bueno', 'ok']);
+
+function filterNoise(skipped, fillers) {
+    return skipped.filter(word => !fillers.has(word));
+}
+
+registerIdentityType({
+    name: 'PHONE_CL',
+    normalize(text) {
+        const { digits, skipped } = parseSpokenDigits(text);
+        let value = digits;
+        let countryCode = false;
+        if (value.length === 11 && value.startsWith('56')) {
+            value = value.slice(2);
+            countryCode = true;
+        } else if (value.length === 10 && value.startsWith('0')) {
+            value = value.slice(1); // "09..." (formato antiguo)
+        }
+        return { value, skipped: filterNoise(skipped, PHONE_FILLERS), hints: { countryCode } };
+    },
+    validate(value) {
+        if (value.length < 9) return { valid: false, complete: false, reason: `length:${value.length}` };
+        if (value.length > 9) return { valid: false, complete: true, reason: `length:${value.length}` };
+        if (value[0] === '9') {
+            return { valid: true, kind: 'mobile', display: `+56 9 ${value.slice(1, 5)} ${value.slice(5)}` };
+        }
+        if (value[0] === '2') {
+            return { valid: true, kind: 'landline', display: `+56 2 ${value.slice(1, 5)} ${value.slice(5)}` };
+        }
+        if (CL_AREA_CODES.includes(value.slice(0, 2))) {
+            return { valid: true, kind: 'landline', display: `+56 ${value.slice(0, 2)} ${value.slice(2, 5)} ${value.slice(5)}` };
+        }
+        return { valid: false, complete: true, reason: `prefix:${value.slice(0, 2)}` };
+    },
+    confidence({ value, validation, skipped, hints }) {
+        if (!validation.valid) return validation.complete ? 0 : 40 * value.length / 9;
+        return 70 + Math.max(0, 20 - 10 * skipped.length) + (hints.countryCode ? 10 : 0);
+    },
+    isToken(word) {
+        return isNumberWord(word) || word === 'y' || word === 'mas';
+    }
+});
+
+// ────────────────────────────────────────────────────────────
+// 🎂 DOB
+// ────────────────────────────────────────────────────────────
+
+const MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+    'septiembre', 'octubre', 'noviembre', 'diciembre'];
+const MONTH_ALIASES = { setiembre: 9 };
+const DOB_FILLERS = new Set(['el', 'la', 'de', 'del', 'ano', 'nacido', 'nacida', 'naci', 'en', 'mi', 'fecha',
+    'nacimiento', 'es', 'dia', 'mes', 'y']);
+const MAX_AGE_YEARS = 120;
+
+function monthOf(word) {
+    const index = MONTHS.indexOf(word);
+    return index >= 0 ? index + 1 : (MONTH_ALIASES[word] || null);
+}
+
+/**
+ * Partes de la fecha: "quince de marzo del sesenta", "15/03/1960", "quince del tres del ochenta y dos"
+ */
+function dateParts(words) {
+    const monthAt = words.findIndex(w => monthOf(w));
+    const numberRun = (part) => {
+        const numeric = part.filter(w => isNumberWord(w) || w === 'y');
+        return numeric.length ? parseSpokenNumber(numeric.join(' ')) : null;
+    };
+
+    if (monthAt >= 0) {
+        return {
+            day: numberRun(words.slice(0, monthAt)),
+            month: monthOf(words[monthAt]),
+            year: numberRun(words.slice(monthAt + 1))
+        };
+    }
+
+    // Sin nombre de mes: tres grupos separados por "de"/"del" o por "/" (ya convertido en espacio)
+    const groups = [];
+    let current = [];
+    for (const word of words) {
+        if (word === 'de' || word === 'del' || /^\d+$/.test(word)) {
+            if (current.length) groups.push(current);
+            current = /^\d+$/.test(word) ? [word] : [];
+            if (/^\d+$/.test(word)) {
+                groups.push(current);
+                current = [];
+            }
+        } else if (isNumberWord(word) || word === 'y') {
+            current.push(word);
+        }
+    }
+    if (current.length) groups.push(current);
+    if (groups.length < 2) return { day: null, month: null, year: null };
+    return {
+        day: numberRun(groups[0]),
+        month: numberRun(groups[1]),
+        year: groups[2] ? numberRun(groups[2]) : null
+    };
+}
+
+registerIdentityType({
+    name: 'DOB',
+    normalize(text, { now = new Date() } = {}) {
+        const words = normalizeSpeech(text).replace(/\bprimero\b/g, 'uno').split(' ').filter(Boolean);
+        const { day, month, year } = dateParts(words);
+        const skipped = filterNoise(words.filter(w => !isNumberWord(w) && !monthOf(w)), DOB_FILLERS);
+        if (!day || !month) return { value: '', skipped };
+
+        const pad = (n) => String(n).padStart(2, '0');
+        if (year === null) return { value: `--${pad(month)}-${pad(day)}`, skipped };
+
+        // "del sesenta" → 1960, "del cinco" → 2005: el siglo más reciente que no quede en el futuro
+        const centuryGuessed = year < 100;
+        const fullYear = !centuryGuessed ? year : (2000 + year <= now.getFullYear() ? 2000 + year : 1900 + year);
+        return { value: `${fullYear}-${pad(month)}-${pad(day)}`, skipped, hints: { centuryGuessed } };
+    },
+    validate(value, { now = new Date() } = {}) {
+        const partial = value.match(/^--(\d{2})-(\d{2})$/);
+        if (partial) return { valid: false, complete: false, reason: 'year_missing' };
+
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (month < 1 || month > 12 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return { valid: false, complete: true, reason: 'date_invalid' };
+        }
+        if (year > now.getFullYear() || (year === now.getFullYear() && date.getTime() > Date.UTC(year, now.getMonth(), now.getDate()))) {
+            return { valid: false, complete: true, reason: 'future' };
+        }
+        if (now.getFullYear() - year > MAX_AGE_YEARS) {
+            return { valid: false, complete: true, reason: 'too_old' };
+        }
+        return { valid: true, display: `${day} de ${MONTHS[month - 1]} de ${year}` };
+    },
+    confidence({ validation, skipped, hints }) {
+        if (!validation.valid) return validation.complete ? 0 : 30;
+        return (hints.centuryGuessed ? 75 : 90) - 10 * skipped.length;
+    },
+    isToken(word) {
+        return isNumberWord(word) || Boolean(monthOf(word)) || ['de', 'del', 'y', 'primero'].includes(word);
+    }
+});
+
+// ────────────────────────────────────────────────────────────
+// 📧 EMAIL (deletreado)
+// ────────────────────────────────────────────────────────────
+
+const LETTER_NAMES = {
+    be: 'b', ce: 'c', de: 'd', efe: 'f', ge: 'g', hache: 'h', jota: 'j', ka: 'k', ele: 'l', eme: 'm',
+    ene: 'n', enie: 'n', pe: 'p', cu: 'q', erre: 'r', ese: 's', te: 't', uve: 'v', ve: 'v', equis: 'x',
+    ye: 'y', zeta: 'z', ceta: 'z'
+};
+const EMAIL_SYMBOLS = { arroba: '@', punto: '.', guion: '-', raya: '-', menos: '-' };
+const EMAIL_PAIRS = { 'guion bajo': '_', 'doble ve': 'w', 'doble u': 'w', 'i griega': 'y' };
+const EMAIL_LEAD_FILLERS = new Set(['mi', 'el', 'es', 'correo', 'electronico', 'email', 'e', 'seria']);
+const DIGIT_WORDS = { cero: '0', uno: '1', dos: '2', tres: '3', cuatro: '4', cinco: '5', seis: '6', siete: '7', ocho: '8', nueve: '9' };
+const KNOWN_EMAIL_DOMAINS = ['gmail.com', 'hotmail.com', 'outlook.com', 'yahoo.com', 'yahoo.es', 'live.cl', 'icloud.com'];
+const EMAIL_PATTERN = /^[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+registerIdentityType({
+    name: 'EMAIL',
+    normalize(text) {
+        // El STT a veces ya lo escribe: "juan.perez@gmail.com"
+        const literal = String(text).toLowerCase().match(/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/);
+        if (literal) return { value: literal[0], skipped: [] };
+
+        const words = normalizeSpeech(text).split(' ').filter(Boolean);
+        let start = 0;
+        while (start < words.length && EMAIL_LEAD_FILLERS.has(words[start])) start++;
+
+        let value = '';
+        for (let i = start; i < words.length; i++) {
+            const pair = `${words[i]} ${words[i + 1]}`;
+            if (EMAIL_PAIRS[pair]) {
+                value += EMAIL_PAIRS[pair];
+                i++;
+            } else {
+                const word = words[i];
+                value += EMAIL_SYMBOLS[word] ?? LETTER_NAMES[word] ?? DIGIT_WORDS[word] ?? word;
+            }
+        }
+        return { value, skipped: [] };
+    },
+    validate(value) {
+        if (EMAIL_PATTERN.test(value)) return { valid: true, display: value };
+        const ats = value.split('@').length - 1;
+        if (ats > 1 || /[^a-z0-9._%+@-]/.test(value)) return { valid: false, complete: true, reason: 'format' };
+        if (ats === 0) return { valid: false, complete: false, reason: 'at_missing' };
+        return { valid: false, complete: false, reason: 'domain_incomplete' };
+    },
+    confidence({ value, validation }) {
+        if (!validation.valid) return validation.complete ? 0 : 20;
+        return KNOWN_EMAIL_DOMAINS.includes(value.split('@')[1]) ? 90 : 70;
+    },
+    isToken(word) {
+        return /^[a-z0-9]+$/.test(word);
+    }
+});
+
+// ────────────────────────────────────────────────────────────
+// 🔢 ACCOUNT (IDs numéricos de largo configurable)
+// ────────────────────────────────────────────────────────────
+
+const ACCOUNT_FILLERS = new Set(['mi', 'el', 'es', 'numero', 'cuenta', 'cliente', 'de', 'y', 'seria']);
+
+/**
+ * Tipo para IDs numéricos dictados (nº de cuenta, cliente, contrato...)
+ *
+ * @param {object} options
+ * @param {string} options.name - Nombre del tipo (ej. 'ACCOUNT', 'POLIZA')
+ * @param {number} options.minLen
+ * @param {number} options.maxLen
+ */
+export function createAccountIdType({ name, minLen, maxLen }) {
+    if (!Number.isInteger(minLen) || !Number.isInteger(maxLen) || minLen < 1 || maxLen < minLen) {
+        throw identityError('IDENTITY_TYPE_INVALID', `${name}: largo inválido (minLen=${minLen}, maxLen=${maxLen})`);
+    }
+    return registerIdentityType({
+        name,
+        minLen,
+        maxLen,
+        normalize(text) {
+            const { digits, skipped } = parseSpokenDigits(text);
+            return { value: digits, skipped: filterNoise(skipped, ACCOUNT_FILLERS) };
+        },
+        validate(value) {
+            if (value.length < minLen) return { valid: false, complete: false, reason: `length:${value.length}` };
+            if (value.length > maxLen) return { valid: false, complete: true, reason: `length:${value.length}` };
+            return { valid: true, display: value };
+        },
+        confidence({ value, validation, skipped }) {
+            if (!validation.valid) return validation.complete ? 0 : 40 * value.length / minLen;
+            return 80 + Math.max(0, 20 - 10 * skipped.length);
+        },
+        isToken(word) {
+            return isNumberWord(word) || word === 'y';
+        }
+    });
+}
+
+createAccountIdType({ name: 'ACCOUNT', ...config.identity.account });
@@ -0,0 +1,549 @@
+/**
+ * SpokenNumbers - Spanish number understanding for voice input
+ *
+ * The only place the engine turns spoken Spanish numbers into digits. RUT
+ * capture, phones, dates and account IDs all read through here:
+ *
+ * - parseSpokenDigits: dictation, each group is written out as spoken
+ *   ("nueve ochenta y siete cero cinco" → "98705")
+ * - parseSpokenNumber: one quantity ("catorce millones trescientos mil" → 14300000)
+ * - textToDigits: number words → digits inside the text, "ka" → K, "guion" → -
+ * - parseRutFromSpeech / extractRutHard: RUT body + check digit (K included)
+ * - applySelfCorrections: "tres cuatro, no, perdón, cinco" → "3 5"
+ * - cleanAsrNoise: drops greetings / fillers the ASR mixes into numbers
+ *
+ * Quantities with "mil" / "millones" are read as amounts, everything else as
+ * dictation. Input goes through normalizeSpeech (no accents, no
+ * punctuation), digits already written by the STT ("9 8 7", "14.348.258")
+ * pass through. Behaviour is pinned by test/engine/fixtures/spoken-numbers.json.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { normalizeSpeech } from '../stt/stt-grammar.js';
+
+export const UNIT_WORDS = Object.freeze({
+    cero: 0, un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+    diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+    dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+    veinte: 20, veintiun: 21, veintiuno: 21, veintiuna: 21, veintidos: 22, veintitres: 23, veinticuatro: 24,
+    veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29
+});
+
+export const TENS_WORDS = Object.freeze({
+    treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90
+});
+
+export const HUNDREDS_WORDS = Object.freeze({
+    cien: 100, ciento: 100, doscientos: 200, trescientos: 300, cuatrocientos: 400, quinientos: 500,
+    seiscientos: 600, setecientos: 700, ochocientos: 800, novecientos: 900
+});
+
+const MILLION_WORDS = new Set(['millon', 'millones']);
+
+// "ka" del dígito verificador (y cómo la escribe el ASR)
+const K_WORDS = new Set(['k', 'ka', 'kah', 'kaa']);
+
+// Separador antes del DV: "guion ocho", "raya ka", "verificador cinco"
+const DASH_WORDS = new Set(['guion', 'raya', 'menos']);
+const DV_MARKERS = new Set([...DASH_WORDS, 'verificador', 'dv']);
+
+// Autocorrecciones: lo que sigue reemplaza los últimos dígitos dichos
+const CORRECTION_MARKERS = [['no', 'perdon'], ['perdon'], ['mejor', 'dicho'], ['quise', 'decir'],
+    ['me', 'equivoque'], ['corrijo'], ['digo'], ['no']];
+
+/**
+ * ¿La palabra (normalizada) es parte de un número?
+ */
+export function isNumberWord(word) {
+    return word in UNIT_WORDS || word in TENS_WORDS || word in HUNDREDS_WORDS
+        || word === 'mil' || MILLION_WORDS.has(word) || /^\d+$/.test(word);
+}
+
+// ────────────────────────────────────────────────────────────
+// Lectura: palabras → items { digits, value, quantity } | { k } | { word }
+// ────────────────────────────────────────────────────────────
+
+function groupValue(group) {
+    return group ? group.hundreds + group.tens + group.units : 0;
+}
+
+/**
+ * ¿La palabra se suma al grupo abierto (< 1000)?
+ * "ochenta" + "siete", "ciento" + "cinco", "ciento" + "doce"; "ocho" + "ocho" no
+ */
+function joinsGroup(group, word) {
+    if (!group) return word in UNIT_WORDS || word in TENS_WORDS || word in HUNDREDS_WORDS;
+    if (group.closed) return false;
+    if (word in TENS_WORDS) return !group.tens && !group.units;
+    if (word in UNIT_WORDS) {
+        const value = UNIT_WORDS[word];
+        if (value === 0 || group.units) return false;
+        if (group.tens) return value < 10;
+        return Boolean(group.hundreds);
+    }
+    return false;
+}
+
+function addToGroup(group, word) {
+    const next = group || { hundreds: 0, tens: 0, units: 0 };
+    if (word in HUNDREDS_WORDS) next.hundreds = HUNDREDS_WORDS[word];
+    else if (word in TENS_WORDS) next.tens = TENS_WORDS[word];
+    else next.units = UNIT_WORDS[word];
+    // "cero" y "diez".."veintinueve" no admiten más palabras
+    if (word === 'cero' || (word in UNIT_WORDS && UNIT_WORDS[word] >= 10)) next.closed = true;
+    return next;
+}
+
+/**
+ * Un grupo de dictado desde i: "ochenta y siete", "ciento cinco", "0", "348"
+ */
+function readGroup(words, i) {
+    if (/^\d+$/.test(words[i])) {
+        return { digits: words[i], value: Number(words[i]), end: i + 1 };
+    }
+    let group = null;
+    let j = i;
+    while (j < words.length) {
+        const word = words[j];
+        if (word === 'y' && group?.tens && !group.units && UNIT_WORDS[words[j + 1]] > 0 && UNIT_WORDS[words[j + 1]] < 10) {
+            j++;
+            continue;
+        }
+        if (!joinsGroup(group, word)) break;
+        group = addToGroup(group, word);
+        j++;
+    }
+    const value = groupValue(group);
+    return { digits: String(value), value, end: j };
+}
+
+/**
+ * Una cantidad con "mil" / "millones" desde i ("catorce millones trescientos cuarenta y ocho mil")
+ * null si no aparece un multiplicador
+ */
+function readQuantity(words, i) {
+    let total = 0;
+    let group = null;
+    let multiplier = false;
+    let j = i;
+
+    while (j < words.length) {
+        const word = words[j];
+        if (/^\d{1,3}$/.test(word) && !group) {
+            group = { hundreds: 0, tens: 0, units: Number(word), closed: true };
+            j++;
+        } else if (word === 'y' && group?.tens && !group.units && UNIT_WORDS[words[j + 1]] > 0 && UNIT_WORDS[words[j + 1]] < 10) {
+            j++;
+        } else if (joinsGroup(group, word)) {
+            group = addToGroup(group, word);
+            j++;
+        } else if (word === 'mil' && total % 1_000_000 === 0) {
+            total += (groupValue(group) || 1) * 1000;
+            group = null;
+            multiplier = true;
+            j++;
+        } else if (MILLION_WORDS.has(word) && total === 0) {
+            total = (groupValue(group) || 1) * 1_000_000;
+            group = null;
+            multiplier = true;
+            j++;
+        } else {
+            break;
+        }
+    }
+    if (!multiplier) return null;
+
+    // "...cincuenta y ocho ocho": el grupo que no cupo queda para el dictado
+    const value = total + groupValue(group);
+    return { digits: String(value), value, end: j };
+}
+
+function toItems(words) {
+    const items = [];
+    let i = 0;
+    while (i < words.length) {
+        const word = words[i];
+        if (isNumberWord(word) && word !== 'mil' && !MILLION_WORDS.has(word)) {
+            const quantity = readQuantity(words, i);
+            const read = quantity || readGroup(words, i);
+            items.push({ digits: read.digits, value: read.value, quantity: Boolean(quantity) });
+            i = read.end;
+        } else if (word === 'mil' || MILLION_WORDS.has(word)) {
+            const quantity = readQuantity(words, i); // "mil novecientos", "millón doscientos"
+            if (quantity) {
+                items.push({ digits: quantity.digits, value: quantity.value, quantity: true });
+                i = quantity.end;
+            } else {
+                items.push({ word });
+                i++;
+            }
+        } else if (K_WORDS.has(word)) {
+            items.push({ k: true });
+            i++;
+        } else {
+            items.push({ word });
+            i++;
+        }
+    }
+    return items;
+}
+
+function itemsToText(items) {
+    return items.map(item => item.digits ?? (item.k ? 'k' : item.word)).join(' ');
+}
+
+/**
+ * Dígitos que corrige un segmento: los del inicio, hasta la primera palabra
+ * ("ocho guion ocho" corrige uno; el DV que sigue es dictado nuevo)
+ */
+function correctedDigitCount(items) {
+    let count = 0;
+    for (const item of items) {
+        if (item.word) break;
+        count += item.k ? 1 : item.digits.length;
+    }
+    return count;
+}
+
+/**
+ * Quita los últimos n dígitos (o K) de la lista, sin tocar palabras intermedias
+ */
+function dropTrailingDigits(items, n) {
+    const kept = items.slice();
+    let pending = n;
+    for (let i = kept.length - 1; i >= 0 && pending > 0; i--) {
+        const item = kept[i];
+        if (item.k) {
+            kept.splice(i, 1);
+            pending--;
+        } else if (item.digits) {
+            if (item.digits.length <= pending) {
+                pending -= item.digits.length;
+                kept.splice(i, 1);
+            } else {
+                const digits = item.digits.slice(0, item.digits.length - pending);
+                kept[i] = { digits, value: Number(digits), quantity: false };
+                pending = 0;
+            }
+        }
+    }
+    return kept;
+}
+
+// ────────────────────────────────────────────────────────────
+// API numérica
+// ────────────────────────────────────────────────────────────
+
+/**
+ * Palabras normalizadas marcando dónde el ASR puso una pausa (coma, punto)
+ */
+function speechWords(text) {
+    const words = [];
+    for (const chunk of String(text || '').split(/[,;]|\.(?!\d)/)) {
+        const chunkWords = normalizeSpeech(chunk).split(' ').filter(Boolean).map(word => ({ word, pause: false }));
+        if (chunkWords.length) chunkWords[chunkWords.length - 1].pause = true;
+        words.push(...chunkWords);
+    }
+    return words;
+}
+
+/**
+ * Partir en segmentos por marcador de corrección (solo entre números: "no" suelto es respuesta, no corrección)
+ */
+function correctionSegments(words) {
+    const isNumeric = (entry) => entry !== undefined && (isNumberWord(entry.word) || K_WORDS.has(entry.word));
+    const segments = [[]];
+    for (let i = 0; i < words.length; i++) {
+        const marker = CORRECTION_MARKERS.find(m => m.every((w, k) => words[i + k]?.word === w));
+        const before = segments[segments.length - 1];
+        if (marker && before.some(isNumeric) && isNumeric(words[i + marker.length])) {
+            segments.push([]);
+            i += marker.length - 1;
+            continue;
+        }
+        before.push(words[i]);
+    }
+    return segments;
+}
+
+/**
+ * ¿La palabra (normalizada) forma parte de un marcador de corrección? ("no", "perdon", "dicho"...)
+ */
+export function isCorrectionWord(word) {
+    return CORRECTION_MARKERS.some(marker => marker.includes(word));
+}
+
+/**
+ * Lo dicho entre marcadores de corrección, en orden ("catorce millones, no, quince millones"
+ * → ["catorce millones", "quince millones"]). Sin correcciones: un solo segmento.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSelfCorrections(text) {
+    return correctionSegments(speechWords(text))
+        .map(segment => segment.map(entry => entry.word).join(' '))
+        .filter(Boolean);
+}
+
+/**
+ * Autocorrecciones del llamante: lo dicho tras "no, perdón" / "digo" / "mejor dicho"
+ * reemplaza la misma cantidad de dígitos al final de lo anterior. Cuenta lo que
+ * va hasta la primera pausa: "siete, mejor dicho ocho, dos cinco ocho" corrige uno.
+ *
+ * @param {string} text
+ * @returns {{text: string, corrections: number}} - Sin correcciones el texto vuelve intacto
+ */
+export function applySelfCorrections(text) {
+    const segments = correctionSegments(speechWords(text));
+    if (segments.length === 1) return { text: String(text || ''), corrections: 0 };
+
+    const plain = (segment) => segment.map(entry => entry.word);
+    let items = toItems(plain(segments[0]));
+    for (const segment of segments.slice(1)) {
+        const pauseAt = segment.findIndex(entry => entry.pause);
+        const head = pauseAt >= 0 ? segment.slice(0, pauseAt + 1) : segment;
+        items = [...dropTrailingDigits(items, correctedDigitCount(toItems(plain(head)))), ...toItems(plain(segment))];
+    }
+    return { text: itemsToText(items), corrections: segments.length - 1 };
+}
+
+/**
+ * Dictado de dígitos: cada grupo se escribe tal como se dijo
+ *
+ * @param {string} text
+ * @returns {{digits: string, skipped: string[]}} - skipped: palabras que no son números
+ */
+export function parseSpokenDigits(text) {
+    const { text: corrected } = applySelfCorrections(text);
+    const items = toItems(normalizeSpeech(corrected).split(' ').filter(Boolean));
+    return {
+        digits: items.filter(item => item.digits).map(item => item.digits).join(''),
+        skipped: items.filter(item => !item.digits).map(item => item.word ?? 'k')
+    };
+}
+
+/**
+ * Una cantidad completa ("dos mil cinco" → 2005, "catorce millones" → 14000000)
+ *
+ * @param {string} text
+ * @returns {number|null} - null si no hay número o sobran grupos
+ */
+export function parseSpokenNumber(text) {
+    const words = normalizeSpeech(text).split(' ').filter(Boolean);
+    if (!words.length) return null;
+    if (words.length === 1 && /^\d+$/.test(words[0])) return Number(words[0]);
+
+    const read = readQuantity(words, 0) || (isNumberWord(words[0]) ? readGroup(words, 0) : null);
+    return read && read.end === words.length ? read.value : null;
+}
+
+/**
+ * Convierte palabras que representan números en español a dígitos.
+ * Muy útil para transcripciones de voz donde los números a veces se deletrean o se agrupan.
+ * El resto de palabras queda; "ka" → K, "guion" / "raya" / "menos" → -
+ */
+export function textToDigits(text) {
+    if (!text) return "";
+    const { text: corrected } = applySelfCorrections(text);
+    return toItems(normalizeSpeech(corrected).split(' ').filter(Boolean))
+        .map(item => item.digits ?? (item.k ? 'K' : (DASH_WORDS.has(item.word) ? '-' : item.word)))
+        .join(' ');
+}
+
+/**
+ * 🧹 cleanAsrNoise - Elimina ruido común del ASR antes de parsear
+ *
+ * Elimina palabras basura que el ASR agrega (DIA, NOCHE, BUENAS, etc.)
+ * sin tocar números ni estructura de RUT
+ */
+export function cleanAsrNoise(text) {
+    if (!text) return '';
+    return text
+        .toUpperCase()
+        .replace(/\b(DIA|DÍA|NOCHE|BUENAS|HOLA|EH|MMM|ESTE|GRACIAS|Y\s+BUENAS|BUENAS\s+NOCHE|BUENAS\s+TARDES)\b/g, '')
+        .replace(/[^0-9K.\-\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// ────────────────────────────────────────────────────────────
+// RUT hablado
+// ────────────────────────────────────────────────────────────
+
+/**
+ * Dígito verificador (módulo 11) de un cuerpo de RUT
+ */
+export function rutCheckDigit(body) {
+    let sum = 0;
+    let multiplier = 2;
+    const digits = String(body);
+    for (let i = digits.length - 1; i >= 0; i--) {
+        sum += parseInt(digits.charAt(i), 10) * multiplier;
+        multiplier = multiplier === 7 ? 2 : multiplier + 1;
+    }
+    const mod = 11 - (sum % 11);
+    if (mod === 11) return '0';
+    if (mod === 10) return 'K';
+    return String(mod);
+}
+
+/**
+ * 🎯 Normalización previa de texto RUT (OBLIGATORIA)
+ * Normaliza expresiones chilenas antes de aplicar regex
+ */
+function normalizeRutSpeech(input) {
+    if (!input) return '';
+    return input
+        .toLowerCase()
+        .replace(/[\.,]/g, ' ')
+        .replace(/guión|guion|raya|menos|coma/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * 🗺️ Diccionario DV hablado → valor real
+ */
+const DV_MAP = {
+    'cero': '0',
+    'uno': '1',
+    'dos': '2',
+    'tres': '3',
+    'cuatro': '4',
+    'cinco': '5',
+    'seis': '6',
+    'siete': '7',
+    'ocho': '8',
+    'nueve': '9',
+    'k': 'K',
+    'ka': 'K'
+};
+
+/**
+ * RUT ya escrito por el ASR: "14.348.258-8", "14 348 258 - ocho", "14.348.258, raya ocho"
+ */
+function matchWrittenRut(transcript) {
+    const normalized = normalizeRutSpeech(transcript);
+    const fullMatch = normalized.match(/(\d{1,2}(?:\s?\d{3}){2})\s*-\s*(\d|k|cero|uno|dos|tres|cuatro|cinco|seis|siete|ocho|nueve)/);
+    if (fullMatch) {
+        return { body: fullMatch[1].replace(/\s/g, ''), dv: DV_MAP[fullMatch[2]] || fullMatch[2].toUpperCase() };
+    }
+    const inlineMatch = transcript.match(/(\d{1,2})\s*\.?\s*(\d{3})\s*\.?\s*(\d{3})\s*[-]\s*([0-9kK])/);
+    if (inlineMatch) {
+        return { body: inlineMatch[1] + inlineMatch[2] + inlineMatch[3], dv: inlineMatch[4].toUpperCase() };
+    }
+    return null;
+}
+
+/**
+ * 🎯 extractRutHard - Regex fuerte para capturar RUT numérico (PRIMERA CAPA)
+ *
+ * Esta es la CAPA 1 del pipeline: regex agresivo antes de NLP semántico.
+ * Captura RUTs en formato numérico: 14-348-258-8, 14.348.258-8, 143482588, etc.
+ * También captura variantes habladas: "raya ocho", "coma ocho", etc.
+ * Con autocorrecciones ("..., no, perdón, siete") no decide: eso es de parseRutFromSpeech.
+ *
+ * @param {string} transcript - Transcripción del ASR
+ * @returns {string|null} - RUT limpio (ej: "143482588") o null si no matchea
+ */
+export function extractRutHard(transcript) {
+    if (!transcript) return null;
+    if (applySelfCorrections(transcript).corrections) return null;
+
+    // REGEX PRINCIPAL: BODY + DV juntos (⭐ CLAVE)
+    const written = matchWrittenRut(transcript);
+    if (written) return `${written.body}${written.dv}`;
+
+    // Fallback: Solo números con separadores
+    const cleaned = cleanAsrNoise(transcript);
+    const m = cleaned.match(/(\d{1,2})[\s.,-]?(\d{3})[\s.,-]?(\d{3})[\s.,-]?([0-9K])/);
+    if (m) {
+        return `${m[1]}${m[2]}${m[3]}${m[4].toUpperCase()}`;
+    }
+
+    return null;
+}
+
+function rutResult(body, dv) {
+    const bodyNumber = parseInt(body, 10);
+    const expected = rutCheckDigit(bodyNumber);
+    const valid = expected === dv;
+    return {
+        ok: valid,
+        body: bodyNumber,
+        dv,
+        rut: valid ? `${bodyNumber}${dv}` : null,
+        reason: valid ? 'ok' : 'dv_mismatch',
+        ...(valid ? {} : { dvExpected: expected })
+    };
+}
+
+/**
+ * 🔧 parseRutFromSpeech - Parser determinístico para RUT hablado (Chile)
+ *
+ * Maneja correctamente:
+ * - "millones" como multiplicador 1.000.000
+ * - "mil" como multiplicador 1.000
+ * - dictado dígito a dígito o por grupos ("catorce tres cuatro ocho...")
+ * - "guión ocho" / "guión k" / "verificador ka" para DV; "ka" al final es DV
+ * - autocorrecciones ("...ocho, no, perdón, siete") y ruido del ASR
+ *
+ * @param {string} transcript - Transcripción del audio
+ * @returns {object} { ok: boolean, body: number|null, dv: string|null, rut: string|null, reason: string, dvExpected? }
+ */
+export function parseRutFromSpeech(transcript) {
+    if (!transcript) {
+        return { ok: false, body: null, dv: null, rut: null, reason: 'empty' };
+    }
+
+    const { text, corrections } = applySelfCorrections(transcript);
+
+    // 1️⃣ Formato escrito (el ASR ya puso puntos y guion)
+    const written = corrections ? null : matchWrittenRut(text);
+    if (written) return rutResult(written.body, written.dv);
+
+    // 2️⃣ Hablado: items de dígitos, K y palabras
+    const items = toItems(normalizeSpeech(text).split(' ').filter(Boolean));
+    const numeric = (item) => item.digits !== undefined || item.k;
+
+    // DV explícito: "guion ocho", "raya ka", "verificador cinco", "coma ocho"
+    let dv = null;
+    let bodyItems = items.filter(item => item.digits !== undefined);
+    const markerAt = items.findIndex((item, i) => (DV_MARKERS.has(item.word) || item.word === 'coma')
+        && (items[i + 1]?.k || items[i + 1]?.digits?.length === 1));
+    if (markerAt >= 0) {
+        const next = items[markerAt + 1];
+        dv = next.k ? 'K' : next.digits;
+        bodyItems = items.slice(0, markerAt).filter(item => item.digits !== undefined);
+    } else {
+        const numericItems = items.filter(numeric);
+        const last = numericItems[numericItems.length - 1];
+        if (last?.k) {
+            dv = 'K';
+            bodyItems = numericItems.slice(0, -1).filter(item => !item.k);
+        }
+    }
+
+    let body = bodyItems.map(item => item.digits).join('');
+    if (!dv) {
+        // Sin DV explícito: 9 dígitos = cuerpo + DV; 7-8 dígitos, el último es DV si cuadra
+        const lastItem = bodyItems[bodyItems.length - 1];
+        const spokenAsAmount = lastItem?.quantity && lastItem.digits.length >= 7;
+        if (body.length === 9 || (body.length >= 7 && body.length <= 8 && !spokenAsAmount
+            && rutCheckDigit(parseInt(body.slice(0, -1), 10)) === body.slice(-1))) {
+            dv = body.slice(-1);
+            body = body.slice(0, -1);
+        }
+    }
+
+    const bodyNumber = parseInt(body, 10);
+    if (!/^\d+$/.test(body) || bodyNumber < 100000 || bodyNumber > 99999999) {
+        return { ok: false, body: null, dv: null, rut: null, reason: 'invalid_body' };
+    }
+    if (!dv) {
+        return { ok: false, body: bodyNumber, dv: null, rut: null, reason: 'missing_dv' };
+    }
+    return rutResult(body, dv.toUpperCase());
+}
@@ -0,0 +1,354 @@
+/**
+ * HttpIntegrationClient - Outbound HTTP for capsule integrations (n8n, CRMs, agendas)
+ *
+ *   client.request({ url, event, payload, sessionId })
+ *     → { ok: true,  status, data, attempts, latencyMs, idempotencyKey, fallback? }
+ *     → { ok: false, code, error, status?, attempts, latencyMs, idempotencyKey }
+ *
+ * Never throws. Per call:
+ * - timeoutMs per attempt, deadlineMs for the whole call (retries included): a slow
+ *   endpoint costs the caller at most deadlineMs.
+ * - Jittered exponential retries on timeout / network / 5xx / 429, only for idempotent
+ *   events (options.idempotentEvents or request({ idempotent: true })).
+ * - Idempotency-Key header derived from sessionId + event + payload (volatile fields
+ *   such as timestamp excluded): the same on every retry, different for a new request.
+ * - Per-endpoint circuit breaker (origin + path): failureThreshold failed calls in a row
+ *   open it for openMs, then one trial call decides (half-open). While open no request
+ *   is sent. Only timeouts, network errors, 5xx and 429 count as failures: a 4xx or a
+ *   malformed body means the endpoint is up and answering, so it counts as a success
+ *   (the request is wrong, opening the circuit would not help).
+ * - When the call cannot produce a response (circuit open or failed) the capsule's
+ *   fallbacks[event](payload, failure) answers instead, flagged fallback: true. A fallback
+ *   that throws becomes HTTP_FALLBACK_ERROR.
+ * - Latency histogram per event + outcome (metrics(); every client via integrationMetrics()).
+ * - Requests signed per options.auth (request-signer.js: none | bearer | hmac over the exact body).
+ * - Responses checked against schemas[event] (response-schema.js): a malformed payload
+ *   becomes HTTP_INVALID_RESPONSE (with violations) instead of undefined fields downstream.
+ *
+ * Errors carry code: HTTP_TIMEOUT | HTTP_NETWORK | HTTP_STATUS | HTTP_INVALID_BODY | HTTP_INVALID_RESPONSE | HTTP_DEADLINE | HTTP_CIRCUIT_OPEN | HTTP_FALLBACK_ERROR
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import crypto from 'crypto';
+import { log } from '../../../../lib/logger.js';
+import { inboundConfig as config } from '../config.js';
+import { LatencyHistogram } from '../telemetry/latency-histogram.js';
+import { createRequestSigner } from './request-signer.js';
+import { validateResponse } from './response-schema.js';
+
+export const BREAKER_STATES = Object.freeze({ CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' });
+
+// name → último cliente creado con ese nombre (integrationMetrics)
+const clients = new Map();
+
+/**
+ * Métricas de todos los clientes del proceso (histogramas + breakers)
+ * @returns {object} - { [name]: client.metrics() }
+ */
+export function integrationMetrics() {
+    return Object.fromEntries([...clients].map(([name, client]) => [name, client.metrics()]));
+}
+
+/**
+ * n8n "Respond to Webhook" envelope: { "output": "{...json string...}" } (or the object itself)
+ */
+export function unwrapN8nOutput(raw) {
+    if (raw && typeof raw.output === 'string') return JSON.parse(raw.output);
+    if (raw && raw.output && typeof raw.output === 'object') return raw.output;
+    return raw;
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * @param {string} sessionId
+ * @param {string} event
+ * @param {object} [payload]
+ * @param {string[]} [volatileFields] - Campos que cambian entre reintentos (no entran al hash)
+ */
+export function idempotencyKey(sessionId, event, payload = {}, volatileFields = ['timestamp']) {
+    const stable = Object.fromEntries(Object.entries(payload || {}).filter(([k]) => !volatileFields.includes(k)));
+    const digest = crypto.createHash('sha256').update(`${sessionId}\n${event}\n${stableStringify(stable)}`).digest('hex').slice(0, 16);
+    return `${event}:${sessionId || 'no-session'}:${digest}`;
+}
+
+export class CircuitBreaker {
+    constructor({ failureThreshold = 5, openMs = 30000, now = Date.now } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.openMs = openMs;
+        this.now = now;
+        this.state = BREAKER_STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    /** ¿Se puede llamar al endpoint ahora? */
+    allow() {
+        if (this.state === BREAKER_STATES.OPEN && this.now() - this.openedAt >= this.openMs) {
+            this.state = BREAKER_STATES.HALF_OPEN;
+            this.trialInFlight = false;
+        }
+        if (this.state === BREAKER_STATES.CLOSED) return true;
+        if (this.state === BREAKER_STATES.HALF_OPEN && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    success() {
+        this.state = BREAKER_STATES.CLOSED;
+        this.failures = 0;
+        this.trialInFlight = false;
+    }
+
+    failure() {
+        this.failures++;
+        if (this.state === BREAKER_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.state = BREAKER_STATES.OPEN;
+            this.openedAt = this.now();
+            this.trialInFlight = false;
+        }
+    }
+}
+
+function httpError(code, message, extra = {}) {
+    return { code, error: `${code}: ${message}`, ...extra };
+}
+
+export class HttpIntegrationClient {
+    /**
+     * @param {object} options
+     * @param {string} options.name - Para logs (e.g. 'quintero-n8n')
+     * @param {number} [options.timeoutMs]
+     * @param {number} [options.deadlineMs]
+     * @param {number} [options.retries]
+     * @param {number} [options.retryBaseDelayMs]
+     * @param {object} [options.breaker] - { failureThreshold, openMs }
+     * @param {string[]} [options.idempotentEvents]
+     * @param {object} [options.fallbacks] - { [event]: (payload, failure) => data }
+     * @param {Function} [options.parse] - Cuerpo JSON → data (e.g. unwrapN8nOutput)
+     * @param {object} [options.schemas] - { [event]: schema } (response-schema.js)
+     * @param {object} [options.auth] - { type: 'none' | 'bearer' | 'hmac', token?, secret? } - WEBHOOK_AUTH_CONFIG si falta el secreto
+     * @param {object} [options.headers]
+     * @param {Function} [options.fetchImpl]
+     * @param {Function} [options.now]
+     * @param {Function} [options.sleep]
+     * @param {Function} [options.random]
+     */
+    constructor({
+        name = 'http',
+        timeoutMs = config.integrations.http.timeoutMs,
+        deadlineMs = config.integrations.http.deadlineMs,
+        retries = config.integrations.http.retries,
+        retryBaseDelayMs = config.integrations.http.retryBaseDelayMs,
+        breaker = {},
+        idempotentEvents = [],
+        fallbacks = {},
+        parse = (raw) => raw,
+        schemas = {},
+        auth = { type: 'none' },
+        headers = {},
+        fetchImpl = (...args) => fetch(...args),
+        now = Date.now,
+        sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+        random = Math.random
+    } = {}) {
+        this.name = name;
+        this.timeoutMs = timeoutMs;
+        this.deadlineMs = deadlineMs;
+        this.retries = retries;
+        this.retryBaseDelayMs = retryBaseDelayMs;
+        this.breakerOptions = { ...config.integrations.http.breaker, ...breaker };
+        this.idempotentEvents = new Set(idempotentEvents);
+        this.fallbacks = fallbacks;
+        this.parse = parse;
+        this.schemas = schemas;
+        this.sign = createRequestSigner(auth, now);
+        this.headers = headers;
+        this.fetchImpl = fetchImpl;
+        this.now = now;
+        this.sleep = sleep;
+        this.random = random;
+        this.breakers = new Map();   // endpoint → CircuitBreaker
+        this.histograms = new Map(); // `${event}|${outcome}` → LatencyHistogram
+        clients.set(name, this);
+    }
+
+    breakerFor(url) {
+        const endpoint = endpointOf(url);
+        if (!this.breakers.has(endpoint)) {
+            this.breakers.set(endpoint, new CircuitBreaker({ ...this.breakerOptions, now: this.now }));
+        }
+        return this.breakers.get(endpoint);
+    }
+
+    /**
+     * @param {object} params
+     * @param {string} params.url
+     * @param {string} params.event - Tipo de evento (FORMAT_RUT, ...)
+     * @param {object} [params.payload]
+     * @param {string} [params.sessionId]
+     * @param {string} [params.method='POST']
+     * @param {object} [params.headers]
+     * @param {boolean} [params.idempotent] - Sobrescribe idempotentEvents
+     */
+    async request({ url, event, payload = null, sessionId = null, method = 'POST', headers = {}, idempotent }) {
+        const start = this.now();
+        const key = idempotencyKey(sessionId, event, payload || {});
+        const canRetry = idempotent ?? this.idempotentEvents.has(event);
+        const breaker = this.breakerFor(url);
+
+        if (!breaker.allow()) {
+            log('warn', `⛔ [HTTP ${this.name}] ${event}: circuito abierto para ${endpointOf(url)}, sin llamar`);
+            return this.finish(event, payload, start, httpError('HTTP_CIRCUIT_OPEN', `${endpointOf(url)} no disponible`, { attempts: 0, idempotencyKey: key }));
+        }
+
+        const deadline = start + this.deadlineMs;
+        let failure = null;
+        let attempts = 0;
+
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            const remaining = deadline - this.now();
+            if (remaining <= 0) {
+                failure = httpError('HTTP_DEADLINE', `sin respuesta en ${this.deadlineMs}ms (${attempts} intentos, último: ${failure?.code || 'ninguno'})`);
+                break;
+            }
+
+            attempts++;
+            const outcome = await this.attempt({ url, method, event, payload, key, attempt, headers, timeoutMs: Math.min(this.timeoutMs, remaining) });
+            if (outcome.ok || !outcome.retryable) {
+                // El endpoint respondió (aunque sea 4xx / cuerpo inválido): está vivo
+                breaker.success();
+                return this.finish(event, payload, start, { ...outcome, attempts, idempotencyKey: key });
+            }
+
+            failure = outcome;
+            if (!canRetry || attempt === this.retries) break;
+
+            const delay = this.retryDelay(attempt);
+            if (this.now() + delay >= deadline) break;
+            log('warn', `🔁 [HTTP ${this.name}] ${event} intento ${attempt + 1} falló (${outcome.code}), reintentando en ${delay}ms`);
+            await this.sleep(delay);
+        }
+
+        breaker.failure();
+        if (breaker.state === BREAKER_STATES.OPEN) {
+            log('error', `⛔ [HTTP ${this.name}] Circuito abierto para ${endpointOf(url)} por ${this.breakerOptions.openMs}ms`);
+        }
+        return this.finish(event, payload, start, { ...failure, attempts, idempotencyKey: key });
+    }
+
+    async attempt({ url, method, event, payload, key, attempt, headers, timeoutMs }) {
+        const body = payload ? JSON.stringify(payload) : undefined;
+        let response;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(new DOMException(`timeout ${timeoutMs}ms`, 'TimeoutError')), timeoutMs);
+        try {
+            response = await this.fetchImpl(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': key,
+                    'X-Attempt': String(attempt + 1),
+                    ...this.headers,
+                    ...headers,
+                    ...this.sign(body || '')
+                },
+                body,
+                signal: controller.signal
+            });
+        } catch (err) {
+            clearTimeout(timer);
+            const timeout = err.name === 'TimeoutError' || err.name === 'AbortError';
+            return timeout
+                ? { ok: false, retryable: true, ...httpError('HTTP_TIMEOUT', `sin respuesta en ${timeoutMs}ms`) }
+                : { ok: false, retryable: true, ...httpError('HTTP_NETWORK', err.message) };
+        }
+
+        if (!response.ok) {
+            clearTimeout(timer);
+            const retryable = response.status >= 500 || response.status === 429;
+            return { ok: false, retryable, status: response.status, ...httpError('HTTP_STATUS', `HTTP ${response.status} ${response.statusText || ''}`.trim()) };
+        }
+
+        try {
+            const text = await response.text();
+            const data = this.parse(text ? JSON.parse(text) : {});
+            const violations = this.schemas[event] ? validateResponse(this.schemas[event], data) : [];
+            if (violations.length > 0) {
+                log('warn', `🧾 [HTTP ${this.name}] ${event}: respuesta fuera de esquema`, { violations });
+                return { ok: false, retryable: false, status: response.status, violations, ...httpError('HTTP_INVALID_RESPONSE', `${event} ${violations.join('; ')}`) };
+            }
+            return { ok: true, status: response.status, data };
+        } catch (err) {
+            return { ok: false, retryable: false, status: response.status, ...httpError('HTTP_INVALID_BODY', err.message) };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /** Backoff exponencial con jitter (mitad fija + mitad aleatoria) */
+    retryDelay(attempt) {
+        const base = this.retryBaseDelayMs * 2 ** attempt;
+        return Math.round(base / 2 + this.random() * base / 2);
+    }
+
+    finish(event, payload, start, result) {
+        const latencyMs = this.now() - start;
+        const fallback = !result.ok && this.fallbacks[event];
+
+        if (fallback) {
+            try {
+                const data = fallback(payload, result);
+                this.observe(event, 'fallback', latencyMs);
+                log('warn', `🛟 [HTTP ${this.name}] ${event}: respuesta de respaldo (${result.code})`);
+                return { ok: true, status: null, data, fallback: true, code: result.code, error: result.error, violations: result.violations, attempts: result.attempts, latencyMs, idempotencyKey: result.idempotencyKey };
+            } catch (err) {
+                // El respaldo de la cápsula no rompe el contrato "never throws"
+                result = { ...result, ...httpError('HTTP_FALLBACK_ERROR', `${result.code} y el respaldo falló: ${err.message}`) };
+            }
+        }
+        this.observe(event, result.ok ? 'ok' : 'error', latencyMs);
+        if (!result.ok) log('error', `❌ [HTTP ${this.name}] ${event} falló tras ${result.attempts} intento(s) en ${latencyMs}ms: ${result.error}`);
+
+        const { retryable, ...clean } = result;
+        return { ...clean, latencyMs };
+    }
+
+    observe(event, outcome, latencyMs) {
+        const key = `${event}|${outcome}`;
+        if (!this.histograms.has(key)) this.histograms.set(key, new LatencyHistogram());
+        this.histograms.get(key).observe(latencyMs);
+    }
+
+    /**
+     * @returns {{ breakers: object, latency: Array<object> }}
+     */
+    metrics() {
+        return {
+            breakers: Object.fromEntries([...this.breakers].map(([endpoint, b]) => [endpoint, { state: b.state, failures: b.failures }])),
+            latency: [...this.histograms].map(([key, histogram]) => {
+                const [event, outcome] = key.split('|');
+                return { event, outcome, ...histogram.snapshot() };
+            })
+        };
+    }
+}
+
+function endpointOf(url) {
+    try {
+        const { origin, pathname } = new URL(url);
+        return `${origin}${pathname}`;
+    } catch {
+        return String(url);
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * RequestSigner - Authentication headers for outbound integration calls
+ *
+ *   auth = { type: 'none' }
+ *   auth = { type: 'bearer', token }            → Authorization: Bearer <token>
+ *   auth = { type: 'hmac', secret }             → X-Webhook-Timestamp: <unix s>
+ *                                                 X-Webhook-Signature: sha256=<hex HMAC(secret, `${timestamp}.${body}`)>
+ *
+ * The HMAC covers the exact body bytes sent plus the timestamp, so the receiver
+ * (n8n Crypto node / verifySignature) can reject tampered or replayed requests.
+ * A type without its secret fails fast: WEBHOOK_AUTH_CONFIG.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+function authError(message) {
+    const err = new Error(`WEBHOOK_AUTH_CONFIG: ${message}`);
+    err.code = 'WEBHOOK_AUTH_CONFIG';
+    return err;
+}
+
+export function hmacSignature(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * @param {object} [auth]
+ * @param {Function} [now] - ms epoch
+ * @returns {(body: string) => object} headers para un body
+ */
+export function createRequestSigner(auth = { type: 'none' }, now = Date.now) {
+    const type = auth?.type || 'none';
+
+    if (type === 'none') return () => ({});
+
+    if (type === 'bearer') {
+        if (!auth.token) throw authError('bearer sin token');
+        return () => ({ Authorization: `Bearer ${auth.token}` });
+    }
+
+    if (type === 'hmac') {
+        if (!auth.secret) throw authError('hmac sin secret');
+        return (body) => {
+            const timestamp = Math.floor(now() / 1000);
+            return { [TIMESTAMP_HEADER]: String(timestamp), [SIGNATURE_HEADER]: hmacSignature(auth.secret, timestamp, body) };
+        };
+    }
+
+    throw authError(`tipo '${type}' desconocido (none | bearer | hmac)`);
+}
+
+/**
+ * Receiver side (stubs, tests, inbound callbacks)
+ * @param {string} secret
+ * @param {string} body - Raw body
+ * @param {object} headers - Lower-case header names (Node http)
+ * @param {object} [options]
+ * @param {number} [options.toleranceSec=300]
+ * @param {Function} [options.now]
+ */
+export function verifySignature(secret, body, headers, { toleranceSec = 300, now = Date.now } = {}) {
+    const timestamp = Number(headers[TIMESTAMP_HEADER.toLowerCase()]);
+    const signature = String(headers[SIGNATURE_HEADER.toLowerCase()] || '');
+    if (!timestamp || Math.abs(now() / 1000 - timestamp) > toleranceSec) return false;
+
+    const expected = hmacSignature(secret, timestamp, body);
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
@@ -0,0 +1,54 @@
+/**
+ * ResponseSchema - Declarative shape checks for integration responses
+ *
+ * A schema maps field → rule:
+ *   {
+ *     ok:   { type: 'boolean', required: true },
+ *     rut:  { type: 'string', pattern: /^\d{7,8}-[\dK]$/, requiredWhen: { ok: true } },
+ *     edad: { type: ['number', 'string'], nullable: true },
+ *     hold: { type: 'boolean' }
+ *   }
+ * - type: 'string' | 'number' | 'boolean' | 'object' | 'array', or a list of them
+ * - required / requiredWhen ({ otherField: value }): must be present and non-null
+ * - nullable: null allowed (absent fields are always allowed unless required)
+ * - pattern (strings), oneOf (allowed values)
+ * Unknown fields pass through: the integration may add fields without breaking calls.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : typeof value);
+
+/**
+ * @param {object} schema
+ * @param {*} data
+ * @returns {string[]} Violaciones ("rut: se esperaba string") - vacío = válido
+ */
+export function validateResponse(schema, data) {
+    if (!data || typeOf(data) !== 'object') return [`respuesta: se esperaba objeto, llegó ${data === null ? 'null' : typeOf(data)}`];
+
+    const violations = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = data[field];
+        const required = rule.required || (rule.requiredWhen && Object.entries(rule.requiredWhen).every(([k, v]) => data[k] === v));
+
+        if (value === undefined || value === null) {
+            if (required) violations.push(`${field}: requerido`);
+            else if (value === null && rule.nullable === false) violations.push(`${field}: no puede ser null`);
+            continue;
+        }
+
+        const types = [].concat(rule.type || []);
+        if (types.length > 0 && !types.includes(typeOf(value))) {
+            violations.push(`${field}: se esperaba ${types.join(' | ')}, llegó ${typeOf(value)}`);
+            continue;
+        }
+        if (rule.pattern && !rule.pattern.test(String(value))) {
+            violations.push(`${field}: "${String(value).slice(0, 40)}" no cumple el formato`);
+        }
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            violations.push(`${field}: "${value}" no es ${rule.oneOf.join(' | ')}`);
+        }
+    }
+    return violations;
+}
@@ -0,0 +1,79 @@
+/**
+ * IntentLlm - Constrained LLM fallback for the intent service
+ *
+ * Only called when the deterministic patterns miss. The model never answers
+ * the caller: it returns { intent, confidence } restricted to the intents the
+ * capsule step accepts, as a JSON object.
+ *
+ *   llm({ transcript, allowed, language, question }) → Promise<{ intent, confidence }>   // throws on failure
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { inboundConfig as config } from '../config.js';
+
+function llmError(code, message) {
+    const err = new Error(`${code}: ${message}`);
+    err.code = code;
+    return err;
+}
+
+const SYSTEM_PROMPT = [
+    'You are a strict intent classifier for a phone bot of a medical center.',
+    'You never talk to the caller. You only classify what the caller answered.',
+    'Reply with a JSON object only: {"intent": "<one of the allowed intents>", "confidence": <0..1>}.',
+    'Intents: YES = agrees/confirms, NO = rejects/denies, REPEAT = did not hear or asks to repeat,',
+    'HUMAN = asks for a person/agent, LATER = cannot talk now or wants to be called later,',
+    'CHANGE = wants another date/time/option, UNKNOWN = anything else, unsure or noise.'
+].join(' ');
+
+/**
+ * OpenAI chat completions (json_object, temperature 0)
+ */
+export function createOpenAiIntentLlm(cfg = config.intent.llm) {
+    return async function classifyWithLlm({ transcript, allowed, language = null, question = null }) {
+        const apiKey = process.env.OPENAI_API_KEY;
+        if (!apiKey) throw llmError('INTENT_LLM_CONFIG', 'OPENAI_API_KEY no configurada');
+
+        const userPrompt = [
+            question ? `Bot question: "${question}"` : null,
+            `Caller answer${language ? ` (language: ${language})` : ''}: "${transcript}"`,
+            `Allowed intents: ${[...allowed, 'UNKNOWN'].join(', ')}`
+        ].filter(Boolean).join('\n');
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), cfg.timeoutMs);
+        try {
+            const response = await fetch('https://api.openai.com/v1/chat/completions', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    model: cfg.model,
+                    temperature: 0,
+                    max_tokens: 30,
+                    response_format: { type: 'json_object' },
+                    messages: [
+                        { role: 'system', content: SYSTEM_PROMPT },
+                        { role: 'user', content: userPrompt }
+                    ]
+                }),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                const body = await response.text().catch(() => '');
+                throw llmError('INTENT_LLM_HTTP', `HTTP ${response.status} ${body.substring(0, 200)}`);
+            }
+            const data = await response.json();
+            try {
+                return JSON.parse(data.choices?.[0]?.message?.content || '');
+            } catch {
+                throw llmError('INTENT_LLM_PARSE', `respuesta no es JSON: ${String(data.choices?.[0]?.message?.content).substring(0, 100)}`);
+            }
+        } catch (err) {
+            if (err.name === 'AbortError') throw llmError('INTENT_LLM_TIMEOUT', `sin respuesta en ${cfg.timeoutMs}ms`);
+            throw err;
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+}
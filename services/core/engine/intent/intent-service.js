@@ -0,0 +1,167 @@
+/**
+ * IntentService - Caller intent at confirmation steps, with confidence
+ *
+ * Purpose: "no sé", "repítame" or "sí pero otro día" are not YES/NO. Any
+ * capsule confirmation step asks here and gets one of INTENTS plus a
+ * confidence in [0, 1]:
+ *
+ *   const { intent, confidence } = await getIntentService().classify(transcript, {
+ *       language: ctx.language,               // phrase set (call-language.js)
+ *       allowed: ['YES', 'NO', 'REPEAT'],     // intents the step handles (default: all)
+ *       question: '¿Confirma su hora?'        // context for the LLM fallback
+ *   });
+ *
+ * 1. Patterns: phrases of the call language pack, by precedence
+ *    HUMAN > REPEAT > LATER > CHANGE > (unsure) > YES / NO. Unsure answers
+ *    ("no sé") are UNKNOWN with unsure=true; YES and NO together are a miss.
+ * 2. LLM (config.intent.llm, optional): only on a miss or below
+ *    llmMinConfidence, constrained to the allowed intents. If it fails the
+ *    pattern result stands.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { log } from '../../../../lib/logger.js';
+import { inboundConfig as config } from '../config.js';
+import { languagePack } from '../call-language.js';
+import { normalizeSpeech, containsPhrase } from '../stt/stt-grammar.js';
+import { createOpenAiIntentLlm } from './intent-llm.js';
+
+export const INTENTS = Object.freeze({
+    YES: 'YES',
+    NO: 'NO',
+    REPEAT: 'REPEAT',
+    HUMAN: 'HUMAN',
+    LATER: 'LATER',
+    CHANGE: 'CHANGE',
+    UNKNOWN: 'UNKNOWN'
+});
+
+const ALL_INTENTS = Object.freeze(Object.values(INTENTS).filter(i => i !== INTENTS.UNKNOWN));
+
+// Orden de precedencia: lo específico ("no, otro día") gana sobre el sí/no genérico
+const PRECEDENCE = ['HUMAN', 'REPEAT', 'LATER', 'CHANGE', 'UNSURE', 'YES', 'NO'];
+
+/**
+ * Frases por intención: pack del idioma + inglés ("yes", "ok" llegan en cualquier llamada)
+ */
+function phrasesFor(language) {
+    const packs = [...new Set([language || 'es', 'en'])].map(code => languagePack(code));
+    const pick = (fn) => packs.flatMap(fn);
+    return {
+        YES: pick(p => p.confirm.yes),
+        NO: pick(p => p.confirm.no),
+        REPEAT: pick(p => p.intents.repeat),
+        HUMAN: pick(p => p.intents.human),
+        LATER: pick(p => p.intents.later),
+        CHANGE: pick(p => p.intents.change),
+        UNSURE: pick(p => p.intents.unsure)
+    };
+}
+
+/**
+ * Clasificación determinista (sin red)
+ *
+ * @param {string} transcript
+ * @param {object} [options]
+ * @param {string} [options.language] - Idioma de la llamada
+ * @param {string[]} [options.allowed] - Intenciones que el paso atiende
+ * @returns {{intent: string, confidence: number, source: 'pattern', matched: string|null, unsure: boolean}}
+ */
+export function matchIntentPatterns(transcript, { language = null, allowed = ALL_INTENTS } = {}) {
+    const normalized = normalizeSpeech(transcript);
+    const miss = { intent: INTENTS.UNKNOWN, confidence: 0, source: 'pattern', matched: null, unsure: false };
+    if (!normalized) return miss;
+
+    const words = normalized.split(' ').length;
+    const phrases = phrasesFor(language);
+    const hits = {};
+    for (const name of PRECEDENCE) {
+        const found = phrases[name].filter(p => containsPhrase(normalized, p));
+        if (found.length) hits[name] = found.sort((a, b) => b.length - a.length);
+    }
+
+    // Cuánto del enunciado explican las frases encontradas (0.6 - 0.95)
+    const score = (found) => {
+        const covered = Math.min(words, found.reduce((n, p) => n + normalizeSpeech(p).split(' ').length, 0));
+        return Math.round((0.6 + 0.35 * (covered / words)) * 100) / 100;
+    };
+
+    for (const name of PRECEDENCE) {
+        if (!hits[name]) continue;
+        if (name === 'UNSURE') {
+            return { ...miss, confidence: score(hits.UNSURE), matched: hits.UNSURE[0], unsure: true };
+        }
+        if (!allowed.includes(name)) continue;
+        if ((name === 'YES' && hits.NO) || (name === 'NO' && hits.YES)) {
+            return miss; // "sí... no": ambiguo
+        }
+        return { intent: name, confidence: score(hits[name]), source: 'pattern', matched: hits[name][0], unsure: false };
+    }
+    return miss;
+}
+
+export class IntentService {
+    /**
+     * @param {object} [options]
+     * @param {Function|null} [options.llm] - ({ transcript, allowed, language, question }) → { intent, confidence } (null = sin LLM)
+     * @param {number} [options.llmMinConfidence] - Bajo este umbral se consulta al LLM
+     */
+    constructor({ llm = null, llmMinConfidence = 0.7 } = {}) {
+        this.llm = llm;
+        this.llmMinConfidence = llmMinConfidence;
+    }
+
+    /**
+     * @param {string} transcript
+     * @param {object} [options]
+     * @param {string} [options.language] - Idioma de la llamada (ctx.language)
+     * @param {string[]} [options.allowed] - Intenciones que el paso atiende (default: todas)
+     * @param {string} [options.question] - Lo que preguntó el bot (contexto para el LLM)
+     * @returns {Promise<{intent: string, confidence: number, source: 'pattern'|'llm', matched: string|null, unsure: boolean}>}
+     */
+    async classify(transcript, { language = null, allowed = ALL_INTENTS, question = null } = {}) {
+        const unknownIntents = allowed.filter(i => !ALL_INTENTS.includes(i));
+        if (unknownIntents.length) {
+            const err = new Error(`INTENT_UNKNOWN: intenciones no soportadas (${unknownIntents.join(', ')}; válidas: ${ALL_INTENTS.join(', ')})`);
+            err.code = 'INTENT_UNKNOWN';
+            throw err;
+        }
+
+        const byPattern = matchIntentPatterns(transcript, { language, allowed });
+        const confident = byPattern.unsure || (byPattern.intent !== INTENTS.UNKNOWN && byPattern.confidence >= this.llmMinConfidence);
+        if (confident || !this.llm || !normalizeSpeech(transcript)) {
+            log('debug', `🧭 [INTENT] ${byPattern.intent} (${byPattern.confidence}, patrón "${byPattern.matched ?? '-'}"): "${String(transcript).slice(0, 80)}"`);
+            return byPattern;
+        }
+
+        try {
+            const answer = await this.llm({ transcript, allowed, language, question });
+            const intent = allowed.includes(answer?.intent) ? answer.intent : INTENTS.UNKNOWN;
+            if (intent === INTENTS.UNKNOWN && byPattern.intent !== INTENTS.UNKNOWN) return byPattern;
+
+            const confidence = Math.min(1, Math.max(0, Number(answer?.confidence) || 0));
+            log('info', `🧭 [INTENT] LLM → ${intent} (${confidence}) tras patrón ${byPattern.intent} (${byPattern.confidence}): "${String(transcript).slice(0, 80)}"`);
+            return { intent, confidence, source: 'llm', matched: null, unsure: false };
+        } catch (err) {
+            log('warn', `⚠️ [INTENT] LLM falló, se usa el patrón (${byPattern.intent}): ${err.message}`);
+            return byPattern;
+        }
+    }
+}
+
+let sharedService = null;
+
+/**
+ * Process-wide service built from config.intent
+ */
+export function getIntentService() {
+    if (!sharedService) {
+        const cfg = config.intent;
+        sharedService = new IntentService({
+            llm: cfg.llm.enabled ? createOpenAiIntentLlm(cfg.llm) : null,
+            llmMinConfidence: cfg.llmMinConfidence
+        });
+    }
+    return sharedService;
+}
@@ -5,79 +5,35 @@
  */
 
 import { log } from "../../../../lib/logger.js";
+import { languagePack } from "../call-language.js";
+
+/**
+ * Patrones SÍ/NO del idioma de la llamada (call-language.js) + inglés,
+ * que los pacientes usan aunque la llamada sea en otro idioma ("yes", "ok")
+ */
+function confirmPatterns(language) {
+  const packs = [...new Set([language || 'es', 'en'])].map(code => languagePack(code).confirm);
+  return {
+    yes: packs.flatMap(p => p.yes),
+    no: packs.flatMap(p => p.no)
+  };
+}
 
 /**
  * Clasifica una respuesta de confirmación en YES, NO o UNKNOWN
  * @param {string} transcript - Transcripción del usuario
+ * @param {string|null} [language] - Idioma de la llamada (ctx.language); null = español
  * @returns {string} - 'YES', 'NO' o 'UNKNOWN'
  */
-export function classifyConfirm(transcript) {
+export function classifyConfirm(transcript, language = null) {
   if (!transcript) return 'UNKNOWN';
 
-  // 1. Normalización Semántica (Español + Inglés + Limpieza)
-  // Elimina puntuación y mantiene solo letras y espacios
-  const clean = transcript.toLowerCase().trim().replace(/[^\w\sáéíóúüñ]/g, '');
-
-  // 2. Patrones Afirmativos (Multilenguaje)
-  const affirmativePatterns = [
-    // Español
-    'si',
-    'sí',
-    'sii',
-    'siii',
-    'es correcto',
-    'si es correcto',
-    'y es correcto',
-    'correcto',
-    'asi es',
-    'así es',
-    'exacto',
-    'claro',
-    'bueno',
-    'confirmo',
-    'confirmado',
-    'ok',
-    'okay',
-    'dale',
-    'bueno ya',
-
-    // Inglés (Soporte semántico)
-    'yes',
-    'yeah',
-    'yep',
-    'correct',
-    'is correct',
-    'it is correct',
-    'he is correct',
-    'that is correct',
-    'ok',
-    'sure',
-    'right'
-  ];
-
-  // 3. Patrones Negativos (Multilenguaje)
-  const negativePatterns = [
-    // Español
-    'no',
-    'no es',
-    'no es correcto',
-    'incorrecto',
-    'falso',
-    'equivocado',
-    'mal',
-    'error',
-    'corregir',
-    'cambiar',
-    'otro',
+  // 1. Normalización Semántica (Limpieza)
+  // Elimina puntuación y mantiene letras (con tildes: español, kreyòl), números y espacios
+  const clean = transcript.toLowerCase().trim().replace(/[^\p{L}\p{N}\s]/gu, '');
 
-    // Inglés
-    'no',
-    'not',
-    'is not',
-    'incorrect',
-    'wrong',
-    'change'
-  ];
+  // 2-3. Patrones Afirmativos / Negativos del idioma
+  const { yes: affirmativePatterns, no: negativePatterns } = confirmPatterns(language);
 
   // 4. Verificación Estricta (Token Search)
   // Buscamos si el transcript normalizado CONTIENE alguna de las frases clave
@@ -114,8 +70,8 @@ export function classifyConfirm(transcript) {
 /**
  * Alias para compatibilidad con código existente
  */
-export function classifyConfirmSimple(transcript) {
-  return classifyConfirm(transcript);
+export function classifyConfirmSimple(transcript, language = null) {
+  return classifyConfirm(transcript, language);
 }
 
 export default {
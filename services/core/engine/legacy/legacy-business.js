@@ -8,7 +8,8 @@
  */
 
 import { log } from "../../../../lib/logger.js";
-import { normalizeRut, isValidRut, maskRut, parseRutFromSpeech, cleanAsrNoise, extractRutHard, formatRut } from "../utils.js";
+import { normalizeRut, isValidRut, maskRut, formatRut } from "../utils.js";
+import { parseRutFromSpeech, cleanAsrNoise, extractRutHard } from "../identity/spoken-numbers.js";
 import { classifyConfirmSimple } from "../legacy-compat/confirm-classifier.js";
 import { extractRutCandidate } from "./legacy-helpers.js";
 import { shouldTransferToQueue, transferToQueue } from "../domain/transfers.js";
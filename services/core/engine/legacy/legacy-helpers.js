@@ -11,7 +11,9 @@ import { exec } from "child_process";
 import { promisify } from "util";
 import { log } from "../../../../lib/logger.js";
 import { inboundConfig as config } from "../config.js";
-import { parseRutFromSpeech } from "../utils.js";
+import { parseRutFromSpeech } from "../identity/spoken-numbers.js";
+import { playStreamOverExternalMedia } from "../ari/streaming-playback.js";
+import { languagePack } from "../call-language.js";
 
 const execAsync = promisify(exec);
 
@@ -661,8 +663,49 @@ export async function playStillTherePrompt(ari, channel, openaiClient) {
     }
 }
 
+/**
+ * 🌊 TTS en streaming sobre el bridge de voz (config.tts.streaming)
+ * Devuelve null si no se pudo montar el ExternalMedia (el llamador usa el camino por archivo)
+ */
+export async function streamTextAndPlay(ari, channel, openaiClient, text, options = {}, bridge) {
+    const abortController = new AbortController();
+    const { chunks, provider, hit } = await openaiClient.streamSpeech(text, { signal: abortController.signal });
+    if (!chunks) return null;
+
+    log("info", `🌊 [TTS STREAM] ${hit ? 'Caché' : provider} → "${text.substring(0, 40)}..."`);
+    try {
+        return await playStreamOverExternalMedia({
+            ari,
+            channel,
+            bridge,
+            chunks,
+            abortController,
+            app: process.env.ARI_APP || process.env.ARI_APP_NAME || "crm_app",
+            bargeIn: options.bargeIn !== false,
+            openaiClient,
+            talkingDebounceMs: TALKING_DEBOUNCE_MS,
+            timeoutMs: PLAYBACK_TIMEOUT_MS,
+            frameMs: config.tts.streaming.frameMs
+        });
+    } catch (err) {
+        abortController.abort();
+        if (err.code !== 'TTS_STREAM_SETUP') throw err;
+        log("warn", `⚠️ [TTS STREAM] ${err.message} - usando playback por archivo`);
+        return null;
+    }
+}
+
 export async function sendSystemTextAndPlay(ari, channel, openaiClient, text, options = {}, voiceBridgeRef = null) {
     try {
+        // 🌊 Streaming: el audio suena mientras el proveedor lo genera
+        if (config.tts.streaming.enabled && voiceBridgeRef?.current && typeof openaiClient.streamSpeech === "function") {
+            const streamed = await streamTextAndPlay(ari, channel, openaiClient, text, options, voiceBridgeRef.current);
+            if (streamed) {
+                if (options.bargeIn === false) await new Promise(r => setTimeout(r, 600));
+                return true;
+            }
+        }
+
         if (channel) {
             log('debug', '⏱️ [KEEP-ALIVE] Iniciando silencio para mantener canal activo...');
             try {
@@ -769,18 +812,9 @@ export function shouldTransferToQueue(transcript, assistantResponse = "") {
     return detected;
 }
 
-export function shouldEndCall(text) {
+export function shouldEndCall(text, language = null) {
     if (!text) return false;
     const lowerText = text.toLowerCase();
-    const goodbyePhrases = [
-        "que tenga un excelente día",
-        "que tenga un buen día",
-        "hasta luego",
-        "adiós",
-        "me despido",
-        "un gusto haberle ayudado",
-        "nos vemos",
-        "finalizar llamada"
-    ];
-    return goodbyePhrases.some(phrase => lowerText.includes(phrase));
+    // 🌐 Frases de despedida del idioma de la llamada (call-language.js)
+    return languagePack(language).goodbyePhrases.some(phrase => lowerText.includes(phrase));
 }
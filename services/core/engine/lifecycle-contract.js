@@ -9,16 +9,38 @@
 // =========================================================
 
 import { log } from '../../../lib/logger.js';
-import redis from '../../../lib/redis.js';
 
 /**
- * Lifecycle Contract - Define reglas operativas por fase
+ * Acciones y recursos que el lifecycle gobierna
+ */
+export const LIFECYCLE_ACTIONS = ['PLAYBACK', 'STT', 'CREATE_BRIDGE', 'CREATE_SNOOP', 'DESTROY_BRIDGE', 'DESTROY_SNOOP', 'HANGUP'];
+export const LIFECYCLE_RESOURCES = ['BRIDGE', 'SNOOP'];
+
+/**
+ * Contrato genérico de fase conversacional (habla + escucha)
+ * Base con la que se completan las fases que declara cada cápsula.
+ */
+export const DEFAULT_PHASE_CONTRACT = Object.freeze({
+    allow: ['PLAYBACK', 'STT', 'CREATE_BRIDGE', 'CREATE_SNOOP'],
+    deny: ['DESTROY_SNOOP', 'DESTROY_BRIDGE', 'HANGUP'],
+    requires: ['BRIDGE'],
+    teardownAllowed: false,
+    advanceTurnAfterPlayback: true
+});
+
+/**
+ * Lifecycle Contract (core) - Fases genéricas que el engine conoce sin cápsula
  * 
  * Cada fase tiene:
  * - allow: acciones permitidas
  * - deny: acciones explícitamente bloqueadas
  * - requires: recursos que DEBEN existir
  * - teardownAllowed: si se puede destruir bridge/snoop
+ * - incrementalCapture (opcional): captura incremental del engine (RUT parcial, escucha forzada, segmenter)
+ * - guards (opcional): { [acción]: async (ctx) => boolean } concede una acción denegada
+ *
+ * Las fases de negocio (LISTEN_RUT, ASK_SPECIALTY, ASK_NAME...) las aporta cada cápsula
+ * y se fusionan con este contrato vía buildLifecycleContract().
  */
 export const LIFECYCLE_CONTRACT = {
     START_GREETING: {
@@ -29,20 +51,13 @@ export const LIFECYCLE_CONTRACT = {
         advanceTurnAfterPlayback: true
     },
 
-    LISTEN_RUT: {
-        allow: ['STT', 'CREATE_SNOOP'],
-        deny: ['PLAYBACK', 'DESTROY_SNOOP', 'DESTROY_BRIDGE', 'HANGUP'],
-        requires: ['BRIDGE', 'SNOOP'],
-        teardownAllowed: false,
-        advanceTurnAfterPlayback: false
-    },
-
     LISTEN_OPTION: {
         allow: ['STT', 'CREATE_SNOOP'],
         deny: ['PLAYBACK', 'DESTROY_SNOOP', 'DESTROY_BRIDGE', 'HANGUP'],
         requires: ['BRIDGE', 'SNOOP'],
         teardownAllowed: false,
-        advanceTurnAfterPlayback: false
+        advanceTurnAfterPlayback: false,
+        incrementalCapture: true
     },
 
     LISTEN_CONFIRMATION: {
@@ -50,39 +65,8 @@ export const LIFECYCLE_CONTRACT = {
         deny: ['PLAYBACK', 'DESTROY_SNOOP', 'DESTROY_BRIDGE', 'HANGUP'],
         requires: ['BRIDGE', 'SNOOP'],
         teardownAllowed: false,
-        advanceTurnAfterPlayback: false
-    },
-
-    ASK_SPECIALTY: {
-        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
-        deny: ['DESTROY_SNOOP', 'DESTROY_BRIDGE', 'HANGUP'],
-        requires: ['BRIDGE', 'SNOOP'],
-        teardownAllowed: false,
-        advanceTurnAfterPlayback: true
-    },
-
-    ASK_DATE: {
-        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
-        deny: ['DESTROY_SNOOP', 'DESTROY_BRIDGE', 'HANGUP'],
-        requires: ['BRIDGE', 'SNOOP'],
-        teardownAllowed: false,
-        advanceTurnAfterPlayback: true
-    },
-
-    NO_AVAILABILITY: {
-        allow: ['PLAYBACK'],
-        deny: ['STT', 'DESTROY_BRIDGE', 'HANGUP'],
-        requires: ['BRIDGE'],
-        teardownAllowed: false,
-        advanceTurnAfterPlayback: true
-    },
-
-    CONFIRM_APPOINTMENT: {
-        allow: ['PLAYBACK', 'STT', 'CREATE_SNOOP'],
-        deny: ['DESTROY_BRIDGE', 'HANGUP'],
-        requires: ['BRIDGE', 'SNOOP'],
-        teardownAllowed: false,
-        advanceTurnAfterPlayback: true
+        advanceTurnAfterPlayback: false,
+        incrementalCapture: true
     },
 
     END_CALL: {
@@ -94,6 +78,126 @@ export const LIFECYCLE_CONTRACT = {
     }
 };
 
+/**
+ * Fases con captura incremental antes de los contratos por cápsula
+ * (aplica a las fases que no declaran incrementalCapture)
+ */
+export const LEGACY_INCREMENTAL_PHASES = Object.freeze(['LISTEN_RUT', 'LISTEN_OPTION', 'LISTEN_CONFIRMATION']);
+
+// 📞 Contrato efectivo por llamada (linkedId → tabla fusionada de la cápsula)
+const boundContracts = new Map();
+
+/**
+ * Valida la tabla de fases que aporta una cápsula
+ *
+ * @param {object} phases - { [phase]: { allow?, deny?, requires?, teardownAllowed?, advanceTurnAfterPlayback?, incrementalCapture?, guards? } }
+ * @param {string} name - Nombre de la cápsula (para mensajes)
+ * @returns {string[]} - Errores (vacío si es válida)
+ */
+export function validateLifecycleContract(phases, name = 'unknown') {
+    if (phases === undefined) return [];
+    if (!phases || typeof phases !== 'object' || Array.isArray(phases)) {
+        return [`Capsule ${name} lifecycle debe ser un objeto { [fase]: contrato }`];
+    }
+
+    const errors = [];
+    for (const [phase, spec] of Object.entries(phases)) {
+        if (!/^[A-Z][A-Z0-9_]*$/.test(phase)) {
+            errors.push(`Capsule ${name} lifecycle: nombre de fase inválido (${phase})`);
+        }
+        if (!spec || typeof spec !== 'object') {
+            errors.push(`Capsule ${name} lifecycle ${phase}: contrato debe ser un objeto`);
+            continue;
+        }
+
+        for (const list of ['allow', 'deny']) {
+            if (spec[list] === undefined) continue;
+            if (!Array.isArray(spec[list])) {
+                errors.push(`Capsule ${name} lifecycle ${phase}: ${list} debe ser un arreglo`);
+                continue;
+            }
+            const unknown = spec[list].filter(a => !LIFECYCLE_ACTIONS.includes(a));
+            if (unknown.length) {
+                errors.push(`Capsule ${name} lifecycle ${phase}: acciones desconocidas en ${list}: ${unknown.join(', ')}`);
+            }
+        }
+        const allow = Array.isArray(spec.allow) ? spec.allow : [];
+        const deny = Array.isArray(spec.deny) ? spec.deny : [];
+        const overlap = allow.filter(a => deny.includes(a));
+        if (overlap.length) {
+            errors.push(`Capsule ${name} lifecycle ${phase}: ${overlap.join(', ')} en allow y deny a la vez`);
+        }
+
+        if (spec.requires !== undefined) {
+            const unknown = Array.isArray(spec.requires) ? spec.requires.filter(r => !LIFECYCLE_RESOURCES.includes(r)) : ['(no es arreglo)'];
+            if (unknown.length) {
+                errors.push(`Capsule ${name} lifecycle ${phase}: recursos desconocidos en requires: ${unknown.join(', ')}`);
+            }
+        }
+
+        for (const flag of ['teardownAllowed', 'advanceTurnAfterPlayback', 'incrementalCapture']) {
+            if (spec[flag] !== undefined && typeof spec[flag] !== 'boolean') {
+                errors.push(`Capsule ${name} lifecycle ${phase}: ${flag} debe ser boolean`);
+            }
+        }
+
+        for (const [action, guard] of Object.entries(spec.guards || {})) {
+            if (!LIFECYCLE_ACTIONS.includes(action) || typeof guard !== 'function') {
+                errors.push(`Capsule ${name} lifecycle ${phase}: guard inválido para ${action}`);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Fusiona las fases de una cápsula con el contrato core
+ * Los campos que la cápsula omite se toman de DEFAULT_PHASE_CONTRACT.
+ *
+ * @param {object} phases - Tabla de la cápsula
+ * @param {string} name - Nombre de la cápsula
+ * @returns {object} - Contrato efectivo (congelado)
+ * @throws {Error} LIFECYCLE_CONTRACT_INVALID
+ */
+export function buildLifecycleContract(phases = {}, name = 'unknown') {
+    const errors = validateLifecycleContract(phases, name);
+    if (errors.length) {
+        throw new Error(`LIFECYCLE_CONTRACT_INVALID: ${errors.join('; ')}`);
+    }
+
+    const merged = { ...LIFECYCLE_CONTRACT };
+    for (const [phase, spec] of Object.entries(phases || {})) {
+        merged[phase] = Object.freeze({ ...DEFAULT_PHASE_CONTRACT, ...spec });
+    }
+    return Object.freeze(merged);
+}
+
+/**
+ * Asocia el contrato efectivo de la cápsula a una llamada
+ */
+export function bindLifecycleContract(linkedId, contract) {
+    if (!linkedId || !contract) return;
+    boundContracts.set(linkedId, contract);
+}
+
+/**
+ * Libera el contrato de una llamada terminada
+ */
+export function releaseLifecycleContract(linkedId) {
+    boundContracts.delete(linkedId);
+}
+
+/**
+ * Contrato efectivo para una llamada (core si no hay cápsula asociada)
+ */
+export function getLifecycleContract(linkedId) {
+    return (linkedId && boundContracts.get(linkedId)) || LIFECYCLE_CONTRACT;
+}
+
+function contractFor(logContext = {}) {
+    return getLifecycleContract(logContext.linkedId || logContext.callKey);
+}
+
 /**
  * Valida si una acción está permitida en la fase actual
  * 
@@ -106,36 +210,27 @@ export async function isActionAllowed(phase, action, logContext = {}) {
     // 📊 LOG DETALLADO: Estado inicial de la validación
     log("debug", `🔒 [LIFECYCLE] Validando acción: phase=${phase || 'NULL'}, action=${action}, context=${JSON.stringify(logContext)}`);
     
-    if (!phase || !LIFECYCLE_CONTRACT[phase]) {
+    const table = contractFor(logContext);
+    if (!phase || !table[phase]) {
         log("warn", `🔒 [LIFECYCLE] ❌ Fase desconocida o inválida: ${phase || 'NULL'} - Acción ${action} DENEGADA por defecto`);
         return false; // Fase desconocida = nada permitido
     }
 
-    const contract = LIFECYCLE_CONTRACT[phase];
+    const contract = table[phase];
     
     // 📊 LOG DETALLADO: Contrato de la fase
     log("debug", `🔒 [LIFECYCLE] Contrato de fase ${phase}: allow=[${contract.allow?.join(', ') || 'none'}], deny=[${contract.deny?.join(', ') || 'none'}], requires=[${contract.requires?.join(', ') || 'none'}], teardownAllowed=${contract.teardownAllowed}`);
 
-    // 🎯 EXCEPCIÓN: PLAYBACK condicional en LISTEN_RUT tras rechazo de webhook
-    if (phase === 'LISTEN_RUT' && action === 'PLAYBACK') {
-        const callKey = logContext.linkedId || logContext.callKey || logContext.channelId;
-        if (callKey) {
-            const webhookRejectKey = `rut:webhook:rejected:${callKey}`;
-            const webhookRejectRaw = await redis.get(webhookRejectKey);
-            
-            if (webhookRejectRaw) {
-                try {
-                    const webhookReject = JSON.parse(webhookRejectRaw);
-                    if (webhookReject.ok === false && (webhookReject.reason === 'INVALID_RUT_FORMAT' || webhookReject.reason === 'CARDINAL_NUMBER' || webhookReject.reason === 'CONFUSION_PHRASE' || webhookReject.reason === 'INSUFFICIENT_DIGITS' || webhookReject.reason === 'NO_DIGIT_SEQUENCE' || webhookReject.reason === 'TEXT_WITHOUT_DIGITS' || webhookReject.reason === 'INVALID_RUT_FORMAT_PATTERN')) {
-                        log("info", `🔒 [LIFECYCLE] ✅ PLAYBACK PERMITIDO en LISTEN_RUT (excepción: webhook rechazado, reason=${webhookReject.reason}) - Permitiendo re-prompt`);
-                        // Limpiar la key para que solo se permita una vez
-                        await redis.del(webhookRejectKey);
-                        return true;
-                    }
-                } catch (e) {
-                    log("warn", `⚠️ [LIFECYCLE] Error parseando webhookReject: ${e.message}`);
-                }
+    // 🎯 GUARD: la cápsula puede conceder una acción denegada según su estado (ej: re-prompt tras rechazo)
+    const guard = contract.guards?.[action];
+    if (guard) {
+        try {
+            if (await guard({ phase, action, ...logContext })) {
+                log("info", `🔒 [LIFECYCLE] ✅ Acción ${action} PERMITIDA en fase ${phase} (guard de la cápsula)`);
+                return true;
             }
+        } catch (e) {
+            log("warn", `⚠️ [LIFECYCLE] Guard ${action} en fase ${phase} falló: ${e.message}`);
         }
     }
 
@@ -165,12 +260,13 @@ export async function isActionAllowed(phase, action, logContext = {}) {
  * @returns {boolean} - true si es requerido
  */
 export function isResourceRequired(phase, resource, logContext = {}) {
-    if (!phase || !LIFECYCLE_CONTRACT[phase]) {
+    const table = contractFor(logContext);
+    if (!phase || !table[phase]) {
         log("debug", `🔒 [LIFECYCLE] Fase ${phase || 'NULL'} no existe - recurso ${resource} NO requerido`);
         return false;
     }
 
-    const contract = LIFECYCLE_CONTRACT[phase];
+    const contract = table[phase];
     const isRequired = contract.requires && contract.requires.includes(resource);
     
     log("debug", `🔒 [LIFECYCLE] Recurso ${resource} en fase ${phase}: ${isRequired ? 'REQUERIDO' : 'NO requerido'} (requires=[${contract.requires?.join(', ') || 'none'}])`);
@@ -186,12 +282,13 @@ export function isResourceRequired(phase, resource, logContext = {}) {
  * @returns {boolean} - true si se puede hacer teardown
  */
 export function isTeardownAllowed(phase, logContext = {}) {
-    if (!phase || !LIFECYCLE_CONTRACT[phase]) {
+    const table = contractFor(logContext);
+    if (!phase || !table[phase]) {
         log("warn", `🔒 [LIFECYCLE] Fase ${phase || 'NULL'} no existe - teardown DENEGADO por defecto`);
         return false;
     }
 
-    const contract = LIFECYCLE_CONTRACT[phase];
+    const contract = table[phase];
     const allowed = contract.teardownAllowed === true;
     
     log("info", `🔒 [LIFECYCLE] Teardown en fase ${phase}: ${allowed ? 'PERMITIDO' : 'DENEGADO'} (teardownAllowed=${contract.teardownAllowed})`);
@@ -204,17 +301,19 @@ export function isTeardownAllowed(phase, logContext = {}) {
  * 
  * @param {string} phase - Fase actual
  * @param {boolean} logDetails - Si debe loguear detalles (default: true)
+ * @param {string} linkedId - Llamada (usa el contrato de su cápsula)
  * @returns {object|null} - Contrato de la fase o null si no existe
  */
-export function getPhaseContract(phase, logDetails = true) {
-    if (!phase || !LIFECYCLE_CONTRACT[phase]) {
+export function getPhaseContract(phase, logDetails = true, linkedId = null) {
+    const table = getLifecycleContract(linkedId);
+    if (!phase || !table[phase]) {
         if (logDetails) {
             log("warn", `🔒 [LIFECYCLE] Contrato no encontrado para fase: ${phase || 'NULL'}`);
         }
         return null;
     }
 
-    const contract = LIFECYCLE_CONTRACT[phase];
+    const contract = table[phase];
     
     if (logDetails) {
         log("info", `🔒 [LIFECYCLE] Contrato completo de fase ${phase}:`, {
@@ -233,8 +332,39 @@ export function getPhaseContract(phase, logDetails = true) {
  * Valida que una fase existe en el contrato
  * 
  * @param {string} phase - Fase a validar
+ * @param {string} linkedId - Llamada (usa el contrato de su cápsula)
  * @returns {boolean} - true si la fase existe
  */
-export function isValidPhase(phase) {
-    return phase && phase in LIFECYCLE_CONTRACT;
+export function isValidPhase(phase, linkedId = null) {
+    return Boolean(phase) && phase in getLifecycleContract(linkedId);
+}
+
+/**
+ * Indica si la fase es de escucha (el contrato permite STT)
+ * Reemplaza las listas fijas LISTEN_* del engine: las fases de escucha las declara la cápsula.
+ *
+ * @param {string} phase - Fase a evaluar
+ * @param {string} linkedId - Llamada (usa el contrato de su cápsula)
+ * @returns {boolean} - true si la fase escucha al usuario
+ */
+export function isListenPhase(phase, linkedId = null) {
+    const contract = phase ? getLifecycleContract(linkedId)[phase] : null;
+    return Boolean(contract?.allow?.includes('STT') && !contract.deny?.includes('STT'));
+}
+
+/**
+ * Indica si la fase usa la captura incremental del engine
+ * (callback de RUT parcial, escucha forzada tras playback, ventana del segmenter).
+ * Escuchar (STT) no basta: la fase lo declara con incrementalCapture; sin declararlo
+ * se mantiene la lista histórica del engine.
+ *
+ * @param {string} phase - Fase a evaluar
+ * @param {string} linkedId - Llamada (usa el contrato de su cápsula)
+ * @param {string[]} legacyPhases - Lista histórica del punto que consulta
+ * @returns {boolean}
+ */
+export function isIncrementalCapturePhase(phase, linkedId = null, legacyPhases = LEGACY_INCREMENTAL_PHASES) {
+    if (!phase) return false;
+    const declared = getLifecycleContract(linkedId)[phase]?.incrementalCapture;
+    return typeof declared === 'boolean' ? declared : legacyPhases.includes(phase);
 }
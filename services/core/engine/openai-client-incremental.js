@@ -94,9 +94,7 @@ export class OpenAIRealtimeClientV3Incremental extends OpenAIRealtimeClientV3 {
         voice: this.voice,
         input_audio_format: "g711_ulaw",
         output_audio_format: "pcm16",
-        input_audio_transcription: {
-          model: transcriptionModel
-        },
+        input_audio_transcription: this.transcriptionConfig(transcriptionModel),
         turn_detection: null,
         temperature: this.temperature,
         max_response_output_tokens: this.maxTokens
@@ -104,7 +102,7 @@ export class OpenAIRealtimeClientV3Incremental extends OpenAIRealtimeClientV3 {
     };
 
     this.sendEvent(sessionConfig);
-    log("info", `⚙️ [OpenAI V3 Incremental] Sesión configurada: voice=${this.voice}, model=${transcriptionModel}, incremental=${this.incrementalMode}`);
+    log("info", `⚙️ [OpenAI V3 Incremental] Sesión configurada: voice=${this.voice}, model=${transcriptionModel}, incremental=${this.incrementalMode}, sttPhase=${this.sttPhase || '-'}`);
   }
 
   /**
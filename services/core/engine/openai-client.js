@@ -9,16 +9,16 @@
 
 import WebSocket from "ws";
 import fs from "fs";
-import { spawn, exec } from "child_process";
-import { promisify } from "util";
+import { spawn } from "child_process";
 import { log } from "../../../lib/logger.js";
-const execAsync = promisify(exec);
 import { inboundConfig as config } from "./config.js";
+import { getTtsService } from "./tts/tts-service.js";
+import { getSttService } from "./stt/stt-service.js";
+import { buildPhasePrompt } from "./stt/stt-grammar.js";
+import { ttsProfileForLanguage } from "./call-language.js";
 const logCfg = config.logging || {};
 
 export class OpenAIRealtimeClientV3 {
-  static ttsCache = new Map();
-
   constructor(custom = {}) {
     const cfg = config.openai;
 
@@ -27,7 +27,16 @@ export class OpenAIRealtimeClientV3 {
 
     this.instructions = custom.instructions || cfg.instructions;
     this.voice = custom.voice || cfg.voice;
+    // 🔀 Perfil TTS de la cápsula: { provider, voice, voices, fallback } (voz realtime por defecto para OpenAI)
+    const ttsProfile = custom.tts || {};
+    this.baseTtsProfile = { ...ttsProfile, voices: { openai: this.voice, ...(ttsProfile.voices || {}) } };
+    // 🌐 Idioma de la llamada (call-language.js); languageDetect = Whisper sin idioma hasta setLanguage()
     this.language = custom.language || cfg.language;
+    this.languageDetect = custom.languageDetect === true;
+    this.ttsProfile = ttsProfileForLanguage(this.baseTtsProfile, this.language);
+    // 📝 STT por fase de la cápsula: { [phase]: { prompt, vocabulary, language, grammar } }
+    this.sttPhases = custom.sttPhases || null;
+    this.sttPhase = null; // Fase que está escuchando (prompt/idioma de input_audio_transcription)
 
     this.temperature = cfg.temperature;
     this.maxTokens = cfg.maxResponseTokens;
@@ -114,6 +123,32 @@ export class OpenAIRealtimeClientV3 {
     });
   }
 
+  /**
+   * 📝 input_audio_transcription según la fase actual (prompt + vocabulario de sttPhases; idioma de la fase o de la llamada)
+   */
+  transcriptionConfig(model) {
+    const spec = this.sttPhases?.[this.sttPhase];
+    const prompt = buildPhasePrompt(spec);
+    return {
+      model,
+      ...(spec?.language ? { language: spec.language } : this.transcriptionLanguageHint()),
+      ...(prompt ? { prompt } : {})
+    };
+  }
+
+  /**
+   * 📝 Cambio de fase: re-enviar session.update si la fase anterior o la nueva declaran STT
+   */
+  setSttPhase(phase) {
+    if (phase === this.sttPhase) return;
+    const changed = Boolean(this.sttPhases?.[this.sttPhase] || this.sttPhases?.[phase]);
+    this.sttPhase = phase;
+    if (changed && this.isConnected) {
+      log("info", `📝 [OpenAI V3] STT de fase ${phase}: actualizando sesión`);
+      this.updateSession();
+    }
+  }
+
   /**
    * ⚙️ Actualizar configuración de sesión
    */
@@ -128,9 +163,7 @@ export class OpenAIRealtimeClientV3 {
         voice: this.voice,
         input_audio_format: "g711_ulaw",
         output_audio_format: "pcm16",
-        input_audio_transcription: {
-          model: "whisper-1"
-        },
+        input_audio_transcription: this.transcriptionConfig("whisper-1"),
         turn_detection: null,
         temperature: cfg.temperature,
         max_response_output_tokens: cfg.maxResponseTokens
@@ -141,6 +174,27 @@ export class OpenAIRealtimeClientV3 {
     log("info", `⚙️ [OpenAI V3] Sesión configurada: voice=${this.voice}`);
   }
 
+  /**
+   * 🌐 Idioma para la transcripción realtime (vacío = autodetección de Whisper)
+   */
+  transcriptionLanguageHint() {
+    return this.languageDetect ? {} : { language: this.language };
+  }
+
+  /**
+   * 🌐 Fijar el idioma de la llamada: STT, voz/instrucciones TTS
+   * @param {string} language - ISO-639-1
+   */
+  setLanguage(language) {
+    const changed = language !== this.language || this.languageDetect;
+    this.language = language;
+    this.languageDetect = false;
+    this.ttsProfile = ttsProfileForLanguage(this.baseTtsProfile, language);
+    if (!changed) return;
+    log("info", `🌐 [OpenAI V3] Idioma de la llamada: ${language}`);
+    if (this.isConnected) this.updateSession();
+  }
+
   /**
    * 📤 Enviar evento
    */
@@ -306,102 +360,24 @@ export class OpenAIRealtimeClientV3 {
   }
 
   /**
-   * 🗣️ Generar TTS explícito usando la API estándar (no realtime)
+   * 🗣️ Generar TTS explícito (no realtime)
    * Esto asegura que el texto dicho sea EXACTAMENTE el que queremos.
-   */
-  /**
-   * 🗣️ Generar TTS explícito usando la API estándar (no realtime)
-   * Esto asegura que el texto dicho sea EXACTAMENTE el que queremos.
-   * INCLUYE CACHÉ EN MEMORIA (STATIC) para reducir latencia en frases repetitivas.
+   * Proveedor/voz según el perfil TTS de la cápsula (tts-service.js), con failover
+   * entre proveedores y caché en disco (precalentada con `npm run tts:prewarm`).
    */
   async synthesizeSpeech(text) {
-    // 1. Revisar caché global
-    const cacheKey = `${text}_${this.voice}`;
-    if (OpenAIRealtimeClientV3.ttsCache.has(cacheKey)) {
-      log("info", `⚡ [TTS Cache] HIT GLOBAL para: "${text.substring(0, 30)}..."`);
-      return OpenAIRealtimeClientV3.ttsCache.get(cacheKey);
-    }
-
-    log("info", `🗣️ [TTS Explicit] Sintetizando: "${text}"`);
-    const mp3Path = `/tmp/tts_${Date.now()}_${Math.random().toString(36).substring(7)}.mp3`;
-    const pcmPath = `/tmp/tts_${Date.now()}_${Math.random().toString(36).substring(7)}.pcm`;
-    const jsonPath = `/tmp/tts_payload_${Date.now()}_${Math.random().toString(36).substring(7)}.json`;
-
-    try {
-      // 2. Preparar payload seguro (evitar shell injection)
-      // Validar voz. gpt-4o-mini-tts soporta 13 voces.
-      const validVoices = [
-        'alloy', 'ash', 'ballad', 'coral', 'echo', 'fable',
-        'nova', 'onyx', 'sage', 'shimmer', 'verse', 'marin', 'cedar'
-      ];
-      let ttsVoice = this.voice.toLowerCase();
-
-      if (!validVoices.includes(ttsVoice)) {
-        log("warn", `⚠️ [TTS Explicit] Voz '${ttsVoice}' no reconocida. Usando fallback 'shimmer'.`);
-        ttsVoice = 'shimmer';
-      }
-
-      const payload = JSON.stringify({
-        model: "gpt-4o-mini-tts",
-        input: text,
-        voice: ttsVoice,
-        instructions: "Speak seamlessly and naturally in Chilean Spanish."
-      });
-      fs.writeFileSync(jsonPath, payload);
-
-      // 3. Ejecutar CURL usando el archivo de payload
-      // -s: Silent mode
-      // -f: Fail silently on server errors (no output)
-      // -w: Write out HTTP code
-      const cmd = `curl https://api.openai.com/v1/audio/speech \
-          -H "Authorization: Bearer ${this.apiKey}" \
-          -H "Content-Type: application/json" \
-          -d @${jsonPath} \
-          --output "${mp3Path}" \
-          -w "%{http_code}" -s`;
-
-      const { stdout } = await execAsync(cmd);
-      const httpCode = parseInt(stdout.trim());
-
-      if (httpCode !== 200) {
-        throw new Error(`OpenAI TTS API returned HTTP ${httpCode}`);
-      }
-
-      // 4. Validar que el archivo MP3 tenga contenido
-      const stats = fs.statSync(mp3Path);
-      if (stats.size < 100) {
-        throw new Error("TTS MP3 file too small (possible error content)");
-      }
-
-      // 5. Convertir MP3 a PCM (s16le 24k)
-      const convertCmd = `ffmpeg -y -i "${mp3Path}" -f s16le -ac 1 -ar 24000 "${pcmPath}"`;
-      await execAsync(convertCmd);
-
-      const buffer = fs.readFileSync(pcmPath);
-
-      // 6. Guardar en caché GLOBAL
-      OpenAIRealtimeClientV3.ttsCache.set(cacheKey, buffer);
-
-      // Cleanup temp files
-      try {
-        if (fs.existsSync(jsonPath)) fs.unlinkSync(jsonPath);
-        if (fs.existsSync(mp3Path)) fs.unlinkSync(mp3Path);
-        if (fs.existsSync(pcmPath)) fs.unlinkSync(pcmPath);
-      } catch (e) { /* ignore cleanup errors */ }
-
-      return buffer;
-
-    } catch (err) {
-      log("error", `❌ [TTS Explicit] Error: ${err.message}`);
-      // Cleanup on error
-      try {
-        if (fs.existsSync(jsonPath)) fs.unlinkSync(jsonPath);
-        if (fs.existsSync(mp3Path)) fs.unlinkSync(mp3Path);
-        if (fs.existsSync(pcmPath)) fs.unlinkSync(pcmPath);
-      } catch (e) { }
+    const { buffer, provider, hit } = await getTtsService().synthesize(text, this.ttsProfile);
+    if (hit) log("info", `⚡ [TTS Cache] HIT (${provider}) para: "${text.substring(0, 30)}..."`);
+    return buffer;
+  }
 
-      return null;
-    }
+  /**
+   * 🌊 TTS en streaming con el perfil de la cápsula (chunks PCM 24k a medida que llegan)
+   * @param {string} text
+   * @param {object} [options] - { signal } para cortar la descarga en barge-in
+   */
+  async streamSpeech(text, options = {}) {
+    return getTtsService().openStream(text, this.ttsProfile, options);
   }
 
   /**
@@ -583,22 +559,16 @@ export class OpenAIRealtimeClientV3 {
   }
 
   /**
-   * 📝 Transcribir audio usando Whisper (v1/audio/transcriptions)
+   * 📝 Transcribir audio batch (stt-service.js: proveedor, prompt por fase, reintentos)
+   * @param {string} wavFilePath
+   * @param {object} [options] - { phase, language, prompt } (sttPhases de la cápsula se aplican por fase)
    */
-  async transcribeAudioWithWhisper(wavFilePath) {
+  async transcribeAudioWithWhisper(wavFilePath, options = {}) {
     if (!fs.existsSync(wavFilePath)) return "";
     try {
       log("info", `📝 [Whisper] Transcribiendo fallback para: ${wavFilePath}`);
-      const { stdout } = await execAsync(
-        `curl https://api.openai.com/v1/audio/transcriptions \
-          -H "Authorization: Bearer ${this.apiKey}" \
-          -H "Content-Type: multipart/form-data" \
-          -F file="@${wavFilePath}" \
-          -F model="whisper-1" \
-          -F language="es"`
-      );
-      const result = JSON.parse(stdout);
-      return result.text || "";
+      const { text } = await getSttService().transcribe(wavFilePath, { language: this.languageDetect ? 'auto' : this.language, sttPhases: this.sttPhases, ...options });
+      return text;
     } catch (err) {
       log("error", `❌ [Whisper] Error en transcripción fallback: ${err.message}`);
       return "";
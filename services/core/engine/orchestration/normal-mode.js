@@ -54,7 +54,7 @@ export class NormalModeOrchestrator {
             await playWithBargeIn(this.ari, channel, responseBaseName, openaiClient, { bargeIn: allowBargeIn });
 
             // 3.2.1 FAREWELL CHECK (Domain Signal)
-            if (this.terminationPolicy.shouldEnd(assistantResponse)) {
+            if (this.terminationPolicy.shouldEnd(assistantResponse, openaiClient.language)) {
                 log("info", `👋 [NORMAL MODE] Farewell detected in response: "${assistantResponse}"`);
                 // Allow a small delay for audio to finish if needed, though waitPlaybackFinished should handle it in playWithBargeIn
                 // But playWithBargeIn returns, meaning audio is done or barged-in.
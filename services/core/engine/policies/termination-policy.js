@@ -8,36 +8,44 @@
  */
 
 import { log } from '../../../../lib/logger.js';
+import { languagePack } from '../call-language.js';
 
 export class TerminationPolicy {
     constructor(config = {}) {
-        // Default goodbye phrases (can be overridden per-client)
-        this.goodbyePhrases = config.goodbyePhrases || [
-            'que tenga un excelente día',
-            'que tenga un buen día',
-            'hasta luego',
-            'adiós',
-            'me despido',
-            'un gusto haberle ayudado',
-            'nos vemos',
-            'finalizar llamada',
-            'que esté bien',
-            'cuídese'
-        ];
+        // Default goodbye phrases: language pack of the call (can be overridden per-client)
+        this.language = config.language || null;
+        this.customPhrases = Boolean(config.goodbyePhrases);
+        this.goodbyePhrases = config.goodbyePhrases || [...languagePack(this.language).goodbyePhrases];
 
         this.postAudioDelayMs = config.postAudioDelayMs || 2000; // Wait 2s after final audio
     }
 
+    /**
+     * Switch the goodbye phrases to the call language (custom phrases are kept)
+     *
+     * @param {string} language - ISO-639-1
+     */
+    setLanguage(language) {
+        if (!language || language === this.language) return;
+        const added = this.goodbyePhrases.filter(p => !languagePack(this.language).goodbyePhrases.includes(p));
+        this.language = language;
+        if (!this.customPhrases) {
+            this.goodbyePhrases = [...languagePack(language).goodbyePhrases, ...added];
+        }
+    }
+
     /**
      * Detect if assistant response contains goodbye phrase
      * 
      * @param {string} assistantResponse - Text from assistant
+     * @param {string} [language] - Call language (switches the phrase set)
      * @returns {boolean}
      */
-    shouldEnd(assistantResponse) {
+    shouldEnd(assistantResponse, language = null) {
         if (!assistantResponse) {
             return false;
         }
+        this.setLanguage(language);
 
         const lowerText = assistantResponse.toLowerCase();
         const detected = this.goodbyePhrases.some(phrase => lowerText.includes(phrase));
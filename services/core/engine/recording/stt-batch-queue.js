@@ -5,29 +5,22 @@
 import { log } from '../../../../lib/logger.js';
 import redis from '../../../../lib/redis.js';
 import { extractSegment, cleanupSegment } from './audio-extractor.js';
-import { createReadStream } from 'fs';
-import FormData from 'form-data';
-import fetch from 'node-fetch';
+import { getSttService } from '../stt/stt-service.js';
 
 // Nota: redis.on('message') requiere que redis sea un cliente pub/sub
 // Si redis no soporta pub/sub directamente, usar un patrón alternativo
 
-// Configuración
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_STT_MODEL = process.env.OPENAI_STT_MODEL || 'whisper-1';
-const STT_BATCH_URL = 'https://api.openai.com/v1/audio/transcriptions';
-
 // Estado del procesador
 let processorRunning = false;
 let processorInterval = null;
 
 /**
  * Procesar un segmento con STT batch
- * @param {Object} queueItem - Item de la cola con información del segmento
+ * @param {Object} queueItem - Item de la cola con información del segmento (sttPhases opcional: STT por fase de la cápsula)
  * @returns {Promise<{ok: boolean, transcript?: string, error?: string}>}
  */
 async function processSegment(queueItem) {
-    const { callId, linkedId, segment, recordingName, recordingPath } = queueItem;
+    const { callId, linkedId, segment, recordingName, recordingPath, sttPhases = null } = queueItem;
 
     log('info', `🎙️ [STT BATCH] Procesando segmento: ${segment.segId}`, {
         callId,
@@ -56,14 +49,14 @@ async function processSegment(queueItem) {
     const segmentPath = extractResult.path;
 
     try {
-        // 2. Enviar a OpenAI STT
-        const transcript = await _sendToOpenAI(segmentPath, segment.phase);
+        // 2. Transcribir (prompt/idioma/gramática según fase, reintentos y timeouts en stt-service)
+        const { text: transcript, grammar } = await getSttService().transcribe(segmentPath, { phase: segment.phase, sttPhases });
 
         // 3. Actualizar estado del segmento
-        await _updateSegmentStatus(callId, segment.segId, 'completed', { transcript });
+        await _updateSegmentStatus(callId, segment.segId, 'completed', { transcript, grammar });
 
         // 4. Publicar transcript al dominio
-        await _publishTranscript(callId, linkedId, segment, transcript);
+        await _publishTranscript(callId, linkedId, segment, transcript, grammar);
 
         log('info', `✅ [STT BATCH] Segmento procesado: ${segment.segId}`, {
             transcriptLength: transcript.length,
@@ -85,42 +78,6 @@ async function processSegment(queueItem) {
     }
 }
 
-/**
- * Enviar audio a OpenAI STT
- */
-async function _sendToOpenAI(audioPath, phase) {
-    if (!OPENAI_API_KEY) {
-        throw new Error('OPENAI_API_KEY no configurada');
-    }
-
-    const form = new FormData();
-    form.append('file', createReadStream(audioPath));
-    form.append('model', OPENAI_STT_MODEL);
-    form.append('language', 'es'); // Español para Quintero
-
-    // Prompt opcional según fase
-    if (phase === 'LISTEN_RUT') {
-        form.append('prompt', 'El usuario está diciendo un RUT chileno. Puede incluir números, guiones, puntos, y la palabra "mil". Ejemplo: "dieciséis mil doscientos cuarenta y siete cero sesenta y siete".');
-    }
-
-    const response = await fetch(STT_BATCH_URL, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${OPENAI_API_KEY}`,
-            ...form.getHeaders()
-        },
-        body: form
-    });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`OpenAI STT error: ${response.status} - ${errorText}`);
-    }
-
-    const result = await response.json();
-    return result.text || '';
-}
-
 /**
  * Actualizar estado del segmento en Redis
  */
@@ -143,7 +100,7 @@ async function _updateSegmentStatus(callId, segId, status, data = {}) {
  * Nota: El transcript se guarda en Redis para que el engine lo consuma
  * El engine puede consultar estos resultados cuando necesite procesar un segmento
  */
-async function _publishTranscript(callId, linkedId, segment, transcript) {
+async function _publishTranscript(callId, linkedId, segment, transcript, grammar = null) {
     const event = {
         type: 'STT_BATCH_RESULT',
         callId,
@@ -155,6 +112,7 @@ async function _publishTranscript(callId, linkedId, segment, transcript) {
             endMs: segment.endMs
         },
         transcript,
+        grammar,
         timestamp: new Date().toISOString()
     };
 
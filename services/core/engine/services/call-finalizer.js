@@ -81,7 +81,7 @@ export class CallFinalizer {
             // This ensures NO COLLISION and easy debugging.
             const domain = session.domain || 'default';
 
-            const finalDir = `/opt/telephony-core/recordings/${domain}/${safeDnis}/${yyyymmdd}`;
+            const finalDir = path.join(config.paths.finalRecordings, domain, safeDnis, yyyymmdd);
 
             log("info", `📂 [FINALIZE] Preparando almacenamiento en ${finalDir}`);
 
@@ -0,0 +1,163 @@
+/**
+ * SttGrammar - Per-phase STT declarations of a capsule
+ *
+ * Capsules declare what they expect to hear in each listening phase:
+ *
+ *   sttPhases: {
+ *     [phase]: {
+ *       prompt?: string,          // biasing prompt for the STT model
+ *       vocabulary?: string[],    // names / terms appended to the prompt
+ *       language?: string,        // ISO-639-1, wins over the call language
+ *       grammar?: { type: 'yesno', yes?: string[], no?: string[] }
+ *               | { type: 'choice', options: (string | { value, synonyms? })[] }
+ *               | { type: 'digits', minLength?, maxLength? }
+ *               | { type: 'regex', pattern: string, flags? }
+ *     }
+ *   }
+ *
+ * The STT service builds the prompt from prompt + vocabulary and reports
+ * { type, matched, value } for the declared grammar next to the transcript.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+export const GRAMMAR_TYPES = Object.freeze(['yesno', 'choice', 'digits', 'regex']);
+
+const DEFAULT_YES = ['sí', 'si', 'claro', 'correcto', 'exacto', 'afirmativo', 'así es', 'por supuesto', 'de acuerdo', 'ok', 'okay', 'dale', 'yes'];
+const DEFAULT_NO = ['no', 'negativo', 'incorrecto', 'para nada', 'tampoco', 'nunca'];
+
+/**
+ * Minúsculas, sin tildes ni puntuación, espacios simples
+ */
+export function normalizeSpeech(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * ¿La frase (normalizada) aparece completa en el texto ya normalizado?
+ */
+export function containsPhrase(normalized, phrase) {
+    const target = normalizeSpeech(phrase);
+    return target.length > 0 && ` ${normalized} `.includes(` ${target} `);
+}
+
+/**
+ * Prompt final de la fase: prompt declarado + vocabulario
+ *
+ * @param {object} [spec] - sttPhases[phase]
+ * @returns {string|null}
+ */
+export function buildPhasePrompt(spec) {
+    if (!spec) return null;
+    const parts = [];
+    if (spec.prompt) parts.push(spec.prompt.trim());
+    if (spec.vocabulary?.length) parts.push(`${spec.vocabulary.join(', ')}.`);
+    return parts.length ? parts.join(' ') : null;
+}
+
+/**
+ * ¿El transcript calza con la gramática esperada?
+ *
+ * @param {string} text - Transcript
+ * @param {object} grammar - sttPhases[phase].grammar
+ * @returns {{type: string, matched: boolean, value: any}}
+ */
+export function matchGrammar(text, grammar) {
+    const normalized = normalizeSpeech(text);
+    const miss = { type: grammar.type, matched: false, value: null };
+
+    switch (grammar.type) {
+        case 'yesno': {
+            const yes = (grammar.yes || DEFAULT_YES).some(w => containsPhrase(normalized, w));
+            const no = (grammar.no || DEFAULT_NO).some(w => containsPhrase(normalized, w));
+            // "sí... no" en la misma frase es ambiguo: que decida la cápsula
+            if (yes === no) return miss;
+            return { type: 'yesno', matched: true, value: yes };
+        }
+        case 'choice': {
+            const hits = new Set();
+            for (const option of grammar.options) {
+                const value = typeof option === 'string' ? option : option.value;
+                const phrases = [value, ...(typeof option === 'string' ? [] : option.synonyms || [])];
+                if (phrases.some(p => containsPhrase(normalized, p))) hits.add(value);
+            }
+            return hits.size === 1 ? { type: 'choice', matched: true, value: [...hits][0] } : miss;
+        }
+        case 'digits': {
+            const digits = String(text || '').replace(/\D/g, '');
+            const { minLength = 1, maxLength = Infinity } = grammar;
+            return digits.length >= minLength && digits.length <= maxLength
+                ? { type: 'digits', matched: true, value: digits }
+                : miss;
+        }
+        case 'regex': {
+            const match = new RegExp(grammar.pattern, grammar.flags ?? 'i').exec(String(text || ''));
+            return match ? { type: 'regex', matched: true, value: match[1] ?? match[0] } : miss;
+        }
+        default:
+            return miss;
+    }
+}
+
+/**
+ * Errores de la declaración sttPhases (vacío = válida)
+ *
+ * @param {object} sttPhases
+ * @returns {string[]} - Mensajes sin prefijo de cápsula
+ */
+export function validateSttPhases(sttPhases) {
+    if (!sttPhases || typeof sttPhases !== 'object' || Array.isArray(sttPhases)) {
+        return [`sttPhases inválido (type: ${typeof sttPhases})`];
+    }
+    const errors = [];
+    const isStringList = (v) => Array.isArray(v) && v.every(s => typeof s === 'string' && s.trim());
+
+    for (const [phase, spec] of Object.entries(sttPhases)) {
+        const at = `sttPhases.${phase}`;
+        if (!spec || typeof spec !== 'object') {
+            errors.push(`${at} debe ser un objeto`);
+            continue;
+        }
+        if (spec.prompt !== undefined && typeof spec.prompt !== 'string') errors.push(`${at}.prompt debe ser string`);
+        if (spec.vocabulary !== undefined && !isStringList(spec.vocabulary)) errors.push(`${at}.vocabulary debe ser string[]`);
+        if (spec.language !== undefined && !/^[a-z]{2}$/.test(spec.language)) errors.push(`${at}.language debe ser ISO-639-1 (value: ${spec.language})`);
+
+        const grammar = spec.grammar;
+        if (grammar === undefined) continue;
+        if (!grammar || !GRAMMAR_TYPES.includes(grammar.type)) {
+            errors.push(`${at}.grammar.type desconocido (value: ${grammar?.type}; válidos: ${GRAMMAR_TYPES.join(', ')})`);
+            continue;
+        }
+        if (grammar.type === 'yesno' && ((grammar.yes !== undefined && !isStringList(grammar.yes)) || (grammar.no !== undefined && !isStringList(grammar.no)))) {
+            errors.push(`${at}.grammar yes/no deben ser string[]`);
+        }
+        if (grammar.type === 'choice') {
+            const validOption = (o) => (typeof o === 'string' && o.trim())
+                || (o && typeof o.value === 'string' && (o.synonyms === undefined || isStringList(o.synonyms)));
+            if (!Array.isArray(grammar.options) || grammar.options.length === 0 || !grammar.options.every(validOption)) {
+                errors.push(`${at}.grammar.options debe listar strings o { value, synonyms? }`);
+            }
+        }
+        if (grammar.type === 'digits') {
+            const { minLength = 1, maxLength = Infinity } = grammar;
+            if (!(Number.isInteger(minLength) && minLength >= 1) || !(maxLength === Infinity || (Number.isInteger(maxLength) && maxLength >= minLength))) {
+                errors.push(`${at}.grammar minLength/maxLength inválidos`);
+            }
+        }
+        if (grammar.type === 'regex') {
+            try {
+                new RegExp(grammar.pattern, grammar.flags ?? 'i');
+                if (typeof grammar.pattern !== 'string') throw new Error('pattern debe ser string');
+            } catch (err) {
+                errors.push(`${at}.grammar.pattern inválido: ${err.message}`);
+            }
+        }
+    }
+    return errors;
+}
@@ -0,0 +1,169 @@
+/**
+ * SttProviders - Speech-to-text backends behind one interface
+ *
+ *   {
+ *     name: 'openai' | 'local' | 'fake',
+ *     model: string,
+ *     transcribe(filePath, { language, prompt, model, timeoutMs, phase }) → Promise<{ text }>   // throws on failure
+ *   }
+ *
+ * Backends:
+ * - openai  /v1/audio/transcriptions (whisper-1, gpt-4o-transcribe...)
+ * - local   whisper.cpp-style CLI. args placeholders: {model} {language} {prompt} {input} {output}
+ *           the CLI writes <output>.txt (whisper.cpp -otxt -of)
+ * - fake    deterministic fixtures for tests / simulator (no audio is read)
+ *
+ * Errors carry err.code (STT_PROVIDER_*) and, for HTTP, err.status.
+ * Audio over the API duration limit → STT_AUDIO_TOO_LONG (callers may trim and retry).
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { inboundConfig as config } from '../config.js';
+
+function providerError(code, message, extra = {}) {
+    const err = new Error(`${code}: ${message}`);
+    err.code = code;
+    Object.assign(err, extra);
+    return err;
+}
+
+/**
+ * OpenAI transcriptions API
+ */
+export function createOpenAiSttProvider(cfg = config.stt.openai) {
+    return {
+        name: 'openai',
+        model: cfg.model,
+
+        async transcribe(filePath, { language, prompt, model, timeoutMs } = {}) {
+            const apiKey = process.env.OPENAI_API_KEY;
+            if (!apiKey) throw providerError('STT_PROVIDER_CONFIG', 'OPENAI_API_KEY no configurada');
+
+            const form = new FormData();
+            form.append('file', new Blob([await fs.readFile(filePath)]), path.basename(filePath));
+            form.append('model', model || cfg.model);
+            if (language) form.append('language', language);
+            if (prompt) form.append('prompt', prompt);
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${apiKey}` },
+                    body: form,
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    const body = await response.text().catch(() => '');
+                    if (response.status === 400 && /longer than \d+ seconds/i.test(body)) {
+                        throw providerError('STT_AUDIO_TOO_LONG', `openai: audio excede la duración máxima - ${body.substring(0, 300)}`, { status: response.status });
+                    }
+                    throw providerError('STT_PROVIDER_HTTP', `openai HTTP ${response.status} - ${body.substring(0, 300)}`, { status: response.status });
+                }
+                const result = await response.json();
+                return { text: result.text || '' };
+            } catch (err) {
+                if (err.name === 'AbortError') throw providerError('STT_PROVIDER_TIMEOUT', `openai sin respuesta en ${timeoutMs}ms`);
+                throw err;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+/**
+ * Offline whisper.cpp-style CLI
+ */
+export function createLocalSttProvider(cfg = config.stt.local) {
+    return {
+        name: 'local',
+        model: cfg.model,
+
+        async transcribe(filePath, { language, prompt, model, timeoutMs } = {}) {
+            const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'stt-local-'));
+            const outBase = path.join(dir, 'out');
+            const values = {
+                '{model}': model || cfg.model,
+                '{language}': language || 'auto',
+                '{prompt}': prompt || '',
+                '{input}': filePath,
+                '{output}': outBase
+            };
+            const args = [];
+            for (const arg of cfg.args) {
+                if (arg.includes('{prompt}') && !prompt) {
+                    args.pop(); // sin prompt: quitar también el flag que lo precede (--prompt)
+                    continue;
+                }
+                args.push(arg.replace(/\{(model|language|prompt|input|output)\}/g, key => values[key]));
+            }
+
+            try {
+                await new Promise((resolve, reject) => {
+                    const child = spawn(cfg.command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+                    let stderr = '';
+                    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+                    child.stderr.on('data', (chunk) => { stderr += chunk; });
+                    child.on('error', (err) => {
+                        clearTimeout(timer);
+                        reject(providerError('STT_PROVIDER_EXEC', `${cfg.command}: ${err.message}`));
+                    });
+                    child.on('close', (code, signal) => {
+                        clearTimeout(timer);
+                        if (code === 0) return resolve();
+                        reject(providerError(signal === 'SIGKILL' ? 'STT_PROVIDER_TIMEOUT' : 'STT_PROVIDER_EXEC', `${cfg.command} terminó con ${signal || code}: ${stderr.trim().slice(-200)}`));
+                    });
+                });
+                const text = await fs.readFile(`${outBase}.txt`, 'utf8');
+                return { text: text.replace(/\s+/g, ' ').trim() };
+            } finally {
+                await fs.rm(dir, { recursive: true, force: true }).catch(() => { });
+            }
+        }
+    };
+}
+
+/**
+ * Deterministic fixtures: { byFile: { 'seg-1.wav': 'sí' }, byPhase: { LISTEN_RUT: ['...', '...'] }, default: '' }
+ * byPhase arrays are consumed in order (the last one repeats).
+ */
+export function createFakeSttProvider(fixtures = {}) {
+    const cursors = new Map();
+    return {
+        name: 'fake',
+        model: 'fixtures',
+        calls: [],
+
+        async transcribe(filePath, options = {}) {
+            this.calls.push({ filePath, ...options });
+            const byFile = fixtures.byFile?.[path.basename(filePath)];
+            if (byFile instanceof Error) throw byFile;
+            if (byFile !== undefined) return { text: byFile };
+
+            const byPhase = fixtures.byPhase?.[options.phase];
+            if (byPhase !== undefined) {
+                const list = Array.isArray(byPhase) ? byPhase : [byPhase];
+                const i = cursors.get(options.phase) || 0;
+                cursors.set(options.phase, i + 1);
+                const text = list[Math.min(i, list.length - 1)];
+                if (text instanceof Error) throw text;
+                return { text };
+            }
+            return { text: fixtures.default ?? '' };
+        }
+    };
+}
+
+export const STT_PROVIDER_FACTORIES = Object.freeze({
+    openai: createOpenAiSttProvider,
+    local: createLocalSttProvider,
+    fake: (cfg = config.stt.fake) => createFakeSttProvider(cfg.fixturesPath ? JSON.parse(readFileSync(cfg.fixturesPath, 'utf8')) : {})
+});
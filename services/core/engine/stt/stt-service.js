@@ -0,0 +1,135 @@
+/**
+ * SttService - One entry point for every batch transcription
+ *
+ * Purpose: The segmented worker, the batch queue, the Whisper fallback of the
+ * realtime client and the post-call transcription all go through here, so
+ * prompts, language, timeouts and retries are applied the same way.
+ *
+ * - Phase-aware prompt: options.prompt, else the capsule's sttPhases[phase]
+ *   (prompt + vocabulary, stt-grammar.js), else PHASE_PROMPTS[phase]
+ * - Language: sttPhases[phase].language, else options.language (call language,
+ *   'auto' while it is being detected), else config
+ * - Grammar: sttPhases[phase].grammar is matched against the transcript
+ * - Retries: timeouts, 429 and 5xx are retried with linear backoff;
+ *   any other error moves on to the next provider of the chain
+ * - Chain: config.stt.providers (STT_PROVIDERS=openai,local)
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { log } from '../../../../lib/logger.js';
+import { inboundConfig as config } from '../config.js';
+import { STT_PROVIDER_FACTORIES } from './stt-providers.js';
+import { buildPhasePrompt, matchGrammar } from './stt-grammar.js';
+
+/**
+ * Prompts por defecto según la fase que está escuchando
+ */
+export const PHASE_PROMPTS = Object.freeze({
+    LISTEN_RUT: "El usuario está diciendo un RUT chileno. Puede incluir números, guiones, puntos, y la palabra 'mil'. Ejemplo: 'dieciséis mil doscientos cuarenta y siete cero sesenta y siete'."
+});
+
+function sttError(code, message, cause = null) {
+    const err = new Error(`${code}: ${message}`);
+    err.code = code;
+    err.cause = cause; // último error del proveedor (status, code)
+    return err;
+}
+
+export function isRetryableSttError(err) {
+    if (err?.code === 'STT_PROVIDER_TIMEOUT') return true;
+    if (err?.code === 'STT_PROVIDER_HTTP') return err.status === 429 || err.status >= 500;
+    return err?.name === 'TypeError'; // fetch: error de red
+}
+
+export class SttService {
+    /**
+     * @param {object} options
+     * @param {object} options.providers - { [name]: provider }
+     * @param {string[]} options.order - Chain (first = preferred)
+     * @param {string} options.language - Default language hint
+     * @param {number} options.timeoutMs - Per attempt
+     * @param {number} options.retries - Extra attempts per provider on retryable errors
+     * @param {number} options.retryDelayMs - Backoff step
+     */
+    constructor({ providers, order, language = 'es', timeoutMs = 30000, retries = 2, retryDelayMs = 500 }) {
+        this.providers = providers;
+        this.order = order.filter(name => providers[name]);
+        this.language = language;
+        this.timeoutMs = timeoutMs;
+        this.retries = retries;
+        this.retryDelayMs = retryDelayMs;
+    }
+
+    /**
+     * @param {string} filePath - Audio file (wav)
+     * @param {object} [options]
+     * @param {string} [options.phase] - Phase that was listening (prompt selection)
+     * @param {object} [options.sttPhases] - Capsule declarations { [phase]: { prompt, vocabulary, language, grammar } }
+     * @param {string} [options.language] - Call language (a phase language declared by the capsule wins; 'auto' = let the provider detect)
+     * @param {string} [options.prompt] - Overrides the phase prompt
+     * @param {string} [options.model] - Overrides the provider model
+     * @param {number} [options.timeoutMs]
+     * @param {number} [options.retries] - Overrides the extra attempts (0 = one attempt per provider)
+     * @returns {Promise<{text: string, provider: string, attempts: number, durationMs: number, grammar: {type: string, matched: boolean, value: any}|null}>}
+     * @throws {Error} STT_FAILED when every provider failed (err.cause.code: STT_PROVIDER_* / STT_AUDIO_TOO_LONG)
+     */
+    async transcribe(filePath, { phase = null, sttPhases = null, language, prompt, model, timeoutMs = this.timeoutMs, retries = this.retries } = {}) {
+        const spec = (phase && sttPhases?.[phase]) || null;
+        const callLanguage = spec?.language ?? language ?? this.language;
+        const request = {
+            phase,
+            language: callLanguage === 'auto' ? null : callLanguage, // 🌐 idioma aún sin detectar
+            prompt: prompt ?? buildPhasePrompt(spec) ?? PHASE_PROMPTS[phase] ?? null,
+            model,
+            timeoutMs
+        };
+        const started = Date.now();
+        let attempts = 0;
+        let lastError = null;
+
+        for (const name of this.order) {
+            for (let attempt = 0; attempt <= retries; attempt++) {
+                attempts++;
+                try {
+                    const { text } = await this.providers[name].transcribe(filePath, request);
+                    const durationMs = Date.now() - started;
+                    const transcript = String(text || '').trim();
+                    const grammar = spec?.grammar ? matchGrammar(transcript, spec.grammar) : null;
+                    log('debug', `📝 [STT] ${name} phase=${phase || '-'} ${durationMs}ms (intentos=${attempts}${grammar ? `, gramática ${grammar.type}=${grammar.matched ? grammar.value : 'sin match'}` : ''}): "${transcript.slice(0, 80)}"`);
+                    return { text: transcript, provider: name, attempts, durationMs, grammar };
+                } catch (err) {
+                    lastError = err;
+                    const retry = attempt < retries && isRetryableSttError(err);
+                    log('warn', `⚠️ [STT] ${name} falló (intento ${attempt + 1}${retry ? ', reintentando' : ''}): ${err.message}`);
+                    if (!retry) break;
+                    await new Promise(r => setTimeout(r, this.retryDelayMs * (attempt + 1)));
+                }
+            }
+        }
+
+        throw sttError('STT_FAILED', `sin transcripción tras ${attempts} intentos (${lastError?.message || 'sin proveedores'})`, lastError);
+    }
+}
+
+let sharedService = null;
+
+/**
+ * Process-wide service built from config.stt
+ */
+export function getSttService() {
+    if (!sharedService) {
+        const cfg = config.stt;
+        const providers = {};
+        for (const name of cfg.providers) {
+            const factory = STT_PROVIDER_FACTORIES[name];
+            if (!factory) {
+                log('warn', `⚠️ [STT] Proveedor desconocido '${name}' en STT_PROVIDERS - ignorado`);
+                continue;
+            }
+            providers[name] = factory();
+        }
+        sharedService = new SttService({ ...cfg, providers, order: cfg.providers });
+    }
+    return sharedService;
+}
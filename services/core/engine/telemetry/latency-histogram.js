@@ -0,0 +1,69 @@
+/**
+ * LatencyHistogram - Fixed-bucket latency histogram (Prometheus-style cumulative buckets)
+ *
+ * Cheap enough to observe on every outbound call; quantiles are estimated as the
+ * upper bound of the bucket that reaches them (the max for the overflow bucket).
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+export const DEFAULT_LATENCY_BUCKETS_MS = Object.freeze([25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]);
+
+export class LatencyHistogram {
+    /**
+     * @param {number[]} [buckets] - Upper bounds in ms, ascending
+     */
+    constructor(buckets = DEFAULT_LATENCY_BUCKETS_MS) {
+        this.buckets = [...buckets];
+        this.counts = new Array(this.buckets.length + 1).fill(0); // último = +Inf
+        this.count = 0;
+        this.sum = 0;
+        this.min = null;
+        this.max = null;
+    }
+
+    observe(ms) {
+        const value = Math.max(0, Number(ms) || 0);
+        const i = this.buckets.findIndex(le => value <= le);
+        this.counts[i === -1 ? this.buckets.length : i]++;
+        this.count++;
+        this.sum += value;
+        this.min = this.min === null ? value : Math.min(this.min, value);
+        this.max = this.max === null ? value : Math.max(this.max, value);
+    }
+
+    /**
+     * @param {number} q - 0..1
+     * @returns {number|null}
+     */
+    quantile(q) {
+        if (this.count === 0) return null;
+        const target = Math.ceil(q * this.count);
+        let cumulative = 0;
+        for (let i = 0; i < this.counts.length; i++) {
+            cumulative += this.counts[i];
+            if (cumulative >= target) return i < this.buckets.length ? Math.min(this.buckets[i], this.max) : this.max;
+        }
+        return this.max;
+    }
+
+    snapshot() {
+        let cumulative = 0;
+        const buckets = {};
+        this.buckets.forEach((le, i) => {
+            cumulative += this.counts[i];
+            buckets[le] = cumulative;
+        });
+        buckets['+Inf'] = this.count;
+        return {
+            count: this.count,
+            sum: this.sum,
+            min: this.min,
+            max: this.max,
+            p50: this.quantile(0.5),
+            p95: this.quantile(0.95),
+            p99: this.quantile(0.99),
+            buckets
+        };
+    }
+}
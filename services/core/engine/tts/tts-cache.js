@@ -0,0 +1,222 @@
+/**
+ * TtsCache - Content-addressed TTS audio cache persisted to disk
+ *
+ * Purpose: Keep synthesized PCM (s16le 24k mono) across restarts so static
+ * prompts never pay TTS latency twice. Entries are addressed by
+ * sha256(text, voice, model, instructions): changing any of them produces a
+ * new entry and the old one ages out.
+ *
+ * Layout: <dir>/<2 hex>/<sha256>.pcm  (written to a temp file, then renamed)
+ *
+ * Limits (LRU):
+ * - disk: maxBytes / maxEntries, recency = file mtime (touched on every hit)
+ * - memory: last memoryEntries buffers kept hot to skip the disk read
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { log } from '../../../../lib/logger.js';
+import { inboundConfig as config } from '../config.js';
+
+const ENTRY_EXT = '.pcm';
+
+/**
+ * Cache key for a synthesized prompt
+ *
+ * @param {object} input
+ * @param {string} input.text
+ * @param {string} input.voice
+ * @param {string} input.model
+ * @param {string} [input.instructions]
+ * @returns {string} sha256 hex
+ */
+export function ttsCacheKey({ text, voice, model, instructions = '' }) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([String(text).trim(), voice || '', model || '', instructions || '']))
+        .digest('hex');
+}
+
+export class TtsCache {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Cache directory
+     * @param {number} options.maxBytes - Disk budget
+     * @param {number} options.maxEntries - Max files on disk
+     * @param {number} options.memoryEntries - Hot buffers kept in memory (0 = none)
+     */
+    constructor({ dir, maxBytes = 512 * 1024 * 1024, maxEntries = 20000, memoryEntries = 200 } = {}) {
+        if (!dir) throw new Error('TTS_CACHE_DIR_REQUIRED: TtsCache necesita un directorio');
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.maxEntries = maxEntries;
+        this.memoryEntries = memoryEntries;
+
+        this.index = new Map();     // key -> size (orden de inserción = recencia, el primero es el más viejo)
+        this.totalBytes = 0;
+        this.memory = new Map();    // key -> Buffer (LRU)
+        this.inflight = new Map();  // key -> Promise<Buffer|null> (dedupe de síntesis concurrentes)
+        this.ready = null;
+    }
+
+    pathFor(key) {
+        return path.join(this.dir, key.slice(0, 2), `${key}${ENTRY_EXT}`);
+    }
+
+    /**
+     * Scan the directory once and rebuild the LRU index from file mtimes
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = this.scan().catch((err) => {
+                log('warn', `⚠️ [TTS CACHE] No se pudo indexar ${this.dir}: ${err.message}`);
+            });
+        }
+        return this.ready;
+    }
+
+    async scan() {
+        await fs.mkdir(this.dir, { recursive: true });
+        const found = [];
+        for (const shard of await fs.readdir(this.dir)) {
+            const shardDir = path.join(this.dir, shard);
+            let files = [];
+            try {
+                files = await fs.readdir(shardDir);
+            } catch {
+                continue; // no es un directorio
+            }
+            for (const file of files) {
+                if (!file.endsWith(ENTRY_EXT)) continue;
+                const stat = await fs.stat(path.join(shardDir, file)).catch(() => null);
+                if (stat) found.push({ key: file.slice(0, -ENTRY_EXT.length), size: stat.size, mtimeMs: stat.mtimeMs });
+            }
+        }
+
+        found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const entry of found) this.track(entry.key, entry.size);
+        log('info', `💾 [TTS CACHE] ${this.index.size} audios indexados (${Math.round(this.totalBytes / 1024)} KB) en ${this.dir}`);
+        await this.evict();
+    }
+
+    track(key, size) {
+        if (this.index.has(key)) this.totalBytes -= this.index.get(key);
+        this.index.delete(key);
+        this.index.set(key, size);
+        this.totalBytes += size;
+    }
+
+    remember(key, buffer) {
+        if (this.memoryEntries <= 0) return;
+        this.memory.delete(key);
+        this.memory.set(key, buffer);
+        while (this.memory.size > this.memoryEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    /**
+     * @returns {Promise<Buffer|null>} - Cached PCM or null on miss
+     */
+    async get(key) {
+        await this.init();
+
+        if (this.memory.has(key)) {
+            const buffer = this.memory.get(key);
+            this.remember(key, buffer);
+            if (this.index.has(key)) this.track(key, this.index.get(key));
+            return buffer;
+        }
+
+        if (!this.index.has(key)) return null;
+
+        const file = this.pathFor(key);
+        try {
+            const buffer = await fs.readFile(file);
+            this.track(key, buffer.length);
+            this.remember(key, buffer);
+            const now = new Date();
+            fs.utimes(file, now, now).catch(() => { }); // recencia persistente para el próximo arranque
+            return buffer;
+        } catch {
+            // Borrado por fuera (cleanup manual): olvidar la entrada
+            this.totalBytes -= this.index.get(key);
+            this.index.delete(key);
+            return null;
+        }
+    }
+
+    async set(key, buffer) {
+        if (!buffer?.length) return;
+        await this.init();
+        this.remember(key, buffer);
+
+        const file = this.pathFor(key);
+        const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(tmp, buffer);
+            await fs.rename(tmp, file);
+            this.track(key, buffer.length);
+            await this.evict();
+        } catch (err) {
+            log('warn', `⚠️ [TTS CACHE] No se pudo persistir ${key.slice(0, 12)}: ${err.message}`);
+            await fs.unlink(tmp).catch(() => { });
+        }
+    }
+
+    /**
+     * Cached audio or produce() it once (concurrent callers share the same synthesis)
+     *
+     * @param {string} key
+     * @param {Function} produce - async () => Buffer|null
+     * @returns {Promise<{buffer: Buffer|null, hit: boolean}>}
+     */
+    async getOrCreate(key, produce) {
+        const cached = await this.get(key);
+        if (cached) return { buffer: cached, hit: true };
+
+        if (!this.inflight.has(key)) {
+            const pending = (async () => {
+                const buffer = await produce();
+                if (buffer?.length) await this.set(key, buffer);
+                return buffer || null;
+            })().finally(() => this.inflight.delete(key));
+            this.inflight.set(key, pending);
+        }
+        return { buffer: await this.inflight.get(key), hit: false };
+    }
+
+    /**
+     * Drop least recently used files until under maxBytes / maxEntries
+     */
+    async evict() {
+        while (this.index.size && (this.totalBytes > this.maxBytes || this.index.size > this.maxEntries)) {
+            const [oldest, size] = this.index.entries().next().value;
+            this.index.delete(oldest);
+            this.memory.delete(oldest);
+            this.totalBytes -= size;
+            await fs.unlink(this.pathFor(oldest)).catch(() => { });
+            log('debug', `🧹 [TTS CACHE] Evict ${oldest.slice(0, 12)} (${size} bytes)`);
+        }
+    }
+
+    stats() {
+        return { entries: this.index.size, bytes: this.totalBytes, memoryEntries: this.memory.size };
+    }
+}
+
+let sharedCache = null;
+
+/**
+ * Process-wide cache built from config.tts.cache (null when disabled)
+ */
+export function getTtsCache() {
+    const cfg = config.tts?.cache;
+    if (!cfg?.enabled) return null;
+    if (!sharedCache) sharedCache = new TtsCache(cfg);
+    return sharedCache;
+}
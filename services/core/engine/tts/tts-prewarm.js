@@ -0,0 +1,86 @@
+/**
+ * TtsPrewarm - Synthesize every static prompt of the capsule message catalogs
+ *
+ * Purpose: Fill the disk TTS cache after a deploy so the first call does not
+ * pay TTS latency. Catalogs are declared by each capsule manifest
+ * (ttsCatalogs: ['./bot/tts/messages.js']).
+ *
+ * A prompt is static when the catalog exports it as a string or as a
+ * zero-argument function returning a string. Prompts with parameters
+ * (confirmRut(maskedReading)...) and pre-recorded 'sound:' references are skipped.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { pathToFileURL } from 'url';
+import { log } from '../../../../lib/logger.js';
+
+/**
+ * Static prompts exported by a catalog module (deduplicated, in export order)
+ *
+ * @param {object} catalog - Imported module namespace (or plain object)
+ * @returns {string[]}
+ */
+export function collectStaticPrompts(catalog) {
+    const prompts = new Set();
+
+    const visit = (value, depth) => {
+        let text = null;
+        if (typeof value === 'string') {
+            text = value;
+        } else if (typeof value === 'function' && value.length === 0) {
+            try {
+                text = value();
+            } catch {
+                return;
+            }
+        } else if (value && typeof value === 'object' && depth === 0) {
+            // export const tts = { ... } / export default { ... }
+            for (const nested of Object.values(value)) visit(nested, depth + 1);
+            return;
+        }
+        if (typeof text === 'string' && text.trim() && !text.startsWith('sound:')) {
+            prompts.add(text.trim());
+        }
+    };
+
+    for (const value of Object.values(catalog || {})) visit(value, 0);
+    return [...prompts];
+}
+
+/**
+ * Walk the registered capsules and synthesize their static prompts
+ *
+ * @param {object} options
+ * @param {object[]} options.capsules - Capsule registry entries (ttsCatalogs = absolute paths)
+ * @param {Function} options.synthesize - async (text, capsule) => Buffer|null (goes through the cache)
+ * @param {string[]} [options.only] - Restrict to these capsule ids
+ * @returns {Promise<{prompts: number, synthesized: number, failed: number}>}
+ */
+export async function prewarmCapsuleCatalogs({ capsules, synthesize, only = null }) {
+    const summary = { prompts: 0, synthesized: 0, failed: 0 };
+
+    for (const capsule of capsules) {
+        if (only?.length && !only.includes(capsule.id)) continue;
+
+        for (const catalogPath of capsule.ttsCatalogs || []) {
+            const catalog = await import(pathToFileURL(catalogPath).href);
+            const prompts = collectStaticPrompts(catalog);
+            log('info', `🔥 [TTS PREWARM] ${capsule.id}: ${prompts.length} prompts en ${catalogPath}`);
+
+            // Secuencial: no saturar la API de TTS ni la CPU con ffmpeg
+            for (const text of prompts) {
+                summary.prompts++;
+                const buffer = await synthesize(text, capsule);
+                if (buffer?.length) {
+                    summary.synthesized++;
+                } else {
+                    summary.failed++;
+                    log('warn', `⚠️ [TTS PREWARM] ${capsule.id}: sin audio para "${text.substring(0, 40)}..."`);
+                }
+            }
+        }
+    }
+
+    return summary;
+}
@@ -0,0 +1,228 @@
+/**
+ * TtsProviders - Text-to-speech backends behind one interface
+ *
+ * Every provider returns the same audio the engine already plays:
+ * raw PCM s16le, 24 kHz, mono.
+ *
+ *   {
+ *     name: 'openai' | 'elevenlabs' | 'local',
+ *     model: string,                       // part of the cache key
+ *     defaultVoice: string,
+ *     synthesize(text, { voice, instructions }) → Promise<Buffer>   // throws on failure
+ *     stream?(text, { voice, instructions, signal }) → AsyncIterable<Buffer>   // chunks as they arrive (HTTP backends)
+ *   }
+ *
+ * instructions (call language, accent) is only used by openai.
+ *
+ * Backends:
+ * - openai     /v1/audio/speech (response_format=pcm), chunked body for stream()
+ * - elevenlabs /v1/text-to-speech/:voiceId[/stream] (output_format=pcm_24000)
+ * - local      offline CLI (espeak-ng, piper...) reading text from stdin and
+ *              writing a WAV file, converted with ffmpeg (no stream())
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { inboundConfig as config } from '../config.js';
+
+export const TTS_SAMPLE_RATE = 24000;
+
+// gpt-4o-mini-tts soporta 13 voces
+export const OPENAI_TTS_VOICES = Object.freeze([
+    'alloy', 'ash', 'ballad', 'coral', 'echo', 'fable',
+    'nova', 'onyx', 'sage', 'shimmer', 'verse', 'marin', 'cedar'
+]);
+
+function providerError(code, message) {
+    const err = new Error(`${code}: ${message}`);
+    err.code = code;
+    return err;
+}
+
+async function fetchAudio(url, init, { provider, timeoutMs }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw providerError('TTS_PROVIDER_HTTP', `${provider} HTTP ${response.status} ${body.substring(0, 200)}`);
+        }
+        const buffer = Buffer.from(await response.arrayBuffer());
+        if (buffer.length < 100) {
+            throw providerError('TTS_PROVIDER_EMPTY', `${provider} devolvió ${buffer.length} bytes`);
+        }
+        return buffer;
+    } catch (err) {
+        if (err.name === 'AbortError') throw providerError('TTS_PROVIDER_TIMEOUT', `${provider} sin respuesta en ${timeoutMs}ms`);
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Chunks PCM del body a medida que llegan. timeoutMs cubre hasta los headers;
+ * signal (barge-in) corta la descarga en cualquier momento.
+ */
+async function* fetchAudioStream(url, init, { provider, timeoutMs, signal }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        clearTimeout(timer);
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw providerError('TTS_PROVIDER_HTTP', `${provider} HTTP ${response.status} ${body.substring(0, 200)}`);
+        }
+        for await (const chunk of response.body) {
+            yield Buffer.from(chunk);
+        }
+    } catch (err) {
+        if (err.name === 'AbortError' && !signal?.aborted) throw providerError('TTS_PROVIDER_TIMEOUT', `${provider} sin respuesta en ${timeoutMs}ms`);
+        throw err;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+function run(command, args, { input = null, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+        let stderr = '';
+        const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+        child.stderr.on('data', (chunk) => { stderr += chunk; });
+        child.on('error', (err) => {
+            clearTimeout(timer);
+            reject(providerError('TTS_PROVIDER_EXEC', `${command}: ${err.message}`));
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) return resolve();
+            reject(providerError('TTS_PROVIDER_EXEC', `${command} terminó con ${signal || code}: ${stderr.trim().substring(0, 200)}`));
+        });
+        child.stdin.end(input ?? undefined);
+    });
+}
+
+/**
+ * OpenAI TTS (gpt-4o-mini-tts)
+ */
+export function createOpenAiTtsProvider(cfg = config.tts.openai) {
+    return {
+        name: 'openai',
+        model: cfg.model,
+        defaultVoice: config.openai.voice,
+
+        resolveVoice(voice) {
+            const ttsVoice = String(voice || this.defaultVoice).toLowerCase();
+            return OPENAI_TTS_VOICES.includes(ttsVoice) ? ttsVoice : 'shimmer';
+        },
+
+        request(text, voice, instructions) {
+            const apiKey = process.env.OPENAI_API_KEY;
+            if (!apiKey) throw providerError('TTS_PROVIDER_CONFIG', 'OPENAI_API_KEY no configurada');
+            return {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    model: cfg.model,
+                    input: text,
+                    voice: this.resolveVoice(voice),
+                    instructions: instructions || cfg.instructions,
+                    response_format: 'pcm'
+                })
+            };
+        },
+
+        async synthesize(text, { voice, instructions } = {}) {
+            return fetchAudio('https://api.openai.com/v1/audio/speech', this.request(text, voice, instructions), { provider: 'openai', timeoutMs: cfg.timeoutMs });
+        },
+
+        stream(text, { voice, instructions, signal } = {}) {
+            return fetchAudioStream('https://api.openai.com/v1/audio/speech', this.request(text, voice, instructions), { provider: 'openai', timeoutMs: cfg.timeoutMs, signal });
+        }
+    };
+}
+
+/**
+ * ElevenLabs TTS
+ */
+export function createElevenLabsTtsProvider(cfg = config.tts.elevenlabs) {
+    return {
+        name: 'elevenlabs',
+        model: cfg.model,
+        defaultVoice: cfg.voiceId,
+
+        request(text, voice, endpoint = '') {
+            const apiKey = process.env.ELEVENLABS_API_KEY;
+            const voiceId = voice || this.defaultVoice || process.env.ELEVENLABS_VOICE_ID;
+            if (!apiKey || !voiceId) throw providerError('TTS_PROVIDER_CONFIG', 'ELEVENLABS_API_KEY / voiceId no configurados');
+
+            return [`https://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(voiceId)}${endpoint}?output_format=pcm_${TTS_SAMPLE_RATE}`, {
+                method: 'POST',
+                headers: { 'xi-api-key': apiKey, 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    text,
+                    model_id: cfg.model,
+                    voice_settings: {
+                        stability: cfg.stability,
+                        similarity_boost: cfg.similarityBoost,
+                        style: cfg.style,
+                        use_speaker_boost: cfg.useSpeakerBoost
+                    }
+                })
+            }];
+        },
+
+        async synthesize(text, { voice } = {}) {
+            return fetchAudio(...this.request(text, voice), { provider: 'elevenlabs', timeoutMs: cfg.timeoutMs });
+        },
+
+        stream(text, { voice, signal } = {}) {
+            return fetchAudioStream(...this.request(text, voice, '/stream'), { provider: 'elevenlabs', timeoutMs: cfg.timeoutMs, signal });
+        }
+    };
+}
+
+/**
+ * Offline CLI engine. args placeholders: {voice} {output}
+ * espeak-ng: "-v {voice} -w {output}" | piper: "--model {voice} --output_file {output}"
+ */
+export function createLocalTtsProvider(cfg = config.tts.local) {
+    return {
+        name: 'local',
+        model: cfg.command,
+        defaultVoice: cfg.voice,
+
+        async synthesize(text, { voice } = {}) {
+            const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tts-local-'));
+            const wavPath = path.join(dir, 'out.wav');
+            const pcmPath = path.join(dir, 'out.pcm');
+            try {
+                const args = cfg.args.map(arg => arg.replace('{voice}', voice || this.defaultVoice).replace('{output}', wavPath));
+                await run(cfg.command, args, { input: text, timeoutMs: cfg.timeoutMs });
+                await run('ffmpeg', ['-y', '-loglevel', 'error', '-i', wavPath, '-f', 's16le', '-ac', '1', '-ar', String(TTS_SAMPLE_RATE), pcmPath], { timeoutMs: cfg.timeoutMs });
+                const buffer = await fs.readFile(pcmPath);
+                if (buffer.length < 100) throw providerError('TTS_PROVIDER_EMPTY', `${cfg.command} devolvió ${buffer.length} bytes`);
+                return buffer;
+            } finally {
+                await fs.rm(dir, { recursive: true, force: true }).catch(() => { });
+            }
+        }
+    };
+}
+
+export const TTS_PROVIDER_FACTORIES = Object.freeze({
+    openai: createOpenAiTtsProvider,
+    elevenlabs: createElevenLabsTtsProvider,
+    local: createLocalTtsProvider
+});
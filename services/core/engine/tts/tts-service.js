@@ -0,0 +1,238 @@
+/**
+ * TtsService - Provider selection, per-capsule voice and failover
+ *
+ * Purpose: Synthesize a prompt with the capsule's preferred provider/voice and
+ * degrade to the next provider in the chain when it fails, so an outage costs
+ * voice quality instead of a silent turn.
+ *
+ * Capsule profile (capsule.ttsProfile, all optional):
+ *   { provider: 'elevenlabs', voice: '<voiceId>', voices: { openai: 'marin', local: 'es-419' }, fallback: ['openai', 'local'] }
+ * - voice applies to the preferred provider; voices[name] to any provider (voice wins)
+ * - fallback replaces the default chain (config.tts.providers)
+ * - instructions (set from the call language, call-language.js) overrides
+ *   config.tts.openai.instructions and is part of the cache key
+ *
+ * A provider that fails is skipped for cooldownMs (still tried as last resort).
+ * Cached audio of any provider in the chain is served before synthesizing.
+ *
+ * openStream() hands out chunks as the provider produces them (external media
+ * playback). Failover only happens before the first chunk; a complete stream
+ * is written to the cache, an aborted one (barge-in) is not.
+ *
+ * Governance: CORE module - no client-specific logic
+ */
+
+import { log } from '../../../../lib/logger.js';
+import { inboundConfig as config } from '../config.js';
+import { getTtsCache, ttsCacheKey } from './tts-cache.js';
+import { TTS_PROVIDER_FACTORIES } from './tts-providers.js';
+
+export class TtsService {
+    /**
+     * @param {object} options
+     * @param {object} options.providers - { [name]: provider }
+     * @param {string[]} options.order - Default chain (first = preferred)
+     * @param {object|null} options.cache - TtsCache (null = no cache)
+     * @param {number} options.cooldownMs - Skip a failed provider for this long
+     * @param {Function} options.now
+     */
+    constructor({ providers, order, cache = null, cooldownMs = 60000, now = Date.now }) {
+        this.providers = providers;
+        this.order = order.filter(name => providers[name]);
+        this.cache = cache;
+        this.cooldownMs = cooldownMs;
+        this.now = now;
+        this.downUntil = new Map(); // provider -> timestamp
+    }
+
+    /**
+     * Provider chain for a capsule profile
+     * @returns {string[]}
+     */
+    chainFor(profile = {}) {
+        const tail = Array.isArray(profile.fallback) ? profile.fallback : this.order;
+        return [...new Set([profile.provider || this.order[0], ...tail])].filter(name => this.providers[name]);
+    }
+
+    voiceFor(name, profile, preferred) {
+        return (name === preferred ? profile.voice : undefined) ?? profile.voices?.[name] ?? this.providers[name].defaultVoice;
+    }
+
+    keyFor(name, text, voice, instructions) {
+        const provider = this.providers[name];
+        return ttsCacheKey({
+            text,
+            voice: voice || '',
+            model: `${name}:${provider.model}`,
+            instructions: name === 'openai' ? (instructions || config.tts.openai.instructions) : ''
+        });
+    }
+
+    isDown(name) {
+        return (this.downUntil.get(name) || 0) > this.now();
+    }
+
+    /**
+     * @param {string} text
+     * @param {object} [profile] - Capsule TTS profile
+     * @returns {Promise<{buffer: Buffer|null, provider: string|null, degraded: boolean, hit: boolean}>}
+     */
+    async synthesize(text, profile = {}) {
+        const chain = this.chainFor(profile);
+        const preferred = chain[0];
+        const result = (buffer, provider, hit) => ({ buffer, provider, degraded: provider !== preferred, hit });
+
+        const attempts = chain.map(name => {
+            const voice = this.voiceFor(name, profile, preferred);
+            return { name, voice, key: this.keyFor(name, text, voice, profile.instructions) };
+        });
+
+        // 1. Audio ya cacheado de cualquier proveedor de la cadena (en orden)
+        if (this.cache) {
+            for (const attempt of attempts) {
+                const cached = await this.cache.get(attempt.key);
+                if (cached) return result(cached, attempt.name, true);
+            }
+        }
+
+        // 2. Sintetizar: proveedores sanos primero, los caídos como último recurso
+        const ordered = [...attempts.filter(a => !this.isDown(a.name)), ...attempts.filter(a => this.isDown(a.name))];
+        const instructions = profile.instructions;
+        for (const { name, voice, key } of ordered) {
+            const produce = () => this.providers[name].synthesize(text, { voice, instructions });
+            try {
+                const buffer = this.cache
+                    ? (await this.cache.getOrCreate(key, produce)).buffer
+                    : await produce();
+                if (!buffer?.length) throw new Error('TTS_PROVIDER_EMPTY: sin audio');
+
+                this.downUntil.delete(name);
+                if (name !== preferred) {
+                    log('warn', `🔀 [TTS] Degradado a '${name}' (preferido '${preferred}') para: "${text.substring(0, 30)}..."`);
+                }
+                return result(buffer, name, false);
+            } catch (err) {
+                this.downUntil.set(name, this.now() + this.cooldownMs);
+                log('error', `❌ [TTS] Proveedor '${name}' falló: ${err.message}`);
+            }
+        }
+
+        log('error', `❌ [TTS] Ningún proveedor disponible (${chain.join(' → ')}) para: "${text.substring(0, 30)}..."`);
+        return result(null, null, false);
+    }
+
+    /**
+     * Streaming variant of synthesize()
+     *
+     * @param {string} text
+     * @param {object} [profile] - Capsule TTS profile
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the provider download (barge-in)
+     * @returns {Promise<{chunks: AsyncIterable<Buffer>|null, provider: string|null, degraded: boolean, hit: boolean}>}
+     */
+    async openStream(text, profile = {}, { signal } = {}) {
+        const chain = this.chainFor(profile);
+        const preferred = chain[0];
+        const result = (chunks, provider, hit) => ({ chunks, provider, degraded: provider !== preferred, hit });
+        const single = async function* (buffer) { yield buffer; };
+
+        const attempts = chain.map(name => {
+            const voice = this.voiceFor(name, profile, preferred);
+            return { name, voice, key: this.keyFor(name, text, voice, profile.instructions) };
+        });
+
+        if (this.cache) {
+            for (const attempt of attempts) {
+                const cached = await this.cache.get(attempt.key);
+                if (cached) return result(single(cached), attempt.name, true);
+            }
+        }
+
+        const ordered = [...attempts.filter(a => !this.isDown(a.name)), ...attempts.filter(a => this.isDown(a.name))];
+        const instructions = profile.instructions;
+        for (const { name, voice, key } of ordered) {
+            if (signal?.aborted) break;
+            const provider = this.providers[name];
+            try {
+                if (typeof provider.stream !== 'function') {
+                    // Proveedor sin streaming: audio completo como un solo chunk
+                    const buffer = this.cache
+                        ? (await this.cache.getOrCreate(key, () => provider.synthesize(text, { voice, instructions }))).buffer
+                        : await provider.synthesize(text, { voice, instructions });
+                    if (!buffer?.length) throw new Error('TTS_PROVIDER_EMPTY: sin audio');
+                    this.downUntil.delete(name);
+                    return result(single(buffer), name, false);
+                }
+
+                const iterator = provider.stream(text, { voice, instructions, signal })[Symbol.asyncIterator]();
+                const first = await iterator.next();
+                if (first.done || !first.value?.length) throw new Error('TTS_PROVIDER_EMPTY: stream sin audio');
+                this.downUntil.delete(name);
+                if (name !== preferred) {
+                    log('warn', `🔀 [TTS] Stream degradado a '${name}' (preferido '${preferred}') para: "${text.substring(0, 30)}..."`);
+                }
+                return result(this.teeToCache(first.value, iterator, key, name), name, false);
+            } catch (err) {
+                if (signal?.aborted) break;
+                this.downUntil.set(name, this.now() + this.cooldownMs);
+                log('error', `❌ [TTS] Stream de '${name}' falló antes del primer chunk: ${err.message}`);
+            }
+        }
+
+        if (!signal?.aborted) {
+            log('error', `❌ [TTS] Ningún proveedor disponible para stream (${chain.join(' → ')}) para: "${text.substring(0, 30)}..."`);
+        }
+        return result(null, null, false);
+    }
+
+    /**
+     * Re-emite los chunks y guarda el audio completo en caché al terminar
+     */
+    async *teeToCache(first, iterator, key, name) {
+        const parts = [first];
+        yield first;
+        try {
+            for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+                parts.push(next.value);
+                yield next.value;
+            }
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                this.downUntil.set(name, this.now() + this.cooldownMs);
+                log('error', `❌ [TTS] Stream de '${name}' cortado a mitad: ${err.message}`);
+            }
+            throw err;
+        } finally {
+            await iterator.return?.();
+        }
+        if (this.cache) {
+            await this.cache.set(key, Buffer.concat(parts));
+        }
+    }
+}
+
+let sharedService = null;
+
+/**
+ * Process-wide service built from config.tts
+ */
+export function getTtsService() {
+    if (!sharedService) {
+        const providers = {};
+        for (const name of config.tts.providers) {
+            const factory = TTS_PROVIDER_FACTORIES[name];
+            if (!factory) {
+                log('warn', `⚠️ [TTS] Proveedor desconocido '${name}' en TTS_PROVIDERS - ignorado`);
+                continue;
+            }
+            providers[name] = factory();
+        }
+        sharedService = new TtsService({
+            providers,
+            order: config.tts.providers,
+            cache: getTtsCache(),
+            cooldownMs: config.tts.failoverCooldownMs
+        });
+    }
+    return sharedService;
+}
@@ -10,12 +10,12 @@ import dgram from "dgram";
 import { OpenAIRealtimeClientV3 } from "./openai-client.js";
 import { createIncrementalClient } from "./openai-client-incremental.js";
 import { playWithBargeIn, waitForRealVoice, recordUserTurn, sendSystemTextAndPlay } from "./legacy/legacy-helpers.js";
-import { parseRutFromSpeech, textToDigits } from "./utils.js";
+import { parseRutFromSpeech, textToDigits } from "./identity/spoken-numbers.js";
 import { CallFinalizer } from "./services/call-finalizer.js";
 import { inboundConfig as config } from "./config.js";
 import { savePartialRut, getPartialRut, clearPartialRut, isValidPartialRut, getConsolidatedRutText } from "./incremental-rut-processor.js";
 import { createFormatRutWebhook } from "../../client/quintero/bot/webhooks/formatRutWebhook.js";
-import { isActionAllowed, isResourceRequired, isTeardownAllowed, getPhaseContract, isValidPhase } from "./lifecycle-contract.js";
+import { isActionAllowed, isResourceRequired, isTeardownAllowed, getPhaseContract, isValidPhase, isListenPhase, isIncrementalCapturePhase, bindLifecycleContract } from "./lifecycle-contract.js";
 import {
     SnoopState,
     createSnoopContract,
@@ -42,7 +42,13 @@ import { Segmenter } from "../../voice/segmentation/segmenter.js";
 import { SegmentStoreRedis } from "../../voice/segmentation/segment-store-redis.js";
 import { SttQueue } from "../../voice/stt/stt-queue.js";
 import { createSttWorker } from "../../voice/stt/stt-worker.js";
+import { matchGrammar } from "./stt/stt-grammar.js";
 import { isFeatureEnabled } from "./config/features.js";
+import { invokeCapsuleHook } from "./capsule-contract.js";
+import { resolveCallLanguage, applyLanguageDetection } from "./call-language.js";
+import { DtmfCollector, DtmfEndReason } from "./ari/dtmf-collector.js";
+import { detectAnsweringMachine, waitForGreetingEnd, AmdResult } from "./ari/amd-detector.js";
+import { handoffToAgent, buildHandoffPayload, buildWhisperText, HandoffOutcome } from "./domain/handoff.js";
 // 🎯 AUDIO MARKS — Segmentación lógica de audio continuo
 import { initAudioMarks, emitAudioMark, AudioMarkType, clearAudioMarks } from "../audio/audio-marks.js";
 import { resolveAudioSegments, getActiveSegment } from "../audio/audio-segments.js";
@@ -56,6 +62,7 @@ const MAX_SILENT_TURNS = config.engine.maxSilentTurns || 3;
 const MIN_AUDIO_BYTES = config.audio.minWavSizeBytes || 6000;
 const POST_PLAYBACK_GUARD_MS = 400; // 🛡️ Guard time after playback before listening
 const MIN_SILENCE_MS = 800; // 🛡️ Minimum silence to trigger STT (reducido de 1200ms para mejor UX)
+const SEGMENTER_LISTEN_PHASES = ['LISTEN_RUT', 'ASK_DATE', 'ASK_SPECIALTY', 'WAIT_RUT', 'LISTEN_OPTION', 'LISTEN_CONFIRMATION']; // 🪟 Ventanas del segmenter sin incrementalCapture declarado
 
 // 🎯 PRIMITIVA AUDIO_READY — Confirmación de Asterisk (control-plane)
 /**
@@ -279,6 +286,9 @@ export async function startVoiceBotSessionV3(
         domainName: domainContext.domainName || 'unknown'
     });
 
+    // 🔒 LIFECYCLE: contrato de fases de la cápsula (core + fases de negocio) para esta llamada
+    bindLifecycleContract(linkedId, domainContext.lifecycle);
+
     // 🎯 PASO 2: SETEAR FASE INICIAL desde el engine (NO depende del dominio)
     // Esto garantiza que el lifecycle nunca vea NULL
     const INITIAL_PHASE = 'START_GREETING';
@@ -317,17 +327,31 @@ export async function startVoiceBotSessionV3(
         return;
     }
 
-
-
+    // 🌐 IDIOMA DE LA LLAMADA: DNIS > capsule.languages.default > config (detección opcional en primer turno)
+    const callLanguage = resolveCallLanguage({ dnis, capsuleLanguages: domainContext.languages });
+    domainContext.language = callLanguage.language;
+    domainContext.languageDetect = callLanguage.detect;
+    domainContext.languagesSupported = callLanguage.supported;
+    log("info", `🌐 [ENGINE] Idioma: ${callLanguage.language} (source=${callLanguage.source}, detect=${callLanguage.detect})`);
 
     const engineState = {
         active: true,
         turn: 0,
         silentCount: 0,
         skipInput: false, // ✅ New Flag for Silent Loop
-        lastPhase: null   // ✅ Track phase changes for Silent Turn fix
+        lastPhase: null,  // ✅ Track phase changes for Silent Turn fix
+        dtmfRequestFrom: null, // 🔢 Último resultado cuyo collectDigits ya se atendió
+        hangupRequested: false // 🛑 El dominio cerró la llamada (shouldHangup / HANGUP)
     };
 
+    // 🔢 DTMF: el llamante puede teclear en cualquier momento.
+    // Lo pulsado fuera de una recolección queda en buffer y se entrega al dominio como evento DTMF.
+    // Solo cápsulas que declaran capabilities.dtmf === true reciben teclas (v1 sin declarar: sin DTMF).
+    const dtmfCollector = new DtmfCollector(channel, config.dtmf);
+    if (domainContext.capabilities?.dtmf === true) {
+        dtmfCollector.start();
+    }
+
     // 🕵️‍♂️ DETECT STT MODE
     // Options: 'realtime' (default), 'legacy-batch' (UDP buffer -> Whisper)
     const sttMode = domainContext.sttMode || config.engine.sttMode || 'realtime';
@@ -351,11 +375,16 @@ export async function startVoiceBotSessionV3(
 
     // 🎯 INCREMENTAL: Siempre usar cliente incremental (puede activarse/desactivarse dinámicamente)
     // Esto permite alternar entre modo incremental y estándar según la fase
-    const openaiClient = createIncrementalClient({
+    // 🧪 domainContext.realtimeClientFactory permite inyectar un cliente alternativo (simulador ARI offline)
+    const realtimeClientFactory = domainContext.realtimeClientFactory || createIncrementalClient;
+    const openaiClient = realtimeClientFactory({
         voice: config.openai.voice,
-        language: config.openai.language,
+        language: domainContext.language,
+        languageDetect: domainContext.languageDetect, // 🌐 Whisper sin idioma hasta el primer turno
         model: config.openai.model,
-        instructions: domainContext.systemPrompt
+        instructions: domainContext.systemPrompt,
+        tts: domainContext.ttsProfile, // 🔀 Proveedor/voz TTS por cápsula (failover en tts-service.js)
+        sttPhases: domainContext.sttPhases // 📝 STT por fase declarado por la cápsula (fallback Whisper)
     }, linkedId);
 
     // 🌊 UDP STREAM & STT RESOURCES (LAZY INIT)
@@ -403,7 +432,9 @@ export async function startVoiceBotSessionV3(
                     const meta = await segmentStore.getRecMeta(callId);
                     return meta?.recordingPath || null;
                 },
-                onTranscript: async ({ segment, text }) => {
+                sttPhases: domainContext.sttPhases,
+                getLanguage: () => (domainContext.languageDetect && !domainContext.languageLocked ? 'auto' : domainContext.language),
+                onTranscript: async ({ segment, text, grammar }) => {
                     // Procesar transcript como si fuera un TURN normal
                     log("info", `📥 [STT_BATCH] Transcript recibido para segmento ${segment.segId}`, {
                         phase: segment.phase,
@@ -421,12 +452,14 @@ export async function startVoiceBotSessionV3(
                     // Procesar transcript en el dominio (si estamos en la fase correcta)
                     const currentPhase = await redis.get(`phase:${linkedId}`) || domainContext.state?.rutPhase;
                     if (currentPhase === segment.phase) {
+                        applyLanguageDetection(text, domainContext, openaiClient);
                         const ctx = buildDomainCtx(text, domainContext, ari, channel, ani, dnis, linkedId);
                         const domainResult = await domainContext.domain({
                             ...ctx,
                             event: 'TURN',
                             source: 'stt_batch',
-                            segment: segment
+                            segment: segment,
+                            grammar // 📝 { type, matched, value } si la cápsula declaró gramática para la fase
                         });
 
                         if (domainResult) {
@@ -931,6 +964,16 @@ export async function startVoiceBotSessionV3(
                 });
             }
 
+            // 🪝 CAPSULE v2: notificar resultado del webhook (solo estado, sin salida hablada)
+            const webhookHookResult = await invokeCapsuleHook(domainContext, 'onWebhookResult', {
+                ...buildDomainCtx("", domainContext, ari, channel, ani, dnis, linkedId),
+                event: 'WEBHOOK_RESULT',
+                webhook: { name: 'FORMAT_RUT', result: webhookResult }
+            });
+            if (webhookHookResult?.state) {
+                domainContext.state = { ...domainContext.state, ...webhookHookResult.state };
+            }
+
             // 🎯 DETENER AUDIO DE FONDO si estaba reproduciéndose
             if (stopBackgroundAudioFunc) {
                 try {
@@ -1207,14 +1250,13 @@ export async function startVoiceBotSessionV3(
         // domainContext.state puede estar desincronizado o ser obsoleto durante la creación del Snoop
         const linkedId = channel.linkedid || channel.id;
         const currentPhase = await redis.get(`phase:${linkedId}`) || domainContext.state?.rutPhase || 'UNKNOWN';
-        const listenPhases = ['LISTEN_RUT', 'LISTEN_OPTION', 'LISTEN_CONFIRMATION'];
-        const isListenPhase = listenPhases.includes(currentPhase);
+        // Fases de escucha incremental = las que el contrato declara con incrementalCapture (o LISTEN_* históricas)
+        const inListenPhase = isIncrementalCapturePhase(currentPhase, linkedId);
 
-        // 🛡️ GUARD CLAUSE: Solo permitir STT en fases LISTEN_* O si es earlyInit
-        if (!isListenPhase && !earlyInit) {
-            log("debug", `🔒 [STT] ensureSTT ignorado fuera de fase LISTEN_* (earlyInit=${earlyInit})`, {
+        // 🛡️ GUARD CLAUSE: Solo permitir STT en fases de escucha O si es earlyInit
+        if (!inListenPhase && !earlyInit) {
+            log("debug", `🔒 [STT] ensureSTT ignorado fuera de fase de escucha (earlyInit=${earlyInit})`, {
                 phase: currentPhase,
-                allowedPhases: listenPhases,
                 linkedId: linkedId
             });
             return;
@@ -1232,7 +1274,7 @@ export async function startVoiceBotSessionV3(
             channelId: channel.id,
             sttInitialized: sttInitialized,
             sttPhaseInitialized: sttPhaseInitialized || 'NULL',
-            isListenPhase: isListenPhase,
+            isListenPhase: inListenPhase,
             sttInitAttempted: sttInitAttempted,
             sttLastInitAttemptAt: sttLastInitAttemptAt,
             domainContextAudioChannelId: domainContext.audioChannelId || 'none'
@@ -1253,7 +1295,7 @@ export async function startVoiceBotSessionV3(
                 earlyInit: earlyInit
             });
             return; // ✅ STT ya está vivo, mantener activo durante toda la llamada
-        } else if (sttClosed && (isListenPhase || earlyInit)) {
+        } else if (sttClosed && (inListenPhase || earlyInit)) {
             // 🎯 STT fue cerrado (hard stop) - permitir nueva sesión limpia
             log("info", `🔄 [STT] STT fue cerrado previamente (hard stop), permitiendo nueva sesión limpia para ${currentPhase}`, {
                 phase: currentPhase,
@@ -1323,7 +1365,7 @@ export async function startVoiceBotSessionV3(
                         audioSource = redisSnoopId;
                     } else {
                         // 🎯 REGLA DE GOBERNANZA: En LISTEN_RUT, Snoop es REQUERIDO
-                        if (currentPhase === 'LISTEN_RUT' || currentPhase === 'LISTEN_OPTION' || currentPhase === 'LISTEN_CONFIRMATION') {
+                        if (inListenPhase) {
                             log("error", `❌ [STT INIT] Snoop REQUERIDO en fase ${currentPhase} pero no está disponible - Abortando STT`);
                             throw new Error(`Snoop not ready for STT in phase ${currentPhase}`);
                         } else {
@@ -1342,7 +1384,7 @@ export async function startVoiceBotSessionV3(
                 const contract = await getSnoopContract(linkedId);
 
                 if (!contract) {
-                    if (currentPhase === 'LISTEN_RUT' || currentPhase === 'LISTEN_OPTION' || currentPhase === 'LISTEN_CONFIRMATION') {
+                    if (inListenPhase) {
                         log("error", `❌ [STT INIT] No existe contrato de Snoop para linkedId=${linkedId} - Abortando STT`);
                         throw new Error(`Snoop contract missing for linkedId=${linkedId}`);
                     } else {
@@ -1810,9 +1852,7 @@ export async function startVoiceBotSessionV3(
                     }
 
                     const currentPhase = domainContext.state?.rutPhase;
-                    const incrementalPhases = ['LISTEN_RUT', 'LISTEN_OPTION', 'LISTEN_CONFIRMATION'];
-
-                    if (!incrementalPhases.includes(currentPhase)) {
+                    if (!isIncrementalCapturePhase(currentPhase, linkedId)) {
                         log("debug", `📝 [ENGINE] Callback ignorado: phase=${currentPhase} no requiere incremental`);
                         return;
                     }
@@ -2337,6 +2377,15 @@ export async function startVoiceBotSessionV3(
     channel.on("StasisEnd", async () => {
         log("info", `👋 Channel hangup ${linkedId}`);
 
+        // 🪝 CAPSULE v2: el llamante (o el core) cerró el canal
+        await invokeCapsuleHook(domainContext, 'onHangup', {
+            ...buildDomainCtx("", domainContext, ari, channel, ani, dnis, linkedId),
+            event: 'HANGUP'
+        });
+
+        // 🔢 Liberar una recolección DTMF en curso (el main loop sale por engineState.active)
+        dtmfCollector.stop();
+
         // 🧹 Limpieza correcta al salir de LISTEN_RUT / hangup
         // 🎯 Usar contrato formal para liberar Snoop
         try {
@@ -2484,318 +2533,332 @@ export async function startVoiceBotSessionV3(
     });
 
     // =======================================================
-    // 🚀 INITIALIZATION (INIT EVENT)
+    // 📠 AMD (solo salientes): humano, contestadora o silencio ANTES del saludo
     // =======================================================
-    try {
-        // 🛡️ VALIDACIÓN CRÍTICA: Verificar que domainContext existe antes de usarlo
-        if (!domainContext) {
-            throw new Error("domainContext is not defined - cannot proceed with INIT event");
+    if (domainContext.direction === 'OUTBOUND' && config.amd.enabled) {
+        const amdOutcome = await runAnsweringMachineDetection(ari, channel, ani, dnis, linkedId, domainContext, openaiClient, conversationState, captureBridge, voiceBridgeRef);
+        if (amdOutcome.action !== 'CONTINUE') {
+            engineState.active = false;
         }
+    }
 
-        if (!domainContext.domain || typeof domainContext.domain !== 'function') {
-            throw new Error(`domainContext.domain is not a function (type: ${typeof domainContext.domain})`);
-        }
+    // =======================================================
+    // 🚀 INITIALIZATION (INIT EVENT)
+    // =======================================================
+    // 📠 Guard: si AMD ya cerró la sesión (buzón / colgado) no hay INIT ni saludo
+    if (engineState.active) {
+        try {
+            // 🛡️ VALIDACIÓN CRÍTICA: Verificar que domainContext existe antes de usarlo
+            if (!domainContext) {
+                throw new Error("domainContext is not defined - cannot proceed with INIT event");
+            }
 
-        log("info", `📢 [ENGINE] Sending INIT event`, {
-            domainContextExists: !!domainContext,
-            domainFunctionExists: typeof domainContext.domain === 'function',
-            domainName: domainContext.domainName || 'unknown',
-            hasState: !!domainContext.state
-        });
+            if (!domainContext.domain || typeof domainContext.domain !== 'function') {
+                throw new Error(`domainContext.domain is not a function (type: ${typeof domainContext.domain})`);
+            }
 
-        const initCtx = buildDomainCtx("", domainContext, ari, channel, ani, dnis, linkedId);
+            log("info", `📢 [ENGINE] Sending INIT event`, {
+                domainContextExists: !!domainContext,
+                domainFunctionExists: typeof domainContext.domain === 'function',
+                domainName: domainContext.domainName || 'unknown',
+                hasState: !!domainContext.state
+            });
 
-        // 1️⃣ SEND INIT EVENT
-        const initResult = await domainContext.domain({
-            ...initCtx,
-            event: 'INIT'
-        });
+            const initCtx = buildDomainCtx("", domainContext, ari, channel, ani, dnis, linkedId);
 
-        // ⚡ STT PRE-WARM (On INIT) - ANTES de aplicar resultado para tener nextPhase disponible
-        // Si el INIT se va a PLAY_AUDIO (skipInput=true), igual conviene pre-calentar STT en background
-        // cuando la próxima fase es LISTEN_* para evitar perder los primeros 600–800ms.
-        const listenPhases = new Set(['LISTEN_RUT', 'LISTEN_OPTION', 'LISTEN_CONFIRMATION']);
-        // 🎯 CRÍTICO: Usar nextPhase del dominio ANTES de normalización
-        // El adapter puede sobrescribir nextPhase cuando action=PLAY_AUDIO, pero el dominio ya indicó la siguiente fase
-        // Necesitamos acceder al nextPhase original del dominio antes de que el adapter lo normalice
-        // El dominio puede poner nextPhase directamente o en la propiedad phase
-        // 🚨 FIX: El adapter normaliza nextPhase a la fase actual cuando action=PLAY_AUDIO,
-        // pero el dominio ya indicó nextPhase="LISTEN_RUT" en el trace. Necesitamos usar el trace o el resultado original.
-        const intendedNextPhase = initResult?.nextPhase || initResult?.phase;
-        // 🎯 FIX ADICIONAL: Si el adapter normalizó nextPhase pero el dominio dijo LISTEN_RUT, detectarlo
-        // Revisar si hay evidencia de que el dominio quería LISTEN_RUT (enableIncremental es un indicador)
-        const domainWantsListenRut = initResult?.enableIncremental === true ||
-            (initResult?.action === 'PLAY_AUDIO' && initResult?.nextPhase === 'LISTEN_RUT') ||
-            (initResult?.action?.type === 'PLAY_AUDIO' && initResult?.nextPhase === 'LISTEN_RUT');
-        const willSkipInput = (initResult?.skipInput === true || initResult?.skipUserInput === true);
-        const isSilent = initResult?.silent === true;
-
-        // 🎯 MEJORA FLUIDEZ: Pre-warm mejorado para mantener sesión persistente
-        // Pre-warm si: (1) nextPhase es LISTEN_*, o (2) enableIncremental está activo, o (3) el dominio indica que viene LISTEN_RUT
-        // 🎯 NUEVO: También pre-warm durante greeting (silent=true) si nextPhase es LISTEN_RUT
-        const shouldPrewarm =
-            sttMode === 'realtime' &&
-            (listenPhases.has(intendedNextPhase) ||
-                initResult?.enableIncremental === true ||
-                domainWantsListenRut); // Pre-warm si el dominio quiere LISTEN_RUT
-
-        log("info", `🔍 [ENGINE] Pre-warm check: sttMode=${sttMode}, intendedNextPhase=${intendedNextPhase}, normalizedNextPhase=${initResult?.nextPhase}, enableIncremental=${initResult?.enableIncremental}, domainWantsListenRut=${domainWantsListenRut}, shouldPrewarm=${shouldPrewarm}, willSkipInput=${willSkipInput}, isSilent=${isSilent}`);
-
-        // ✅ ARQUITECTURA DESACOPLADA: Inicializar STT temprano si está habilitado
-        // Esto garantiza que el canal de entrada siempre esté activo, independiente de la fase
-        // 🎯 REFACTOR: RESTORED PRE-WARM (TIMING GOVERNANCE)
-        // User confirmed that JIT-only approaches cause latency (loss of first word).
-        // We restore Early Init but with Strict Guards (Anti-Ghost) to ensure physical readiness.
-        const shouldInitEarly = sttMode === 'realtime' && !sttInitialized;
-
-        if (shouldInitEarly) {
-            // 🎯 EARLY INIT (ASYNC): Preparar canal de entrada SIN bloquear playback
-            // Motivo: START_GREETING niega STT por contrato de lifecycle; además, STT requiere Snoop READY.
-            // Aquí solo dejamos el Snoop RX listo (READY) + captureBridge creado/anclado.
-            // 🚨 CRÍTICO: NO bloquear el playback - ejecutar en background
-            log("info", `🔥 [ENGINE] Early INPUT preparation - Snoop/captureBridge (sin STT en START_GREETING) - ASYNC`);
-
-            // 🎯 FIX: Ejecutar en background para no bloquear playback
-            (async () => {
-                try {
-                    // Crear capture bridge temprano (si no existe)
-                    if (!captureBridge) {
-                        captureBridge = ari.Bridge();
-                        await captureBridge.create({ type: 'mixing,dtmf_events' });
-                        log("info", `🌉 [BRIDGE] Bridge de captura creado temprano ${captureBridge.id}`);
-                    }
+            // 1️⃣ SEND INIT EVENT
+            const initResult = await domainContext.domain({
+                ...initCtx,
+                event: 'INIT',
+                amd: domainContext.amd || null // 📠 Resultado AMD (salientes) o null
+            });
 
-                    // Crear Snoop temprano si no existe
-                    if (!domainContext.audioChannelId || domainContext.audioChannelId === channel.id) {
-                        log("info", `🕵️‍♂️ [ENGINE] Creando Snoop RX temprano para canal de entrada persistente...`);
-                        const SNOOP_APP = "media-snoop";
-                        const appArgs = `linkedId=${linkedId}`;
-
-                        // ✅ LOG 1: Creación del Snoop (fuente de verdad) - EARLY INIT
-                        log("info", "🕵️‍♂️ [SNOOP CREATE] Creando Snoop temprano (early init)", {
-                            snoopId: "pending",
-                            parentChannelId: channel.id,
-                            linkedId,
-                            app: SNOOP_APP,
-                            appArgs,
-                            spy: 'in',
-                            whisper: 'none',
-                            reason: "early_init_pre_warm"
-                        });
+            // ⚡ STT PRE-WARM (On INIT) - ANTES de aplicar resultado para tener nextPhase disponible
+            // Si el INIT se va a PLAY_AUDIO (skipInput=true), igual conviene pre-calentar STT en background
+            // cuando la próxima fase es LISTEN_* para evitar perder los primeros 600–800ms.
+            // 🎯 CRÍTICO: Usar nextPhase del dominio ANTES de normalización
+            // El adapter puede sobrescribir nextPhase cuando action=PLAY_AUDIO, pero el dominio ya indicó la siguiente fase
+            // Necesitamos acceder al nextPhase original del dominio antes de que el adapter lo normalice
+            // El dominio puede poner nextPhase directamente o en la propiedad phase
+            // 🚨 FIX: El adapter normaliza nextPhase a la fase actual cuando action=PLAY_AUDIO,
+            // pero el dominio ya indicó nextPhase="LISTEN_RUT" en el trace. Necesitamos usar el trace o el resultado original.
+            const intendedNextPhase = initResult?.nextPhase || initResult?.phase;
+            // 🎯 FIX ADICIONAL: Si el adapter normalizó nextPhase pero el dominio dijo LISTEN_RUT, detectarlo
+            // Revisar si hay evidencia de que el dominio quería LISTEN_RUT (enableIncremental es un indicador)
+            const domainWantsListenRut = initResult?.enableIncremental === true ||
+                (initResult?.action === 'PLAY_AUDIO' && initResult?.nextPhase === 'LISTEN_RUT') ||
+                (initResult?.action?.type === 'PLAY_AUDIO' && initResult?.nextPhase === 'LISTEN_RUT');
+            const willSkipInput = (initResult?.skipInput === true || initResult?.skipUserInput === true);
+            const isSilent = initResult?.silent === true;
+
+            // 🎯 MEJORA FLUIDEZ: Pre-warm mejorado para mantener sesión persistente
+            // Pre-warm si: (1) nextPhase es LISTEN_*, o (2) enableIncremental está activo, o (3) el dominio indica que viene LISTEN_RUT
+            // 🎯 NUEVO: También pre-warm durante greeting (silent=true) si nextPhase es LISTEN_RUT
+            const shouldPrewarm =
+                sttMode === 'realtime' &&
+                (isListenPhase(intendedNextPhase, linkedId) ||
+                    initResult?.enableIncremental === true ||
+                    domainWantsListenRut); // Pre-warm si el dominio quiere LISTEN_RUT
+
+            log("info", `🔍 [ENGINE] Pre-warm check: sttMode=${sttMode}, intendedNextPhase=${intendedNextPhase}, normalizedNextPhase=${initResult?.nextPhase}, enableIncremental=${initResult?.enableIncremental}, domainWantsListenRut=${domainWantsListenRut}, shouldPrewarm=${shouldPrewarm}, willSkipInput=${willSkipInput}, isSilent=${isSilent}`);
+
+            // ✅ ARQUITECTURA DESACOPLADA: Inicializar STT temprano si está habilitado
+            // Esto garantiza que el canal de entrada siempre esté activo, independiente de la fase
+            // 🎯 REFACTOR: RESTORED PRE-WARM (TIMING GOVERNANCE)
+            // User confirmed that JIT-only approaches cause latency (loss of first word).
+            // We restore Early Init but with Strict Guards (Anti-Ghost) to ensure physical readiness.
+            const shouldInitEarly = sttMode === 'realtime' && !sttInitialized;
+
+            if (shouldInitEarly) {
+                // 🎯 EARLY INIT (ASYNC): Preparar canal de entrada SIN bloquear playback
+                // Motivo: START_GREETING niega STT por contrato de lifecycle; además, STT requiere Snoop READY.
+                // Aquí solo dejamos el Snoop RX listo (READY) + captureBridge creado/anclado.
+                // 🚨 CRÍTICO: NO bloquear el playback - ejecutar en background
+                log("info", `🔥 [ENGINE] Early INPUT preparation - Snoop/captureBridge (sin STT en START_GREETING) - ASYNC`);
+
+                // 🎯 FIX: Ejecutar en background para no bloquear playback
+                (async () => {
+                    try {
+                        // Crear capture bridge temprano (si no existe)
+                        if (!captureBridge) {
+                            captureBridge = ari.Bridge();
+                            await captureBridge.create({ type: 'mixing,dtmf_events' });
+                            log("info", `🌉 [BRIDGE] Bridge de captura creado temprano ${captureBridge.id}`);
+                        }
 
-                        // ✅ PRIORIDAD 1: Pasar appArgs efectivos para correlación correcta
-                        const newSnoop = await ari.channels.snoopChannel({
-                            channelId: channel.id,
-                            app: SNOOP_APP,
-                            appArgs: appArgs, // ✅ FIX: Pasar appArgs para correlación
-                            spy: 'in',
-                            whisper: 'none'
-                        });
+                        // Crear Snoop temprano si no existe
+                        if (!domainContext.audioChannelId || domainContext.audioChannelId === channel.id) {
+                            log("info", `🕵️‍♂️ [ENGINE] Creando Snoop RX temprano para canal de entrada persistente...`);
+                            const SNOOP_APP = "media-snoop";
+                            const appArgs = `linkedId=${linkedId}`;
 
-                        // ✅ PRIORIDAD 4: Log decisivo de creación
-                        log("info", "📊 [SNOOP_CREATE_RESULT]", {
-                            snoopId: newSnoop.id,
-                            parentChannelId: channel.id,
-                            linkedId,
-                            appArgs,
-                            app: SNOOP_APP,
-                            ts: Date.now()
-                        });
+                            // ✅ LOG 1: Creación del Snoop (fuente de verdad) - EARLY INIT
+                            log("info", "🕵️‍♂️ [SNOOP CREATE] Creando Snoop temprano (early init)", {
+                                snoopId: "pending",
+                                parentChannelId: channel.id,
+                                linkedId,
+                                app: SNOOP_APP,
+                                appArgs,
+                                spy: 'in',
+                                whisper: 'none',
+                                reason: "early_init_pre_warm"
+                            });
 
-                        // ✅ LOG 1: Confirmación de creación con ID real
-                        log("info", "🕵️‍♂️ [SNOOP CREATE] Snoop temprano creado exitosamente", {
-                            snoopId: newSnoop.id,
-                            parentChannelId: channel.id,
-                            linkedId,
-                            app: SNOOP_APP,
-                            appArgs,
-                            timestamp: Date.now()
-                        });
+                            // ✅ PRIORIDAD 1: Pasar appArgs efectivos para correlación correcta
+                            const newSnoop = await ari.channels.snoopChannel({
+                                channelId: channel.id,
+                                app: SNOOP_APP,
+                                appArgs: appArgs, // ✅ FIX: Pasar appArgs para correlación
+                                spy: 'in',
+                                whisper: 'none'
+                            });
 
-                        // Crear contrato en CREATED
-                        await createSnoopContract(linkedId, newSnoop.id, channel.id);
+                            // ✅ PRIORIDAD 4: Log decisivo de creación
+                            log("info", "📊 [SNOOP_CREATE_RESULT]", {
+                                snoopId: newSnoop.id,
+                                parentChannelId: channel.id,
+                                linkedId,
+                                appArgs,
+                                app: SNOOP_APP,
+                                ts: Date.now()
+                            });
 
-                        // ✅ PRIORIDAD 0: AUDIO PLANE PINNING (Anti-Race & Anti-Zombie)
-                        // Usar el controlador de plano de audio p/ garantizar existencia física antes de nada
-                        try {
-                            // 1. WAIT SIGNALING (StasisStart) ==> Source of Truth for "Existence"
-                            await waitForAsteriskReady(ari, newSnoop.id, linkedId);
+                            // ✅ LOG 1: Confirmación de creación con ID real
+                            log("info", "🕵️‍♂️ [SNOOP CREATE] Snoop temprano creado exitosamente", {
+                                snoopId: newSnoop.id,
+                                parentChannelId: channel.id,
+                                linkedId,
+                                app: SNOOP_APP,
+                                appArgs,
+                                timestamp: Date.now()
+                            });
 
-                            // 2. PIN SNOOP (Audio Plane Anchor) - Post Stasis
-                            // 1. PIN SNOOP (Aggressive Loop): Anclar al bridge para evitar GC
-                            const pinned = await AudioPlaneController.pinSnoopToBridge(captureBridge, newSnoop.id);
+                            // Crear contrato en CREATED
+                            await createSnoopContract(linkedId, newSnoop.id, channel.id);
 
-                            if (pinned) {
-                                // 🎯 ADR-002: NO transicionar a ANCHORED. Mantener en READY.
-                                // La existencia física (pin) es un atributo del plano de audio, no del contrato lógico.
-                                log("info", `📌 [AUDIO_PLANE] Snoop ${newSnoop.id} anclado exitosamente (Post-Stasis Pin)`);
-                            } else {
-                                log("warn", `⚠️ [AUDIO_PLANE] Falló anclaje de Snoop ${newSnoop.id} tras loops - Riesgo de GC`);
-                                // Mantener en READY (riesgoso pero operativo)
-                            }
+                            // ✅ PRIORIDAD 0: AUDIO PLANE PINNING (Anti-Race & Anti-Zombie)
+                            // Usar el controlador de plano de audio p/ garantizar existencia física antes de nada
+                            try {
+                                // 1. WAIT SIGNALING (StasisStart) ==> Source of Truth for "Existence"
+                                await waitForAsteriskReady(ari, newSnoop.id, linkedId);
 
-                            // 3. VERIFY PHYSICAL (Audio Plane Ready Loop)
-                            // Garantiza que canales.get() funciona antes de marcar READY
-                            const planeReady = await AudioPlaneController.waitForAudioPlaneReady(ari, newSnoop.id, 2500);
+                                // 2. PIN SNOOP (Audio Plane Anchor) - Post Stasis
+                                // 1. PIN SNOOP (Aggressive Loop): Anclar al bridge para evitar GC
+                                const pinned = await AudioPlaneController.pinSnoopToBridge(captureBridge, newSnoop.id);
 
-                            if (planeReady) {
-                                log("info", `✅ [AUDIO_PLANE] Plano de Audio TOTALMENTE LISTO (Pinned + Stasis + Physical Up)`);
-                                // Ya estamos en READY (por StasisStart), no es necesaria transición
-                                domainContext.audioChannelId = newSnoop.id;
-                            } else {
-                                log("error", `❌ [AUDIO_PLANE] Snoop ${newSnoop.id} falló verificación física final - Marcando defectuoso`);
-                                // TODO: Marcar como DEFECTIVE o forzar recreación
+                                if (pinned) {
+                                    // 🎯 ADR-002: NO transicionar a ANCHORED. Mantener en READY.
+                                    // La existencia física (pin) es un atributo del plano de audio, no del contrato lógico.
+                                    log("info", `📌 [AUDIO_PLANE] Snoop ${newSnoop.id} anclado exitosamente (Post-Stasis Pin)`);
+                                } else {
+                                    log("warn", `⚠️ [AUDIO_PLANE] Falló anclaje de Snoop ${newSnoop.id} tras loops - Riesgo de GC`);
+                                    // Mantener en READY (riesgoso pero operativo)
+                                }
+
+                                // 3. VERIFY PHYSICAL (Audio Plane Ready Loop)
+                                // Garantiza que canales.get() funciona antes de marcar READY
+                                const planeReady = await AudioPlaneController.waitForAudioPlaneReady(ari, newSnoop.id, 2500);
+
+                                if (planeReady) {
+                                    log("info", `✅ [AUDIO_PLANE] Plano de Audio TOTALMENTE LISTO (Pinned + Stasis + Physical Up)`);
+                                    // Ya estamos en READY (por StasisStart), no es necesaria transición
+                                    domainContext.audioChannelId = newSnoop.id;
+                                } else {
+                                    log("error", `❌ [AUDIO_PLANE] Snoop ${newSnoop.id} falló verificación física final - Marcando defectuoso`);
+                                    // TODO: Marcar como DEFECTIVE o forzar recreación
+                                }
+                            } catch (ctrlErr) {
+                                log("error", `❌ [AUDIO_PLANE] Error crítico en inicialización temprana: ${ctrlErr.message}`);
                             }
-                        } catch (ctrlErr) {
-                            log("error", `❌ [AUDIO_PLANE] Error crítico en inicialización temprana: ${ctrlErr.message}`);
-                        }
 
+                        }
+                    } catch (unknownErr) {
+                        log("error", `❌ [ENGINE] Unhandled error in background prep: ${unknownErr.message}`);
                     }
-                } catch (unknownErr) {
-                    log("error", `❌ [ENGINE] Unhandled error in background prep: ${unknownErr.message}`);
-                }
-            })(); // 🎯 Ejecutar en background - NO await
-        }
+                })(); // 🎯 Ejecutar en background - NO await
+            }
 
-        if (shouldPrewarm && !sttInitialized) {
-            // 🎯 MEJORA: Pre-warm con retry logic (solo si no se inicializó temprano)
-            const preWarmWithRetry = async (maxRetries = 2) => {
-                for (let i = 0; i < maxRetries; i++) {
-                    try {
-                        await ensureSTT();
-                        return true;
-                    } catch (e) {
-                        if (i < maxRetries - 1) {
-                            const delay = 500 * (i + 1); // Backoff: 500ms, 1000ms
-                            log("debug", `🔄 [ENGINE] Pre-warm retry ${i + 1}/${maxRetries} en ${delay}ms...`);
-                            await new Promise(resolve => setTimeout(resolve, delay));
-                        } else {
-                            log("warn", `⚠️ [ENGINE] Pre-warm falló después de ${maxRetries} intentos`);
+            if (shouldPrewarm && !sttInitialized) {
+                // 🎯 MEJORA: Pre-warm con retry logic (solo si no se inicializó temprano)
+                const preWarmWithRetry = async (maxRetries = 2) => {
+                    for (let i = 0; i < maxRetries; i++) {
+                        try {
+                            await ensureSTT();
+                            return true;
+                        } catch (e) {
+                            if (i < maxRetries - 1) {
+                                const delay = 500 * (i + 1); // Backoff: 500ms, 1000ms
+                                log("debug", `🔄 [ENGINE] Pre-warm retry ${i + 1}/${maxRetries} en ${delay}ms...`);
+                                await new Promise(resolve => setTimeout(resolve, delay));
+                            } else {
+                                log("warn", `⚠️ [ENGINE] Pre-warm falló después de ${maxRetries} intentos`);
+                            }
                         }
                     }
-                }
-                return false;
-            };
+                    return false;
+                };
 
-            if (willSkipInput || isSilent) {
-                // 🎯 MEJORA: Pre-warm durante playback/greeting para mantener sesión persistente
-                // Esto reduce latencia cuando se transiciona a LISTEN_RUT
-                log("info", `🔥 [ENGINE] Pre-warming STT during playback/greeting (intendedNextPhase=${intendedNextPhase || 'UNKNOWN'}, domainWantsListenRut=${domainWantsListenRut}, silent=${isSilent})`);
-                // 🛡️ Pre-warm en background para no bloquear el playback
-                const preWarmFailedKey = `stt:prewarm:failed:${linkedId}`;
-                const hasRecentFailure = await redis.get(preWarmFailedKey);
-
-                if (!hasRecentFailure) {
-                    preWarmWithRetry().then((success) => {
-                        if (!success) {
-                            redis.set(preWarmFailedKey, 'true', { EX: 60 }); // No intentar por 60s
+                if (willSkipInput || isSilent) {
+                    // 🎯 MEJORA: Pre-warm durante playback/greeting para mantener sesión persistente
+                    // Esto reduce latencia cuando se transiciona a LISTEN_RUT
+                    log("info", `🔥 [ENGINE] Pre-warming STT during playback/greeting (intendedNextPhase=${intendedNextPhase || 'UNKNOWN'}, domainWantsListenRut=${domainWantsListenRut}, silent=${isSilent})`);
+                    // 🛡️ Pre-warm en background para no bloquear el playback
+                    const preWarmFailedKey = `stt:prewarm:failed:${linkedId}`;
+                    const hasRecentFailure = await redis.get(preWarmFailedKey);
+
+                    if (!hasRecentFailure) {
+                        preWarmWithRetry().then((success) => {
+                            if (!success) {
+                                redis.set(preWarmFailedKey, 'true', { EX: 60 }); // No intentar por 60s
+                                sttInitialized = false;
+                                sttPhaseInitialized = null;
+                            }
+                        }).catch((e) => {
+                            if (e.message && (e.message.includes('Channel not found') || e.message.includes('not available') || e.message.includes('hangup detected'))) {
+                                log("warn", `⚠️ [ENGINE] STT pre-warm failed: Canal Snoop no disponible aún (will retry on listen): ${e.message}`);
+                            } else {
+                                log("warn", `⚠️ [ENGINE] STT pre-warm failed (will retry on listen): ${e.message}`);
+                            }
                             sttInitialized = false;
                             sttPhaseInitialized = null;
-                        }
-                    }).catch((e) => {
-                        if (e.message && (e.message.includes('Channel not found') || e.message.includes('not available') || e.message.includes('hangup detected'))) {
-                            log("warn", `⚠️ [ENGINE] STT pre-warm failed: Canal Snoop no disponible aún (will retry on listen): ${e.message}`);
-                        } else {
-                            log("warn", `⚠️ [ENGINE] STT pre-warm failed (will retry on listen): ${e.message}`);
-                        }
-                        sttInitialized = false;
-                        sttPhaseInitialized = null;
-                    });
+                        });
+                    } else {
+                        log("debug", `⏭️ [ENGINE] Pre-warm omitido: fallo reciente detectado (60s cooldown)`);
+                    }
                 } else {
-                    log("debug", `⏭️ [ENGINE] Pre-warm omitido: fallo reciente detectado (60s cooldown)`);
+                    await ensureSTT();
                 }
+            } else if (shouldPrewarm && sttInitialized) {
+                log("debug", `⏭️ [ENGINE] Pre-warm skipped: STT ya inicializado temprano`);
             } else {
-                await ensureSTT();
+                log("debug", `⏭️ [ENGINE] Pre-warm skipped: sttMode=${sttMode}, intendedNextPhase=${intendedNextPhase}, normalizedNextPhase=${initResult?.nextPhase}, enableIncremental=${initResult?.enableIncremental}, domainWantsListenRut=${domainWantsListenRut}`);
             }
-        } else if (shouldPrewarm && sttInitialized) {
-            log("debug", `⏭️ [ENGINE] Pre-warm skipped: STT ya inicializado temprano`);
-        } else {
-            log("debug", `⏭️ [ENGINE] Pre-warm skipped: sttMode=${sttMode}, intendedNextPhase=${intendedNextPhase}, normalizedNextPhase=${initResult?.nextPhase}, enableIncremental=${initResult?.enableIncremental}, domainWantsListenRut=${domainWantsListenRut}`);
-        }
 
-        // 2️⃣ UPDATE STATE (PARCIAL - NO actualizar fase aún)
-        // 🎯 CRÍTICO: NO actualizar la fase ANTES de ejecutar el playback
-        // El playback debe ejecutarse en la fase ACTUAL (START_GREETING), no en la siguiente
-        if (initResult) {
-            if (initResult.state) {
-                // Preservar la fase actual temporalmente para el playback
-                const currentPhaseBeforeUpdate = domainContext.state?.rutPhase || INITIAL_PHASE;
-                domainContext.state = { ...domainContext.state, ...initResult.state };
-                // 🎯 TEMPORAL: Mantener fase actual para playback, luego actualizar
-                domainContext.state.rutPhase = currentPhaseBeforeUpdate;
-                log("info", `🔒 [LIFECYCLE] Preservando fase ${currentPhaseBeforeUpdate} para ejecutar playback antes de cambiar a ${initResult.nextPhase || 'unknown'}`);
+            // 2️⃣ UPDATE STATE (PARCIAL - NO actualizar fase aún)
+            // 🎯 CRÍTICO: NO actualizar la fase ANTES de ejecutar el playback
+            // El playback debe ejecutarse en la fase ACTUAL (START_GREETING), no en la siguiente
+            if (initResult) {
+                if (initResult.state) {
+                    // Preservar la fase actual temporalmente para el playback
+                    const currentPhaseBeforeUpdate = domainContext.state?.rutPhase || INITIAL_PHASE;
+                    domainContext.state = { ...domainContext.state, ...initResult.state };
+                    // 🎯 TEMPORAL: Mantener fase actual para playback, luego actualizar
+                    domainContext.state.rutPhase = currentPhaseBeforeUpdate;
+                    log("info", `🔒 [LIFECYCLE] Preservando fase ${currentPhaseBeforeUpdate} para ejecutar playback antes de cambiar a ${initResult.nextPhase || 'unknown'}`);
+                }
+                // Check for silent transition immediately
+                // IMPORTANT: "silent" is for barge-in/playback protection, NOT for skipping STT.
+                // If a domain wants to skip input, it must set skipInput (or skipUserInput) explicitly.
+                engineState.skipInput = willSkipInput;
+                domainContext.lastResult = initResult;
             }
-            // Check for silent transition immediately
-            // IMPORTANT: "silent" is for barge-in/playback protection, NOT for skipping STT.
-            // If a domain wants to skip input, it must set skipInput (or skipUserInput) explicitly.
-            engineState.skipInput = willSkipInput;
-            domainContext.lastResult = initResult;
-        }
 
-        // 🎯 CONTRATO INCREMENTAL: Ejecutar flags del dominio en INIT también
-        if (initResult && openaiClient.enableIncremental && openaiClient.disableIncremental) {
-            if (initResult.enableIncremental === true) {
-                openaiClient.enableIncremental();
-                log("info", "🎯 [ENGINE] Incremental activado por dominio (INIT)");
-            }
-            if (initResult.disableIncremental === true) {
-                openaiClient.disableIncremental();
-                log("info", "🎯 [ENGINE] Incremental desactivado por dominio (INIT)");
+            // 🎯 CONTRATO INCREMENTAL: Ejecutar flags del dominio en INIT también
+            if (initResult && openaiClient.enableIncremental && openaiClient.disableIncremental) {
+                if (initResult.enableIncremental === true) {
+                    openaiClient.enableIncremental();
+                    log("info", "🎯 [ENGINE] Incremental activado por dominio (INIT)");
+                }
+                if (initResult.disableIncremental === true) {
+                    openaiClient.disableIncremental();
+                    log("info", "🎯 [ENGINE] Incremental desactivado por dominio (INIT)");
+                }
             }
-        }
 
-        // 🎯 EJECUTAR PLAYBACK EN FASE ACTUAL (antes de cambiar de fase)
-        await applyDomainResult(initResult, openaiClient, conversationState, ari, channel, captureBridge, voiceBridgeRef, domainContext);
-
-        // 🎯 ACTUALIZAR FASE DESPUÉS del playback (si hay nextPhase)
-        if (initResult?.nextPhase && initResult.nextPhase !== domainContext.state?.rutPhase) {
-            const { isValidPhase } = await import('./lifecycle-contract.js');
-            const previousPhase = domainContext.state?.rutPhase || INITIAL_PHASE;
-            if (isValidPhase(initResult.nextPhase)) {
-                domainContext.state = domainContext.state || {};
-                domainContext.state.rutPhase = initResult.nextPhase;
-                await redis.set(`phase:${linkedId}`, initResult.nextPhase, { EX: 3600 });
-                log("info", `🔒 [LIFECYCLE] Fase actualizada DESPUÉS del playback: ${previousPhase} → ${initResult.nextPhase} (linkedId=${linkedId})`, {
-                    previousPhase: previousPhase,
-                    newPhase: initResult.nextPhase,
-                    validated: true
-                });
+            // 🎯 EJECUTAR PLAYBACK EN FASE ACTUAL (antes de cambiar de fase)
+            await applyDomainResult(initResult, openaiClient, conversationState, ari, channel, captureBridge, voiceBridgeRef, domainContext);
+
+            // 🎯 ACTUALIZAR FASE DESPUÉS del playback (si hay nextPhase)
+            if (initResult?.nextPhase && initResult.nextPhase !== domainContext.state?.rutPhase) {
+                const { isValidPhase } = await import('./lifecycle-contract.js');
+                const previousPhase = domainContext.state?.rutPhase || INITIAL_PHASE;
+                if (isValidPhase(initResult.nextPhase, linkedId)) {
+                    domainContext.state = domainContext.state || {};
+                    domainContext.state.rutPhase = initResult.nextPhase;
+                    await redis.set(`phase:${linkedId}`, initResult.nextPhase, { EX: 3600 });
+                    log("info", `🔒 [LIFECYCLE] Fase actualizada DESPUÉS del playback: ${previousPhase} → ${initResult.nextPhase} (linkedId=${linkedId})`, {
+                        previousPhase: previousPhase,
+                        newPhase: initResult.nextPhase,
+                        validated: true
+                    });
+                }
             }
-        }
 
-        if (initResult?.shouldHangup || initResult?.action === 'HANGUP') {
-            // 🛠️ FIX 3: TERMINATION GUARD (Phase 3+)
-            // Prevent hangup if we are in Phase 3 and don't have a RUT yet.
-            // This prevents "End Call" on logic errors or ghosts.
-            const currentPhase = parseInt(domainContext.state?.rutPhase || 0, 10);
-            const hasRut = !!(domainContext.state?.rut || domainContext.state?.rut_valid); // Check state for RUT
-
-            if (currentPhase >= 3 && !hasRut) {
-                log("warn", `🛡️ [ENGINE] Prevented session end in Phase ${currentPhase}: RUT missing`);
-                // Force a safe state instead of ending
-                // We can't easily force "loop back" here without loop context, but we can prevent 'active=false'
-                // and prioritize a retry action if possible. 
-                // For INIT path, we just don't set active=false.
-            } else {
-                engineState.active = false;
+            if (initResult?.shouldHangup || initResult?.action === 'HANGUP') {
+                // 🛠️ FIX 3: TERMINATION GUARD (Phase 3+)
+                // Prevent hangup if we are in Phase 3 and don't have a RUT yet.
+                // This prevents "End Call" on logic errors or ghosts.
+                const currentPhase = parseInt(domainContext.state?.rutPhase || 0, 10);
+                const hasRut = !!(domainContext.state?.rut || domainContext.state?.rut_valid); // Check state for RUT
+
+                if (currentPhase >= 3 && !hasRut) {
+                    log("warn", `🛡️ [ENGINE] Prevented session end in Phase ${currentPhase}: RUT missing`);
+                    // Force a safe state instead of ending
+                    // We can't easily force "loop back" here without loop context, but we can prevent 'active=false'
+                    // and prioritize a retry action if possible. 
+                    // For INIT path, we just don't set active=false.
+                } else {
+                    engineState.active = false;
+                    engineState.hangupRequested = true;
+                }
             }
-        }
 
-        // 🛠️ FIX 2: PHASE PERSISTENCE + ENFORCEMENT
-        // 🎯 NOTA: La fase se actualiza DESPUÉS del playback (ver código arriba)
-        // Esto garantiza que el playback se ejecute en la fase correcta
+            // 🛠️ FIX 2: PHASE PERSISTENCE + ENFORCEMENT
+            // 🎯 NOTA: La fase se actualiza DESPUÉS del playback (ver código arriba)
+            // Esto garantiza que el playback se ejecute en la fase correcta
 
-    } catch (err) {
-        log("error", `❌ Init error: ${err.message}`, {
-            errorType: err.constructor.name,
-            errorMessage: err.message,
-            errorStack: err.stack,
-            domainContextExists: typeof domainContext !== 'undefined',
-            domainContextType: typeof domainContext,
-            domainContextHasDomain: domainContext && typeof domainContext.domain !== 'undefined',
-            domainContextDomainType: domainContext && typeof domainContext.domain
-        });
-        engineState.active = false;
+        } catch (err) {
+            log("error", `❌ Init error: ${err.message}`, {
+                errorType: err.constructor.name,
+                errorMessage: err.message,
+                errorStack: err.stack,
+                domainContextExists: typeof domainContext !== 'undefined',
+                domainContextType: typeof domainContext,
+                domainContextHasDomain: domainContext && typeof domainContext.domain !== 'undefined',
+                domainContextDomainType: domainContext && typeof domainContext.domain
+            });
+            engineState.active = false;
+        }
     }
 
     // =======================================================
@@ -2812,17 +2875,19 @@ export async function startVoiceBotSessionV3(
         // Detect phase transition and FORCE skipInput=false for listening phases
         // This prevents "Empty Transcript" issues after playback transitions
         if (engineState.lastPhase && engineState.lastPhase !== currentPhase) {
-            const listeningPhases = ['LISTEN_RUT', 'LISTEN_OPTION', 'LISTEN_CONFIRMATION'];
-            if (listeningPhases.includes(currentPhase)) {
+            if (isIncrementalCapturePhase(currentPhase, linkedId)) {
                 log("info", `🔄 [ENGINE] Phase Change detected (${engineState.lastPhase} -> ${currentPhase}) - Forcing skipInput=false to ensure LISTENING`);
                 engineState.skipInput = false;
             }
         }
         engineState.lastPhase = currentPhase;
+        // 📝 Realtime: prompt/idioma STT de la fase (session.update solo si cambia)
+        openaiClient.setSttPhase(currentPhase);
 
         log("debug", `[ENGINE][TURN ${engineState.turn}] phase=${currentPhase} silent=${domainContext.lastResult?.silent} skipInput=${engineState.skipInput}`);
 
         let transcript = "";
+        let dtmfInput = null;
 
         // 🛑 SILENT MODE CHECK
         log("info", `[ENGINE][LISTEN_CHECK] phase=${currentPhase} skipInput=${engineState.skipInput}`);
@@ -2830,12 +2895,33 @@ export async function startVoiceBotSessionV3(
 
         // 🛠️ FIX 7: FORCE LISTENING FOR BVDA/IMMEDIATE INPUT PHASES
         // "BVDA-driven flows must force immediate listening after playback. Legacy silent turns are disabled for LISTEN_ phases."
-        if (engineState.skipInput && (currentPhase === 'LISTEN_RUT' || currentPhase === 'LISTEN_OPTION' || currentPhase === 'LISTEN_CONFIRMATION')) {
+        if (engineState.skipInput && isIncrementalCapturePhase(currentPhase, linkedId)) {
             log("info", `🔓 [ENGINE] Forcing LISTEN for phase ${currentPhase} (Overriding skipInput)`);
             engineState.skipInput = false;
         }
 
-        if (engineState.skipInput) {
+        // 🔢 DTMF: recolección pedida por el dominio (collectDigits) o teclas ya pulsadas
+        const dtmfRequest = resolveDtmfRequest(domainContext.lastResult, engineState);
+        if (dtmfRequest || dtmfCollector.hasPending()) {
+            engineState.dtmfRequestFrom = domainContext.lastResult;
+            engineState.skipInput = false;
+            log("info", `🔢 [ENGINE] Esperando DTMF en fase ${currentPhase} (${dtmfRequest ? 'pedido por dominio' : 'teclas en buffer'})`);
+            dtmfInput = await dtmfCollector.collect(dtmfRequest || {});
+
+            if (dtmfInput.reason === DtmfEndReason.CANCELLED && !engineState.active) {
+                break;
+            }
+            if (!dtmfInput.digits) {
+                engineState.silentCount++;
+                if (engineState.silentCount >= MAX_SILENT_TURNS) {
+                    log("warn", "🛑 Max silence reached (DTMF)");
+                    break;
+                }
+                await delegateDomainEvent('NO_INPUT', domainContext, openaiClient, conversationState, ari, channel, ani, dnis, linkedId, captureBridge, voiceBridgeRef);
+                continue;
+            }
+            engineState.silentCount = 0;
+        } else if (engineState.skipInput) {
             log("warn", `[ENGINE][SKIP_LISTEN] phase=${domainContext.state?.rutPhase} reason=skipInput`);
             log("info", "⏩ [ENGINE] Silent Turn: Skipping Input & STT");
             engineState.skipInput = false; // Reset, domain must re-assert silent each time if needed
@@ -2845,8 +2931,8 @@ export async function startVoiceBotSessionV3(
             // 🎯 FIX 4: Usar fase REAL del engine (desde Redis)
             const currentPhase = await redis.get(`phase:${linkedId}`) || domainContext.state?.rutPhase || 'UNKNOWN';
 
-            // 🎯 GATING ESTRICTO: STT solo puede inicializarse una vez por fase LISTEN_RUT
-            if (currentPhase === 'LISTEN_RUT' || currentPhase === 'LISTEN_OPTION' || currentPhase === 'LISTEN_CONFIRMATION') {
+            // 🎯 GATING ESTRICTO: STT solo puede inicializarse una vez por fase de escucha incremental
+            if (isIncrementalCapturePhase(currentPhase, linkedId)) {
                 // 🛡️ Si ya se intentó STT para esta fase y falló, verificar si es recuperable
                 if (sttInitAttempted && !sttInitialized) {
                     // 🔥 FIX: Verificar si el error fue recuperable
@@ -2921,7 +3007,7 @@ export async function startVoiceBotSessionV3(
                     }
 
                     // 📊 LOG DETALLADO: Contrato completo de la fase
-                    const phaseContract = getPhaseContract(currentPhase, true);
+                    const phaseContract = getPhaseContract(currentPhase, true, linkedId);
 
                     // 🔥 CRÍTICO: NO marcar sttInitAttempted aquí - solo después de AUDIO_READY y STT exitoso
                     // sttInitAttempted se marca dentro de ensureSTT() después de inicialización exitosa
@@ -3506,7 +3592,8 @@ export async function startVoiceBotSessionV3(
             } else {
                 // Esperar eventos de talking en caller channel (donde Asterisk detecta)
                 // 🎯 MEJORA: Pasar callback para verificar deltas durante la espera
-                voiceDetected = await waitForRealVoice(voiceDetectionChannel, {
+                // waitForRealVoice resuelve boolean → normalizar a { detected }
+                const vadResult = await waitForRealVoice(voiceDetectionChannel, {
                     maxWaitMs: listenTimeout,
                     minTalkingEvents: 1,
                     postPlaybackGuardMs: POST_PLAYBACK_GUARD_MS,
@@ -3517,6 +3604,7 @@ export async function startVoiceBotSessionV3(
                         return hasVoiceEvidence;
                     }
                 });
+                voiceDetected = { detected: vadResult === true || vadResult?.detected === true };
 
                 // Si waitForRealVoice no detectó, verificar evidencia de deltas nuevamente (fallback)
                 if (!voiceDetected.detected) {
@@ -3620,8 +3708,19 @@ export async function startVoiceBotSessionV3(
                     }
                 }
 
+                // 🔢 Sin voz pero con teclas: el llamante eligió el teclado
+                if (!hasPartialTranscript && dtmfCollector.hasPending()) {
+                    if (periodicCommitInterval) clearInterval(periodicCommitInterval);
+                    if (periodicCommitIntervalRef?.current) {
+                        clearInterval(periodicCommitIntervalRef.current);
+                        periodicCommitIntervalRef.current = null;
+                    }
+                    dtmfInput = await dtmfCollector.collect();
+                    if (dtmfInput.digits) engineState.silentCount = 0;
+                }
+
                 // Si no hay transcript parcial, proceder con NO_INPUT
-                if (!hasPartialTranscript) {
+                if (!hasPartialTranscript && !dtmfInput?.digits) {
                     // Limpiar commits periódicos si no se detectó voz y no hay buffer parcial
                     if (periodicCommitInterval) {
                         clearInterval(periodicCommitInterval);
@@ -3663,7 +3762,7 @@ export async function startVoiceBotSessionV3(
                             const { isValidPhase } = await import('./lifecycle-contract.js');
                             const proposedPhase = domainContext.lastResult.nextPhase;
 
-                            if (!isValidPhase(proposedPhase)) {
+                            if (!isValidPhase(proposedPhase, linkedId)) {
                                 log("warn", `⚠️ [LIFECYCLE] Fase propuesta no válida: ${proposedPhase} - Manteniendo fase actual`);
                             } else {
                                 await redis.set(`phase:${linkedId}`, proposedPhase, { EX: 3600 });
@@ -3899,7 +3998,7 @@ export async function startVoiceBotSessionV3(
                         legacyAudioBuffer.length = 0;
 
                         // 📝 TRANSCRIBE IMMEDIATELY
-                        transcript = await openaiClient.transcribeAudioWithWhisper(fallbackPath);
+                        transcript = await openaiClient.transcribeAudioWithWhisper(fallbackPath, { phase: engineState.lastPhase });
                         log("info", `📝 [LEGACY STT] Transcript: "${transcript}"`);
 
                     } catch (err) {
@@ -3954,7 +4053,7 @@ export async function startVoiceBotSessionV3(
 
                 if (!transcript && fallbackPath && fs.existsSync(fallbackPath)) {
                     log("warn", "⚠️ [ENGINE] Realtime empty. Executing Whisper Fallback...");
-                    const whisperText = await openaiClient.transcribeAudioWithWhisper(fallbackPath);
+                    const whisperText = await openaiClient.transcribeAudioWithWhisper(fallbackPath, { phase: engineState.lastPhase });
                     if (whisperText) {
                         transcript = whisperText;
                         log("info", `📝 [WHISPER] Recovered text: "${transcript}"`);
@@ -3970,7 +4069,7 @@ export async function startVoiceBotSessionV3(
                 try { fs.unlinkSync(fallbackPath); } catch (e) { }
             }
 
-            if (!transcript) {
+            if (!transcript && !dtmfInput?.digits) {
                 log("warn", "⚠️ [STT] No transcription received");
                 engineState.silentCount++;
 
@@ -3985,12 +4084,21 @@ export async function startVoiceBotSessionV3(
             }
         }
 
-        // 3️⃣ REGULAR TURN
-        log("info", `📤 [ENGINE] Enviando transcript al dominio: "${transcript}" (event=TURN)`);
-        const ctx = buildDomainCtx(transcript, domainContext, ari, channel, ani, dnis, linkedId);
+        // 3️⃣ REGULAR TURN (voz → TURN, teclado → DTMF)
+        const turnEvent = dtmfInput?.digits ? 'DTMF' : 'TURN';
+        if (turnEvent === 'DTMF') {
+            log("info", `📤 [ENGINE] Enviando DTMF al dominio: "${dtmfInput.digits}" (reason=${dtmfInput.reason}, event=DTMF)`);
+        } else {
+            log("info", `📤 [ENGINE] Enviando transcript al dominio: "${transcript}" (event=TURN)`);
+        }
+        if (turnEvent === 'TURN') applyLanguageDetection(transcript, domainContext, openaiClient); // 🌐 primer turno decide el idioma
+        const ctx = buildDomainCtx(turnEvent === 'DTMF' ? "" : transcript, domainContext, ari, channel, ani, dnis, linkedId);
         const domainResult = await domainContext.domain({
             ...ctx,
-            event: 'TURN'
+            event: turnEvent,
+            ...(turnEvent === 'DTMF'
+                ? { dtmf: dtmfInput.digits, dtmfReason: dtmfInput.reason }
+                : { grammar: phaseGrammar(transcript, engineState.lastPhase, domainContext) })
         });
         log("info", `📥 [ENGINE] Respuesta del dominio recibida: nextPhase=${domainResult?.nextPhase}, action=${domainResult?.action?.type || domainResult?.action}`);
 
@@ -3999,19 +4107,18 @@ export async function startVoiceBotSessionV3(
             const currentPhase = domainContext.state?.rutPhase || await redis.get(`phase:${linkedId}`);
             const nextPhase = domainResult?.nextPhase || domainResult?.phase;
 
-            // Fases que requieren ventana abierta (escucha)
-            const listenPhases = ['LISTEN_RUT', 'ASK_DATE', 'ASK_SPECIALTY', 'WAIT_RUT', 'LISTEN_OPTION', 'LISTEN_CONFIRMATION'];
-            const isListenPhase = nextPhase && listenPhases.includes(nextPhase);
-            const wasListenPhase = currentPhase && listenPhases.includes(currentPhase);
+            // Fases que requieren ventana abierta (escucha): incrementalCapture o la lista histórica del segmenter
+            const willListen = isIncrementalCapturePhase(nextPhase, linkedId, SEGMENTER_LISTEN_PHASES);
+            const wasListenPhase = isIncrementalCapturePhase(currentPhase, linkedId, SEGMENTER_LISTEN_PHASES);
 
             // Si cambiamos a una fase de escucha, abrir ventana
-            if (isListenPhase && !wasListenPhase) {
+            if (willListen && !wasListenPhase) {
                 segmenter.openWindow(nextPhase);
                 log("info", `🪟 [SEGMENTER] Ventana abierta para fase: ${nextPhase}`);
             }
 
             // Si salimos de una fase de escucha, cerrar ventana y forzar flush
-            if (wasListenPhase && !isListenPhase) {
+            if (wasListenPhase && !willListen) {
                 segmenter.forceFlush('phase_transition');
                 segmenter.closeWindow();
                 log("info", `🪟 [SEGMENTER] Ventana cerrada para fase: ${currentPhase} → ${nextPhase}`);
@@ -4038,7 +4145,7 @@ export async function startVoiceBotSessionV3(
                     const { isValidPhase } = await import('./lifecycle-contract.js');
                     const proposedPhase = domainResult.state.rutPhase;
 
-                    if (!isValidPhase(proposedPhase)) {
+                    if (!isValidPhase(proposedPhase, linkedId)) {
                         log("warn", `⚠️ [LIFECYCLE] Fase propuesta no válida: ${proposedPhase} - Manteniendo fase actual`);
                     } else {
                         await redis.set(`phase:${linkedId}`, proposedPhase, { EX: 3600 });
@@ -4104,8 +4211,16 @@ export async function startVoiceBotSessionV3(
 
         await applyDomainResult(domainResult, openaiClient, conversationState, ari, channel, captureBridge, voiceBridgeRef, domainContext);
 
+        // 🧑‍💼 HANDOFF: el llamante pasa a un agente con el contexto del bot (o escucha el fallback)
+        if (domainResult?.action === 'HANDOFF' || domainResult?.handoff) {
+            await runHumanHandoff(domainResult, ari, channel, ani, dnis, linkedId, domainContext, openaiClient, conversationState, captureBridge, voiceBridgeRef);
+            engineState.active = false;
+            break;
+        }
+
         if (domainResult?.shouldHangup || domainResult?.action === 'HANGUP') {
             engineState.active = false;
+            engineState.hangupRequested = true;
             break;
         }
     }
@@ -4113,6 +4228,7 @@ export async function startVoiceBotSessionV3(
     // =======================================================
     // FINALIZE
     // =======================================================
+    dtmfCollector.stop();
     openaiClient.disconnect();
     log("info", `🔚 Session end ${linkedId}`);
 
@@ -4125,6 +4241,16 @@ export async function startVoiceBotSessionV3(
         log("warn", `⚠️ Error logging invariants: ${e.message}`);
     }
 
+    // 🪝 CAPSULE v2: cierre de negocio antes de persistir la gestión
+    const finalizeHookResult = await invokeCapsuleHook(domainContext, 'onFinalize', {
+        ...buildDomainCtx("", domainContext, ari, channel, ani, dnis, linkedId),
+        event: 'FINALIZE',
+        history: conversationState.history
+    });
+    if (finalizeHookResult?.state) {
+        domainContext.state = { ...domainContext.state, ...finalizeHookResult.state };
+    }
+
     await CallFinalizer.finalize(
         ari,
         channel,
@@ -4132,12 +4258,26 @@ export async function startVoiceBotSessionV3(
         { silentTurns: engineState.silentCount },
         domainContext.state || {}
     );
+
+    // 🛑 Despedida ya reproducida: el bot corta la llamada (si el llamante colgó antes, el canal ya no existe)
+    if (engineState.hangupRequested) {
+        await channel.hangup().catch(() => { });
+    }
 }
 
 // =======================================================
 // HELPERS
 // =======================================================
 
+/**
+ * 📝 Gramática declarada por la cápsula para la fase (sttPhases) aplicada al transcript realtime/Whisper
+ * @returns {{type: string, matched: boolean, value: any}|null}
+ */
+function phaseGrammar(transcript, phase, domainContext) {
+    const grammar = domainContext.sttPhases?.[phase]?.grammar;
+    return grammar && transcript ? matchGrammar(transcript, grammar) : null;
+}
+
 function buildDomainCtx(transcript, domainContext, ari, channel, ani, dnis, linkedId) {
     return {
         transcript,
@@ -4145,11 +4285,156 @@ function buildDomainCtx(transcript, domainContext, ari, channel, ani, dnis, link
         ani,
         dnis,
         state: domainContext.state,
+        language: domainContext.language, // 🌐 Idioma de la llamada (classifyConfirm, textos de la cápsula)
         ari,
         channel
     };
 }
 
+/**
+ * 📠 AMD: clasifica quién contestó una saliente y actúa antes del saludo
+ * MACHINE → mensaje de buzón de la cápsula (onVoicemail v2 > voicemail fijo) tras el beep, o colgar
+ * SILENCE → colgar | HUMAN / NOTSURE → CONTINUE (sigue el INIT normal)
+ * El resultado queda en amd:{linkedId} y se publica en call.amd (resultado de campaña).
+ */
+async function runAnsweringMachineDetection(ari, channel, ani, dnis, linkedId, domainContext, openaiClient, conversationState, captureBridge, voiceBridgeRef) {
+    const channelIds = [channel.id, domainContext.audioChannelId];
+    const verdict = await detectAnsweringMachine(ari, channelIds, config.amd);
+
+    let action = 'CONTINUE';
+    if (verdict.cause === 'hangup') {
+        action = 'HANGUP';
+    } else if (verdict.result === AmdResult.MACHINE) {
+        const hookMessage = await invokeCapsuleHook(domainContext, 'onVoicemail', {
+            ...buildDomainCtx("", domainContext, ari, channel, ani, dnis, linkedId),
+            event: 'VOICEMAIL',
+            amd: verdict
+        });
+        const message = hookMessage?.audio || hookMessage?.tts ? hookMessage : domainContext.voicemail;
+
+        if (message?.audio || message?.tts) {
+            await waitForGreetingEnd(ari, channelIds, {
+                talking: verdict.talking,
+                silenceMs: config.amd.afterGreetingSilenceMs,
+                maxWaitMs: config.amd.beepWaitMs
+            });
+            log("info", `📠 [AMD] Dejando mensaje de buzón (${message.audio ? 'audio' : 'tts'})`, { linkedId });
+            await applyDomainResult({
+                action: message.audio ? 'PLAY_AUDIO' : 'SAY_TEXT',
+                audio: message.audio || null,
+                ttsText: message.tts || null,
+                silent: true,
+                shouldHangup: true
+            }, openaiClient, conversationState, ari, channel, captureBridge, voiceBridgeRef, domainContext);
+            action = 'VOICEMAIL';
+        } else {
+            log("info", `📠 [AMD] Contestadora sin mensaje de buzón en la cápsula - colgando`, { linkedId });
+            action = 'HANGUP';
+        }
+    } else if (verdict.result === AmdResult.SILENCE) {
+        action = 'HANGUP';
+    }
+
+    const { talking, ...result } = verdict;
+    const outcome = { channelId: channel.id, linkedId, ...result, action };
+    domainContext.amd = outcome;
+    const meta = activeSessions.get(linkedId);
+    if (meta) meta.amd = outcome;
+
+    try {
+        await redis.set(`amd:${linkedId}`, JSON.stringify(outcome), { EX: 3600 });
+        await redis.publish('call.amd', JSON.stringify(outcome));
+    } catch (err) {
+        log("warn", `⚠️ [AMD] No se pudo registrar resultado: ${err.message}`, { linkedId });
+    }
+
+    if (action !== 'CONTINUE' && verdict.cause !== 'hangup') {
+        await channel.hangup().catch(() => { });
+    }
+    return outcome;
+}
+
+/**
+ * 🧑‍💼 HANDOFF a agente humano
+ * handoff = defaults de la cápsula (domainContext.handoff) + lo que devuelve el resultado:
+ * { queue?, timeoutSeconds?, whisper?: boolean|string, fallback?: { audio?, tts? }, rut?, patientName?, summary?, reason?, data? }
+ * Publica call.handoff (screen-pop CRM) antes de llamar a la cola y call.handoff.result al terminar.
+ */
+async function runHumanHandoff(result, ari, channel, ani, dnis, linkedId, domainContext, openaiClient, conversationState, captureBridge, voiceBridgeRef) {
+    const handoff = { ...domainContext.handoff, ...(typeof result.handoff === 'object' ? result.handoff : {}) };
+    const queue = handoff.queue || config.routing.queueName;
+
+    const payload = buildHandoffPayload({
+        linkedId,
+        channelId: channel.id,
+        ani,
+        dnis,
+        queue,
+        state: domainContext.state,
+        history: conversationState.history,
+        handoff
+    });
+
+    try {
+        await redis.set(`handoff:${linkedId}`, JSON.stringify(payload), { EX: 3600 });
+        await redis.publish('call.handoff', JSON.stringify(payload));
+    } catch (err) {
+        log("warn", `⚠️ [HANDOFF] No se pudo publicar call.handoff: ${err.message}`, { linkedId });
+    }
+
+    const whisper = handoff.whisper ?? config.routing.whisperAgent;
+    const whisperText = typeof whisper === 'string' ? whisper : (whisper ? buildWhisperText(payload) : null);
+
+    const { outcome, agentChannelId } = await handoffToAgent(ari, channel, {
+        linkedId,
+        queue,
+        context: config.routing.queueContext,
+        appName: process.env.ARI_APP || process.env.ARI_APP_NAME || "crm_app",
+        callerId: ani,
+        timeoutSeconds: handoff.timeoutSeconds || config.routing.queueTimeoutSeconds,
+        whisperText,
+        speak: (target, text) => sendSystemTextAndPlay(ari, target, openaiClient, text, { bargeIn: false })
+    });
+
+    const meta = activeSessions.get(linkedId);
+    if (meta) meta.handoff = { queue, outcome, agentChannelId };
+    await redis.publish('call.handoff.result', JSON.stringify({ linkedId, channelId: channel.id, queue, outcome, agentChannelId }))
+        .catch(err => log("warn", `⚠️ [HANDOFF] No se pudo publicar resultado: ${err.message}`, { linkedId }));
+
+    if (outcome === HandoffOutcome.TIMEOUT || outcome === HandoffOutcome.FAILED) {
+        const fallback = handoff.fallback;
+        if (fallback?.audio || fallback?.tts) {
+            log("info", `🧑‍💼 [HANDOFF] Sin agente disponible - reproduciendo mensaje de la cápsula`, { linkedId, queue });
+            await applyDomainResult({
+                action: fallback.audio ? 'PLAY_AUDIO' : 'SAY_TEXT',
+                audio: fallback.audio || null,
+                ttsText: fallback.tts || null,
+                silent: true,
+                shouldHangup: true
+            }, openaiClient, conversationState, ari, channel, captureBridge, voiceBridgeRef, domainContext);
+        }
+        await channel.hangup().catch(() => { });
+    }
+    return outcome;
+}
+
+/**
+ * 🔢 Normaliza el pedido de DTMF del dominio
+ * collectDigits: N  |  { maxDigits, terminator, interDigitTimeoutMs, firstDigitTimeoutMs }
+ * Cada resultado se atiende una sola vez (un NO_INPUT/TURN posterior debe volver a pedirlo).
+ */
+function resolveDtmfRequest(lastResult, engineState) {
+    const request = lastResult?.collectDigits;
+    if (!request || engineState.dtmfRequestFrom === lastResult) return null;
+    if (typeof request === 'number') return { maxDigits: request };
+    return {
+        maxDigits: request.maxDigits,
+        terminator: request.terminator,
+        interDigitTimeoutMs: request.interDigitTimeoutMs,
+        firstDigitTimeoutMs: request.firstDigitTimeoutMs
+    };
+}
+
 async function delegateDomainEvent(eventType, domainContext, openaiClient, conversationState, ari, channel, ani, dnis, linkedId, captureBridge, voiceBridgeRef) {
     const ctx = buildDomainCtx("", domainContext, ari, channel, ani, dnis, linkedId);
     const result = await domainContext.domain({
@@ -4259,7 +4544,7 @@ async function applyDomainResult(result, openaiClient, conversationState, ari, c
             }
 
             // 📊 LOG DETALLADO: Contrato completo de la fase
-            const phaseContract = getPhaseContract(currentPhase, true);
+            const phaseContract = getPhaseContract(currentPhase, true, linkedId);
 
             log("info", `🔒 [LIFECYCLE] ✅ PLAYBACK PERMITIDO: phase=${currentPhase}, allowsPLAYBACK=true, requiresBRIDGE=${bridgeRequired}, contract=${JSON.stringify(phaseContract ? { allow: phaseContract.allow, deny: phaseContract.deny, requires: phaseContract.requires } : 'null')}`);
 
@@ -0,0 +1,177 @@
+// =========================================================
+// CALL SIMULATOR — Llamada completa offline (ARI + engine + cápsula)
+// =========================================================
+//
+// Conecta FakeAri al ari-listener real (registerAriHandlers), inyecta
+// el ScriptedRealtimeClient en el engine y hace "hablar" al llamante
+// según un guion. Devuelve la traza observable de la llamada:
+// fases (Redis phase:<linkedId>), playbacks, TTS, webhooks y hangup.
+//
+// Requisitos de entorno (se fuerzan antes de importar el core):
+// - REDIS_DRIVER=memory   → lib/redis.js usa el keyspace en memoria
+// - ARI_AUTOCONNECT=false → ari-listener no conecta a Asterisk real
+//
+// Guion del llamante (un paso por ventana de escucha del engine):
+//   { say: "catorce millones...", speechMs?: <~250ms/palabra>, delayMs?: 100 }
+//   { dtmf: "1234#" }
+//   { silence: true }
+//   { hangup: true }
+// La ventana de escucha se detecta cuando el engine arma
+// TALK_DETECT(set)=on en el canal llamante.
+// =========================================================
+
+import { log } from "../../../lib/logger.js";
+import { FakeAri } from "./fake-ari.js";
+
+const APP = process.env.ARI_APP || "crm_app";
+const MS_PER_WORD = 250;
+const MIN_SPEECH_MS = 2500;
+const DRAIN_MS = 3000;
+
+// Duración realista de una frase: los commits periódicos del modo incremental (2s)
+// deben alcanzar a ocurrir mientras el llamante habla, como en producción
+function speechDuration(text) {
+    const words = String(text).trim().split(/\s+/).filter(Boolean).length;
+    return Math.max(MIN_SPEECH_MS, words * MS_PER_WORD);
+}
+
+/**
+ * Ejecuta una llamada entrante simulada de punta a punta
+ *
+ * @param {object} options
+ * @param {string} options.mode - Primer arg Stasis (ej: 'voicebot_quintero')
+ * @param {string} options.ani - Número llamante
+ * @param {string} options.dnis - Número llamado
+ * @param {Array<object>} options.script - Guion del llamante
+ * @param {string} options.onScriptEnd - 'hangup' (default) | 'silence'
+ * @param {boolean} options.outbound - Llamada originada por makeCall (args con marca outbound → AMD)
+ * @param {number} options.timeoutMs - Límite duro de la llamada simulada
+ * @param {object} options.ariOptions - Opciones de FakeAri (playbackMs, ...)
+ * @returns {Promise<object>} Traza de la llamada
+ */
+export async function runSimulatedCall({
+    mode,
+    ani = "56912345678",
+    dnis = "322000000",
+    script = [],
+    onScriptEnd = "hangup",
+    outbound = false,
+    timeoutMs = 60000,
+    ariOptions = {}
+} = {}) {
+    process.env.REDIS_DRIVER = "memory";
+    process.env.ARI_AUTOCONNECT = "false";
+
+    // Imports diferidos: deben evaluarse con el entorno del simulador
+    const { default: redis } = await import("../../../lib/redis.js");
+    const { registerAriHandlers } = await import("../ari/ari-listener.js");
+    const { ScriptedRealtimeClient } = await import("./scripted-realtime-client.js");
+    const { outboundAppArgs } = await import("../telephony/telephony-controller.js");
+
+    if (typeof redis.monitor !== "function") {
+        throw new Error("SIMULATOR_REQUIRES_MEMORY_REDIS: lib/redis.js se cargó antes de REDIS_DRIVER=memory");
+    }
+
+    const ari = new FakeAri(ariOptions);
+    const steps = [...script];
+    const trace = {
+        linkedId: null,
+        phases: [],
+        tts: [],
+        heard: [],
+        published: [],
+        sessionEnded: false,
+        sessionError: null
+    };
+
+    let client = null;
+    let callerId = null;
+
+    // 🔍 Fases y eventos de negocio (Redis)
+    const stopMonitor = await redis.monitor(({ command, args }) => {
+        if (command === "set" && trace.linkedId && args[0] === `phase:${trace.linkedId}`) {
+            if (trace.phases[trace.phases.length - 1] !== args[1]) trace.phases.push(args[1]);
+        }
+        if (command === "publish") {
+            let payload = args[1];
+            try { payload = JSON.parse(args[1]); } catch { }
+            trace.published.push({ channel: args[0], payload });
+        }
+    });
+
+    const realtimeClientFactory = (custom, sessionId) => {
+        client = new ScriptedRealtimeClient(custom, sessionId, {
+            onSpeak: (text) => {
+                trace.tts.push(text);
+                ari.record("tts", { text });
+            }
+        });
+        return client;
+    };
+
+    // 🗣️ El llamante reacciona a cada ventana de escucha
+    const onListening = async () => {
+        const step = steps.shift() || (onScriptEnd === "hangup" ? { hangup: true } : { silence: true });
+        await new Promise(r => setTimeout(r, step.delayMs ?? 100));
+        if (!ari.channelsById.has(callerId)) return;
+
+        if (step.say !== undefined) {
+            trace.heard.push(step.say);
+            ari.record("callerSays", { text: step.say });
+            client?.hear(step.say);
+            await ari.talk(callerId, step.speechMs ?? speechDuration(step.say));
+        } else if (step.dtmf !== undefined) {
+            await ari.sendDtmf(callerId, step.dtmf);
+        } else if (step.hangup) {
+            ari.callerHangup(callerId);
+        }
+    };
+
+    ari.simulator.on("ChannelVarSet", ({ channelId, variable, value }) => {
+        if (channelId === callerId && variable === "TALK_DETECT(set)" && value === "on") {
+            onListening().catch(err => log("error", `❌ [SIMULATOR] Error en guion del llamante: ${err.message}`));
+        }
+    });
+
+    const sessionDone = new Promise((resolve) => {
+        const dispose = registerAriHandlers(ari, {
+            realtimeClientFactory,
+            onSessionEnd: ({ error }) => {
+                trace.sessionEnded = true;
+                trace.sessionError = error || null;
+                dispose();
+                resolve();
+            }
+        });
+    });
+
+    ari.start([APP, "media-snoop"]);
+    const args = outbound ? outboundAppArgs(mode, ani, dnis).split(",") : [mode, ani, dnis];
+    const caller = ari.placeInboundCall({ args, ani, dnis, app: APP });
+    callerId = caller.id;
+    trace.linkedId = caller.linkedid || caller.id;
+
+    let hardTimer = null;
+    const timedOut = await Promise.race([
+        sessionDone.then(() => false),
+        new Promise(resolve => { hardTimer = setTimeout(() => resolve(true), timeoutMs); })
+    ]);
+    clearTimeout(hardTimer);
+
+    // Dejar drenar eventos finales (cierre del llamante, StasisEnd, call.hangup)
+    const drainUntil = Date.now() + DRAIN_MS;
+    while (ari.channelsById.has(callerId) && Date.now() < drainUntil) {
+        await new Promise(r => setTimeout(r, 50));
+    }
+    await new Promise(r => setTimeout(r, 200));
+
+    trace.timedOut = timedOut;
+    trace.timeline = [...ari.timeline];
+    trace.playbacks = ari.timeline.filter(e => e.type === "playback").map(e => e.media);
+    trace.hangup = ari.timeline.find(e => e.type === "hangup" && e.channelId === callerId) || null;
+    trace.callerHungUp = ari.timeline.some(e => e.type === "callerHangup");
+
+    stopMonitor();
+    ari.shutdown();
+    return trace;
+}
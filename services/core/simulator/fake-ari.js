@@ -0,0 +1,741 @@
+// =========================================================
+// FAKE ARI — Simulador offline de Asterisk ARI
+// =========================================================
+//
+// Imita la superficie de ari-client que usan ari-listener y el
+// engine V3: canales, bridges, snoops, external media, playbacks,
+// grabaciones y eventos Stasis.
+//
+// Los eventos se emiten igual que ari-client:
+// - en el cliente: (event, resources)
+// - en cada instancia: `${type}-${id}` (instance.on / removeListener)
+//
+// PRINCIPIO: Solo simula el control-plane. No hay RTP ni audio real;
+// la voz del llamante se modela con ChannelTalkingStarted/Finished.
+// =========================================================
+
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import { log } from "../../../lib/logger.js";
+
+const DEFAULT_APP = process.env.ARI_APP || "crm_app";
+
+function notFound(kind, id) {
+    const err = new Error(`${kind} not found`);
+    err.statusCode = 404;
+    err.resourceId = id;
+    return err;
+}
+
+/**
+ * Simulador ARI en memoria
+ *
+ * @param {object} options
+ * @param {number|Function} options.playbackMs - Duración de cada playback (ms) o fn(media) → ms
+ * @param {number} options.originateAnswerMs - Retardo de contestación de canales originados
+ */
+export class FakeAri extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.setMaxListeners(0);
+
+        this.options = {
+            playbackMs: 120,
+            originateAnswerMs: 50,
+            ...options
+        };
+
+        this.startedAt = Date.now();
+        this.apps = [];
+        this.channelsById = new Map();
+        this.bridgesById = new Map();
+        this.playbacksById = new Map();
+        this.recordingsByName = new Map();
+        this.timeline = [];
+        this.timers = new Set();
+        this.sequence = 0;
+
+        // 🧪 Bus interno del simulador (no son eventos ARI)
+        this.simulator = new EventEmitter();
+        this.simulator.setMaxListeners(0);
+
+        this.channels = this.buildChannelsApi();
+        this.bridges = this.buildBridgesApi();
+        this.playbacks = this.buildPlaybacksApi();
+        this.recordings = this.buildRecordingsApi();
+    }
+
+    // ------------------------------------------------------
+    // 🧩 Helpers internos
+    // ------------------------------------------------------
+
+    record(type, data = {}) {
+        const entry = { at: Date.now() - this.startedAt, type, ...data };
+        this.timeline.push(entry);
+        this.simulator.emit("timeline", entry);
+        return entry;
+    }
+
+    later(fn, ms = 0) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, ms);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    nextId(prefix) {
+        this.sequence++;
+        return `${prefix}-${Date.now()}.${this.sequence}`;
+    }
+
+    /**
+     * Emite un evento ARI tal como lo hace ari-client (cliente + instancias)
+     */
+    dispatch(type, event, resources) {
+        const payload = { type, timestamp: new Date().toISOString(), ...event };
+        const instances = resources && typeof resources === "object" && !resources._kind
+            ? Object.values(resources)
+            : (resources ? [resources] : []);
+
+        this.emit("*", payload, resources);
+        this.emit(type, payload, resources);
+
+        const emitted = new Set();
+        for (const instance of instances) {
+            if (!instance?.id || emitted.has(instance.id)) continue;
+            emitted.add(instance.id);
+            this.emit(`${type}-${instance.id}`, payload, resources);
+        }
+    }
+
+    channelJson(data) {
+        return {
+            id: data.id,
+            name: data.name,
+            state: data.state,
+            caller: { ...data.caller },
+            connected: { ...data.connected },
+            dialplan: { ...data.dialplan },
+            linkedid: data.linkedid,
+            creationtime: data.creationtime,
+            language: data.language,
+            accountcode: "",
+            channelvars: { ...data.variables }
+        };
+    }
+
+    bridgeJson(data) {
+        return {
+            id: data.id,
+            technology: "simple_bridge",
+            bridge_type: data.bridge_type,
+            bridge_class: "stasis",
+            creator: "Stasis",
+            name: data.name || "",
+            channels: [...data.channels]
+        };
+    }
+
+    requireChannel(channelId) {
+        const data = this.channelsById.get(channelId);
+        if (!data) throw notFound("Channel", channelId);
+        return data;
+    }
+
+    requireBridge(bridgeId) {
+        const data = this.bridgesById.get(bridgeId);
+        if (!data) throw notFound("Bridge", bridgeId);
+        return data;
+    }
+
+    // ------------------------------------------------------
+    // 🎛️ Instancias (equivalentes a ari.Channel(), ari.Bridge(), ...)
+    // ------------------------------------------------------
+
+    attachInstanceEvents(instance) {
+        const ari = this;
+        instance.on = (type, listener) => { ari.on(`${type}-${instance.id}`, listener); return instance; };
+        instance.once = (type, listener) => { ari.once(`${type}-${instance.id}`, listener); return instance; };
+        instance.removeListener = (type, listener) => { ari.removeListener(`${type}-${instance.id}`, listener); return instance; };
+        instance.off = instance.removeListener;
+        instance.removeAllListeners = (type) => {
+            if (type) ari.removeAllListeners(`${type}-${instance.id}`);
+            return instance;
+        };
+        return instance;
+    }
+
+    Channel(id) {
+        const ari = this;
+        const data = typeof id === "object" && id ? id : null;
+        const instance = this.attachInstanceEvents({
+            _kind: "Channel",
+            id: data ? data.id : (id || randomUUID())
+        });
+        if (data) Object.assign(instance, data);
+
+        const own = (params = {}) => ({ ...params, channelId: params.channelId || instance.id });
+        Object.assign(instance, {
+            get: (params) => ari.channels.get(own(params)),
+            answer: (params) => ari.channels.answer(own(params)),
+            hangup: (params) => ari.channels.hangup(own(params)),
+            ring: (params) => ari.channels.ring(own(params)),
+            play: (params, playback) => ari.channels.play(own(params), playback),
+            record: (params, recording) => ari.channels.record(own(params), recording),
+            setChannelVar: (params) => ari.channels.setChannelVar(own(params)),
+            getChannelVar: (params) => ari.channels.getChannelVar(own(params)),
+            continueInDialplan: (params) => ari.channels.continueInDialplan(own(params)),
+            snoopChannel: (params, snoop) => ari.channels.snoopChannel(own(params), snoop),
+            externalMedia: (params, external) => ari.channels.externalMedia(params, external || instance),
+            originate: (params) => ari.channels.originate({ ...params, channelId: params?.channelId || instance.id }),
+            mute: async () => {},
+            unmute: async () => {},
+            sendDTMF: async () => {}
+        });
+        return instance;
+    }
+
+    Bridge(id) {
+        const ari = this;
+        const data = typeof id === "object" && id ? id : null;
+        const instance = this.attachInstanceEvents({
+            _kind: "Bridge",
+            id: data ? data.id : (id || randomUUID())
+        });
+        if (data) Object.assign(instance, data);
+
+        const own = (params = {}) => ({ ...params, bridgeId: params.bridgeId || instance.id });
+        Object.assign(instance, {
+            create: (params) => ari.bridges.create(own(params), instance),
+            get: (params) => ari.bridges.get(own(params)),
+            destroy: (params) => ari.bridges.destroy(own(params)),
+            addChannel: (params) => ari.bridges.addChannel(own(params)),
+            removeChannel: (params) => ari.bridges.removeChannel(own(params)),
+            play: (params, playback) => ari.bridges.play(own(params), playback)
+        });
+        return instance;
+    }
+
+    Playback(id) {
+        const ari = this;
+        const data = typeof id === "object" && id ? id : null;
+        const instance = this.attachInstanceEvents({
+            _kind: "Playback",
+            id: data ? data.id : (id || randomUUID())
+        });
+        if (data) Object.assign(instance, data);
+
+        Object.assign(instance, {
+            get: () => ari.playbacks.get({ playbackId: instance.id }),
+            stop: () => ari.playbacks.stop({ playbackId: instance.id }),
+            control: async () => {}
+        });
+        return instance;
+    }
+
+    LiveRecording(name) {
+        const ari = this;
+        const instance = this.attachInstanceEvents({ _kind: "LiveRecording", id: name, name });
+        Object.assign(instance, {
+            stop: () => ari.recordings.stop({ recordingName: instance.name }),
+            cancel: () => ari.recordings.cancel({ recordingName: instance.name })
+        });
+        return instance;
+    }
+
+    channelInstance(data) {
+        return this.Channel(this.channelJson(data));
+    }
+
+    bridgeInstance(data) {
+        return this.Bridge(this.bridgeJson(data));
+    }
+
+    // ------------------------------------------------------
+    // 📡 Canales
+    // ------------------------------------------------------
+
+    createChannelRecord({ id, name, state = "Up", caller = {}, dialplan = {}, linkedid, kind = "endpoint", spyOf = null }) {
+        const channelId = id || this.nextId("sim");
+        const data = {
+            id: channelId,
+            name: name || `PJSIP/sim-${String(this.sequence).padStart(8, "0")}`,
+            state,
+            caller: { name: caller.name || "", number: caller.number || "" },
+            connected: { name: "", number: "" },
+            dialplan: { context: dialplan.context || "from-trunk", exten: dialplan.exten || "s", priority: 1, app_name: "Stasis", app_data: "" },
+            linkedid: linkedid || channelId,
+            creationtime: new Date().toISOString(),
+            language: "es",
+            variables: {},
+            kind,
+            spyOf,
+            app: null,
+            bridgeId: null,
+            talkDetect: false
+        };
+        this.channelsById.set(channelId, data);
+        return data;
+    }
+
+    enterStasis(data, app, args = []) {
+        data.app = app;
+        this.dispatch("StasisStart", {
+            application: app,
+            args,
+            channel: this.channelJson(data)
+        }, this.channelInstance(data));
+    }
+
+    setChannelState(data, state) {
+        if (data.state === state) return;
+        data.state = state;
+        this.dispatch("ChannelStateChange", { channel: this.channelJson(data) }, this.channelInstance(data));
+    }
+
+    destroyChannel(data, { cause = 16, reason = "normal" } = {}) {
+        if (!this.channelsById.has(data.id)) return;
+
+        this.dispatch("ChannelHangupRequest", { cause, channel: this.channelJson(data) }, this.channelInstance(data));
+
+        if (data.bridgeId) this.leaveBridge(data);
+
+        // Detener playbacks dirigidos al canal
+        for (const playback of this.playbacksById.values()) {
+            if (playback.target_uri === `channel:${data.id}`) this.finishPlayback(playback, "done");
+        }
+
+        data.state = "Down";
+        if (data.app) {
+            this.dispatch("StasisEnd", { application: data.app, channel: this.channelJson(data) }, this.channelInstance(data));
+            data.app = null;
+        }
+
+        this.channelsById.delete(data.id);
+        this.dispatch("ChannelDestroyed", {
+            cause,
+            cause_txt: cause === 16 ? "Normal Clearing" : `Cause ${cause}`,
+            channel: this.channelJson(data)
+        }, this.channelInstance(data));
+
+        if (data.kind === "endpoint") this.record("hangup", { channelId: data.id, reason });
+
+        // Los Snoop mueren con el canal espiado
+        for (const other of [...this.channelsById.values()]) {
+            if (other.spyOf === data.id) this.destroyChannel(other, { cause, reason: "spied-channel-gone" });
+        }
+    }
+
+    buildChannelsApi() {
+        const ari = this;
+        return {
+            async get({ channelId }) {
+                return ari.channelInstance(ari.requireChannel(channelId));
+            },
+
+            async list() {
+                return [...ari.channelsById.values()].map((data) => ari.channelInstance(data));
+            },
+
+            async answer({ channelId }) {
+                const data = ari.requireChannel(channelId);
+                if (data.state !== "Up") {
+                    ari.setChannelState(data, "Up");
+                    ari.record("answer", { channelId });
+                }
+            },
+
+            async ring({ channelId }) {
+                ari.setChannelState(ari.requireChannel(channelId), "Ringing");
+            },
+
+            async hangup({ channelId, reason = "normal" }) {
+                const data = ari.requireChannel(channelId);
+                ari.later(() => ari.destroyChannel(data, { reason }));
+            },
+
+            async setChannelVar({ channelId, variable, value = "" }) {
+                const data = ari.requireChannel(channelId);
+                data.variables[variable] = value;
+                if (variable === "TALK_DETECT(set)") data.talkDetect = true;
+                if (variable === "TALK_DETECT(remove)") data.talkDetect = false;
+                ari.simulator.emit("ChannelVarSet", { channelId, variable, value, channel: ari.channelJson(data) });
+            },
+
+            async getChannelVar({ channelId, variable }) {
+                const data = ari.requireChannel(channelId);
+                if (!(variable in data.variables)) throw notFound("Variable", variable);
+                return { value: data.variables[variable] };
+            },
+
+            async continueInDialplan({ channelId, context, extension, priority = 1 }) {
+                const data = ari.requireChannel(channelId);
+                ari.record("continueInDialplan", { channelId, context, extension, priority });
+                data.dialplan = { ...data.dialplan, context, exten: extension, priority };
+                if (data.app) {
+                    const app = data.app;
+                    data.app = null;
+                    ari.dispatch("StasisEnd", { application: app, channel: ari.channelJson(data) }, ari.channelInstance(data));
+                }
+            },
+
+            async play(params, playback) {
+                const data = ari.requireChannel(params.channelId);
+                return ari.startPlayback(`channel:${data.id}`, params, playback);
+            },
+
+            async record(params, recording) {
+                ari.requireChannel(params.channelId);
+                const name = params.name || `rec-${Date.now()}`;
+                const instance = recording || ari.LiveRecording(name);
+                instance.name = name;
+                instance.id = name;
+                ari.recordingsByName.set(name, { name, format: params.format || "wav", state: "recording", target_uri: `channel:${params.channelId}` });
+                ari.record("recordingStarted", { channelId: params.channelId, name });
+                return instance;
+            },
+
+            async snoopChannel(params, snoop) {
+                const target = ari.requireChannel(params.channelId);
+                const snoopId = params.snoopId || snoop?.id || ari.nextId("snoop");
+                const data = ari.createChannelRecord({
+                    id: snoopId,
+                    name: `Snoop/${target.id}-${String(ari.sequence).padStart(8, "0")}`,
+                    state: "Up",
+                    linkedid: target.linkedid,
+                    kind: "snoop",
+                    spyOf: target.id
+                });
+                ari.record("snoop", { channelId: target.id, snoopId, spy: params.spy, whisper: params.whisper });
+                const args = params.appArgs ? String(params.appArgs).split(",") : [];
+                ari.later(() => ari.enterStasis(data, params.app, args));
+                return ari.channelInstance(data);
+            },
+
+            async externalMedia(params, external) {
+                const channelId = params.channelId || external?.id || ari.nextId("externalmedia");
+                const data = ari.createChannelRecord({
+                    id: channelId,
+                    name: `UnicastRTP/${params.external_host || "127.0.0.1:0"}-${String(ari.sequence).padStart(8, "0")}`,
+                    state: "Up",
+                    kind: "externalMedia"
+                });
+                data.variables.UNICASTRTP_LOCAL_ADDRESS = "127.0.0.1";
+                data.variables.UNICASTRTP_LOCAL_PORT = String(40000 + ari.sequence);
+                ari.record("externalMedia", { channelId, externalHost: params.external_host, format: params.format });
+                const args = params.appArgs ? String(params.appArgs).split(",") : [];
+                ari.later(() => ari.enterStasis(data, params.app, args));
+                return ari.channelInstance(data);
+            },
+
+            async originate(params) {
+                const data = ari.createChannelRecord({
+                    id: params.channelId,
+                    name: `${String(params.endpoint || "PJSIP/sim").split("@")[0]}-${String(ari.sequence).padStart(8, "0")}`,
+                    state: "Down",
+                    caller: { number: params.callerId || "" },
+                    dialplan: { context: params.context || "from-internal", exten: params.extension || "s" }
+                });
+                ari.record("originate", { channelId: data.id, endpoint: params.endpoint, app: params.app });
+                ari.simulator.emit("Originate", { channelId: data.id, params });
+
+                const outcome = ari.options.originateOutcome
+                    ? ari.options.originateOutcome(params)
+                    : { answer: true };
+
+                if (outcome.answer) {
+                    ari.later(() => {
+                        if (!ari.channelsById.has(data.id)) return;
+                        ari.setChannelState(data, "Up");
+                        if (params.app) {
+                            const args = params.appArgs ? String(params.appArgs).split(",") : [];
+                            ari.enterStasis(data, params.app, args);
+                        }
+                    }, ari.options.originateAnswerMs);
+                } else {
+                    ari.later(() => {
+                        if (!ari.channelsById.has(data.id)) return;
+                        ari.setChannelState(data, outcome.state || "Busy");
+                        ari.destroyChannel(data, { cause: outcome.cause || 17, reason: outcome.reason || "busy" });
+                    }, ari.options.originateAnswerMs);
+                }
+                return ari.channelInstance(data);
+            }
+        };
+    }
+
+    // ------------------------------------------------------
+    // 🌉 Bridges
+    // ------------------------------------------------------
+
+    leaveBridge(channelData) {
+        const bridge = this.bridgesById.get(channelData.bridgeId);
+        channelData.bridgeId = null;
+        if (!bridge) return;
+        bridge.channels = bridge.channels.filter((id) => id !== channelData.id);
+        this.dispatch("ChannelLeftBridge", {
+            bridge: this.bridgeJson(bridge),
+            channel: this.channelJson(channelData)
+        }, { bridge: this.bridgeInstance(bridge), channel: this.channelInstance(channelData) });
+    }
+
+    buildBridgesApi() {
+        const ari = this;
+        return {
+            async create(params = {}, instance = null) {
+                const bridgeId = params.bridgeId || instance?.id || randomUUID();
+                if (!ari.bridgesById.has(bridgeId)) {
+                    const type = String(params.type || "mixing");
+                    ari.bridgesById.set(bridgeId, {
+                        id: bridgeId,
+                        bridge_type: type.includes("holding") ? "holding" : "mixing",
+                        name: params.name || "",
+                        channels: []
+                    });
+                    ari.record("bridgeCreated", { bridgeId, bridgeType: type });
+                }
+                const created = ari.bridgeInstance(ari.bridgesById.get(bridgeId));
+                if (instance) Object.assign(instance, ari.bridgeJson(ari.bridgesById.get(bridgeId)));
+                return instance || created;
+            },
+
+            async get({ bridgeId }) {
+                return ari.bridgeInstance(ari.requireBridge(bridgeId));
+            },
+
+            async list() {
+                return [...ari.bridgesById.values()].map((data) => ari.bridgeInstance(data));
+            },
+
+            async destroy({ bridgeId }) {
+                const bridge = ari.requireBridge(bridgeId);
+                for (const channelId of [...bridge.channels]) {
+                    const channelData = ari.channelsById.get(channelId);
+                    if (channelData) ari.leaveBridge(channelData);
+                }
+                ari.bridgesById.delete(bridgeId);
+                ari.dispatch("BridgeDestroyed", { bridge: ari.bridgeJson(bridge) }, ari.bridgeInstance(bridge));
+            },
+
+            async addChannel({ bridgeId, channel }) {
+                const bridge = ari.requireBridge(bridgeId);
+                const ids = Array.isArray(channel) ? channel : String(channel).split(",");
+                for (const channelId of ids) {
+                    const channelData = ari.requireChannel(channelId);
+                    if (channelData.bridgeId === bridgeId) continue;
+                    // Asterisk: un canal solo puede estar en un bridge a la vez
+                    if (channelData.bridgeId) ari.leaveBridge(channelData);
+                    channelData.bridgeId = bridgeId;
+                    bridge.channels.push(channelId);
+                    ari.dispatch("ChannelEnteredBridge", {
+                        bridge: ari.bridgeJson(bridge),
+                        channel: ari.channelJson(channelData)
+                    }, { bridge: ari.bridgeInstance(bridge), channel: ari.channelInstance(channelData) });
+                }
+            },
+
+            async removeChannel({ bridgeId, channel }) {
+                ari.requireBridge(bridgeId);
+                const ids = Array.isArray(channel) ? channel : String(channel).split(",");
+                for (const channelId of ids) {
+                    const channelData = ari.requireChannel(channelId);
+                    if (channelData.bridgeId === bridgeId) ari.leaveBridge(channelData);
+                }
+            },
+
+            async play(params, playback) {
+                const bridge = ari.requireBridge(params.bridgeId);
+                return ari.startPlayback(`bridge:${bridge.id}`, params, playback);
+            }
+        };
+    }
+
+    // ------------------------------------------------------
+    // 🔊 Playbacks
+    // ------------------------------------------------------
+
+    startPlayback(targetUri, params, instance) {
+        const playback = instance || this.Playback(params.playbackId);
+        const media = Array.isArray(params.media) ? params.media[0] : params.media;
+        const data = {
+            id: playback.id,
+            media_uri: media,
+            target_uri: targetUri,
+            language: params.lang || "es",
+            state: "queued"
+        };
+        this.playbacksById.set(data.id, data);
+        this.record("playback", { media, target: targetUri, playbackId: data.id });
+
+        const durationMs = typeof this.options.playbackMs === "function"
+            ? this.options.playbackMs(media)
+            : this.options.playbackMs;
+
+        this.later(() => {
+            if (data.state !== "queued") return;
+            data.state = "playing";
+            this.dispatch("PlaybackStarted", { playback: { ...data } }, this.Playback({ ...data }));
+            data.timer = this.later(() => this.finishPlayback(data, "done"), durationMs);
+        });
+
+        Object.assign(playback, { media_uri: media, target_uri: targetUri, state: "queued" });
+        return Promise.resolve(playback);
+    }
+
+    finishPlayback(data, state = "done") {
+        if (!this.playbacksById.has(data.id)) return;
+        if (data.timer) {
+            clearTimeout(data.timer);
+            this.timers.delete(data.timer);
+        }
+        this.playbacksById.delete(data.id);
+        data.state = state;
+        const { timer, ...json } = data;
+        this.dispatch("PlaybackFinished", { playback: json }, this.Playback({ ...json }));
+    }
+
+    buildPlaybacksApi() {
+        const ari = this;
+        return {
+            async get({ playbackId }) {
+                const data = ari.playbacksById.get(playbackId);
+                if (!data) throw notFound("Playback", playbackId);
+                const { timer, ...json } = data;
+                return ari.Playback(json);
+            },
+
+            async stop({ playbackId }) {
+                const data = ari.playbacksById.get(playbackId);
+                if (!data) throw notFound("Playback", playbackId);
+                ari.record("playbackStopped", { playbackId, media: data.media_uri });
+                ari.later(() => ari.finishPlayback(data, "stopped"));
+            }
+        };
+    }
+
+    // ------------------------------------------------------
+    // 🎙️ Grabaciones
+    // ------------------------------------------------------
+
+    buildRecordingsApi() {
+        const ari = this;
+        return {
+            async stop({ recordingName }) {
+                const data = ari.recordingsByName.get(recordingName);
+                if (!data) throw notFound("Recording", recordingName);
+                data.state = "done";
+                ari.record("recordingStopped", { name: recordingName });
+            },
+
+            async cancel({ recordingName }) {
+                ari.recordingsByName.delete(recordingName);
+            },
+
+            async getStored({ recordingName }) {
+                const data = ari.recordingsByName.get(recordingName);
+                if (!data || data.state !== "done") throw notFound("Recording", recordingName);
+                return { name: data.name, format: data.format };
+            }
+        };
+    }
+
+    // ------------------------------------------------------
+    // 🚀 API ari-client
+    // ------------------------------------------------------
+
+    start(apps) {
+        this.apps = Array.isArray(apps) ? apps : [apps];
+        log("info", `🧪 [FAKE ARI] Apps Stasis iniciadas: ${this.apps.join(", ")}`);
+    }
+
+    // ------------------------------------------------------
+    // 📞 API del llamante (lado "Asterisk" del simulador)
+    // ------------------------------------------------------
+
+    /**
+     * Simula una llamada entrante que el dialplan envía a Stasis
+     *
+     * @param {object} call - { args, ani, dnis, app, channelId }
+     * @returns {object} Instancia del canal llamante
+     */
+    placeInboundCall({ args = [], ani = "56900000000", dnis = "s", app = DEFAULT_APP, channelId } = {}) {
+        const data = this.createChannelRecord({
+            id: channelId,
+            name: `PJSIP/${ani}-${String(this.sequence + 1).padStart(8, "0")}`,
+            state: "Ring",
+            caller: { number: ani },
+            dialplan: { context: "from-trunk", exten: dnis }
+        });
+        this.record("inbound", { channelId: data.id, ani, dnis, args });
+        this.later(() => this.enterStasis(data, app, args));
+        return this.channelInstance(data);
+    }
+
+    /**
+     * Simula voz del llamante (TALK_DETECT)
+     * @returns {Promise<void>} Resuelve al emitir ChannelTalkingFinished
+     */
+    talk(channelId, durationMs = 400) {
+        return new Promise((resolve) => {
+            const data = this.channelsById.get(channelId);
+            if (!data) return resolve();
+            if (data.talkDetect) {
+                this.dispatch("ChannelTalkingStarted", { channel: this.channelJson(data) }, this.channelInstance(data));
+            }
+            this.later(() => {
+                const current = this.channelsById.get(channelId);
+                if (current?.talkDetect) {
+                    this.dispatch("ChannelTalkingFinished", { duration: durationMs, channel: this.channelJson(current) }, this.channelInstance(current));
+                }
+                resolve();
+            }, durationMs);
+        });
+    }
+
+    /**
+     * Simula dígitos DTMF marcados por el llamante
+     */
+    sendDtmf(channelId, digits, { gapMs = 80 } = {}) {
+        return new Promise((resolve) => {
+            const list = String(digits).split("");
+            const next = (index) => {
+                const data = this.channelsById.get(channelId);
+                if (!data || index >= list.length) return resolve();
+                this.record("dtmf", { channelId, digit: list[index] });
+                this.dispatch("ChannelDtmfReceived", { digit: list[index], duration_ms: 100, channel: this.channelJson(data) }, this.channelInstance(data));
+                this.later(() => next(index + 1), gapMs);
+            };
+            next(0);
+        });
+    }
+
+    /**
+     * El llamante cuelga
+     */
+    callerHangup(channelId) {
+        const data = this.channelsById.get(channelId);
+        if (!data) return;
+        this.record("callerHangup", { channelId });
+        this.destroyChannel(data, { reason: "caller-hangup" });
+    }
+
+    /**
+     * Cierra el simulador: destruye canales vivos y cancela timers pendientes
+     */
+    shutdown() {
+        for (const data of [...this.channelsById.values()]) this.destroyChannel(data, { reason: "simulator-shutdown" });
+        for (const timer of this.timers) clearTimeout(timer);
+        this.timers.clear();
+        this.removeAllListeners();
+        this.simulator.removeAllListeners();
+    }
+}
+
+/**
+ * Factory simétrico a AriClient.connect()
+ */
+export function createFakeAri(options = {}) {
+    return new FakeAri(options);
+}
@@ -0,0 +1,161 @@
+// =========================================================
+// SCRIPTED REALTIME CLIENT — Sustituto offline del cliente OpenAI
+// =========================================================
+//
+// Implementa la superficie de OpenAIRealtimeClientV3Incremental que
+// usa el engine V3 (connect, commit, waitForTranscript, sendSystemText,
+// modo incremental, onPartialTranscript...) sin red.
+//
+// El simulador "hace oír" una frase con hear(text); el siguiente
+// commit() la entrega como transcript (completed) igual que el
+// servidor Realtime: primero delta, luego completed.
+// =========================================================
+
+import { log } from "../../../lib/logger.js";
+import { clearPartialRut, getPartialRut, isValidPartialRut } from "../engine/incremental-rut-processor.js";
+
+export class ScriptedRealtimeClient {
+    /**
+     * @param {object} custom - Config del engine (voice, language, model, instructions)
+     * @param {string} sessionId - linkedId de la llamada
+     * @param {object} hooks - { onSpeak(text), transcriptLatencyMs }
+     */
+    constructor(custom = {}, sessionId = null, hooks = {}) {
+        this.voice = custom.voice;
+        this.language = custom.language;
+        this.model = custom.model;
+        this.instructions = custom.instructions;
+        this.sessionId = sessionId;
+        this.hooks = hooks;
+
+        this.isConnected = false;
+        this.isPlaybackActive = false;
+        this.lastPlaybackEnd = 0;
+        this.activeResponseId = null;
+        this.lastTranscript = "";
+        this.lastAssistantResponse = "";
+        this.incrementalMode = false;
+        this.onPartialTranscript = null;
+        this.streamStableCallback = null;
+
+        this.pendingUtterance = null;
+        this.audioFrames = 0;
+        this.spoken = [];
+    }
+
+    async connect() {
+        this.isConnected = true;
+        log("info", `🧪 [SCRIPTED STT] Conectado (sessionId=${this.sessionId})`);
+    }
+
+    disconnect() {
+        this.isConnected = false;
+        log("info", `🧪 [SCRIPTED STT] Desconectado (sessionId=${this.sessionId})`);
+    }
+
+    setSessionId(sessionId) {
+        this.sessionId = sessionId;
+    }
+
+    enableIncremental() {
+        this.incrementalMode = true;
+    }
+
+    disableIncremental() {
+        if (!this.incrementalMode) return;
+        this.incrementalMode = false;
+        if (this.sessionId) clearPartialRut(this.sessionId);
+    }
+
+    isIncrementalEnabled() {
+        return this.incrementalMode;
+    }
+
+    updateSession() { }
+
+    setSttPhase(phase) {
+        this.sttPhase = phase;
+    }
+
+    streamAudio(buffer) {
+        this.audioFrames++;
+    }
+
+    onStreamStable(callback) {
+        this.streamStableCallback = callback;
+    }
+
+    cancelCurrentResponse() {
+        this.activeResponseId = null;
+    }
+
+    /**
+     * 🧪 El llamante dijo `text`: se entregará en el próximo commit()
+     */
+    hear(text) {
+        this.pendingUtterance = text;
+    }
+
+    commit() {
+        if (!this.isConnected) {
+            log("warn", "⚠️ [SCRIPTED STT] commit() llamado pero cliente no conectado");
+            return;
+        }
+        this.lastTranscript = "";
+        if (this.pendingUtterance === null) return;
+
+        const text = this.pendingUtterance;
+        this.pendingUtterance = null;
+        setTimeout(() => this.deliver(text), this.hooks.transcriptLatencyMs ?? 30);
+    }
+
+    async deliver(text) {
+        this.lastTranscript = text;
+        log("info", `🧪 [SCRIPTED STT] Transcript completed: "${text}"`);
+
+        if (!this.incrementalMode || !this.onPartialTranscript || !this.sessionId) return;
+        try {
+            await this.onPartialTranscript(text, this.sessionId, true);
+            await this.onPartialTranscript(text, this.sessionId, false);
+        } catch (err) {
+            log("error", `❌ [SCRIPTED STT] Error en onPartialTranscript: ${err.message}`);
+        }
+    }
+
+    async waitForTranscript(timeoutMs = 10000) {
+        const start = Date.now();
+        while (Date.now() - start < timeoutMs) {
+            if (this.lastTranscript) return this.lastTranscript;
+            await new Promise(r => setTimeout(r, 50));
+        }
+        return "";
+    }
+
+    async transcribeAudioWithWhisper() {
+        return this.lastTranscript || "";
+    }
+
+    /**
+     * TTS: se registra el texto y no se devuelve audio
+     * (sendSystemTextAndPlay omite la reproducción sin buffer)
+     */
+    async sendSystemText(text) {
+        this.spoken.push(text);
+        this.lastAssistantResponse = text;
+        if (this.hooks.onSpeak) this.hooks.onSpeak(text);
+        return Buffer.alloc(0);
+    }
+
+    clearPartialBuffer() {
+        if (this.sessionId) clearPartialRut(this.sessionId);
+    }
+
+    async getPartialRut() {
+        if (!this.sessionId) return "";
+        return getPartialRut(this.sessionId);
+    }
+
+    async hasValidPartialRut() {
+        return isValidPartialRut(await this.getPartialRut());
+    }
+}
@@ -0,0 +1,125 @@
+// =========================================================
+// WEBHOOK STUB — n8n loopback para el simulador ARI
+// =========================================================
+//
+// Servidor HTTP en 127.0.0.1 que responde los eventos de negocio
+// (FORMAT_RUT, VALIDATE_PATIENT, ...) con el mismo envoltorio que
+// n8n: { "output": "{...json string...}" }.
+// =========================================================
+
+import http from "http";
+import { log } from "../../../lib/logger.js";
+import { verifySignature } from "../engine/integrations/request-signer.js";
+
+/**
+ * Formatea un RUT dictado (solo dígitos + K) y valida módulo 11
+ */
+export function formatRutDigits(raw) {
+    const digits = String(raw || "").replace(/[^0-9kK]/g, "").toUpperCase();
+    if (digits.length < 8 || digits.length > 9) return { ok: false, reason: "INVALID_RUT_FORMAT" };
+
+    const body = digits.slice(0, -1);
+    const dv = digits.slice(-1);
+
+    let sum = 0;
+    let multiplier = 2;
+    for (let i = body.length - 1; i >= 0; i--) {
+        sum += parseInt(body[i], 10) * multiplier;
+        multiplier = multiplier === 7 ? 2 : multiplier + 1;
+    }
+    const remainder = 11 - (sum % 11);
+    const expected = remainder === 11 ? "0" : remainder === 10 ? "K" : String(remainder);
+
+    if (expected !== dv) return { ok: false, reason: "INVALID_RUT_FORMAT" };
+    return { ok: true, rut: `${body}-${dv}`, body, dv };
+}
+
+function isAuthorized(auth, raw, headers) {
+    if (!auth || auth.type === "none") return true;
+    if (auth.type === "bearer") return headers.authorization === `Bearer ${auth.token}`;
+    if (auth.type === "hmac") return verifySignature(auth.secret, raw, headers);
+    return false;
+}
+
+/**
+ * Levanta el stub de webhooks
+ *
+ * @param {object} options
+ * @param {object} options.patients - { "14348258-8": { nombre, edad } }
+ * @param {object} options.handlers - Overrides por action: (payload) => data
+ * @param {object} [options.auth] - { type: 'bearer', token } | { type: 'hmac', secret }: sin credencial válida → 401
+ * @returns {Promise<{url: string, requests: object[], close: Function}>}
+ */
+export async function startWebhookStub({ patients = {}, handlers = {}, auth = null } = {}) {
+    const requests = [];
+
+    const defaults = {
+        FORMAT_RUT: (payload) => formatRutDigits(payload.rut_raw || payload.rawText),
+        VALIDATE_PATIENT: (payload) => {
+            // n8n acepta el RUT con o sin puntos (la cápsula lo envía como lo leyó: 14.348.258-8)
+            const patient = patients[payload.rut] || patients[formatRutDigits(payload.rut).rut];
+            if (!patient) return { ok: false, reason: "PATIENT_NOT_FOUND" };
+            return { ok: true, patientFound: true, nombre: patient.nombre, edad: patient.edad ?? null };
+        },
+        GET_NEXT_AVAILABILITY: () => ({ ok: true, horaFound: false, reason: "NO_AVAILABILITY" }),
+        CONFIRM_AVAILABILITY: () => ({ ok: true, confirmed: true }),
+        RELEASE_AVAILABILITY: () => ({ ok: true, released: true })
+    };
+
+    const server = http.createServer((req, res) => {
+        let raw = "";
+        req.on("data", (chunk) => { raw += chunk; });
+        req.on("end", async () => {
+            if (!isAuthorized(auth, raw, req.headers)) {
+                requests.push({ path: req.url, headers: req.headers, payload: null, rejected: true });
+                res.writeHead(401, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: "UNAUTHORIZED" }));
+                return;
+            }
+
+            let payload = {};
+            try {
+                payload = raw ? JSON.parse(raw) : {};
+            } catch (err) {
+                res.writeHead(400, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: "INVALID_JSON" }));
+                return;
+            }
+
+            requests.push({ path: req.url, headers: req.headers, payload });
+            const action = payload.action || payload.event;
+            const handler = handlers[action] || defaults[action];
+
+            if (!handler) {
+                log("warn", `🧪 [WEBHOOK STUB] Acción sin handler: ${action}`);
+                res.writeHead(404, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: "UNKNOWN_ACTION" }));
+                return;
+            }
+
+            try {
+                const data = await handler(payload);
+                log("info", `🧪 [WEBHOOK STUB] ${action} → ${JSON.stringify(data)}`);
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ output: JSON.stringify(data) }));
+            } catch (err) {
+                res.writeHead(500, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ error: err.message }));
+            }
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    const url = `http://127.0.0.1:${port}/webhook/simulator`;
+    log("info", `🧪 [WEBHOOK STUB] Escuchando en ${url}`);
+
+    return {
+        url,
+        requests,
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections?.();
+            server.close(() => resolve());
+        })
+    };
+}
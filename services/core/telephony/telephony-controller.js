@@ -19,19 +19,37 @@ export async function initAri() {
     return ari;
 }
 
-/** Origina una llamada saliente */
-export async function makeCall(ani, dnis, variables = {}) {
+/**
+ * Args Stasis de una saliente: mode,ANI,DNIS,outbound
+ * raw[3] = "outbound" marca la sesión OUTBOUND en el listener (AMD antes del saludo)
+ */
+export function outboundAppArgs(mode, ani, dnis) {
+    return `${mode},${ani},${dnis},outbound`;
+}
+
+/**
+ * Origina una llamada saliente
+ * @param {object} [options]
+ * @param {string} [options.trunk] - Troncal PJSIP (endpoint PJSIP/<dnis>@<trunk>)
+ * @param {string} [options.mode] - Mode ARI que atiende la llamada contestada (default: outbound)
+ * @param {string} [options.channelId] - Id de canal fijado por el llamador (correlación con call.hangup)
+ * @param {number} [options.timeout] - Segundos de ring antes de abandonar
+ */
+export async function makeCall(ani, dnis, variables = {}, options = {}) {
     const client = await initAri();
+    const { trunk = null, mode = "outbound", channelId, timeout } = options;
     try {
         const res = await client.channels.originate({
-            endpoint: `PJSIP/${dnis}`,
+            endpoint: trunk ? `PJSIP/${dnis}@${trunk}` : `PJSIP/${dnis}`,
             extension: dnis,
             callerId: ani,
             app: ARI_APP,
-            appArgs: `outbound,${ani},${dnis}`,
+            appArgs: outboundAppArgs(mode, ani, dnis),
             variables,
+            ...(channelId ? { channelId } : {}),
+            ...(timeout ? { timeout } : {}),
         });
-        log("info", `📞 Llamada originada: ${ani} → ${dnis}`);
+        log("info", `📞 Llamada originada: ${ani} → ${dnis}${trunk ? ` (trunk ${trunk})` : ""}`);
         return res;
     } catch (err) {
         log("error", "Error al originar llamada", err.message);
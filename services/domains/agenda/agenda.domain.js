@@ -1,9 +1,10 @@
 import { log } from '../../../lib/logger.js';
 import * as repo from './agenda.repository.js';
-import { log } from '../../../lib/logger.js';
-import * as repo from './agenda.repository.js';
 import * as types from './agenda.types.js';
 import { flowTrace } from '../../core/telemetry/flow-trace.js';
+import { getAgendaHoldTracker } from './agenda.holds.js';
+import { rankSlots, describeSlot, formatSlotMenu, selectSlotFromMenu } from './agenda.menu.js';
+import { parseDateTimeExpression } from '../../core/engine/datetime/date-time-expressions.js';
 
 /**
  * Agenda Domain
@@ -38,6 +39,9 @@ export class AgendaDomain {
             return null;
         }
 
+        // Registrar el HOLD: se libera al colgar o lo limpia el barrido al vencer
+        await this._trackHold(tracker => tracker.track(sessionId, slot));
+
         // Format for consumption
         return {
             ...slot,
@@ -57,6 +61,72 @@ export class AgendaDomain {
         return slots;
     }
 
+    /**
+     * Best slots for what the caller asked ("el martes en la tarde"), ready to read out as a menu.
+     * Nothing is held until the caller picks one (holdSlot).
+     * @param {string} specialty
+     * @param {string|object} request - Transcript or parseDateTimeExpression() result
+     * @param {object} [options]
+     * @param {string} [options.sessionId]
+     * @param {number} [options.limit]
+     * @param {Date} [options.now]
+     * @returns {Promise<{slots: Array<object>, relaxed: boolean, menuText: string}>}
+     */
+    async findBestSlots(specialty, request, { sessionId = null, limit = types.AGENDA_CONSTANTS.MENU_SIZE, now = new Date() } = {}) {
+        const expression = typeof request === 'string' ? parseDateTimeExpression(request, { now }) : request;
+        log('info', `[AGENDA DOMAIN] Looking for best ${limit} slots for ${specialty} (${expression?.dateFrom || 'hoy'} → ${expression?.dateTo || '∞'})`);
+
+        flowTrace({
+            traceId: sessionId,
+            layer: 'DOMAIN',
+            flow: 'AGENDA',
+            step: 'FIND_BEST_SLOTS',
+            depth: 2,
+            module: 'domains/agenda/agenda.domain.js',
+            fn: 'findBestSlots',
+            action: 'INVOKE_REPO',
+            result: 'START'
+        });
+
+        const candidates = await repo.findAvailableSlots(specialty, {
+            dateFrom: expression?.dateFrom || null,
+            dateTo: expression?.dateTo || null
+        });
+        const { slots, relaxed } = rankSlots(candidates, expression, { limit, now });
+        const menu = slots.map(slot => ({
+            ...slot,
+            formattedTime: slot.time,
+            formattedDate: this._formatDate(slot.fecha),
+            description: describeSlot(slot, { now })
+        }));
+        return { slots: menu, relaxed, menuText: formatSlotMenu(menu, { now }) };
+    }
+
+    /**
+     * Hold the slot the caller picked from the menu. It replaces any other hold of the session,
+     * so confirmAvailability (usp_Agenda_BookHeldSlot) books exactly this one.
+     * @param {import('./agenda.types.js').AppointmentSlot} slot
+     * @param {string} sessionId
+     * @returns {Promise<object|null>} null si otro paciente lo tomó mientras se leía el menú
+     */
+    async holdSlot(slot, sessionId) {
+        log('info', `[AGENDA DOMAIN] Holding slot ${slot.id_disponibilidad} (Session: ${sessionId})`);
+
+        const held = await repo.holdSlot(slot.id_disponibilidad, sessionId);
+        if (!held) return null;
+
+        await this._trackHold(tracker => tracker.track(sessionId, held));
+        return { ...slot, ...held };
+    }
+
+    /**
+     * Which option of a menu the caller picked ("la segunda", "la del martes").
+     * @returns {number|null}
+     */
+    selectFromMenu(text, slots, { now = new Date() } = {}) {
+        return selectSlotFromMenu(text, slots, { now });
+    }
+
     /**
      * Confirm an appointment.
      * @param {object} params
@@ -79,13 +149,156 @@ export class AgendaDomain {
             result: 'START'
         });
 
-        return repo.scheduleAppointment({
+        const result = await repo.scheduleAppointment({
             patientIdOrRut: rut,
             fechaHora: slot.fecha, // Assuming fecha carries date+time or logic handles it
             especialidad: slot.especialidad,
             source: 'voicebot',
-            sessionId
+            sessionId,
+            slotId: slot.id_disponibilidad
+        });
+        if (result.ok) await this._trackHold(tracker => tracker.forget(sessionId, slot.id_disponibilidad));
+        return result;
+    }
+
+    /**
+     * Book the slot this session holds (findAndHoldNextSlot / holdSlot) for the patient.
+     * @param {object} params
+     * @param {string} params.rut
+     * @param {string} params.sessionId
+     * @returns {Promise<import('./agenda.types.js').AppointmentChange & { slot?: object }>}
+     */
+    async bookHeldSlot({ rut, sessionId }) {
+        log('info', `[AGENDA DOMAIN] Booking held slot for RUT ${rut} (Session: ${sessionId})`);
+
+        flowTrace({
+            traceId: sessionId,
+            layer: 'DOMAIN',
+            flow: 'AGENDA',
+            step: 'BOOK_HELD',
+            depth: 2,
+            module: 'domains/agenda/agenda.domain.js',
+            fn: 'bookHeldSlot',
+            action: 'INVOKE_REPO',
+            result: 'START'
+        });
+
+        const result = await repo.bookHeldSlot({ sessionId, rut, source: 'voicebot' });
+        if (!result.ok) return result;
+
+        await this._trackHold(tracker => tracker.forget(sessionId, result.slot.id_disponibilidad));
+        return {
+            ...result,
+            slot: {
+                ...result.slot,
+                formattedTime: this._formatTime(result.slot.hora_disponible),
+                formattedDate: this._formatDate(result.slot.fecha)
+            }
+        };
+    }
+
+    /**
+     * Upcoming appointments booked for a patient, soonest first.
+     * @param {string} rut
+     * @param {string} [sessionId]
+     */
+    async findAppointmentsByRut(rut, sessionId = null) {
+        log('info', `[AGENDA DOMAIN] Looking for appointments of RUT ${rut}`);
+
+        flowTrace({
+            traceId: sessionId,
+            layer: 'DOMAIN',
+            flow: 'AGENDA',
+            step: 'FIND_APPS',
+            depth: 2,
+            module: 'domains/agenda/agenda.domain.js',
+            fn: 'findAppointmentsByRut',
+            action: 'INVOKE_REPO',
+            result: 'START'
+        });
+
+        const appointments = await repo.findAppointmentsByRut(rut);
+        return appointments.map(appointment => ({
+            ...appointment,
+            formattedTime: this._formatTime(appointment.hora_disponible),
+            formattedDate: this._formatDate(appointment.fecha)
+        }));
+    }
+
+    /**
+     * Cancel a booked appointment (the slot becomes available again).
+     * @param {object} params
+     * @param {string} params.rut
+     * @param {import('./agenda.types.js').AppointmentSlot} params.appointment
+     * @param {string} params.sessionId
+     * @param {string} [params.reason]
+     * @returns {Promise<import('./agenda.types.js').AppointmentChange>}
+     */
+    async cancelAppointment({ rut, appointment, sessionId, reason = null }) {
+        log('info', `[AGENDA DOMAIN] Cancelling appointment ${appointment.id_disponibilidad} for RUT ${rut}`);
+
+        flowTrace({
+            traceId: sessionId,
+            layer: 'DOMAIN',
+            flow: 'AGENDA',
+            step: 'CANCEL_APP',
+            depth: 2,
+            module: 'domains/agenda/agenda.domain.js',
+            fn: 'cancelAppointment',
+            action: 'INVOKE_REPO',
+            result: 'START'
+        });
+
+        return repo.cancelAppointment({
+            appointmentId: appointment.id_disponibilidad,
+            rut,
+            sessionId,
+            source: 'voicebot',
+            reason
+        });
+    }
+
+    /**
+     * Move a booked appointment to a new slot (usually the one held by findAndHoldNextSlot).
+     * If the new slot was taken meanwhile, the session hold is released.
+     * @param {object} params
+     * @param {string} params.rut
+     * @param {import('./agenda.types.js').AppointmentSlot} params.appointment
+     * @param {import('./agenda.types.js').AppointmentSlot} params.slot
+     * @param {string} params.sessionId
+     * @param {string} [params.reason]
+     * @returns {Promise<import('./agenda.types.js').AppointmentChange>}
+     */
+    async rescheduleAppointment({ rut, appointment, slot, sessionId, reason = null }) {
+        log('info', `[AGENDA DOMAIN] Rescheduling appointment ${appointment.id_disponibilidad} → ${slot.id_disponibilidad} for RUT ${rut}`);
+
+        flowTrace({
+            traceId: sessionId,
+            layer: 'DOMAIN',
+            flow: 'AGENDA',
+            step: 'RESCHEDULE_APP',
+            depth: 2,
+            module: 'domains/agenda/agenda.domain.js',
+            fn: 'rescheduleAppointment',
+            action: 'INVOKE_REPO',
+            result: 'START'
+        });
+
+        const result = await repo.rescheduleAppointment({
+            appointmentId: appointment.id_disponibilidad,
+            newSlotId: slot.id_disponibilidad,
+            rut,
+            sessionId,
+            source: 'voicebot',
+            reason
         });
+
+        if (result.ok) {
+            await this._trackHold(tracker => tracker.forget(sessionId, slot.id_disponibilidad));
+        } else if (result.status === types.AGENDA_CONSTANTS.CHANGE_STATUS.SLOT_UNAVAILABLE) {
+            await this.releaseHold(sessionId);
+        }
+        return result;
     }
 
     /**
@@ -93,7 +306,20 @@ export class AgendaDomain {
      * @param {string} sessionId 
      */
     async releaseHold(sessionId) {
-        return repo.releaseHeldSlot(sessionId);
+        const released = await this._trackHold(tracker => tracker.release(sessionId, 'released'));
+        return released > 0 || repo.releaseHeldSlot(sessionId);
+    }
+
+    /**
+     * Hold tracking never breaks the booking flow (Redis down → the sweeper still clears SQL)
+     */
+    async _trackHold(fn) {
+        try {
+            return await fn(await getAgendaHoldTracker());
+        } catch (err) {
+            log('warn', `[AGENDA DOMAIN] Hold tracking error: ${err.message}`);
+            return null;
+        }
     }
 
     _formatTime(dateObj) {
@@ -0,0 +1,229 @@
+import { log } from '../../../lib/logger.js';
+import { AGENDA_CONSTANTS } from './agenda.types.js';
+
+/**
+ * Agenda Hold Tracker
+ * Tracks the slots each call holds (getAndHoldNextSlot) so they are not left
+ * locked when the caller hangs up mid-offer:
+ * - track(): every hold is recorded in Redis (agenda:holds:<sessionId>, backend:slotId → hold)
+ *   with the backend that took it: 'sql' from the domain, others from the client agenda port
+ * - call.hangup: holds of that session (linkedId / channelId) are released at once, each
+ *   through the releaser of its backend; a process only releases backends it has a releaser for
+ * - sweep(): every HOLD_SWEEP_MS expired holds are cleared in SQL (tracked or not)
+ * Every release publishes agenda.hold.released / agenda.hold.expired
+ * ({ sessionId, slotId, especialidad, backend, reason, at }).
+ */
+
+const holdsKey = (sessionId) => `agenda:holds:${sessionId}`;
+const holdField = (backend, slotId) => `${backend}:${slotId ?? 'session'}`;
+
+function safeParse(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return {};
+    }
+}
+
+export class AgendaHoldTracker {
+    /**
+     * @param {object} deps
+     * @param {object} deps.redis - Cliente Redis (duplicate() para la suscripción)
+     * @param {object} deps.repo - { releaseHeldSlot(sessionId), releaseExpiredHolds() }
+     * @param {object} [deps.releasers] - backend → async (sessionId) => boolean (default: sql vía repo)
+     * @param {number} [deps.sweepMs]
+     * @param {Function} [deps.now]
+     */
+    constructor({
+        redis,
+        repo = null,
+        releasers = { sql: (sessionId) => repo.releaseHeldSlot(sessionId) },
+        sweepMs = AGENDA_CONSTANTS.HOLD_SWEEP_MS,
+        now = () => Date.now()
+    }) {
+        this.redis = redis;
+        this.repo = repo;
+        this.releasers = releasers;
+        this.sweepMs = sweepMs;
+        this.now = now;
+        this.timer = null;
+        this.sweeping = false;
+        this.subscriber = null;
+    }
+
+    /**
+     * Subscribe to call.hangup and start the expiry sweeper
+     */
+    async start() {
+        await this.listen();
+        this.timer = setInterval(() => this.sweep(), this.sweepMs);
+        log('info', `📅 [AGENDA HOLDS] Tracker iniciado (sweep=${this.sweepMs}ms)`);
+    }
+
+    /**
+     * Subscribe to call.hangup only (processes without SQL access: no sweep)
+     */
+    async listen() {
+        if (this.subscriber) return;
+        this.subscriber = this.redis.duplicate();
+        await this.subscriber.connect();
+        await this.subscriber.subscribe('call.hangup', (msg) => this.onCallHangup(safeParse(msg)));
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.subscriber) {
+            await this.subscriber.unsubscribe().catch(() => { });
+            this.subscriber = null;
+        }
+    }
+
+    /**
+     * Record a hold taken by a session.
+     * @param {string} sessionId
+     * @param {import('./agenda.types.js').AppointmentSlot|{slotId, especialidad}} slot
+     * @param {object} [options]
+     * @param {string} [options.backend='sql'] - Backend que tomó el HOLD (n8n puede no exponer el slotId)
+     */
+    async track(sessionId, slot, { backend = 'sql' } = {}) {
+        const slotId = slot?.id_disponibilidad ?? slot?.slotId ?? null;
+        if (!sessionId || (slotId === null && backend === 'sql')) return;
+        const hold = {
+            slotId,
+            backend,
+            especialidad: slot.especialidad || null,
+            heldAt: this.now(),
+            holdUntil: this.now() + AGENDA_CONSTANTS.HOLD_DURATION_SECONDS * 1000
+        };
+        await this.redis.hSet(holdsKey(sessionId), holdField(backend, slotId), JSON.stringify(hold));
+        // La clave vence poco después del HOLD: una sesión olvidada no queda en Redis
+        await this.redis.expire(holdsKey(sessionId), AGENDA_CONSTANTS.HOLD_DURATION_SECONDS + 60);
+    }
+
+    /**
+     * The hold became an appointment (confirm / reschedule): stop tracking it without releasing.
+     * @param {string} sessionId
+     * @param {number} [slotId] - Sin slotId: todos los holds de la sesión
+     * @param {string} [backend='sql']
+     */
+    async forget(sessionId, slotId = null, backend = 'sql') {
+        if (!sessionId) return;
+        if (slotId === null) {
+            await this.redis.del(holdsKey(sessionId));
+            return;
+        }
+        await this.redis.hDel(holdsKey(sessionId), holdField(backend, slotId));
+    }
+
+    /**
+     * Active holds of a session.
+     * @param {string} sessionId
+     * @returns {Promise<Array<{slotId: number|null, backend: string, especialidad: string|null, heldAt: number, holdUntil: number}>>}
+     */
+    async getHolds(sessionId) {
+        const raw = await this.redis.hGetAll(holdsKey(sessionId));
+        return Object.values(raw || {}).map(safeParse).filter(hold => hold.backend || hold.slotId);
+    }
+
+    /**
+     * Release every hold of a session (backend + Redis) and publish agenda.hold.released.
+     * Holds of a backend without releaser in this process are left to the process that has one.
+     * @param {string} sessionId
+     * @param {string} [reason='released'] - released | hangup
+     * @returns {Promise<number>} Holds liberados
+     */
+    async release(sessionId, reason = 'released') {
+        const byBackend = new Map();
+        for (const hold of await this.getHolds(sessionId)) {
+            const backend = hold.backend || 'sql';
+            byBackend.set(backend, [...(byBackend.get(backend) || []), hold]);
+        }
+
+        let released = 0;
+        for (const [backend, holds] of byBackend) {
+            const releaser = this.releasers[backend];
+            if (!releaser) continue;
+
+            if (!await releaser(sessionId)) {
+                // El barrido (o el vencimiento en el backend) los libera; se conservan para reintentar en el próximo evento
+                log('warn', `⚠️ [AGENDA HOLDS] No se pudieron liberar ${holds.length} holds de ${sessionId} en ${backend} (${reason})`);
+                continue;
+            }
+
+            for (const hold of holds) {
+                await this.redis.hDel(holdsKey(sessionId), holdField(backend, hold.slotId));
+                await this.publish('agenda.hold.released', { sessionId, slotId: hold.slotId, especialidad: hold.especialidad, backend, reason });
+            }
+            released += holds.length;
+        }
+
+        if (released > 0) log('info', `📅 [AGENDA HOLDS] ${released} hold(s) liberados para ${sessionId} (${reason})`);
+        return released;
+    }
+
+    /**
+     * call.hangup: release holds of the call (engine sessions use linkedId)
+     */
+    async onCallHangup(call) {
+        const sessionIds = [...new Set([call?.linkedId, call?.channelId].filter(Boolean))];
+        try {
+            for (const sessionId of sessionIds) {
+                await this.release(sessionId, 'hangup');
+            }
+        } catch (err) {
+            log('error', `❌ [AGENDA HOLDS] Error liberando holds al colgar (${sessionIds.join(',')}): ${err.message}`);
+        }
+    }
+
+    /**
+     * Clear expired holds in SQL and publish agenda.hold.expired for each one
+     * @returns {Promise<number>} Holds vencidos liberados
+     */
+    async sweep() {
+        if (this.sweeping) return 0;
+        this.sweeping = true;
+        try {
+            const expired = await this.repo.releaseExpiredHolds();
+            for (const row of expired) {
+                const sessionId = row.SessionId || null;
+                if (sessionId) await this.forget(sessionId, row.id_disponibilidad);
+                await this.publish('agenda.hold.expired', {
+                    sessionId,
+                    slotId: row.id_disponibilidad,
+                    especialidad: row.especialidad || null,
+                    reason: 'expired'
+                });
+            }
+            if (expired.length > 0) {
+                log('info', `🧹 [AGENDA HOLDS] ${expired.length} hold(s) vencidos liberados`);
+            }
+            return expired.length;
+        } catch (err) {
+            log('error', `❌ [AGENDA HOLDS] Error en barrido de holds: ${err.message}`);
+            return 0;
+        } finally {
+            this.sweeping = false;
+        }
+    }
+
+    async publish(channel, payload) {
+        await this.redis.publish(channel, JSON.stringify({ ...payload, at: new Date(this.now()).toISOString() }));
+    }
+}
+
+let sharedTracker = null;
+
+/**
+ * Process-wide tracker on the shared Redis client and the agenda repository
+ */
+export async function getAgendaHoldTracker() {
+    if (!sharedTracker) {
+        const [{ default: redis }, repo] = await Promise.all([
+            import('../../../lib/redis.js'),
+            import('./agenda.repository.js')
+        ]);
+        sharedTracker = new AgendaHoldTracker({ redis, repo });
+    }
+    return sharedTracker;
+}
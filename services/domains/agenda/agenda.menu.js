@@ -0,0 +1,159 @@
+import {
+    parseDateTimeExpression,
+    matchesDateTime,
+    timeToMinutes,
+    addDays,
+    weekdayOf
+} from '../../core/engine/datetime/date-time-expressions.js';
+import { zonedParts, DEFAULT_TIMEZONE } from '../../core/ari/rules-engine.js';
+import { normalizeSpeech } from '../../core/engine/stt/stt-grammar.js';
+import { AGENDA_CONSTANTS } from './agenda.types.js';
+
+/**
+ * Agenda Slot Menu
+ * Picks the best slots for a spoken date / time preference and reads them out
+ * as a short menu ("la primera, el martes 20 de octubre a las 10:30; ...").
+ * The caller answers by position ("la segunda", "la última") or by what
+ * tells the options apart ("la del martes", "la de las diez y media").
+ * Pure functions: the domain fetches the candidates, this module ranks them.
+ */
+
+const WEEKDAY_NAMES = ['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo'];
+const MONTH_NAMES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+    'septiembre', 'octubre', 'noviembre', 'diciembre'];
+const POSITION_NAMES = ['la primera', 'la segunda', 'la tercera', 'la cuarta', 'la quinta'];
+
+const ORDINALS = [
+    { pattern: /\b(primer[ao]?|1ra|1ro)\b/, index: 0 },
+    { pattern: /\b(segund[ao]|2da|2do)\b/, index: 1 },
+    { pattern: /\b(tercer[ao]?|3ra|3ro)\b/, index: 2 },
+    { pattern: /\b(cuart[ao])\b/, index: 3 },
+    { pattern: /\b(quint[ao])\b/, index: 4 }
+];
+const LAST_PATTERN = /\b(ultim[ao])\b/;
+// "opción 2", "número tres", "la 2" (no "de la una": eso es una hora)
+const NUMBER_PATTERN = /(?<!\bde )\b(?:la|el|opcion|numero) (\d|uno|dos|tres|cuatro|cinco)\b/;
+const NUMBER_WORDS = { uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5 };
+
+/**
+ * Local date / time of a slot (DATE / TIME columns come back from mssql as UTC Dates;
+ * port slots carry 'YYYY-MM-DD' / 'HH:MM' strings)
+ * @param {import('./agenda.types.js').AppointmentSlot} slot
+ * @returns {{date: string, time: string}}
+ */
+export function slotParts(slot) {
+    const toIso = (value) => (value instanceof Date ? value.toISOString() : String(value || ''));
+    const fecha = toIso(slot.fecha);
+    const rawTime = slot.hora_disponible ?? slot.hora; // hora: cupos del port de agenda ('HH:MM')
+    const hora = rawTime instanceof Date
+        ? rawTime.toISOString().slice(11, 16)
+        : (String(rawTime || '').match(/(\d{1,2}):(\d{2})/) || [])[0] || fecha.slice(11, 16);
+    return { date: fecha.slice(0, 10), time: hora.padStart(5, '0') };
+}
+
+/**
+ * Best slots for a parsed expression: soonest first, closest to the exact time when one
+ * was asked, and spread out (no two options within MENU_MIN_GAP_MINUTES on the same day).
+ * If nothing matches the hours asked, the same days without the hour constraint are used (relaxed).
+ *
+ * @param {import('./agenda.types.js').AppointmentSlot[]} slots
+ * @param {object} expression - parseDateTimeExpression() result
+ * @param {object} [options]
+ * @param {number} [options.limit]
+ * @param {Date} [options.now]
+ * @param {string} [options.timeZone]
+ * @returns {{slots: Array<object>, relaxed: boolean}}
+ */
+export function rankSlots(slots, expression, { limit = AGENDA_CONSTANTS.MENU_SIZE, now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) {
+    const today = zonedParts(now, timeZone);
+    const upcoming = (slots || [])
+        .map(slot => ({ slot, ...slotParts(slot) }))
+        .filter(({ date, time }) => date > today.date || (date === today.date && timeToMinutes(time) > today.minutes));
+
+    let relaxed = false;
+    let matching = upcoming.filter(({ date, time }) => matchesDateTime(expression, date, time));
+    if (matching.length === 0 && (expression?.timeFrom || expression?.timeTo)) {
+        matching = upcoming.filter(({ date, time }) => matchesDateTime(expression, date, time, { ignoreTime: true }));
+        relaxed = matching.length > 0;
+    }
+
+    const target = expression?.exactTime ? timeToMinutes(expression.exactTime) : null;
+    const distance = ({ time }) => (target === null ? 0 : Math.abs(timeToMinutes(time) - target));
+    matching.sort((a, b) => a.date.localeCompare(b.date) || distance(a) - distance(b) || a.time.localeCompare(b.time));
+
+    const picked = [];
+    const tooClose = (candidate) => picked.some(chosen => chosen.date === candidate.date &&
+        Math.abs(timeToMinutes(chosen.time) - timeToMinutes(candidate.time)) < AGENDA_CONSTANTS.MENU_MIN_GAP_MINUTES);
+    for (const candidate of matching) {
+        if (picked.length >= limit) break;
+        if (!tooClose(candidate)) picked.push(candidate);
+    }
+    // Agenda apretada: completar con los que quedaron fuera por cercanía
+    for (const candidate of matching) {
+        if (picked.length >= limit) break;
+        if (!picked.includes(candidate)) picked.push(candidate);
+    }
+
+    picked.sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+    return {
+        slots: picked.map(({ slot, date, time }) => ({ ...slot, date, time })),
+        relaxed
+    };
+}
+
+/**
+ * "hoy a las 10:30" / "mañana a las 16:00" / "el martes 21 de octubre a las 9:00"
+ * @param {{date: string, time: string}} slot - rankSlots() item
+ */
+export function describeSlot(slot, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) {
+    const { date, time } = slot.date && slot.time ? slot : slotParts(slot);
+    const today = zonedParts(now, timeZone).date;
+    const hour = `a las ${Number(time.slice(0, 2))}:${time.slice(3, 5)}`;
+
+    if (date === today) return `hoy ${hour}`;
+    if (date === addDays(today, 1)) return `mañana ${hour}`;
+    const [, month, day] = date.split('-').map(Number);
+    return `el ${WEEKDAY_NAMES[weekdayOf(date) - 1]} ${day} de ${MONTH_NAMES[month - 1]} ${hour}`;
+}
+
+/**
+ * Menu read-out: "la primera, hoy a las 10:30; la segunda, ...; y la tercera, ..."
+ * (one slot: just its description)
+ */
+export function formatSlotMenu(slots, options = {}) {
+    const items = slots.map(slot => describeSlot(slot, options));
+    if (items.length <= 1) return items[0] || '';
+    return items
+        .map((item, i) => `${i === items.length - 1 ? 'y ' : ''}${POSITION_NAMES[i]}, ${item}`)
+        .join('; ');
+}
+
+/**
+ * Which menu option the caller picked
+ *
+ * @param {string} text - Transcript ("la segunda", "la del martes", "la de las diez y media")
+ * @param {Array<{date: string, time: string}>} slots - Menu as read out
+ * @returns {number|null} Index in slots, null if the answer does not pick one
+ */
+export function selectSlotFromMenu(text, slots, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) {
+    if (!slots?.length) return null;
+    const clean = normalizeSpeech(text || '');
+
+    if (LAST_PATTERN.test(clean)) return slots.length - 1;
+    const ordinal = ORDINALS.find(({ pattern }) => pattern.test(clean));
+    if (ordinal) return ordinal.index < slots.length ? ordinal.index : null;
+    const number = clean.match(NUMBER_PATTERN);
+    if (number) {
+        const index = (NUMBER_WORDS[number[1]] || Number(number[1])) - 1;
+        if (index >= 0 && index < slots.length) return index;
+    }
+
+    // "la del martes", "la de las diez y media": vale si deja una sola opción
+    const expression = parseDateTimeExpression(clean, { now, timeZone });
+    if (!expression.matched || expression.asap) return null;
+    const candidates = slots
+        .map((slot, index) => ({ index, date: slot.date, time: slot.time }))
+        .filter(({ date, time }) => matchesDateTime(expression, date, time) &&
+            (!expression.exactTime || expression.exactTime === time));
+    return candidates.length === 1 ? candidates[0].index : null;
+}
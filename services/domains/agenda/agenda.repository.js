@@ -1,10 +1,15 @@
-import { poolPromise, sql } from '../../../lib/db.js';
-import { log } from '../../../lib/logger.js';
-import { poolPromise, sql } from '../../../lib/db.js';
+import { poolPromise as realPoolPromise, sql } from '../../../lib/db.js';
 import { log } from '../../../lib/logger.js';
 import { AGENDA_CONSTANTS } from './agenda.types.js';
 import { flowTrace } from '../../core/telemetry/flow-trace.js';
 
+// internal poolPromise to allow injection during tests
+let poolPromise = realPoolPromise;
+
+export function setPoolPromiseForTests(promise) {
+    poolPromise = promise;
+}
+
 /**
  * Agenda Repository
  * Encapsulates direct database access for appointments and scheduling.
@@ -36,14 +41,27 @@ export async function getAndHoldNextSlot(especialidad, sessionId) {
             .input('SessionId', sql.VarChar, sessionId)
             .input('HoldSeconds', sql.Int, AGENDA_CONSTANTS.HOLD_DURATION_SECONDS)
             .query(`
+        DECLARE @Held TABLE (id_disponibilidad INT);
+
         UPDATE TOP(1) CLI_QUINTEROS_disponibilidad_horas
         SET HoldUntil = DATEADD(second, @HoldSeconds, GETDATE()), 
             SessionId = @SessionId
-        OUTPUT inserted.*
+        OUTPUT inserted.id_disponibilidad INTO @Held
         WHERE especialidad = @Especialidad
           AND (Estado = 'DISPONIBLE' OR Estado IS NULL) 
           AND (HoldUntil IS NULL OR HoldUntil < GETDATE())
-          AND fecha >= CAST(GETDATE() AS DATE)
+          AND fecha >= CAST(GETDATE() AS DATE);
+
+        -- Un HOLD por sesión: usp_Agenda_BookHeldSlot reserva el cupo que la sesión tiene en HOLD
+        UPDATE CLI_QUINTEROS_disponibilidad_horas
+        SET HoldUntil = NULL, SessionId = NULL
+        WHERE SessionId = @SessionId
+          AND (Estado = 'DISPONIBLE' OR Estado IS NULL)
+          AND EXISTS (SELECT 1 FROM @Held)
+          AND id_disponibilidad NOT IN (SELECT id_disponibilidad FROM @Held);
+
+        SELECT d.* FROM CLI_QUINTEROS_disponibilidad_horas d
+        JOIN @Held h ON h.id_disponibilidad = d.id_disponibilidad;
       `);
 
         const row = (result && result.recordset && result.recordset[0]) || null;
@@ -87,17 +105,95 @@ export async function getAvailabilityBySpecialty(especialidad, fecha) {
     }
 }
 
+/**
+ * Available (not held) slots of a specialty between two dates, soonest first.
+ * @param {string} especialidad
+ * @param {object} [range]
+ * @param {string} [range.dateFrom] - YYYY-MM-DD (default: hoy)
+ * @param {string} [range.dateTo] - YYYY-MM-DD inclusive (default: sin límite)
+ * @param {number} [range.limit]
+ * @returns {Promise<import('./agenda.types.js').AppointmentSlot[]>}
+ */
+export async function findAvailableSlots(especialidad, { dateFrom = null, dateTo = null, limit = AGENDA_CONSTANTS.MENU_CANDIDATES } = {}) {
+    try {
+        const pool = await poolPromise;
+        const result = await pool
+            .request()
+            .input('Especialidad', sql.VarChar, especialidad)
+            .input('DateFrom', sql.Date, dateFrom)
+            .input('DateTo', sql.Date, dateTo)
+            .input('Limit', sql.Int, limit)
+            .query(`
+        SELECT TOP (@Limit) *
+        FROM CLI_QUINTEROS_disponibilidad_horas
+        WHERE especialidad = @Especialidad
+          AND (Estado = 'DISPONIBLE' OR Estado IS NULL)
+          AND (HoldUntil IS NULL OR HoldUntil < GETDATE())
+          AND fecha >= CAST(GETDATE() AS DATE)
+          AND (@DateFrom IS NULL OR fecha >= @DateFrom)
+          AND (@DateTo IS NULL OR fecha <= @DateTo)
+        ORDER BY fecha, hora_disponible
+      `);
+        return (result && result.recordset) || [];
+    } catch (err) {
+        log('error', `[AGENDA REPO] findAvailableSlots error: ${err.message}`);
+        return [];
+    }
+}
+
+/**
+ * Hold one specific slot for a session (the option the caller picked from the menu).
+ * @param {number} slotId
+ * @param {string} sessionId
+ * @returns {Promise<import('./agenda.types.js').AppointmentSlot | null>} null si ya fue tomado
+ */
+export async function holdSlot(slotId, sessionId) {
+    try {
+        const pool = await poolPromise;
+        const result = await pool
+            .request()
+            .input('IdDisponibilidad', sql.Int, slotId)
+            .input('SessionId', sql.VarChar, sessionId)
+            .input('HoldSeconds', sql.Int, AGENDA_CONSTANTS.HOLD_DURATION_SECONDS)
+            .query(`
+        UPDATE CLI_QUINTEROS_disponibilidad_horas
+        SET HoldUntil = DATEADD(second, @HoldSeconds, GETDATE()),
+            SessionId = @SessionId
+        OUTPUT inserted.*
+        WHERE id_disponibilidad = @IdDisponibilidad
+          AND (Estado = 'DISPONIBLE' OR Estado IS NULL)
+          AND (HoldUntil IS NULL OR HoldUntil < GETDATE() OR SessionId = @SessionId);
+
+        -- Un HOLD por sesión: usp_Agenda_BookHeldSlot reserva el cupo que la sesión tiene en HOLD
+        IF @@ROWCOUNT > 0
+          UPDATE CLI_QUINTEROS_disponibilidad_horas
+          SET HoldUntil = NULL, SessionId = NULL
+          WHERE SessionId = @SessionId
+            AND id_disponibilidad <> @IdDisponibilidad
+            AND (Estado = 'DISPONIBLE' OR Estado IS NULL);
+      `);
+        return (result && result.recordset && result.recordset[0]) || null;
+    } catch (err) {
+        log('error', `[AGENDA REPO] holdSlot error: ${err.message}`);
+        return null;
+    }
+}
+
 /**
  * Confirm and schedule an appointment.
+ * usp_Agenda_ScheduleAppointment runs sp_ScheduleAppointment and marks the slot RESERVADA
+ * for the patient in one transaction, so findAppointmentsByRut / cancelAppointment /
+ * rescheduleAppointment can find it.
  * @param {object} params
  * @param {number|string} params.patientIdOrRut
  * @param {Date} params.fechaHora
  * @param {string} params.especialidad
  * @param {string} [params.source='voicebot']
  * @param {string} [params.sessionId]
+ * @param {number} [params.slotId] - Cupo confirmado, si sp_ScheduleAppointment no devuelve disponibilidadId
  * @returns {Promise<import('./agenda.types.js').AppointmentConfirmation>}
  */
-export async function scheduleAppointment({ patientIdOrRut, fechaHora, especialidad, source = 'voicebot', sessionId = null }) {
+export async function scheduleAppointment({ patientIdOrRut, fechaHora, especialidad, source = 'voicebot', sessionId = null, slotId = null }) {
     try {
         const pool = await poolPromise;
 
@@ -113,15 +209,20 @@ export async function scheduleAppointment({ patientIdOrRut, fechaHora, especiali
         req.input('Especialidad', sql.VarChar, especialidad);
         req.input('Source', sql.VarChar, source);
         req.input('SessionId', sql.VarChar, sessionId);
+        req.input('IdDisponibilidad', sql.Int, slotId);
 
-        const res = await req.execute('dbo.sp_ScheduleAppointment');
+        const res = await req.execute('dbo.usp_Agenda_ScheduleAppointment');
         const row = (res && res.recordset && res.recordset[0]) || null;
         if (!row) return { ok: false, error: 'no_result' };
 
+        const ok = (row.status && row.status.toString().toLowerCase() === 'ok') || false;
+        // not_found: el cupo ya es de otro RUT → la transacción revirtió también lo agendado
+        if (!ok) log('warn', `[AGENDA REPO] scheduleAppointment: cupo ${row.disponibilidadId || slotId} no agendado (${row.status})`);
+
         return {
-            ok: (row.status && row.status.toString().toLowerCase() === 'ok') || false,
+            ok,
             id: row.id || null,
-            disponibilidadId: row.disponibilidadId || null
+            disponibilidadId: row.disponibilidadId || slotId || null
         };
     } catch (err) {
         log('error', `[AGENDA REPO] scheduleAppointment error: ${err.message}`);
@@ -154,3 +255,174 @@ export async function releaseHeldSlot(sessionId) {
         return false;
     }
 }
+
+/**
+ * Clears every expired hold still marked on an available slot.
+ * @returns {Promise<Array<{id_disponibilidad: number, SessionId: string|null, especialidad: string}>>} Slots released
+ */
+export async function releaseExpiredHolds() {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request().query(`
+                UPDATE CLI_QUINTEROS_disponibilidad_horas
+                SET HoldUntil = NULL, SessionId = NULL
+                OUTPUT inserted.id_disponibilidad, deleted.SessionId, inserted.especialidad
+                WHERE HoldUntil < GETDATE()
+                  AND (Estado = 'DISPONIBLE' OR Estado IS NULL)
+            `);
+        return (result && result.recordset) || [];
+    } catch (err) {
+        log('error', `[AGENDA REPO] releaseExpiredHolds error: ${err.message}`);
+        return [];
+    }
+}
+
+/**
+ * Upcoming booked appointments for a patient (soonest first).
+ * @param {string} rut - RUT con guion (14348258-8)
+ * @returns {Promise<import('./agenda.types.js').AppointmentSlot[]>}
+ */
+export async function findAppointmentsByRut(rut) {
+    try {
+        const pool = await poolPromise;
+        const result = await pool
+            .request()
+            .input('Rut', sql.VarChar, rut)
+            .execute('dbo.usp_Agenda_FindAppointmentsByRut');
+        return (result && result.recordset) || [];
+    } catch (err) {
+        log('error', `[AGENDA REPO] findAppointmentsByRut error: ${err.message}`);
+        return [];
+    }
+}
+
+/**
+ * Cancels a booked appointment (slot back to DISPONIBLE + audit row, one transaction).
+ * @param {object} params
+ * @param {number} params.appointmentId - id_disponibilidad de la hora reservada
+ * @param {string} params.rut
+ * @param {string} [params.sessionId]
+ * @param {string} [params.source='voicebot']
+ * @param {string} [params.reason]
+ * @returns {Promise<import('./agenda.types.js').AppointmentChange>}
+ */
+export async function cancelAppointment({ appointmentId, rut, sessionId = null, source = 'voicebot', reason = null }) {
+    flowTrace({
+        traceId: sessionId,
+        layer: 'REPOSITORY',
+        flow: 'AGENDA',
+        step: 'CANCEL_APP',
+        depth: 3,
+        module: 'domains/agenda/agenda.repository.js',
+        fn: 'cancelAppointment',
+        action: 'EXEC_SQL',
+        result: 'START'
+    });
+    try {
+        const pool = await poolPromise;
+        const res = await pool
+            .request()
+            .input('IdDisponibilidad', sql.Int, appointmentId)
+            .input('Rut', sql.VarChar, rut)
+            .input('SessionId', sql.VarChar, sessionId)
+            .input('Source', sql.VarChar, source)
+            .input('Motivo', sql.NVarChar, reason)
+            .execute('dbo.usp_Agenda_CancelAppointment');
+        return changeResult(res);
+    } catch (err) {
+        log('error', `[AGENDA REPO] cancelAppointment error: ${err.message}`);
+        return { ok: false, status: AGENDA_CONSTANTS.CHANGE_STATUS.ERROR, error: err.message };
+    }
+}
+
+/**
+ * Moves a booked appointment to another slot (book new + free old + audit row, one transaction).
+ * The new slot may be held by the same session (getAndHoldNextSlot).
+ * @param {object} params
+ * @param {number} params.appointmentId - id_disponibilidad de la hora reservada
+ * @param {number} params.newSlotId - id_disponibilidad del cupo nuevo
+ * @param {string} params.rut
+ * @param {string} [params.sessionId]
+ * @param {string} [params.source='voicebot']
+ * @param {string} [params.reason]
+ * @returns {Promise<import('./agenda.types.js').AppointmentChange>}
+ */
+export async function rescheduleAppointment({ appointmentId, newSlotId, rut, sessionId = null, source = 'voicebot', reason = null }) {
+    flowTrace({
+        traceId: sessionId,
+        layer: 'REPOSITORY',
+        flow: 'AGENDA',
+        step: 'RESCHEDULE_APP',
+        depth: 3,
+        module: 'domains/agenda/agenda.repository.js',
+        fn: 'rescheduleAppointment',
+        action: 'EXEC_SQL',
+        result: 'START'
+    });
+    try {
+        const pool = await poolPromise;
+        const res = await pool
+            .request()
+            .input('IdDisponibilidad', sql.Int, appointmentId)
+            .input('NuevaIdDisponibilidad', sql.Int, newSlotId)
+            .input('Rut', sql.VarChar, rut)
+            .input('SessionId', sql.VarChar, sessionId)
+            .input('Source', sql.VarChar, source)
+            .input('Motivo', sql.NVarChar, reason)
+            .execute('dbo.usp_Agenda_RescheduleAppointment');
+        return changeResult(res);
+    } catch (err) {
+        log('error', `[AGENDA REPO] rescheduleAppointment error: ${err.message}`);
+        return { ok: false, status: AGENDA_CONSTANTS.CHANGE_STATUS.ERROR, error: err.message };
+    }
+}
+
+/**
+ * Books the slot this session holds (HOLD → RESERVADA + audit row, one transaction).
+ * SQL counterpart of the n8n CONFIRM_AVAILABILITY event.
+ * @param {object} params
+ * @param {string} params.sessionId
+ * @param {string} params.rut
+ * @param {string} [params.source='voicebot']
+ * @returns {Promise<import('./agenda.types.js').AppointmentChange & { slot?: import('./agenda.types.js').AppointmentSlot }>}
+ */
+export async function bookHeldSlot({ sessionId, rut, source = 'voicebot' }) {
+    flowTrace({
+        traceId: sessionId,
+        layer: 'REPOSITORY',
+        flow: 'AGENDA',
+        step: 'BOOK_HELD',
+        depth: 3,
+        module: 'domains/agenda/agenda.repository.js',
+        fn: 'bookHeldSlot',
+        action: 'EXEC_SQL',
+        result: 'START'
+    });
+    try {
+        const pool = await poolPromise;
+        const res = await pool
+            .request()
+            .input('SessionId', sql.VarChar, sessionId)
+            .input('Rut', sql.VarChar, rut)
+            .input('Source', sql.VarChar, source)
+            .execute('dbo.usp_Agenda_BookHeldSlot');
+        const result = changeResult(res);
+        return result.ok ? { ...result, slot: res.recordset[0] } : result;
+    } catch (err) {
+        log('error', `[AGENDA REPO] bookHeldSlot error: ${err.message}`);
+        return { ok: false, status: AGENDA_CONSTANTS.CHANGE_STATUS.ERROR, error: err.message };
+    }
+}
+
+function changeResult(res) {
+    const row = (res && res.recordset && res.recordset[0]) || null;
+    if (!row) return { ok: false, status: AGENDA_CONSTANTS.CHANGE_STATUS.ERROR, error: 'no_result' };
+
+    const status = String(row.status || '').toLowerCase();
+    return {
+        ok: status === AGENDA_CONSTANTS.CHANGE_STATUS.OK,
+        status,
+        id: row.id_disponibilidad || null,
+        newId: row.nueva_id_disponibilidad || null
+    };
+}
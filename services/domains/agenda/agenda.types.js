@@ -18,6 +18,25 @@
  * @property {string} [error]
  */
 
+/**
+ * @typedef {Object} AppointmentChange
+ * @property {boolean} ok
+ * @property {string} status - ok | not_found | slot_unavailable | error
+ * @property {number} [id] - id_disponibilidad de la hora original
+ * @property {number} [newId] - id_disponibilidad del cupo nuevo (reschedule)
+ * @property {string} [error]
+ */
+
 export const AGENDA_CONSTANTS = {
-    HOLD_DURATION_SECONDS: 300
+    HOLD_DURATION_SECONDS: 300,
+    HOLD_SWEEP_MS: parseInt(process.env.AGENDA_HOLD_SWEEP_MS || '30000', 10), // Barrido de holds vencidos (agenda.holds.js)
+    MENU_SIZE: 3,               // Opciones leídas al paciente (agenda.menu.js)
+    MENU_MIN_GAP_MINUTES: 60,   // Separación mínima entre opciones del mismo día
+    MENU_CANDIDATES: 200,       // Cupos consultados para elegir las opciones
+    CHANGE_STATUS: Object.freeze({
+        OK: 'ok',
+        NOT_FOUND: 'not_found',           // La hora no existe o no es de ese RUT
+        SLOT_UNAVAILABLE: 'slot_unavailable', // El cupo nuevo ya fue tomado
+        ERROR: 'error'
+    })
 };
@@ -1,8 +1,8 @@
 import {
-    parseRutFromSpeech,
     normalizeRut,
     isValidRut
 } from '../../core/engine/utils.js';
+import { parseRutFromSpeech } from '../../core/engine/identity/spoken-numbers.js';
 
 export function parseAndValidateRut(transcript) {
     const parsed = parseRutFromSpeech(transcript);
@@ -3,13 +3,14 @@
 // =========================================================
 // This service listens for 'call.post_processing' events,
 // takes the master MixMonitor recording, and generates a
-// high-fidelity transcription using OpenAI Whisper.
+// high-fidelity transcription through the core STT service.
 
 import fs from 'fs';
 import path from 'path';
 import redis from '../lib/redis.js';
 import { log } from '../lib/logger.js';
-import { OpenAIRealtimeClientV3 } from './voicebot/shared/openai-realtime-client-v3.js';
+import { getSttService } from './core/engine/stt/stt-service.js';
+import { inboundConfig as config } from './core/engine/config.js';
 import dotenv from 'dotenv';
 
 dotenv.config({ path: path.join(process.cwd(), '.env') });
@@ -20,7 +21,7 @@ const MASTER_RECS_PATH = '/var/spool/asterisk/monitor/voicebot';
 async function start() {
     log("info", "🚀 [Post-Call] Iniciando servicio de transcripción batch...");
 
-    const openai = new OpenAIRealtimeClientV3();
+    const stt = getSttService();
 
     // Suscribirse a eventos de post-procesamiento
     const subscriber = redis.duplicate();
@@ -35,7 +36,7 @@ async function start() {
 
             // 1. Esperar a que Asterisk cierre el archivo MixMonitor (grace period)
             setTimeout(async () => {
-                await processBatchTranscription(openai, linkedId, ani, dnis, timestamp);
+                await processBatchTranscription(stt, linkedId, ani, dnis, timestamp);
             }, 10000); // 10s de gracia
 
         } catch (err) {
@@ -44,7 +45,7 @@ async function start() {
     });
 }
 
-async function processBatchTranscription(openai, linkedId, ani, dnis, timestamp) {
+async function processBatchTranscription(stt, linkedId, ani, dnis, timestamp) {
     try {
         const date = new Date(timestamp);
         // Usar zona horaria local (America/Santiago) en lugar de UTC
@@ -64,8 +65,12 @@ async function processBatchTranscription(openai, linkedId, ani, dnis, timestamp)
 
         log("info", `🎙️ [Post-Call] Transcribiendo master WAV: ${mixName}`);
 
-        // 3. Llamar a Whisper (Batch/Offline)
-        const fullTranscriptText = await openai.transcribeAudioWithWhisper(mixPath);
+        // 3. Transcripción batch (sin prompt de fase: llamada completa)
+        // Un solo intento con timeout propio: reintentar una llamada completa duplica minutos de API
+        const { text: fullTranscriptText } = await stt.transcribe(mixPath, {
+            timeoutMs: config.stt.wholeCallTimeoutMs,
+            retries: 0
+        });
 
         if (!fullTranscriptText) {
             log("warn", `⚠️ [Post-Call] Whisper devolvió transcripción vacía para ${linkedId}`);
@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { log } from '../../lib/logger.js';
+
+/**
+ * 📇 Capsule Registry
+ * Cada cápsula en services/client/<id>/ declara en capsule.manifest.js
+ * los modes/DNIS que atiende, su versión y las features del core que necesita.
+ * El router resuelve contra este registro: agregar un cliente = agregar un manifest.
+ *
+ * PRINCIPIO: Fail-fast. Un mode o DNIS reclamado por dos cápsulas aborta el arranque.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CLIENT_ROOT = path.resolve(__dirname, '../client');
+export const MANIFEST_FILE = 'capsule.manifest.js';
+
+/**
+ * Features que el core ofrece a las cápsulas
+ */
+export const ENGINE_FEATURES = Object.freeze([
+    'stt.realtime',      // OpenAI Realtime (streaming)
+    'stt.legacy-batch',  // Grabación + Whisper batch
+    'stt.incremental',   // Deltas incrementales (captura RUT)
+    'snoop',             // Snoop RX para audio del llamante
+    'bvda-audio',        // Audios pregrabados en sounds/voicebot
+    'tts',               // TTS dinámico
+    'dtmf',              // Recolección DTMF (collectDigits / evento DTMF)
+    'webhooks'           // Webhooks de negocio (n8n)
+]);
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+let registryPromise = null;
+
+function registryError(code, message) {
+    const err = new Error(`${code}: ${message}`);
+    err.code = code;
+    return err;
+}
+
+function normalizeKey(value) {
+    return String(value).trim().toLowerCase();
+}
+
+/**
+ * Valida un manifest y devuelve la lista de errores (vacía si es válido)
+ */
+export function validateManifest(manifest, dirName, features = ENGINE_FEATURES) {
+    const errors = [];
+
+    if (!manifest || typeof manifest !== 'object') {
+        return [`${dirName}: manifest no exporta un objeto (type: ${typeof manifest})`];
+    }
+    if (typeof manifest.id !== 'string' || !manifest.id) {
+        errors.push(`${dirName}: id requerido`);
+    }
+    if (typeof manifest.version !== 'string' || !VERSION_PATTERN.test(manifest.version)) {
+        errors.push(`${dirName}: version inválida (${manifest.version}), se espera X.Y.Z`);
+    }
+    if (typeof manifest.entry !== 'string' || !manifest.entry) {
+        errors.push(`${dirName}: entry requerido`);
+    }
+
+    for (const field of ['modes', 'dnis', 'requiredFeatures', 'ttsCatalogs']) {
+        const value = manifest[field];
+        if (value !== undefined && (!Array.isArray(value) || value.some(v => typeof v !== 'string' || !v.trim()))) {
+            errors.push(`${dirName}: ${field} debe ser un arreglo de strings`);
+        }
+    }
+    if (manifest.tenantId !== undefined && !(Number.isInteger(manifest.tenantId) && manifest.tenantId > 0)) {
+        errors.push(`${dirName}: tenantId debe ser un entero positivo`);
+    }
+    if (!manifest.modes?.length && !manifest.dnis?.length) {
+        errors.push(`${dirName}: debe declarar al menos un mode o DNIS`);
+    }
+
+    const missing = (manifest.requiredFeatures || []).filter(f => !features.includes(f));
+    if (missing.length) {
+        errors.push(`${dirName}: features no soportadas por el core: ${missing.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Escanea las cápsulas y construye el registro
+ *
+ * @param {object} options
+ * @param {string} options.clientRoot - Directorio con las cápsulas (default: services/client)
+ * @param {string[]} options.features - Features disponibles en el core
+ * @returns {Promise<{capsules: object[], byMode: Map, byDnis: Map}>}
+ * @throws {Error} CAPSULE_MANIFEST_INVALID | CAPSULE_MODE_CONFLICT | CAPSULE_DNIS_CONFLICT
+ */
+export async function loadCapsuleRegistry({ clientRoot = CLIENT_ROOT, features = ENGINE_FEATURES } = {}) {
+    const capsules = [];
+    const byMode = new Map();
+    const byDnis = new Map();
+
+    const dirs = fs.readdirSync(clientRoot, { withFileTypes: true })
+        .filter(d => d.isDirectory())
+        .map(d => d.name)
+        .sort();
+
+    for (const dirName of dirs) {
+        const dir = path.join(clientRoot, dirName);
+        const manifestPath = path.join(dir, MANIFEST_FILE);
+
+        if (!fs.existsSync(manifestPath)) {
+            log('warn', `⚠️ [REGISTRY] ${dirName} no tiene ${MANIFEST_FILE} - cápsula no registrada`);
+            continue;
+        }
+
+        const manifest = (await import(pathToFileURL(manifestPath).href)).default;
+        const errors = validateManifest(manifest, dirName, features);
+        if (errors.length) {
+            throw registryError('CAPSULE_MANIFEST_INVALID', errors.join('; '));
+        }
+
+        const capsule = Object.freeze({
+            id: manifest.id,
+            version: manifest.version,
+            modes: (manifest.modes || []).map(normalizeKey),
+            dnis: (manifest.dnis || []).map(normalizeKey),
+            requiredFeatures: [...(manifest.requiredFeatures || [])],
+            tenantId: manifest.tenantId ?? null, // 🧭 Tenant de las reglas de negocio (null = DEFAULT_TENANT_ID)
+            ttsCatalogs: (manifest.ttsCatalogs || []).map(p => path.resolve(dir, p)), // 🔥 Catálogos de mensajes para el pre-warm TTS
+            entryPath: path.resolve(dir, manifest.entry),
+            dir
+        });
+
+        // 🛡️ Un mode/DNIS tiene un solo dueño
+        for (const mode of capsule.modes) {
+            const owner = byMode.get(mode);
+            if (owner) {
+                throw registryError('CAPSULE_MODE_CONFLICT', `mode '${mode}' reclamado por ${owner.id} y ${capsule.id}`);
+            }
+            byMode.set(mode, capsule);
+        }
+        for (const dnis of capsule.dnis) {
+            const owner = byDnis.get(dnis);
+            if (owner) {
+                throw registryError('CAPSULE_DNIS_CONFLICT', `DNIS '${dnis}' reclamado por ${owner.id} y ${capsule.id}`);
+            }
+            byDnis.set(dnis, capsule);
+        }
+
+        capsules.push(capsule);
+        log('info', `📇 [REGISTRY] Cápsula ${capsule.id}@${capsule.version} registrada`, {
+            modes: capsule.modes,
+            dnis: capsule.dnis,
+            requiredFeatures: capsule.requiredFeatures
+        });
+    }
+
+    return { capsules, byMode, byDnis };
+}
+
+/**
+ * Registro del proceso (se carga una sola vez)
+ */
+export function getCapsuleRegistry() {
+    if (!registryPromise) {
+        registryPromise = loadCapsuleRegistry().catch((err) => {
+            registryPromise = null;
+            throw err;
+        });
+    }
+    return registryPromise;
+}
+
+/**
+ * Busca la cápsula dueña de la llamada: primero por mode, luego por DNIS
+ *
+ * @returns {Promise<object|null>} Cápsula registrada o null
+ */
+export async function findCapsule(mode, dnis = null, registry = null) {
+    const { byMode, byDnis } = registry || await getCapsuleRegistry();
+
+    if (mode) {
+        const byModeMatch = byMode.get(normalizeKey(mode));
+        if (byModeMatch) return byModeMatch;
+    }
+    if (dnis) {
+        const byDnisMatch = byDnis.get(normalizeKey(dnis));
+        if (byDnisMatch) return byDnisMatch;
+    }
+    return null;
+}
+
+/**
+ * Importa el engine-adapter declarado por la cápsula
+ */
+export async function loadCapsuleEntry(capsule) {
+    const mod = await import(pathToFileURL(capsule.entryPath).href);
+    return mod.default;
+}
@@ -1,4 +1,6 @@
 import { log } from '../../lib/logger.js';
+import { findCapsule, loadCapsuleEntry, getCapsuleRegistry } from './capsule-registry.js';
+import { validateAndNormalizeCapsule } from '../core/engine/capsule-contract.js';
 
 /**
  * 🔐 Client Entry Router
@@ -20,41 +22,30 @@ async function getLegacyRouter() {
 /**
  * Resolves the appropriate Client Capsule (or Legacy Domain) for a given call mode.
  * @param {string} mode - The call mode (e.g., 'voicebot_identity_quintero')
+ * @param {string} dnis - Called number (capsules may claim DNIS instead of modes)
  * @returns {Promise<Function|null>} - The domain logic function (engine adapter) or null.
  */
-export async function resolveClientCapsule(mode) {
-    if (!mode) return null;
-
-    // Normalize mode check
-    const modeLower = mode.toLowerCase();
-    const parts = modeLower.split('_');
+export async function resolveClientCapsule(mode, dnis = null) {
+    if (!mode && !dnis) return null;
 
-    // 1. 🚀 Try Migrated Client Capsules (Priority)
-    let clientPath = null;
-    let clientName = null;
-
-    if (parts.includes('quintero')) {
-        clientPath = '../client/quintero/inbound/engine-adapter.js';
-        clientName = 'Quintero';
-    } else if (parts.includes('tomadatos') || (parts.length > 1 && parts[1] === 'upcom')) {
-        clientPath = '../client/upcom.tomadatos/inbound/engine-adapter.js';
-        clientName = 'Upcom';
-    }
+    // 1. 🚀 Try Migrated Client Capsules (Priority) - declared in capsule.manifest.js
+    const capsule = await findCapsule(mode, dnis);
 
-    if (clientPath) {
+    if (capsule) {
         try {
-            // Import relative to services/router/
-            const mod = await import(clientPath);
-            log('info', `✅ [ROUTER] Routing '${mode}' to ${clientName} Capsule`);
-            return mod.default;
+            const adapter = await loadCapsuleEntry(capsule);
+            log('info', `✅ [ROUTER] Routing '${mode}' to ${capsule.id}@${capsule.version} Capsule`);
+            return adapter;
         } catch (err) {
-            log('error', `⛔ [ROUTER] CRITICAL: Failed to load ${clientName} Capsule: ${err.message}. Aborting to prevent regression.`);
-            throw new Error(`CAPSULE_LOAD_FAILED: ${clientName} (${err.message})`);
+            log('error', `⛔ [ROUTER] CRITICAL: Failed to load ${capsule.id} Capsule: ${err.message}. Aborting to prevent regression.`);
+            throw new Error(`CAPSULE_LOAD_FAILED: ${capsule.id} (${err.message})`);
         }
     }
 
+    if (!mode) return null;
+
     // 2. 🐢 Legacy Fallback (Frozen)
-    // Only reachable if not a migrated client, or if capsule failed loading.
+    // Only reachable if no registered capsule claims the mode/DNIS.
     const legacy = await getLegacyRouter();
     if (legacy) {
         try {
@@ -72,3 +63,21 @@ export async function resolveClientCapsule(mode) {
     log('debug', `[ROUTER] No domain resolved for '${mode}' (Generic Mode)`);
     return null;
 }
+
+/**
+ * Loads every registered capsule and validates its contract (v1 or v2).
+ * Called at startup so an invalid capsule aborts the process before taking calls.
+ * @throws {Error} CAPSULE_CONTRACT_INVALID
+ */
+export async function validateRegisteredCapsules() {
+    const { capsules } = await getCapsuleRegistry();
+
+    for (const capsule of capsules) {
+        const adapter = await loadCapsuleEntry(capsule);
+        if (!validateAndNormalizeCapsule(adapter, capsule.id)) {
+            throw new Error(`CAPSULE_CONTRACT_INVALID: ${capsule.id}@${capsule.version}`);
+        }
+    }
+
+    log('info', `✅ [ROUTER] ${capsules.length} capsule(s) validated at load time`);
+}
@@ -2,6 +2,7 @@ import redis from "../lib/redis.js";
 import { sql, poolPromise } from "../lib/db.js";
 import { log } from "../lib/logger.js";
 import express from "express";
+import { getAgendaHoldTracker } from "./domains/agenda/agenda.holds.js";
 
 const app = express();
 const PORT = process.env.WATCHER_PORT || 3005;
@@ -189,6 +190,9 @@ const PORT = process.env.WATCHER_PORT || 3005;
         });
 
 
+        // 📅 Holds de agenda: se liberan al colgar y un barrido limpia los vencidos
+        await (await getAgendaHoldTracker()).start();
+
         log("info", "👂 Watcher escuchando eventos call.* y actualizando agentes vía SPs");
     } catch (err) {
         log("error", "❌ Error inicializando Telephony Watcher", err);
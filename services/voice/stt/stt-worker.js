@@ -1,7 +1,7 @@
 /**
  * 🎙️ STT WORKER - Procesador de segmentos con STT batch
  * 
- * Conecta extractor + OpenAI STT + parsers determinísticos
+ * Conecta extractor + STT (stt-service.js) + parsers determinísticos
  */
 
 import path from "node:path";
@@ -9,74 +9,28 @@ import os from "node:os";
 import fs from "node:fs";
 import { extractWavSegmentMs } from "../recording/extractor.js";
 import { log } from "../../../lib/logger.js";
-import { createReadStream } from "fs";
-
-// Usar FormData global (Node.js 18+) o importar form-data si es necesario
-// En Node.js 18+, FormData está disponible globalmente
-const FormData = globalThis.FormData;
+import { getSttService } from "../../core/engine/stt/stt-service.js";
 
 /**
  * Crear worker de STT
  * @param {Object} params
  * @param {Function} params.logger - Logger
  * @param {Function} params.getRecordingPathByCallId - Función que obtiene ruta de grabación
- * @param {Function} params.onTranscript - Callback cuando se recibe transcript
+ * @param {Function} params.onTranscript - Callback cuando se recibe transcript ({ segment, text, grammar })
+ * @param {Object} [params.sttPhases] - STT por fase declarado por la cápsula
+ * @param {Function} [params.getLanguage] - Idioma actual de la llamada ('auto' mientras se detecta)
+ * @param {Object} [params.stt] - SttService (default: getSttService())
  * @returns {Function} - Función worker
  */
 export function createSttWorker({
     logger,
     getRecordingPathByCallId,
-    onTranscript
+    onTranscript,
+    sttPhases = null,
+    getLanguage = () => undefined,
+    stt = getSttService()
 }) {
     const logFn = logger || log;
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-    const OPENAI_STT_MODEL = process.env.OPENAI_STT_MODEL || "whisper-1";
-    const STT_BATCH_URL = "https://api.openai.com/v1/audio/transcriptions";
-
-    /**
-     * Transcribir audio con OpenAI Whisper
-     * @param {string} wavPath - Ruta del archivo WAV
-     * @param {string} purpose - Propósito/fase (ej: LISTEN_RUT)
-     * @returns {Promise<string>} - Texto transcrito
-     */
-    async function openaiTranscribe(wavPath, purpose) {
-        if (!OPENAI_API_KEY) {
-            throw new Error("OPENAI_API_KEY no configurada");
-        }
-
-        // Crear FormData (Node.js 18+ tiene FormData global)
-        const form = new FormData();
-        const fileStream = createReadStream(wavPath);
-        form.append("file", fileStream, {
-            filename: path.basename(wavPath),
-            contentType: "audio/wav"
-        });
-        form.append("model", OPENAI_STT_MODEL);
-        form.append("language", "es"); // Español para Quintero
-
-        // Prompt opcional según fase
-        if (purpose === "LISTEN_RUT") {
-            form.append("prompt", "El usuario está diciendo un RUT chileno. Puede incluir números, guiones, puntos, y la palabra 'mil'. Ejemplo: 'dieciséis mil doscientos cuarenta y siete cero sesenta y siete'.");
-        }
-
-        // En Node.js 18+, FormData global no tiene getHeaders(), usar directamente
-        const response = await fetch(STT_BATCH_URL, {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${OPENAI_API_KEY}`
-                // No incluir Content-Type, fetch lo maneja automáticamente con FormData
-            },
-            body: form
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`OpenAI STT error: ${response.status} - ${errorText}`);
-        }
-
-        const result = await response.json();
-        return result.text || "";
-    }
 
     /**
      * Worker principal
@@ -102,10 +56,10 @@ export function createSttWorker({
                 sampleRate: 8000
             });
 
-            // 2. Transcribir con OpenAI
-            const text = await openaiTranscribe(tmpOut, segment.phase);
+            // 2. Transcribir (prompt/idioma/gramática según fase, reintentos y timeouts en stt-service)
+            const { text, grammar } = await stt.transcribe(tmpOut, { phase: segment.phase, sttPhases, language: getLanguage() });
 
-            logFn("info", `[STT] DONE segId=${segment.segId} phase=${segment.phase} text="${String(text).slice(0, 120)}"`);
+            logFn("info", `[STT] DONE segId=${segment.segId} phase=${segment.phase} text="${String(text).slice(0, 120)}"${grammar ? ` grammar=${grammar.matched ? grammar.value : 'no-match'}` : ''}`);
 
             // 3. Limpiar archivo temporal
             try {
@@ -115,7 +69,7 @@ export function createSttWorker({
             }
 
             // 4. Notificar transcript al handler
-            await onTranscript({ segment, text });
+            await onTranscript({ segment, text, grammar });
 
         } catch (err) {
             logFn("error", `[STT] Error procesando segmento ${segment.segId}: ${err.message}`, {
@@ -3,7 +3,7 @@
  * Extrae y normaliza RUTs desde texto hablado en español chileno
  */
 
-import { parseRutFromSpeech, extractRutHard, cleanAsrNoise } from '../../../../shared/utils.js';
+import { parseRutFromSpeech, extractRutHard, cleanAsrNoise } from '../../../../../core/engine/identity/spoken-numbers.js';
 
 /**
  * Extrae un candidato de RUT desde una transcripción
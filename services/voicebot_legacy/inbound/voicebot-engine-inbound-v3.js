@@ -16,7 +16,8 @@ import { log } from "../../../lib/logger.js";
 import { startRecording, stopRecording } from "../../../services/telephony-recorder.js";
 import { inboundConfig as config } from "./voicebot-config-inbound.js";
 import { buildPrompt } from "../shared/prompt-builder.js";
-import { extractRutFromText, normalizeRut, isValidRut, maskRut, formatRut, parseRutFromSpeech, extractRutHard, cleanAsrNoise } from "../shared/utils.js";
+import { extractRutFromText, normalizeRut, isValidRut, maskRut, formatRut } from "../shared/utils.js";
+import { parseRutFromSpeech, extractRutHard, cleanAsrNoise } from "../../core/engine/identity/spoken-numbers.js";
 import { getPatientByRut, getAndHoldNextSlot, scheduleAppointment } from "../shared/db-queries.js";
 import { sql, poolPromise } from "../../../lib/db.js";
 import { classifyInput } from "../shared/openai-classifier.js";
@@ -0,0 +1,264 @@
+-- ==========================================================
+-- 📅 AGENDA: RESERVA, CAMBIO Y ANULACIÓN DE HORAS
+-- ==========================================================
+-- SPs que usa services/domains/agenda/agenda.repository.js
+-- Una hora reservada es una fila de CLI_QUINTEROS_disponibilidad_horas con
+-- Estado = 'RESERVADA' y RutPaciente del paciente. Anular la devuelve a
+-- DISPONIBLE; cambiar reserva la nueva y libera la anterior. Cada operación
+-- corre en una transacción y deja su fila en CLI_QUINTEROS_agenda_auditoria.
+-- Toda reserva debe escribir Estado / RutPaciente: usp_Agenda_BookHeldSlot lo hace con
+-- el HOLD de la sesión y usp_Agenda_ScheduleAppointment con sp_ScheduleAppointment + marca.
+--
+-- Resultado de book/cancel/reschedule: una fila { status, ... } con status
+--   ok | not_found (la hora no existe o no es de ese RUT, o el HOLD venció) | slot_unavailable (cupo nuevo tomado)
+
+-- ==========================================================
+-- 1️⃣ Columnas de reserva en disponibilidad_horas
+-- ==========================================================
+IF COL_LENGTH('dbo.CLI_QUINTEROS_disponibilidad_horas', 'RutPaciente') IS NULL
+    ALTER TABLE dbo.CLI_QUINTEROS_disponibilidad_horas ADD RutPaciente VARCHAR(12) NULL; -- 14348258-8
+IF COL_LENGTH('dbo.CLI_QUINTEROS_disponibilidad_horas', 'ReservadaAt') IS NULL
+    ALTER TABLE dbo.CLI_QUINTEROS_disponibilidad_horas ADD ReservadaAt DATETIME NULL;
+GO
+
+-- ==========================================================
+-- 2️⃣ TABLA CLI_QUINTEROS_agenda_auditoria
+-- ==========================================================
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='CLI_QUINTEROS_agenda_auditoria' AND xtype='U')
+BEGIN
+    CREATE TABLE CLI_QUINTEROS_agenda_auditoria (
+        AuditoriaId INT IDENTITY(1,1) PRIMARY KEY,
+        Accion VARCHAR(20) NOT NULL,                 -- BOOK | CANCEL | RESCHEDULE
+        RutPaciente VARCHAR(12) NOT NULL,
+        IdDisponibilidad INT NOT NULL,               -- hora original
+        IdDisponibilidadNueva INT NULL,              -- solo RESCHEDULE
+        SessionId VARCHAR(64) NULL,                  -- linkedId de la llamada
+        Source VARCHAR(20) NOT NULL DEFAULT 'voicebot',
+        Motivo NVARCHAR(200) NULL,
+        CreatedAt DATETIME NOT NULL DEFAULT GETDATE()
+    );
+    CREATE INDEX IX_AgendaAuditoria_Rut ON CLI_QUINTEROS_agenda_auditoria (RutPaciente, CreatedAt);
+    PRINT '✅ Tabla CLI_QUINTEROS_agenda_auditoria creada';
+END
+ELSE
+    PRINT 'ℹ️ Tabla CLI_QUINTEROS_agenda_auditoria ya existe';
+GO
+
+-- ==========================================================
+-- 3️⃣ Horas futuras de un paciente
+-- ==========================================================
+CREATE OR ALTER PROCEDURE usp_Agenda_FindAppointmentsByRut
+  @Rut VARCHAR(12)
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT id_disponibilidad, fecha, hora_disponible, especialidad, doctor_box, requisito
+  FROM dbo.CLI_QUINTEROS_disponibilidad_horas
+  WHERE RutPaciente = @Rut
+    AND Estado = 'RESERVADA'
+    AND fecha >= CAST(GETDATE() AS DATE)
+  ORDER BY fecha, hora_disponible;
+END
+GO
+
+-- ==========================================================
+-- 4️⃣ Anular una hora (vuelve a DISPONIBLE)
+-- ==========================================================
+CREATE OR ALTER PROCEDURE usp_Agenda_CancelAppointment
+  @IdDisponibilidad INT,
+  @Rut VARCHAR(12),
+  @SessionId VARCHAR(64) = NULL,
+  @Source VARCHAR(20) = 'voicebot',
+  @Motivo NVARCHAR(200) = NULL
+AS
+BEGIN
+  SET NOCOUNT ON;
+  SET XACT_ABORT ON;
+
+  BEGIN TRANSACTION;
+
+  UPDATE dbo.CLI_QUINTEROS_disponibilidad_horas
+  SET Estado = 'DISPONIBLE', RutPaciente = NULL, ReservadaAt = NULL, HoldUntil = NULL, SessionId = NULL
+  WHERE id_disponibilidad = @IdDisponibilidad
+    AND RutPaciente = @Rut
+    AND Estado = 'RESERVADA';
+
+  IF @@ROWCOUNT = 0
+  BEGIN
+    ROLLBACK TRANSACTION;
+    SELECT 'not_found' AS status;
+    RETURN;
+  END
+
+  INSERT INTO dbo.CLI_QUINTEROS_agenda_auditoria (Accion, RutPaciente, IdDisponibilidad, SessionId, Source, Motivo)
+  VALUES ('CANCEL', @Rut, @IdDisponibilidad, @SessionId, @Source, @Motivo);
+
+  COMMIT TRANSACTION;
+  SELECT 'ok' AS status, @IdDisponibilidad AS id_disponibilidad;
+END
+GO
+
+-- ==========================================================
+-- 5️⃣ Cambiar una hora (reserva la nueva y libera la anterior)
+-- ==========================================================
+-- El cupo nuevo puede venir con HOLD de esta misma sesión (getAndHoldNextSlot)
+CREATE OR ALTER PROCEDURE usp_Agenda_RescheduleAppointment
+  @IdDisponibilidad INT,
+  @NuevaIdDisponibilidad INT,
+  @Rut VARCHAR(12),
+  @SessionId VARCHAR(64) = NULL,
+  @Source VARCHAR(20) = 'voicebot',
+  @Motivo NVARCHAR(200) = NULL
+AS
+BEGIN
+  SET NOCOUNT ON;
+  SET XACT_ABORT ON;
+
+  BEGIN TRANSACTION;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM dbo.CLI_QUINTEROS_disponibilidad_horas WITH (UPDLOCK, ROWLOCK)
+    WHERE id_disponibilidad = @IdDisponibilidad AND RutPaciente = @Rut AND Estado = 'RESERVADA'
+  )
+  BEGIN
+    ROLLBACK TRANSACTION;
+    SELECT 'not_found' AS status;
+    RETURN;
+  END
+
+  UPDATE dbo.CLI_QUINTEROS_disponibilidad_horas
+  SET Estado = 'RESERVADA', RutPaciente = @Rut, ReservadaAt = GETDATE(), HoldUntil = NULL, SessionId = @SessionId
+  WHERE id_disponibilidad = @NuevaIdDisponibilidad
+    AND (Estado = 'DISPONIBLE' OR Estado IS NULL)
+    AND (HoldUntil IS NULL OR HoldUntil < GETDATE() OR SessionId = @SessionId)
+    AND fecha >= CAST(GETDATE() AS DATE);
+
+  IF @@ROWCOUNT = 0
+  BEGIN
+    ROLLBACK TRANSACTION;
+    SELECT 'slot_unavailable' AS status;
+    RETURN;
+  END
+
+  UPDATE dbo.CLI_QUINTEROS_disponibilidad_horas
+  SET Estado = 'DISPONIBLE', RutPaciente = NULL, ReservadaAt = NULL, HoldUntil = NULL, SessionId = NULL
+  WHERE id_disponibilidad = @IdDisponibilidad;
+
+  INSERT INTO dbo.CLI_QUINTEROS_agenda_auditoria (Accion, RutPaciente, IdDisponibilidad, IdDisponibilidadNueva, SessionId, Source, Motivo)
+  VALUES ('RESCHEDULE', @Rut, @IdDisponibilidad, @NuevaIdDisponibilidad, @SessionId, @Source, @Motivo);
+
+  COMMIT TRANSACTION;
+  SELECT 'ok' AS status, @IdDisponibilidad AS id_disponibilidad, @NuevaIdDisponibilidad AS nueva_id_disponibilidad;
+END
+GO
+
+-- ==========================================================
+-- 6️⃣ Agendar una hora y marcarla RESERVADA (una transacción)
+-- ==========================================================
+-- sp_ScheduleAppointment (flujo histórico de confirmación) no escribe Estado / RutPaciente:
+-- sin la marca la hora no aparece en usp_Agenda_FindAppointmentsByRut y no se puede anular ni cambiar.
+-- Si el cupo ya es de otro RUT se revierte también lo agendado. @IdDisponibilidad cubre
+-- las versiones de sp_ScheduleAppointment que no devuelven disponibilidadId.
+-- Resultado: una fila { status, id, disponibilidadId } (status ok | not_found | el de sp_ScheduleAppointment)
+CREATE OR ALTER PROCEDURE usp_Agenda_ScheduleAppointment
+  @PatientId INT = NULL,
+  @PatientRut VARCHAR(12) = NULL,
+  @FechaHora DATETIME,
+  @Especialidad VARCHAR(100),
+  @Source VARCHAR(20) = 'voicebot',
+  @SessionId VARCHAR(64) = NULL,
+  @IdDisponibilidad INT = NULL
+AS
+BEGIN
+  SET NOCOUNT ON;
+  SET XACT_ABORT ON;
+
+  DECLARE @Scheduled TABLE (status VARCHAR(20), id INT, disponibilidadId INT);
+  DECLARE @Status VARCHAR(20), @Id INT, @Disponibilidad INT;
+
+  BEGIN TRANSACTION;
+
+  INSERT INTO @Scheduled (status, id, disponibilidadId)
+  EXEC dbo.sp_ScheduleAppointment
+    @PatientId = @PatientId,
+    @PatientRut = @PatientRut,
+    @FechaHora = @FechaHora,
+    @Especialidad = @Especialidad,
+    @Source = @Source,
+    @SessionId = @SessionId;
+
+  SELECT TOP(1) @Status = status, @Id = id, @Disponibilidad = COALESCE(disponibilidadId, @IdDisponibilidad)
+  FROM @Scheduled;
+
+  IF @Status IS NULL OR LOWER(@Status) <> 'ok'
+  BEGIN
+    ROLLBACK TRANSACTION;
+    SELECT @Status AS status, @Id AS id, @Disponibilidad AS disponibilidadId;
+    RETURN;
+  END
+
+  IF @PatientRut IS NOT NULL AND @Disponibilidad IS NOT NULL
+  BEGIN
+    UPDATE dbo.CLI_QUINTEROS_disponibilidad_horas
+    SET Estado = 'RESERVADA', RutPaciente = @PatientRut, ReservadaAt = GETDATE(), HoldUntil = NULL
+    WHERE id_disponibilidad = @Disponibilidad
+      AND (RutPaciente IS NULL OR RutPaciente = @PatientRut);
+
+    IF @@ROWCOUNT = 0
+    BEGIN
+      ROLLBACK TRANSACTION;
+      SELECT 'not_found' AS status, NULL AS id, @Disponibilidad AS disponibilidadId;
+      RETURN;
+    END
+
+    INSERT INTO dbo.CLI_QUINTEROS_agenda_auditoria (Accion, RutPaciente, IdDisponibilidad, SessionId, Source)
+    VALUES ('BOOK', @PatientRut, @Disponibilidad, @SessionId, @Source);
+  END
+
+  COMMIT TRANSACTION;
+  SELECT 'ok' AS status, @Id AS id, @Disponibilidad AS disponibilidadId;
+END
+GO
+
+-- ==========================================================
+-- 7️⃣ Reservar el cupo en HOLD de la sesión
+-- ==========================================================
+-- Equivalente SQL de CONFIRM_AVAILABILITY (n8n): el HOLD vigente de la
+-- sesión pasa a RESERVADA para el RUT. Sin HOLD vigente → not_found.
+CREATE OR ALTER PROCEDURE usp_Agenda_BookHeldSlot
+  @SessionId VARCHAR(64),
+  @Rut VARCHAR(12),
+  @Source VARCHAR(20) = 'voicebot'
+AS
+BEGIN
+  SET NOCOUNT ON;
+  SET XACT_ABORT ON;
+
+  BEGIN TRANSACTION;
+
+  DECLARE @Booked TABLE (id_disponibilidad INT);
+
+  UPDATE TOP(1) dbo.CLI_QUINTEROS_disponibilidad_horas
+  SET Estado = 'RESERVADA', RutPaciente = @Rut, ReservadaAt = GETDATE(), HoldUntil = NULL
+  OUTPUT inserted.id_disponibilidad INTO @Booked
+  WHERE SessionId = @SessionId
+    AND HoldUntil >= GETDATE()
+    AND (Estado = 'DISPONIBLE' OR Estado IS NULL);
+
+  IF NOT EXISTS (SELECT 1 FROM @Booked)
+  BEGIN
+    ROLLBACK TRANSACTION;
+    SELECT 'not_found' AS status;
+    RETURN;
+  END
+
+  INSERT INTO dbo.CLI_QUINTEROS_agenda_auditoria (Accion, RutPaciente, IdDisponibilidad, SessionId, Source)
+  SELECT 'BOOK', @Rut, id_disponibilidad, @SessionId, @Source FROM @Booked;
+
+  COMMIT TRANSACTION;
+  SELECT 'ok' AS status, d.id_disponibilidad, d.especialidad, d.fecha, d.hora_disponible, d.doctor_box
+  FROM dbo.CLI_QUINTEROS_disponibilidad_horas d
+  JOIN @Booked b ON b.id_disponibilidad = d.id_disponibilidad;
+END
+GO
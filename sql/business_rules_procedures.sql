@@ -0,0 +1,70 @@
+-- ==========================================================
+-- 🧭 REGLAS DE NEGOCIO / ENRUTAMIENTO (Rules Engine)
+-- ==========================================================
+-- Tablas y SPs que usa services/core/ari/business-rules.js
+-- Reglas ordenadas por tenant y DNIS: la primera que calza decide
+-- (mode de cápsula, cola, anuncio o rechazo). Filas legacy
+-- (schedule/vip/holiday con Param1/Param2 y sin Action) siguen valiendo.
+--
+-- Tras modificar reglas publicar en Redis:
+--   PUBLISH business-rules.invalidate '{"tenantId":1}'
+
+USE OmniFlows_Telephony;
+
+-- ==========================================================
+-- 1️⃣ Columnas nuevas en BusinessRules
+-- ==========================================================
+IF COL_LENGTH('dbo.BusinessRules', 'Dnis') IS NULL
+    ALTER TABLE dbo.BusinessRules ADD Dnis VARCHAR(32) NULL;              -- NULL = todos los DNIS del tenant
+IF COL_LENGTH('dbo.BusinessRules', 'Priority') IS NULL
+    ALTER TABLE dbo.BusinessRules ADD Priority INT NOT NULL DEFAULT 100;  -- menor = se evalúa antes
+IF COL_LENGTH('dbo.BusinessRules', 'Params') IS NULL
+    ALTER TABLE dbo.BusinessRules ADD Params NVARCHAR(MAX) NULL;          -- JSON de la condición
+IF COL_LENGTH('dbo.BusinessRules', 'Negate') IS NULL
+    ALTER TABLE dbo.BusinessRules ADD Negate BIT NOT NULL DEFAULT 0;      -- invierte la condición
+IF COL_LENGTH('dbo.BusinessRules', 'Action') IS NULL
+    ALTER TABLE dbo.BusinessRules ADD Action VARCHAR(20) NULL;            -- CONTINUE | MODE | QUEUE | ANNOUNCE | REJECT
+IF COL_LENGTH('dbo.BusinessRules', 'ActionParam') IS NULL
+    ALTER TABLE dbo.BusinessRules ADD ActionParam VARCHAR(128) NULL;      -- mode / cola / audio / motivo
+GO
+
+-- ==========================================================
+-- 2️⃣ TABLA BusinessHolidays (calendarios de feriados)
+-- ==========================================================
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='BusinessHolidays' AND xtype='U')
+BEGIN
+    CREATE TABLE BusinessHolidays (
+        HolidayId INT IDENTITY(1,1) PRIMARY KEY,
+        TenantId INT NOT NULL DEFAULT 1,
+        Calendar VARCHAR(40) NOT NULL DEFAULT 'CL', -- referenciado por Params.calendar de la regla holiday
+        HolidayDate DATE NOT NULL,                  -- fecha local America/Santiago
+        Name NVARCHAR(100) NULL
+    );
+    CREATE INDEX IX_BusinessHolidays_Tenant ON BusinessHolidays (TenantId, Calendar, HolidayDate);
+    PRINT '✅ Tabla BusinessHolidays creada';
+END
+ELSE
+    PRINT 'ℹ️ Tabla BusinessHolidays ya existe';
+GO
+
+-- ==========================================================
+-- 3️⃣ Reglas + feriados del tenant (2 recordsets)
+-- ==========================================================
+CREATE OR ALTER PROCEDURE usp_BusinessRules_GetRouting
+  @TenantId INT
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT RuleId, TenantId, Dnis, Priority, RuleType, Params, Negate, Action, ActionParam,
+         Param1, Param2, IsActive
+  FROM dbo.BusinessRules
+  WHERE TenantId = @TenantId AND IsActive = 1
+  ORDER BY Priority, RuleId;
+
+  SELECT Calendar, CONVERT(CHAR(10), HolidayDate, 23) AS HolidayDate
+  FROM dbo.BusinessHolidays
+  WHERE TenantId = @TenantId
+    AND HolidayDate >= DATEADD(DAY, -1, CAST(GETDATE() AS DATE));
+END
+GO
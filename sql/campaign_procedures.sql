@@ -0,0 +1,138 @@
+-- ==========================================================
+-- 📣 CAMPAÑAS SALIENTES (Campaign Dialer)
+-- ==========================================================
+-- Tablas y SPs que usa services/core/campaign/campaign-store.js
+-- El dialer toma contactos vencidos, los marca DIALING al originar
+-- y escribe el resultado cuando llega call.hangup.
+
+USE OmniFlows_Telephony;
+
+-- ==========================================================
+-- 1️⃣ TABLA Campaigns
+-- ==========================================================
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='Campaigns' AND xtype='U')
+BEGIN
+    CREATE TABLE Campaigns (
+        CampaignId INT IDENTITY(1,1) PRIMARY KEY,
+        Name VARCHAR(100) NOT NULL,
+        TenantId INT NOT NULL DEFAULT 1,
+        Mode VARCHAR(64) NOT NULL,              -- mode ARI (cápsula) que atiende la llamada contestada
+        CallerId VARCHAR(32) NOT NULL,
+        Trunk VARCHAR(64) NULL,                 -- endpoint PJSIP/<numero>@<Trunk>
+        MaxConcurrent INT NOT NULL DEFAULT 5,
+        PacingRatio DECIMAL(4,2) NOT NULL DEFAULT 1.00,
+        WindowStart CHAR(5) NULL,               -- 'HH:MM' (NULL = regla schedule)
+        WindowEnd CHAR(5) NULL,
+        RetryRules NVARCHAR(MAX) NULL,          -- JSON { busy: { maxAttempts, delayMinutes }, ... }
+        Status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE', -- ACTIVE | PAUSED | FINISHED
+        CreatedAt DATETIME2 DEFAULT GETDATE(),
+        UpdatedAt DATETIME2 DEFAULT GETDATE()
+    );
+    PRINT '✅ Tabla Campaigns creada';
+END
+ELSE
+    PRINT 'ℹ️ Tabla Campaigns ya existe';
+
+-- ==========================================================
+-- 2️⃣ TABLA CampaignContacts
+-- ==========================================================
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='CampaignContacts' AND xtype='U')
+BEGIN
+    CREATE TABLE CampaignContacts (
+        ContactId INT IDENTITY(1,1) PRIMARY KEY,
+        CampaignId INT NOT NULL,
+        Phone VARCHAR(32) NOT NULL,
+        Payload NVARCHAR(MAX) NULL,             -- JSON con datos del recordatorio (viaja como variables del canal)
+        Status VARCHAR(20) NOT NULL DEFAULT 'PENDING', -- PENDING | DIALING | COMPLETED | FAILED
+        Attempts INT NOT NULL DEFAULT 0,
+        LastReason VARCHAR(40) NULL,
+        LastChannelId VARCHAR(64) NULL,
+        NextAttemptAt DATETIME2 NULL,
+        LastAttemptAt DATETIME2 NULL,
+        CompletedAt DATETIME2 NULL,
+        FOREIGN KEY (CampaignId) REFERENCES Campaigns(CampaignId)
+    );
+    CREATE INDEX IX_CampaignContacts_Due ON CampaignContacts (CampaignId, Status, NextAttemptAt);
+    PRINT '✅ Tabla CampaignContacts creada';
+END
+ELSE
+    PRINT 'ℹ️ Tabla CampaignContacts ya existe';
+GO
+
+-- ==========================================================
+-- 3️⃣ Campañas activas
+-- ==========================================================
+CREATE OR ALTER PROCEDURE usp_Campaigns_GetActive
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT CampaignId, Name, TenantId, Mode, CallerId, Trunk, MaxConcurrent, PacingRatio,
+         WindowStart, WindowEnd, RetryRules
+  FROM dbo.Campaigns
+  WHERE Status = 'ACTIVE';
+END
+GO
+
+-- ==========================================================
+-- 4️⃣ Contactos listos para marcar (PENDING y vencidos)
+-- ==========================================================
+CREATE OR ALTER PROCEDURE usp_CampaignContacts_GetDue
+  @CampaignId INT,
+  @Limit INT
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  SELECT TOP (@Limit) ContactId, CampaignId, Phone, Payload, Attempts
+  FROM dbo.CampaignContacts
+  WHERE CampaignId = @CampaignId
+    AND Status = 'PENDING'
+    AND (NextAttemptAt IS NULL OR NextAttemptAt <= GETDATE())
+  ORDER BY NextAttemptAt, ContactId;
+END
+GO
+
+-- ==========================================================
+-- 5️⃣ Marca un contacto como DIALING (un intento más)
+-- ==========================================================
+CREATE OR ALTER PROCEDURE usp_CampaignContacts_MarkDialing
+  @ContactId INT,
+  @ChannelId VARCHAR(64)
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  UPDATE dbo.CampaignContacts
+  SET Status = 'DIALING',
+      Attempts = Attempts + 1,
+      LastChannelId = @ChannelId,
+      LastAttemptAt = GETDATE()
+  WHERE ContactId = @ContactId AND Status = 'PENDING';
+
+  SELECT @@ROWCOUNT AS Updated;
+END
+GO
+
+-- ==========================================================
+-- 6️⃣ Resultado del intento (call.hangup)
+-- ==========================================================
+-- Status PENDING + NextAttemptAt = reintento programado
+CREATE OR ALTER PROCEDURE usp_CampaignContacts_SaveResult
+  @ContactId INT,
+  @ChannelId VARCHAR(64),
+  @Status VARCHAR(20),
+  @Reason VARCHAR(40),
+  @NextAttemptAt DATETIME2 = NULL
+AS
+BEGIN
+  SET NOCOUNT ON;
+
+  UPDATE dbo.CampaignContacts
+  SET Status = @Status,
+      LastReason = @Reason,
+      NextAttemptAt = @NextAttemptAt,
+      CompletedAt = CASE WHEN @Status IN ('COMPLETED', 'FAILED') THEN GETDATE() ELSE NULL END
+  WHERE ContactId = @ContactId AND LastChannelId = @ChannelId;
+END
+GO
@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Dominio + repositorio de agenda contra un pool MSSQL falso (Redis en memoria ← env, antes de importar)
+process.env.REDIS_DRIVER = "memory";
+
+const repo = await import("../../services/domains/agenda/agenda.repository.js");
+const { agendaDomain } = await import("../../services/domains/agenda/agenda.domain.js");
+
+const RUT = "14348258-8";
+
+/**
+ * Pool falso: registra cada request (inputs + procedimiento o query) y responde con rows[procedimiento]
+ */
+function fakePool(rows = {}) {
+    const calls = [];
+    const pool = {
+        calls,
+        request() {
+            const call = { inputs: {} };
+            const request = {
+                input(name, type, value) {
+                    call.inputs[name] = value;
+                    return request;
+                },
+                async execute(proc) {
+                    calls.push({ ...call, proc });
+                    return { recordset: rows[proc] ? [rows[proc]] : [] };
+                },
+                async query(text) {
+                    calls.push({ ...call, query: text });
+                    return { recordset: [], rowsAffected: [1] };
+                }
+            };
+            return request;
+        }
+    };
+    repo.setPoolPromiseForTests(Promise.resolve(pool));
+    return pool;
+}
+
+test("dominio: confirmar agenda y marca la hora RESERVADA para el RUT en un solo procedimiento", async () => {
+    const pool = fakePool({
+        "dbo.usp_Agenda_ScheduleAppointment": { status: "OK", id: 900, disponibilidadId: 41 }
+    });
+
+    const result = await agendaDomain.confirmAppointment({
+        rut: RUT,
+        slot: { id_disponibilidad: 41, fecha: "2026-10-21", especialidad: "MEDICINA GENERAL" },
+        sessionId: "call-book"
+    });
+
+    assert.deepEqual(result, { ok: true, id: 900, disponibilidadId: 41 });
+    assert.deepEqual(pool.calls.map(c => c.proc), ["dbo.usp_Agenda_ScheduleAppointment"]);
+    assert.equal(pool.calls[0].inputs.PatientRut, RUT);
+    assert.equal(pool.calls[0].inputs.IdDisponibilidad, 41);
+    assert.equal(pool.calls[0].inputs.SessionId, "call-book");
+});
+
+test("dominio: sin disponibilidadId se informa el cupo confirmado; cupo de otro RUT → la reserva no queda", async () => {
+    fakePool({ "dbo.usp_Agenda_ScheduleAppointment": { status: "ok", id: 901 } });
+    const slot = { id_disponibilidad: 52, fecha: "2026-10-22", especialidad: "PEDIATRÍA" };
+
+    const booked = await agendaDomain.confirmAppointment({ rut: RUT, slot, sessionId: "call-book-2" });
+    assert.deepEqual(booked, { ok: true, id: 901, disponibilidadId: 52 });
+
+    fakePool({ "dbo.usp_Agenda_ScheduleAppointment": { status: "not_found", id: null, disponibilidadId: 52 } });
+    const taken = await agendaDomain.confirmAppointment({ rut: RUT, slot, sessionId: "call-book-3" });
+    assert.equal(taken.ok, false);
+});
+
+test("dominio: cancelAppointment anula la hora del RUT y reporta not_found si no es suya", async () => {
+    const pool = fakePool({ "dbo.usp_Agenda_CancelAppointment": { status: "ok", id_disponibilidad: 41 } });
+    const appointment = { id_disponibilidad: 41, fecha: "2026-10-21", especialidad: "MEDICINA GENERAL" };
+
+    const ok = await agendaDomain.cancelAppointment({ rut: RUT, appointment, sessionId: "call-cancel", reason: "viaje" });
+    assert.deepEqual(ok, { ok: true, status: "ok", id: 41, newId: null });
+    assert.deepEqual(pool.calls[0].inputs, { IdDisponibilidad: 41, Rut: RUT, SessionId: "call-cancel", Source: "voicebot", Motivo: "viaje" });
+
+    fakePool({ "dbo.usp_Agenda_CancelAppointment": { status: "not_found" } });
+    const missing = await agendaDomain.cancelAppointment({ rut: "9876543-3", appointment, sessionId: "call-cancel" });
+    assert.deepEqual([missing.ok, missing.status], [false, "not_found"]);
+});
+
+test("dominio: rescheduleAppointment mueve la hora al cupo nuevo y libera el HOLD si ya fue tomado", async () => {
+    const appointment = { id_disponibilidad: 41, fecha: "2026-10-21", especialidad: "MEDICINA GENERAL" };
+    const slot = { id_disponibilidad: 77, fecha: "2026-10-23", especialidad: "MEDICINA GENERAL" };
+
+    const pool = fakePool({ "dbo.usp_Agenda_RescheduleAppointment": { status: "ok", id_disponibilidad: 41, nueva_id_disponibilidad: 77 } });
+    const moved = await agendaDomain.rescheduleAppointment({ rut: RUT, appointment, slot, sessionId: "call-change" });
+    assert.deepEqual(moved, { ok: true, status: "ok", id: 41, newId: 77 });
+    assert.equal(pool.calls[0].inputs.IdDisponibilidad, 41);
+    assert.equal(pool.calls[0].inputs.NuevaIdDisponibilidad, 77);
+    assert.equal(pool.calls.some(c => c.query), false, "sin liberar HOLD cuando el cambio resulta");
+
+    const taken = fakePool({ "dbo.usp_Agenda_RescheduleAppointment": { status: "slot_unavailable" } });
+    const result = await agendaDomain.rescheduleAppointment({ rut: RUT, appointment, slot, sessionId: "call-taken" });
+    assert.deepEqual([result.ok, result.status], [false, "slot_unavailable"]);
+    const release = taken.calls.find(c => c.query);
+    assert.ok(release, "libera el HOLD de la sesión");
+    assert.equal(release.inputs.SessionId, "call-taken");
+});
@@ -0,0 +1,200 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { zonedParts } from "../../services/core/ari/rules-engine.js";
+import { addDays } from "../../services/core/engine/datetime/date-time-expressions.js";
+
+// Fase 4 de Quintero: hand-off de la cápsula a la agenda y handlers de menú / cambio / anulación
+// contra el backend mock del port (fase, config.agenda y Redis en memoria ← env, antes de importar el bot)
+const RUT = "14348258-8";
+const RUT_CANCEL = "11111111-1";
+const RUT_CHANGE = "22222222-2";
+const RUT_KEEP = "9876543-3";
+const DAY = addDays(zonedParts(new Date()).date, 2);
+const tmp = mkdtempSync(join(tmpdir(), "agenda-handlers-"));
+const fixturesPath = join(tmp, "fixtures.json");
+writeFileSync(fixturesPath, JSON.stringify({
+    patients: { [RUT]: { nombre: "Juan Pérez", edad: 54 } },
+    slots: [
+        { id_disponibilidad: 1, especialidad: "MEDICINA GENERAL", fecha: DAY, hora: "09:00", doctor_box: "Box 1" },
+        { id_disponibilidad: 2, especialidad: "MEDICINA GENERAL", fecha: DAY, hora: "11:30", doctor_box: "Box 2" },
+        { id_disponibilidad: 3, especialidad: "MEDICINA GENERAL", fecha: DAY, hora: "16:00", doctor_box: "Box 3" },
+        { id_disponibilidad: 10, especialidad: "OFTALMOLOGÍA", fecha: DAY, hora: "10:00", doctor_box: "Box 4" },
+        // Horas ya reservadas (rutPaciente) para anular / cambiar
+        { id_disponibilidad: 20, especialidad: "CARDIOLOGÍA", fecha: DAY, hora: "08:30", doctor_box: "Box 5", rutPaciente: RUT_CANCEL },
+        { id_disponibilidad: 30, especialidad: "PEDIATRÍA", fecha: DAY, hora: "10:00", doctor_box: "Box 6", rutPaciente: RUT_CHANGE },
+        { id_disponibilidad: 31, especialidad: "PEDIATRÍA", fecha: addDays(DAY, 1), hora: "12:00", doctor_box: "Box 6" },
+        { id_disponibilidad: 40, especialidad: "TRAUMATOLOGÍA", fecha: DAY, hora: "15:00", doctor_box: "Box 7", rutPaciente: RUT_KEEP },
+        { id_disponibilidad: 41, especialidad: "TRAUMATOLOGÍA", fecha: addDays(DAY, 1), hora: "15:30", doctor_box: "Box 7" }
+    ]
+}));
+process.env.REDIS_DRIVER = "memory";
+process.env.QUINTERO_AGENDA_BACKEND = "mock";
+process.env.QUINTERO_AGENDA_MOCK_FIXTURES = fixturesPath;
+process.env.QUINTERO_PHASE = "4";
+
+const { getAgendaPort } = await import("../../services/client/quintero/ports/agenda-port.js");
+const { default: quinteroBot } = await import("../../services/client/quintero/bot/index.js");
+const { default: QuinteroPhasedCapsule } = await import("../../services/client/quintero/bot/capsules/phased-capsule.js");
+const handler = async (name) => (await import(`../../services/client/quintero/bot/handlers/${name}.js`)).default;
+const checkAvailability = await handler("check-availability");
+const selectSlot = await handler("select-slot");
+const confirmAppointment = await handler("confirm-appointment");
+const finalize = await handler("finalize");
+const manageAppointment = await handler("manage-appointment");
+const confirmCancel = await handler("confirm-cancel");
+const confirmReschedule = await handler("confirm-reschedule");
+const { findUpcomingAppointment } = await import("../../services/client/quintero/bot/handlers/manage-appointment.js");
+
+after(() => rmSync(tmp, { recursive: true, force: true }));
+
+const validated = (rut, sessionId) => ({
+    event: "WEBHOOK_RESPONSE",
+    sessionId,
+    webhookData: { action: "VALIDATE_PATIENT", data: { ok: true, patientFound: true, rut, nombre: "Juan Pérez", edad: 40 } },
+    state: { phasedCurrentState: "VALIDATE_PATIENT", phasedPatientRut: rut }
+});
+
+test("fase 4: paciente validado con hora reservada → MANAGE_APPOINTMENT en la state machine", async () => {
+    const ctx = validated(RUT_KEEP, "call-phase4");
+
+    const result = await new QuinteroPhasedCapsule(4).process(ctx);
+    assert.equal(result.nextPhase, "MANAGE_APPOINTMENT");
+    assert.match(result.ttsText, /cambiar o anular/i);
+    assert.equal(ctx.state.phasedAgenda, true);
+    assert.equal(ctx.state.dni, RUT_KEEP);
+    assert.equal(ctx.state.existingAppointment.appointmentId, 40);
+
+    // El turno siguiente ya no pasa por la cápsula: "anular" → CONFIRM_CANCEL
+    const state = { ...ctx.state, ...result.state, rutPhase: "MANAGE_APPOINTMENT" };
+    const next = await quinteroBot({ event: "TURN", sessionId: "call-phase4", transcript: "quiero anularla", state });
+    assert.equal(next.nextPhase, "CONFIRM_CANCEL");
+});
+
+test("fase 4: paciente validado sin horas → ASK_SPECIALTY", async () => {
+    const ctx = validated(RUT, "call-phase4-new");
+
+    const result = await new QuinteroPhasedCapsule(4).process(ctx);
+    assert.equal(result.nextPhase, "ASK_SPECIALTY");
+    assert.equal(ctx.state.existingAppointment, null);
+});
+
+test("fase 3: el paciente validado no entra a la agenda", async () => {
+    const ctx = validated(RUT_KEEP, "call-phase3");
+
+    await new QuinteroPhasedCapsule(3).process(ctx);
+    assert.notEqual(ctx.state.phasedAgenda, true);
+    assert.equal(ctx.state.existingAppointment, undefined);
+});
+
+test("handlers: SELECT_SLOT toma el HOLD y FINALIZE reserva ese cupo en el mismo backend", async () => {
+    const port = getAgendaPort();
+    assert.equal(port.name, "mock");
+    const ctx = (transcript) => ({ sessionId: "call-menu", transcript });
+    const state = { rutFormatted: RUT, especialidad: "MEDICINA GENERAL", dateRequest: { matched: true, dateFrom: DAY, dateTo: DAY } };
+
+    // Un HOLD previo de la sesión (primera disponible) no debe ser el que se reserva
+    await port.getNextAvailability(RUT, "MEDICINA GENERAL", "call-menu");
+    assert.equal(port.holds.get("call-menu").slot.id_disponibilidad, 1);
+
+    const menu = await checkAvailability(ctx(""), state);
+    assert.equal(menu.nextPhase, "SELECT_SLOT");
+    assert.deepEqual(state.slotMenu.slots.map(s => s.slotId), [1, 2, 3]);
+
+    const selected = await selectSlot(ctx("la segunda"), state);
+    assert.equal(selected.nextPhase, "CONFIRM_APPOINTMENT");
+    assert.match(selected.ttsText, /a las 11:30/);
+    assert.equal(port.holds.get("call-menu").slot.id_disponibilidad, 2, "el HOLD de la sesión pasa al cupo elegido");
+
+    assert.equal((await confirmAppointment(ctx("sí"), state)).nextPhase, "FINALIZE");
+    const done = await finalize(ctx(""), state);
+    assert.equal(done.nextPhase, "COMPLETE");
+    assert.deepEqual(port.bookings.filter(b => b.rut === RUT).map(b => [b.rut, b.slot.id_disponibilidad]), [[RUT, 2]]);
+
+    // El cupo del HOLD anterior quedó libre para otra llamada
+    assert.equal((await port.getNextAvailability("9876543-3", "MEDICINA GENERAL", "otra")).slotId, 1);
+});
+
+test("handlers: SELECT_SLOT con el cupo tomado por otra llamada vuelve a buscar", async () => {
+    const port = getAgendaPort();
+    const state = { rutFormatted: RUT, especialidad: "MEDICINA GENERAL", dateRequest: { matched: true, dateFrom: DAY, dateTo: DAY } };
+    await checkAvailability({ sessionId: "call-taken", transcript: "" }, state);
+    const last = state.slotMenu.slots.at(-1);
+    assert.equal((await port.holdSlot(last, "competidora")).held, true);
+
+    const result = await selectSlot({ sessionId: "call-taken", transcript: "la última" }, state);
+    assert.equal(result.nextPhase, "CHECK_AVAILABILITY");
+    assert.match(result.ttsText, /acaba de ser tomada/);
+    assert.equal(port.holds.has("call-taken"), false);
+});
+
+test("handlers: rechazar la hora del menú libera el HOLD en el backend", async () => {
+    const port = getAgendaPort();
+    const ctx = (transcript) => ({ sessionId: "call-menu-no", transcript });
+    const state = { rutFormatted: RUT, especialidad: "OFTALMOLOGÍA", dateRequest: { matched: true, dateFrom: DAY, dateTo: DAY } };
+
+    await checkAvailability(ctx(""), state);
+    await selectSlot(ctx("la primera"), state);
+    assert.equal(port.holds.get("call-menu-no").slot.id_disponibilidad, 10);
+
+    const rejected = await confirmAppointment(ctx("no"), state);
+    assert.equal(rejected.nextPhase, "ASK_DATE");
+    assert.equal(port.holds.has("call-menu-no"), false);
+});
+
+/**
+ * Estado de una llamada que ya pasó por el RUT y encontró la hora reservada del paciente
+ */
+async function withAppointment(rut, sessionId) {
+    const existingAppointment = await findUpcomingAppointment(rut, sessionId);
+    return { dni: rut, nombre_paciente: "Juan Pérez", existingAppointment };
+}
+
+test("handlers: MANAGE_APPOINTMENT anular → CONFIRM_CANCEL sí anula la hora y libera el cupo", async () => {
+    const port = getAgendaPort();
+    const ctx = (transcript) => ({ sessionId: "call-cancel", transcript });
+    const state = await withAppointment(RUT_CANCEL, "call-cancel");
+    assert.equal(state.existingAppointment.appointmentId, 20);
+
+    const asked = await manageAppointment(ctx("quiero anularla"), state);
+    assert.equal(asked.nextPhase, "CONFIRM_CANCEL");
+
+    const done = await confirmCancel(ctx("sí"), state);
+    assert.deepEqual([done.nextPhase, done.shouldHangup, done.action.payload.reason], ["COMPLETE", true, "COMPLETE"]);
+    assert.deepEqual((await port.findAppointments(RUT_CANCEL, "call-cancel")).appointments, []);
+    assert.equal((await port.getNextAvailability(RUT, "CARDIOLOGÍA", "otra-cancel")).slotId, 20, "el cupo anulado vuelve a estar disponible");
+});
+
+test("handlers: MANAGE_APPOINTMENT cambiar toma el HOLD y CONFIRM_RESCHEDULE sí mueve la hora", async () => {
+    const port = getAgendaPort();
+    const ctx = (transcript) => ({ sessionId: "call-change", transcript });
+    const state = await withAppointment(RUT_CHANGE, "call-change");
+
+    const offered = await manageAppointment(ctx("quiero cambiarla"), state);
+    assert.equal(offered.nextPhase, "CONFIRM_RESCHEDULE");
+    assert.equal(state.rescheduleSlot.slotId, 31);
+    assert.equal(port.holds.get("call-change").slot.id_disponibilidad, 31);
+
+    const done = await confirmReschedule(ctx("sí"), state);
+    assert.deepEqual([done.nextPhase, done.shouldHangup], ["COMPLETE", true]);
+    assert.match(done.ttsText, /12:00/);
+    assert.deepEqual((await port.findAppointments(RUT_CHANGE, "call-change")).appointments.map(a => a.appointmentId), [31]);
+    assert.equal(port.holds.has("call-change"), false);
+    assert.equal((await port.getNextAvailability(RUT, "PEDIATRÍA", "otra-change")).slotId, 30, "la hora anterior queda libre");
+});
+
+test("handlers: CONFIRM_RESCHEDULE no libera el HOLD y mantiene la hora", async () => {
+    const port = getAgendaPort();
+    const ctx = (transcript) => ({ sessionId: "call-keep", transcript });
+    const state = await withAppointment(RUT_KEEP, "call-keep");
+
+    assert.equal((await manageAppointment(ctx("cambiar"), state)).nextPhase, "CONFIRM_RESCHEDULE");
+    assert.equal(port.holds.get("call-keep").slot.id_disponibilidad, 41);
+
+    const done = await confirmReschedule(ctx("no"), state);
+    assert.deepEqual([done.nextPhase, done.shouldHangup], ["COMPLETE", true]);
+    assert.equal(port.holds.has("call-keep"), false);
+    assert.deepEqual((await port.findAppointments(RUT_KEEP, "call-keep")).appointments.map(a => a.appointmentId), [40]);
+});
@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryRedis } from "../../lib/redis-memory.js";
+import { AgendaHoldTracker } from "../../services/domains/agenda/agenda.holds.js";
+import { withHoldTracking } from "../../services/client/quintero/ports/agenda-holds.js";
+import { createMockAgendaBackend } from "../../services/client/quintero/ports/mock-agenda.js";
+
+const NOW = Date.parse("2026-10-19T12:00:00-03:00");
+
+function fakeRepo({ expired = [], releaseOk = true } = {}) {
+    const repo = {
+        released: [],
+        expired,
+        async releaseHeldSlot(sessionId) {
+            repo.released.push(sessionId);
+            return releaseOk;
+        },
+        async releaseExpiredHolds() {
+            const rows = repo.expired;
+            repo.expired = [];
+            return rows;
+        }
+    };
+    return repo;
+}
+
+function tracker(repo) {
+    const redis = createMemoryRedis();
+    const events = [];
+    redis.subscribe(["agenda.hold.released", "agenda.hold.expired"], (msg, channel) => events.push({ channel, ...JSON.parse(msg) }));
+    return { redis, events, holds: new AgendaHoldTracker({ redis, repo, now: () => NOW }) };
+}
+
+test("holds: colgar libera los holds de la sesión y publica agenda.hold.released", async () => {
+    const repo = fakeRepo();
+    const { holds, events } = tracker(repo);
+
+    await holds.track("linked-1", { id_disponibilidad: 41, especialidad: "Pediatría" });
+    await holds.track("linked-1", { id_disponibilidad: 42, especialidad: "Pediatría" });
+    assert.equal((await holds.getHolds("linked-1")).length, 2);
+
+    await holds.onCallHangup({ channelId: "chan-9", linkedId: "linked-1" });
+    assert.deepEqual(repo.released, ["linked-1"]); // chan-9 sin holds: no toca SQL
+    assert.deepEqual(await holds.getHolds("linked-1"), []);
+    assert.deepEqual(events.map(e => [e.channel, e.slotId, e.reason]), [
+        ["agenda.hold.released", 41, "hangup"],
+        ["agenda.hold.released", 42, "hangup"]
+    ]);
+});
+
+test("holds: el hold confirmado se olvida sin liberar y SQL caído conserva el resto", async () => {
+    const repo = fakeRepo({ releaseOk: false });
+    const { holds, events } = tracker(repo);
+
+    await holds.track("s1", { id_disponibilidad: 7, especialidad: "Odontología" });
+    await holds.track("s1", { id_disponibilidad: 8, especialidad: "Odontología" });
+    await holds.forget("s1", 7);
+    assert.deepEqual((await holds.getHolds("s1")).map(h => h.slotId), [8]);
+
+    assert.equal(await holds.release("s1"), 0);
+    assert.deepEqual((await holds.getHolds("s1")).map(h => h.slotId), [8]);
+    assert.equal(events.length, 0);
+});
+
+test("holds: el barrido libera vencidos en SQL y publica agenda.hold.expired", async () => {
+    const repo = fakeRepo({
+        expired: [
+            { id_disponibilidad: 8, SessionId: "s1", especialidad: "Odontología" },
+            { id_disponibilidad: 90, SessionId: null, especialidad: "Cardiología" }
+        ]
+    });
+    const { holds, events } = tracker(repo);
+    await holds.track("s1", { id_disponibilidad: 8, especialidad: "Odontología" });
+
+    assert.equal(await holds.sweep(), 2);
+    assert.deepEqual(await holds.getHolds("s1"), []);
+    assert.deepEqual(events.map(e => [e.channel, e.sessionId, e.slotId]), [
+        ["agenda.hold.expired", "s1", 8],
+        ["agenda.hold.expired", null, 90]
+    ]);
+    assert.equal(events[0].at, new Date(NOW).toISOString());
+    assert.equal(await holds.sweep(), 0);
+});
+
+test("holds: cada HOLD se libera con el backend que lo tomó y los de otro proceso se conservan", async () => {
+    const repo = fakeRepo();
+    const redis = createMemoryRedis();
+    const webhookReleased = [];
+    const holds = new AgendaHoldTracker({
+        redis,
+        repo,
+        releasers: { webhook: async (sessionId) => webhookReleased.push(sessionId) > 0 },
+        now: () => NOW
+    });
+
+    await holds.track("s1", { slotId: null, especialidad: "Pediatría" }, { backend: "webhook" });
+    await holds.track("s1", { id_disponibilidad: 7, especialidad: "Pediatría" });
+    assert.deepEqual((await holds.getHolds("s1")).map(h => [h.backend, h.slotId]), [["webhook", null], ["sql", 7]]);
+
+    assert.equal(await holds.release("s1", "hangup"), 1);
+    assert.deepEqual(webhookReleased, ["s1"]);
+    assert.deepEqual(repo.released, [], "sin releaser sql en este proceso: lo libera telephony-watcher");
+    assert.deepEqual((await holds.getHolds("s1")).map(h => h.backend), ["sql"]);
+
+    await holds.forget("s1");
+    assert.deepEqual(await holds.getHolds("s1"), []);
+});
+
+test("holds: el port registra el HOLD de su backend y colgar lo libera con releaseAvailability", async () => {
+    const redis = createMemoryRedis();
+    const mock = createMockAgendaBackend({
+        slots: [
+            { id_disponibilidad: 1, especialidad: "MEDICINA GENERAL", fecha: "2026-10-20", hora: "10:30" },
+            { id_disponibilidad: 2, especialidad: "MEDICINA GENERAL", fecha: "2026-10-21", hora: "09:00" }
+        ]
+    }, { now: () => new Date(NOW) });
+    const holds = new AgendaHoldTracker({ redis, releasers: { mock: async (sessionId) => (await mock.releaseAvailability(sessionId)).ok }, now: () => NOW });
+    await holds.listen();
+    const port = withHoldTracking(mock, { getTracker: async () => holds });
+
+    await port.getNextAvailability("14348258-8", "MEDICINA GENERAL", "linked-1");
+    await port.holdSlot({ slotId: 2 }, "linked-1");
+    assert.deepEqual((await holds.getHolds("linked-1")).map(h => [h.backend, h.slotId]), [["mock", 2]], "un HOLD por sesión");
+
+    await redis.publish("call.hangup", JSON.stringify({ linkedId: "linked-1", channelId: "chan-1" }));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(mock.holds.has("linked-1"), false);
+    assert.deepEqual(await holds.getHolds("linked-1"), []);
+
+    // Confirmada: se olvida sin liberar
+    await port.getNextAvailability("14348258-8", "MEDICINA GENERAL", "linked-2");
+    await port.confirmAvailability("linked-2", { rut: "14348258-8" });
+    assert.deepEqual(await holds.getHolds("linked-2"), []);
+    assert.equal(mock.bookings.length, 1);
+    await holds.stop();
+});
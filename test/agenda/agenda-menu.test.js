@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateTimeExpression } from "../../services/core/engine/datetime/date-time-expressions.js";
+import { rankSlots, formatSlotMenu, selectSlotFromMenu, slotParts } from "../../services/domains/agenda/agenda.menu.js";
+
+const now = new Date("2026-10-19T12:00:00-03:00"); // lunes
+
+// Cupos como los devuelve mssql: DATE y TIME en UTC
+function slot(id, date, time) {
+    return { id_disponibilidad: id, fecha: new Date(`${date}T00:00:00Z`), hora_disponible: new Date(`1970-01-01T${time}:00Z`), especialidad: "Pediatría" };
+}
+
+const AGENDA = [
+    slot(1, "2026-10-19", "10:00"), // ya pasó
+    slot(2, "2026-10-19", "16:00"),
+    slot(3, "2026-10-20", "09:00"),
+    slot(4, "2026-10-20", "15:00"),
+    slot(5, "2026-10-20", "15:15"),
+    slot(6, "2026-10-20", "17:30"),
+    slot(7, "2026-10-20", "18:45"),
+    slot(8, "2026-10-22", "11:00")
+];
+
+test("menú: mejores tres para el martes en la tarde, separados y en orden", () => {
+    assert.deepEqual(slotParts(AGENDA[2]), { date: "2026-10-20", time: "09:00" });
+
+    const expression = parseDateTimeExpression("el martes en la tarde", { now });
+    const { slots, relaxed } = rankSlots(AGENDA, expression, { now });
+    assert.equal(relaxed, false);
+    // 15:15 queda fuera por estar a menos de una hora de 15:00
+    assert.deepEqual(slots.map(s => s.id_disponibilidad), [4, 6, 7]);
+
+    assert.equal(formatSlotMenu(slots, { now }),
+        "la primera, mañana a las 15:00; la segunda, mañana a las 17:30; y la tercera, mañana a las 18:45");
+});
+
+test("menú: hora exacta, horario sin cupos y cupos ya pasados", () => {
+    const diez = rankSlots(AGENDA, parseDateTimeExpression("el martes a las diez", { now }), { now, limit: 1 });
+    assert.deepEqual(diez.slots.map(s => s.id_disponibilidad), [3]);
+
+    // El jueves no hay horas en la tarde: se ofrecen las del jueves igual
+    const jueves = rankSlots(AGENDA, parseDateTimeExpression("el jueves en la tarde", { now }), { now });
+    assert.deepEqual([jueves.relaxed, jueves.slots.map(s => s.id_disponibilidad)], [true, [8]]);
+    assert.equal(formatSlotMenu(jueves.slots, { now }), "el jueves 22 de octubre a las 11:00");
+
+    const hoy = rankSlots(AGENDA, parseDateTimeExpression("hoy", { now }), { now });
+    assert.deepEqual(hoy.slots.map(s => s.id_disponibilidad), [2]);
+    assert.deepEqual(rankSlots(AGENDA, parseDateTimeExpression("el domingo", { now }), { now }).slots, []);
+});
+
+test("selección: posición, última, número y por día u hora", () => {
+    const { slots } = rankSlots(AGENDA, parseDateTimeExpression("esta semana", { now }), { now });
+    assert.deepEqual(slots.map(s => s.id_disponibilidad), [2, 3, 4]);
+
+    assert.equal(selectSlotFromMenu("la segunda", slots, { now }), 1);
+    assert.equal(selectSlotFromMenu("la última por favor", slots, { now }), 2);
+    assert.equal(selectSlotFromMenu("la opción 1", slots, { now }), 0);
+    assert.equal(selectSlotFromMenu("la de las nueve", slots, { now }), 1);
+    assert.equal(selectSlotFromMenu("la de hoy", slots, { now }), 0);
+    assert.equal(selectSlotFromMenu("la del martes", slots, { now }), null); // dos opciones el martes
+    assert.equal(selectSlotFromMenu("la quinta", slots, { now }), null);
+    assert.equal(selectSlotFromMenu("no sé", slots, { now }), null);
+});
@@ -0,0 +1,210 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createAgendaPort, assertAgendaPort, getAgendaPort, hasAgendaCapability, AGENDA_PORT_METHODS, AGENDA_PORT_CAPABILITIES
+} from "../../services/client/quintero/ports/agenda-port.js";
+import { createMockAgendaBackend } from "../../services/client/quintero/ports/mock-agenda.js";
+import { createSqlAgendaBackend } from "../../services/client/quintero/ports/sql-agenda.js";
+import { createWebhookAgendaBackend } from "../../services/client/quintero/ports/webhook-agenda.js";
+import { findUpcomingAppointment } from "../../services/client/quintero/bot/handlers/manage-appointment.js";
+import { parseDateTimeExpression } from "../../services/core/engine/datetime/date-time-expressions.js";
+
+const NOW = Date.parse("2026-10-19T12:00:00-03:00");
+
+const FIXTURES = {
+    patients: { "14348258-8": { nombre: "Juan Pérez", edad: 54 } },
+    slots: [
+        { id_disponibilidad: 2, especialidad: "MEDICINA GENERAL", fecha: "2026-10-21", hora: "09:00", doctor_box: "Box 1" },
+        { id_disponibilidad: 1, especialidad: "MEDICINA GENERAL", fecha: "2026-10-20", hora: "10:30", doctor_box: "Box 3" }
+    ]
+};
+
+test("agenda port: backend desconocido o incompleto falla con AGENDA_PORT_CONFIG", () => {
+    assert.throws(() => createAgendaPort("ftp"), { code: "AGENDA_PORT_CONFIG" });
+    assert.throws(() => assertAgendaPort({ name: "roto", formatRut() {} }), (err) => {
+        assert.equal(err.code, "AGENDA_PORT_CONFIG");
+        assert.match(err.message, /validatePatient/);
+        return true;
+    });
+    for (const backend of ["webhook", "sql", "mock"]) {
+        const port = createAgendaPort(backend);
+        assert.equal(port.name, backend);
+        for (const method of AGENDA_PORT_METHODS) assert.equal(typeof port[method], "function");
+    }
+});
+
+test("agenda port mock: RUT dictado → paciente → HOLD → confirmación, con las formas del webhook", async () => {
+    let now = NOW;
+    const port = createMockAgendaBackend(FIXTURES, { now: () => new Date(now) });
+
+    const rut = await port.formatRut("catorce millones trescientos cuarenta y ocho mil doscientos cincuenta y ocho guion ocho", "s1");
+    assert.deepEqual(rut, { ok: true, rut: "14348258-8", body: "14348258", dv: "8", reason: null });
+    assert.equal((await port.formatRut("catorce millones guion uno", "s1")).reason, "INVALID_RUT_FORMAT");
+
+    assert.equal((await port.validatePatient("14348258-8", "s1")).nombre, "Juan Pérez");
+    assert.deepEqual(await port.validatePatient("11111111-1", "s1"),
+        { ok: false, patientFound: false, nombre: null, edad: null, reason: "PATIENT_NOT_FOUND" });
+
+    const slot = await port.getNextAvailability("14348258-8", "medicina general", "s1");
+    assert.equal(slot.horaFound, true);
+    assert.equal(slot.fecha, "2026-10-20");
+    assert.equal(slot.hora, "10:30");
+
+    // Otra sesión no ve el cupo en HOLD
+    assert.equal((await port.getNextAvailability("9876543-3", "MEDICINA GENERAL", "s2")).fecha, "2026-10-21");
+
+    const confirmed = await port.confirmAvailability("s1", { rut: "14348258-8" });
+    assert.equal(confirmed.confirmed, true);
+    assert.equal(port.bookings[0].slot.id_disponibilidad, 1);
+
+    // HOLD vencido → HOLD_NOT_FOUND_OR_EXPIRED
+    now += 10 * 60 * 1000;
+    assert.equal((await port.confirmAvailability("s2", { rut: "9876543-3" })).reason, "HOLD_NOT_FOUND_OR_EXPIRED");
+    assert.equal((await port.getNextAvailability("x", "PEDIATRÍA", "s3")).reason, "NO_AVAILABILITY");
+});
+
+test("agenda port sql: traduce paciente y cupo de MSSQL al contrato del webhook", async () => {
+    const booked = [];
+    const port = createSqlAgendaBackend({
+        patients: {
+            async getPatientByRut(rut) {
+                return rut === "14348258-8" ? { rut, nombre_completo: "Juan Pérez", edad: 54 } : null;
+            }
+        },
+        agenda: {
+            async findAndHoldNextSlot(especialidad) {
+                if (especialidad !== "MEDICINA GENERAL") return null;
+                return { id_disponibilidad: 7, especialidad, fecha: new Date("2026-10-20T00:00:00Z"), hora_disponible: new Date("1970-01-01T10:30:00Z"), doctor_box: "Box 3" };
+            },
+            async bookHeldSlot({ rut, sessionId }) {
+                booked.push({ rut, sessionId });
+                if (sessionId === "vencida") return { ok: false, status: "not_found" };
+                return { ok: true, status: "ok", slot: { id_disponibilidad: 7, especialidad: "MEDICINA GENERAL", fecha: new Date("2026-10-20T00:00:00Z"), hora_disponible: new Date("1970-01-01T10:30:00Z") } };
+            },
+            async releaseHold() {
+                return true;
+            }
+        }
+    });
+
+    assert.deepEqual(await port.validatePatient("14348258-8", "s1"),
+        { ok: true, patientFound: true, nombre: "Juan Pérez", edad: 54, reason: null });
+    assert.equal((await port.validatePatient("11111111-1", "s1")).reason, "PATIENT_NOT_FOUND");
+
+    const slot = await port.getNextAvailability("14348258-8", "MEDICINA GENERAL", "s1");
+    assert.deepEqual([slot.horaFound, slot.fecha, slot.hora, slot.doctor_box, slot.hold], [true, "2026-10-20", "10:30", "Box 3", true]);
+    assert.equal((await port.getNextAvailability("14348258-8", "PEDIATRÍA", "s1")).reason, "NO_AVAILABILITY");
+
+    assert.deepEqual(await port.confirmAvailability("s1", { rut: "14348258-8" }),
+        { ok: true, confirmed: true, especialidad: "MEDICINA GENERAL", fecha: "2026-10-20", hora: "10:30", reason: null });
+    assert.deepEqual(booked[0], { rut: "14348258-8", sessionId: "s1" });
+    assert.equal((await port.confirmAvailability("vencida", { rut: "14348258-8" })).reason, "HOLD_NOT_FOUND_OR_EXPIRED");
+    assert.equal((await port.releaseAvailability("s1")).released, true);
+});
+
+test("agenda port mock: menú para lo pedido, HOLD del elegido y horas reservadas para anular o cambiar", async () => {
+    const port = createMockAgendaBackend({
+        slots: [
+            ...FIXTURES.slots,
+            { id_disponibilidad: 3, especialidad: "MEDICINA GENERAL", fecha: "2026-10-20", hora: "16:00", doctor_box: "Box 2" },
+            { id_disponibilidad: 9, especialidad: "MEDICINA GENERAL", fecha: "2026-10-23", hora: "08:30", doctor_box: "Box 1", rutPaciente: "14348258-8" },
+            { id_disponibilidad: 8, especialidad: "MEDICINA GENERAL", fecha: "2026-10-19", hora: "08:00", rutPaciente: "14348258-8" }
+        ]
+    }, { now: () => new Date(NOW) });
+
+    const menu = await port.findBestSlots("14348258-8", "MEDICINA GENERAL", parseDateTimeExpression("el martes", { now: new Date(NOW) }), "s1");
+    assert.equal(menu.ok, true);
+    assert.deepEqual(menu.slots.map(s => [s.slotId, s.fecha, s.hora]), [[1, "2026-10-20", "10:30"], [3, "2026-10-20", "16:00"]]);
+    assert.equal(menu.menuText, "la primera, mañana a las 10:30; y la segunda, mañana a las 16:00");
+
+    const held = await port.holdSlot(menu.slots[1], "s1");
+    assert.deepEqual([held.held, held.slotId, held.doctor_box], [true, 3, "Box 2"]);
+    assert.deepEqual(await port.holdSlot(menu.slots[1], "s2"), {
+        ok: true, held: false, slotId: 3, fecha: null, hora: null, doctor_box: null, especialidad: null, holdUntil: null, reason: "SLOT_UNAVAILABLE"
+    });
+    assert.equal((await port.findBestSlots("x", "MEDICINA GENERAL", parseDateTimeExpression("el martes en la tarde", { now: new Date(NOW) }), "s2")).slots.length, 1,
+        "el cupo en HOLD de otra sesión no se ofrece");
+
+    // Solo horas futuras del RUT, con la forma del port
+    const { appointments } = await port.findAppointments("14348258-8", "s3");
+    assert.deepEqual(appointments.map(a => [a.appointmentId, a.fecha, a.hora, a.formattedTime]), [[9, "2026-10-23", "08:30", "08:30"]]);
+    assert.equal(appointments[0].description, "el viernes 23 de octubre a las 8:30");
+
+    const next = await port.getNextAvailability("14348258-8", "MEDICINA GENERAL", "s3");
+    assert.equal(next.slotId, 1);
+    assert.equal((await port.reschedule("14348258-8", appointments[0], { slotId: 3 }, "s3")).reason, "SLOT_UNAVAILABLE", "el cupo nuevo debe ser el HOLD de la sesión");
+    await port.getNextAvailability("14348258-8", "MEDICINA GENERAL", "s3");
+    assert.deepEqual(await port.reschedule("14348258-8", appointments[0], { slotId: 1 }, "s3"), { ok: true, rescheduled: true, reason: null });
+    assert.deepEqual((await port.findAppointments("14348258-8", "s3")).appointments.map(a => a.appointmentId), [1]);
+
+    assert.deepEqual(await port.cancel("9876543-3", { appointmentId: 1 }, "s3"), { ok: false, cancelled: false, reason: "APPOINTMENT_NOT_FOUND" });
+    assert.deepEqual(await port.cancel("14348258-8", { appointmentId: 1 }, "s3"), { ok: true, cancelled: true, reason: null });
+    assert.deepEqual((await port.findAppointments("14348258-8", "s3")).appointments, []);
+});
+
+test("agenda port sql: menú, HOLD y cambios de hora con los reason del contrato", async () => {
+    const calls = [];
+    const mssqlSlot = (id, date, time) => ({ id_disponibilidad: id, especialidad: "MEDICINA GENERAL", fecha: new Date(`${date}T00:00:00Z`), hora_disponible: new Date(`1970-01-01T${time}:00Z`), doctor_box: "Box 3" });
+    const port = createSqlAgendaBackend({
+        now: () => new Date(NOW),
+        agenda: {
+            async findBestSlots() {
+                return { slots: [mssqlSlot(7, "2026-10-20", "10:30")], relaxed: false, menuText: "mañana a las 10:30" };
+            },
+            async holdSlot(slot, sessionId) {
+                calls.push(["hold", slot.id_disponibilidad, sessionId]);
+                return slot.id_disponibilidad === 7 ? { ...mssqlSlot(7, "2026-10-20", "10:30"), HoldUntil: new Date(NOW + 300000) } : null;
+            },
+            async findAppointmentsByRut(rut) {
+                if (rut === "caida") throw new Error("ECONNREFUSED");
+                return [mssqlSlot(4, "2026-10-23", "08:30")];
+            },
+            async cancelAppointment({ appointment }) {
+                calls.push(["cancel", appointment.id_disponibilidad]);
+                return appointment.id_disponibilidad === 4 ? { ok: true, status: "ok", id: 4 } : { ok: false, status: "not_found" };
+            },
+            async rescheduleAppointment({ appointment, slot }) {
+                calls.push(["reschedule", appointment.id_disponibilidad, slot.id_disponibilidad]);
+                return slot.id_disponibilidad === 7 ? { ok: true, status: "ok", id: 4, newId: 7 } : { ok: false, status: "slot_unavailable" };
+            }
+        }
+    });
+
+    const menu = await port.findBestSlots("14348258-8", "MEDICINA GENERAL", parseDateTimeExpression("el martes", { now: new Date(NOW) }), "s1");
+    assert.deepEqual(menu.slots.map(s => [s.slotId, s.fecha, s.hora, s.description]), [[7, "2026-10-20", "10:30", "mañana a las 10:30"]]);
+
+    const held = await port.holdSlot(menu.slots[0], "s1");
+    assert.deepEqual([held.held, held.fecha, held.hora, held.holdUntil], [true, "2026-10-20", "10:30", new Date(NOW + 300000).toISOString()]);
+    assert.equal((await port.holdSlot({ slotId: 8 }, "s1")).reason, "SLOT_UNAVAILABLE");
+
+    const { appointments } = await port.findAppointments("14348258-8", "s1");
+    assert.deepEqual(appointments.map(a => [a.appointmentId, a.fecha, a.hora, a.especialidad]), [[4, "2026-10-23", "08:30", "MEDICINA GENERAL"]]);
+    assert.deepEqual(await port.findAppointments("caida", "s1"), { ok: false, appointments: [], reason: "TECHNICAL_ERROR" });
+
+    assert.deepEqual(await port.cancel("14348258-8", appointments[0], "s1"), { ok: true, cancelled: true, reason: null });
+    assert.equal((await port.cancel("14348258-8", { appointmentId: 5 }, "s1")).reason, "APPOINTMENT_NOT_FOUND");
+    assert.deepEqual(await port.reschedule("14348258-8", appointments[0], held, "s1"), { ok: true, rescheduled: true, reason: null });
+    assert.equal((await port.reschedule("14348258-8", appointments[0], { slotId: 8 }, "s1")).reason, "SLOT_UNAVAILABLE");
+    assert.deepEqual(calls.filter(c => c[0] === "reschedule"), [["reschedule", 4, 7], ["reschedule", 4, 8]]);
+});
+
+test("agenda port webhook: sin menú ni horas reservadas, los handlers no los piden", async () => {
+    const port = createWebhookAgendaBackend({});
+    assert.deepEqual(port.capabilities, { slotMenu: false, appointments: false });
+    for (const method of Object.values(AGENDA_PORT_CAPABILITIES).flat()) assert.equal(port[method], undefined);
+    for (const backend of ["sql", "mock"]) {
+        const full = createAgendaPort(backend);
+        assert.deepEqual(Object.keys(AGENDA_PORT_CAPABILITIES).filter(c => hasAgendaCapability(full, c)), ["slotMenu", "appointments"]);
+    }
+
+    // Declarar una capacidad obliga a implementar sus métodos
+    assert.throws(() => assertAgendaPort({ ...port, capabilities: { slotMenu: true } }), (err) => {
+        assert.equal(err.code, "AGENDA_PORT_CONFIG");
+        assert.match(err.message, /findBestSlots, holdSlot/);
+        return true;
+    });
+
+    // Backend por defecto (webhook): la validación no busca horas reservadas
+    assert.equal(getAgendaPort().name, "webhook");
+    assert.equal(await findUpcomingAppointment("14348258-8", "s1"), null);
+});
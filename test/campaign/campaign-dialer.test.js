@@ -0,0 +1,176 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryRedis } from "../../lib/redis-memory.js";
+import {
+    CampaignDialer,
+    ContactStatus,
+    computeDialSlots,
+    parseTrunkLimits,
+    resolveOutcome
+} from "../../services/core/campaign/campaign-dialer.js";
+import { evaluateCallingWindow } from "../../services/core/ari/business-rules.js";
+
+const NOW = new Date("2026-03-10T12:00:00-03:00");
+
+function campaign(overrides = {}) {
+    return {
+        id: 7,
+        name: "recordatorios",
+        tenantId: 1,
+        mode: "voicebot_quintero",
+        callerId: "322000000",
+        trunk: "movistar",
+        maxConcurrent: 2,
+        pacingRatio: 1.5,
+        window: null,
+        retryRules: null,
+        ...overrides
+    };
+}
+
+function fakeStore(contacts) {
+    const store = {
+        contacts: contacts.map(c => ({ attempts: 0, status: "PENDING", ...c })),
+        results: [],
+        async getActiveCampaigns() { return store.campaigns; },
+        async getDueContacts(campaignId, limit) {
+            return store.contacts.filter(c => c.status === "PENDING").slice(0, limit).map(c => ({ ...c }));
+        },
+        async markDialing(contactId) {
+            const contact = store.contacts.find(c => c.id === contactId);
+            if (contact.status !== "PENDING") return false;
+            contact.status = "DIALING";
+            contact.attempts++;
+            return true;
+        },
+        async saveResult(result) {
+            store.results.push(result);
+            store.contacts.find(c => c.id === result.contactId).status = result.status;
+        }
+    };
+    return store;
+}
+
+function dialer(store, overrides = {}) {
+    const calls = [];
+    const instance = new CampaignDialer({
+        store,
+        makeCall: async (ani, dnis, variables, options) => {
+            calls.push({ ani, dnis, variables, options });
+            return { id: options.channelId };
+        },
+        isCallingWindowOpen: async () => true,
+        redis: createMemoryRedis(),
+        trunkLimits: { movistar: 10 },
+        now: () => NOW,
+        ...overrides
+    });
+    return { instance, calls };
+}
+
+test("pacing: maxConcurrent × pacingRatio, acotado por la troncal", () => {
+    const c = campaign({ maxConcurrent: 4, pacingRatio: 1.5 });
+    assert.equal(computeDialSlots({ campaign: c, campaignActive: 0, trunkActive: 0, trunkLimit: 10 }), 6);
+    assert.equal(computeDialSlots({ campaign: c, campaignActive: 5, trunkActive: 5, trunkLimit: 10 }), 1);
+    assert.equal(computeDialSlots({ campaign: c, campaignActive: 0, trunkActive: 9, trunkLimit: 10 }), 1);
+    assert.equal(computeDialSlots({ campaign: c, campaignActive: 7, trunkActive: 0, trunkLimit: 10 }), 0);
+    assert.deepEqual(parseTrunkLimits("movistar:10, entel:4,bad"), { movistar: 10, entel: 4 });
+});
+
+test("reintentos por razón de hangup", () => {
+    const busy = resolveOutcome({ reason: "busy", answered: false, attempts: 1, now: NOW });
+    assert.equal(busy.status, ContactStatus.PENDING);
+    assert.equal(busy.nextAttemptAt.getTime(), NOW.getTime() + 10 * 60 * 1000);
+
+    // no-route no se reintenta; busy agota sus intentos
+    assert.equal(resolveOutcome({ reason: "no-route", answered: false, attempts: 1, now: NOW }).status, ContactStatus.FAILED);
+    assert.equal(resolveOutcome({ reason: "busy", answered: false, attempts: 3, now: NOW }).status, ContactStatus.FAILED);
+
+    // La campaña puede sobreescribir la regla
+    const custom = resolveOutcome({ reason: "congestion", answered: false, attempts: 1, retryRules: { congestion: { maxAttempts: 1 } }, now: NOW });
+    assert.equal(custom.status, ContactStatus.FAILED);
+
+    // Canal destruido sin contestar = no-answer; contestada = COMPLETED
+    assert.equal(resolveOutcome({ reason: "channel-destroyed", answered: false, attempts: 1, now: NOW }).reason, "no-answer");
+    assert.equal(resolveOutcome({ reason: "hangup-request", answered: true, attempts: 1, now: NOW }).status, ContactStatus.COMPLETED);
+});
+
+test("resultado AMD: buzón dejado completa, contestadora/silencio se reintentan", () => {
+    const voicemail = resolveOutcome({ reason: "hangup-request", answered: true, amd: { result: "MACHINE", action: "VOICEMAIL" }, attempts: 1, now: NOW });
+    assert.deepEqual([voicemail.status, voicemail.reason], [ContactStatus.COMPLETED, "voicemail"]);
+
+    const machine = resolveOutcome({ reason: "hangup-request", answered: true, amd: { result: "MACHINE", action: "HANGUP" }, attempts: 1, now: NOW });
+    assert.deepEqual([machine.status, machine.reason], [ContactStatus.PENDING, "machine"]);
+    assert.equal(machine.nextAttemptAt.getTime(), NOW.getTime() + 120 * 60 * 1000);
+
+    assert.equal(resolveOutcome({ reason: "hangup-request", answered: true, amd: { result: "SILENCE", action: "HANGUP" }, attempts: 3, now: NOW }).status, ContactStatus.FAILED);
+    assert.equal(resolveOutcome({ reason: "hangup-request", answered: true, amd: { result: "HUMAN", action: "CONTINUE" }, attempts: 1, now: NOW }).status, ContactStatus.COMPLETED);
+});
+
+test("ventana de marcado: schedule, feriado y horario de la campaña", () => {
+    const rules = [
+        { RuleType: "schedule", IsActive: true, Param1: "09:00", Param2: "20:00" },
+        { RuleType: "holiday", IsActive: true, Param1: "09-18,12-25" }
+    ];
+    assert.equal(evaluateCallingWindow(rules, { now: NOW }), true);
+    assert.equal(evaluateCallingWindow(rules, { now: new Date("2026-03-10T21:00:00-03:00") }), false);
+    assert.equal(evaluateCallingWindow(rules, { now: new Date("2026-12-25T12:00:00-03:00") }), false);
+    assert.equal(evaluateCallingWindow(rules, { now: NOW, window: { start: "14:00", end: "18:00" } }), false);
+    assert.equal(evaluateCallingWindow([], { now: NOW }), true);
+});
+
+test("el dialer origina hasta el cupo y escribe el resultado en call.hangup", async () => {
+    const store = fakeStore([
+        { id: 1, phone: "56911111111", payload: { cita: "10:30" } },
+        { id: 2, phone: "56922222222" },
+        { id: 3, phone: "56933333333" },
+        { id: 4, phone: "56944444444" }
+    ]);
+    store.campaigns = [campaign()];
+    const { instance, calls } = dialer(store);
+
+    await instance.tick();
+
+    // floor(2 × 1.5) = 3 llamadas simultáneas
+    assert.equal(calls.length, 3);
+    assert.deepEqual(calls[0].options, { trunk: "movistar", mode: "voicebot_quintero", channelId: "campaign-7-1-1", timeout: 30 });
+    assert.equal(calls[0].variables.CAMPAIGN_PAYLOAD, JSON.stringify({ cita: "10:30" }));
+
+    // Sin slots libres no se marca más
+    await instance.tick();
+    assert.equal(calls.length, 3);
+
+    instance.onCallState({ channelId: "campaign-7-1-1", state: "Up" });
+    await instance.onCallHangup({ channelId: "campaign-7-1-1", reason: "hangup-request" });
+    await instance.onCallHangup({ channelId: "campaign-7-2-1", reason: "busy" });
+    // Eventos de otras llamadas se ignoran
+    await instance.onCallHangup({ channelId: "other", reason: "busy" });
+
+    assert.deepEqual(store.results.map(r => [r.contactId, r.status, r.reason]), [
+        [1, "COMPLETED", "hangup-request"],
+        [2, "PENDING", "busy"]
+    ]);
+
+    // Se liberaron 2 slots: marca el 4 y reintenta el 2
+    await instance.tick();
+    assert.deepEqual(calls.slice(3).map(c => c.options.channelId), ["campaign-7-2-2", "campaign-7-4-1"]);
+});
+
+test("fuera de horario o troncal llena no se origina; originate fallido se reprograma", async () => {
+    const store = fakeStore([{ id: 1, phone: "56911111111" }, { id: 2, phone: "56922222222" }]);
+    store.campaigns = [campaign()];
+
+    const closed = dialer(store, { isCallingWindowOpen: async () => false });
+    await closed.instance.tick();
+    assert.equal(closed.calls.length, 0);
+
+    const full = dialer(store, { trunkLimits: { movistar: 1 } });
+    await full.instance.tick();
+    assert.equal(full.calls.length, 1);
+
+    const failing = dialer(fakeStore([{ id: 9, phone: "56999999999" }]), { makeCall: async () => undefined });
+    failing.instance.store.campaigns = [campaign()];
+    await failing.instance.tick();
+    assert.deepEqual(failing.instance.store.results.map(r => [r.status, r.reason]), [["PENDING", "originate-failed"]]);
+    assert.equal(failing.instance.inFlight.size, 0);
+});
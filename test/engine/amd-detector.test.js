@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import {
+    AmdClassifier,
+    AmdResult,
+    detectAnsweringMachine,
+    waitForGreetingEnd
+} from "../../services/core/engine/ari/amd-detector.js";
+
+const T0 = 1_000_000;
+
+test("clasificador: silencio inicial, saludo largo y humano", () => {
+    const silence = new AmdClassifier({}, T0);
+    assert.equal(silence.check(T0 + 2000), null);
+    assert.equal(silence.check(T0 + 2500).result, AmdResult.SILENCE);
+
+    // "Hola, se comunicó con..." sigue hablando pasado greetingMs
+    const machine = new AmdClassifier({}, T0);
+    machine.talkStarted(T0 + 300);
+    const verdict = machine.check(T0 + 1900);
+    assert.equal(verdict.result, AmdResult.MACHINE);
+    assert.equal(verdict.cause, "long_greeting");
+    assert.equal(verdict.talking, true);
+
+    // "¿Aló?" corto y luego espera
+    const human = new AmdClassifier({}, T0);
+    human.talkStarted(T0 + 400);
+    assert.equal(human.talkFinished(T0 + 900), null);
+    const humanVerdict = human.check(T0 + 1700);
+    assert.equal(humanVerdict.result, AmdResult.HUMAN);
+    assert.equal(humanVerdict.greetingMs, 500);
+});
+
+test("clasificador: muchas frases cortas = contestadora; sin veredicto = NOTSURE", () => {
+    const chatty = new AmdClassifier({ afterGreetingSilenceMs: 5000 }, T0);
+    for (let i = 0; i < 3; i++) {
+        chatty.talkStarted(T0 + i * 600);
+        chatty.talkFinished(T0 + i * 600 + 300);
+    }
+    assert.equal(chatty.talkStarted(T0 + 2000).cause, "max_utterances");
+
+    const unsure = new AmdClassifier({ afterGreetingSilenceMs: 5000, totalAnalysisMs: 3000 }, T0);
+    unsure.talkStarted(T0 + 100);
+    unsure.talkFinished(T0 + 600);
+    assert.equal(unsure.check(T0 + 3000).result, AmdResult.NOTSURE);
+});
+
+test("detectAnsweringMachine escucha talk events del canal y su snoop", async () => {
+    const ari = new EventEmitter();
+    const pending = detectAnsweringMachine(ari, ["chan-1", "snoop-1", undefined], { greetingMs: 60, initialSilenceMs: 500 }, { pollMs: 10 });
+
+    // Otro canal no cuenta; el snoop duplica el inicio de la misma voz
+    ari.emit("ChannelTalkingStarted", {}, { id: "other" });
+    ari.emit("ChannelTalkingStarted", {}, { id: "chan-1" });
+    ari.emit("ChannelTalkingStarted", {}, { id: "snoop-1" });
+
+    const verdict = await pending;
+    assert.equal(verdict.result, AmdResult.MACHINE);
+    assert.equal(verdict.utterances, 1);
+    assert.equal(ari.listenerCount("ChannelTalkingStarted"), 0);
+    assert.equal(ari.listenerCount("StasisEnd"), 0);
+});
+
+test("hangup durante el análisis y espera del beep", async () => {
+    const ari = new EventEmitter();
+    const pending = detectAnsweringMachine(ari, ["chan-1"], {}, { pollMs: 10 });
+    ari.emit("StasisEnd", {}, { id: "chan-1" });
+    assert.equal((await pending).cause, "hangup");
+
+    // Saludo del buzón aún sonando: espera el fin + silencio
+    const beep = waitForGreetingEnd(ari, ["chan-1"], { talking: true, silenceMs: 30, maxWaitMs: 1000, pollMs: 5 });
+    setTimeout(() => ari.emit("ChannelTalkingFinished", {}, { id: "chan-1" }), 20);
+    assert.equal(await beep, true);
+
+    const timeout = waitForGreetingEnd(ari, ["chan-1"], { talking: true, silenceMs: 30, maxWaitMs: 40, pollMs: 5 });
+    assert.equal(await timeout, false);
+    assert.equal(ari.listenerCount("ChannelTalkingFinished"), 0);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    resolveCallLanguage,
+    detectLanguage,
+    applyLanguageDetection,
+    ttsProfileForLanguage
+} from "../../services/core/engine/call-language.js";
+import { classifyConfirm } from "../../services/core/engine/legacy-compat/confirm-classifier.js";
+import { TerminationPolicy } from "../../services/core/engine/policies/termination-policy.js";
+import { inboundConfig as config } from "../../services/core/engine/config.js";
+
+const byDnis = { "226001234": "en", "226009999": "fr" };
+
+test("idioma inicial: DNIS > default de la cápsula > engine", () => {
+    const bilingual = { default: "es", supported: ["es", "en", "ht"], detect: true };
+
+    assert.deepEqual(resolveCallLanguage({ dnis: "226001234", capsuleLanguages: bilingual, byDnis }),
+        { language: "en", source: "dnis", detect: false, supported: ["es", "en", "ht"] });
+    assert.deepEqual(resolveCallLanguage({ dnis: "226000000", capsuleLanguages: bilingual, byDnis }),
+        { language: "es", source: "capsule", detect: true, supported: ["es", "en", "ht"] });
+    assert.deepEqual(resolveCallLanguage({ dnis: "226000000", byDnis, fallback: "es" }),
+        { language: "es", source: "engine", detect: false, supported: ["es"] });
+
+    // DNIS con un idioma que la cápsula no atiende → se ignora
+    assert.equal(resolveCallLanguage({ dnis: "226009999", capsuleLanguages: bilingual, byDnis }).source, "capsule");
+    // Detección sin alternativas no tiene sentido
+    assert.equal(resolveCallLanguage({ capsuleLanguages: { default: "en", detect: true }, byDnis }).detect, false);
+});
+
+test("detección por palabras frecuentes, sin veredicto si es corto o ambiguo", () => {
+    assert.equal(detectLanguage("Hello, I need to change my appointment please", ["es", "en", "ht"], 2).language, "en");
+    assert.equal(detectLanguage("Hola, quiero cambiar la hora de mi cita", ["es", "en", "ht"], 2).language, "es");
+    assert.equal(detectLanguage("Bonjou, mwen vle chanje randevou a", ["es", "en", "ht"], 2).language, "ht");
+    assert.equal(detectLanguage("ok", ["es", "en"], 2), null);
+    assert.equal(detectLanguage("Rodríguez Pérez", ["es", "en"], 2), null);
+});
+
+test("primer turno fija el idioma una sola vez y reconfigura el cliente", () => {
+    const calls = [];
+    const client = { setLanguage: (language) => calls.push(language) };
+    const domainContext = { language: "es", languageDetect: true, languagesSupported: ["es", "en"] };
+
+    assert.equal(applyLanguageDetection("sí", domainContext, client), null); // muy corto: esperar
+    assert.equal(domainContext.languageLocked, undefined);
+
+    assert.equal(applyLanguageDetection("Yes, this is my phone number", domainContext, client), "en");
+    assert.equal(domainContext.language, "en");
+    assert.equal(applyLanguageDetection("Hola, quiero hablar en español", domainContext, client), null);
+    assert.deepEqual(calls, ["en"]);
+});
+
+test("perfil TTS por idioma: voces de byLanguage e instrucciones del pack", () => {
+    const profile = { provider: "elevenlabs", voice: "es-voice", voices: { openai: "marin" }, byLanguage: { en: { voice: "en-voice", voices: { local: "en-us" } } } };
+
+    const es = ttsProfileForLanguage(profile, "es");
+    assert.equal(es.voice, "es-voice");
+    assert.equal(es.instructions, config.tts.openai.instructions); // misma clave de caché que antes
+    assert.equal(es.byLanguage, undefined);
+
+    const en = ttsProfileForLanguage(profile, "en");
+    assert.deepEqual([en.provider, en.voice, en.voices], ["elevenlabs", "en-voice", { openai: "marin", local: "en-us" }]);
+    assert.match(en.instructions, /English/);
+});
+
+test("confirmación y despedida según el idioma de la llamada", () => {
+    assert.equal(classifyConfirm("sí, es correcto"), "YES");
+    assert.equal(classifyConfirm("yes"), "YES");
+    assert.equal(classifyConfirm("Wi, se sa.", "ht"), "YES");
+    assert.equal(classifyConfirm("non", "ht"), "NO");
+    assert.equal(classifyConfirm("wi"), "UNKNOWN");
+
+    const policy = new TerminationPolicy();
+    assert.equal(policy.shouldEnd("Perfecto, que tenga un buen día"), true);
+    assert.equal(policy.shouldEnd("Thanks, have a great day!", "en"), true);
+    policy.addGoodbyePhrase("talk to you soon");
+    assert.equal(policy.shouldEnd("Pase yon bon jounen", "ht"), true);
+    assert.equal(policy.shouldEnd("Talk to you soon", "ht"), true);
+    assert.equal(policy.shouldEnd("Hasta luego", "ht"), false);
+});
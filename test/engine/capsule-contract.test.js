@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    validateCapsuleV2,
+    validateAndNormalizeCapsule,
+    invokeCapsuleHook
+} from "../../services/core/engine/capsule-contract.js";
+import upcomCapsule from "../../services/client/upcom.tomadatos/inbound/engine-adapter.js";
+
+function capsule(overrides = {}) {
+    return {
+        contractVersion: 2,
+        domainName: "demo",
+        capabilities: { needsSnoop: true, sttMode: "realtime", bargeIn: true, dtmf: false },
+        initialPhase: "GREETING",
+        phases: {
+            GREETING: { listen: false, bargeIn: false },
+            ASK: { listen: true },
+            BYE: { listen: false }
+        },
+        hooks: {
+            onInit: async () => ({ nextPhase: "ASK", audio: "demo/greeting" }),
+            onTurn: async (ctx) => ctx.transcript === "chao"
+                ? { nextPhase: "BYE", tts: "Adiós", hangup: true }
+                : { nextPhase: "ASK", tts: `Dijo ${ctx.transcript}` }
+        },
+        ...overrides
+    };
+}
+
+test("v2: el dispatcher deriva action/skipInput/barge-in desde las declaraciones", async () => {
+    const normalized = validateAndNormalizeCapsule(capsule(), "demo");
+    assert.equal(normalized.contractVersion, 2);
+    assert.equal(normalized.sttMode, "realtime");
+
+    // INIT se reproduce en GREETING (bargeIn=false) y pasa a ASK (listen)
+    const init = await normalized.domain({ event: "INIT", state: {} });
+    assert.equal(init.action, "PLAY_AUDIO");
+    assert.equal(init.audio, "demo/greeting");
+    assert.equal(init.allowBargeIn, false);
+    assert.equal(init.silent, false, "sin barge-in no implica dejar de escuchar");
+    assert.equal(init.skipInput, false);
+    assert.equal(init.state.rutPhase, "ASK");
+
+    const turn = await normalized.domain({ event: "TURN", transcript: "hola", state: init.state });
+    assert.equal(turn.action, "SET_STATE");
+    assert.equal(turn.ttsText, "Dijo hola");
+    assert.equal(turn.allowBargeIn, true);
+
+    const bye = await normalized.domain({ event: "TURN", transcript: "chao", state: turn.state });
+    assert.equal(bye.action, "HANGUP");
+    assert.equal(bye.shouldHangup, true);
+    assert.equal(bye.skipInput, true);
+    assert.equal(bye.silent, true);
+});
+
+test("v2: evento sin hook mantiene la fase actual", async () => {
+    const normalized = validateAndNormalizeCapsule(capsule(), "demo");
+    const result = await normalized.domain({ event: "NO_INPUT", state: { rutPhase: "ASK" } });
+    assert.equal(result.nextPhase, "ASK");
+    assert.equal(result.ttsText, null);
+});
+
+test("v2: fase fuera del mapa es un error del dominio", async () => {
+    const normalized = validateAndNormalizeCapsule(capsule({
+        hooks: { onInit: async () => ({ nextPhase: "NOPE" }), onTurn: async () => null }
+    }), "demo");
+    await assert.rejects(normalized.domain({ event: "INIT", state: {} }), /CAPSULE_PHASE_UNDECLARED/);
+});
+
+test("v2: capacidades inconsistentes se rechazan al cargar", () => {
+    const cases = [
+        [{ hooks: { onTurn: async () => null } }, /hook requerido onInit/],
+        [{ hooks: { onInit: async () => null, onTurn: async () => null, onRing: async () => null } }, /hook desconocido: onRing/],
+        [{ capabilities: { needsSnoop: false, sttMode: "realtime", bargeIn: true, dtmf: false } }, /sin needsSnoop/],
+        [{ capabilities: { needsSnoop: true, sttMode: "realtime", bargeIn: true, dtmf: true } }, /dtmf sin hook onDtmf/],
+        [{ capabilities: { needsSnoop: true, sttMode: "whisper", bargeIn: true, dtmf: false } }, /sttMode inválido/],
+        [{ phases: { ASK: { listen: true, dtmf: true } }, initialPhase: "ASK" }, /no declara capability dtmf/],
+        [{ phases: { ASK: {} }, initialPhase: "ASK" }, /debe declarar listen/],
+        [{ initialPhase: "START" }, /initialPhase no está en phases/],
+        [{ voicemail: { audio: 42 } }, /voicemail requiere audio o tts/],
+        [{ ttsProfile: { provider: "polly" } }, /ttsProfile.provider desconocido/],
+        [{ ttsProfile: { fallback: ["openai", "polly"] } }, /ttsProfile.fallback debe listar proveedores conocidos/],
+        [{ sttPhases: { NOPE: { prompt: "x" } } }, /sttPhases NOPE no está en phases/],
+        [{ sttPhases: { GREETING: { prompt: "x" } } }, /fase que no escucha/],
+        [{ sttPhases: { ASK: { grammar: { type: "fuzzy" } } } }, /grammar.type desconocido/],
+        [{ languages: { default: "fr" } }, /languages.default no soportado/],
+        [{ languages: { default: "en", supported: ["es", "ht"] } }, /no está en languages.supported/],
+        [{ ttsProfile: { byLanguage: { en: { provider: "polly" } } } }, /ttsProfile.byLanguage.en.provider desconocido/]
+    ];
+
+    for (const [overrides, pattern] of cases) {
+        const { valid, errors } = validateCapsuleV2(capsule(overrides), "demo");
+        assert.equal(valid, false);
+        assert.match(errors.join("\n"), pattern);
+    }
+
+    assert.equal(validateAndNormalizeCapsule(capsule({ initialPhase: "START" }), "demo"), null);
+});
+
+test("v2: collectDigits solo pasa al engine con capability dtmf", async () => {
+    const onTurn = async () => ({ nextPhase: "ASK", collectDigits: 9 });
+    const withDtmf = validateAndNormalizeCapsule(capsule({
+        capabilities: { needsSnoop: true, sttMode: "realtime", bargeIn: true, dtmf: true },
+        hooks: { onInit: async () => null, onTurn, onDtmf: async (ctx) => ({ nextPhase: "BYE", tts: `Marcó ${ctx.dtmf}` }) }
+    }), "demo");
+    assert.equal((await withDtmf.domain({ event: "TURN", state: { rutPhase: "ASK" } })).collectDigits, 9);
+    assert.equal((await withDtmf.domain({ event: "DTMF", dtmf: "1234", state: { rutPhase: "ASK" } })).ttsText, "Marcó 1234");
+
+    const withoutDtmf = validateAndNormalizeCapsule(capsule({ hooks: { onInit: async () => null, onTurn } }), "demo");
+    assert.equal((await withoutDtmf.domain({ event: "TURN", state: { rutPhase: "ASK" } })).collectDigits, undefined);
+});
+
+test("v1: funciones domain() siguen normalizándose como antes", () => {
+    const legacy = async () => ({ action: "SET_STATE" });
+    legacy.sttMode = "realtime";
+    const normalized = validateAndNormalizeCapsule(legacy, "legacy");
+    assert.equal(normalized.domain, legacy);
+    assert.equal(normalized.contractVersion, undefined);
+    assert.equal(normalized.capabilities?.dtmf, undefined, "v1 sin declarar: el engine no recolecta DTMF");
+
+    const keypad = async () => ({ action: "SET_STATE" });
+    keypad.capabilities = { dtmf: true };
+    assert.equal(validateAndNormalizeCapsule(keypad, "keypad").capabilities.dtmf, true);
+});
+
+test("invokeCapsuleHook: solo v2, errores aislados", async () => {
+    const calls = [];
+    const normalized = validateAndNormalizeCapsule(capsule({
+        hooks: {
+            onInit: async () => null,
+            onTurn: async () => null,
+            onHangup: async (ctx) => { calls.push(ctx.event); return { state: { hungUp: true } }; },
+            onFinalize: async () => { throw new Error("boom"); }
+        }
+    }), "demo");
+
+    assert.deepEqual(await invokeCapsuleHook(normalized, "onHangup", { event: "HANGUP" }), { state: { hungUp: true } });
+    assert.equal(await invokeCapsuleHook(normalized, "onFinalize", { event: "FINALIZE" }), null);
+    assert.equal(await invokeCapsuleHook(normalized, "onWebhookResult", {}), null);
+    assert.equal(await invokeCapsuleHook({ contractVersion: 1, hooks: normalized.hooks }, "onHangup", {}), null);
+    assert.deepEqual(calls, ["HANGUP"]);
+});
+
+test("Upcom cumple el contrato v2 y saluda en onInit", async () => {
+    const normalized = validateAndNormalizeCapsule(upcomCapsule, "upcom.tomadatos");
+    assert.ok(normalized);
+
+    const init = await normalized.domain({ event: "INIT", transcript: "", state: {} });
+    assert.equal(init.nextPhase, "ASK_NAME");
+    assert.match(init.ttsText, /indíqueme su nombre/);
+    assert.equal(init.skipInput, false);
+
+    const name = await normalized.domain({ event: "TURN", transcript: "Ana Rojas", state: init.state });
+    assert.equal(name.nextPhase, "ASK_RUT");
+    assert.equal(name.state.data.name, "Ana Rojas");
+});
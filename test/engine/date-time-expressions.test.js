@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateTimeExpression, matchesDateTime } from "../../services/core/engine/datetime/date-time-expressions.js";
+
+// Lunes 19 de octubre de 2026, 12:00 en Santiago
+const now = new Date("2026-10-19T12:00:00-03:00");
+const parse = (text) => parseDateTimeExpression(text, { now });
+
+test("fechas: días relativos, día de la semana y parte del día", () => {
+    const martesTarde = parse("el martes en la tarde");
+    assert.deepEqual([martesTarde.dates, martesTarde.timeFrom, martesTarde.timeTo, martesTarde.partOfDay],
+        [["2026-10-20"], "12:00", "19:00", "TARDE"]);
+
+    // "mañana en la mañana": día siguiente + parte del día
+    const mananaManana = parse("mañana en la mañana");
+    assert.deepEqual([mananaManana.dates, mananaManana.partOfDay], [["2026-10-20"], "MANANA"]);
+
+    assert.deepEqual(parse("pasado mañana").dates, ["2026-10-21"]);
+    assert.deepEqual(parse("el lunes").dates, ["2026-10-19"]);          // hoy es lunes
+    assert.deepEqual(parse("el próximo lunes").dates, ["2026-10-26"]);  // estrictamente después de hoy
+    assert.deepEqual(parse("15/11").dates, ["2026-11-15"]);
+    assert.deepEqual(parse("el quince de marzo").dates, ["2027-03-15"]); // ya pasó este año
+});
+
+test("rangos: después del quince, antes del viernes, entre, semanas y meses", () => {
+    const despues = parse("después del quince");
+    assert.deepEqual([despues.dateFrom, despues.dateTo], ["2026-11-16", null]); // el 15 de octubre ya pasó
+    assert.equal(parse("antes del viernes").dateTo, "2026-10-22");
+
+    const entre = parse("entre el lunes y el miércoles");
+    assert.deepEqual([entre.dateFrom, entre.dateTo], ["2026-10-19", "2026-10-21"]);
+
+    const semana = parse("la próxima semana");
+    assert.deepEqual([semana.dateFrom, semana.dateTo], ["2026-10-26", "2026-11-01"]);
+    const diciembre = parse("para diciembre");
+    assert.deepEqual([diciembre.dateFrom, diciembre.dateTo], ["2026-12-01", "2026-12-31"]);
+});
+
+test("horas: exacta, tramos y tarde implícita entre 1 y 7", () => {
+    assert.equal(parse("a las diez y media").exactTime, "10:30");
+    assert.equal(parse("a las tres").exactTime, "15:00");
+    assert.equal(parse("a las 8 menos cuarto").exactTime, "07:45");
+    assert.equal(parse("mañana a las cuatro de la tarde").exactTime, "16:00");
+
+    const entre = parse("entre las tres y las cinco");
+    assert.deepEqual([entre.timeFrom, entre.timeTo], ["15:00", "17:00"]);
+    const hoy = parse("hoy después de las cuatro");
+    assert.deepEqual([hoy.dates, hoy.timeFrom], [["2026-10-19"], "16:00"]);
+});
+
+test("lo antes posible, ruido y filtro de cupos", () => {
+    assert.equal(parse("lo antes posible").asap, true);
+    assert.equal(parse("la primera que tenga").asap, true);
+    assert.equal(parse("hola sí bueno").matched, false);
+    assert.equal(parse("tengo 3 hijos").matched, false); // número sin "el" / "día": no es fecha
+
+    const martesTarde = parse("el martes en la tarde");
+    assert.equal(matchesDateTime(martesTarde, "2026-10-20", "15:30"), true);
+    assert.equal(matchesDateTime(martesTarde, "2026-10-20", "10:00"), false);
+    assert.equal(matchesDateTime(martesTarde, "2026-10-20", "10:00", { ignoreTime: true }), true);
+    assert.equal(matchesDateTime(martesTarde, "2026-10-21", "15:30"), false);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { DtmfCollector, DtmfEndReason } from "../../services/core/engine/ari/dtmf-collector.js";
+
+function fakeChannel() {
+    const channel = new EventEmitter();
+    channel.id = "chan-1";
+    channel.press = (digits) => {
+        for (const digit of digits) channel.emit("ChannelDtmfReceived", { digit }, channel);
+    };
+    return channel;
+}
+
+function collector(defaults = {}) {
+    const channel = fakeChannel();
+    const dtmf = new DtmfCollector(channel, { interDigitTimeoutMs: 40, firstDigitTimeoutMs: 80, ...defaults });
+    dtmf.start();
+    return { channel, dtmf };
+}
+
+test("'#' termina la recolección y no viaja en el resultado", async () => {
+    const { channel, dtmf } = collector();
+    const pending = dtmf.collect();
+    channel.press("1234#");
+    assert.deepEqual(await pending, { digits: "1234", reason: DtmfEndReason.TERMINATOR });
+});
+
+test("collect N dígitos termina al llegar a maxDigits", async () => {
+    const { channel, dtmf } = collector();
+    const pending = dtmf.collect({ maxDigits: 3 });
+    channel.press("98765");
+    assert.deepEqual(await pending, { digits: "987", reason: DtmfEndReason.MAX_DIGITS });
+    // Lo que sobra queda en buffer para la próxima recolección
+    assert.equal(dtmf.hasPending(), true);
+    assert.deepEqual(await dtmf.collect({ maxDigits: 2 }), { digits: "65", reason: DtmfEndReason.MAX_DIGITS });
+});
+
+test("timeout entre dígitos entrega lo tecleado; sin teclas es no_input", async () => {
+    const { channel, dtmf } = collector();
+    const pending = dtmf.collect();
+    channel.press("12");
+    assert.deepEqual(await pending, { digits: "12", reason: DtmfEndReason.INTER_DIGIT_TIMEOUT });
+
+    assert.deepEqual(await dtmf.collect(), { digits: "", reason: DtmfEndReason.NO_INPUT });
+});
+
+test("teclas previas a collect() quedan en buffer ('*' se conserva)", async () => {
+    const { channel, dtmf } = collector();
+    channel.press("1*#");
+    assert.equal(dtmf.hasPending(), true);
+    assert.deepEqual(await dtmf.collect(), { digits: "1*", reason: DtmfEndReason.TERMINATOR });
+    assert.equal(dtmf.hasPending(), false);
+});
+
+test("dígitos inválidos se ignoran y stop() libera la recolección", async () => {
+    const { channel, dtmf } = collector({ firstDigitTimeoutMs: 5000 });
+    const pending = dtmf.collect();
+    channel.emit("ChannelDtmfReceived", { digit: "x" }, channel);
+    channel.press("7");
+    dtmf.stop();
+    assert.deepEqual(await pending, { digits: "7", reason: DtmfEndReason.CANCELLED });
+
+    channel.press("5");
+    assert.equal(dtmf.hasPending(), false);
+    assert.equal(channel.listenerCount("ChannelDtmfReceived"), 0);
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "events";
+import { createFakeAri } from "../../services/core/simulator/fake-ari.js";
+import {
+    HandoffOutcome,
+    HANDOFF_AGENT_ROLE,
+    buildHandoffPayload,
+    buildWhisperText,
+    handoffToAgent,
+    summarizeTranscript
+} from "../../services/core/engine/domain/handoff.js";
+
+async function callerInStasis(ari) {
+    const channel = ari.placeInboundCall({ args: ["voicebot_demo"], ani: "56911111111", dnis: "322000000" });
+    await once(ari, "StasisStart");
+    return channel;
+}
+
+test("payload de screen-pop: RUT validado, fase y resumen del transcript", () => {
+    const history = [
+        { role: "assistant", content: "Hola, ¿me dice su RUT?" },
+        { role: "user", content: "catorce millones trescientos" },
+        { role: "user", content: "quiero hablar con una persona" }
+    ];
+    const payload = buildHandoffPayload({
+        linkedId: "L1",
+        channelId: "C1",
+        ani: "56911111111",
+        dnis: "322000000",
+        queue: "cola_ventas",
+        state: { dni: "14348258-8", rutPhase: "ASK_SPECIALTY" },
+        history,
+        handoff: { patientName: "Juan Pérez" }
+    });
+
+    assert.equal(payload.rut, "14348258-8");
+    assert.equal(payload.patientName, "Juan Pérez");
+    assert.equal(payload.lastPhase, "ASK_SPECIALTY");
+    assert.match(payload.summary, /^Bot: Hola.*\| Cliente: quiero hablar con una persona$/);
+    assert.equal(buildWhisperText(payload), "Juan Pérez, RUT 14348258-8. Transferido desde el asistente virtual.");
+
+    // El resumen se recorta conservando lo más reciente
+    assert.ok(summarizeTranscript(history, { maxChars: 20 }).endsWith("una persona"));
+    assert.equal(summarizeTranscript(history, { maxChars: 20 }).length, 20);
+});
+
+test("agente contesta: whisper solo al agente y luego bridge con el llamante", async () => {
+    const ari = createFakeAri({ originateAnswerMs: 20 });
+    try {
+        const caller = await callerInStasis(ari);
+        const whispered = [];
+
+        const result = await handoffToAgent(ari, caller, {
+            linkedId: caller.id,
+            queue: "cola_ventas",
+            appName: "crm_app",
+            timeoutSeconds: 1,
+            whisperText: "Juan Pérez, RUT 14348258-8.",
+            speak: async (agent, text) => {
+                whispered.push({ agent: agent.id, callerBridged: !!ari.channelsById.get(caller.id).bridgeId, text });
+            }
+        });
+
+        assert.equal(result.outcome, HandoffOutcome.CONNECTED);
+        assert.deepEqual(whispered, [{ agent: result.agentChannelId, callerBridged: false, text: "Juan Pérez, RUT 14348258-8." }]);
+        assert.deepEqual(ari.bridgesById.get(result.bridgeId).channels, [caller.id, result.agentChannelId]);
+
+        const originate = ari.timeline.find(e => e.type === "originate");
+        assert.equal(originate.endpoint, "Local/cola_ventas@queues");
+
+        // El agente cuelga → se cierra el llamante y el bridge
+        ari.callerHangup(result.agentChannelId);
+        await new Promise(r => setTimeout(r, 20));
+        assert.equal(ari.channelsById.has(caller.id), false);
+        assert.equal(ari.bridgesById.has(result.bridgeId), false);
+    } finally {
+        ari.shutdown();
+    }
+});
+
+test("sin agente dentro de queueTimeoutSeconds: TIMEOUT y se corta el tramo del agente", async () => {
+    const ari = createFakeAri({ originateAnswerMs: 500 });
+    try {
+        const caller = await callerInStasis(ari);
+        const result = await handoffToAgent(ari, caller, {
+            linkedId: caller.id,
+            queue: "cola_ventas",
+            appName: "crm_app",
+            timeoutSeconds: 0.05
+        });
+        assert.equal(result.outcome, HandoffOutcome.TIMEOUT);
+        await new Promise(r => setTimeout(r, 10));
+        assert.equal(ari.channelsById.has(result.agentChannelId), false);
+        assert.equal(ari.channelsById.has(caller.id), true);
+        assert.ok(HANDOFF_AGENT_ROLE.startsWith("role="));
+    } finally {
+        ari.shutdown();
+    }
+});
@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    HttpIntegrationClient,
+    BREAKER_STATES,
+    idempotencyKey,
+    integrationMetrics,
+    unwrapN8nOutput
+} from "../../services/core/engine/integrations/http-integration-client.js";
+import { LatencyHistogram } from "../../services/core/engine/telemetry/latency-histogram.js";
+
+const URL_A = "http://n8n.local/webhook/abc";
+
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
+
+/** fetch de prueba: responde en orden la lista (Error = fallo de red) y registra headers */
+function scriptedFetch(responses) {
+    const calls = [];
+    const fetchImpl = async (url, options) => {
+        calls.push({ url, headers: options.headers, body: options.body ? JSON.parse(options.body) : null });
+        const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+        if (next instanceof Error) throw next;
+        return typeof next === "function" ? next(options) : jsonResponse(next.status, next.body);
+    };
+    return { calls, fetchImpl };
+}
+
+function client(fetchImpl, options = {}) {
+    return new HttpIntegrationClient({
+        name: "test",
+        timeoutMs: 500,
+        deadlineMs: 2000,
+        retries: 2,
+        retryBaseDelayMs: 10,
+        breaker: { failureThreshold: 2, openMs: 1000 },
+        fetchImpl,
+        sleep: async () => {},
+        random: () => 0.5,
+        ...options
+    });
+}
+
+test("http: reintenta eventos idempotentes con la misma Idempotency-Key y no reintenta los demás", async () => {
+    const { calls, fetchImpl } = scriptedFetch([{ status: 503, body: {} }, new Error("ECONNRESET"), { status: 200, body: { ok: true } }]);
+    const http = client(fetchImpl, { idempotentEvents: ["VALIDATE_PATIENT"] });
+
+    const result = await http.request({ url: URL_A, event: "VALIDATE_PATIENT", payload: { rut: "1-9", timestamp: 1 }, sessionId: "s1" });
+    assert.equal(result.ok, true);
+    assert.equal(result.attempts, 3);
+    assert.deepEqual(result.data, { ok: true });
+    assert.equal(new Set(calls.map(c => c.headers["Idempotency-Key"])).size, 1);
+    assert.deepEqual(calls.map(c => c.headers["X-Attempt"]), ["1", "2", "3"]);
+
+    const hold = scriptedFetch([{ status: 503, body: {} }, { status: 200, body: { ok: true } }]);
+    const once = await client(hold.fetchImpl).request({ url: URL_A, event: "GET_NEXT_AVAILABILITY", payload: {}, sessionId: "s1" });
+    assert.equal(once.ok, false);
+    assert.equal(once.code, "HTTP_STATUS");
+    assert.equal(once.status, 503);
+    assert.equal(hold.calls.length, 1);
+
+    // 4xx no se reintenta aunque el evento sea idempotente
+    const bad = scriptedFetch([{ status: 400, body: {} }]);
+    assert.equal((await client(bad.fetchImpl).request({ url: URL_A, event: "X", idempotent: true })).attempts, 1);
+});
+
+test("http: un endpoint lento cuesta como máximo deadlineMs, no timeoutMs por intento", async () => {
+    const hang = (options) => new Promise((_, reject) => options.signal.addEventListener("abort", () => reject(options.signal.reason)));
+    const { calls, fetchImpl } = scriptedFetch([hang]);
+    const http = client(fetchImpl, { timeoutMs: 80, deadlineMs: 150, retries: 5, sleep: undefined });
+
+    const t0 = Date.now();
+    const result = await http.request({ url: URL_A, event: "FORMAT_RUT", sessionId: "s1", idempotent: true });
+    const elapsed = Date.now() - t0;
+
+    assert.equal(result.ok, false);
+    assert.ok(["HTTP_TIMEOUT", "HTTP_DEADLINE"].includes(result.code), result.code);
+    assert.ok(elapsed < 400, `tardó ${elapsed}ms`);
+    assert.ok(calls.length >= 1 && calls.length <= 3);
+});
+
+test("http: el circuito se abre por endpoint, responde el respaldo de la cápsula y se cierra tras una prueba exitosa", async () => {
+    let now = 0;
+    const { calls, fetchImpl } = scriptedFetch([new Error("ECONNREFUSED"), new Error("ECONNREFUSED"), { status: 200, body: { output: JSON.stringify({ ok: true, rut: "14348258-8" }) } }]);
+    const http = client(fetchImpl, {
+        retries: 0,
+        now: () => now,
+        parse: unwrapN8nOutput,
+        fallbacks: { FORMAT_RUT: (payload, failure) => ({ ok: false, reason: "LOCAL", code: failure.code }) }
+    });
+    const formatRut = () => http.request({ url: `${URL_A}?x=1`, event: "FORMAT_RUT", payload: { rut_raw: "14" }, sessionId: "s1" });
+
+    await formatRut();
+    await formatRut();
+    assert.equal(http.metrics().breakers[URL_A].state, BREAKER_STATES.OPEN);
+
+    const open = await formatRut();
+    assert.equal(calls.length, 2, "con el circuito abierto no se llama al endpoint");
+    assert.deepEqual([open.ok, open.fallback, open.data.code], [true, true, "HTTP_CIRCUIT_OPEN"]);
+
+    // Otro evento sin respaldo → error tipado
+    assert.equal((await http.request({ url: URL_A, event: "CONFIRM_AVAILABILITY" })).code, "HTTP_CIRCUIT_OPEN");
+
+    now += 1000;
+    const trial = await formatRut();
+    assert.deepEqual(trial.data, { ok: true, rut: "14348258-8" });
+    assert.equal(http.metrics().breakers[URL_A].state, BREAKER_STATES.CLOSED);
+
+    const latency = http.metrics().latency;
+    assert.equal(latency.find(h => h.event === "FORMAT_RUT" && h.outcome === "fallback").count, 3);
+    assert.equal(latency.find(h => h.event === "FORMAT_RUT" && h.outcome === "ok").count, 1);
+});
+
+test("http: un respaldo que lanza no rompe el contrato y las métricas quedan visibles por cliente", async () => {
+    const { fetchImpl } = scriptedFetch([new Error("ECONNREFUSED")]);
+    const http = client(fetchImpl, {
+        name: "respaldo-roto",
+        retries: 0,
+        fallbacks: { FORMAT_RUT: () => { throw new Error("fixture corrupto"); } }
+    });
+
+    const result = await http.request({ url: URL_A, event: "FORMAT_RUT", payload: { rut_raw: "14" }, sessionId: "s1" });
+    assert.equal(result.ok, false);
+    assert.equal(result.code, "HTTP_FALLBACK_ERROR");
+    assert.match(result.error, /HTTP_NETWORK y el respaldo falló: fixture corrupto/);
+
+    const metrics = integrationMetrics()["respaldo-roto"];
+    assert.equal(metrics.latency.find(h => h.event === "FORMAT_RUT").outcome, "error");
+    assert.equal(metrics.breakers[URL_A].failures, 1);
+});
+
+test("http: idempotency key estable sin campos volátiles e histograma con cuantiles por bucket", () => {
+    const a = idempotencyKey("s1", "FORMAT_RUT", { rut_raw: "14", timestamp: 1 });
+    assert.equal(a, idempotencyKey("s1", "FORMAT_RUT", { timestamp: 2, rut_raw: "14" }));
+    assert.notEqual(a, idempotencyKey("s1", "FORMAT_RUT", { rut_raw: "15" }));
+    assert.notEqual(a, idempotencyKey("s2", "FORMAT_RUT", { rut_raw: "14" }));
+    assert.match(a, /^FORMAT_RUT:s1:[0-9a-f]{16}$/);
+
+    const histogram = new LatencyHistogram([100, 500, 1000]);
+    [40, 90, 120, 300, 700, 4000].forEach(ms => histogram.observe(ms));
+    const snap = histogram.snapshot();
+    assert.deepEqual(snap.buckets, { 100: 2, 500: 4, 1000: 5, "+Inf": 6 });
+    assert.equal(snap.p50, 500);
+    assert.equal(snap.p99, 4000);
+    assert.equal(new LatencyHistogram().quantile(0.5), null);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rankIdentityHypotheses, runnerUpHypothesis } from "../../services/core/engine/identity/identity-hypotheses.js";
+import { splitSelfCorrections, isCorrectionWord } from "../../services/core/engine/identity/spoken-numbers.js";
+
+test("RUT: corrección con millones deja el cuerpo corregido con DV inferido", () => {
+    const [best] = rankIdentityHypotheses("catorce millones, no, quince millones trescientos", "RUT");
+    assert.deepEqual([best.value, best.display, best.valid, best.reason], ["150003008", "15.000.300-8", false, "dv_inferred"]);
+    assert.ok(best.confidence < 60); // DV no dicho: hay que confirmarlo
+});
+
+test("RUT: reinicio sin marcador y DV corregido", () => {
+    const restarted = rankIdentityHypotheses("uno cuatro tres cuatro uno cuatro tres cuatro ocho dos cinco ocho guion ocho", "RUT");
+    assert.deepEqual([restarted[0].value, restarted[0].source, restarted[0].valid], ["143482588", "repeat", true]);
+
+    const corrected = rankIdentityHypotheses("catorce tres cuatro ocho dos cinco ocho guion siete, no perdón, ocho", "RUT");
+    assert.deepEqual([corrected[0].value, corrected[0].source], ["143482588", "corrected"]);
+
+    const direct = rankIdentityHypotheses("catorce millones trescientos cuarenta y ocho mil doscientos cincuenta y ocho guion ocho", "RUT");
+    assert.ok(direct[0].confidence > corrected[0].confidence);
+    assert.deepEqual(rankIdentityHypotheses("", "RUT"), []);
+});
+
+test("tipos registrados: válidas primero, una por valor y top-N", () => {
+    const phone = rankIdentityHypotheses("nueve uno dos tres nueve uno dos tres cuatro cinco seis siete ocho", "PHONE_CL");
+    assert.deepEqual([phone[0].value, phone[0].display, phone[0].source], ["912345678", "+56 9 1234 5678", "repeat"]);
+    assert.equal(new Set(phone.map(h => h.value)).size, phone.length);
+
+    const corrected = rankIdentityHypotheses("nueve uno dos tres, no, nueve ocho siete seis cinco cuatro tres dos uno", "PHONE_CL", { limit: 1 });
+    assert.equal(corrected.length, 1);
+    assert.equal(corrected[0].value, "987654321");
+});
+
+test("segmentos de corrección y palabras marcador", () => {
+    assert.deepEqual(splitSelfCorrections("catorce millones, no, quince millones"), ["catorce millones", "quince millones"]);
+    assert.deepEqual(splitSelfCorrections("no, catorce"), ["no catorce"]);
+    assert.ok(isCorrectionWord("perdon") && isCorrectionWord("dicho"));
+    assert.equal(isCorrectionWord("catorce"), false);
+});
+
+test("runner-up: la mejor hipótesis válida distinta de la ofrecida", () => {
+    // Se confirmó lo dicho con el DV equivocado: la lectura corregida es la alternativa
+    const corrected = rankIdentityHypotheses("catorce tres cuatro ocho dos cinco ocho guion siete, no perdón, ocho", "RUT");
+    assert.equal(runnerUpHypothesis(corrected, "14348258-7").display, "14.348.258-8");
+    // Ya se ofreció la mejor: las lecturas con DV inferido no se ofrecen
+    const restarted = rankIdentityHypotheses("uno cuatro tres cuatro uno cuatro tres cuatro ocho dos cinco ocho guion ocho", "RUT");
+    assert.equal(runnerUpHypothesis(restarted, "14.348.258-8"), null);
+    assert.equal(runnerUpHypothesis([{ value: "143482588", valid: true }], "14348258-8"), null);
+    assert.equal(runnerUpHypothesis([{ value: "150003008", valid: false }], "14348258-8"), null);
+});
+
+test("Quintero CONFIRM_RUT: ante un 'no' ofrece la segunda hipótesis antes de volver a pedir el RUT", async () => {
+    process.env.REDIS_DRIVER = "memory";
+    const { default: redis } = await import("../../lib/redis.js");
+    const { default: QuinteroPhasedCapsule } = await import("../../services/client/quintero/bot/capsules/phased-capsule.js");
+    const capsule = new QuinteroPhasedCapsule(1);
+    const linkedId = "hyp-runner-up";
+
+    // Lo acumulado en LISTEN_RUT: el llamante se corrigió el DV
+    await capsule.rememberRutAlternative(linkedId, "14348258-7", { hypotheses: [] }, {
+        buffer: "catorce tres cuatro ocho dos cinco ocho guion siete, no perdón, ocho"
+    });
+    assert.equal(await redis.get(`rut:alternative:${linkedId}`), "14348258-8");
+    await redis.set(`rut:formatted:${linkedId}`, "14348258-7");
+
+    const offered = await capsule.handleConfirmRut({ linkedId, transcript: "no", event: "TURN" });
+    assert.equal(offered.nextPhase, "CONFIRM_RUT");
+    assert.match(offered.ttsText, /dos cinco ocho guión ocho/);
+    assert.equal(await redis.get(`rut:formatted:${linkedId}`), "14348258-8");
+
+    // Segunda negativa: ya no quedan hipótesis → se vuelve a pedir el RUT
+    const rejected = await capsule.handleConfirmRut({ linkedId, transcript: "no", event: "TURN" });
+    assert.equal(rejected.nextPhase, "LISTEN_RUT");
+    assert.equal(await redis.get(`rut:formatted:${linkedId}`), null);
+});
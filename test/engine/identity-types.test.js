@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseIdentity,
+    registerIdentityType,
+    createAccountIdType,
+    getIdentityType
+} from "../../services/core/engine/identity/identity-types.js";
+import { parseSpokenDigits, parseSpokenNumber } from "../../services/core/engine/identity/spoken-numbers.js";
+
+const now = new Date("2026-10-19T12:00:00");
+
+test("números hablados: dictado por grupos y cantidades", () => {
+    assert.equal(parseSpokenDigits("nueve ochenta y siete sesenta y cinco cuarenta y tres veintiuno").digits, "987654321");
+    assert.equal(parseSpokenDigits("cero cinco ciento dos").digits, "05102");
+    assert.deepEqual(parseSpokenDigits("más 9 1234 5678").skipped, ["mas"]);
+    assert.equal(parseSpokenNumber("mil novecientos sesenta"), 1960);
+    assert.equal(parseSpokenNumber("dos mil cinco"), 2005);
+    assert.equal(parseSpokenNumber("hola"), null);
+});
+
+test("PHONE_CL: móvil, fijo y prefijo +56", () => {
+    const mobile = parseIdentity("nueve, uno dos tres cuatro, cinco seis siete ocho", "PHONE_CL");
+    assert.deepEqual([mobile.value, mobile.display, mobile.state], ["912345678", "+56 9 1234 5678", "VALIDADO"]);
+
+    const withCountry = parseIdentity("más cincuenta y seis nueve uno dos tres cuatro cinco seis siete ocho", "PHONE_CL");
+    assert.equal(withCountry.value, "912345678");
+    assert.ok(withCountry.confidence > mobile.confidence);
+
+    assert.equal(parseIdentity("treinta y dos dos uno dos tres cuatro cinco seis", "PHONE_CL").display, "+56 32 212 3456");
+    assert.equal(parseIdentity("nueve uno dos", "PHONE_CL").state, "INCOMPLETO");
+    assert.deepEqual([parseIdentity("81 234 5678", "PHONE_CL").state, parseIdentity("81 234 5678", "PHONE_CL").reason], ["INVALIDO", "prefix:81"]);
+});
+
+test("DOB: fecha hablada, siglo inferido y fechas imposibles", () => {
+    const dob = parseIdentity("quince de marzo del sesenta", "DOB", { now });
+    assert.deepEqual([dob.value, dob.display, dob.state], ["1960-03-15", "15 de marzo de 1960", "VALIDADO"]);
+
+    const fullYear = parseIdentity("el primero de enero de mil novecientos ochenta y cinco", "DOB", { now });
+    assert.equal(fullYear.value, "1985-01-01");
+    assert.ok(fullYear.confidence > dob.confidence); // año completo: sin adivinar el siglo
+
+    assert.equal(parseIdentity("quince del tres del ochenta y dos", "DOB", { now }).value, "1982-03-15");
+    assert.equal(parseIdentity("15/03/1960", "DOB", { now }).value, "1960-03-15");
+    assert.equal(parseIdentity("tres de enero del cinco", "DOB", { now }).value, "2005-01-03");
+    assert.equal(parseIdentity("quince de marzo", "DOB", { now }).reason, "year_missing");
+    assert.equal(parseIdentity("treinta y uno de febrero del noventa", "DOB", { now }).reason, "date_invalid");
+    assert.equal(parseIdentity("tres de diciembre de 2026", "DOB", { now }).reason, "future");
+});
+
+test("EMAIL: deletreado, símbolos dichos y escrito por el STT", () => {
+    assert.equal(parseIdentity("juan punto perez arroba gmail punto com", "EMAIL").value, "juan.perez@gmail.com");
+    assert.equal(parseIdentity("mi correo es jota pe guion bajo dos arroba hot mail punto com", "EMAIL").value, "jp_2@hotmail.com");
+    assert.equal(parseIdentity("Es Juan.Perez@Gmail.com", "EMAIL").value, "juan.perez@gmail.com");
+    assert.equal(parseIdentity("juan perez arroba gmail", "EMAIL").reason, "domain_incomplete");
+    assert.equal(parseIdentity("juan perez", "EMAIL").reason, "at_missing");
+});
+
+test("ACCOUNT y tipos registrados por la cápsula", () => {
+    assert.equal(parseIdentity("uno dos tres cuatro cinco seis siete", "ACCOUNT").state, "VALIDADO");
+    assert.equal(parseIdentity("mi cuenta es 12345", "ACCOUNT").state, "INCOMPLETO");
+
+    createAccountIdType({ name: "POLIZA_TEST", minLen: 4, maxLen: 4 });
+    assert.equal(parseIdentity("doce treinta y cuatro", "POLIZA_TEST").value, "1234");
+    assert.equal(parseIdentity("uno dos tres cuatro cinco", "POLIZA_TEST").state, "INVALIDO");
+    assert.equal(getIdentityType("POLIZA_TEST").isToken("hola"), false);
+
+    assert.throws(() => registerIdentityType({ name: "sin-formato", normalize() {}, validate() {} }), (err) => err.code === "IDENTITY_TYPE_INVALID");
+    assert.throws(() => createAccountIdType({ name: "MALO", minLen: 8, maxLen: 4 }), (err) => err.code === "IDENTITY_TYPE_INVALID");
+    assert.throws(() => parseIdentity("uno", "PASAPORTE"), (err) => err.code === "IDENTITY_TYPE_UNKNOWN");
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { HttpIntegrationClient, unwrapN8nOutput } from "../../services/core/engine/integrations/http-integration-client.js";
+import { createRequestSigner, verifySignature, hmacSignature } from "../../services/core/engine/integrations/request-signer.js";
+import { validateResponse } from "../../services/core/engine/integrations/response-schema.js";
+import { startWebhookStub } from "../../services/core/simulator/webhook-stub.js";
+
+const NOW = Date.parse("2026-10-19T12:00:00-03:00");
+
+const AVAILABILITY = {
+    horaFound: { type: "boolean", required: true },
+    fecha: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}/, requiredWhen: { horaFound: true } },
+    hora: { type: "string", pattern: /^\d{1,2}:\d{2}/, requiredWhen: { horaFound: true } },
+    doctor_box: { type: "string", nullable: true }
+};
+
+test("firma: bearer y hmac sobre el body exacto; configuración incompleta falla con WEBHOOK_AUTH_CONFIG", () => {
+    assert.deepEqual(createRequestSigner({ type: "none" })("{}"), {});
+    assert.deepEqual(createRequestSigner({ type: "bearer", token: "t0k" })("{}"), { Authorization: "Bearer t0k" });
+
+    const headers = createRequestSigner({ type: "hmac", secret: "s3cr3t" }, () => NOW)('{"a":1}');
+    assert.equal(headers["X-Webhook-Timestamp"], String(NOW / 1000));
+    assert.equal(headers["X-Webhook-Signature"], hmacSignature("s3cr3t", NOW / 1000, '{"a":1}'));
+
+    const received = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    assert.equal(verifySignature("s3cr3t", '{"a":1}', received, { now: () => NOW }), true);
+    assert.equal(verifySignature("s3cr3t", '{"a":2}', received, { now: () => NOW }), false);
+    assert.equal(verifySignature("otro", '{"a":1}', received, { now: () => NOW }), false);
+    assert.equal(verifySignature("s3cr3t", '{"a":1}', received, { now: () => NOW + 10 * 60 * 1000 }), false, "replay fuera de tolerancia");
+
+    for (const auth of [{ type: "hmac" }, { type: "bearer" }, { type: "basic", token: "x" }]) {
+        assert.throws(() => createRequestSigner(auth), { code: "WEBHOOK_AUTH_CONFIG" });
+        assert.throws(() => new HttpIntegrationClient({ auth }), { code: "WEBHOOK_AUTH_CONFIG" });
+    }
+});
+
+test("esquema: campos requeridos, condicionales, tipos y formato", () => {
+    assert.deepEqual(validateResponse(AVAILABILITY, { horaFound: false, reason: "NO_AVAILABILITY" }), []);
+    assert.deepEqual(validateResponse(AVAILABILITY, { horaFound: true, fecha: "2026-10-20", hora: "10:30", doctor_box: null }), []);
+    assert.deepEqual(validateResponse(AVAILABILITY, { horaFound: true, fecha: "20/10/2026" }), [
+        'fecha: "20/10/2026" no cumple el formato',
+        "hora: requerido"
+    ]);
+    assert.deepEqual(validateResponse(AVAILABILITY, { horaFound: "true" }), ["horaFound: se esperaba boolean, llegó string"]);
+    assert.deepEqual(validateResponse(AVAILABILITY, "ok"), ["respuesta: se esperaba objeto, llegó string"]);
+});
+
+test("cliente: requests firmados contra el stub y respuestas fuera de esquema como HTTP_INVALID_RESPONSE", async () => {
+    const stub = await startWebhookStub({
+        auth: { type: "hmac", secret: "s3cr3t" },
+        handlers: {
+            GET_NEXT_AVAILABILITY: (payload) => payload.especialidad === "ROTA"
+                ? { ok: true, horaFound: true, hora: 1030 }
+                : { ok: true, horaFound: true, fecha: "2026-10-20", hora: "10:30", doctor_box: "Box 3" },
+            FORMAT_RUT: () => ({ ok: true })
+        }
+    });
+    try {
+        const options = {
+            retries: 0,
+            parse: unwrapN8nOutput,
+            schemas: { GET_NEXT_AVAILABILITY: AVAILABILITY, FORMAT_RUT: { ok: { type: "boolean", required: true }, rut: { type: "string", requiredWhen: { ok: true } } } },
+            fallbacks: { FORMAT_RUT: (payload, failure) => ({ ok: false, reason: "LOCAL", violations: failure.violations }) }
+        };
+        const signed = new HttpIntegrationClient({ ...options, auth: { type: "hmac", secret: "s3cr3t" } });
+        const request = (client, payload) => client.request({ url: stub.url, event: payload.action, payload, sessionId: "s1" });
+
+        const ok = await request(signed, { action: "GET_NEXT_AVAILABILITY", especialidad: "MEDICINA" });
+        assert.deepEqual([ok.ok, ok.data.hora], [true, "10:30"]);
+
+        const invalid = await request(signed, { action: "GET_NEXT_AVAILABILITY", especialidad: "ROTA" });
+        assert.equal(invalid.ok, false);
+        assert.equal(invalid.code, "HTTP_INVALID_RESPONSE");
+        assert.deepEqual(invalid.violations, ["fecha: requerido", "hora: se esperaba string, llegó number"]);
+
+        // Fuera de esquema con respaldo de la cápsula → responde el respaldo
+        const fallback = await request(signed, { action: "FORMAT_RUT", rut_raw: "14" });
+        assert.deepEqual([fallback.fallback, fallback.data.reason, fallback.data.violations], [true, "LOCAL", ["rut: requerido"]]);
+
+        const unsigned = await request(new HttpIntegrationClient({ ...options, fallbacks: {} }), { action: "GET_NEXT_AVAILABILITY", especialidad: "MEDICINA" });
+        assert.deepEqual([unsigned.ok, unsigned.status], [false, 401]);
+        assert.equal(stub.requests.filter(r => r.rejected).length, 1);
+    } finally {
+        await stub.close();
+    }
+});
+
+test("Quintero: RUT_CAPTURE_COMMIT fuera de esquema se registra como error con las violaciones antes del fallback local", async (t) => {
+    const { createFormatRutWebhook } = await import("../../services/client/quintero/bot/webhooks/formatRutWebhook.js");
+    const { N8N_RESPONSE_SCHEMAS } = await import("../../services/client/quintero/n8n/n8n-schemas.js");
+    const stub = await startWebhookStub({ handlers: { FORMAT_RUT: () => ({ ok: true, rut: "14.348.258-8" }) } });
+    const logs = t.mock.method(console, "log", () => {});
+    try {
+        const client = new HttpIntegrationClient({ name: "quintero-test", retries: 0, parse: unwrapN8nOutput, schemas: N8N_RESPONSE_SCHEMAS });
+        const result = await createFormatRutWebhook({ url: stub.url, client })("14348258-8");
+
+        assert.equal(result.ok, true, "el fallback local valida el RUT dictado");
+        const errors = logs.mock.calls.map(c => c.arguments[0]).filter(line => line.includes("[ERROR]"));
+        assert.ok(errors.some(line => /RUT_CAPTURE_COMMIT violó el esquema de respuesta: rut: "14\.348\.258-8" no cumple el formato/.test(line)), errors.join("\n"));
+    } finally {
+        logs.mock.restore();
+        await stub.close();
+    }
+});
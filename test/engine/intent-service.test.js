@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { IntentService, INTENTS, matchIntentPatterns } from "../../services/core/engine/intent/intent-service.js";
+
+function fakeLlm(answer) {
+    const llm = async (request) => {
+        llm.calls.push(request);
+        if (answer instanceof Error) throw answer;
+        return answer;
+    };
+    llm.calls = [];
+    return llm;
+}
+
+test("patrones: respuestas que antes eran UNKNOWN tienen intención", () => {
+    const cases = [
+        ["sí", "YES"],
+        ["no", "NO"],
+        ["repítame por favor", "REPEAT"],
+        ["sí pero otro día", "CHANGE"],
+        ["no, más tarde", "LATER"],
+        ["quiero hablar con una persona", "HUMAN"],
+        ["I'd like to reschedule", "CHANGE"]
+    ];
+    for (const [text, intent] of cases) {
+        assert.equal(matchIntentPatterns(text).intent, intent, text);
+    }
+
+    const unsure = matchIntentPatterns("no sé");
+    assert.deepEqual([unsure.intent, unsure.unsure], ["UNKNOWN", true]);
+    assert.equal(matchIntentPatterns("sí, no").intent, "UNKNOWN");
+    assert.equal(matchIntentPatterns("Wi, se sa", { language: "ht" }).intent, "YES");
+});
+
+test("confianza según cuánto del enunciado explica la frase", () => {
+    assert.equal(matchIntentPatterns("sí").confidence, 0.95);
+    const partial = matchIntentPatterns("bueno, a ver, déjeme pensarlo un poco");
+    assert.equal(partial.intent, "YES");
+    assert.ok(partial.confidence < 0.7);
+});
+
+test("allowed: un paso solo recibe las intenciones que atiende", () => {
+    assert.equal(matchIntentPatterns("no, otro día", { allowed: ["YES", "NO"] }).intent, "NO");
+    assert.equal(matchIntentPatterns("sí pero otro día", { allowed: ["YES", "NO"] }).intent, "UNKNOWN"); // "sí" + "otro"
+    assert.equal(matchIntentPatterns("con una persona", { allowed: ["YES", "NO"] }).intent, "UNKNOWN");
+});
+
+test("LLM solo si los patrones fallan o dudan, restringido a allowed", async () => {
+    const llm = fakeLlm({ intent: "CHANGE", confidence: 0.82 });
+    const intents = new IntentService({ llm, llmMinConfidence: 0.7 });
+
+    assert.equal((await intents.classify("sí, correcto")).source, "pattern");
+    assert.equal((await intents.classify("no sé")).intent, "UNKNOWN");
+    assert.equal(llm.calls.length, 0);
+
+    const result = await intents.classify("el jueves me queda mejor", { language: "es", question: "¿Confirma su hora?" });
+    assert.deepEqual(result, { intent: "CHANGE", confidence: 0.82, source: "llm", matched: null, unsure: false });
+    assert.deepEqual(llm.calls[0], { transcript: "el jueves me queda mejor", allowed: [...Object.values(INTENTS)].filter(i => i !== "UNKNOWN"), language: "es", question: "¿Confirma su hora?" });
+
+    // Fuera de allowed → UNKNOWN
+    const restricted = await intents.classify("el jueves me queda mejor", { allowed: ["YES", "NO"] });
+    assert.equal(restricted.intent, "UNKNOWN");
+});
+
+test("LLM caído: queda el resultado del patrón; intención desconocida es error", async () => {
+    const intents = new IntentService({ llm: fakeLlm(new Error("INTENT_LLM_TIMEOUT: sin respuesta")) });
+    const result = await intents.classify("bueno, a ver, déjeme pensarlo un poco");
+    assert.deepEqual([result.intent, result.source], ["YES", "pattern"]);
+
+    await assert.rejects(intents.classify("sí", { allowed: ["YES", "MAYBE"] }), (err) => err.code === "INTENT_UNKNOWN");
+});
+
+test("Quintero CONFIRM: 'no sé' vuelve a pedir el RUT y nunca llega a la aceptación implícita", async () => {
+    const { default: confirm } = await import("../../services/client/quintero/bot/handlers/confirm.js");
+    const state = { rutBody: "14348258", rutDv: "8", rutFormatted: "14348258-8", rutPhase: "CONFIRM", confirmAttempts: 1 };
+
+    // Segundo intento: un UNKNOWN aceptaría implícitamente; la duda resetea la captura
+    const result = await confirm({ transcript: "no sé", sessionId: "sim-unsure" }, state);
+    assert.equal(result.nextPhase, "WAIT_BODY");
+    assert.equal(state.rutBody, null);
+    assert.equal(state.confirmAttempts, 0);
+    assert.equal(result.action.payload.updates.rutFormatted, null);
+});
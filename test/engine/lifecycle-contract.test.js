@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    LIFECYCLE_CONTRACT,
+    DEFAULT_PHASE_CONTRACT,
+    buildLifecycleContract,
+    validateLifecycleContract,
+    bindLifecycleContract,
+    releaseLifecycleContract,
+    isActionAllowed,
+    isListenPhase,
+    isIncrementalCapturePhase,
+    isValidPhase
+} from "../../services/core/engine/lifecycle-contract.js";
+import { validateAndNormalizeCapsule } from "../../services/core/engine/capsule-contract.js";
+import upcomCapsule from "../../services/client/upcom.tomadatos/inbound/engine-adapter.js";
+
+test("el core ya no conoce fases de negocio de Quintero", () => {
+    for (const phase of ["LISTEN_RUT", "ASK_SPECIALTY", "NO_AVAILABILITY"]) {
+        assert.equal(phase in LIFECYCLE_CONTRACT, false, `${phase} sigue en el core`);
+    }
+    assert.ok(LIFECYCLE_CONTRACT.START_GREETING);
+    assert.ok(LIFECYCLE_CONTRACT.END_CALL);
+});
+
+test("buildLifecycleContract completa las fases de la cápsula con el default", () => {
+    const contract = buildLifecycleContract({ ASK_NAME: {}, GOODBYE: { allow: ["PLAYBACK"], deny: ["STT"] } }, "demo");
+
+    assert.deepEqual(contract.ASK_NAME.allow, DEFAULT_PHASE_CONTRACT.allow);
+    assert.deepEqual(contract.ASK_NAME.requires, DEFAULT_PHASE_CONTRACT.requires);
+    assert.deepEqual(contract.GOODBYE.allow, ["PLAYBACK"]);
+    assert.equal(contract.GOODBYE.advanceTurnAfterPlayback, true);
+    // Las fases core siguen presentes
+    assert.equal(contract.END_CALL, LIFECYCLE_CONTRACT.END_CALL);
+    assert.ok(Object.isFrozen(contract));
+});
+
+test("una tabla inválida falla al cargar", () => {
+    const errors = validateLifecycleContract({
+        ask_name: {},
+        ASK: { allow: ["STT", "FLY"], deny: ["STT"], requires: ["DB"], teardownAllowed: "yes", guards: { PLAYBACK: true } }
+    }, "demo");
+
+    assert.equal(errors.length, 6);
+    assert.throws(
+        () => buildLifecycleContract({ ASK: { allow: "STT" } }, "demo"),
+        /^Error: LIFECYCLE_CONTRACT_INVALID: .*allow debe ser un arreglo/
+    );
+});
+
+test("Upcom ASK_NAME escucha una vez asociado el contrato de la cápsula", async () => {
+    const { lifecycle } = validateAndNormalizeCapsule(upcomCapsule, "upcom");
+    const linkedId = "test-upcom-1";
+
+    // Sin cápsula asociada la fase no existe y todo se deniega
+    assert.equal(await isActionAllowed("ASK_NAME", "STT", { linkedId }), false);
+
+    bindLifecycleContract(linkedId, lifecycle);
+    try {
+        assert.equal(isValidPhase("ASK_NAME", linkedId), true);
+        assert.equal(await isActionAllowed("ASK_NAME", "STT", { linkedId }), true);
+        assert.equal(await isActionAllowed("ASK_NAME", "PLAYBACK", { linkedId }), true);
+        assert.equal(isListenPhase("ASK_NAME", linkedId), true);
+        // END declara listen=false → sin STT
+        assert.equal(isListenPhase("END", linkedId), false);
+    } finally {
+        releaseLifecycleContract(linkedId);
+    }
+    assert.equal(isValidPhase("ASK_NAME", linkedId), false);
+});
+
+test("el guard de la cápsula puede conceder una acción denegada", async () => {
+    let allowed = false;
+    const contract = buildLifecycleContract({
+        LISTEN_RUT: {
+            allow: ["STT", "CREATE_SNOOP"],
+            deny: ["PLAYBACK", "DESTROY_SNOOP", "DESTROY_BRIDGE", "HANGUP"],
+            guards: { PLAYBACK: async () => allowed }
+        }
+    }, "quintero");
+    const linkedId = "test-guard-1";
+
+    bindLifecycleContract(linkedId, contract);
+    try {
+        assert.equal(await isActionAllowed("LISTEN_RUT", "PLAYBACK", { linkedId }), false);
+        allowed = true;
+        assert.equal(await isActionAllowed("LISTEN_RUT", "PLAYBACK", { linkedId }), true);
+        // El guard solo aplica a su acción
+        assert.equal(await isActionAllowed("LISTEN_RUT", "HANGUP", { linkedId }), false);
+    } finally {
+        releaseLifecycleContract(linkedId);
+    }
+});
+
+test("incrementalCapture: escuchar no basta, la fase lo declara o queda la lista LISTEN_* histórica", () => {
+    const { lifecycle } = validateAndNormalizeCapsule(upcomCapsule, "upcom");
+    const contract = buildLifecycleContract({
+        LISTEN_RUT: { allow: ["STT", "CREATE_SNOOP"] },
+        ASK_EMAIL: { allow: ["STT", "CREATE_SNOOP"], incrementalCapture: true },
+        LISTEN_CONFIRMATION: { allow: ["STT", "CREATE_SNOOP"], incrementalCapture: false }
+    }, "demo");
+
+    bindLifecycleContract("test-incremental-upcom", lifecycle);
+    bindLifecycleContract("test-incremental-demo", contract);
+    try {
+        // ASK_NAME escucha pero no pide captura incremental (antes solo LISTEN_* la tenían)
+        assert.equal(isListenPhase("ASK_NAME", "test-incremental-upcom"), true);
+        assert.equal(isIncrementalCapturePhase("ASK_NAME", "test-incremental-upcom"), false);
+        assert.equal(isIncrementalCapturePhase("LISTEN_OPTION", "test-incremental-upcom"), true, "core declara incrementalCapture");
+
+        assert.equal(isIncrementalCapturePhase("LISTEN_RUT", "test-incremental-demo"), true, "sin declarar: lista histórica");
+        assert.equal(isIncrementalCapturePhase("ASK_EMAIL", "test-incremental-demo"), true);
+        assert.equal(isIncrementalCapturePhase("LISTEN_CONFIRMATION", "test-incremental-demo"), false);
+        assert.equal(isIncrementalCapturePhase("ASK_DATE", "test-incremental-demo", ["ASK_DATE"]), true, "lista histórica del punto que consulta");
+    } finally {
+        releaseLifecycleContract("test-incremental-upcom");
+        releaseLifecycleContract("test-incremental-demo");
+    }
+
+    assert.match(validateLifecycleContract({ ASK: { incrementalCapture: "yes" } }, "demo")[0], /incrementalCapture debe ser boolean/);
+});
@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    RoutingAction,
+    RuleType,
+    evaluateRules,
+    normalizeRule,
+    percentBucket,
+    zonedParts
+} from "../../services/core/ari/rules-engine.js";
+import { evaluateCallingWindow } from "../../services/core/ari/business-rules.js";
+
+// Martes 10-03-2026 12:00 en Santiago (UTC-3 en horario de verano)
+const TUESDAY_NOON = new Date("2026-03-10T15:00:00Z");
+
+function rule(overrides) {
+    return { id: 1, dnis: null, priority: 100, negate: false, action: RoutingAction.REJECT, actionParam: null, params: {}, ...overrides };
+}
+
+test("zonedParts evalúa en la zona del negocio y no en la del servidor", () => {
+    const local = zonedParts(new Date("2026-03-11T02:30:00Z"), "America/Santiago");
+    assert.equal(local.date, "2026-03-10");
+    assert.equal(local.weekday, 2);
+    assert.equal(local.minutes, 23 * 60 + 30);
+});
+
+test("schedule: días hábiles y horario nocturno que cruza medianoche", () => {
+    const office = [rule({ type: RuleType.SCHEDULE, negate: true, actionParam: "after-hours", params: { days: "1-5", start: "09:00", end: "18:00" } })];
+    assert.equal(evaluateRules(office, { now: TUESDAY_NOON }).action, RoutingAction.CONTINUE);
+    assert.equal(evaluateRules(office, { now: new Date("2026-03-14T15:00:00Z") }).reason, "after-hours"); // sábado
+
+    const night = [rule({ type: RuleType.SCHEDULE, action: RoutingAction.QUEUE, actionParam: "nocturno", params: { start: "22:00", end: "06:00" } })];
+    assert.equal(evaluateRules(night, { now: new Date("2026-03-11T02:30:00Z") }).queue, "nocturno");
+    assert.equal(evaluateRules(night, { now: TUESDAY_NOON }).action, RoutingAction.CONTINUE);
+});
+
+test("date_range y holiday con calendario del tenant", () => {
+    const rules = [
+        rule({ id: 1, type: RuleType.DATE_RANGE, action: RoutingAction.ANNOUNCE, actionParam: "custom/cierre-inventario", params: { from: "2026-03-09", to: "2026-03-10" } }),
+        rule({ id: 2, type: RuleType.HOLIDAY, actionParam: "holiday", params: { calendar: "CL" } })
+    ];
+    const closing = evaluateRules(rules, { now: TUESDAY_NOON });
+    assert.equal(closing.action, RoutingAction.ANNOUNCE);
+    assert.equal(closing.announcement, "custom/cierre-inventario");
+
+    const holiday = evaluateRules(rules, { now: new Date("2026-05-21T15:00:00Z"), holidays: { CL: ["2026-05-21"] } });
+    assert.deepEqual(holiday, { action: RoutingAction.REJECT, reason: "holiday", ruleId: 2, ruleType: RuleType.HOLIDAY });
+});
+
+test("blacklist / whitelist de ANI por número y prefijo", () => {
+    const blacklist = [rule({ type: RuleType.ANI_BLACKLIST, actionParam: "blocked", params: { numbers: ["+56 9 1111 1111"], prefixes: ["5622"] } })];
+    assert.equal(evaluateRules(blacklist, { ani: "56911111111" }).reason, "blocked");
+    assert.equal(evaluateRules(blacklist, { ani: "56222222222" }).reason, "blocked");
+    assert.equal(evaluateRules(blacklist, { ani: "56933333333" }).action, RoutingAction.CONTINUE);
+
+    const whitelist = [rule({ type: RuleType.ANI_WHITELIST, params: { prefixes: ["569"] } })];
+    assert.equal(evaluateRules(whitelist, { ani: "56933333333" }).action, RoutingAction.CONTINUE);
+    assert.equal(evaluateRules(whitelist, { ani: "UNKNOWN" }).action, RoutingAction.REJECT);
+});
+
+test("percentage: reparto estable por llamada", () => {
+    const rules = [rule({ type: RuleType.PERCENTAGE, action: RoutingAction.MODE, actionParam: "voicebot_beta", params: { percent: 30 } })];
+    let beta = 0;
+    for (let i = 0; i < 1000; i++) {
+        const callId = `linked-${i}`;
+        const first = evaluateRules(rules, { callId });
+        assert.deepEqual(evaluateRules(rules, { callId }), first);
+        if (first.action === RoutingAction.MODE) beta++;
+    }
+    assert.ok(beta > 200 && beta < 400, `reparto fuera de rango: ${beta}`);
+    assert.equal(percentBucket("linked-1"), percentBucket("linked-1"));
+});
+
+test("orden: prioridad, luego DNIS específico antes que tenant-wide", () => {
+    const rules = [
+        rule({ id: 1, type: RuleType.DATE_RANGE, action: RoutingAction.MODE, actionParam: "voicebot_general" }),
+        rule({ id: 2, dnis: "322000000", type: RuleType.DATE_RANGE, action: RoutingAction.MODE, actionParam: "voicebot_quintero" }),
+        rule({ id: 3, priority: 10, type: RuleType.VIP, action: RoutingAction.QUEUE, actionParam: "vip", params: { numbers: ["56999999999"] } })
+    ];
+    assert.equal(evaluateRules(rules, { dnis: "322000000", ani: "56911111111" }).mode, "voicebot_quintero");
+    assert.equal(evaluateRules(rules, { dnis: "224000000", ani: "56911111111" }).mode, "voicebot_general");
+    assert.equal(evaluateRules(rules, { dnis: "322000000", ani: "56999999999" }).queue, "vip");
+});
+
+test("normalizeRule: filas legacy, JSON de Params y filas inválidas", () => {
+    const legacy = normalizeRule({ RuleId: 7, RuleType: "schedule", Param1: "09:00", Param2: "18:00" });
+    assert.equal(legacy.action, RoutingAction.REJECT);
+    assert.equal(legacy.negate, true);
+    assert.deepEqual(legacy.params, { start: "09:00", end: "18:00" });
+    assert.equal(legacy.legacy, true);
+
+    const modern = normalizeRule({ RuleId: 8, RuleType: "ani_blacklist", Dnis: "+56 32 200 0000", Priority: 5, Params: '{"numbers":["56911111111"]}', Action: "reject", ActionParam: "blocked" });
+    assert.equal(modern.dnis, "56322000000");
+    assert.equal(modern.priority, 5);
+    assert.equal(modern.action, RoutingAction.REJECT);
+    assert.deepEqual(modern.params.numbers, ["56911111111"]);
+
+    assert.equal(normalizeRule({ RuleId: 9, RuleType: "lunar_phase", Action: "REJECT" }), null);
+    assert.equal(normalizeRule({ RuleId: 10, RuleType: "schedule", Action: "EXPLODE" }), null);
+    assert.equal(normalizeRule({ RuleId: 11, RuleType: "percentage" }), null);
+});
+
+test("filas legacy sin Action no rechazan llamadas de cápsula (solo rama internal / campañas)", () => {
+    const rows = [
+        { RuleId: 1, RuleType: "schedule", Param1: "09:00", Param2: "18:00" },
+        { RuleId: 2, RuleType: "holiday", Param1: "03-10" }
+    ];
+    const rules = rows.map(normalizeRule);
+    const sundayNight = new Date("2026-03-16T02:00:00Z");
+
+    // Enrutamiento VoiceBot/cápsula: fuera de horario y feriado legacy → la llamada sigue
+    assert.deepEqual(evaluateRules(rules, { now: sundayNight }), { action: RoutingAction.CONTINUE, reason: "default", ruleId: null, ruleType: null });
+    assert.equal(evaluateRules(rules, { now: TUESDAY_NOON }).action, RoutingAction.CONTINUE);
+
+    // La ventana de campañas conserva la semántica legacy
+    assert.equal(evaluateCallingWindow(rules, { now: sundayNight }), false);
+    assert.equal(evaluateCallingWindow(rules, { now: TUESDAY_NOON }), false);
+    assert.equal(evaluateCallingWindow(rules, { now: new Date("2026-03-11T15:00:00Z") }), true);
+
+    // Una fila con Action explícita sí enruta
+    const explicit = normalizeRule({ RuleId: 3, RuleType: "schedule", Params: '{"start":"09:00","end":"18:00"}', Negate: 1, Action: "REJECT", ActionParam: "after-hours" });
+    assert.equal(evaluateRules([...rules, explicit], { now: sundayNight }).reason, "after-hours");
+});
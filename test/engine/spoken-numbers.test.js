@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+    parseSpokenDigits,
+    parseSpokenNumber,
+    parseRutFromSpeech,
+    extractRutHard,
+    textToDigits,
+    applySelfCorrections,
+    rutCheckDigit
+} from "../../services/core/engine/identity/spoken-numbers.js";
+
+const corpus = JSON.parse(readFileSync(new URL("./fixtures/spoken-numbers.json", import.meta.url), "utf8"));
+
+test("corpus: dictado dígito a dígito y por grupos", () => {
+    for (const { text, digits } of corpus.digits) {
+        assert.equal(parseSpokenDigits(text).digits, digits, text);
+    }
+});
+
+test("corpus: cantidades con mil y millones", () => {
+    for (const { text, value } of corpus.numbers) {
+        assert.equal(parseSpokenNumber(text), value, text);
+    }
+});
+
+test("corpus: RUT hablado (DV, ka, autocorrecciones, ruido)", () => {
+    for (const { text, rut, reason, body, dv } of corpus.rut) {
+        const parsed = parseRutFromSpeech(text);
+        if (rut) {
+            assert.deepEqual([parsed.ok, parsed.rut, parsed.reason], [true, rut, "ok"], text);
+            continue;
+        }
+        assert.equal(parsed.reason, reason, text);
+        if (body !== undefined) assert.equal(parsed.body, body, text);
+        if (dv !== undefined) assert.equal(parsed.dv, dv, text);
+    }
+});
+
+test("corpus: textToDigits y capa regex", () => {
+    for (const { text, expected } of corpus.textToDigits) {
+        assert.equal(textToDigits(text), expected, text);
+    }
+    for (const { text, expected } of corpus.extractRutHard) {
+        assert.equal(extractRutHard(text), expected, text);
+    }
+});
+
+test("autocorrecciones: repetidas, hasta la pausa, y 'no' suelto no corrige", () => {
+    assert.deepEqual(applySelfCorrections("uno dos tres, no, cuatro, no perdón, cinco"), { text: "1 2 5", corrections: 2 });
+    assert.equal(applySelfCorrections("siete, mejor dicho ocho, dos cinco").text, "8 2 5");
+    assert.deepEqual(applySelfCorrections("no, catorce millones"), { text: "no, catorce millones", corrections: 0 });
+
+    // DV mal dicho: el esperado viene en la respuesta
+    const mismatch = parseRutFromSpeech("catorce tres cuatro ocho dos cinco ocho guion ocho, no perdón, ka");
+    assert.equal(mismatch.dvExpected, rutCheckDigit(14348258));
+    assert.equal(rutCheckDigit(6000000), "K");
+});
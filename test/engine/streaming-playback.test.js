@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import dgram from "dgram";
+import { EventEmitter } from "events";
+import {
+    linearToUlaw,
+    createUlawResampler,
+    playStreamOverExternalMedia
+} from "../../services/core/engine/ari/streaming-playback.js";
+
+// PCM s16le 24 kHz de duración ms (tono simple)
+function pcm(ms) {
+    const samples = (24000 * ms) / 1000;
+    const buffer = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) buffer.writeInt16LE(Math.round(8000 * Math.sin(i / 10)), i * 2);
+    return buffer;
+}
+
+// "Asterisk": socket que recibe el RTP y un canal ExternalMedia falso que lo anuncia
+async function fakeAsterisk({ failExternalMedia = false } = {}) {
+    const rtp = dgram.createSocket("udp4");
+    const packets = [];
+    rtp.on("message", (msg) => packets.push(msg));
+    await new Promise(resolve => rtp.bind(0, "127.0.0.1", resolve));
+
+    const externalChannel = {
+        id: "tts-ext",
+        hungUp: false,
+        async getChannelVar({ variable }) {
+            return { value: variable === "UNICASTRTP_LOCAL_ADDRESS" ? "127.0.0.1" : String(rtp.address().port) };
+        },
+        async hangup() { externalChannel.hungUp = true; }
+    };
+    const ari = {
+        channels: {
+            async externalMedia(params) {
+                if (failExternalMedia) throw new Error("Allocation failed");
+                ari.params = params;
+                return externalChannel;
+            }
+        }
+    };
+    const bridge = { added: [], async addChannel({ channel }) { bridge.added.push(channel); } };
+    const channel = Object.assign(new EventEmitter(), { id: "caller-1" });
+    return { ari, bridge, channel, externalChannel, packets, close: () => rtp.close() };
+}
+
+test("mu-law: silencio, extremos y resampler independiente del tamaño de chunk", () => {
+    assert.equal(linearToUlaw(0), 0xff);
+    assert.equal(linearToUlaw(32767), 0x80);
+    assert.equal(linearToUlaw(-32768), 0x00);
+
+    const audio = pcm(60);
+    const whole = createUlawResampler().push(audio);
+    assert.equal(whole.length, 480); // 60 ms a 8 kHz
+
+    const split = createUlawResampler();
+    const parts = [audio.subarray(0, 7), audio.subarray(7, 1001), audio.subarray(1001)].map(c => split.push(c));
+    assert.deepEqual(Buffer.concat(parts), whole);
+});
+
+test("stream: frames RTP de 20 ms al bridge del llamante y cierre del tramo", async () => {
+    const asterisk = await fakeAsterisk();
+    try {
+        const chunks = (async function* () {
+            yield pcm(90);
+            yield pcm(110);
+        })();
+        const result = await playStreamOverExternalMedia({
+            ari: asterisk.ari, channel: asterisk.channel, bridge: asterisk.bridge, chunks, app: "crm_app", host: "127.0.0.1"
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.equal(result.reason, "finished");
+        assert.equal(result.sentMs, 200);
+        assert.deepEqual(asterisk.bridge.added, ["tts-ext"]);
+        assert.match(asterisk.ari.params.appArgs, /role=externalMedia,kind=tts/);
+        assert.equal(asterisk.externalChannel.hungUp, true);
+
+        assert.equal(asterisk.packets.length, 10);
+        const [first, second] = asterisk.packets;
+        assert.equal(first.length, 12 + 160);
+        assert.equal(first[1], 0x80); // marker + PCMU
+        assert.equal(second[1], 0x00);
+        assert.equal((second.readUInt16BE(2) - first.readUInt16BE(2)) & 0xffff, 1);
+        assert.equal(second.readUInt32BE(4) - first.readUInt32BE(4), 160);
+    } finally {
+        asterisk.close();
+    }
+});
+
+test("barge-in: corta el envío y aborta la descarga del proveedor", async () => {
+    const asterisk = await fakeAsterisk();
+    try {
+        const abortController = new AbortController();
+        const chunks = (async function* () {
+            while (!abortController.signal.aborted) {
+                yield pcm(20);
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        })();
+        setTimeout(() => asterisk.channel.emit("ChannelTalkingStarted", {}, asterisk.channel), 150);
+
+        const result = await playStreamOverExternalMedia({
+            ari: asterisk.ari, channel: asterisk.channel, bridge: asterisk.bridge, chunks, abortController,
+            app: "crm_app", host: "127.0.0.1", talkingDebounceMs: 20
+        });
+
+        assert.equal(result.reason, "barge-in");
+        assert.equal(abortController.signal.aborted, true);
+        assert.ok(result.sentMs < 1000);
+        assert.equal(asterisk.channel.listenerCount("ChannelTalkingStarted"), 0);
+    } finally {
+        asterisk.close();
+    }
+});
+
+test("sin ExternalMedia lanza TTS_STREAM_SETUP antes de reproducir", async () => {
+    const asterisk = await fakeAsterisk({ failExternalMedia: true });
+    try {
+        await assert.rejects(
+            playStreamOverExternalMedia({
+                ari: asterisk.ari, channel: asterisk.channel, bridge: asterisk.bridge,
+                chunks: [pcm(20)], app: "crm_app", host: "127.0.0.1"
+            }),
+            (err) => err.code === "TTS_STREAM_SETUP"
+        );
+        assert.equal(asterisk.packets.length, 0);
+    } finally {
+        asterisk.close();
+    }
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchGrammar, buildPhasePrompt, validateSttPhases } from "../../services/core/engine/stt/stt-grammar.js";
+import { SttService } from "../../services/core/engine/stt/stt-service.js";
+import { createFakeSttProvider } from "../../services/core/engine/stt/stt-providers.js";
+import { sttPhases as quinteroSttPhases } from "../../services/client/quintero/bot/stt-phases.js";
+
+const specialty = {
+    type: "choice",
+    options: ["Pediatría", { value: "Cardiología", synonyms: ["corazón"] }]
+};
+
+test("gramáticas: sí/no, opciones, dígitos y regex", () => {
+    assert.deepEqual(matchGrammar("Sí, correcto.", { type: "yesno" }), { type: "yesno", matched: true, value: true });
+    assert.deepEqual(matchGrammar("no, está malo", { type: "yesno" }), { type: "yesno", matched: true, value: false });
+    assert.equal(matchGrammar("sí... no, no sé", { type: "yesno" }).matched, false);
+    assert.equal(matchGrammar("simplemente", { type: "yesno" }).matched, false);
+
+    assert.equal(matchGrammar("para el CORAZON por favor", specialty).value, "Cardiología");
+    assert.equal(matchGrammar("pediatria", specialty).value, "Pediatría");
+    assert.equal(matchGrammar("pediatría o corazón", specialty).matched, false);
+
+    assert.deepEqual(matchGrammar("es el 4 5 6 7", { type: "digits", minLength: 4, maxLength: 4 }), { type: "digits", matched: true, value: "4567" });
+    assert.equal(matchGrammar("12", { type: "digits", minLength: 4 }).matched, false);
+
+    assert.equal(matchGrammar("termina en K", { type: "regex", pattern: "\\b(\\d|k)\\b" }).value, "K");
+});
+
+test("prompt de fase con vocabulario y validación de declaraciones", () => {
+    assert.equal(buildPhasePrompt({ prompt: "Especialidad médica.", vocabulary: ["Pediatría", "Cardiología"] }), "Especialidad médica. Pediatría, Cardiología.");
+    assert.equal(buildPhasePrompt({ language: "es" }), null);
+
+    assert.deepEqual(validateSttPhases(quinteroSttPhases), []);
+    const errors = validateSttPhases({
+        A: { vocabulary: "cardiología" },
+        B: { language: "español" },
+        C: { grammar: { type: "choice", options: [] } },
+        D: { grammar: { type: "regex", pattern: "(" } }
+    });
+    assert.equal(errors.length, 4);
+    assert.match(errors.join("\n"), /A.vocabulary debe ser string\[\]/);
+    assert.match(errors.join("\n"), /D.grammar.pattern inválido/);
+});
+
+test("el servicio aplica prompt/idioma de la fase y reporta la gramática", async () => {
+    const fake = createFakeSttProvider({ byPhase: { ASK_SPECIALTY: "creo que del corazón", OTHER: "hola" } });
+    const stt = new SttService({ providers: { fake }, order: ["fake"], language: "es", retries: 0 });
+    const phases = { ASK_SPECIALTY: { prompt: "Especialidad.", vocabulary: ["Cardiología"], language: "pt", grammar: specialty } };
+
+    const result = await stt.transcribe("/tmp/a.wav", { phase: "ASK_SPECIALTY", sttPhases: phases, language: "es" });
+    assert.deepEqual(result.grammar, { type: "choice", matched: true, value: "Cardiología" });
+    assert.equal(fake.calls[0].prompt, "Especialidad. Cardiología.");
+    assert.equal(fake.calls[0].language, "pt");
+
+    // Fase sin declaración: prompt por defecto y sin gramática
+    const other = await stt.transcribe("/tmp/b.wav", { phase: "OTHER", sttPhases: phases });
+    assert.equal(other.grammar, null);
+    assert.equal(fake.calls[1].prompt, null);
+    assert.equal(fake.calls[1].language, "es");
+});
+
+test("realtime: session.update con prompt/idioma de la fase solo cuando cambia el STT declarado", async () => {
+    process.env.REDIS_DRIVER = "memory"; // el cliente incremental carga lib/redis.js (partials RUT)
+    const { OpenAIRealtimeClientV3Incremental } = await import("../../services/core/engine/openai-client-incremental.js");
+    const client = new OpenAIRealtimeClientV3Incremental({
+        sttPhases: { LISTEN_RUT: { prompt: "RUT chileno.", vocabulary: ["guion", "ka"], language: "es" } }
+    });
+    const sent = [];
+    client.isConnected = true;
+    client.sendEvent = (event) => sent.push(event);
+
+    client.setSttPhase("START_GREETING");
+    assert.equal(sent.length, 0, "fase sin STT declarado: sin session.update");
+
+    client.setSttPhase("LISTEN_RUT");
+    client.setSttPhase("LISTEN_RUT");
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].type, "session.update");
+    assert.deepEqual(sent[0].session.input_audio_transcription, { model: "whisper-1", language: "es", prompt: "RUT chileno. guion, ka." });
+
+    client.enableIncremental();
+    assert.equal(sent[1].session.input_audio_transcription.model, "gpt-4o-mini-transcribe");
+    assert.equal(sent[1].session.input_audio_transcription.prompt, "RUT chileno. guion, ka.");
+
+    client.setSttPhase("CONFIRM_RUT");
+    assert.equal(sent.length, 3, "salir de una fase declarada limpia el prompt");
+    assert.deepEqual(sent[2].session.input_audio_transcription, { model: "gpt-4o-mini-transcribe", language: client.language });
+});
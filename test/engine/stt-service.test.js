@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SttService, PHASE_PROMPTS, isRetryableSttError } from "../../services/core/engine/stt/stt-service.js";
+import { createFakeSttProvider, createLocalSttProvider, createOpenAiSttProvider } from "../../services/core/engine/stt/stt-providers.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+function httpError(status) {
+    const err = new Error(`STT_PROVIDER_HTTP: openai HTTP ${status}`);
+    err.code = "STT_PROVIDER_HTTP";
+    err.status = status;
+    return err;
+}
+
+function service(providers, options = {}) {
+    return new SttService({ providers, order: Object.keys(providers), retries: 2, retryDelayMs: 1, ...options });
+}
+
+test("fake: fixtures por archivo y por fase, en orden", async () => {
+    const fake = createFakeSttProvider({
+        byFile: { "seg-1.wav": "sí, correcto" },
+        byPhase: { LISTEN_RUT: ["catorce millones", "ocho"] },
+        default: "no entendí"
+    });
+    const stt = service({ fake });
+
+    assert.equal((await stt.transcribe("/tmp/seg-1.wav", { phase: "LISTEN_RUT" })).text, "sí, correcto");
+    assert.equal((await stt.transcribe("/tmp/a.wav", { phase: "LISTEN_RUT" })).text, "catorce millones");
+    assert.equal((await stt.transcribe("/tmp/b.wav", { phase: "LISTEN_RUT" })).text, "ocho");
+    assert.equal((await stt.transcribe("/tmp/c.wav", { phase: "LISTEN_RUT" })).text, "ocho");
+    assert.equal((await stt.transcribe("/tmp/d.wav")).text, "no entendí");
+});
+
+test("prompt según fase, idioma por defecto y override explícito", async () => {
+    const fake = createFakeSttProvider();
+    const stt = service({ fake }, { language: "es" });
+
+    await stt.transcribe("/tmp/a.wav", { phase: "LISTEN_RUT" });
+    await stt.transcribe("/tmp/b.wav", { phase: "ASK_SPECIALTY", language: "en", prompt: "cardiología" });
+    await stt.transcribe("/tmp/c.wav", { phase: "ASK_SPECIALTY" });
+
+    assert.equal(fake.calls[0].prompt, PHASE_PROMPTS.LISTEN_RUT);
+    assert.equal(fake.calls[0].language, "es");
+    assert.equal(fake.calls[1].prompt, "cardiología");
+    assert.equal(fake.calls[1].language, "en");
+    assert.equal(fake.calls[2].prompt, null);
+});
+
+test("reintenta errores transitorios y pasa al siguiente proveedor ante errores definitivos", async () => {
+    assert.equal(isRetryableSttError(httpError(503)), true);
+    assert.equal(isRetryableSttError(httpError(429)), true);
+    assert.equal(isRetryableSttError(httpError(400)), false);
+
+    const flaky = createFakeSttProvider({ byPhase: { ASK: [httpError(503), httpError(502), "hola"] } });
+    const recovered = await service({ flaky }).transcribe("/tmp/a.wav", { phase: "ASK" });
+    assert.deepEqual([recovered.text, recovered.provider, recovered.attempts], ["hola", "flaky", 3]);
+
+    const broken = createFakeSttProvider({ byFile: { "a.wav": httpError(400) } });
+    const backup = createFakeSttProvider({ default: "desde local" });
+    const failover = await service({ broken, backup }).transcribe("/tmp/a.wav");
+    assert.deepEqual([failover.text, failover.provider, failover.attempts], ["desde local", "backup", 2]);
+    assert.equal(broken.calls.length, 1);
+});
+
+test("sin proveedores disponibles lanza STT_FAILED con la causa", async () => {
+    const down = createFakeSttProvider({ default: "x", byFile: { "a.wav": httpError(500) } });
+    await assert.rejects(service({ down }).transcribe("/tmp/a.wav"), (err) => {
+        assert.equal(err.code, "STT_FAILED");
+        assert.equal(err.cause.status, 500);
+        return true;
+    });
+    assert.equal(down.calls.length, 3);
+});
+
+test("local: CLI estilo whisper.cpp con placeholders y salida <output>.txt", async () => {
+    const local = createLocalSttProvider({
+        command: "sh",
+        model: "ggml-base.bin",
+        args: ["-c", 'echo "$@" > "$0.txt"', "{output}", "-m", "{model}", "-l", "{language}", "--prompt", "{prompt}"]
+    });
+    const withPrompt = await local.transcribe("/tmp/a.wav", { language: "es", prompt: "RUT chileno", timeoutMs: 5000 });
+    assert.equal(withPrompt.text, "-m ggml-base.bin -l es --prompt RUT chileno");
+
+    // Sin prompt se omite también el flag
+    const { text } = await local.transcribe("/tmp/a.wav", { timeoutMs: 5000 });
+    assert.equal(text, "-m ggml-base.bin -l auto");
+});
+
+test("llamada completa: retries por llamada y error tipado de duración", async () => {
+    const flaky = createFakeSttProvider({ default: "x", byFile: { "mix.wav": httpError(503) } });
+    await assert.rejects(service({ flaky }).transcribe("/tmp/mix.wav", { timeoutMs: 600000, retries: 0 }), { code: "STT_FAILED" });
+    assert.equal(flaky.calls.length, 1);
+    assert.equal(flaky.calls[0].timeoutMs, 600000);
+
+    const tooLong = new Error("STT_AUDIO_TOO_LONG: openai: audio excede la duración máxima");
+    tooLong.code = "STT_AUDIO_TOO_LONG";
+    tooLong.status = 400;
+    const openai = createFakeSttProvider({ byFile: { "larga.wav": tooLong } });
+    await assert.rejects(service({ openai }).transcribe("/tmp/larga.wav", { retries: 0 }), (err) => {
+        assert.equal(err.cause.code, "STT_AUDIO_TOO_LONG");
+        return true;
+    });
+    assert.equal(isRetryableSttError(tooLong), false);
+});
+
+test("openai: 400 por duración máxima se tipa como STT_AUDIO_TOO_LONG", async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "stt-openai-"));
+    const wav = path.join(dir, "mix.wav");
+    fs.writeFileSync(wav, "RIFF");
+    const originalFetch = globalThis.fetch;
+    const originalKey = process.env.OPENAI_API_KEY;
+    t.after(() => {
+        globalThis.fetch = originalFetch;
+        if (originalKey === undefined) delete process.env.OPENAI_API_KEY;
+        else process.env.OPENAI_API_KEY = originalKey;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    process.env.OPENAI_API_KEY = "sk-test";
+
+    const provider = createOpenAiSttProvider({ model: "whisper-1" });
+    globalThis.fetch = async () => new Response('{"error":{"message":"Audio file is longer than 1400 seconds"}}', { status: 400 });
+    await assert.rejects(provider.transcribe(wav, { timeoutMs: 1000 }), { code: "STT_AUDIO_TOO_LONG", status: 400 });
+
+    globalThis.fetch = async () => new Response('{"error":{"message":"Invalid file format"}}', { status: 400 });
+    await assert.rejects(provider.transcribe(wav, { timeoutMs: 1000 }), { code: "STT_PROVIDER_HTTP", status: 400 });
+});
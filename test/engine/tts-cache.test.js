@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { TtsCache, ttsCacheKey } from "../../services/core/engine/tts/tts-cache.js";
+import { collectStaticPrompts, prewarmCapsuleCatalogs } from "../../services/core/engine/tts/tts-prewarm.js";
+
+function tmpDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "tts-cache-"));
+}
+
+test("la clave depende de texto, voz, modelo e instrucciones", () => {
+    const base = { text: "Hola", voice: "marin", model: "gpt-4o-mini-tts", instructions: "Chilean Spanish" };
+    assert.equal(ttsCacheKey(base), ttsCacheKey({ ...base, text: " Hola " }));
+    assert.notEqual(ttsCacheKey(base), ttsCacheKey({ ...base, voice: "cedar" }));
+    assert.notEqual(ttsCacheKey(base), ttsCacheKey({ ...base, model: "tts-1" }));
+    assert.notEqual(ttsCacheKey(base), ttsCacheKey({ ...base, instructions: "" }));
+});
+
+test("persiste en disco y sobrevive a un reinicio", async () => {
+    const dir = tmpDir();
+    try {
+        const key = ttsCacheKey({ text: "Un momento por favor", voice: "marin", model: "m" });
+        let calls = 0;
+        const produce = async () => { calls++; return Buffer.alloc(480, 1); };
+
+        const first = new TtsCache({ dir, memoryEntries: 0 });
+        assert.equal((await first.getOrCreate(key, produce)).hit, false);
+        assert.equal((await first.getOrCreate(key, produce)).hit, true);
+        assert.ok(fs.existsSync(first.pathFor(key)));
+
+        const restarted = new TtsCache({ dir });
+        const { buffer, hit } = await restarted.getOrCreate(key, produce);
+        assert.equal(hit, true);
+        assert.equal(buffer.length, 480);
+        assert.equal(calls, 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("LRU: respeta maxBytes desalojando lo menos usado", async () => {
+    const dir = tmpDir();
+    try {
+        const cache = new TtsCache({ dir, maxBytes: 300, memoryEntries: 0 });
+        await cache.set("aa01", Buffer.alloc(100));
+        await cache.set("bb02", Buffer.alloc(100));
+        await cache.set("cc03", Buffer.alloc(100));
+        await cache.get("aa01"); // aa01 pasa a ser el más reciente
+        await cache.set("dd04", Buffer.alloc(100));
+
+        assert.equal(await cache.get("bb02"), null);
+        assert.ok(await cache.get("aa01"));
+        assert.ok(!fs.existsSync(cache.pathFor("bb02")));
+        assert.deepEqual(cache.stats(), { entries: 3, bytes: 300, memoryEntries: 0 });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("síntesis concurrente del mismo texto se hace una sola vez", async () => {
+    const dir = tmpDir();
+    try {
+        const cache = new TtsCache({ dir });
+        let calls = 0;
+        const produce = () => new Promise((resolve) => { calls++; setTimeout(() => resolve(Buffer.alloc(10)), 10); });
+        await Promise.all([cache.getOrCreate("ee05", produce), cache.getOrCreate("ee05", produce)]);
+        assert.equal(calls, 1);
+
+        // Un fallo de síntesis no se cachea
+        const failed = await cache.getOrCreate("ff06", async () => null);
+        assert.equal(failed.buffer, null);
+        assert.equal(await cache.get("ff06"), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("pre-warm: solo prompts estáticos del catálogo de la cápsula", async () => {
+    const catalog = {
+        askRut: () => "sound:voicebot/quintero/ask_rut",
+        confirmOk: () => "Perfecto, muchas gracias. Un momento por favor.",
+        confirmRut: (masked) => `Tengo registrado el RUT terminado en ${masked}.`,
+        FAREWELL: "Que tenga un buen día.",
+        tts: { confirmOk: () => "Perfecto, muchas gracias. Un momento por favor." }
+    };
+    assert.deepEqual(collectStaticPrompts(catalog), ["Perfecto, muchas gracias. Un momento por favor.", "Que tenga un buen día."]);
+
+    const spoken = [];
+    const catalogPath = path.resolve("services/client/quintero/bot/tts/messages.js");
+    const summary = await prewarmCapsuleCatalogs({
+        capsules: [{ id: "quintero", ttsCatalogs: [catalogPath] }, { id: "otra", ttsCatalogs: [catalogPath] }],
+        only: ["quintero"],
+        synthesize: async (text) => { spoken.push(text); return Buffer.alloc(10); }
+    });
+    assert.ok(summary.prompts > 10);
+    assert.equal(summary.synthesized, summary.prompts);
+    assert.ok(spoken.includes("Perfecto, muchas gracias. Un momento por favor."));
+    assert.ok(spoken.every(text => !text.startsWith("sound:") && !text.includes("undefined")));
+});
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { TtsCache } from "../../services/core/engine/tts/tts-cache.js";
+import { TtsService } from "../../services/core/engine/tts/tts-service.js";
+
+function fakeProvider(name, { fail = false } = {}) {
+    const provider = {
+        name,
+        model: `${name}-model`,
+        defaultVoice: `${name}-default`,
+        calls: [],
+        fail,
+        async synthesize(text, { voice }) {
+            provider.calls.push({ text, voice });
+            if (provider.fail) throw new Error(`TTS_PROVIDER_HTTP: ${name} caído`);
+            return Buffer.from(`${name}:${voice}:${text}`.padEnd(200, "."));
+        }
+    };
+    return provider;
+}
+
+async function collect(iterable) {
+    const chunks = [];
+    for await (const chunk of iterable) chunks.push(chunk);
+    return chunks;
+}
+
+function service({ cache = null, now = () => 0, failing = [] } = {}) {
+    const providers = {
+        openai: fakeProvider("openai", { fail: failing.includes("openai") }),
+        elevenlabs: fakeProvider("elevenlabs", { fail: failing.includes("elevenlabs") }),
+        local: fakeProvider("local", { fail: failing.includes("local") })
+    };
+    return { providers, tts: new TtsService({ providers, order: ["openai", "elevenlabs", "local"], cache, cooldownMs: 1000, now }) };
+}
+
+test("voz por cápsula: proveedor preferido, voz propia y voces por proveedor", async () => {
+    const { tts, providers } = service({ failing: ["elevenlabs"] });
+    const profile = { provider: "elevenlabs", voice: "sofia-cl", voices: { openai: "marin" }, fallback: ["openai", "local"] };
+
+    assert.deepEqual(tts.chainFor(profile), ["elevenlabs", "openai", "local"]);
+    const { buffer, provider, degraded } = await tts.synthesize("Hola", profile);
+    assert.equal(provider, "openai");
+    assert.equal(degraded, true);
+    assert.match(buffer.toString(), /^openai:marin:Hola/);
+    assert.deepEqual(providers.elevenlabs.calls, [{ text: "Hola", voice: "sofia-cl" }]);
+});
+
+test("failover: proveedor caído se salta durante el cooldown y se reintenta después", async () => {
+    let now = 0;
+    const { tts, providers } = service({ now: () => now, failing: ["openai"] });
+
+    assert.equal((await tts.synthesize("uno")).provider, "elevenlabs");
+    assert.equal((await tts.synthesize("dos")).provider, "elevenlabs");
+    assert.equal(providers.openai.calls.length, 1);
+
+    now = 2000;
+    providers.openai.fail = false;
+    const recovered = await tts.synthesize("tres");
+    assert.equal(recovered.provider, "openai");
+    assert.equal(recovered.degraded, false);
+});
+
+test("todos caídos: se intenta igual como último recurso y sin audio devuelve null", async () => {
+    const { tts, providers } = service({ failing: ["openai", "elevenlabs", "local"] });
+    assert.equal((await tts.synthesize("hola")).buffer, null);
+
+    providers.local.fail = false;
+    assert.equal((await tts.synthesize("hola")).provider, "local");
+});
+
+test("caché por proveedor: se sirve antes de sintetizar aunque el preferido esté caído", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tts-service-"));
+    try {
+        const cache = new TtsCache({ dir });
+        const { tts, providers } = service({ cache });
+        assert.equal((await tts.synthesize("Un momento")).hit, false);
+
+        providers.openai.fail = true;
+        const cached = await tts.synthesize("Un momento");
+        assert.equal(cached.hit, true);
+        assert.equal(cached.provider, "openai");
+        assert.equal(providers.openai.calls.length, 1);
+
+        // Otra voz = otra entrada
+        assert.equal((await tts.synthesize("Un momento", { voice: "cedar" })).provider, "elevenlabs");
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("stream: failover antes del primer chunk, caché al completar y hit después", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tts-stream-"));
+    try {
+        const { tts, providers } = service({ cache: new TtsCache({ dir }) });
+        providers.openai.stream = async function* () { throw new Error("TTS_PROVIDER_HTTP: openai 503"); };
+        providers.elevenlabs.stream = async function* (text) {
+            yield Buffer.from(`${text}-1`);
+            yield Buffer.from(`${text}-2`);
+        };
+
+        const opened = await tts.openStream("Hola");
+        assert.deepEqual([opened.provider, opened.degraded, opened.hit], ["elevenlabs", true, false]);
+        const parts = [];
+        for await (const chunk of opened.chunks) parts.push(chunk.toString());
+        assert.deepEqual(parts, ["Hola-1", "Hola-2"]);
+
+        const again = await tts.openStream("Hola");
+        assert.deepEqual([again.provider, again.hit], ["elevenlabs", true]);
+        const [cached] = await collect(again.chunks);
+        assert.equal(cached.toString(), "Hola-1Hola-2");
+
+        // Proveedor sin stream(): audio completo en un chunk
+        const local = await tts.openStream("Chao", { provider: "local" });
+        assert.match((await collect(local.chunks))[0].toString(), /^local:local-default:Chao/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,90 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import fs from "fs";
+import path from "path";
+import { loadCapsuleRegistry, findCapsule } from "../../services/router/capsule-registry.js";
+
+const tmpRoots = [];
+
+function makeClientRoot(manifests) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "capsules-"));
+    tmpRoots.push(root);
+    for (const [dir, manifest] of Object.entries(manifests)) {
+        fs.mkdirSync(path.join(root, dir));
+        if (manifest) {
+            fs.writeFileSync(path.join(root, dir, "capsule.manifest.js"), `export default ${JSON.stringify(manifest)};\n`);
+        }
+    }
+    return root;
+}
+
+const manifest = (id, extra = {}) => ({ id, version: "1.0.0", entry: "./inbound/engine-adapter.js", ...extra });
+
+after(() => {
+    for (const root of tmpRoots) fs.rmSync(root, { recursive: true, force: true });
+});
+
+test("las cápsulas del repo resuelven sus modes declarados", async () => {
+    const registry = await loadCapsuleRegistry();
+
+    assert.equal((await findCapsule("voicebot_quintero", null, registry)).id, "quintero");
+    assert.equal((await findCapsule("VOICEBOT_IDENTITY_QUINTERO", null, registry)).id, "quintero");
+    assert.equal((await findCapsule("voicebot_upcom_tomadatos", null, registry)).id, "upcom.tomadatos");
+    assert.equal(await findCapsule("voicebot_quintero_nuevo", null, registry), null);
+    assert.equal(await findCapsule("voicebot", null, registry), null);
+});
+
+test("mode tiene prioridad sobre DNIS", async () => {
+    const root = makeClientRoot({
+        alpha: manifest("alpha", { modes: ["voicebot_alpha"] }),
+        beta: manifest("beta", { dnis: ["322000000"] })
+    });
+    const registry = await loadCapsuleRegistry({ clientRoot: root });
+
+    assert.equal((await findCapsule("voicebot_alpha", "322000000", registry)).id, "alpha");
+    assert.equal((await findCapsule("voicebot", "322000000", registry)).id, "beta");
+    assert.equal(registry.byMode.get("voicebot_alpha").entryPath, path.join(root, "alpha/inbound/engine-adapter.js"));
+});
+
+test("dos cápsulas reclamando el mismo mode abortan la carga", async () => {
+    const root = makeClientRoot({
+        alpha: manifest("alpha", { modes: ["voicebot_shared"] }),
+        beta: manifest("beta", { modes: ["Voicebot_Shared"] })
+    });
+
+    await assert.rejects(loadCapsuleRegistry({ clientRoot: root }), (err) => {
+        assert.equal(err.code, "CAPSULE_MODE_CONFLICT");
+        assert.match(err.message, /alpha y beta/);
+        return true;
+    });
+});
+
+test("DNIS duplicado aborta la carga", async () => {
+    const root = makeClientRoot({
+        alpha: manifest("alpha", { dnis: ["600"] }),
+        beta: manifest("beta", { dnis: ["600"] })
+    });
+
+    await assert.rejects(loadCapsuleRegistry({ clientRoot: root }), { code: "CAPSULE_DNIS_CONFLICT" });
+});
+
+test("manifest inválido o con features desconocidas aborta la carga", async () => {
+    const badVersion = makeClientRoot({ alpha: manifest("alpha", { version: "latest", modes: ["voicebot_alpha"] }) });
+    await assert.rejects(loadCapsuleRegistry({ clientRoot: badVersion }), { code: "CAPSULE_MANIFEST_INVALID" });
+
+    const noClaims = makeClientRoot({ alpha: manifest("alpha") });
+    await assert.rejects(loadCapsuleRegistry({ clientRoot: noClaims }), /al menos un mode o DNIS/);
+
+    const feature = makeClientRoot({ alpha: manifest("alpha", { modes: ["voicebot_alpha"], requiredFeatures: ["video"] }) });
+    await assert.rejects(loadCapsuleRegistry({ clientRoot: feature }), /features no soportadas por el core: video/);
+});
+
+test("directorios sin manifest se omiten", async () => {
+    const root = makeClientRoot({
+        alpha: manifest("alpha", { modes: ["voicebot_alpha"] }),
+        draft: null
+    });
+    const registry = await loadCapsuleRegistry({ clientRoot: root });
+    assert.deepEqual(registry.capsules.map(c => c.id), ["alpha"]);
+});
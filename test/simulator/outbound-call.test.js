@@ -0,0 +1,35 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+// 🧪 Saliente originada por makeCall: args "mode,ANI,DNIS,outbound" → AMD antes del saludo
+
+let runSimulatedCall;
+let outboundAppArgs;
+
+before(async () => {
+    ({ runSimulatedCall } = await import("../../services/core/simulator/call-simulator.js"));
+    ({ outboundAppArgs } = await import("../../services/core/telephony/telephony-controller.js"));
+});
+
+test("makeCall: appArgs marcan la llamada como saliente en raw[3]", () => {
+    assert.equal(outboundAppArgs("voicebot_quintero", "56912345678", "322000000"), "voicebot_quintero,56912345678,322000000,outbound");
+});
+
+test("Saliente: nadie habla tras contestar → AMD SILENCE y no se reproduce saludo", { timeout: 60000 }, async () => {
+    const trace = await runSimulatedCall({
+        mode: "voicebot_quintero",
+        outbound: true,
+        script: [],
+        onScriptEnd: "silence",
+        timeoutMs: 30000
+    });
+
+    assert.equal(trace.timedOut, false);
+    assert.equal(trace.tts.length, 0, "sin saludo TTS");
+    assert.equal(trace.playbacks.length, 0, "sin saludo en audio");
+
+    const amd = trace.published.find(p => p.channel === "call.amd");
+    assert.ok(amd, "resultado AMD publicado en call.amd");
+    assert.equal(amd.payload.result, "SILENCE");
+    assert.equal(amd.payload.action, "HANGUP");
+});
@@ -0,0 +1,79 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import fs from "fs";
+import path from "path";
+import { startWebhookStub } from "../../services/core/simulator/webhook-stub.js";
+
+// 🧪 Llamada Quintero de agenda completa (fase 4): saludo → RUT → hora disponible → confirmación → cuelga el bot
+
+let stub;
+let recordingsRoot;
+let runSimulatedCall;
+
+before(async () => {
+    stub = await startWebhookStub({
+        patients: { "14348258-8": { nombre: "Juan Pérez", edad: 71 } },
+        handlers: {
+            GET_NEXT_AVAILABILITY: () => ({
+                ok: true, horaFound: true, slotId: 7, fecha: "2026-10-21", hora: "10:30",
+                especialidad: "MEDICINA GENERAL", doctor_box: "Box 3"
+            })
+        }
+    });
+    recordingsRoot = fs.mkdtempSync(path.join(os.tmpdir(), "sim-recordings-"));
+    process.env.N8N_WEBHOOK_URL = stub.url;
+    process.env.RUT_WEBHOOK_URL = stub.url;
+    process.env.RECORDINGS_ROOT = recordingsRoot;
+    process.env.QUINTERO_PHASE = "4";
+
+    // Import diferido: las URLs de webhook y la fase se leen al cargar las cápsulas
+    ({ runSimulatedCall } = await import("../../services/core/simulator/call-simulator.js"));
+});
+
+after(async () => {
+    await stub.close();
+    fs.rmSync(recordingsRoot, { recursive: true, force: true });
+});
+
+test("Quintero: saludo → RUT por DTMF → disponibilidad → confirmación → el bot cuelga", { timeout: 120000 }, async () => {
+    const trace = await runSimulatedCall({
+        mode: "voicebot_quintero",
+        script: [{ dtmf: "143482588#" }, { say: "sí" }, { say: "medicina general" }, { say: "sí" }],
+        timeoutMs: 90000
+    });
+
+    assert.equal(trace.timedOut, false);
+    assert.equal(trace.sessionEnded, true);
+    assert.equal(trace.sessionError, null);
+
+    assert.deepEqual(trace.phases, [
+        "START_GREETING",
+        "LISTEN_RUT",
+        "CONFIRM_RUT",
+        "ASK_SPECIALTY",
+        "CHECK_AVAILABILITY",
+        "INFORM_AVAILABILITY",
+        "CONFIRM_APPOINTMENT",
+        "FINALIZE",
+        "COMPLETE"
+    ]);
+    assert.deepEqual(trace.heard, ["sí", "medicina general", "sí"]);
+
+    // Paciente validado, hora ofrecida y reservada sobre el HOLD de la sesión
+    // (backend webhook: sin búsqueda de horas reservadas, n8n no la atiende)
+    assert.deepEqual(stub.requests.map(r => r.payload.action), [
+        "VALIDATE_PATIENT",
+        "GET_NEXT_AVAILABILITY",
+        "CONFIRM_AVAILABILITY"
+    ]);
+    const availability = stub.requests.find(r => r.payload.action === "GET_NEXT_AVAILABILITY");
+    assert.equal(availability.payload.especialidad, "Medicina General");
+    assert.ok(stub.requests.every(r => r.payload.sessionId === trace.linkedId));
+
+    // Despedida y corte desde el bot, sin que el guion del llamante cuelgue
+    assert.match(trace.tts.at(-1), /Su hora ha sido confirmada para Medicina General .* a las 10:30/);
+    assert.equal(trace.callerHungUp, false);
+    assert.ok(trace.hangup, "el bot no colgó la llamada");
+    assert.ok(trace.hangup.at > trace.timeline.findLast(e => e.type === "tts").at, "cuelga después de la despedida");
+});
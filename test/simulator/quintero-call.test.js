@@ -0,0 +1,119 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import fs from "fs";
+import path from "path";
+import { startWebhookStub } from "../../services/core/simulator/webhook-stub.js";
+
+// 🧪 Llamada Quintero completa contra FakeAri + ScriptedRealtimeClient + stub n8n
+
+let stub;
+let recordingsRoot;
+let runSimulatedCall;
+
+before(async () => {
+    stub = await startWebhookStub({
+        patients: { "14348258-8": { nombre: "Juan Pérez", edad: 71 } }
+    });
+    recordingsRoot = fs.mkdtempSync(path.join(os.tmpdir(), "sim-recordings-"));
+    process.env.N8N_WEBHOOK_URL = stub.url;
+    process.env.RUT_WEBHOOK_URL = stub.url;
+    process.env.RECORDINGS_ROOT = recordingsRoot;
+
+    // Import diferido: las URLs de webhook se leen al cargar las cápsulas
+    ({ runSimulatedCall } = await import("../../services/core/simulator/call-simulator.js"));
+});
+
+after(async () => {
+    await stub.close();
+    fs.rmSync(recordingsRoot, { recursive: true, force: true });
+});
+
+test("Quintero: el llamante cuelga en la primera ventana de escucha", { timeout: 60000 }, async () => {
+    stub.requests.length = 0;
+
+    const trace = await runSimulatedCall({
+        mode: "voicebot_quintero",
+        script: [{ hangup: true }]
+    });
+
+    assert.equal(trace.timedOut, false);
+    assert.equal(trace.sessionEnded, true);
+    assert.equal(trace.sessionError, null);
+    assert.deepEqual(trace.phases, ["START_GREETING", "LISTEN_RUT"]);
+    assert.deepEqual(trace.playbacks, ["sound:voicebot/quintero/greeting_sofia_2"]);
+    assert.equal(trace.callerHungUp, true);
+    assert.equal(stub.requests.length, 0);
+});
+
+test("Quintero: saludo → RUT dictado → FORMAT_RUT", { timeout: 120000 }, async () => {
+    stub.requests.length = 0;
+
+    const trace = await runSimulatedCall({
+        mode: "voicebot_quintero",
+        script: [{ say: "14.348.258-8" }],
+        timeoutMs: 90000
+    });
+
+    assert.equal(trace.timedOut, false);
+    assert.equal(trace.sessionEnded, true);
+    assert.equal(trace.sessionError, null);
+
+    // Secuencia de fases observada en Redis (phase:<linkedId>)
+    // CONFIRM_RUT viene del contrato de lifecycle de la cápsula Quintero
+    assert.deepEqual(trace.phases.slice(0, 3), ["START_GREETING", "LISTEN_RUT", "CONFIRM_RUT"]);
+
+    // Saludo BVDA primero, música de espera mientras corre el webhook
+    assert.equal(trace.playbacks[0], "sound:voicebot/quintero/greeting_sofia_2");
+    assert.ok(trace.playbacks.includes("sound:queue-holdtime"));
+
+    // El transcript llegó al webhook de formateo tal como lo dictó el llamante
+    assert.deepEqual(trace.heard, ["14.348.258-8"]);
+    const formatRut = stub.requests.find(r => r.payload.action === "FORMAT_RUT");
+    assert.ok(formatRut, "FORMAT_RUT no fue invocado");
+    assert.equal(formatRut.payload.rut_raw, "14.348.258-8");
+    assert.equal(formatRut.payload.callId, trace.linkedId);
+
+    // El simulador no recrea el Snoop consumido: el engine agota sus turnos en CONFIRM_RUT
+    assert.equal(trace.callerHungUp, false);
+});
+
+test("Quintero: RUT tecleado por DTMF → confirmación sin webhook de formateo", { timeout: 60000 }, async () => {
+    stub.requests.length = 0;
+
+    const trace = await runSimulatedCall({
+        mode: "voicebot_quintero",
+        script: [{ dtmf: "143482588#" }, { hangup: true }]
+    });
+
+    assert.equal(trace.timedOut, false);
+    assert.equal(trace.sessionEnded, true);
+    assert.equal(trace.sessionError, null);
+
+    // El RUT se valida localmente (módulo 11) y se lee de vuelta para confirmar
+    assert.match(trace.tts[0], /terminado en ocho dos cinco ocho guión ocho/);
+    assert.equal(stub.requests.some(r => r.payload.action === "FORMAT_RUT"), false);
+    assert.equal(trace.callerHungUp, true);
+});
+
+test("Quintero: la cápsula cierra la llamada → el bot cuelga", { timeout: 120000 }, async () => {
+    stub.requests.length = 0;
+
+    // Sin guion tras el "sí": solo el bot puede terminar la llamada
+    const trace = await runSimulatedCall({
+        mode: "voicebot_quintero",
+        script: [{ dtmf: "143482588#" }, { say: "sí" }],
+        onScriptEnd: "silence",
+        timeoutMs: 90000
+    });
+
+    assert.equal(trace.timedOut, false);
+    assert.equal(trace.sessionEnded, true);
+    assert.equal(trace.sessionError, null);
+    assert.deepEqual(stub.requests.map(r => r.payload.action), ["VALIDATE_PATIENT"]);
+
+    // El llamante no cuelga: corta el bot al cerrar la sesión
+    assert.equal(trace.callerHungUp, false);
+    assert.ok(trace.hangup, "el bot no colgó la llamada");
+    assert.ok(trace.hangup.at > trace.timeline.findLast(e => e.type === "callerSays").at);
+});